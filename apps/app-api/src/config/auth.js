@@ -0,0 +1,126 @@
+import { getModel } from '@buydy/se-db';
+import GoogleAuthService from '@buydy/se-google-auth';
+import AppleAuthService from '@buydy/se-apple-auth';
+import { PhoneAuthService, createSmsProvider } from '@buydy/se-auth-core';
+import logger from '@buydy/se-logger';
+
+/**
+ * Authentication configuration
+ *
+ * AUTH_JWT_SECRET      - secret used to sign session tokens (required for sign-in)
+ * AUTH_JWT_EXPIRES_IN  - session token lifetime (default: 7d)
+ * AUTH_ADMIN_EMAILS    - comma separated emails that get the admin role on first sign-in
+ * AUTH_DISABLED        - 'true' skips role checks (local development only)
+ * GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET
+ * APPLE_CLIENT_ID / APPLE_TEAM_ID / APPLE_KEY_ID / APPLE_PRIVATE_KEY
+ * PHONE_AUTH_ENABLED   - 'true' enables phone sign-in with SMS codes
+ * SMS_PROVIDER         - 'console' (default) or 'file' (development providers, refused when
+ *                        NODE_ENV=production as they write codes to logs and files)
+ * SMS_OUTBOX_FILE      - outbox for the file provider (default: ./tmp/sms-outbox.jsonl)
+ * OTP_HASH_SECRET      - key for stored code hashes (default: AUTH_JWT_SECRET)
+ * OTP_TTL_SECONDS / OTP_MAX_ATTEMPTS / OTP_RESEND_INTERVAL_SECONDS
+ */
+export function getAuthConfig() {
+  return {
+    tokenSecret: process.env.AUTH_JWT_SECRET || null,
+    tokenExpiresIn: process.env.AUTH_JWT_EXPIRES_IN || '7d',
+    adminEmails: (process.env.AUTH_ADMIN_EMAILS || '')
+      .split(',')
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean),
+    disabled: process.env.AUTH_DISABLED === 'true',
+  };
+}
+
+function getServiceOptions() {
+  const { tokenSecret, tokenExpiresIn, adminEmails } = getAuthConfig();
+  return {
+    userModel: getModel('users'),
+    tokenSecret,
+    tokenExpiresIn,
+    resolveRole: (userInfo) =>
+      userInfo.email &&
+      userInfo.emailVerified &&
+      adminEmails.includes(String(userInfo.email).toLowerCase())
+        ? 'admin'
+        : 'read-only',
+  };
+}
+
+let googleAuthService = null;
+let appleAuthService = null;
+let phoneAuthService = null;
+
+/**
+ * Google sign-in service, or null when Google is not configured
+ */
+export function getGoogleAuthService() {
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    return null;
+  }
+  if (!googleAuthService) {
+    googleAuthService = new GoogleAuthService(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      getServiceOptions(),
+    );
+  }
+  return googleAuthService;
+}
+
+/**
+ * Apple sign-in service, or null when Apple is not configured
+ */
+export function getAppleAuthService() {
+  if (!process.env.APPLE_CLIENT_ID) {
+    return null;
+  }
+  if (!appleAuthService) {
+    appleAuthService = new AppleAuthService(
+      process.env.APPLE_CLIENT_ID,
+      process.env.APPLE_TEAM_ID,
+      process.env.APPLE_KEY_ID,
+      (process.env.APPLE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+      getServiceOptions(),
+    );
+  }
+  return appleAuthService;
+}
+
+function readIntEnv(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Phone sign-in service, or null when phone sign-in is not enabled. Throws in
+ * production, where only development SMS providers are available.
+ */
+export function getPhoneAuthService() {
+  if (process.env.PHONE_AUTH_ENABLED !== 'true') {
+    return null;
+  }
+  if (!phoneAuthService) {
+    const providerType = process.env.SMS_PROVIDER || 'console';
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        `Phone sign-in needs a production SMS provider: '${providerType}' writes codes to logs instead of phones`,
+      );
+    }
+    const smsProvider = createSmsProvider(providerType, {
+      log: (line) => logger.business(line),
+      filePath: process.env.SMS_OUTBOX_FILE || './tmp/sms-outbox.jsonl',
+    });
+
+    phoneAuthService = new PhoneAuthService({
+      ...getServiceOptions(),
+      verificationModel: getModel('phone_verifications'),
+      smsProvider,
+      hashSecret: process.env.OTP_HASH_SECRET || getAuthConfig().tokenSecret,
+      codeTtlSeconds: readIntEnv('OTP_TTL_SECONDS'),
+      maxAttempts: readIntEnv('OTP_MAX_ATTEMPTS'),
+      resendIntervalSeconds: readIntEnv('OTP_RESEND_INTERVAL_SECONDS'),
+    });
+  }
+  return phoneAuthService;
+}
@@ -0,0 +1,227 @@
+import { getModel } from '@buydy/se-db';
+import { getMetricsMapByType } from '@buydy/iso-business-types';
+import logger from '@buydy/se-logger';
+
+/**
+ * Alerts Controller
+ *
+ * CRUD for the signed-in user's alert rules and the feed of their triggered events.
+ * Rules are evaluated by the scanner's evaluateAlerts job at the end of each cycle.
+ */
+
+const EDITABLE_FIELDS = [
+  'name',
+  'symbol',
+  'metric',
+  'source',
+  'operator',
+  'threshold',
+  'enabled',
+  'channels',
+];
+
+// Changing any of these makes the stored previous values meaningless
+const RULE_FIELDS = ['symbol', 'metric', 'source', 'operator', 'threshold'];
+
+const alertNotFound = (res, id) =>
+  res.status(404).json({
+    error: 'Alert not found',
+    message: `Alert with ID ${id} does not exist`,
+  });
+
+/**
+ * Validate the metric of a rule against metrics.json
+ * @returns {string|null} Error message or null when valid
+ */
+function validateAlertMetric(metric) {
+  if (metric === undefined) return null;
+  if (typeof metric !== 'string' || !getMetricsMapByType()[metric]) {
+    return `Invalid input: unknown metric "${metric}"`;
+  }
+  return null;
+}
+
+function pickEditableFields(body) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  if (fields.symbol === '') {
+    fields.symbol = null;
+  }
+  return fields;
+}
+
+/**
+ * Get the user's alert rules
+ * Query: symbol, enabled
+ */
+export const getAlerts = async (req, res, next) => {
+  try {
+    const { symbol, enabled } = req.query;
+    const Alerts = getModel('alerts');
+
+    const query = { userId: req.user._id };
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (enabled !== undefined) query.enabled = enabled === 'true';
+
+    const alerts = await Alerts.find(query)
+      .select('-lastValues')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ alerts });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single alert rule by ID
+ */
+export const getAlertById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Alerts = getModel('alerts');
+
+    const alert = await Alerts.findOne({ _id: id, userId: req.user._id })
+      .select('-lastValues')
+      .lean();
+    if (!alert) {
+      return alertNotFound(res, id);
+    }
+
+    res.json({ alert });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an alert rule
+ * Body: { name, metric, operator, threshold, symbol?, source?, enabled?, channels? }
+ */
+export const createAlert = async (req, res, next) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    const metricError = validateAlertMetric(fields.metric);
+    if (metricError) {
+      return res.status(400).json({ error: metricError });
+    }
+
+    const Alerts = getModel('alerts');
+    const alert = await Alerts.create({ ...fields, userId: req.user._id });
+
+    logger.business(`[Alerts] Created "${alert.name}" (${alert.metric})`);
+
+    res.status(201).json({ alert });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an alert rule
+ */
+export const updateAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const fields = pickEditableFields(req.body);
+
+    const metricError = validateAlertMetric(fields.metric);
+    if (metricError) {
+      return res.status(400).json({ error: metricError });
+    }
+
+    const Alerts = getModel('alerts');
+    const alert = await Alerts.findOne({ _id: id, userId: req.user._id });
+    if (!alert) {
+      return alertNotFound(res, id);
+    }
+
+    alert.set(fields);
+    if (RULE_FIELDS.some((field) => alert.isModified(field))) {
+      alert.lastValues = [];
+    }
+    await alert.save();
+
+    res.json({ alert });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an alert rule (its events are kept for the feed)
+ */
+export const deleteAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Alerts = getModel('alerts');
+
+    const alert = await Alerts.findOneAndDelete({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!alert) {
+      return alertNotFound(res, id);
+    }
+
+    logger.business(`[Alerts] Deleted "${alert.name}"`);
+
+    res.json({
+      message: 'Alert deleted successfully',
+      alert: { id: alert._id, name: alert.name },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the triggered events feed of the user's rules (newest first)
+ * Query: alertId, symbol, since, limit, skip
+ */
+export const getAlertEvents = async (req, res, next) => {
+  try {
+    const { symbol, since, limit = 50, skip = 0 } = req.query;
+    const alertId = req.params.id || req.query.alertId;
+    const AlertEvents = getModel('alert_events');
+
+    const query = { userId: req.user._id };
+    if (alertId) query.alertId = alertId;
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (since) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({
+          error: 'Invalid input: since must be a valid date',
+        });
+      }
+      query.triggeredAt = { $gte: sinceDate };
+    }
+
+    const events = await AlertEvents.find(query)
+      .sort({ triggeredAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .lean();
+
+    const total = await AlertEvents.countDocuments(query);
+
+    res.json({
+      events,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: parseInt(skip) + parseInt(limit) < total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,204 @@
+import { getModel } from '@buydy/se-db';
+import { removeSensitiveUserFields } from '@buydy/iso-auth-utils';
+import logger from '@buydy/se-logger';
+import {
+  getAuthConfig,
+  getGoogleAuthService,
+  getAppleAuthService,
+  getPhoneAuthService,
+} from '../config/auth.js';
+
+/**
+ * Sign in with a provider ID token ({ token } in the body, as sent by the mobile app)
+ */
+async function signInWithProvider(req, res, next, label, service) {
+  try {
+    const idToken = req.body?.token || req.body?.idToken;
+    if (!idToken || typeof idToken !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid input: token is required',
+      });
+    }
+
+    if (!service) {
+      return res.status(503).json({
+        error: `${label} sign-in is not configured`,
+      });
+    }
+    if (!getAuthConfig().tokenSecret) {
+      return res.status(503).json({
+        error: 'Session tokens are not configured (AUTH_JWT_SECRET)',
+      });
+    }
+
+    let result;
+    try {
+      result = await service.authenticate(idToken);
+    } catch (error) {
+      logger.business(`[Auth] ${label} sign-in rejected`, {
+        error: error.message,
+      });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: error.message,
+      });
+    }
+
+    logger.business(
+      `[Auth] ${label} sign-in for user ${result.user._id} (${result.user.role})`,
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /auth/google
+ */
+export const googleLogin = (req, res, next) =>
+  signInWithProvider(req, res, next, 'Google', getGoogleAuthService());
+
+/**
+ * POST /auth/apple
+ */
+export const appleLogin = (req, res, next) =>
+  signInWithProvider(req, res, next, 'Apple', getAppleAuthService());
+
+/**
+ * Resolve the phone sign-in service, answering 503 when it cannot be used
+ */
+function requirePhoneAuthService(res) {
+  const service = getPhoneAuthService();
+  if (!service) {
+    res.status(503).json({ error: 'Phone sign-in is not configured' });
+    return null;
+  }
+  if (!getAuthConfig().tokenSecret) {
+    res.status(503).json({
+      error: 'Session tokens are not configured (AUTH_JWT_SECRET)',
+    });
+    return null;
+  }
+  return service;
+}
+
+/**
+ * Answer AuthError-style failures (statusCode + details) from the phone service
+ */
+function sendPhoneAuthError(res, error) {
+  if (error.details?.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  return res.status(error.statusCode).json({
+    error: error.message,
+    ...error.details,
+  });
+}
+
+/**
+ * POST /auth/send-verification-code
+ * Body: { phone } in international format
+ */
+export const sendVerificationCode = async (req, res, next) => {
+  try {
+    const { phone } = req.body || {};
+    if (!phone || typeof phone !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid input: phone is required',
+      });
+    }
+
+    const service = requirePhoneAuthService(res);
+    if (!service) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await service.sendVerificationCode(phone);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      logger.business('[Auth] Verification code not sent', {
+        error: error.message,
+      });
+      return sendPhoneAuthError(res, error);
+    }
+
+    res.json({
+      message: 'Verification code sent',
+      expires_at: result.expiresAt.toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /auth/verify-phone
+ * Body: { phone, code }
+ */
+export const verifyPhone = async (req, res, next) => {
+  try {
+    const { phone, code } = req.body || {};
+    if (!phone || typeof phone !== 'string' || !code) {
+      return res.status(400).json({
+        error: 'Invalid input: phone and code are required',
+      });
+    }
+
+    const service = requirePhoneAuthService(res);
+    if (!service) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await service.verifyCode(phone, String(code));
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      logger.business('[Auth] Phone verification rejected', {
+        error: error.message,
+      });
+      return sendPhoneAuthError(res, error);
+    }
+
+    logger.business(
+      `[Auth] Phone sign-in for user ${result.user._id} (${result.user.role})`,
+    );
+    res.json({
+      token: result.token,
+      user: { ...result.user, id: String(result.user._id) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /auth/logout
+ * Revokes every session token of the current user
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const Users = getModel('users');
+    const user = await Users.findById(req.user._id);
+    if (user) {
+      await user.revokeSessions();
+    }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /auth/me
+ */
+export const getCurrentUser = async (req, res) => {
+  res.json({ user: removeSensitiveUserFields(req.user) });
+};
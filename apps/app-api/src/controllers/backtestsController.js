@@ -0,0 +1,244 @@
+import { getModel } from '@buydy/se-db';
+import {
+  validateMetrics,
+  PRICE_PERFORMANCE_METRICS,
+  RANKING_METHODS,
+  RANKING_GROUP_BY,
+} from '@buydy/iso-business-types';
+import logger from '@buydy/se-logger';
+
+/**
+ * Backtests Controller
+ *
+ * Queues the signed-in user's ranking strategy backtests and serves their results.
+ * Backtests are run asynchronously by the scanner (runQueuedBacktests job), which
+ * picks up queued documents from the `backtests` collection.
+ */
+
+const REBALANCE_FREQUENCIES = ['monthly', 'quarterly'];
+const MAX_TOP_N = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) =>
+  typeof value === 'string' &&
+  DATE_PATTERN.test(value) &&
+  !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+const backtestNotFound = (res, id) =>
+  res.status(404).json({
+    error: 'Backtest not found',
+    message: `Backtest with ID ${id} does not exist`,
+  });
+
+/**
+ * Validate a backtest request and apply defaults
+ * @param {Object} body - Request body
+ * @returns {Object} { config } or { error, details }
+ */
+function buildBacktestConfig(body) {
+  const {
+    metrics,
+    weights = {},
+    method = 'weighted',
+    groupBy = 'sector',
+    topN = 20,
+    rebalance = 'monthly',
+    from,
+    to = new Date().toISOString().slice(0, 10),
+    symbols = [],
+    riskFreeRate = 0,
+  } = body;
+
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    return { error: 'Invalid input: metrics array is required' };
+  }
+  const priceMetrics = metrics.filter((metric) =>
+    PRICE_PERFORMANCE_METRICS.has(metric),
+  );
+  if (priceMetrics.length > 0) {
+    return {
+      error: 'Price performance metrics cannot be used for ranking',
+      details: priceMetrics,
+    };
+  }
+  const validation = validateMetrics(metrics);
+  if (!validation.isValid) {
+    return { error: 'Invalid metrics requested', details: validation.invalid };
+  }
+  if (
+    !weights ||
+    typeof weights !== 'object' ||
+    Object.values(weights).some((weight) => !Number.isFinite(weight))
+  ) {
+    return { error: 'Invalid input: weights must map metrics to numbers' };
+  }
+  if (!RANKING_METHODS.includes(method)) {
+    return {
+      error: "Invalid method parameter. Must be 'weighted' or 'geometric'",
+    };
+  }
+  if (!RANKING_GROUP_BY.includes(groupBy)) {
+    return {
+      error: "Invalid groupBy parameter. Must be 'sector' or 'industry'",
+    };
+  }
+  if (!Number.isInteger(topN) || topN < 1 || topN > MAX_TOP_N) {
+    return { error: `Invalid topN parameter. Must be 1-${MAX_TOP_N}` };
+  }
+  if (!REBALANCE_FREQUENCIES.includes(rebalance)) {
+    return {
+      error: "Invalid rebalance parameter. Must be 'monthly' or 'quarterly'",
+    };
+  }
+  if (!isValidDate(from) || !isValidDate(to) || from >= to) {
+    return {
+      error:
+        'Invalid period. from and to must be YYYY-MM-DD dates with from before to',
+    };
+  }
+  if (
+    !Array.isArray(symbols) ||
+    symbols.some((symbol) => typeof symbol !== 'string')
+  ) {
+    return { error: 'Invalid input: symbols must be an array of symbols' };
+  }
+  if (!Number.isFinite(riskFreeRate)) {
+    return { error: 'Invalid input: riskFreeRate must be a number' };
+  }
+
+  return {
+    config: {
+      metrics,
+      weights,
+      method,
+      groupBy,
+      topN,
+      rebalance,
+      from,
+      to,
+      symbols: [...new Set(symbols.map((symbol) => symbol.toUpperCase()))],
+      riskFreeRate,
+    },
+  };
+}
+
+/**
+ * POST /api/v1/backtests
+ * Queue a backtest; poll GET /api/v1/backtests/:id for its status and result
+ *
+ * Body:
+ *   metrics       metric ids to rank on (required)
+ *   weights       metric id -> weight (weighted method)
+ *   method        'weighted' | 'geometric' (default: weighted)
+ *   groupBy       'sector' | 'industry' percentiles (default: sector)
+ *   topN          1-200 companies held (default: 20)
+ *   rebalance     'monthly' | 'quarterly' (default: monthly)
+ *   from, to      'YYYY-MM-DD' (from required, to defaults to today)
+ *   symbols       optional universe restriction
+ *   riskFreeRate  annual rate for the Sharpe ratio (default: 0)
+ *   name          optional label
+ */
+export const createBacktest = async (req, res, next) => {
+  try {
+    const { config, error, details } = buildBacktestConfig(req.body);
+    if (error) {
+      return res.status(400).json({ error, ...(details && { details }) });
+    }
+
+    const Backtests = getModel('backtests');
+    const backtest = await Backtests.create({
+      userId: req.user._id,
+      name: req.body.name || null,
+      config,
+    });
+
+    const { topN, metrics, rebalance, from, to } = config;
+    logger.business(
+      `[Backtests] Queued ${backtest._id}: top ${topN} by ${metrics}, ${rebalance}, ${from} → ${to}`,
+    );
+
+    res.status(202).json({ backtest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the user's backtests (newest first) without their daily equity curves
+ * Query: limit, skip, status
+ */
+export const getBacktests = async (req, res, next) => {
+  try {
+    const { limit = 20, skip = 0, status } = req.query;
+    const Backtests = getModel('backtests');
+
+    const query = { userId: req.user._id, ...(status && { status }) };
+    const backtests = await Backtests.find(query)
+      .select('-result.equityCurve -result.periods')
+      .sort({ queuedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .lean();
+
+    const total = await Backtests.countDocuments(query);
+
+    res.json({
+      backtests,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: parseInt(skip) + parseInt(limit) < total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a backtest with its full result (statistics, rebalances and equity curve)
+ */
+export const getBacktestById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Backtests = getModel('backtests');
+
+    const backtest = await Backtests.findOne({
+      _id: id,
+      userId: req.user._id,
+    }).lean();
+    if (!backtest) {
+      return backtestNotFound(res, id);
+    }
+
+    res.json({ backtest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a backtest
+ */
+export const deleteBacktest = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Backtests = getModel('backtests');
+
+    const backtest = await Backtests.findOneAndDelete({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!backtest) {
+      return backtestNotFound(res, id);
+    }
+
+    res.json({
+      message: 'Backtest deleted successfully',
+      backtest: { id: backtest._id, name: backtest.name },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
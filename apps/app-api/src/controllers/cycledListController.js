@@ -1,4 +1,5 @@
 import { getModel } from '@buydy/se-db';
+import { enqueueJobCommand } from './jobsController.js';
 
 /**
  * Get cycled list status
@@ -70,11 +71,17 @@ export const getCycledListStatus = async (req, res, next) => {
         name: 'syncFundamentalsLargeCap',
         functionName: 'syncFundamentalsLargeCap',
       },
+      {
+        name: 'syncFxRates',
+        functionName: 'syncFxRates',
+      },
       {
         name: 'findAndMarkLargeCapStocks',
         functionName: 'findAndMarkLargeCapStocks',
       },
+      { name: 'syncSplitsLargeCap', functionName: 'syncSplitsLargeCap' },
       { name: 'syncDividendsLargeCap', functionName: 'syncDividendsLargeCap' },
+      { name: 'syncPricesLargeCap', functionName: 'syncPricesLargeCap' },
       {
         name: 'syncTechnicalsLargeCap',
         functionName: 'syncTechnicalsLargeCap',
@@ -89,6 +96,7 @@ export const getCycledListStatus = async (req, res, next) => {
         name: 'syncPricePerformanceLargeCap',
         functionName: 'syncPricePerformanceLargeCap',
       },
+      { name: 'syncEarningsLargeCap', functionName: 'syncEarningsLargeCap' },
       {
         name: 'syncSectorPercentiles',
         functionName: 'syncSectorPercentiles',
@@ -99,6 +107,18 @@ export const getCycledListStatus = async (req, res, next) => {
         functionName: 'syncIndustryPercentiles',
         parallelGroup: 'percentiles',
       },
+      {
+        name: 'evaluateAlerts',
+        functionName: 'evaluateAlerts',
+      },
+      {
+        name: 'runSavedScreens',
+        functionName: 'runSavedScreens',
+      },
+      {
+        name: 'valuePortfolios',
+        functionName: 'valuePortfolios',
+      },
     ];
     // Count only non-skipped jobs for progress calculation
     const expectedTotalJobs = expectedWorkflow.filter(
@@ -109,7 +129,9 @@ export const getCycledListStatus = async (req, res, next) => {
     const currentCycleJobs = await Jobs.find({
       'metadata.cycledListName': statusDoc.name,
       'metadata.cycleNumber': statusDoc.currentCycle,
-    }).lean();
+    })
+      .sort({ scheduledAt: 1 }) // Retried jobs: the latest attempt wins in the map below
+      .lean();
 
     // Create a map of functionName -> job for easier lookup
     const jobMap = new Map();
@@ -423,26 +445,33 @@ function getCycleProgress(status) {
 }
 
 /**
- * Manually pause the cycled list
+ * Enqueue a pause/resume command for the scanner that runs the cycled list
  */
-export const pauseCycledList = async (req, res, next) => {
-  try {
-    const { getCycledList } = await import('@buydy/se-list');
-    const cycledList = getCycledList();
+const enqueueCycledListCommand = async (req, res, type) => {
+  const CycledListStatus = getModel('cycled_list_status');
+  const statusDoc = await CycledListStatus.findOne().sort({ lastUpdated: -1 });
 
-    if (!cycledList.name) {
-      return res.status(400).json({
-        error: 'Cycled list not initialized',
-      });
-    }
+  if (!statusDoc) {
+    return res.status(400).json({
+      error: 'Cycled list not initialized',
+    });
+  }
 
-    await cycledList.pauseManually();
+  const command = await enqueueJobCommand(req, { type });
 
-    res.json({
-      success: true,
-      message: 'Cycled list paused manually',
-      status: cycledList.getStatus(),
-    });
+  res.status(202).json({
+    success: true,
+    message: `Cycled list ${type} queued for the scanner`,
+    command,
+  });
+};
+
+/**
+ * Manually pause the cycled list
+ */
+export const pauseCycledList = async (req, res, next) => {
+  try {
+    await enqueueCycledListCommand(req, res, 'pause');
   } catch (error) {
     next(error);
   }
@@ -453,22 +482,7 @@ export const pauseCycledList = async (req, res, next) => {
  */
 export const resumeCycledList = async (req, res, next) => {
   try {
-    const { getCycledList } = await import('@buydy/se-list');
-    const cycledList = getCycledList();
-
-    if (!cycledList.name) {
-      return res.status(400).json({
-        error: 'Cycled list not initialized',
-      });
-    }
-
-    await cycledList.resumeManually();
-
-    res.json({
-      success: true,
-      message: 'Cycled list resumed manually',
-      status: cycledList.getStatus(),
-    });
+    await enqueueCycledListCommand(req, res, 'resume');
   } catch (error) {
     next(error);
   }
@@ -2,6 +2,9 @@ import { getModel } from '@buydy/se-db';
 import {
   getEndpointTypes,
   getEndpointTypesByCategory,
+  getJobById,
+  getJobCreditQuotas,
+  resolveCreditBudget,
 } from '@buydy/iso-business-types';
 
 /**
@@ -319,6 +322,107 @@ export const getUsageTrends = async (req, res, next) => {
   }
 };
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const addCredits = (target, credits = {}) => {
+  for (const [endpoint, value] of Object.entries(credits)) {
+    target[endpoint] = (target[endpoint] || 0) + value;
+  }
+  return target;
+};
+
+/**
+ * Get the daily EODHD credit budget: each job's quota with its projected and actual spend
+ *
+ * Query:
+ *   date   'YYYY-MM-DD' UTC billing day (default: today)
+ */
+export const getCreditBudget = async (req, res, next) => {
+  try {
+    const { date = new Date().toISOString().slice(0, 10) } = req.query;
+    const dayStart = new Date(`${date}T00:00:00Z`);
+    if (!DATE_PATTERN.test(date) || Number.isNaN(dayStart.getTime())) {
+      return res.status(400).json({
+        error: 'Invalid date parameter. Must be a YYYY-MM-DD date',
+      });
+    }
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+    // Same settings as the scanner, which plans its jobs against this budget
+    const budget = resolveCreditBudget({
+      dailyCredits: process.env.EODHD_DAILY_CREDIT_BUDGET,
+      reserveRatio: process.env.EODHD_CREDIT_RESERVE_RATIO,
+    });
+    const quotas = budget.enabled ? getJobCreditQuotas(budget) : {};
+
+    // Every attempt that called EODHD or planned its spend stores metadata.credits
+    const Jobs = getModel('jobs');
+    const records = await Jobs.find(
+      {
+        startedAt: { $gte: dayStart, $lt: dayEnd },
+        'metadata.credits': { $exists: true },
+      },
+      { name: 1, 'metadata.credits': 1 },
+    ).lean();
+
+    const jobsByName = new Map(
+      Object.entries(quotas).map(([name, quota]) => [
+        name,
+        { name, quota, projected: 0, actual: 0, deferred: 0, runs: 0 },
+      ]),
+    );
+    const byEndpoint = {};
+    for (const { name, metadata } of records) {
+      const credits = metadata.credits;
+      const job = jobsByName.get(name) || {
+        name,
+        quota: null,
+        projected: 0,
+        actual: 0,
+        deferred: 0,
+        runs: 0,
+      };
+      // Jobs without a per-symbol plan are projected at what they spent
+      job.projected += credits.projected ?? credits.actual ?? 0;
+      job.actual += credits.actual || 0;
+      job.deferred += credits.deferred || 0;
+      job.runs++;
+      jobsByName.set(name, job);
+      addCredits(byEndpoint, credits.byEndpoint);
+    }
+
+    const jobs = [...jobsByName.values()]
+      .map((job) => ({
+        ...job,
+        displayName: getJobById(job.name)?.displayName || job.name,
+      }))
+      .sort((a, b) => (b.quota ?? 0) - (a.quota ?? 0) || b.actual - a.actual);
+
+    res.json({
+      budget: {
+        date,
+        dailyCredits: budget.dailyCredits,
+        reserveRatio: budget.reserveRatio,
+        allocatable: budget.allocatable,
+        enabled: budget.enabled,
+      },
+      totals: jobs.reduce(
+        (totals, job) => ({
+          quota: totals.quota + (job.quota ?? 0),
+          projected: totals.projected + job.projected,
+          actual: totals.actual + job.actual,
+          deferred: totals.deferred + job.deferred,
+        }),
+        { quota: 0, projected: 0, actual: 0, deferred: 0 },
+      ),
+      jobs,
+      byEndpoint,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete old usage records
  */
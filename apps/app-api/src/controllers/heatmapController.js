@@ -5,7 +5,10 @@ import {
   validateMetrics,
   getMetricsMapByType,
 } from '@buydy/iso-business-types';
+import { getUniverseFundamentalsMatch } from '@buydy/se-db/src/utils/universeFilter.js';
 import logger from '@buydy/se-logger';
+import { resolveWatchlistSymbols } from './watchlistsController.js';
+import { resolveUniverseParam } from './stocksController.js';
 
 /**
  * Heatmap Controller
@@ -31,8 +34,19 @@ export async function getHeatmapData(req, res) {
       limit = 50,
       offset = 0,
       onlyComplete = 'false', // 'true' | 'false' - only show companies with all selected metrics
+      watchlistId, // optional: restrict companies to a saved watchlist
+      excludeEarningsWithinDays, // optional: hide companies reporting earnings within N days
+      universe: universeId, // optional: universe id from universes.json (default: large-cap)
     } = req.query;
 
+    const { universe, error: universeError } = resolveUniverseParam(universeId);
+    if (universeError) {
+      return res.status(400).json({
+        error: 'Invalid universe',
+        message: universeError,
+      });
+    }
+
     // Parse onlyComplete as boolean
     const showOnlyComplete = onlyComplete === 'true' || onlyComplete === true;
 
@@ -74,9 +88,11 @@ export async function getHeatmapData(req, res) {
     logger.business(
       `[Heatmap] Request → groupBy=${groupBy}, groupName=${
         groupName || 'All'
-      }, metrics=${metricsArray.join(
+      }, universe=${universe.id}, metrics=${metricsArray.join(
         ', ',
-      )}, onlyComplete=${showOnlyComplete}, limit=${limit}, offset=${offset}`,
+      )}, onlyComplete=${showOnlyComplete}, excludeEarningsWithinDays=${
+        excludeEarningsWithinDays ?? 'none'
+      }, limit=${limit}, offset=${offset}`,
     );
 
     const buildFieldExpression = (rootField, pathSegments) =>
@@ -156,6 +172,21 @@ export async function getHeatmapData(req, res) {
       });
     }
 
+    const earningsWindowDays =
+      excludeEarningsWithinDays === undefined ||
+      excludeEarningsWithinDays === ''
+        ? null
+        : Number(excludeEarningsWithinDays);
+    if (
+      earningsWindowDays !== null &&
+      (!Number.isInteger(earningsWindowDays) || earningsWindowDays < 0)
+    ) {
+      return res.status(400).json({
+        error:
+          'Invalid excludeEarningsWithinDays parameter. Must be a non-negative integer',
+      });
+    }
+
     const Fundamentals = getModel('fundamentals');
     // const Metrics = getModel('metrics');
 
@@ -189,6 +220,20 @@ export async function getHeatmapData(req, res) {
       }
     }
 
+    if (watchlistId) {
+      const watchlistSymbols = await resolveWatchlistSymbols(
+        watchlistId,
+        req.user,
+      );
+      if (!watchlistSymbols) {
+        return res.status(404).json({
+          error: 'Watchlist not found',
+          message: `Watchlist with ID ${watchlistId} does not exist`,
+        });
+      }
+      fundamentalsMatch.symbol = { $in: watchlistSymbols };
+    }
+
     const percentilesField = groupBy === 'industry' ? 'industry' : 'sector';
 
     // Get the first metrics document from the lookup result
@@ -233,21 +278,41 @@ export async function getHeatmapData(req, res) {
       },
     };
 
-    // Use aggregation to join with metrics, filtering by large-cap directly from fundamentals
+    // Hide companies whose next earnings report (metrics.nextEarningsDate, written by
+    // syncEarningsLargeCap) falls between today and today + N days
+    const createEarningsWindowMatchStage = () => {
+      if (earningsWindowDays === null) {
+        return null;
+      }
+
+      const windowStart = new Date();
+      windowStart.setUTCHours(0, 0, 0, 0);
+      const windowEnd = new Date(
+        windowStart.getTime() + earningsWindowDays * 24 * 60 * 60 * 1000,
+      );
+
+      return {
+        $match: {
+          'metricsDoc.nextEarningsDate': {
+            $not: { $gte: windowStart, $lte: windowEnd },
+          },
+        },
+      };
+    };
+
+    const earningsWindowMatchStage = createEarningsWindowMatchStage();
+
+    // Use aggregation to join with metrics, filtering by the universe directly from fundamentals
     // OPTIMIZED: Filter by MarketCapitalization directly in fundamentals (no expensive $lookup needed)
     // Market cap is stored in fundamentals.Highlights.MarketCapitalization from EODHD API
+    // The universe gets its own $match so its $or/symbol conditions never clash with the group filters
+    const universeMatchStage = {
+      $match: getUniverseFundamentalsMatch(universe),
+    };
     const buildPipeline = (requireCompleteness = false) => {
       const pipelineStages = [
-        {
-          $match: {
-            ...(Object.keys(fundamentalsMatch).length > 0
-              ? fundamentalsMatch
-              : {}),
-            'fundamentals.Highlights.MarketCapitalization': {
-              $gte: 1000000000,
-            },
-          },
-        },
+        universeMatchStage,
+        { $match: fundamentalsMatch },
         {
           $lookup: {
             from: 'metrics',
@@ -259,6 +324,10 @@ export async function getHeatmapData(req, res) {
         metricsDocStage,
       ];
 
+      if (earningsWindowMatchStage) {
+        pipelineStages.push(earningsWindowMatchStage);
+      }
+
       // Only apply metrics existence filter when requireCompleteness is true
       // When false, show all companies regardless of metrics
       if (metricsExistenceMatchStage) {
@@ -287,16 +356,8 @@ export async function getHeatmapData(req, res) {
 
     const buildCountPipeline = (requireCompleteness = false) => {
       const stages = [
-        {
-          $match: {
-            ...(Object.keys(fundamentalsMatch).length > 0
-              ? fundamentalsMatch
-              : {}),
-            'fundamentals.Highlights.MarketCapitalization': {
-              $gte: 1000000000,
-            },
-          },
-        },
+        universeMatchStage,
+        { $match: fundamentalsMatch },
         {
           $lookup: {
             from: 'metrics',
@@ -308,6 +369,10 @@ export async function getHeatmapData(req, res) {
         metricsDocStage,
       ];
 
+      if (earningsWindowMatchStage) {
+        stages.push(earningsWindowMatchStage);
+      }
+
       // Only apply metrics existence filter when requireCompleteness is true
       // When false, show all companies regardless of metrics
       // Use the same stages as the main pipeline
@@ -395,7 +460,9 @@ export async function getHeatmapData(req, res) {
     res.json({
       group: groupName || 'All',
       groupBy,
+      universe: universe.id,
       metrics: metricsArray,
+      excludeEarningsWithinDays: earningsWindowDays,
       companies: companiesData,
       pagination: {
         total: totalCount,
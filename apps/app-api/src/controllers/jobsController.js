@@ -228,7 +228,25 @@ export const updateJob = async (req, res, next) => {
 };
 
 /**
- * Run a job (create new job with same name and trigger execution)
+ * Enqueue a command for the scanner (see se-db JobCommands). The scanner claims
+ * it on its next poll and reports back to the command and its `jobs` record.
+ * @param {Object} req - Express request (for requestedBy)
+ * @param {Object} command - { type, jobName, jobId, params }
+ * @returns {Promise<Object>} The queued command
+ */
+export const enqueueJobCommand = (req, command) => {
+  const JobCommands = getModel('job_commands');
+  return JobCommands.create({
+    ...command,
+    status: 'queued',
+    queuedAt: new Date(),
+    requestedBy: req.user?.email || null,
+  });
+};
+
+/**
+ * Run a job now: create a new `jobs` record with the same name and enqueue a
+ * run command for the scanner, which executes it and updates that record
  */
 export const runJob = async (req, res, next) => {
   try {
@@ -244,7 +262,7 @@ export const runJob = async (req, res, next) => {
       });
     }
 
-    // Check if a job with the same name is already running
+    // Check if a job with the same name is already running or queued
     const runningJob = await Jobs.findOne({
       name: existingJob.name,
       status: 'running',
@@ -258,65 +276,139 @@ export const runJob = async (req, res, next) => {
       });
     }
 
-    // Create a new job with the same name and metadata
-    const newJob = new Jobs({
+    const JobCommands = getModel('job_commands');
+    const pendingCommand = await JobCommands.findOne({
+      type: 'run',
+      jobName: existingJob.name,
+      status: { $in: ['queued', 'claimed'] },
+    });
+
+    if (pendingCommand) {
+      return res.status(409).json({
+        error: 'Job already queued',
+        message: `A run of "${existingJob.name}" is already queued`,
+        runningJobId: pendingCommand.jobId,
+        commandId: pendingCommand._id,
+      });
+    }
+
+    // Keep the new record out of the cycled list's cycle bookkeeping
+    const metadata = { ...(existingJob.metadata || {}) };
+    delete metadata.cycledListName;
+    delete metadata.cycleNumber;
+
+    const newJob = await Jobs.create({
       name: existingJob.name,
-      metadata: existingJob.metadata || {},
+      metadata: { ...metadata, trigger: 'command' },
       status: 'scheduled',
       scheduledAt: new Date(),
       cronExpression: existingJob.cronExpression,
       timezone: existingJob.timezone,
     });
 
-    await newJob.save();
-
-    // Trigger actual job execution using makeJob with runNow
-    try {
-      // Import makeJob from the scanner package
-      const { makeJob } = await import(
-        '@buydy/app-stocks-scanner/src/jobs/makeJob.js'
-      );
-
-      // Get the job function from the job function map
-      const { getJobsMapByType } = await import('@buydy/iso-business-types');
-      const jobsMap = getJobsMapByType();
-      const jobType = jobsMap[existingJob.name];
-
-      if (jobType && jobType.function) {
-        // Execute the job immediately
-        makeJob(jobType.function, {
-          name: existingJob.name,
-          cron: '0 0 0 1 1 *', // Dummy cron (won't be used since runNow=true)
-          runNow: true,
-          timezone: existingJob.timezone || 'UTC',
-        });
+    const command = await enqueueJobCommand(req, {
+      type: 'run',
+      jobName: existingJob.name,
+      jobId: newJob._id,
+      params: metadata.universe ? { universe: metadata.universe } : {},
+    });
 
-        res.status(201).json({
-          message: 'Job execution triggered successfully',
-          job: newJob,
-          executionStarted: true,
-        });
-      } else {
-        // If we can't find the job function, just mark as scheduled
-        res.status(201).json({
-          message:
-            'Job scheduled successfully (job function not found for immediate execution)',
-          job: newJob,
-          executionStarted: false,
-        });
-      }
-    } catch (executionError) {
-      logger.business('Failed to trigger job execution', {
-        error: executionError.message,
+    logger.business(
+      `[Jobs] Queued run of ${existingJob.name} (job ${newJob._id}, command ${command._id})`,
+    );
+
+    res.status(202).json({
+      message: 'Job queued for the scanner',
+      job: newJob,
+      command,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a job started by a run command. A queued run is cancelled right away
+ * by the scanner; a running one stops at its next progress update.
+ */
+export const cancelJob = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const job = await Jobs.findById(id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `Job with ID ${id} does not exist`,
       });
-      // Still return success since the job record was created
-      res.status(201).json({
-        message: 'Job created successfully (execution trigger failed)',
-        job: newJob,
-        executionStarted: false,
-        warning: 'Could not trigger immediate execution',
+    }
+
+    if (!['scheduled', 'running', 'retrying'].includes(job.status)) {
+      return res.status(409).json({
+        error: 'Job not active',
+        message: `Job with ID ${id} is already ${job.status}`,
       });
     }
+
+    const command = await enqueueJobCommand(req, {
+      type: 'cancel',
+      jobName: job.name,
+      jobId: job._id,
+    });
+
+    res.status(202).json({
+      message: 'Cancel queued for the scanner',
+      job,
+      command,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get job commands (newest first), optionally filtered by status, type or job
+ */
+export const getJobCommands = async (req, res, next) => {
+  try {
+    const { status, type, jobId, limit = 50 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (jobId) query.jobId = jobId;
+
+    const JobCommands = getModel('job_commands');
+    const commands = await JobCommands.find(query)
+      .sort({ queuedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+
+    res.json({ commands });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a job command by ID (poll it after a run/cancel/pause request)
+ */
+export const getJobCommandById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const JobCommands = getModel('job_commands');
+    const command = await JobCommands.findById(id).lean();
+
+    if (!command) {
+      return res.status(404).json({
+        error: 'Job command not found',
+        message: `Job command with ID ${id} does not exist`,
+      });
+    }
+
+    res.json({ command });
   } catch (error) {
     next(error);
   }
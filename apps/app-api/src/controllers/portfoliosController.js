@@ -0,0 +1,390 @@
+import { getModel } from '@buydy/se-db';
+import logger from '@buydy/se-logger';
+
+/**
+ * Portfolios Controller
+ *
+ * The signed-in user's holdings (purchase lots) and cash, edited directly or by
+ * importing transactions. Market values, unrealized P/L in the base currency
+ * and the 12-month dividend income calendar are computed by the scanner after
+ * each cycle (valuePortfolios job) and returned in `valuation`.
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+const CSV_NUMBER_COLUMNS = ['quantity', 'price', 'amount', 'fees'];
+
+const portfolioNotFound = (res, id) =>
+  res.status(404).json({
+    error: 'Portfolio not found',
+    message: `Portfolio with ID ${id} does not exist`,
+  });
+
+// Holdings or cash changed since the scanner last valued the portfolio
+const isValuationStale = (portfolio) =>
+  !portfolio.valuedAt ||
+  new Date(portfolio.valuedAt) < new Date(portfolio.holdingsUpdatedAt);
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("" escapes a quote)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Parse a transactions CSV export
+ * Header (any order, case-insensitive): date, type, symbol, quantity, price,
+ * amount, currency, fees. Only date and type are required columns.
+ * @param {string} csv - CSV text
+ * @returns {Object} { transactions } or { error }
+ */
+function parseTransactionsCsv(csv) {
+  const lines = csv.split(/\r?\n/);
+  const header = parseCsvLine(lines[0] || '').map((column) =>
+    column.toLowerCase(),
+  );
+
+  const missing = ['date', 'type'].filter((column) => !header.includes(column));
+  if (missing.length > 0) {
+    return { error: `CSV header is missing: ${missing.join(', ')}` };
+  }
+
+  const transactions = [];
+  lines.slice(1).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const values = parseCsvLine(line);
+    // Rows are numbered like the file (the header is row 1)
+    const transaction = { row: index + 2 };
+    header.forEach((column, columnIndex) => {
+      const value = values[columnIndex];
+      if (value === undefined || value === '') return;
+      transaction[column] = CSV_NUMBER_COLUMNS.includes(column)
+        ? Number(value.replace(/[\s,]/g, ''))
+        : value;
+    });
+    transactions.push(transaction);
+  });
+
+  return { transactions };
+}
+
+/**
+ * Get the user's portfolios (most recently updated first) with valuation totals
+ */
+export const getPortfolios = async (req, res, next) => {
+  try {
+    const Portfolios = getModel('portfolios');
+    const portfolios = await Portfolios.find({ userId: req.user._id })
+      .select('-valuation.positions -valuation.incomeCalendar')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      portfolios: portfolios.map((portfolio) => ({
+        ...portfolio,
+        holdingsCount: portfolio.holdings.length,
+        valuationStale: isValuationStale(portfolio),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a portfolio with its lots, cash and latest valuation
+ */
+export const getPortfolioById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Portfolios = getModel('portfolios');
+
+    const portfolio = await Portfolios.findOne({
+      _id: id,
+      userId: req.user._id,
+    }).lean();
+    if (!portfolio) {
+      return portfolioNotFound(res, id);
+    }
+
+    res.json({
+      portfolio: { ...portfolio, valuationStale: isValuationStale(portfolio) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a portfolio
+ * Body: { name, description?, baseCurrency?, cash?: [{ currency, amount }] }
+ */
+export const createPortfolio = async (req, res, next) => {
+  try {
+    const { name, description, baseCurrency, cash = [] } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Invalid input: name is required',
+      });
+    }
+
+    if (!Array.isArray(cash)) {
+      return res.status(400).json({
+        error: 'Invalid input: cash must be an array of { currency, amount }',
+      });
+    }
+
+    const Portfolios = getModel('portfolios');
+    const portfolio = await Portfolios.create({
+      userId: req.user._id,
+      name,
+      description,
+      baseCurrency,
+      cash,
+    });
+
+    logger.business(
+      `[Portfolios] Created "${portfolio.name}" (${portfolio.baseCurrency})`,
+    );
+
+    res.status(201).json({ portfolio });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a portfolio (name, description, base currency and/or cash balances)
+ */
+export const updatePortfolio = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, baseCurrency, cash } = req.body;
+
+    if (cash !== undefined && !Array.isArray(cash)) {
+      return res.status(400).json({
+        error: 'Invalid input: cash must be an array of { currency, amount }',
+      });
+    }
+
+    const Portfolios = getModel('portfolios');
+    const portfolio = await Portfolios.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!portfolio) {
+      return portfolioNotFound(res, id);
+    }
+
+    if (name !== undefined) portfolio.name = name;
+    if (description !== undefined) portfolio.description = description;
+    if (baseCurrency !== undefined) portfolio.baseCurrency = baseCurrency;
+    if (cash !== undefined) portfolio.cash = cash;
+    if (baseCurrency !== undefined || cash !== undefined) {
+      portfolio.holdingsUpdatedAt = new Date();
+    }
+
+    await portfolio.save();
+
+    res.json({ portfolio });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a purchase lot (does not change cash)
+ * Body: { symbol, date, quantity, price, currency?, fees? }
+ */
+export const addPortfolioLot = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { symbol, date, quantity, price, currency, fees = 0 } = req.body;
+
+    if (!symbol || typeof symbol !== 'string' || !symbol.trim()) {
+      return res.status(400).json({
+        error: 'Invalid input: symbol is required',
+      });
+    }
+
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return res.status(400).json({
+        error: 'Invalid input: quantity must be a positive number',
+      });
+    }
+
+    if (!Number.isFinite(price) || price < 0) {
+      return res.status(400).json({
+        error: 'Invalid input: price must be a non-negative number',
+      });
+    }
+
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        error: 'Invalid input: date is required',
+      });
+    }
+
+    const Portfolios = getModel('portfolios');
+    const portfolio = await Portfolios.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!portfolio) {
+      return portfolioNotFound(res, id);
+    }
+
+    portfolio.addLot(symbol, {
+      date: new Date(date),
+      quantity,
+      price,
+      currency: currency || portfolio.baseCurrency,
+      fees,
+    });
+    await portfolio.save();
+
+    res.status(201).json({ portfolio });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a lot
+ */
+export const removePortfolioLot = async (req, res, next) => {
+  try {
+    const { id, lotId } = req.params;
+    const Portfolios = getModel('portfolios');
+
+    const portfolio = await Portfolios.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!portfolio) {
+      return portfolioNotFound(res, id);
+    }
+
+    if (!portfolio.removeLot(lotId)) {
+      return res.status(404).json({
+        error: 'Lot not found',
+        message: `Lot with ID ${lotId} does not exist in this portfolio`,
+      });
+    }
+    await portfolio.save();
+
+    res.json({ portfolio });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import transactions into lots and cash
+ * Body: { csv } (see parseTransactionsCsv) or { transactions: [...] }
+ * Types: BUY, SELL (closes lots first in, first out), DEPOSIT, WITHDRAWAL,
+ * DIVIDEND. Invalid rows are reported in `rejected`; the others are applied.
+ */
+export const importPortfolioTransactions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { csv } = req.body;
+    let { transactions } = req.body;
+
+    if (typeof csv === 'string') {
+      const parsed = parseTransactionsCsv(csv);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      transactions = parsed.transactions;
+    }
+
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input: csv text or a transactions array is required',
+      });
+    }
+
+    if (transactions.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Too many transactions: at most ${MAX_IMPORT_ROWS} per import`,
+      });
+    }
+
+    const Portfolios = getModel('portfolios');
+    const portfolio = await Portfolios.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!portfolio) {
+      return portfolioNotFound(res, id);
+    }
+
+    const { applied, rejected } = await portfolio.applyTransactions(
+      transactions,
+    );
+
+    logger.business(
+      `[Portfolios] Imported ${applied}/${transactions.length} transactions into "${portfolio.name}"`,
+    );
+
+    res.json({ applied, rejected, portfolio });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a portfolio
+ */
+export const deletePortfolio = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Portfolios = getModel('portfolios');
+
+    const portfolio = await Portfolios.findOneAndDelete({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!portfolio) {
+      return portfolioNotFound(res, id);
+    }
+
+    logger.business(`[Portfolios] Deleted "${portfolio.name}"`);
+
+    res.json({
+      message: 'Portfolio deleted successfully',
+      portfolio: { id: portfolio._id, name: portfolio.name },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
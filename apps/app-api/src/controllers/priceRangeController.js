@@ -1,5 +1,6 @@
 import { getModel } from '@buydy/se-db';
 import logger from '@buydy/se-logger';
+import { resolveWatchlistSymbols } from './watchlistsController.js';
 
 /**
  * Price Range Controller
@@ -151,7 +152,19 @@ export async function filterStocksByPriceRange(symbols, filters) {
  */
 export async function filterPriceRange(req, res) {
   try {
-    const { symbols, filters } = req.body;
+    const { watchlistId, filters } = req.body;
+    let { symbols } = req.body;
+
+    // A saved watchlist can be used instead of an explicit symbols array
+    if (watchlistId) {
+      symbols = await resolveWatchlistSymbols(watchlistId, req.user);
+      if (!symbols) {
+        return res.status(404).json({
+          error: 'Watchlist not found',
+          message: `Watchlist with ID ${watchlistId} does not exist`,
+        });
+      }
+    }
 
     // Validate input
     if (!symbols || !Array.isArray(symbols)) {
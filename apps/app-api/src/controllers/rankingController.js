@@ -1,10 +1,13 @@
 import { getModel } from '@buydy/se-db';
 import { filterStocksByPriceRange } from './priceRangeController.js';
+import { resolveWatchlistSymbols } from './watchlistsController.js';
 import {
-  getMetricsMapByType,
   validateMetrics,
+  calculateRankingScore,
+  PRICE_PERFORMANCE_METRICS,
+  RANKING_METHODS,
+  RANKING_GROUP_BY,
 } from '@buydy/iso-business-types';
-import { geometricMean, clamp } from '@buydy/iso-js';
 import logger from '@buydy/se-logger';
 
 /**
@@ -14,142 +17,6 @@ import logger from '@buydy/se-logger';
  * Handles bulk operations: accepts symbols array and fetches data from database.
  */
 
-const metricsMeta = getMetricsMapByType();
-const INVERTED_CATEGORIES = new Set(['debt', 'leverage']);
-const PRICE_PERFORMANCE_METRICS = new Set([
-  'PriceChange1W',
-  'PriceChange1M',
-  'PriceChange3M',
-  'PriceChange6M',
-  'PriceChange1Y',
-]);
-
-function transformPercentile(metricKey, percentile) {
-  if (
-    percentile === null ||
-    percentile === undefined ||
-    Number.isNaN(percentile)
-  ) {
-    return null;
-  }
-
-  const metricConfig = metricsMeta[metricKey];
-  if (metricConfig && INVERTED_CATEGORIES.has(metricConfig.category)) {
-    const inverted = 1 - percentile;
-    return Math.max(0, Math.min(1, inverted));
-  }
-
-  return percentile;
-}
-
-/**
- * Get nested value from object using dot notation path
- */
-function getNestedValue(source, pathSegments) {
-  return pathSegments.reduce((acc, key) => {
-    if (acc === null || acc === undefined) {
-      return undefined;
-    }
-    return acc[key];
-  }, source);
-}
-
-/**
- * Calculate weighted percentile score
- * Uses equal weighting (1/n for n metrics) if weights not provided
- */
-function calculateWeightedRank(company, metrics, weights = {}) {
-  let totalWeight = 0;
-  let weightedSum = 0;
-
-  metrics.forEach((metricKey) => {
-    // Map metric key to dbField path (e.g., "ValuationDCF_Upside" -> "valuationDCF.upsidePct")
-    const metricConfig = metricsMeta[metricKey];
-    const dbField = metricConfig?.dbField || metricKey;
-    const pathSegments = dbField.split('.');
-
-    // Get percentile value using dbField path
-    const percentileValue = getNestedValue(company.percentiles, pathSegments);
-
-    // Company percentiles are already filtered by sector/industry
-    const percentile = transformPercentile(metricKey, percentileValue);
-
-    // Use provided weight or default to 1 (equal weighting)
-    const weight = weights[metricKey] || 1;
-
-    if (percentile !== null && percentile !== undefined && !isNaN(percentile)) {
-      weightedSum += percentile * weight;
-      totalWeight += weight;
-    }
-  });
-
-  return totalWeight > 0 ? weightedSum / totalWeight : 0;
-}
-
-/**
- * Calculate geometric mean percentile score
- * ACCURACY: If metric is selected but missing/null, it's treated as 0 (penalty)
- * ACCURACY: If any percentile is 0, geometric mean is 0 (mathematically correct)
- * ACCURACY: All selected metrics must be included in calculation
- *
- * @param {Object} company - Company object with percentiles
- * @param {Array<string>} metrics - Array of metric keys to include
- * @param {Object} _weights - Optional weights for each metric (not used in geometric mean, but kept for API compatibility)
- * @returns {number} Geometric mean score (0-1), or 0 if any metric is missing/zero
- */
-function calculateGeometricMeanRank(company, metrics, _weights = {}) {
-  if (!metrics || metrics.length === 0) {
-    return 0;
-  }
-
-  // Collect all percentile values for selected metrics
-  // CRITICAL: Include ALL selected metrics, even if null/undefined (treat as 0)
-  const percentileValues = [];
-
-  metrics.forEach((metricKey) => {
-    // Map metric key to dbField path
-    const metricConfig = metricsMeta[metricKey];
-    const dbField = metricConfig?.dbField || metricKey;
-    const pathSegments = dbField.split('.');
-
-    // Get percentile value using dbField path
-    const percentileValue = getNestedValue(company.percentiles, pathSegments);
-
-    // Transform percentile (invert debt/leverage metrics)
-    const percentile = transformPercentile(metricKey, percentileValue);
-
-    // ACCURACY: If metric is selected but missing/null, treat as 0 (penalty)
-    // This ensures companies with incomplete data are penalized
-    let valueToUse = 0;
-
-    if (
-      percentile !== null &&
-      percentile !== undefined &&
-      !Number.isNaN(percentile) &&
-      Number.isFinite(percentile)
-    ) {
-      // Clamp percentile to [0, 1] for safety
-      valueToUse = clamp(percentile, 0, 1);
-    }
-    // else: valueToUse remains 0 (penalty for missing metric)
-
-    percentileValues.push(valueToUse);
-  });
-
-  // ACCURACY: If any value is 0, geometric mean is 0 (mathematically correct)
-  // This is the key property: one weak/missing metric zeros out the entire score
-  if (percentileValues.some((v) => v === 0)) {
-    return 0;
-  }
-
-  // ACCURACY: All values must be positive (> 0) for geometric mean
-  // Use iso geometricMean function which handles the log-based calculation accurately
-  const result = geometricMean(percentileValues, 0);
-
-  // Ensure result is between 0 and 1
-  return clamp(result, 0, 1);
-}
-
 /**
  * POST /api/v1/ranking/calculate
  *
@@ -162,7 +29,8 @@ export async function calculateRanking(req, res) {
   try {
     logger.debug('=== CALCULATE RANKING CALLED (BULK MODE) ===');
     const {
-      symbols,
+      symbols: requestSymbols,
+      watchlistId, // optional: rank a saved watchlist instead of an explicit symbols array
       metrics,
       weights,
       method = 'weighted', // 'weighted' | 'geometric' - ranking method
@@ -186,14 +54,15 @@ export async function calculateRanking(req, res) {
         : {};
 
     // Validate method
-    if (!['weighted', 'geometric'].includes(method)) {
+    if (!RANKING_METHODS.includes(method)) {
       return res.status(400).json({
         error: "Invalid method parameter. Must be 'weighted' or 'geometric'",
       });
     }
 
     logger.debug('Request body', {
-      symbolsCount: symbols?.length,
+      symbolsCount: requestSymbols?.length,
+      watchlistId,
       requestedMetricsCount: requestedMetrics.length,
       sanitizedMetricsCount: sanitizedMetrics.length,
       excludedPriceMetricsCount: excludedPriceMetrics.length,
@@ -208,6 +77,17 @@ export async function calculateRanking(req, res) {
       });
     }
 
+    let symbols = requestSymbols;
+    if (watchlistId) {
+      symbols = await resolveWatchlistSymbols(watchlistId, req.user);
+      if (!symbols) {
+        return res.status(404).json({
+          error: 'Watchlist not found',
+          message: `Watchlist with ID ${watchlistId} does not exist`,
+        });
+      }
+    }
+
     // Validate input
     if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
       return res.status(400).json({
@@ -223,7 +103,7 @@ export async function calculateRanking(req, res) {
     }
 
     // Validate groupBy
-    if (!['sector', 'industry'].includes(groupBy)) {
+    if (!RANKING_GROUP_BY.includes(groupBy)) {
       return res.status(400).json({
         error: "Invalid groupBy parameter. Must be 'sector' or 'industry'",
       });
@@ -329,28 +209,12 @@ export async function calculateRanking(req, res) {
             ? company.percentiles?.industry
             : company.percentiles?.sector;
 
-        // Build company object in expected format
-        const companyData = {
-          symbol: company.symbol,
-          percentiles: percentileSource || {},
-        };
-
         // Calculate score using selected method
-        let score;
-        if (method === 'geometric') {
-          score = calculateGeometricMeanRank(
-            companyData,
-            sanitizedMetrics,
-            sanitizedWeights,
-          );
-        } else {
-          // Default to weighted average
-          score = calculateWeightedRank(
-            companyData,
-            sanitizedMetrics,
-            sanitizedWeights,
-          );
-        }
+        const score = calculateRankingScore(
+          percentileSource || {},
+          sanitizedMetrics,
+          { weights: sanitizedWeights, method },
+        );
 
         return {
           symbol: company.symbol,
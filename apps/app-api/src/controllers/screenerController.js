@@ -0,0 +1,248 @@
+import { getModel } from '@buydy/se-db';
+import {
+  getScreenerFieldPath,
+  compileScreenerMatch,
+  buildScreenerMatchStages,
+} from '@buydy/se-db/src/utils/screenerPipeline.js';
+import {
+  parseScreenerQuery,
+  validateScreenerQuery,
+  normalizeScreenerQuery,
+} from '@buydy/iso-business-types';
+import logger from '@buydy/se-logger';
+import {
+  resolveCurrencyConversion,
+  resolveUniverseParam,
+} from './stocksController.js';
+
+/**
+ * Screener Controller
+ *
+ * Runs screener queries (see iso-business-types screenerQuery.js) against the companies
+ * of a universe (large cap by default). The expression tree is compiled into a single aggregation over
+ * fundamentals joined with metrics, with sorting and paging done in the database.
+ */
+
+const MAX_LIMIT = 500;
+
+const getNestedValue = (source, path) =>
+  path.split('.').reduce((acc, key) => {
+    if (acc === null || acc === undefined) {
+      return undefined;
+    }
+    return acc[key];
+  }, source);
+
+/**
+ * Parse and validate a screener query and its sort field
+ * @param {Object|string} query - Expression tree or its text form
+ * @param {string} sortBy - Screener field to sort by
+ * @returns {Object} { tree, fields, sortField } with the normalized tree, or
+ *   { error, details } when the query or sort field is invalid
+ */
+export function prepareScreenerQuery(query, sortBy = 'marketCap') {
+  let tree = query;
+  if (typeof query === 'string') {
+    try {
+      tree = parseScreenerQuery(query);
+    } catch (error) {
+      return { error: 'Invalid screener query', details: [error.message] };
+    }
+  }
+
+  if (!tree) {
+    return { error: 'Invalid input: query is required' };
+  }
+
+  const validation = validateScreenerQuery(tree);
+  if (!validation.isValid) {
+    return { error: 'Invalid screener query', details: validation.errors };
+  }
+
+  // sortBy accepts the same fields as the query
+  const sortValidation = validateScreenerQuery({
+    field: sortBy,
+    op: 'ne',
+    value: null,
+  });
+  if (!sortValidation.isValid) {
+    return { error: `Invalid sortBy parameter: ${sortBy}` };
+  }
+
+  const sortField = sortValidation.fields[sortBy];
+  return {
+    tree: normalizeScreenerQuery(tree),
+    fields: { ...validation.fields, [sortBy]: sortField },
+    sortField,
+  };
+}
+
+/**
+ * POST /api/v1/screener
+ *
+ * Body:
+ *   query      expression tree or its text form (required)
+ *   sortBy     any screener field (default: marketCap)
+ *   sortOrder  'asc' | 'desc' (default: desc)
+ *   limit      1-500 (default: 50)
+ *   offset     (default: 0)
+ *   universe   universe id from universes.json (default: large-cap)
+ *
+ * Query:
+ *   currency   return market caps in this currency (default: reporting currency)
+ */
+export async function runScreener(req, res) {
+  try {
+    const {
+      query,
+      sortBy = 'marketCap',
+      sortOrder = 'desc',
+      limit = 50,
+      offset = 0,
+      universe: universeId,
+    } = req.body;
+
+    const prepared = prepareScreenerQuery(query, sortBy);
+    if (prepared.error) {
+      return res.status(400).json({
+        error: prepared.error,
+        ...(prepared.details && { details: prepared.details }),
+      });
+    }
+
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      return res.status(400).json({
+        error: "Invalid sortOrder parameter. Must be 'asc' or 'desc'",
+      });
+    }
+
+    const parsedLimit = parseInt(limit);
+    const parsedOffset = parseInt(offset);
+    if (
+      !Number.isInteger(parsedLimit) ||
+      parsedLimit < 1 ||
+      parsedLimit > MAX_LIMIT ||
+      !Number.isInteger(parsedOffset) ||
+      parsedOffset < 0
+    ) {
+      return res.status(400).json({
+        error: `Invalid paging parameters. limit must be 1-${MAX_LIMIT} and offset >= 0`,
+      });
+    }
+
+    const { universe, error: universeError } = resolveUniverseParam(universeId);
+    if (universeError) {
+      return res.status(400).json({ error: universeError });
+    }
+
+    const conversion = await resolveCurrencyConversion(req.query.currency);
+    if (conversion?.error) {
+      return res.status(400).json({ error: conversion.error });
+    }
+
+    const { tree, fields, sortField } = prepared;
+    const filter = compileScreenerMatch(tree, fields);
+    const sortPath = getScreenerFieldPath(sortField);
+
+    logger.business(
+      `[Screener] Request → fields=${Object.keys(fields).join(
+        ', ',
+      )}, universe=${
+        universe.id
+      }, sortBy=${sortBy} ${sortOrder}, limit=${parsedLimit}, offset=${parsedOffset}`,
+    );
+
+    const pipeline = [
+      ...buildScreenerMatchStages(filter, universe),
+      {
+        $facet: {
+          companies: [
+            {
+              $sort: {
+                [sortPath]: sortOrder === 'asc' ? 1 : -1,
+                symbol: 1,
+              },
+            },
+            { $skip: parsedOffset },
+            { $limit: parsedLimit },
+            {
+              $project: {
+                symbol: 1,
+                fundamentals: {
+                  General: {
+                    Name: 1,
+                    Sector: 1,
+                    Industry: 1,
+                    Exchange: 1,
+                    CurrencyCode: 1,
+                  },
+                  Highlights: 1,
+                },
+                metricsDoc: 1,
+              },
+            },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ];
+
+    const Fundamentals = getModel('fundamentals');
+    const [result] = await Fundamentals.aggregate(pipeline);
+    const totalCount = result?.total[0]?.count || 0;
+
+    const companies = (result?.companies || []).map((company) => ({
+      symbol: company.symbol,
+      name: company.fundamentals?.General?.Name || null,
+      sector: company.fundamentals?.General?.Sector || 'Unknown',
+      industry: company.fundamentals?.General?.Industry || 'Unknown',
+      exchange: company.fundamentals?.General?.Exchange || null,
+      currency: company.fundamentals?.General?.CurrencyCode || null,
+      marketCap: company.fundamentals?.Highlights?.MarketCapitalization ?? null,
+      // Value of every field used by the query or the sort
+      values: Object.fromEntries(
+        Object.entries(fields).map(([field, resolved]) => [
+          field,
+          getNestedValue(company, getScreenerFieldPath(resolved)) ?? null,
+        ]),
+      ),
+    }));
+
+    if (conversion) {
+      for (const company of companies) {
+        company.marketCap = await conversion.convertAmount(
+          company.marketCap,
+          company.currency,
+        );
+        company.currency = conversion.currency;
+      }
+    }
+
+    logger.business(
+      `[Screener] Response → companies=${companies.length}, total=${totalCount}`,
+    );
+
+    res.json({
+      query: tree,
+      universe: universe.id,
+      companies,
+      sortBy,
+      sortOrder,
+      ...(conversion && {
+        fx: { currency: conversion.currency, rates: conversion.rates },
+      }),
+      pagination: {
+        total: totalCount,
+        limit: parsedLimit,
+        offset: parsedOffset,
+        hasMore: parsedOffset + parsedLimit < totalCount,
+      },
+    });
+  } catch (error) {
+    logger.business('Error running screener', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to run screener',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,252 @@
+import { getModel } from '@buydy/se-db';
+import { validateMetrics } from '@buydy/iso-business-types';
+import logger from '@buydy/se-logger';
+import { prepareScreenerQuery } from './screenerController.js';
+
+/**
+ * Screens Controller
+ *
+ * CRUD for the signed-in user's saved screens (screener query + HeatMap/ranking
+ * configuration) and the changelog of their runs. Screens are re-run by the scanner's
+ * runSavedScreens job after each full cycle.
+ */
+
+// Changing any of these makes the previous result set meaningless to diff against
+const RESULT_FIELDS = ['query', 'sortBy', 'sortOrder'];
+
+const screenNotFound = (res, id) =>
+  res.status(404).json({
+    error: 'Screen not found',
+    message: `Screen with ID ${id} does not exist`,
+  });
+
+/**
+ * Validate and normalize the editable fields of a screen
+ * @param {Object} body - Request body
+ * @param {Object} [current] - Existing screen (for partial updates)
+ * @returns {Object} { fields } or { error, details }
+ */
+function buildScreenFields(body, current = null) {
+  const fields = {};
+
+  for (const field of ['name', 'description', 'enabled', 'sortOrder']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  if (body.query !== undefined || body.sortBy !== undefined) {
+    const query = body.query !== undefined ? body.query : current?.query;
+    const sortBy = body.sortBy ?? current?.sortBy ?? 'marketCap';
+    const prepared = prepareScreenerQuery(query, sortBy);
+    if (prepared.error) {
+      return { error: prepared.error, details: prepared.details };
+    }
+    fields.query = prepared.tree;
+    fields.sortBy = sortBy;
+    if (body.query !== undefined) {
+      fields.queryText = typeof body.query === 'string' ? body.query : null;
+    }
+  }
+
+  if (body.ranking !== undefined) {
+    const {
+      metrics = [],
+      weights = {},
+      formulaMethod,
+      groupBy,
+    } = body.ranking || {};
+
+    if (!Array.isArray(metrics)) {
+      return { error: 'Invalid input: ranking.metrics must be an array' };
+    }
+    const validation = validateMetrics(metrics);
+    if (!validation.isValid) {
+      return {
+        error: 'Invalid metrics requested',
+        details: validation.invalid,
+      };
+    }
+    if (
+      !weights ||
+      typeof weights !== 'object' ||
+      Object.values(weights).some((weight) => !Number.isFinite(weight))
+    ) {
+      return {
+        error: 'Invalid input: ranking.weights must map metrics to numbers',
+      };
+    }
+
+    fields.ranking = { metrics, weights, formulaMethod, groupBy };
+  }
+
+  return { fields };
+}
+
+/**
+ * Get the user's screens (most recently updated first) with their latest matches
+ */
+export const getScreens = async (req, res, next) => {
+  try {
+    const Screens = getModel('screens');
+    const screens = await Screens.find({ userId: req.user._id })
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({ screens });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single screen by ID
+ */
+export const getScreenById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Screens = getModel('screens');
+
+    const screen = await Screens.findOne({
+      _id: id,
+      userId: req.user._id,
+    }).lean();
+    if (!screen) {
+      return screenNotFound(res, id);
+    }
+
+    res.json({ screen });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a screen
+ * Body: { name, query, description?, sortBy?, sortOrder?, ranking?, enabled? }
+ * `query` is a screener expression tree or its text form
+ */
+export const createScreen = async (req, res, next) => {
+  try {
+    if (req.body.query === undefined) {
+      return res.status(400).json({
+        error: 'Invalid input: query is required',
+      });
+    }
+
+    const { fields, error, details } = buildScreenFields(req.body);
+    if (error) {
+      return res.status(400).json({ error, ...(details && { details }) });
+    }
+
+    const Screens = getModel('screens');
+    const screen = await Screens.create({ ...fields, userId: req.user._id });
+
+    logger.business(`[Screens] Created "${screen.name}"`);
+
+    res.status(201).json({ screen });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a screen
+ * Changing the query or sort starts a new baseline: the next run is not diffed
+ */
+export const updateScreen = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Screens = getModel('screens');
+
+    const screen = await Screens.findOne({ _id: id, userId: req.user._id });
+    if (!screen) {
+      return screenNotFound(res, id);
+    }
+
+    const { fields, error, details } = buildScreenFields(req.body, screen);
+    if (error) {
+      return res.status(400).json({ error, ...(details && { details }) });
+    }
+
+    screen.set(fields);
+    if (RESULT_FIELDS.some((field) => screen.isModified(field))) {
+      screen.lastRunId = null;
+    }
+    await screen.save();
+
+    res.json({ screen });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a screen and its runs
+ */
+export const deleteScreen = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Screens = getModel('screens');
+    const ScreenRuns = getModel('screen_runs');
+
+    const screen = await Screens.findOneAndDelete({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!screen) {
+      return screenNotFound(res, id);
+    }
+
+    await ScreenRuns.deleteMany({ screenId: screen._id });
+
+    logger.business(`[Screens] Deleted "${screen.name}"`);
+
+    res.json({
+      message: 'Screen deleted successfully',
+      screen: { id: screen._id, name: screen.name },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the run changelog of a screen (newest first)
+ * Query: limit, skip, includeSymbols ('true' to include each run's full result set)
+ */
+export const getScreenRuns = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit = 20, skip = 0, includeSymbols = 'false' } = req.query;
+    const Screens = getModel('screens');
+    const ScreenRuns = getModel('screen_runs');
+
+    const screen = await Screens.exists({ _id: id, userId: req.user._id });
+    if (!screen) {
+      return screenNotFound(res, id);
+    }
+
+    const query = { screenId: id };
+    const runs = await ScreenRuns.find(query)
+      .select(includeSymbols === 'true' ? '' : '-symbols')
+      .sort({ ranAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .lean();
+
+    const total = await ScreenRuns.countDocuments(query);
+
+    res.json({
+      runs,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: parseInt(skip) + parseInt(limit) < total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,9 +1,119 @@
 import { getModel } from '@buydy/se-db';
 import { LARGE_CAP_THRESHOLD } from '@buydy/se-db/src/utils/largeCapFilter.js';
+import { getUniverseMatch } from '@buydy/se-db/src/utils/universeFilter.js';
+import {
+  createFxConverter,
+  FX_PIVOT_CURRENCY,
+} from '@buydy/se-db/src/utils/fxService.js';
+import {
+  validateMetrics,
+  getMetricsMapByType,
+  getMetrics,
+  normalizeCurrencyCode,
+  getUniverses,
+  getUniverseById,
+  DEFAULT_UNIVERSE_ID,
+} from '@buydy/iso-business-types';
 import logger from '@buydy/se-logger';
+import { resolveWatchlistSymbols } from './watchlistsController.js';
+
+/**
+ * Resolve the optional `universe` query param (defaults to the large cap universe)
+ * @param {string} [requested] - Universe id (e.g. 'mid-cap', 'us-large-cap')
+ * @returns {Object} { universe } or { error } when the universe is unknown
+ */
+export function resolveUniverseParam(requested) {
+  const universe = getUniverseById(requested || DEFAULT_UNIVERSE_ID);
+  if (!universe) {
+    return { error: `Invalid universe parameter: ${requested}` };
+  }
+  return { universe };
+}
+
+/**
+ * Match on unwound exchange_symbols for a universe (caps of any age, as before)
+ */
+const getUniverseSymbolsMatch = (universe) =>
+  getUniverseMatch(universe, { freshnessDays: null });
+
+/**
+ * List the universes the stock, heatmap and screener endpoints accept
+ * GET /api/v1/stocks/universes
+ */
+export const getUniverseList = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultUniverse: DEFAULT_UNIVERSE_ID,
+      universes: getUniverses().map(
+        ({
+          id,
+          displayName,
+          description,
+          minCap,
+          maxCap,
+          countries,
+          exchanges,
+          symbols,
+        }) => ({
+          id,
+          displayName,
+          description,
+          minCap: minCap ?? null,
+          maxCap: maxCap ?? null,
+          countries: countries || [],
+          exchanges: exchanges || [],
+          symbols: symbols || [],
+        }),
+      ),
+    },
+  });
+};
+
+/**
+ * Resolve the optional `currency` query param into an amount converter
+ * Amounts are converted at the latest stored rates (fx_rates); every rate used is
+ * reported back so the caller can see what each figure was converted with.
+ * @param {string} [requested] - Currency the caller wants amounts in
+ * @returns {Promise<Object|null>} { currency, pivotRate, convertAmount, rates }, null
+ *   when no currency was requested, or { error } when the currency has no stored rate
+ */
+export async function resolveCurrencyConversion(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return null;
+  }
+
+  const currency = normalizeCurrencyCode(requested);
+  const fx = createFxConverter();
+  const pivot = currency ? await fx.getRate(FX_PIVOT_CURRENCY, currency) : null;
+  if (!pivot) {
+    return { error: `Invalid currency parameter: ${requested}` };
+  }
+
+  const rates = {};
+  const convertAmount = async (amount, from) => {
+    const source = normalizeCurrencyCode(from);
+    if (amount === null || amount === undefined || !source) {
+      return null;
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    const fxRate = await fx.getRate(source, currency);
+    rates[source] = fxRate ? { rate: fxRate.rate, date: fxRate.date } : null;
+    return fxRate ? value * fxRate.rate : null;
+  };
+
+  return { currency, pivotRate: pivot.rate, convertAmount, rates };
+}
 
 /**
  * Get large cap stocks with filtering and search capabilities
+ *
+ * With `currency`, market caps (and the minCap/maxCap filters) are in that currency.
+ * `universe` selects the stocks (default: large-cap); the other filters narrow it.
  */
 export const getLargeCapStocks = async (req, res) => {
   try {
@@ -18,20 +128,29 @@ export const getLargeCapStocks = async (req, res) => {
       hasFundamentals,
       hasDividends,
       hasTechnicals,
+      watchlistId,
+      currency,
+      universe: universeId,
       sortBy = 'marketCap',
       sortOrder = 'desc',
       limit = 50,
       skip = 0,
     } = req.query;
 
+    const conversion = await resolveCurrencyConversion(currency);
+    if (conversion?.error) {
+      return res.status(400).json({ success: false, error: conversion.error });
+    }
+
+    const { universe, error: universeError } = resolveUniverseParam(universeId);
+    if (universeError) {
+      return res.status(400).json({ success: false, error: universeError });
+    }
+
     const ExchangeSymbols = getModel('exchange_symbols');
 
-    // Build the base query for large cap stocks from exchange_symbols collection
-    let query = {
-      'symbols.cap': {
-        $gte: LARGE_CAP_THRESHOLD,
-      },
-    };
+    // Filters on top of the universe from exchange_symbols collection
+    let query = {};
 
     // Add filters for exchange_symbols collection
     if (exchange) {
@@ -51,9 +170,12 @@ export const getLargeCapStocks = async (req, res) => {
     }
 
     if (minCap || maxCap) {
+      // Stored caps are in USD; filters given in the requested currency are converted back
+      const toUSD = (amount) =>
+        conversion ? amount / conversion.pivotRate : amount;
       const capFilter = {};
-      if (minCap) capFilter.$gte = parseFloat(minCap);
-      if (maxCap) capFilter.$lte = parseFloat(maxCap);
+      if (minCap) capFilter.$gte = toUSD(parseFloat(minCap));
+      if (maxCap) capFilter.$lte = toUSD(parseFloat(maxCap));
       query['symbols.cap'] = capFilter;
     }
 
@@ -66,6 +188,31 @@ export const getLargeCapStocks = async (req, res) => {
       ];
     }
 
+    // Restrict to a saved watchlist (symbols are stored as CODE.EXCHANGE)
+    if (watchlistId) {
+      const watchlistSymbols = await resolveWatchlistSymbols(
+        watchlistId,
+        req.user,
+      );
+      if (!watchlistSymbols) {
+        return res.status(404).json({
+          success: false,
+          error: 'Watchlist not found',
+        });
+      }
+      query.$expr = {
+        $or: [
+          { $in: ['$symbols.Code', watchlistSymbols] },
+          {
+            $in: [
+              { $concat: ['$symbols.Code', '.', '$exchangeCode'] },
+              watchlistSymbols,
+            ],
+          },
+        ],
+      };
+    }
+
     // Build sort object for aggregation pipeline
     const sort = {};
     if (sortBy === 'marketCap') {
@@ -83,10 +230,13 @@ export const getLargeCapStocks = async (req, res) => {
     // const Dividends = getModel('dividends');
     // const Technicals = getModel('technicals');
 
+    // The universe and the filters may both use $or / symbols.cap, so they are ANDed
+    const match = { $and: [getUniverseSymbolsMatch(universe), query] };
+
     // Use aggregation pipeline for exchange_symbols collection with lookups
     const pipeline = [
       { $unwind: '$symbols' },
-      { $match: query },
+      { $match: match },
       {
         $lookup: {
           from: 'fundamentals',
@@ -209,6 +359,7 @@ export const getLargeCapStocks = async (req, res) => {
           symbol: 1,
           name: { $ifNull: ['$name', 'N/A'] },
           code: '$symbol',
+          exchangeCode: 1,
           exchange: { $ifNull: ['$exchange', 'N/A'] },
           country: { $ifNull: ['$country', 'N/A'] },
           sector: { $ifNull: ['$sector', 'N/A'] },
@@ -239,11 +390,19 @@ export const getLargeCapStocks = async (req, res) => {
 
     // Execute aggregation pipeline
     const stocks = await ExchangeSymbols.aggregate(pipeline).allowDiskUse(true);
+    if (conversion) {
+      for (const stock of stocks) {
+        stock.marketCap = await conversion.convertAmount(
+          stock.marketCap,
+          FX_PIVOT_CURRENCY,
+        );
+      }
+    }
 
     // Get total count for pagination using a separate count pipeline
     const countPipeline = [
       { $unwind: '$symbols' },
-      { $match: query },
+      { $match: match },
       {
         $lookup: {
           from: 'fundamentals',
@@ -352,6 +511,10 @@ export const getLargeCapStocks = async (req, res) => {
       success: true,
       data: {
         stocks: stocks,
+        universe: universe.id,
+        ...(conversion && {
+          fx: { currency: conversion.currency, rates: conversion.rates },
+        }),
         pagination: {
           total,
           limit: parseInt(limit),
@@ -378,18 +541,19 @@ export const getLargeCapStocks = async (req, res) => {
  */
 export const getFilterOptions = async (req, res) => {
   try {
+    const { universe, error: universeError } = resolveUniverseParam(
+      req.query.universe,
+    );
+    if (universeError) {
+      return res.status(400).json({ success: false, error: universeError });
+    }
+
     const ExchangeSymbols = getModel('exchange_symbols');
 
     // Get unique values for each filter field from exchange_symbols collection
     const pipeline = [
       { $unwind: '$symbols' },
-      {
-        $match: {
-          'symbols.cap': {
-            $gte: LARGE_CAP_THRESHOLD,
-          },
-        },
-      },
+      { $match: getUniverseSymbolsMatch(universe) },
       {
         $group: {
           _id: null,
@@ -425,8 +589,11 @@ export const getFilterOptions = async (req, res) => {
         .sort()
         .map((country) => ({ value: country, label: country })),
       marketCapRange: {
-        min: filterData.minMarketCap || LARGE_CAP_THRESHOLD,
-        max: filterData.maxMarketCap || LARGE_CAP_THRESHOLD * 100,
+        min: filterData.minMarketCap || universe.minCap || LARGE_CAP_THRESHOLD,
+        max:
+          filterData.maxMarketCap ||
+          universe.maxCap ||
+          LARGE_CAP_THRESHOLD * 100,
       },
     };
 
@@ -529,15 +696,20 @@ export const getStockAutocomplete = async (req, res) => {
  */
 export const getSectors = async (req, res) => {
   try {
+    const { universe, error: universeError } = resolveUniverseParam(
+      req.query.universe,
+    );
+    if (universeError) {
+      return res.status(400).json({ success: false, error: universeError });
+    }
+
     const ExchangeSymbols = getModel('exchange_symbols');
 
     const pipeline = [
       { $unwind: '$symbols' },
       {
         $match: {
-          'symbols.cap': {
-            $gte: LARGE_CAP_THRESHOLD,
-          },
+          ...getUniverseSymbolsMatch(universe),
           'symbols.Sector': { $exists: true, $nin: [null, ''] },
         },
       },
@@ -578,15 +750,20 @@ export const getSectors = async (req, res) => {
  */
 export const getIndustries = async (req, res) => {
   try {
+    const { universe, error: universeError } = resolveUniverseParam(
+      req.query.universe,
+    );
+    if (universeError) {
+      return res.status(400).json({ success: false, error: universeError });
+    }
+
     const ExchangeSymbols = getModel('exchange_symbols');
 
     const pipeline = [
       { $unwind: '$symbols' },
       {
         $match: {
-          'symbols.cap': {
-            $gte: LARGE_CAP_THRESHOLD,
-          },
+          ...getUniverseSymbolsMatch(universe),
           'symbols.Industry': { $exists: true, $nin: [null, ''] },
         },
       },
@@ -627,22 +804,23 @@ export const getIndustries = async (req, res) => {
  */
 export const getStockStats = async (req, res) => {
   try {
+    const { universe, error: universeError } = resolveUniverseParam(
+      req.query.universe,
+    );
+    if (universeError) {
+      return res.status(400).json({ success: false, error: universeError });
+    }
+
     // Get models for direct counting
     const ExchangeSymbols = getModel('exchange_symbols');
     const Fundamentals = getModel('fundamentals');
     const Dividends = getModel('dividends');
     const Technicals = getModel('technicals');
 
-    // Count total large cap stocks
+    // Count total stocks of the universe
     const totalStocksPipeline = [
       { $unwind: '$symbols' },
-      {
-        $match: {
-          'symbols.cap': {
-            $gte: LARGE_CAP_THRESHOLD,
-          },
-        },
-      },
+      { $match: getUniverseSymbolsMatch(universe) },
       {
         $group: {
           _id: null,
@@ -667,6 +845,7 @@ export const getStockStats = async (req, res) => {
     res.json({
       success: true,
       data: {
+        universe: universe.id,
         totalStocks: stocksStats.totalStocks || 0,
         totalFundamentals: totalFundamentals,
         totalDividends: totalDividends,
@@ -686,3 +865,411 @@ export const getStockStats = async (req, res) => {
     });
   }
 };
+
+/**
+ * Read a dotted path (e.g. 'valuationDCF.upsidePct') from a snapshot object
+ */
+const getValueAtPath = (source, path) => {
+  const value = path
+    .split('.')
+    .reduce(
+      (current, segment) =>
+        current && typeof current === 'object' ? current[segment] : undefined,
+      source,
+    );
+  return value === undefined ? null : value;
+};
+
+/**
+ * Parse an optional date query param, returning null when absent
+ * and undefined when present but invalid
+ */
+const parseDateParam = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Get the daily history of one or more metrics for a symbol
+ * GET /api/v1/stocks/:symbol/metrics/history?metric=DebtToEquityCurrent,ValuationDCF_Upside&from=&to=
+ *
+ * Each point carries the metric value together with the sector and industry
+ * percentile the company had on that day.
+ */
+export const getMetricHistory = async (req, res) => {
+  try {
+    const symbol = req.params.symbol.trim().toUpperCase();
+    const { metric, from, to } = req.query;
+
+    const requestedMetrics = (
+      typeof metric === 'string' ? metric.split(',') : []
+    )
+      .map((value) => value.trim())
+      .filter(Boolean);
+
+    if (requestedMetrics.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter "metric" is required',
+      });
+    }
+
+    const validation = validateMetrics(requestedMetrics);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid metrics requested',
+        invalidMetrics: validation.invalid,
+      });
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({
+        success: false,
+        error:
+          'Invalid date range. Use ISO dates, e.g. from=2024-01-01&to=2024-06-30',
+      });
+    }
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        error: '"from" must be before "to"',
+      });
+    }
+
+    const metricsMap = getMetricsMapByType();
+    const resolvedMetrics = requestedMetrics.map((metricKey) => {
+      const definition = metricsMap[metricKey];
+      return {
+        metric: definition?.id || metricKey,
+        dbField: definition?.dbField || metricKey,
+        displayName: definition?.displayName || metricKey,
+        unit: definition?.unit || null,
+      };
+    });
+
+    const MetricsSnapshots = getModel('metrics_snapshots');
+    const snapshots = await MetricsSnapshots.findHistory(symbol, {
+      from: fromDate,
+      to: toDate,
+    })
+      .select('date metrics percentiles')
+      .lean();
+
+    const series = resolvedMetrics.map((resolved) => ({
+      ...resolved,
+      points: snapshots
+        .map((snapshot) => ({
+          date: snapshot.date,
+          value: getValueAtPath(snapshot.metrics, resolved.dbField),
+          sectorPercentile: getValueAtPath(
+            snapshot.percentiles?.sector,
+            resolved.dbField,
+          ),
+          industryPercentile: getValueAtPath(
+            snapshot.percentiles?.industry,
+            resolved.dbField,
+          ),
+        }))
+        .filter(
+          (point) =>
+            point.value !== null ||
+            point.sectorPercentile !== null ||
+            point.industryPercentile !== null,
+        ),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        symbol,
+        from: fromDate,
+        to: toDate,
+        snapshots: snapshots.length,
+        series,
+      },
+    });
+  } catch (error) {
+    logger.business('Error fetching metric history', {
+      symbol: req.params.symbol,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch metric history',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Build the symbol keys a stock may be stored under.
+ * Data collections use `CODE`, `CODE.US` or `CODE.<exchangeCode>`
+ * (same matching rules as the large-cap $lookup stages above).
+ */
+const buildSymbolCandidates = (code, exchangeCodes = []) => {
+  const candidates = new Set([code, `${code}.US`]);
+  exchangeCodes.filter(Boolean).forEach((exchangeCode) => {
+    candidates.add(`${code}.${exchangeCode}`);
+  });
+  return [...candidates];
+};
+
+/**
+ * Reduce each stored indicator series (EODHD rows, oldest first) to its latest row
+ */
+const getLatestIndicatorValues = (indicators = {}) =>
+  Object.fromEntries(
+    Object.entries(indicators).map(([name, series]) => [
+      name,
+      Array.isArray(series)
+        ? series.reduce(
+            (latest, row) =>
+              !latest || new Date(row?.date) > new Date(latest.date)
+                ? row
+                : latest,
+            null,
+          )
+        : series,
+    ]),
+  );
+
+const FUNDAMENTALS_GENERAL_FIELDS = [
+  'Name',
+  'Exchange',
+  'CurrencyCode',
+  'CountryName',
+  'Sector',
+  'Industry',
+  'Description',
+  'WebURL',
+  'LogoURL',
+  'IPODate',
+];
+
+/**
+ * Get everything we know about a single symbol
+ * GET /api/v1/stocks/:symbol
+ *
+ * Accepts `AAPL`, `AAPL.US` or `SAP.XETRA` and returns fundamentals highlights,
+ * dividends, technical indicators, metrics, valuation breakdowns and percentiles.
+ * With `?currency=EUR`, market caps, EBITDA and net debt are returned in that currency.
+ */
+export const getStockDetails = async (req, res) => {
+  try {
+    const conversion = await resolveCurrencyConversion(req.query.currency);
+    if (conversion?.error) {
+      return res.status(400).json({ success: false, error: conversion.error });
+    }
+
+    const requested = req.params.symbol.trim().toUpperCase();
+    const separatorIndex = requested.lastIndexOf('.');
+    const code =
+      separatorIndex > 0 ? requested.slice(0, separatorIndex) : requested;
+    const requestedExchange =
+      separatorIndex > 0 ? requested.slice(separatorIndex + 1) : null;
+
+    const ExchangeSymbols = getModel('exchange_symbols');
+    const Fundamentals = getModel('fundamentals');
+    const Dividends = getModel('dividends');
+    const Technicals = getModel('technicals');
+    const Metrics = getModel('metrics');
+
+    // Resolve listing info (name, sector, cap) and the exchange code it is stored under
+    const listings = await ExchangeSymbols.aggregate([
+      { $match: { 'symbols.Code': code } },
+      { $unwind: '$symbols' },
+      { $match: { 'symbols.Code': code } },
+      {
+        $project: {
+          _id: 0,
+          exchangeCode: 1,
+          code: '$symbols.Code',
+          name: '$symbols.Name',
+          exchange: '$symbols.Exchange',
+          country: '$symbols.Country',
+          currency: '$symbols.Currency',
+          sector: '$symbols.Sector',
+          industry: '$symbols.Industry',
+          marketCap: '$symbols.cap',
+        },
+      },
+    ]);
+
+    const listing =
+      listings.find(
+        (item) =>
+          requestedExchange &&
+          (item.exchangeCode === requestedExchange ||
+            item.exchange === requestedExchange),
+      ) ||
+      listings.sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0))[0] ||
+      null;
+
+    // Resolve one stored symbol first, so every collection describes the same listing
+    const listingSymbol = listing ? `${code}.${listing.exchangeCode}` : null;
+    const candidates = [
+      ...new Set(
+        [
+          requestedExchange ? requested : null,
+          listingSymbol,
+          ...buildSymbolCandidates(code, [requestedExchange]),
+        ].filter(Boolean),
+      ),
+    ];
+    const models = [Fundamentals, Dividends, Technicals, Metrics];
+    const storedSymbols = new Set(
+      (
+        await Promise.all(
+          models.map((Model) =>
+            Model.distinct('symbol', { symbol: { $in: candidates } }),
+          ),
+        )
+      ).flat(),
+    );
+    const symbol =
+      candidates.find((candidate) => storedSymbols.has(candidate)) ||
+      listingSymbol ||
+      requested;
+
+    const [fundamentalsDoc, dividendsDoc, technicalsDoc, metricsDoc] =
+      await Promise.all(
+        models.map((Model) => Model.findOne({ symbol }).lean()),
+      );
+
+    if (!listing && !fundamentalsDoc && !metricsDoc) {
+      return res.status(404).json({
+        success: false,
+        error: `Stock ${requested} not found`,
+      });
+    }
+
+    const general = fundamentalsDoc?.fundamentals?.General || {};
+    const storedMetrics = metricsDoc?.metrics || {};
+    const percentiles = storedMetrics.percentiles || {};
+
+    const metrics = getMetrics()
+      .filter((metric) => metric.enabled)
+      .map((metric) => ({
+        id: metric.id,
+        dbField: metric.dbField,
+        displayName: metric.displayName,
+        category: metric.category,
+        type: metric.type,
+        unit: metric.unit,
+        value: getValueAtPath(storedMetrics, metric.dbField),
+        sectorPercentile: getValueAtPath(percentiles.sector, metric.dbField),
+        industryPercentile: getValueAtPath(
+          percentiles.industry,
+          metric.dbField,
+        ),
+      }));
+
+    let marketCap = listing?.marketCap || null;
+    let highlights = fundamentalsDoc?.fundamentals?.Highlights || null;
+    if (conversion) {
+      // Listing caps are stored in USD; highlights and '$' metrics in the reporting currency
+      const reportingCurrency = general.CurrencyCode || general.Currency;
+      marketCap = await conversion.convertAmount(marketCap, FX_PIVOT_CURRENCY);
+      if (highlights) {
+        highlights = {
+          ...highlights,
+          MarketCapitalization: await conversion.convertAmount(
+            highlights.MarketCapitalization,
+            reportingCurrency,
+          ),
+          EBITDA: await conversion.convertAmount(
+            highlights.EBITDA,
+            reportingCurrency,
+          ),
+        };
+      }
+      for (const metric of metrics) {
+        if (metric.unit === '$') {
+          metric.value = await conversion.convertAmount(
+            metric.value,
+            metricsDoc?.currency || reportingCurrency,
+          );
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        symbol,
+        code,
+        name: listing?.name || general.Name || 'N/A',
+        exchange: listing?.exchange || general.Exchange || null,
+        exchangeCode: listing?.exchangeCode || null,
+        country: listing?.country || general.CountryName || null,
+        currency:
+          metricsDoc?.currency ||
+          listing?.currency ||
+          general.CurrencyCode ||
+          null,
+        sector: general.Sector || listing?.sector || null,
+        industry: general.Industry || listing?.industry || null,
+        marketCap,
+        ...(conversion && {
+          fx: { currency: conversion.currency, rates: conversion.rates },
+        }),
+        general: Object.fromEntries(
+          FUNDAMENTALS_GENERAL_FIELDS.filter(
+            (field) => general[field] !== undefined,
+          ).map((field) => [field, general[field]]),
+        ),
+        highlights,
+        dividends: dividendsDoc
+          ? {
+              dividendYield: dividendsDoc.dividendYield ?? null,
+              currency: dividendsDoc.currency,
+              history: [...(dividendsDoc.history || [])].sort(
+                (a, b) => new Date(b.date) - new Date(a.date),
+              ),
+              upcoming: dividendsDoc.upcoming || [],
+              lastUpdated: dividendsDoc.lastUpdated,
+            }
+          : null,
+        technicals: technicalsDoc
+          ? {
+              indicators: getLatestIndicatorValues(technicalsDoc.indicators),
+              lastUpdated: technicalsDoc.lastUpdated,
+            }
+          : null,
+        metrics,
+        valuation: {
+          dcf: storedMetrics.valuationDCF || null,
+          lynch: storedMetrics.valuationLynch || null,
+          ddm: storedMetrics.valuationDDM || null,
+          relative: storedMetrics.valuationRelative || null,
+        },
+        percentiles: {
+          sector: percentiles.sector || {},
+          industry: percentiles.industry || {},
+        },
+        lastUpdated: {
+          fundamentals: fundamentalsDoc?.updatedAt || null,
+          dividends: dividendsDoc?.lastUpdated || null,
+          technicals: technicalsDoc?.lastUpdated || null,
+          metrics: metricsDoc?.lastUpdated || null,
+        },
+      },
+    });
+  } catch (error) {
+    logger.business('Error fetching stock details', {
+      symbol: req.params.symbol,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock details',
+      details: error.message,
+    });
+  }
+};
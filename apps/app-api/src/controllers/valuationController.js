@@ -0,0 +1,329 @@
+import { getModel } from '@buydy/se-db';
+import {
+  normalizeCurrencyCode,
+  DEFAULT_DISCOUNT_RATE_CONFIG,
+  validateDiscountRateConfig,
+  calculateValuationDCF,
+  normalizeFundamentalsDocument,
+} from '@buydy/iso-business-types';
+import {
+  loadDiscountRateConfig,
+  loadSectorMedianBetas,
+} from '@buydy/se-db/src/utils/discountRateConfig.js';
+import logger from '@buydy/se-logger';
+
+/**
+ * Valuation Controller
+ *
+ * What-if valuations rerun the shared DCF model (iso-business-types) against the stored fundamentals with
+ * analyst-supplied assumptions. Nothing is persisted; the stored valuationDCF metrics are
+ * only written by the scanner's syncMetricsValuationLargeCap job.
+ *
+ * Also manages the versioned discount rate (WACC) configuration the DCF model reads.
+ */
+
+const DISCOUNT_RATE_FIELDS = Object.keys(DEFAULT_DISCOUNT_RATE_CONFIG);
+
+// Accepted ranges match the clamps applied by the DCF engine. The engine still applies its
+// conservative haircut to revenueGrowthStart; the growth it fades from towards terminal
+// growth is returned as scenario.growthStart.
+const DCF_OVERRIDE_RANGES = {
+  wacc: { min: 0.03, max: 0.25 },
+  terminalGrowth: { min: -0.01, max: 0.05 },
+  horizonYears: { min: 1, max: 20, integer: true },
+  revenueGrowthStart: { min: -0.2, max: 0.3 },
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Validate the override fields of a what-if request
+ * @returns {{ overrides: Object, error: string|null }}
+ */
+function parseDCFOverrides(body = {}) {
+  const overrides = {};
+
+  for (const [field, range] of Object.entries(DCF_OVERRIDE_RANGES)) {
+    if (body[field] === undefined || body[field] === null) continue;
+
+    const value = toNumber(body[field]);
+    if (
+      value === null ||
+      value < range.min ||
+      value > range.max ||
+      (range.integer && !Number.isInteger(value))
+    ) {
+      return {
+        overrides,
+        error: `Invalid input: ${field} must be ${
+          range.integer ? 'an integer' : 'a number'
+        } between ${range.min} and ${range.max}`,
+      };
+    }
+    overrides[field] = value;
+  }
+
+  return { overrides, error: null };
+}
+
+/**
+ * Resolve the price the valuation is run against: request body first, then the
+ * previous close or market cap per share from the fundamentals highlights.
+ */
+function resolveValuationPrice(bodyPrice, fundamentals = {}) {
+  const price = toNumber(bodyPrice);
+  if (price !== null && price > 0) {
+    return { price, source: 'request' };
+  }
+
+  const previousClose = toNumber(fundamentals.Highlights?.PreviousClose);
+  if (previousClose !== null && previousClose > 0) {
+    return { price: previousClose, source: 'fundamentals-previous-close' };
+  }
+
+  const marketCap = toNumber(fundamentals.Highlights?.MarketCapitalization);
+  const shares = toNumber(fundamentals.SharesStats?.SharesOutstanding);
+  if (marketCap > 0 && shares > 0) {
+    return { price: marketCap / shares, source: 'fundamentals-market-cap' };
+  }
+
+  return { price: null, source: null };
+}
+
+function resolveMarketCap(highlights = {}) {
+  const absolute = toNumber(highlights.MarketCapitalization);
+  if (absolute > 0) return absolute;
+  const millions = toNumber(highlights.MarketCapitalizationMln);
+  return millions > 0 ? millions * 1_000_000 : null;
+}
+
+const summarizeValuation = (valuation) =>
+  valuation
+    ? {
+        fairValuePerShare: valuation.fairValuePerShare,
+        upside: valuation.upside,
+        quality: valuation.quality,
+        wacc: valuation.wacc,
+        terminalGrowth: valuation.terminalGrowth,
+        horizonYears: valuation.horizonYears ?? null,
+        revenueGrowthStart: valuation.revenueGrowthStart ?? null,
+      }
+    : null;
+
+/**
+ * Run a what-if DCF valuation
+ * POST /api/v1/valuation/dcf/:symbol
+ * Body: { wacc?, terminalGrowth?, horizonYears?, revenueGrowthStart?, price? }
+ *
+ * Returns the model baseline and the scenario with its year-by-year projection.
+ */
+export const runWhatIfDCF = async (req, res, next) => {
+  try {
+    const requested = req.params.symbol.trim().toUpperCase();
+    const { overrides, error } = parseDCFOverrides(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const code = requested.includes('.')
+      ? requested.slice(0, requested.lastIndexOf('.'))
+      : requested;
+    const candidates = [...new Set([requested, `${code}.US`, code])];
+
+    const Fundamentals = getModel('fundamentals');
+    const fundamentalsDoc = await Fundamentals.findOne({
+      symbol: { $in: candidates },
+    }).lean();
+
+    if (!fundamentalsDoc?.fundamentals) {
+      return res.status(404).json({
+        error: 'Fundamentals not found',
+        message: `Fundamentals for ${requested} do not exist`,
+      });
+    }
+
+    const fundamentals = fundamentalsDoc.fundamentals;
+    const { price, source: priceSource } = resolveValuationPrice(
+      req.body?.price,
+      fundamentals,
+    );
+    if (price === null) {
+      return res.status(400).json({
+        error: `Invalid input: no stored price for ${fundamentalsDoc.symbol}, price is required`,
+      });
+    }
+
+    const sector = fundamentals.General?.Sector || null;
+    const discountRates = await loadDiscountRateConfig(
+      DEFAULT_DISCOUNT_RATE_CONFIG,
+    );
+    const sectorBetas = sector
+      ? await loadSectorMedianBetas(discountRates, { sectors: [sector] })
+      : new Map();
+
+    const highlights = fundamentals.Highlights || {};
+    const context = {
+      fundamentals: normalizeFundamentalsDocument(fundamentals),
+      price,
+      highlights,
+      currency:
+        normalizeCurrencyCode(
+          fundamentals.General?.CurrencyCode || fundamentals.General?.Currency,
+        ) || null,
+      country: fundamentals.General?.Country || null,
+      marketCap: resolveMarketCap(highlights),
+      beta: fundamentals.Technicals?.Beta,
+      sectorBeta: sectorBetas.get(sector) ?? null,
+      discountRates,
+    };
+
+    const [baseline, scenario] = await Promise.all([
+      calculateValuationDCF(fundamentalsDoc.symbol, context),
+      calculateValuationDCF(fundamentalsDoc.symbol, { ...context, overrides }),
+    ]);
+
+    if (
+      Number.isFinite(scenario?.wacc) &&
+      scenario.wacc <= scenario.terminalGrowth
+    ) {
+      return res.status(400).json({
+        error: `Invalid input: wacc (${scenario.wacc}) must be greater than terminalGrowth (${scenario.terminalGrowth})`,
+      });
+    }
+
+    logger.business(
+      `[Valuation] What-if DCF for ${fundamentalsDoc.symbol} (${
+        Object.keys(overrides).join(', ') || 'no overrides'
+      })`,
+    );
+
+    res.json({
+      symbol: fundamentalsDoc.symbol,
+      currency: context.currency,
+      price,
+      priceSource,
+      overrides,
+      baseline: summarizeValuation(baseline),
+      scenario,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const stripVersionFields = ({ _id, __v, ...config }) => config;
+
+/**
+ * Get the active discount rate configuration
+ * GET /api/v1/valuation/discount-rates
+ *
+ * Returns the built-in defaults (version null) until a version has been saved.
+ */
+export const getDiscountRateConfig = async (req, res, next) => {
+  try {
+    const DiscountRateConfigs = getModel('discount_rate_configs');
+    const active = await DiscountRateConfigs.findActive().lean();
+
+    res.json({
+      config: active
+        ? stripVersionFields(active)
+        : { ...DEFAULT_DISCOUNT_RATE_CONFIG, version: null },
+      isDefault: !active,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List saved discount rate configuration versions (newest first)
+ * GET /api/v1/valuation/discount-rates/versions
+ */
+export const getDiscountRateVersions = async (req, res, next) => {
+  try {
+    const DiscountRateConfigs = getModel('discount_rate_configs');
+    const versions = await DiscountRateConfigs.find()
+      .select('version active description createdAt')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({ versions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a new discount rate configuration version and activate it
+ * PUT /api/v1/valuation/discount-rates
+ * Body: any configuration fields plus an optional description. Omitted fields are
+ * copied from the active version; rate maps are replaced as a whole.
+ */
+export const updateDiscountRateConfig = async (req, res, next) => {
+  try {
+    const DiscountRateConfigs = getModel('discount_rate_configs');
+    const active = await DiscountRateConfigs.findActive().lean();
+    const base = active || DEFAULT_DISCOUNT_RATE_CONFIG;
+
+    const config = Object.fromEntries(
+      DISCOUNT_RATE_FIELDS.map((field) => [
+        field,
+        req.body[field] !== undefined ? req.body[field] : base[field],
+      ]),
+    );
+
+    const validation = validateDiscountRateConfig(config);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: `Invalid input: ${validation.errors.join(', ')}`,
+      });
+    }
+
+    const created = await DiscountRateConfigs.createVersion({
+      ...config,
+      description: req.body.description || '',
+    });
+
+    logger.business(
+      `[Valuation] Discount rate config v${created.version} activated`,
+    );
+
+    res.status(201).json({ config: stripVersionFields(created.toObject()) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-activate a previously saved version
+ * POST /api/v1/valuation/discount-rates/versions/:version/activate
+ */
+export const activateDiscountRateVersion = async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({
+        error: 'Invalid input: version must be an integer',
+      });
+    }
+
+    const DiscountRateConfigs = getModel('discount_rate_configs');
+    const activated = await DiscountRateConfigs.activateVersion(version);
+    if (!activated) {
+      return res.status(404).json({
+        error: 'Discount rate config not found',
+        message: `Discount rate config version ${version} does not exist`,
+      });
+    }
+
+    logger.business(`[Valuation] Discount rate config v${version} activated`);
+
+    res.json({ config: stripVersionFields(activated.toObject()) });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,237 @@
+import { getModel } from '@buydy/se-db';
+import logger from '@buydy/se-logger';
+
+/**
+ * Watchlists Controller
+ *
+ * CRUD for server-side symbol lists of the signed-in user. The heatmap, ranking
+ * and price range endpoints accept a `watchlistId` in place of an explicit symbol list.
+ */
+
+/**
+ * Resolve a watchlist id to its symbols
+ * @param {string} watchlistId - Watchlist ObjectId
+ * @param {Object} [user] - Signed-in user (req.user); anonymous requests own no watchlists
+ * @returns {Promise<Array<string>|null>} Symbols, or null when the user has no such watchlist
+ */
+export async function resolveWatchlistSymbols(watchlistId, user) {
+  const Watchlists = getModel('watchlists');
+  return Watchlists.getSymbolsById(watchlistId, user?._id);
+}
+
+const watchlistNotFound = (res, id) =>
+  res.status(404).json({
+    error: 'Watchlist not found',
+    message: `Watchlist with ID ${id} does not exist`,
+  });
+
+const isSymbolArray = (symbols) =>
+  Array.isArray(symbols) &&
+  symbols.every((symbol) => typeof symbol === 'string');
+
+/**
+ * Get the user's watchlists (most recently updated first)
+ */
+export const getWatchlists = async (req, res, next) => {
+  try {
+    const Watchlists = getModel('watchlists');
+    const watchlists = await Watchlists.find({ userId: req.user._id })
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      watchlists: watchlists.map((watchlist) => ({
+        ...watchlist,
+        symbolsCount: watchlist.symbols.length,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single watchlist by ID
+ */
+export const getWatchlistById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Watchlists = getModel('watchlists');
+
+    const watchlist = await Watchlists.findOne({
+      _id: id,
+      userId: req.user._id,
+    }).lean();
+    if (!watchlist) {
+      return watchlistNotFound(res, id);
+    }
+
+    res.json({ watchlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a watchlist
+ * Body: { name, description?, symbols? }
+ */
+export const createWatchlist = async (req, res, next) => {
+  try {
+    const { name, description, symbols = [] } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Invalid input: name is required',
+      });
+    }
+
+    if (!isSymbolArray(symbols)) {
+      return res.status(400).json({
+        error: 'Invalid input: symbols must be an array of strings',
+      });
+    }
+
+    const Watchlists = getModel('watchlists');
+    const watchlist = await Watchlists.create({
+      userId: req.user._id,
+      name,
+      description,
+      symbols,
+    });
+
+    logger.business(
+      `[Watchlists] Created "${watchlist.name}" with ${watchlist.symbols.length} symbols`,
+    );
+
+    res.status(201).json({ watchlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a watchlist (name, description and/or full symbol list)
+ */
+export const updateWatchlist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, symbols } = req.body;
+
+    if (symbols !== undefined && !isSymbolArray(symbols)) {
+      return res.status(400).json({
+        error: 'Invalid input: symbols must be an array of strings',
+      });
+    }
+
+    const Watchlists = getModel('watchlists');
+    const watchlist = await Watchlists.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!watchlist) {
+      return watchlistNotFound(res, id);
+    }
+
+    if (name !== undefined) watchlist.name = name;
+    if (description !== undefined) watchlist.description = description;
+    if (symbols !== undefined) watchlist.symbols = symbols;
+
+    await watchlist.save();
+
+    res.json({ watchlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add symbols to a watchlist
+ * Body: { symbols: [...] }
+ */
+export const addWatchlistSymbols = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { symbols } = req.body;
+
+    if (!isSymbolArray(symbols) || symbols.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input: symbols array is required',
+      });
+    }
+
+    const Watchlists = getModel('watchlists');
+    const watchlist = await Watchlists.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!watchlist) {
+      return watchlistNotFound(res, id);
+    }
+
+    await watchlist.addSymbols(symbols);
+
+    res.json({ watchlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove symbols from a watchlist
+ * Body: { symbols: [...] }
+ */
+export const removeWatchlistSymbols = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { symbols } = req.body;
+
+    if (!isSymbolArray(symbols) || symbols.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input: symbols array is required',
+      });
+    }
+
+    const Watchlists = getModel('watchlists');
+    const watchlist = await Watchlists.findOne({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!watchlist) {
+      return watchlistNotFound(res, id);
+    }
+
+    await watchlist.removeSymbols(symbols);
+
+    res.json({ watchlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a watchlist
+ */
+export const deleteWatchlist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const Watchlists = getModel('watchlists');
+
+    const watchlist = await Watchlists.findOneAndDelete({
+      _id: id,
+      userId: req.user._id,
+    });
+    if (!watchlist) {
+      return watchlistNotFound(res, id);
+    }
+
+    logger.business(`[Watchlists] Deleted "${watchlist.name}"`);
+
+    res.json({
+      message: 'Watchlist deleted successfully',
+      watchlist: { id: watchlist._id, name: watchlist.name },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -14,7 +14,16 @@ import stocksRoutes from './routes/stocks.js';
 import eodhdUsageRoutes from './routes/eodhdUsage.js';
 import heatmapRoutes from './routes/heatmap.js';
 import rankingRoutes from './routes/ranking.js';
+import watchlistsRoutes from './routes/watchlists.js';
+import alertsRoutes from './routes/alerts.js';
+import valuationRoutes from './routes/valuation.js';
+import authRoutes from './routes/auth.js';
+import screenerRoutes from './routes/screener.js';
+import screensRoutes from './routes/screens.js';
+import backtestsRoutes from './routes/backtests.js';
+import portfoliosRoutes from './routes/portfolios.js';
 import { errorHandler } from './middlewares/errorHandler.js';
+import { getPhoneAuthService } from './config/auth.js';
 
 const app = express();
 const API_PORT = process.env.API_PORT || 3001;
@@ -41,12 +50,20 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/jobs', jobsRoutes);
 app.use('/api/v1/job-types', jobTypesRoutes);
 app.use('/api/v1/stocks', stocksRoutes);
 app.use('/api/v1/eodhd-usage', eodhdUsageRoutes);
 app.use('/api/v1/metrics/heatmap', heatmapRoutes);
 app.use('/api/v1/ranking', rankingRoutes);
+app.use('/api/v1/watchlists', watchlistsRoutes);
+app.use('/api/v1/alerts', alertsRoutes);
+app.use('/api/v1/valuation', valuationRoutes);
+app.use('/api/v1/screener', screenerRoutes);
+app.use('/api/v1/screens', screensRoutes);
+app.use('/api/v1/backtests', backtestsRoutes);
+app.use('/api/v1/portfolios', portfoliosRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -79,6 +96,9 @@ async function startServer() {
     await ensureConnected();
     logger.business('✅ Database connected');
 
+    // Refuse to start with a phone sign-in that would leak its codes
+    getPhoneAuthService();
+
     app.listen(API_PORT, () => {
       logger.business(`🚀 Server running on port ${API_PORT}`);
       logger.business(
@@ -99,6 +119,30 @@ async function startServer() {
       logger.business(
         `📊 Ranking API available at http://localhost:${API_PORT}/api/v1/ranking`,
       );
+      logger.business(
+        `⭐ Watchlists API available at http://localhost:${API_PORT}/api/v1/watchlists`,
+      );
+      logger.business(
+        `🔔 Alerts API available at http://localhost:${API_PORT}/api/v1/alerts`,
+      );
+      logger.business(
+        `🧮 Valuation API available at http://localhost:${API_PORT}/api/v1/valuation`,
+      );
+      logger.business(
+        `🔎 Screener API available at http://localhost:${API_PORT}/api/v1/screener`,
+      );
+      logger.business(
+        `📋 Saved Screens API available at http://localhost:${API_PORT}/api/v1/screens`,
+      );
+      logger.business(
+        `📈 Backtests API available at http://localhost:${API_PORT}/api/v1/backtests`,
+      );
+      logger.business(
+        `💼 Portfolios API available at http://localhost:${API_PORT}/api/v1/portfolios`,
+      );
+      logger.business(
+        `🔐 Auth API available at http://localhost:${API_PORT}/api/v1/auth`,
+      );
       logger.business(`🏥 Health check at http://localhost:${API_PORT}/health`);
     });
   } catch (error) {
@@ -0,0 +1,89 @@
+import { getModel } from '@buydy/se-db';
+import { verifySessionToken } from '@buydy/se-auth-core';
+import logger from '@buydy/se-logger';
+import { getAuthConfig } from '../config/auth.js';
+
+let warnedDisabled = false;
+
+function unauthorized(res, message) {
+  return res.status(401).json({ error: 'Unauthorized', message });
+}
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Resolve the session token into req.user.
+ * The user is re-read on every request so role changes and logouts apply immediately.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req);
+    if (!token) {
+      return unauthorized(res, 'Missing bearer token');
+    }
+
+    let payload;
+    try {
+      payload = verifySessionToken(token, getAuthConfig().tokenSecret);
+    } catch (error) {
+      return unauthorized(res, `Invalid token: ${error.message}`);
+    }
+
+    const Users = getModel('users');
+    const user = await Users.findById(payload.sub).lean();
+    if (!user || (user.tokenVersion ?? 0) !== payload.ver) {
+      return unauthorized(res, 'Session is no longer valid');
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Like authenticate, but anonymous requests pass through without req.user
+ * (public endpoints that also read data of the signed-in user, e.g. a watchlistId)
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  if (!readBearerToken(req)) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+/**
+ * Require a signed-in user with one of the given roles
+ * @param {...string} roles - Allowed roles (any signed-in user when empty)
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (getAuthConfig().disabled) {
+      if (!warnedDisabled) {
+        warnedDisabled = true;
+        logger.business('⚠️  AUTH_DISABLED=true - role checks are skipped');
+      }
+      return next();
+    }
+
+    authenticate(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+      if (roles.length > 0 && !roles.includes(req.user.role)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Requires role: ${roles.join(' or ')}`,
+        });
+      }
+      next();
+    });
+  };
+
+export const requireAdmin = requireRole('admin');
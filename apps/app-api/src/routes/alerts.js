@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getAlerts,
+  getAlertById,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getAlertEvents,
+} from '../controllers/alertsController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every route is scoped to the signed-in user's rules and events
+
+// Get all alert rules
+router.get('/', authenticate, getAlerts);
+
+// Triggered events feed (all of the user's rules)
+router.get('/events', authenticate, getAlertEvents);
+
+// Get alert rule by ID
+router.get('/:id', authenticate, getAlertById);
+
+// Triggered events of one rule
+router.get('/:id/events', authenticate, getAlertEvents);
+
+// Create new alert rule
+router.post('/', authenticate, createAlert);
+
+// Update alert rule
+router.put('/:id', authenticate, updateAlert);
+
+// Delete alert rule
+router.delete('/:id', authenticate, deleteAlert);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  googleLogin,
+  appleLogin,
+  sendVerificationCode,
+  verifyPhone,
+  logout,
+  getCurrentUser,
+} from '../controllers/authController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Provider sign-in (ID token from the client SDK)
+router.post('/google', googleLogin);
+router.post('/apple', appleLogin);
+
+// Phone sign-in (SMS one-time code)
+router.post('/send-verification-code', sendVerificationCode);
+router.post('/verify-phone', verifyPhone);
+
+// Session
+router.post('/logout', authenticate, logout);
+router.get('/me', authenticate, getCurrentUser);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getBacktests,
+  getBacktestById,
+  createBacktest,
+  deleteBacktest,
+} from '../controllers/backtestsController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every route is scoped to the signed-in user's backtests
+
+// Get all backtests (without equity curves)
+router.get('/', authenticate, getBacktests);
+
+// Get backtest by ID with its full result
+router.get('/:id', authenticate, getBacktestById);
+
+// Queue a backtest (run asynchronously by the scanner)
+router.post('/', authenticate, createBacktest);
+
+// Delete backtest
+router.delete('/:id', authenticate, deleteBacktest);
+
+export default router;
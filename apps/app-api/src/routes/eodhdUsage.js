@@ -7,8 +7,10 @@ import {
   getAvailableJobs,
   getEndpointTypesData,
   getUsageTrends,
+  getCreditBudget,
   deleteOldRecords,
 } from '../controllers/eodhdUsageController.js';
+import { requireAdmin } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -20,6 +22,7 @@ router.get('/available-endpoints', getAvailableEndpoints);
 router.get('/available-jobs', getAvailableJobs);
 router.get('/endpoint-types', getEndpointTypesData);
 router.get('/trends', getUsageTrends);
-router.delete('/cleanup', deleteOldRecords);
+router.get('/budget', getCreditBudget);
+router.delete('/cleanup', requireAdmin, deleteOldRecords);
 
 export default router;
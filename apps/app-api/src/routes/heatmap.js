@@ -10,11 +10,12 @@ import {
   getSymbolPricePosition,
 } from '../controllers/priceRangeController.js';
 import { bulkLoadPriceRangeData } from '../controllers/priceRangeBulkController.js';
+import { optionalAuthenticate } from '../middlewares/auth.js';
 
 const router = express.Router();
 
-// Get heatmap data for visualization
-router.get('/', getHeatmapData);
+// Get heatmap data for visualization (watchlistId needs the owner's session)
+router.get('/', optionalAuthenticate, getHeatmapData);
 
 // Helper endpoints for filters
 router.get('/sectors', getAllSectors);
@@ -22,7 +23,7 @@ router.get('/industries', getAllIndustries);
 router.get('/available', getAvailableMetrics);
 
 // Price range filtering endpoints
-router.post('/price-range/filter', filterPriceRange);
+router.post('/price-range/filter', optionalAuthenticate, filterPriceRange);
 router.post('/price-range/bulk', bulkLoadPriceRangeData);
 router.get('/price-range/position/:symbol', getSymbolPricePosition);
 
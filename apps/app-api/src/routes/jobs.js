@@ -9,6 +9,9 @@ import {
   createJob,
   updateJob,
   runJob,
+  cancelJob,
+  getJobCommands,
+  getJobCommandById,
   deleteJob,
   deleteAllJobs,
   getJobStats,
@@ -19,6 +22,7 @@ import {
   pauseCycledList,
   resumeCycledList,
 } from '../controllers/cycledListController.js';
+import { requireAdmin } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -27,8 +31,8 @@ router.get('/stats', getJobStats);
 
 // Cycled list status endpoints
 router.get('/cycled-list-status', getCycledListStatus);
-router.post('/cycled-list-status/pause', pauseCycledList);
-router.post('/cycled-list-status/resume', resumeCycledList);
+router.post('/cycled-list-status/pause', requireAdmin, pauseCycledList);
+router.post('/cycled-list-status/resume', requireAdmin, resumeCycledList);
 
 // Specialized endpoints
 router.get('/recent', getRecentJobs);
@@ -37,13 +41,18 @@ router.get('/failed', getFailedJobs);
 router.get('/types', getJobsByType);
 router.get('/history/:name', getJobHistory);
 
+// Commands queued for the scanner (run/cancel/pause/resume); they carry the admin's email
+router.get('/commands', requireAdmin, getJobCommands);
+router.get('/commands/:id', requireAdmin, getJobCommandById);
+
 // CRUD operations
 router.get('/', getAllJobs);
 router.get('/:id', getJobById);
-router.post('/', createJob);
-router.put('/:id', updateJob);
-router.post('/:id/run', runJob);
-router.delete('/all', deleteAllJobs);
-router.delete('/:id', deleteJob);
+router.post('/', requireAdmin, createJob);
+router.put('/:id', requireAdmin, updateJob);
+router.post('/:id/run', requireAdmin, runJob);
+router.post('/:id/cancel', requireAdmin, cancelJob);
+router.delete('/all', requireAdmin, deleteAllJobs);
+router.delete('/:id', requireAdmin, deleteJob);
 
 export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  getPortfolios,
+  getPortfolioById,
+  createPortfolio,
+  updatePortfolio,
+  addPortfolioLot,
+  removePortfolioLot,
+  importPortfolioTransactions,
+  deletePortfolio,
+} from '../controllers/portfoliosController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every route is scoped to the signed-in user's portfolios
+
+// Get all portfolios
+router.get('/', authenticate, getPortfolios);
+
+// Get portfolio by ID (lots, cash and latest valuation)
+router.get('/:id', authenticate, getPortfolioById);
+
+// Create new portfolio
+router.post('/', authenticate, createPortfolio);
+
+// Update portfolio (name, description, base currency, cash)
+router.put('/:id', authenticate, updatePortfolio);
+
+// Add / remove individual lots
+router.post('/:id/lots', authenticate, addPortfolioLot);
+router.delete('/:id/lots/:lotId', authenticate, removePortfolioLot);
+
+// Import transactions (CSV text or JSON array)
+router.post('/:id/transactions', authenticate, importPortfolioTransactions);
+
+// Delete portfolio
+router.delete('/:id', authenticate, deletePortfolio);
+
+export default router;
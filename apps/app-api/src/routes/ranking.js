@@ -1,9 +1,10 @@
 import express from 'express';
 import { calculateRanking } from '../controllers/rankingController.js';
+import { optionalAuthenticate } from '../middlewares/auth.js';
 
 const router = express.Router();
 
-// Calculate ranking for companies
-router.post('/calculate', calculateRanking);
+// Calculate ranking for companies (watchlistId needs the owner's session)
+router.post('/calculate', optionalAuthenticate, calculateRanking);
 
 export default router;
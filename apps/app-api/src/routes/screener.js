@@ -0,0 +1,9 @@
+import express from 'express';
+import { runScreener } from '../controllers/screenerController.js';
+
+const router = express.Router();
+
+// Run a screener query (expression tree or text form) with sorting and paging
+router.post('/', runScreener);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getScreens,
+  getScreenById,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  getScreenRuns,
+} from '../controllers/screensController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every route is scoped to the signed-in user's screens
+
+// Get all saved screens with their latest matches
+router.get('/', authenticate, getScreens);
+
+// Get screen by ID
+router.get('/:id', authenticate, getScreenById);
+
+// Run changelog of one screen
+router.get('/:id/runs', authenticate, getScreenRuns);
+
+// Create new screen
+router.post('/', authenticate, createScreen);
+
+// Update screen
+router.put('/:id', authenticate, updateScreen);
+
+// Delete screen and its runs
+router.delete('/:id', authenticate, deleteScreen);
+
+export default router;
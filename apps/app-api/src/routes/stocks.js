@@ -6,16 +6,23 @@ import {
   getStockStats,
   getSectors,
   getIndustries,
+  getMetricHistory,
+  getStockDetails,
+  getUniverseList,
 } from '../controllers/stocksController.js';
+import { optionalAuthenticate } from '../middlewares/auth.js';
 
 const router = express.Router();
 
 // Get large cap stocks with filtering and pagination
-router.get('/large-cap', getLargeCapStocks);
+router.get('/large-cap', optionalAuthenticate, getLargeCapStocks);
 
 // Get filter options for large cap stocks
 router.get('/large-cap/filters', getFilterOptions);
 
+// List the universes accepted by the `universe` query param
+router.get('/universes', getUniverseList);
+
 // Get stock autocomplete suggestions
 router.get('/autocomplete', getStockAutocomplete);
 
@@ -28,4 +35,10 @@ router.get('/large-cap/sectors', getSectors);
 // Get available industries for filtering
 router.get('/large-cap/industries', getIndustries);
 
+// Get daily history of metrics and percentiles for a symbol
+router.get('/:symbol/metrics/history', getMetricHistory);
+
+// Get full details for a single symbol (must stay after the static routes above)
+router.get('/:symbol', getStockDetails);
+
 export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  runWhatIfDCF,
+  getDiscountRateConfig,
+  getDiscountRateVersions,
+  updateDiscountRateConfig,
+  activateDiscountRateVersion,
+} from '../controllers/valuationController.js';
+import { requireAdmin } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// What-if DCF valuation with assumption overrides
+router.post('/dcf/:symbol', runWhatIfDCF);
+
+// Active discount rate (WACC) configuration
+router.get('/discount-rates', getDiscountRateConfig);
+
+// Save a new configuration version
+router.put('/discount-rates', requireAdmin, updateDiscountRateConfig);
+
+// Saved configuration versions
+router.get('/discount-rates/versions', getDiscountRateVersions);
+
+// Re-activate a saved version
+router.post(
+  '/discount-rates/versions/:version/activate',
+  requireAdmin,
+  activateDiscountRateVersion,
+);
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getWatchlists,
+  getWatchlistById,
+  createWatchlist,
+  updateWatchlist,
+  addWatchlistSymbols,
+  removeWatchlistSymbols,
+  deleteWatchlist,
+} from '../controllers/watchlistsController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Every route is scoped to the signed-in user's watchlists
+
+// Get all watchlists
+router.get('/', authenticate, getWatchlists);
+
+// Get watchlist by ID
+router.get('/:id', authenticate, getWatchlistById);
+
+// Create new watchlist
+router.post('/', authenticate, createWatchlist);
+
+// Update watchlist (name, description, full symbol list)
+router.put('/:id', authenticate, updateWatchlist);
+
+// Add / remove individual symbols
+router.post('/:id/symbols', authenticate, addWatchlistSymbols);
+router.delete('/:id/symbols', authenticate, removeWatchlistSymbols);
+
+// Delete watchlist
+router.delete('/:id', authenticate, deleteWatchlist);
+
+export default router;
@@ -3,6 +3,7 @@
 /**
  * Test script to run a job via the API
  * Usage: node src/test-run-job.js <job-id>
+ * Set API_TOKEN to an admin session token when auth is enabled.
  */
 
 import fetch from 'node-fetch';
@@ -19,6 +20,9 @@ async function testRunJob(jobId) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(process.env.API_TOKEN && {
+          Authorization: `Bearer ${process.env.API_TOKEN}`,
+        }),
       },
     });
 
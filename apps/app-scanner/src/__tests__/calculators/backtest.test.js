@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import {
+  getRebalanceDates,
+  selectTopCompanies,
+  equalWeights,
+  simulateHolding,
+  calculateTurnover,
+  summarizeEquityCurve,
+} from "../../calculators/backtest.js";
+
+const pricesOf = (series) =>
+  new Map(
+    Object.entries(series).map(([symbol, prices]) => [symbol, new Map(Object.entries(prices))])
+  );
+
+describe("backtest rebalance schedule", () => {
+  it("steps monthly or quarterly and clamps to the month end", () => {
+    expect(getRebalanceDates("2024-01-31", "2024-05-01", "monthly")).toEqual([
+      "2024-01-31",
+      "2024-02-29",
+      "2024-03-31",
+      "2024-04-30",
+    ]);
+    expect(getRebalanceDates("2024-01-15", "2024-12-31", "quarterly")).toEqual([
+      "2024-01-15",
+      "2024-04-15",
+      "2024-07-15",
+      "2024-10-15",
+    ]);
+    expect(() => getRebalanceDates("2024-01-01", "2024-12-31", "weekly")).toThrow(
+      'Unknown rebalance frequency "weekly"'
+    );
+  });
+});
+
+describe("backtest portfolio selection", () => {
+  it("picks the top N by ranking score and skips companies without usable percentiles", () => {
+    const companies = [
+      { symbol: "KO.US", percentiles: { DividendYieldCurrent: 0.7 } },
+      { symbol: "PEP.US", percentiles: { DividendYieldCurrent: 0.9 } },
+      { symbol: "MO.US", percentiles: { DividendYieldCurrent: 0.9 } },
+      { symbol: "NEW.US", percentiles: {} },
+    ];
+
+    expect(selectTopCompanies(companies, { metrics: ["DividendYieldCurrent"], topN: 2 })).toEqual([
+      { symbol: "MO.US", score: 0.9 },
+      { symbol: "PEP.US", score: 0.9 },
+    ]);
+  });
+});
+
+describe("backtest simulation", () => {
+  it("holds positions between rebalances and drifts their weights", () => {
+    const { values, endWeights } = simulateHolding(
+      equalWeights(["A", "B"]),
+      pricesOf({
+        A: { "2024-01-02": 10, "2024-01-03": 11, "2024-01-04": 12 },
+        // B has no bar on the 3rd: the last price is carried forward
+        B: { "2024-01-02": 20, "2024-01-04": 18 },
+      }),
+      ["2024-01-02", "2024-01-03", "2024-01-04"]
+    );
+
+    expect(values[0]).toBeCloseTo(1);
+    expect(values[1]).toBeCloseTo(1.05);
+    expect(values[2]).toBeCloseTo(1.05);
+    expect(endWeights.get("A")).toBeCloseTo(0.6 / 1.05);
+    expect(endWeights.get("B")).toBeCloseTo(0.45 / 1.05);
+  });
+
+  it("keeps positions without prices and empty portfolios in cash", () => {
+    const dates = ["2024-01-02", "2024-01-03"];
+    const prices = pricesOf({ A: { "2024-01-02": 10, "2024-01-03": 12 } });
+
+    expect(simulateHolding(equalWeights(["A", "GONE"]), prices, dates).values[1]).toBeCloseTo(1.1);
+    expect(simulateHolding(new Map(), prices, dates).values).toEqual([1, 1]);
+  });
+
+  it("measures one-way turnover", () => {
+    const previous = new Map([
+      ["A", 0.6],
+      ["B", 0.4],
+    ]);
+
+    expect(calculateTurnover(new Map(), equalWeights(["A", "B"]))).toBeCloseTo(1);
+    expect(calculateTurnover(previous, equalWeights(["A", "B"]))).toBeCloseTo(0.1);
+    expect(calculateTurnover(previous, equalWeights(["C", "D"]))).toBeCloseTo(1);
+  });
+});
+
+describe("backtest statistics", () => {
+  it("summarizes CAGR, volatility, drawdown, Sharpe and turnover", () => {
+    const curve = [
+      { date: "2023-01-02", value: 1 },
+      { date: "2023-07-03", value: 1.2 },
+      { date: "2023-10-02", value: 0.9 },
+      { date: "2024-01-02", value: 1.1 },
+    ];
+
+    const stats = summarizeEquityCurve(curve, { riskFreeRate: 0.02, turnovers: [0.5, 0.3] });
+    const years = 365 / 365.25;
+
+    expect(stats.totalReturn).toBeCloseTo(0.1);
+    expect(stats.cagr).toBeCloseTo(Math.pow(1.1, 1 / years) - 1);
+    expect(stats.maxDrawdown).toBeCloseTo(0.25);
+    expect(stats.volatility).toBeGreaterThan(0);
+    expect(stats.sharpe).toBeCloseTo(
+      (((0.2 - 0.25 + 1.1 / 0.9 - 1) / 3) * 252 - 0.02) / stats.volatility
+    );
+    expect(stats.turnover).toBeCloseTo(0.4);
+    expect(stats.annualTurnover).toBeCloseTo(0.8 / years);
+    expect(summarizeEquityCurve(curve.slice(0, 1)).cagr).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_DISCOUNT_RATE_CONFIG,
+  buildWacc,
+  resolveBeta,
+  resolveTerminalGrowth,
+} from "@buydy/iso-business-types";
+
+const config = { ...DEFAULT_DISCOUNT_RATE_CONFIG, version: 3 };
+
+describe("discount rates", () => {
+  it("falls back from company beta to sector median to default", () => {
+    expect(resolveBeta({ beta: 1.4, sectorBeta: 0.6 }, config)).toMatchObject({
+      beta: 1.4,
+      betaSource: "fundamentals",
+    });
+    expect(resolveBeta({ beta: null, sectorBeta: 0.6 }, config)).toMatchObject({
+      beta: 0.6,
+      betaSource: "sector-median",
+    });
+    expect(resolveBeta({}, config)).toMatchObject({ beta: 1, betaSource: "default" });
+  });
+
+  it("weights the after-tax cost of debt by market value", () => {
+    const unlevered = buildWacc(
+      { currency: "USD", country: "USA", marketCap: 10e9, beta: 1, taxRate: 0.21 },
+      config
+    );
+    expect(unlevered.debtWeight).toBe(0);
+    expect(unlevered.wacc).toBeCloseTo(0.043 + 0.055);
+
+    const levered = buildWacc(
+      {
+        currency: "USD",
+        country: "USA",
+        marketCap: 10e9,
+        beta: 1,
+        totalDebt: 10e9,
+        interestExpense: 0.5e9,
+        taxRate: 0.21,
+      },
+      config
+    );
+    expect(levered.debtWeight).toBeCloseTo(0.5);
+    expect(levered.costOfDebt).toBeCloseTo(0.05);
+    expect(levered.costOfDebtSource).toBe("interest-expense");
+    expect(levered.wacc).toBeCloseTo(0.5 * 0.098 + 0.5 * 0.05 * 0.79);
+    expect(levered.configVersion).toBe(3);
+  });
+
+  it("reads rates from the stored configuration", () => {
+    const stored = {
+      ...config,
+      riskFreeRates: { EUR: 0.03 },
+      countryRiskPremiums: { SOUTH_AFRICA: 0.05 },
+      terminalGrowthByCurrency: {},
+    };
+
+    const wacc = buildWacc({ currency: "EUR", country: "South Africa", beta: 1 }, stored);
+    expect(wacc.riskFreeRate).toBe(0.03);
+    expect(wacc.countryRiskPremium).toBe(0.05);
+    expect(resolveTerminalGrowth("ZAR", "South Africa", stored)).toBe(
+      stored.emergingMarketTerminalGrowth
+    );
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import {
+  calculateSurprisePct,
+  normalizeEarningsCalendar,
+  EPSSurprisePct,
+  EPSGrowthYoY,
+  DaysToNextEarnings,
+} from "../../calculators/earnings.js";
+import { buildEarningsMetrics } from "../../jobs/large-cap/earnings/syncEarningsLargeCap.js";
+
+const AS_OF = new Date("2024-10-15T12:00:00Z");
+
+// EODHD /calendar/earnings rows: five reported quarters and one scheduled report
+const ROWS = [
+  { code: "AAPL.US", report_date: "2023-11-02", date: "2023-09-30", actual: 1.46, estimate: 1.39 },
+  { code: "AAPL.US", report_date: "2024-02-01", date: "2023-12-31", actual: 2.18, estimate: 2.1 },
+  { code: "AAPL.US", report_date: "2024-05-02", date: "2024-03-31", actual: 1.53, estimate: 1.5 },
+  { code: "AAPL.US", report_date: "2024-08-01", date: "2024-06-30", actual: 1.4, estimate: 1.35 },
+  // Same quarter reported twice (amended row) - latest wins
+  { code: "AAPL.US", report_date: "2024-08-01", date: "2024-06-30", actual: 1.4, estimate: 1.33 },
+  {
+    code: "AAPL.US",
+    report_date: "2024-10-31",
+    date: "2024-09-30",
+    before_after_market: "AfterMarket",
+    currency: "USD",
+    actual: null,
+    estimate: 1.6,
+  },
+  // Unusable rows
+  { code: "AAPL.US", report_date: null, date: "2022-12-31", actual: 1.88 },
+  { code: "AAPL.US", report_date: "2024-09-01", date: "2024-06-30", actual: null, estimate: 1.3 },
+];
+
+describe("earnings calendar normalization", () => {
+  it("splits rows into reported quarters and upcoming reports", () => {
+    const { history, upcoming } = normalizeEarningsCalendar(ROWS, AS_OF);
+
+    expect(history.map((quarter) => quarter.periodEnd)).toEqual([
+      "2023-09-30",
+      "2023-12-31",
+      "2024-03-31",
+      "2024-06-30",
+    ]);
+    expect(history[3].epsEstimate).toBe(1.33);
+    expect(history[3].surprisePct).toBeCloseTo(0.07 / 1.33, 10);
+
+    expect(upcoming).toEqual([
+      {
+        periodEnd: "2024-09-30",
+        reportDate: "2024-10-31",
+        beforeAfterMarket: "AfterMarket",
+        currency: "USD",
+        epsEstimate: 1.6,
+      },
+    ]);
+  });
+
+  it("handles missing or malformed input", () => {
+    expect(normalizeEarningsCalendar(undefined, AS_OF)).toEqual({ history: [], upcoming: [] });
+    expect(normalizeEarningsCalendar({ error: "x" }, AS_OF)).toEqual({ history: [], upcoming: [] });
+  });
+});
+
+describe("earnings metrics", () => {
+  const { history, upcoming } = normalizeEarningsCalendar(ROWS, AS_OF);
+
+  it("measures surprise against the absolute estimate", () => {
+    expect(calculateSurprisePct(1.1, 1)).toBeCloseTo(0.1, 10);
+    expect(calculateSurprisePct(-0.5, -1)).toBeCloseTo(0.5, 10);
+    expect(calculateSurprisePct(1, 0)).toBeNull();
+    expect(calculateSurprisePct(1, null)).toBeNull();
+  });
+
+  it("uses the latest reported quarter for the surprise and caps outliers", () => {
+    expect(EPSSurprisePct(history)).toBeCloseTo(0.07 / 1.33, 10);
+    expect(EPSSurprisePct([{ surprisePct: 40 }])).toBe(5);
+    expect(EPSSurprisePct([])).toBeNull();
+  });
+
+  it("compares the latest quarter with the same quarter a year earlier", () => {
+    const withYearAgo = [
+      { periodEnd: "2023-07-01", epsActual: 1.26 },
+      ...history.filter((quarter) => quarter.periodEnd !== "2023-09-30"),
+    ];
+    expect(EPSGrowthYoY(withYearAgo)).toBeCloseTo(0.14 / 1.26, 10);
+    // No quarter within the matching window a year back
+    expect(EPSGrowthYoY(history)).toBeNull();
+  });
+
+  it("counts calendar days to the next scheduled report", () => {
+    expect(DaysToNextEarnings(upcoming, AS_OF)).toBe(16);
+    expect(DaysToNextEarnings(upcoming, new Date("2024-10-31T20:00:00Z"))).toBe(0);
+    expect(DaysToNextEarnings([], AS_OF)).toBeNull();
+  });
+
+  it("builds the metrics document fields", () => {
+    const metrics = buildEarningsMetrics({ history, upcoming }, AS_OF);
+
+    expect(metrics.DaysToNextEarnings).toBe(16);
+    expect(metrics.nextEarningsDate).toEqual(new Date("2024-10-31T00:00:00Z"));
+    expect(metrics.EPSGrowthYoY).toBeNull();
+    expect(buildEarningsMetrics({}, AS_OF).nextEarningsDate).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import {
+  adjustLotsForSplits,
+  getPaymentIntervalMonths,
+  forecastDividendPayments,
+  buildIncomeCalendar,
+  valuePosition,
+} from "../../calculators/portfolioValuation.js";
+
+const quarterlyHistory = [
+  { date: "2024-03-14", value: 0.485, paymentDate: "2024-04-01" },
+  { date: "2024-06-14", value: 0.485, paymentDate: "2024-07-01" },
+  { date: "2024-09-13", value: 0.485, paymentDate: "2024-10-01" },
+  { date: "2024-11-29", value: 0.485, paymentDate: "2024-12-16" },
+];
+
+describe("portfolio lots", () => {
+  it("restates lots bought before a split on today's share basis", () => {
+    const lots = [
+      { date: new Date("2020-01-02"), quantity: 10, price: 400, currency: "USD" },
+      { date: new Date("2021-01-04"), quantity: 5, price: 120, currency: "USD" },
+    ];
+
+    const adjusted = adjustLotsForSplits(lots, [{ date: "2020-08-31", split: "4/1", ratio: 4 }]);
+
+    expect(adjusted[0]).toMatchObject({ quantity: 40, price: 100 });
+    expect(adjusted[1]).toBe(lots[1]);
+  });
+
+  it("values a position in the base currency", () => {
+    const rates = { EUR: 1.1, USD: 1 };
+    const toBase = (amount, currency) => amount * rates[currency];
+    const lots = [
+      { quantity: 10, price: 50, currency: "EUR", fees: 5 },
+      { quantity: 10, price: 60, currency: "EUR", fees: 0 },
+    ];
+
+    const position = valuePosition({ lots, price: 70, priceCurrency: "EUR", toBase });
+
+    expect(position.quantity).toBe(20);
+    expect(position.costBasis).toBeCloseTo(1105 * 1.1);
+    expect(position.marketValue).toBeCloseTo(1400 * 1.1);
+    expect(position.unrealizedPnL).toBeCloseTo(295 * 1.1);
+    expect(position.unrealizedPnLPct).toBeCloseTo(295 / 1105);
+    expect(valuePosition({ lots, price: null, priceCurrency: "EUR", toBase }).marketValue).toBe(
+      null
+    );
+  });
+});
+
+describe("dividend income forecast", () => {
+  it("detects the payment interval from history", () => {
+    expect(getPaymentIntervalMonths(quarterlyHistory)).toBe(3);
+    expect(getPaymentIntervalMonths(quarterlyHistory.slice(0, 1))).toBeNull();
+  });
+
+  it("uses announced dividends and projects the schedule from the latest one", () => {
+    const payments = forecastDividendPayments(
+      {
+        currency: "USD",
+        history: quarterlyHistory,
+        upcoming: [{ date: "2025-03-14", value: 0.51, paymentDate: "2025-04-01" }],
+      },
+      { asOf: new Date("2025-01-15T00:00:00Z") }
+    );
+
+    expect(payments.map((payment) => payment.payDate.toISOString().slice(0, 10))).toEqual([
+      "2025-04-01",
+      // Ex-dates every 3 months, paid 18 days later like the latest dividend
+      "2025-07-02",
+      "2025-10-02",
+    ]);
+    expect(payments[0]).toMatchObject({ perShare: 0.51, currency: "USD", estimated: false });
+    expect(
+      payments.slice(1).every((payment) => payment.estimated && payment.perShare === 0.51)
+    ).toBe(true);
+  });
+
+  it("stops projecting a schedule that missed two payments", () => {
+    const payments = forecastDividendPayments(
+      { currency: "USD", history: quarterlyHistory, upcoming: [] },
+      { asOf: new Date("2025-08-01T00:00:00Z") }
+    );
+
+    expect(payments).toEqual([]);
+  });
+
+  it("buckets payments by pay month", () => {
+    const calendar = buildIncomeCalendar(
+      [
+        { symbol: "KO.US", payDate: new Date("2025-04-01"), amount: 48.5 },
+        { symbol: "PEP.US", payDate: new Date("2025-04-30"), amount: 27.1 },
+        { symbol: "KO.US", payDate: new Date("2026-02-01"), amount: 48.5 },
+      ],
+      { asOf: new Date("2025-01-15T00:00:00Z"), months: 12 }
+    );
+
+    expect(calendar).toHaveLength(12);
+    expect(calendar[0].month).toBe("2025-01");
+    expect(calendar[3]).toMatchObject({ month: "2025-04", amount: 75.6 });
+    expect(calendar[3].payments).toHaveLength(2);
+    // February 2026 is outside the 12 months starting January 2025
+    expect(calendar.reduce((sum, bucket) => sum + bucket.amount, 0)).toBeCloseTo(75.6);
+  });
+});
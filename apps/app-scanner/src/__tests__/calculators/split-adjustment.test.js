@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseSplitRatio,
+  normalizeSplits,
+  getSplitFactor,
+  adjustBarsForSplits,
+} from "../../utils/splitUtils.js";
+import { cleanDividendHistory, buildDividendQualityFlags } from "../../utils/dividendUtils.js";
+import { calculateAllPriceChanges } from "../../utils/priceChangeUtils.js";
+import { DividendGrowth5Y } from "../../calculators/dividendGrowth.js";
+
+// 4-for-1 split on 2020-08-31 (EODHD /splits row)
+const SPLITS = [{ date: "2020-08-31", split: "4.000000/1.000000" }];
+
+// Quarterly raw (unadjusted) payments growing 5% a year; the per-share amount drops 4x after the split
+const rawDividends = Array.from({ length: 8 }, (_, index) => 2017 + index).flatMap((year) =>
+  [1, 4, 7, 10].map((month) => {
+    const date = new Date(Date.UTC(year, month, 10)).toISOString().slice(0, 10);
+    const onTodaysBasis = 0.25 * Math.pow(1.05, year - 2017);
+    const unadjustedValue = date < "2020-08-31" ? onTodaysBasis * 4 : onTodaysBasis;
+    return { date, value: unadjustedValue, unadjustedValue };
+  })
+);
+
+describe("split ratios", () => {
+  it("parses forward and reverse split ratios", () => {
+    expect(parseSplitRatio("4.000000/1.000000")).toBe(4);
+    expect(parseSplitRatio("1/10")).toBeCloseTo(0.1, 10);
+    expect(parseSplitRatio("garbage")).toBeNull();
+  });
+
+  it("multiplies every split after a date and ignores no-op rows", () => {
+    const splits = normalizeSplits([
+      { date: "2014-06-09", split: "7/1" },
+      { date: "2020-08-31", split: "4/1" },
+      { date: "2021-01-01", split: "1/1" },
+    ]);
+    expect(splits).toHaveLength(2);
+    expect(getSplitFactor("2013-01-01", splits)).toBe(28);
+    expect(getSplitFactor("2020-08-28", splits)).toBe(4);
+    expect(getSplitFactor("2020-08-31", splits)).toBe(1);
+  });
+});
+
+describe("split-adjusted dividend history", () => {
+  it("restates pre-split payments so growth is not broken by the split", () => {
+    const unadjusted = cleanDividendHistory(rawDividends, { removeOutliers: false });
+    const adjusted = cleanDividendHistory(rawDividends, { removeOutliers: false, splits: SPLITS });
+
+    expect(DividendGrowth5Y(unadjusted.cleaned)).toBeLessThan(0);
+    expect(DividendGrowth5Y(adjusted.cleaned)).toBeCloseTo(0.05, 6);
+
+    const preSplit = adjusted.cleaned.find((entry) => entry.date === "2019-02-10");
+    expect(preSplit.splitFactor).toBe(4);
+    expect(preSplit.value).toBeCloseTo(0.25 * Math.pow(1.05, 2), 10);
+    expect(adjusted.stats.splitAdjusted).toBe(15);
+  });
+
+  it("flags split-adjusted series in the quality flags", () => {
+    const adjusted = cleanDividendHistory(rawDividends, { removeOutliers: false, splits: SPLITS });
+    const flags = buildDividendQualityFlags(adjusted, {}, {}, { isValid: true });
+
+    expect(flags.isSplitAdjusted).toBe(true);
+    expect(flags.splitAdjustedCount).toBe(15);
+
+    const plain = cleanDividendHistory(rawDividends, { removeOutliers: false });
+    expect(buildDividendQualityFlags(plain, {}, {}, { isValid: true }).isSplitAdjusted).toBe(false);
+  });
+});
+
+describe("split-adjusted price history", () => {
+  // 300 weekday bars at a flat $400 that become $100 after the split (stored adjusted_close not restated)
+  const bars = [];
+  for (let day = new Date("2019-10-01"); bars.length < 300; day.setUTCDate(day.getUTCDate() + 1)) {
+    if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+    const date = day.toISOString().slice(0, 10);
+    const close = date < "2020-08-31" ? 400 : 100;
+    bars.push({ date, close, adjusted_close: close });
+  }
+
+  it("leaves bars untouched when no split falls inside the series", () => {
+    const result = adjustBarsForSplits(bars, [{ date: "2010-01-04", split: "2/1" }]);
+    expect(result.splitAdjusted).toBe(false);
+    expect(result.bars).toBe(bars);
+  });
+
+  it("does not report the split as a 75% drop in PriceChange1Y", () => {
+    const unadjusted = calculateAllPriceChanges(bars);
+    const adjusted = calculateAllPriceChanges(bars, { splits: SPLITS });
+
+    expect(unadjusted.PriceChange1Y).toBeCloseTo(-0.75, 6);
+    expect(adjusted.PriceChange1Y).toBeCloseTo(0, 6);
+    expect(adjusted.metadata.flags.splitAdjusted).toBe(true);
+  });
+});
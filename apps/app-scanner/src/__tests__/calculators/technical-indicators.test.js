@@ -0,0 +1,156 @@
+/**
+ * Locally computed technical indicators
+ *
+ * Every fixture in fixtures/technicals holds daily bars plus reference indicator rows
+ * (EODHD /technical responses recorded with recordFixture.js, values from an independent
+ * implementation, or published worked examples; each fixture's `source` says which).
+ * Each reference row must be reproduced within the fixture's tolerance, or within
+ * `indicatorTolerance[name]` where the reference is known to be less precise.
+ */
+
+import { describe, it, expect } from "vitest";
+import { readdirSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import {
+  sma,
+  ema,
+  macd,
+  bollingerBands,
+  atr,
+  fiftyTwoWeekRange,
+  buildTechnicalIndicators,
+} from "../../calculators/technicals/indicators.js";
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "../fixtures/technicals");
+
+const fixtures = readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .map((file) => ({ file, ...JSON.parse(readFileSync(join(FIXTURE_DIR, file), "utf8")) }));
+
+function withinTolerance(actual, expected, { absolute = 0, relative = 0 } = {}) {
+  const allowed = Math.max(absolute, Math.abs(expected) * relative);
+  return Math.abs(actual - expected) <= allowed;
+}
+
+const makeBars = (closes, spread = 0) =>
+  closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split("T")[0],
+    open: close,
+    high: close + spread,
+    low: close - spread,
+    close,
+    volume: 1000,
+  }));
+
+describe("technical indicators vs recorded fixtures", () => {
+  it("has at least one fixture", () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+  });
+
+  for (const fixture of fixtures) {
+    describe(fixture.file, () => {
+      const computed = buildTechnicalIndicators(fixture.bars);
+
+      for (const [name, expectedRows] of Object.entries(fixture.indicators)) {
+        it(`matches ${name}`, () => {
+          const tolerance = fixture.indicatorTolerance?.[name] ?? fixture.tolerance;
+          const byDate = new Map((computed[name] || []).map((row) => [row.date, row]));
+          let compared = 0;
+
+          for (const expectedRow of expectedRows) {
+            const actualRow = byDate.get(expectedRow.date);
+            expect(actualRow, `${name} ${expectedRow.date} missing`).toBeDefined();
+
+            for (const [field, expected] of Object.entries(expectedRow)) {
+              if (field === "date" || typeof expected !== "number") continue;
+              const actual = actualRow[field];
+              expect(
+                withinTolerance(actual, expected, tolerance),
+                `${name}.${field} on ${expectedRow.date}: expected ${expected}, got ${actual}`
+              ).toBe(true);
+              compared++;
+            }
+          }
+
+          expect(compared).toBeGreaterThan(0);
+        });
+      }
+    });
+  }
+});
+
+describe("indicator properties", () => {
+  it("computes a simple moving average over the trailing window", () => {
+    expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+  });
+
+  it("seeds the EMA with the SMA of the first period", () => {
+    const result = ema([1, 2, 3, 4, 5], 3);
+    expect(result.slice(0, 2)).toEqual([null, null]);
+    expect(result[2]).toBe(2);
+    expect(result[3]).toBeCloseTo(3, 10);
+    expect(result[4]).toBeCloseTo(4, 10);
+  });
+
+  it("reports MACD divergence as macd minus signal", () => {
+    const closes = Array.from({ length: 80 }, (_, i) => 100 + Math.sin(i / 4) * 5 + i * 0.1);
+    const result = macd(closes);
+    const last = closes.length - 1;
+    expect(result.signal[last]).not.toBeNull();
+    expect(result.divergence[last]).toBeCloseTo(result.macd[last] - result.signal[last], 10);
+  });
+
+  it("collapses Bollinger Bands on a constant series", () => {
+    const bands = bollingerBands(Array(25).fill(50));
+    expect(bands.upper[24]).toBe(50);
+    expect(bands.middle[24]).toBe(50);
+    expect(bands.lower[24]).toBe(50);
+  });
+
+  it("returns the bar range as ATR when every bar has the same range", () => {
+    const bars = makeBars(Array(30).fill(100), 1);
+    const result = atr(
+      bars.map((bar) => bar.high),
+      bars.map((bar) => bar.low),
+      bars.map((bar) => bar.close),
+      14
+    );
+    expect(result[29]).toBeCloseTo(2, 10);
+  });
+
+  it("measures the distance from the 52-week high and low", () => {
+    const closes = Array.from({ length: 260 }, (_, i) => (i === 100 ? 200 : 100));
+    closes[150] = 50;
+    const range = fiftyTwoWeekRange(makeBars(closes));
+    expect(range.high).toBe(200);
+    expect(range.low).toBe(50);
+    expect(range.distanceFromHigh).toBeCloseTo(-0.5, 10);
+    expect(range.distanceFromLow).toBeCloseTo(1, 10);
+  });
+
+  it("builds the technicals document shape and honours the from date", () => {
+    const closes = Array.from({ length: 300 }, (_, i) => 100 + Math.sin(i / 7) * 10);
+    const bars = makeBars(closes, 2);
+    const from = bars[260].date;
+    const indicators = buildTechnicalIndicators(bars, { from });
+
+    for (const key of ["sma50", "ema20", "rsi", "macd", "stochrsi", "bbands", "atr"]) {
+      expect(indicators[key].length).toBeGreaterThan(0);
+      expect(indicators[key][0].date >= from).toBe(true);
+    }
+    expect(Object.keys(indicators.macd[0]).sort()).toEqual([
+      "date",
+      "divergence",
+      "macd",
+      "signal",
+    ]);
+    expect(Object.keys(indicators.bbands[0]).sort()).toEqual(["date", "lband", "mband", "uband"]);
+    expect(Object.keys(indicators.stochrsi[0]).sort()).toEqual([
+      "date",
+      "fast_d_line",
+      "fast_k_line",
+    ]);
+    expect(indicators.range52w).toHaveLength(1);
+  });
+});
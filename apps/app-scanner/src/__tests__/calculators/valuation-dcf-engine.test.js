@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { DCF_DEFAULTS, runDCF } from "@buydy/iso-business-types";
+
+const INPUTS = {
+  revenueTTM: 1_000,
+  ebitMargin: 0.2,
+  taxRate: 0.21,
+  salesToCapital: 2,
+  netDebt: 100,
+  sharesDiluted: 10,
+  currentPrice: 100,
+  revenueGrowthStart: 0.1,
+};
+
+describe("runDCF projection", () => {
+  it("returns one discounted row per horizon year", () => {
+    const result = runDCF(INPUTS, { ...DCF_DEFAULTS, horizonYears: 7 });
+
+    expect(result.horizonYears).toBe(7);
+    expect(result.projection.map((row) => row.year)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    // Growth fades linearly from the haircut starting growth to terminal growth
+    expect(result.growthStart).toBeCloseTo(INPUTS.revenueGrowthStart * 0.8);
+    expect(result.projection[0].growth).toBeLessThan(result.growthStart);
+    expect(result.projection.at(-1).growth).toBeCloseTo(DCF_DEFAULTS.terminalGrowth);
+
+    const pvSum = result.projection.reduce((sum, row) => sum + row.presentValue, 0);
+    expect(pvSum + result.pvTerminalValue).toBeCloseTo(result.enterpriseValue);
+    expect(result.equityValue).toBeCloseTo(result.enterpriseValue - INPUTS.netDebt);
+  });
+
+  it("values the company lower with a higher wacc", () => {
+    const base = runDCF(INPUTS, { ...DCF_DEFAULTS, wacc: 0.08 });
+    const stressed = runDCF(INPUTS, { ...DCF_DEFAULTS, wacc: 0.12 });
+
+    expect(stressed.fairValuePerShare).toBeLessThan(base.fairValuePerShare);
+    expect(stressed.projection[0].discountFactor).toBeCloseTo(1 / 1.12);
+  });
+});
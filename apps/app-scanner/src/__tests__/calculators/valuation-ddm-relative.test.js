@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_DISCOUNT_RATE_CONFIG } from "@buydy/iso-business-types";
+import {
+  calculateValuationDDM,
+  discountDividends,
+} from "../../calculators/valuation/valuationDDM.js";
+import {
+  calculateValuationRelative,
+  computeSectorMultiples,
+} from "../../calculators/valuation/valuationRelative.js";
+
+const asOf = new Date("2025-06-30");
+
+// Quarterly 0.25 dividends growing 5% a year, 2016–2025
+const dividendHistory = Array.from({ length: 10 }, (_, index) => 2016 + index).flatMap((year) =>
+  [2, 5, 8, 11].map((month) => ({
+    date: new Date(Date.UTC(year, month, 15)),
+    value: 0.25 * Math.pow(1.05, year - 2016),
+  }))
+);
+
+describe("dividend discount model", () => {
+  it("reduces to the Gordon growth model when stage growth equals terminal growth", () => {
+    const result = discountDividends({
+      dividendTTM: 1,
+      stageGrowth: 0.02,
+      terminalGrowth: 0.02,
+      requiredReturn: 0.08,
+    });
+    expect(result.value).toBeCloseTo(1.02 / 0.06, 6);
+  });
+
+  it("values a steady dividend grower and brackets it with the ±1% range", () => {
+    const result = calculateValuationDDM("KO.US", {
+      dividends: dividendHistory.filter((entry) => entry.date <= asOf),
+      dividendGrowth5Y: 0.05,
+      price: 40,
+      payoutRatio: 0.6,
+      currency: "USD",
+      country: "USA",
+      marketCap: 250e9,
+      beta: 0.6,
+      discountRates: DEFAULT_DISCOUNT_RATE_CONFIG,
+      asOf,
+    });
+
+    expect(result.quality).toBe("HIGH");
+    expect(result.dividendGrowth).toBeCloseTo(0.04);
+    expect(result.fairValue).toBeGreaterThan(0);
+    expect(result.range.low).toBeLessThan(result.fairValue);
+    expect(result.range.high).toBeGreaterThan(result.fairValue);
+    expect(result.upside).toBeCloseTo(result.fairValue / 40 - 1);
+  });
+
+  it("is not applicable when dividends stopped", () => {
+    const result = calculateValuationDDM("XYZ.US", {
+      dividends: dividendHistory.filter((entry) => entry.date.getUTCFullYear() < 2023),
+      dividendGrowth5Y: 0.05,
+      price: 40,
+      asOf,
+    });
+    expect(result.quality).toBe("N/A");
+    expect(result.reasonCode).toBe("NO_DIVIDEND");
+  });
+});
+
+describe("relative valuation", () => {
+  const peers = Array.from({ length: 12 }, (_, index) => ({
+    sector: "Technology",
+    evToEbitda: 10 + index,
+    pe: 15 + index,
+  }));
+
+  it("takes sector medians only for groups with enough peers", () => {
+    const multiples = computeSectorMultiples([
+      ...peers,
+      { sector: "Utilities", evToEbitda: 8, pe: 12 },
+      { sector: "Technology", evToEbitda: -5, pe: 500 },
+    ]);
+    expect(multiples.has("Utilities")).toBe(false);
+    expect(multiples.get("Technology")).toMatchObject({
+      evToEbitda: 15.5,
+      pe: 20.5,
+      evToEbitdaCount: 12,
+      peCount: 12,
+    });
+  });
+
+  it("blends EV/EBITDA and P/E fair values", () => {
+    const sectorMultiples = computeSectorMultiples(peers).get("Technology");
+    const result = calculateValuationRelative("ACME.US", {
+      fundamentals: {
+        General: { Sector: "Technology" },
+        Highlights: { EBITDA: 1.5e9, DilutedEpsTTM: 5, MarketCapitalization: 20e9 },
+        Valuation: { EnterpriseValue: 22e9 },
+        SharesStats: { SharesOutstanding: 200e6 },
+      },
+      price: 100,
+      sectorMultiples,
+    });
+
+    const evFair = (15.5 * 1.5e9 - 2e9) / 200e6;
+    const peFair = 20.5 * 5;
+    expect(result.fairValueEvEbitda).toBeCloseTo(evFair);
+    expect(result.fairValuePE).toBeCloseTo(peFair);
+    expect(result.fairValue).toBeCloseTo((evFair + peFair) / 2);
+    expect(result.range).toEqual({ low: peFair, high: evFair });
+    expect(result.quality).toBe("HIGH");
+  });
+});
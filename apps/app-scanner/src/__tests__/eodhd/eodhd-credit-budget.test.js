@@ -0,0 +1,209 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { once } from "events";
+import { EODHDClient, createCreditAccount, runWithCreditAccount } from "@buydy/se-eodhd";
+import { createStandInApp } from "../../dev/eodhdStandIn/createStandInApp.js";
+import {
+  fitUniverseToCreditBudget,
+  planJobCreditBudget,
+  runWithJobCredits,
+} from "../../utils/creditBudget.js";
+
+const jobs = { spent: [], updates: [] };
+
+vi.mock("@buydy/se-db", () => ({
+  getModel: () => ({
+    aggregate: async () => jobs.spent,
+    updateOne: async (filter, update) => jobs.updates.push({ filter, update }),
+  }),
+}));
+
+const servers = [];
+
+async function createStandInClient() {
+  const app = createStandInApp({
+    universeOptions: { exchanges: ["US"], symbolsPerExchange: 3, seed: "credits" },
+  });
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  servers.push(server);
+  return new EODHDClient({
+    apiKey: "stand-in",
+    baseURL: `http://127.0.0.1:${server.address().port}/api`,
+    useSingletonClient: false,
+    fixtures: null,
+  });
+}
+
+const exchangeOf = (exchangeCode, caps) => ({
+  exchangeCode,
+  symbols: caps.map((cap, index) => ({ Code: `${exchangeCode}${index}`, cap })),
+});
+
+describe("EODHD credit budget", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jobs.spent = [];
+    jobs.updates = [];
+  });
+
+  afterEach(async () => {
+    process.env = { ...env };
+    await Promise.all(servers.splice(0).map((server) => new Promise((r) => server.close(r))));
+  });
+
+  it("charges each answered request to the account it ran in", async () => {
+    const client = await createStandInClient();
+    const [{ Code }] = await client.search.getSymbolsByExchange("US");
+    const account = createCreditAccount("syncFundamentalsLargeCap");
+
+    await runWithCreditAccount(account, async () => {
+      await client.stocks.getFundamentalData(`${Code}.US`);
+      await client.stocks.getEODData(`${Code}.US`, "2024-01-01", "2024-01-05");
+      await client.stocks.getFundamentalData("NOPE.US").catch(() => null);
+    });
+    await client.stocks.getFundamentalData(`${Code}.US`);
+
+    expect(account).toMatchObject({
+      credits: 11,
+      requests: 2,
+      byEndpoint: { fundamentals: 10, eod: 1 },
+    });
+  });
+
+  it("fails the requests of an account whose signal was aborted", async () => {
+    const client = await createStandInClient();
+    const [{ Code }] = await client.search.getSymbolsByExchange("US");
+    const controller = new AbortController();
+    const account = createCreditAccount("syncFundamentalsLargeCap", {
+      signal: controller.signal,
+    });
+
+    await runWithCreditAccount(account, async () => {
+      await client.stocks.getEODData(`${Code}.US`, "2024-01-01", "2024-01-05");
+      controller.abort(new Error("Job syncFundamentalsLargeCap timed out after 1s"));
+      await expect(client.stocks.getFundamentalData(`${Code}.US`)).rejects.toThrow("timed out");
+    });
+
+    expect(account).toMatchObject({ credits: 1, requests: 1 });
+  });
+
+  it("defers the smallest stale symbols once the job's quota runs out", async () => {
+    // 5000 credits: 4500 allocatable, splits quota 5% = 225, of which 200 are spent
+    process.env.EODHD_DAILY_CREDIT_BUDGET = "5000";
+    jobs.spent = [{ _id: "syncSplitsLargeCap", credits: 200 }];
+    const exchanges = [
+      exchangeOf("US", [900, 100, 500, 300, 700, 200, 800, 400, 600, 1000]),
+      exchangeOf(
+        "LSE",
+        Array.from({ length: 20 }, (_, index) => 1500 + index)
+      ),
+    ];
+    const freshKeys = new Set(["US9.US", "US1.US"]);
+    const log = vi.fn();
+
+    const {
+      exchanges: budgeted,
+      plan,
+      deferred,
+    } = await fitUniverseToCreditBudget("syncSplitsLargeCap", exchanges, {
+      findFresh: async () => freshKeys,
+      log,
+    });
+
+    expect(plan).toMatchObject({
+      quota: 225,
+      available: 25,
+      allowedSymbols: 25,
+      deferredSymbols: 3,
+      degraded: true,
+    });
+    expect(deferred).toEqual(["US7.US", "US3.US", "US5.US"]);
+    expect(budgeted[0].symbols.map((symbol) => symbol.Code)).toEqual([
+      "US0",
+      "US1",
+      "US2",
+      "US4",
+      "US6",
+      "US8",
+      "US9",
+    ]);
+    expect(budgeted[1].symbols).toHaveLength(20);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining("deferring 3"));
+  });
+
+  it("reserves fixed spend such as bulk downloads before per-symbol calls", async () => {
+    // 10000 credits: 9000 allocatable, prices quota 7% = 630, of which 230 are spent
+    process.env.EODHD_DAILY_CREDIT_BUDGET = "10000";
+    jobs.spent = [{ _id: "syncPricesLargeCap", credits: 230 }];
+
+    const { plan, deferred } = await fitUniverseToCreditBudget(
+      "syncPricesLargeCap",
+      [
+        exchangeOf(
+          "US",
+          Array.from({ length: 250 }, (_, index) => 1000 - index)
+        ),
+      ],
+      { findFresh: async () => new Set(), fixedCredits: 200, log: () => {} }
+    );
+
+    expect(plan).toMatchObject({
+      available: 400,
+      fixedCredits: 200,
+      allowedSymbols: 200,
+      projected: 400,
+    });
+    expect(deferred).toHaveLength(50);
+    expect(deferred[0]).toBe("US200.US");
+  });
+
+  it("plans jobs that are not symbol based, such as FX rates", async () => {
+    // 10000 credits: 9000 allocatable, FX quota 1% = 90
+    process.env.EODHD_DAILY_CREDIT_BUDGET = "10000";
+    const log = vi.fn();
+
+    const plan = await planJobCreditBudget("syncFxRates", 120, { unit: "currencies", log });
+
+    expect(plan).toMatchObject({ quota: 90, allowedSymbols: 90, deferredSymbols: 30 });
+    expect(log).toHaveBeenCalledWith(expect.stringContaining("120 stale currencies"));
+
+    process.env.EODHD_DAILY_CREDIT_BUDGET = "0";
+    expect(await planJobCreditBudget("syncFxRates", 120)).toBeNull();
+  });
+
+  it("stores quota, projection and actual spend on the job record", async () => {
+    const client = await createStandInClient();
+    const [{ Code }] = await client.search.getSymbolsByExchange("US");
+    const jobRecord = { _id: "job-1" };
+
+    const result = await runWithJobCredits("syncFundamentalsLargeCap", jobRecord, async () => {
+      await fitUniverseToCreditBudget("syncFundamentalsLargeCap", [exchangeOf("US", [1, 2])], {
+        findFresh: async () => new Set(),
+        log: () => {},
+      });
+      await client.stocks.getFundamentalData(`${Code}.US`);
+      return "done";
+    });
+    await runWithJobCredits("evaluateAlerts", { _id: "job-2" }, async () => "no EODHD calls");
+
+    expect(result).toBe("done");
+    expect(jobs.updates).toEqual([
+      {
+        filter: { _id: "job-1" },
+        update: {
+          $set: {
+            "metadata.credits": {
+              quota: 40500,
+              projected: 20,
+              deferred: 0,
+              actual: 10,
+              requests: 1,
+              byEndpoint: { fundamentals: 10 },
+            },
+          },
+        },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { EODHDClient, generateRequestKey, getFixtureOptionsFromEnv } from "@buydy/se-eodhd";
+
+const EOD_BARS = [{ date: "2024-01-02", open: 187.15, close: 185.64, volume: 82488700 }];
+
+function createClient(mode, dir, adapter = vi.fn()) {
+  return new EODHDClient({
+    apiKey: "secret-token",
+    baseURL: "https://eodhd.test/api",
+    useSingletonClient: false,
+    axiosConfig: { adapter },
+    fixtures: { mode, dir },
+  });
+}
+
+const respond = (status, data) =>
+  vi.fn(async (config) => {
+    const response = { data: JSON.stringify(data), status, statusText: "", headers: {}, config };
+    if (status >= 400) {
+      throw Object.assign(new Error(`Request failed with status code ${status}`), { response });
+    }
+    return response;
+  });
+
+describe("EODHD record/replay fixtures", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "eodhd-fixtures-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records responses keyed by request without the API token, then replays them offline", async () => {
+    const live = respond(200, EOD_BARS);
+    const recorder = createClient("record", dir, live);
+    await expect(
+      recorder.stocks.getEODData("AAPL.US", "2024-01-01", "2024-01-31")
+    ).resolves.toEqual(EOD_BARS);
+
+    const params = { fmt: "json", from: "2024-01-01", to: "2024-01-31", period: "d", order: "a" };
+    const file = join(dir, `${generateRequestKey("GET /eod/AAPL.US", params)}.json`);
+    expect(existsSync(file)).toBe(true);
+    const fixture = JSON.parse(readFileSync(file, "utf8"));
+    expect(fixture.request).toEqual({ method: "GET", url: "/eod/AAPL.US", params });
+    expect(fixture.response).toMatchObject({ status: 200, data: EOD_BARS });
+    expect(readFileSync(file, "utf8")).not.toContain("secret-token");
+
+    const network = vi.fn();
+    const replayer = createClient("replay", dir, network);
+    await expect(
+      replayer.stocks.getEODData("AAPL.US", "2024-01-01", "2024-01-31")
+    ).resolves.toEqual(EOD_BARS);
+    expect(network).not.toHaveBeenCalled();
+  });
+
+  it("replays recorded HTTP errors as axios errors", async () => {
+    const recorder = createClient("record", dir, respond(404, { error: "Ticker not found" }));
+    await expect(recorder.stocks.getFundamentalData("NOPE.US")).rejects.toMatchObject({
+      response: { status: 404 },
+    });
+    expect(readdirSync(dir)).toHaveLength(1);
+
+    const replayer = createClient("replay", dir);
+    await expect(replayer.stocks.getFundamentalData("NOPE.US")).rejects.toMatchObject({
+      response: { status: 404, data: { error: "Ticker not found" } },
+    });
+  });
+
+  it("fails requests that were not recorded instead of calling EODHD", async () => {
+    const network = vi.fn();
+    const replayer = createClient("replay", dir, network);
+
+    await expect(replayer.stocks.getFundamentalData("AAPL.US")).rejects.toMatchObject({
+      code: "ERR_EODHD_FIXTURE_MISSING",
+      message: expect.stringContaining("GET /fundamentals/AAPL.US"),
+    });
+    expect(network).not.toHaveBeenCalled();
+  });
+
+  it("reads the fixture mode from the environment", () => {
+    expect(getFixtureOptionsFromEnv({})).toBeNull();
+    expect(getFixtureOptionsFromEnv({ EODHD_FIXTURE_MODE: "off" })).toBeNull();
+    expect(
+      getFixtureOptionsFromEnv({ EODHD_FIXTURE_MODE: "replay", EODHD_FIXTURE_DIR: "fixtures" })
+    ).toEqual({ mode: "replay", dir: "fixtures" });
+    expect(() => getFixtureOptionsFromEnv({ EODHD_FIXTURE_MODE: "replay" })).toThrow(
+      "EODHD_FIXTURE_DIR is required"
+    );
+    expect(() =>
+      getFixtureOptionsFromEnv({ EODHD_FIXTURE_MODE: "rewind", EODHD_FIXTURE_DIR: "fixtures" })
+    ).toThrow("Invalid EODHD_FIXTURE_MODE");
+  });
+});
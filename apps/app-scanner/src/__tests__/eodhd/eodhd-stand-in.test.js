@@ -0,0 +1,133 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { once } from "events";
+import { EODHDClient } from "@buydy/se-eodhd";
+import { AsyncQueueManager } from "@buydy/dv-async-priority-queue";
+import { createStandInApp } from "../../dev/eodhdStandIn/createStandInApp.js";
+import { EODHDLimitManager } from "../../init/EODHDLimitManager.js";
+
+const servers = [];
+
+async function startStandIn(options = {}) {
+  const app = createStandInApp({
+    universeOptions: { exchanges: ["US", "LSE"], symbolsPerExchange: 5, seed: "test" },
+    ...options,
+  });
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  servers.push(server);
+  return { app, baseURL: `http://127.0.0.1:${server.address().port}/api` };
+}
+
+const createClient = (baseURL) =>
+  new EODHDClient({ apiKey: "stand-in", baseURL, useSingletonClient: false, fixtures: null });
+
+describe("EODHD stand-in server", () => {
+  afterEach(async () => {
+    delete globalThis.__BUYDY_API_PRIORITY_QUEUE__;
+    await Promise.all(servers.splice(0).map((server) => new Promise((r) => server.close(r))));
+  });
+
+  it("serves the same synthetic universe for the same seed", async () => {
+    const first = createClient((await startStandIn()).baseURL);
+    const second = createClient((await startStandIn()).baseURL);
+
+    const symbols = await first.search.getSymbolsByExchange("US");
+    expect(symbols).toHaveLength(5);
+    expect(await second.search.getSymbolsByExchange("US")).toEqual(symbols);
+
+    const symbol = `${symbols[0].Code}.US`;
+    const bars = await first.stocks.getEODData(symbol, "2024-01-01", "2024-01-31");
+    expect(bars.length).toBeGreaterThan(15);
+    expect(bars[0]).toMatchObject({ date: "2024-01-01", close: expect.any(Number) });
+    expect(await second.stocks.getEODData(symbol, "2024-01-01", "2024-01-31")).toEqual(bars);
+
+    const fundamentals = await first.stocks.getFundamentalData(symbol);
+    expect(fundamentals.General).toMatchObject({ Code: symbols[0].Code, Exchange: "US" });
+    expect(fundamentals.Highlights.MarketCapitalization).toBeGreaterThan(0);
+
+    const rsi = await first.stocks.getTechnicalIndicator(symbol, "rsi", {
+      period: 14,
+      from: "2024-01-01",
+      to: "2024-01-31",
+    });
+    expect(rsi.map((row) => row.date)).toEqual(bars.map((bar) => bar.date));
+    expect(rsi.every((row) => row.rsi >= 0 && row.rsi <= 100)).toBe(true);
+  });
+
+  it("serves splits and an earnings calendar for every company", async () => {
+    const clock = new Date("2024-06-03T12:00:00Z");
+    const client = createClient((await startStandIn({ now: () => clock })).baseURL);
+    const [{ Code }] = await client.search.getSymbolsByExchange("US");
+    const symbol = `${Code}.US`;
+
+    expect(await client.dividends.getStockSplits(symbol)).toEqual([]);
+
+    const earnings = await client.dividends.getEarningsCalendar(symbol, "2023-06-01", "2024-12-31");
+    const reported = earnings.filter((row) => row.actual !== null);
+    expect(reported.length).toBeGreaterThanOrEqual(4);
+    expect(reported.every((row) => row.report_date <= "2024-06-03")).toBe(true);
+    expect(earnings.some((row) => row.actual === null && row.report_date > "2024-06-03")).toBe(
+      true
+    );
+    expect(await client.dividends.getEarningsCalendar(symbol, "2023-06-01", "2024-12-31")).toEqual(
+      earnings
+    );
+  });
+
+  it("answers 402 over the daily limit until the next UTC day", async () => {
+    let clock = new Date("2024-06-03T12:00:00Z");
+    const { app, baseURL } = await startStandIn({ dailyLimit: 12, now: () => clock });
+    const client = createClient(baseURL);
+    const [{ Code }] = await client.search.getSymbolsByExchange("LSE");
+
+    await client.stocks.getFundamentalData(`${Code}.LSE`);
+    const error = await client.stocks.getFundamentalData(`${Code}.LSE`).catch((e) => e);
+
+    expect(error.response).toMatchObject({ status: 402 });
+    expect(error.response.data).toContain("exceeded your daily API requests limit");
+    const limitManager = new EODHDLimitManager();
+    expect(limitManager.shouldThrowOnEODHDError(error)).toBe(true);
+    expect(await limitManager.checkEODHDLimit(error)).toBe(true);
+    expect(limitManager.isLimitReached).toBe(true);
+    expect(app.standIn.getStats()).toMatchObject({ usedCalls: 11, rejected: { 402: 1 } });
+
+    clock = new Date("2024-06-04T00:00:01Z");
+    await expect(client.stocks.getFundamentalData(`${Code}.LSE`)).resolves.toHaveProperty(
+      "General"
+    );
+  });
+
+  it("lets EODHDClient back off and retry a 429", async () => {
+    const { app, baseURL } = await startStandIn();
+    const client = createClient(baseURL);
+    const [{ Code }] = await client.search.getSymbolsByExchange("US");
+    app.standIn.fail({ status: 429, endpoint: "eod" });
+
+    const bars = await client.stocks.getEODData(`${Code}.US`, "2024-01-01", "2024-01-05");
+
+    expect(bars).toHaveLength(5);
+    expect(app.standIn.getStats()).toMatchObject({
+      requests: { eod: 2 },
+      rejected: { injected: 1 },
+    });
+  }, 15000);
+
+  it("stops queued requests when external operations are cancelled", async () => {
+    const { app, baseURL } = await startStandIn({ latencyMs: 100 });
+    const queue = new AsyncQueueManager({ maxConcurrency: 1, name: "StandInQueue" });
+    globalThis.__BUYDY_API_PRIORITY_QUEUE__ = queue;
+    const client = createClient(baseURL);
+
+    const symbols = ["AAA.US", "BBB.US", "CCC.US", "DDD.US", "EEE.US", "FFF.US"];
+    symbols.forEach((symbol) => client.stocks.getRealTimeData(symbol).catch(() => {}));
+    while (!app.standIn.getStats().requests["real-time"]) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    await new EODHDLimitManager().cancelExternalOperations();
+    expect(queue.getStats().queued).toBe(0);
+
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    expect(app.standIn.getStats().requests["real-time"]).toBeLessThanOrEqual(2);
+  });
+});
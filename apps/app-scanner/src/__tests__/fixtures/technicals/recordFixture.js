@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Record an EODHD technical indicator fixture for technical-indicators.test.js
+ *
+ * Usage: node src/__tests__/fixtures/technicals/recordFixture.js AAPL.US
+ *
+ * Downloads two years of daily bars plus the last six months of each indicator from the
+ * EODHD /technical endpoint and writes <symbol>.json next to this script. The test compares
+ * the locally computed indicators against every fixture in this directory.
+ */
+
+import { writeFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { EODHDClient } from "@buydy/se-eodhd";
+import { loadEnvironmentVariables } from "../../../config/envLoader.js";
+
+const RECORDED_INDICATORS = [
+  { name: "sma50", fn: "sma", params: { period: 50 } },
+  { name: "ema20", fn: "ema", params: { period: 20 } },
+  { name: "rsi", fn: "rsi", params: { period: 14 } },
+  { name: "macd", fn: "macd", params: {} },
+  { name: "stochrsi", fn: "stochrsi", params: {} },
+  { name: "bbands", fn: "bbands", params: { period: 20 } },
+  { name: "atr", fn: "atr", params: { period: 14 } },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+async function main() {
+  loadEnvironmentVariables();
+  const symbol = process.argv[2];
+  if (!symbol) {
+    throw new Error("Usage: recordFixture.js <SYMBOL.EXCHANGE>");
+  }
+
+  const client = new EODHDClient({ apiKey: process.env.API_EODHD_API_TOKEN });
+  const today = toDateString(new Date());
+  const barsFrom = toDateString(new Date(Date.now() - 730 * DAY_MS));
+  const indicatorsFrom = toDateString(new Date(Date.now() - 182 * DAY_MS));
+
+  const bars = await client.stocks.getEODData(symbol, barsFrom, today);
+  const indicators = {};
+  for (const { name, fn, params } of RECORDED_INDICATORS) {
+    indicators[name] = await client.stocks.getTechnicalIndicator(symbol, fn, {
+      ...params,
+      from: indicatorsFrom,
+      to: today,
+    });
+  }
+
+  const fixture = {
+    symbol,
+    source: `EODHD /eod and /technical responses recorded ${today}`,
+    tolerance: { relative: 0.01 },
+    bars,
+    indicators,
+  };
+  const target = join(dirname(fileURLToPath(import.meta.url)), `${symbol}.json`);
+  await writeFile(target, `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+  process.stdout.write(
+    `Recorded ${bars.length} bars and ${RECORDED_INDICATORS.length} indicators to ${target}\n`
+  );
+}
+
+main().catch((error) => {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  getAlertValuePath,
+  getNumericValueAtPath,
+  isAlertTriggered,
+} from "../../jobs/large-cap/alerts/alertRules.js";
+import { dispatchAlertNotifications } from "../../notifiers/index.js";
+
+describe("alert rules", () => {
+  it("resolves value and percentile paths from the metric dbField", () => {
+    const metric = { dbField: "valuationDCF.upsidePct" };
+
+    expect(getAlertValuePath(metric, "value")).toBe("valuationDCF.upsidePct");
+    expect(getAlertValuePath(metric, "sectorPercentile")).toBe(
+      "percentiles.sector.valuationDCF.upsidePct"
+    );
+
+    const metrics = { percentiles: { sector: { valuationDCF: { upsidePct: 0.92 } } } };
+    expect(getNumericValueAtPath(metrics, "percentiles.sector.valuationDCF.upsidePct")).toBe(0.92);
+    expect(getNumericValueAtPath(metrics, "percentiles.industry.valuationDCF.upsidePct")).toBe(
+      null
+    );
+  });
+
+  it("fires threshold rules only when the condition becomes true", () => {
+    const rule = { operator: "gt", threshold: 0.3 };
+
+    expect(isAlertTriggered({ ...rule, value: 0.35 })).toBe(true);
+    expect(isAlertTriggered({ ...rule, value: 0.35, previousValue: 0.2 })).toBe(true);
+    expect(isAlertTriggered({ ...rule, value: 0.4, previousValue: 0.35 })).toBe(false);
+    expect(isAlertTriggered({ ...rule, value: 0.3, previousValue: 0.2 })).toBe(false);
+    expect(isAlertTriggered({ ...rule, value: null })).toBe(false);
+  });
+
+  it("fires crossing rules only on an observed crossing", () => {
+    const rule = { operator: "crossesAbove", threshold: 0.9 };
+
+    expect(isAlertTriggered({ ...rule, value: 0.95 })).toBe(false);
+    expect(isAlertTriggered({ ...rule, value: 0.95, previousValue: 0.85 })).toBe(true);
+    expect(isAlertTriggered({ ...rule, value: 0.95, previousValue: 0.92 })).toBe(false);
+    expect(
+      isAlertTriggered({
+        operator: "crossesBelow",
+        threshold: 0.9,
+        value: 0.8,
+        previousValue: 0.93,
+      })
+    ).toBe(true);
+  });
+});
+
+describe("alert notifiers", () => {
+  it("writes to the file notifier and reports unknown channels as failed", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "alerts-"));
+    const filePath = path.join(dir, "alerts.jsonl");
+
+    try {
+      const results = await dispatchAlertNotifications({ symbol: "AAPL.US", value: 0.35 }, [
+        { type: "file", target: filePath },
+        { type: "pager", target: "ops" },
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual(["sent", "failed"]);
+      const lines = (await readFile(filePath, "utf8")).trim().split("\n");
+      expect(JSON.parse(lines[0])).toEqual({ symbol: "AAPL.US", value: 0.35 });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
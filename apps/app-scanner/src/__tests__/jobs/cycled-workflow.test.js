@@ -4,14 +4,21 @@ import { CycledListInitializer } from "../../init/CycledListInitializer.js";
 const EXPECTED_JOB_FUNCTIONS_IN_ORDER = [
   "syncAllExchangesAndSymbols",
   "syncFundamentalsLargeCap",
+  "syncFxRates",
   "findAndMarkLargeCapStocks",
+  "syncSplitsLargeCap",
   "syncDividendsLargeCap",
+  "syncPricesLargeCap",
   "syncTechnicalsLargeCap",
   "syncMetricsLargeCap",
   "syncMetricsValuationLargeCap",
   "syncPricePerformanceLargeCap",
+  "syncEarningsLargeCap",
   "syncSectorPercentiles",
   "syncIndustryPercentiles",
+  "evaluateAlerts",
+  "runSavedScreens",
+  "valuePortfolios",
 ];
 
 function createInitializer() {
@@ -39,7 +46,7 @@ describe("CycledListInitializer orchestration coverage", () => {
     }
   });
 
-  it("includes every job in the workflow order (including skipped ones)", () => {
+  it("includes every job in the workflow order", () => {
     const initializer = createInitializer();
     const workflow = initializer.createWorkflow();
     const functionNames = workflow.map((entry) => entry.functionName);
@@ -51,6 +58,6 @@ describe("CycledListInitializer orchestration coverage", () => {
     );
 
     expect(technicalsEntry).toBeDefined();
-    expect(technicalsEntry?.skipped).toBe(true);
+    expect(technicalsEntry?.skipped).toBeUndefined();
   });
 });
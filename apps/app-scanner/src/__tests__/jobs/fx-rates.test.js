@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { planFxRatesRange, FX_HISTORY_SEED_DAYS } from "../../jobs/large-cap/fx/syncFxRates.js";
+import { createFxConverter } from "@buydy/se-db/src/utils/fxService.js";
+import { FxRates } from "@buydy/se-db/src/models/FxRates.js";
+import { createFxRateResolver } from "../../utils/fxUtils.js";
+
+// USD per unit, by currency and day
+const STORED_RATES = {
+  EUR: { "2025-03-13": 1.09, "2025-03-14": 1.1 },
+  GBP: { "2025-03-14": 1.3 },
+};
+
+vi.mock("@buydy/se-db/src/models/FxRates.js", () => ({
+  FX_PIVOT_CURRENCY: "USD",
+  FxRates: { findRate: vi.fn() },
+}));
+
+describe("syncFxRates range planning", () => {
+  it("seeds currencies without stored rates", () => {
+    const range = planFxRatesRange(null, "2025-03-14");
+    expect(range.to).toBe("2025-03-14");
+    expect((Date.parse(range.to) - Date.parse(range.from)) / 86400000).toBe(FX_HISTORY_SEED_DAYS);
+  });
+
+  it("requests only the days after the latest stored close", () => {
+    expect(planFxRatesRange("2025-03-10", "2025-03-14")).toEqual({
+      from: "2025-03-11",
+      to: "2025-03-14",
+    });
+  });
+
+  it("skips currencies that are current", () => {
+    expect(planFxRatesRange("2025-03-14", "2025-03-14")).toBeNull();
+  });
+});
+
+describe("fxService conversions", () => {
+  beforeEach(() => {
+    FxRates.findRate.mockReset();
+    FxRates.findRate.mockImplementation(async (currency, date) => {
+      const days = Object.keys(STORED_RATES[currency] || {})
+        .filter((day) => !date || day <= date)
+        .sort();
+      const day = days[days.length - 1];
+      return day ? { currency, date: day, rate: STORED_RATES[currency][day] } : null;
+    });
+  });
+
+  it("converts to and from the USD pivot", async () => {
+    const fx = createFxConverter();
+    expect(await fx.convert(100, "EUR", "USD")).toBeCloseTo(110);
+    expect(await fx.convert(110, "usd", "eur")).toBeCloseTo(100);
+  });
+
+  it("crosses non-USD pairs through USD and reports the older rate day", async () => {
+    const fx = createFxConverter();
+    const rate = await fx.getRate("GBP", "EUR", "2025-03-13");
+    expect(rate).toBeNull();
+
+    const latest = await fx.getRate("GBP", "EUR", "2025-03-16");
+    expect(latest.rate).toBeCloseTo(1.3 / 1.1);
+    expect(latest.date).toBe("2025-03-14");
+  });
+
+  it("uses the previous close for days without a stored rate", async () => {
+    const fx = createFxConverter();
+    expect(await fx.convert(100, "EUR", "USD", new Date("2025-03-13T18:00:00Z"))).toBeCloseTo(109);
+  });
+
+  it("returns null for unknown currencies and non-numeric amounts", async () => {
+    const fx = createFxConverter();
+    expect(await fx.convert(100, "CHF", "USD")).toBeNull();
+    expect(await fx.convert(Number.NaN, "EUR", "USD")).toBeNull();
+    expect(await fx.convert(100, "not a currency", "USD")).toBeNull();
+  });
+
+  it("looks up each currency and day once per converter", async () => {
+    const fx = createFxConverter();
+    await fx.convert(1, "EUR", "USD");
+    await fx.convert(2, "EUR", "GBP");
+    await fx.convert(3, "GBP", "EUR");
+    expect(FxRates.findRate).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("scanner FX rate resolver", () => {
+  beforeEach(() => {
+    FxRates.findRate.mockReset();
+    FxRates.findRate.mockImplementation(async (currency) =>
+      currency === "EUR" ? { currency, date: "2025-03-14", rate: 1.1 } : null
+    );
+  });
+
+  const createClient = (exchangeRate) => ({
+    eodhdClient: { forex: { convertCurrency: vi.fn(async () => ({ exchangeRate })) } },
+  });
+
+  it("prefers stored rates over the live forex API", async () => {
+    const client = createClient(1.2);
+    const resolve = createFxRateResolver(client);
+    expect(await resolve("Euro")).toMatchObject({
+      rate: 1.1,
+      sourceCurrency: "EUR",
+      targetCurrency: "USD",
+      source: "stored",
+      timestamp: "2025-03-14",
+    });
+    expect(client.eodhdClient.forex.convertCurrency).not.toHaveBeenCalled();
+  });
+
+  it("asks the live API for currencies that were never synced", async () => {
+    const client = createClient(0.0067);
+    const resolve = createFxRateResolver(client);
+    expect(await resolve("JPY")).toMatchObject({ rate: 0.0067, source: "live" });
+    await resolve("JPY");
+    expect(client.eodhdClient.forex.convertCurrency).toHaveBeenCalledTimes(1);
+  });
+
+  it("falls back to 1 when no rate can be resolved", async () => {
+    const resolve = createFxRateResolver(createClient(1.2), { date: "2025-03-14" });
+    expect(await resolve("JPY")).toMatchObject({ rate: 1, fallback: true });
+    expect(await createFxRateResolver(null)("JPY")).toMatchObject({ rate: 1, fallback: true });
+  });
+});
@@ -0,0 +1,309 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { chargeEodhdRequest } from "@buydy/se-eodhd";
+import { getJobExecutionPolicy } from "@buydy/iso-business-types";
+import { JobCommandQueueInitializer } from "../../init/JobCommandQueueInitializer.js";
+
+const db = { commands: [], jobs: new Map() };
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => doc[key] === value);
+
+const JobCommands = {
+  async claimNext(machineName, leaseMs, types) {
+    const command = db.commands.find((c) => c.status === "queued" && types.includes(c.type));
+    if (!command) return null;
+    Object.assign(command, { status: "claimed", claimedBy: machineName });
+    return { ...command };
+  },
+  async heartbeat(commandId, machineName) {
+    const command = db.commands.find((c) => c._id === commandId);
+    return command?.status === "claimed" && command.claimedBy === machineName
+      ? { ...command }
+      : null;
+  },
+  async finish(commandId, machineName, status, { result = null, error = null } = {}) {
+    const command = db.commands.find((c) => c._id === commandId && c.status === "claimed");
+    if (command) Object.assign(command, { status, result, error });
+    return command || null;
+  },
+  async release() {},
+  async failAbandoned() {
+    return [];
+  },
+  async findOneAndUpdate(filter, { $set }) {
+    const command = db.commands.find((c) => matches(c, filter));
+    if (command) Object.assign(command, $set);
+    return command ? { ...command } : null;
+  },
+  async updateOne(filter, { $set }) {
+    const command = db.commands.find((c) => matches(c, filter));
+    if (command) Object.assign(command, $set);
+  },
+};
+
+const createJobRecord = (_id, name) => ({
+  _id,
+  name,
+  status: "scheduled",
+  progress: 0,
+  async markAsRunning() {
+    this.status = "running";
+  },
+  async markAsCompletedAtomic(result) {
+    Object.assign(this, { status: "completed", result });
+  },
+  async markAsFailedAtomic(error) {
+    Object.assign(this, { status: "failed", error });
+  },
+  async markAsCancelledAtomic(reason) {
+    Object.assign(this, { status: "cancelled", error: reason });
+  },
+  async addLogAtomic() {},
+});
+
+// Retry attempts are created with `new Jobs(...)` and saved
+class Jobs {
+  constructor(fields) {
+    const _id = `job-${db.jobs.size + 1}`;
+    Object.assign(this, createJobRecord(_id, fields.name), fields, { _id });
+  }
+
+  async save() {
+    db.jobs.set(this._id, this);
+  }
+
+  static async findById(id) {
+    return db.jobs.get(id) || null;
+  }
+
+  static async findByIdAndUpdate(id, update) {
+    const job = db.jobs.get(id);
+    if (job) Object.assign(job, update.$set || update);
+    return job;
+  }
+
+  static async updateOne({ _id }, { $set }) {
+    const job = db.jobs.get(_id);
+    if (job) Object.assign(job, $set);
+  }
+}
+
+vi.mock("@buydy/se-db", () => ({
+  getModel: (name) => (name === "job_commands" ? JobCommands : Jobs),
+}));
+
+function enqueueRun(jobName, params = {}) {
+  const jobId = `job-${db.jobs.size + 1}`;
+  db.jobs.set(jobId, createJobRecord(jobId, jobName));
+  const command = { _id: `cmd-${db.commands.length + 1}`, type: "run", jobName, jobId, params };
+  db.commands.push({ ...command, status: "queued" });
+  return db.commands[db.commands.length - 1];
+}
+
+function enqueueControl(type, jobId = null) {
+  db.commands.push({ _id: `cmd-${db.commands.length + 1}`, type, jobId, status: "queued" });
+  return db.commands[db.commands.length - 1];
+}
+
+function createQueue(jobFunctionMap, cycledList = null) {
+  return new JobCommandQueueInitializer(
+    { getJobFunctionMap: () => jobFunctionMap, cycledList },
+    { pollIntervalMs: 60_000, leaseMs: 60_000 }
+  );
+}
+
+describe("JobCommandQueueInitializer", () => {
+  beforeEach(() => {
+    db.commands = [];
+    db.jobs = new Map();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("runs a queued job function with its params and completes the job record", async () => {
+    const syncPricesLargeCap = vi.fn(async ({ universe, progress }) => {
+      await progress(0.5);
+      return { universe, synced: 3 };
+    });
+    const command = enqueueRun("syncPricesLargeCap", { universe: "mid-cap" });
+    const queue = createQueue({ syncPricesLargeCap });
+
+    await queue.poll();
+    await vi.waitFor(() => expect(command.status).toBe("completed"));
+
+    expect(syncPricesLargeCap).toHaveBeenCalledWith(
+      expect.objectContaining({ universe: "mid-cap" })
+    );
+    const job = db.jobs.get(command.jobId);
+    expect(job.status).toBe("completed");
+    expect(job.result).toEqual({ universe: "mid-cap", synced: 3 });
+    expect(job.progress).toBe(0.5);
+  });
+
+  it("stores the EODHD credits a command run spends on its job record", async () => {
+    const syncPricesLargeCap = async () => {
+      chargeEodhdRequest("/eod/AAPL.US");
+      chargeEodhdRequest("/eod-bulk-last-day/US");
+      return { synced: 1 };
+    };
+    const command = enqueueRun("syncPricesLargeCap");
+    const queue = createQueue({ syncPricesLargeCap });
+
+    await queue.poll();
+    await vi.waitFor(() => expect(command.status).toBe("completed"));
+
+    expect(db.jobs.get(command.jobId)["metadata.credits"]).toMatchObject({
+      actual: 101,
+      requests: 2,
+    });
+  });
+
+  it("retries a failed run per the job's policy on a linked attempt record", async () => {
+    vi.useFakeTimers();
+    const policy = getJobExecutionPolicy("syncPricesLargeCap");
+    const syncPricesLargeCap = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("EODHD unavailable"))
+      .mockResolvedValue({ synced: 2 });
+    const command = enqueueRun("syncPricesLargeCap");
+    const firstAttemptId = command.jobId;
+    const queue = createQueue({ syncPricesLargeCap });
+
+    await queue.poll();
+    await vi.advanceTimersByTimeAsync(policy.retryDelayMs - 1);
+    expect(syncPricesLargeCap).toHaveBeenCalledTimes(1);
+    expect(command.jobId).not.toBe(firstAttemptId);
+    await vi.advanceTimersByTimeAsync(1);
+    await vi.waitFor(() => expect(command.status).toBe("completed"));
+
+    const first = db.jobs.get(firstAttemptId);
+    const second = db.jobs.get(command.jobId);
+    expect(first.status).toBe("failed");
+    expect(first["metadata.nextAttemptId"]).toBe(second._id);
+    expect(second).toMatchObject({ status: "completed", result: { synced: 2 } });
+    expect(second.metadata).toMatchObject({ attempt: 2, previousAttemptId: firstAttemptId });
+    expect(command.result).toEqual({ jobId: second._id });
+  });
+
+  it("fails a run that exceeds the job's timeout and aborts it", async () => {
+    vi.useFakeTimers();
+    const { timeoutMs } = getJobExecutionPolicy("syncPricesLargeCap");
+    let signal;
+    let release;
+    const syncPricesLargeCap = vi.fn((params) => {
+      signal = params.signal;
+      return new Promise((resolve) => (release = resolve));
+    });
+    const command = enqueueRun("syncPricesLargeCap");
+    const queue = createQueue({ syncPricesLargeCap });
+
+    await queue.poll();
+    await vi.advanceTimersByTimeAsync(timeoutMs);
+    await vi.waitFor(() => expect(command.status).toBe("failed"));
+
+    expect(command.error).toContain("timed out");
+    expect(db.jobs.get(command.jobId).status).toBe("failed");
+    expect(signal.aborted).toBe(true);
+    expect(syncPricesLargeCap).toHaveBeenCalledTimes(1);
+
+    // The abandoned attempt keeps the run slot until it really stops
+    expect(queue.activeRuns.size).toBe(1);
+    release();
+    await vi.waitFor(() => expect(queue.activeRuns.size).toBe(0));
+  });
+
+  it("fails the command and the job record for unknown jobs", async () => {
+    const command = enqueueRun("noSuchJob");
+    const queue = createQueue({});
+
+    await queue.poll();
+    await vi.waitFor(() => expect(command.status).toBe("failed"));
+
+    expect(command.error).toBe("Job function not found: noSuchJob");
+    expect(db.jobs.get(command.jobId).status).toBe("failed");
+  });
+
+  it("cancels a queued run before it starts", async () => {
+    const run = enqueueRun("syncPricesLargeCap");
+    const cancel = enqueueControl("cancel", run.jobId);
+    const syncPricesLargeCap = vi.fn();
+    const queue = createQueue({ syncPricesLargeCap });
+
+    // Another scanner holds the run slot, so only the cancel is claimed
+    queue.activeRuns.set("busy", { command: {} });
+    await queue.poll();
+    queue.activeRuns.delete("busy");
+    await queue.poll();
+
+    expect(cancel.status).toBe("completed");
+    expect(cancel.result).toMatchObject({ state: "cancelled" });
+    expect(run.status).toBe("cancelled");
+    expect(db.jobs.get(run.jobId).status).toBe("cancelled");
+    expect(syncPricesLargeCap).not.toHaveBeenCalled();
+  });
+
+  it("stops a running job at its next progress update", async () => {
+    let step;
+    const stepReached = new Promise((resolve) => (step = resolve));
+    let release;
+    const released = new Promise((resolve) => (release = resolve));
+
+    const syncPricesLargeCap = async ({ progress }) => {
+      step();
+      await released;
+      await progress(0.5);
+      return { synced: 1 };
+    };
+    const run = enqueueRun("syncPricesLargeCap");
+    const queue = createQueue({ syncPricesLargeCap });
+
+    await queue.poll();
+    await stepReached;
+
+    const cancel = enqueueControl("cancel", run.jobId);
+    await queue.poll();
+    expect(cancel.result).toMatchObject({ state: "cancelling" });
+
+    release();
+    await vi.waitFor(() => expect(run.status).toBe("cancelled"));
+    expect(db.jobs.get(run.jobId).status).toBe("cancelled");
+  });
+
+  it("refuses to cancel jobs it did not start", async () => {
+    const cancel = enqueueControl("cancel", "cycled-job");
+    const queue = createQueue({});
+
+    await queue.poll();
+
+    expect(cancel.status).toBe("failed");
+    expect(cancel.error).toContain("was not started by a run command");
+  });
+
+  it("pauses and resumes the cycled list", async () => {
+    const cycledList = {
+      overallStatus: "running",
+      pauseManually: vi.fn(async function () {
+        this.overallStatus = "paused";
+      }),
+      resumeManually: vi.fn(async function () {
+        this.overallStatus = "running";
+      }),
+      getStatus() {
+        return { overallStatus: this.overallStatus };
+      },
+    };
+    const queue = createQueue({}, cycledList);
+
+    const pause = enqueueControl("pause");
+    await queue.poll();
+    expect(pause.status).toBe("completed");
+    expect(pause.result).toEqual({ overallStatus: "paused" });
+
+    const resume = enqueueControl("resume");
+    await queue.poll();
+    expect(resume.status).toBe("completed");
+    expect(cycledList.resumeManually).toHaveBeenCalledTimes(1);
+    expect(cycledList.overallStatus).toBe("running");
+  });
+});
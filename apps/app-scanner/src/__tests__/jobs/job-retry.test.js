@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { getJobExecutionPolicy } from "@buydy/iso-business-types";
+import { getModel } from "@buydy/se-db";
+import { CycledListInitializer } from "../../init/CycledListInitializer.js";
+
+const records = [];
+
+vi.mock("@buydy/se-db", () => ({
+  getModel: () =>
+    class {
+      constructor(fields) {
+        Object.assign(this, fields, { _id: `record-${records.length + 1}` });
+        records.push(this);
+      }
+      async save() {}
+      async markAsFailedAtomic(error) {
+        Object.assign(this, { status: "failed", error: error.message });
+      }
+      async markAsRunning() {
+        this.status = "running";
+      }
+      static async updateOne({ _id }, { $set }) {
+        const record = records.find((r) => r._id === _id);
+        record.metadata.nextAttemptId = $set["metadata.nextAttemptId"];
+      }
+    },
+}));
+
+const MINUTE = 60 * 1000;
+
+function createInitializer() {
+  const initializer = new CycledListInitializer({});
+  initializer.cycledList = { name: "test", currentCycle: 1, isPaused: false };
+  initializer.updateCycledListProgress = async () => {};
+  return initializer;
+}
+
+function createFirstAttempt() {
+  const Jobs = getModel("jobs");
+  return new Jobs({ name: "evaluateAlerts", status: "running", metadata: { nodeId: "n1" } });
+}
+
+describe("cycled list retries", () => {
+  beforeEach(() => {
+    records.length = 0;
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("retries per retryPolicy with exponential backoff on linked records", async () => {
+    const policy = getJobExecutionPolicy("evaluateAlerts");
+    const jobFunction = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("first"))
+      .mockRejectedValueOnce(new Error("second"))
+      .mockResolvedValue({ alerts: 2 });
+    const retryRecords = [];
+
+    const run = createInitializer().runJobAttempts(
+      { name: "evaluateAlerts", functionName: "evaluateAlerts" },
+      jobFunction,
+      createFirstAttempt(),
+      { progress: vi.fn(), appendLog: vi.fn(), onRetry: (record) => retryRecords.push(record) }
+    );
+
+    await vi.advanceTimersByTimeAsync(policy.retryDelayMs - 1);
+    expect(jobFunction).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(jobFunction).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(policy.retryDelayMs * 2);
+
+    await expect(run).resolves.toEqual({ alerts: 2 });
+    expect(jobFunction).toHaveBeenCalledTimes(3);
+
+    const [first, second, third] = records;
+    expect(first).toMatchObject({ status: "failed", error: "first" });
+    expect(first.metadata.nextAttemptId).toBe(second._id);
+    expect(second.metadata).toMatchObject({
+      nodeId: "n1",
+      attempt: 2,
+      retryDelayMs: 5 * MINUTE,
+      previousAttemptId: first._id,
+      firstAttemptId: first._id,
+    });
+    expect(third.metadata).toMatchObject({
+      attempt: 3,
+      retryDelayMs: 10 * MINUTE,
+      firstAttemptId: first._id,
+    });
+    expect(retryRecords).toEqual([second, third]);
+  });
+
+  it("throws the last failure once the attempts are used up", async () => {
+    const jobFunction = vi.fn().mockRejectedValue(new Error("still broken"));
+
+    const run = createInitializer().runJobAttempts(
+      { name: "evaluateAlerts", functionName: "evaluateAlerts" },
+      jobFunction,
+      createFirstAttempt(),
+      { progress: vi.fn(), appendLog: vi.fn(), onRetry: vi.fn() }
+    );
+    const result = expect(run).rejects.toThrow("still broken");
+    await vi.advanceTimersByTimeAsync(60 * MINUTE);
+
+    await result;
+    expect(jobFunction).toHaveBeenCalledTimes(getJobExecutionPolicy("evaluateAlerts").maxAttempts);
+  });
+
+  it("times out attempts after the job's timeout", async () => {
+    const { timeoutMs } = getJobExecutionPolicy("evaluateAlerts");
+    const jobFunction = vi.fn(() => new Promise(() => {}));
+    const initializer = createInitializer();
+    initializer.isShuttingDown = true; // No retries, just the timeout
+
+    const run = initializer.runJobAttempts(
+      { name: "evaluateAlerts", functionName: "evaluateAlerts" },
+      jobFunction,
+      createFirstAttempt(),
+      { progress: vi.fn(), appendLog: vi.fn(), onRetry: vi.fn() }
+    );
+    const result = expect(run).rejects.toThrow("Job evaluateAlerts timed out after 900s");
+    await vi.advanceTimersByTimeAsync(timeoutMs);
+
+    await result;
+  });
+
+  it("aborts a timed-out attempt and does not retry it", async () => {
+    const { timeoutMs } = getJobExecutionPolicy("evaluateAlerts");
+    const signals = [];
+    const jobFunction = vi.fn(({ signal }) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    });
+    const onRetry = vi.fn();
+
+    const run = createInitializer().runJobAttempts(
+      { name: "evaluateAlerts", functionName: "evaluateAlerts" },
+      jobFunction,
+      createFirstAttempt(),
+      { progress: vi.fn(), appendLog: vi.fn(), onRetry }
+    );
+    const result = expect(run).rejects.toThrow("timed out");
+    await vi.advanceTimersByTimeAsync(timeoutMs + 60 * MINUTE);
+
+    await result;
+    expect(jobFunction).toHaveBeenCalledTimes(1);
+    expect(onRetry).not.toHaveBeenCalled();
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason.name).toBe("JobTimeoutError");
+  });
+});
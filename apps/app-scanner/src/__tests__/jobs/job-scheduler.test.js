@@ -0,0 +1,232 @@
+import { describe, it, expect, vi, beforeAll } from "vitest";
+import { getJobExecutionPolicy } from "@buydy/iso-business-types";
+import { JobScheduler } from "../../job-scheduler.js";
+
+vi.mock("@buydy/se-db", () => ({
+  getModel: () =>
+    class {
+      constructor(fields) {
+        Object.assign(this, fields);
+      }
+      async save() {}
+      static async updateOne() {}
+    },
+}));
+
+const JOB_IDS = [
+  "syncAllExchangesAndSymbols",
+  "syncFundamentalsLargeCap",
+  "findAndMarkLargeCapStocks",
+  "syncDividendsLargeCap",
+  "syncMetricsLargeCap",
+  "syncMetricsValuationLargeCap",
+  "syncSectorPercentiles",
+  "syncIndustryPercentiles",
+  "evaluateAlerts",
+];
+
+function createScheduler({
+  failing = [],
+  maxConcurrentJobs = 3,
+  retryDelayMs = 0,
+  jobTimeoutMs,
+  overrides = {},
+} = {}) {
+  const active = new Set();
+  const trace = { maxActive: 0, overlaps: [] };
+
+  const jobFunctionMap = Object.fromEntries(
+    JOB_IDS.map((id) => [
+      id,
+      async () => {
+        active.add(id);
+        trace.maxActive = Math.max(trace.maxActive, active.size);
+        if (active.size > 1) {
+          trace.overlaps.push([...active].sort());
+        }
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active.delete(id);
+        if (failing.includes(id)) {
+          throw new Error(`${id} exploded`);
+        }
+        return { ok: true };
+      },
+    ])
+  );
+  Object.assign(jobFunctionMap, overrides);
+
+  const scheduler = new JobScheduler({
+    jobFunctionMap,
+    maxConcurrentJobs,
+    retryDelayMs,
+    jobTimeoutMs,
+    limitManager: { isLimitReached: false, checkEODHDLimit: async () => false },
+  });
+  scheduler.initialize();
+  return { scheduler, trace };
+}
+
+function statusById(scheduler) {
+  return Object.fromEntries(scheduler.jobHistory.map((entry) => [entry.id, entry.status]));
+}
+
+describe("JobScheduler DAG execution", () => {
+  beforeAll(() => {
+    // Pretend the app already set up the shared API queue
+    globalThis.__BUYDY_API_PRIORITY_QUEUE__ ??= { addTask: async (fn) => fn() };
+  });
+
+  it("runs independent branches concurrently", async () => {
+    const { scheduler, trace } = createScheduler();
+    await scheduler.start();
+
+    expect(Object.values(statusById(scheduler)).every((status) => status === "completed")).toBe(
+      true
+    );
+    expect(scheduler.jobHistory).toHaveLength(JOB_IDS.length);
+    expect(trace.overlaps).toContainEqual(["syncMetricsLargeCap", "syncMetricsValuationLargeCap"]);
+  });
+
+  it("never starts a job before its dependencies complete", async () => {
+    const { scheduler } = createScheduler({ maxConcurrentJobs: 5 });
+    await scheduler.start();
+
+    const order = scheduler.jobHistory.map((entry) => entry.id);
+    expect(order.indexOf("findAndMarkLargeCapStocks")).toBeGreaterThan(
+      order.indexOf("syncFundamentalsLargeCap")
+    );
+    expect(order.indexOf("evaluateAlerts")).toBe(order.length - 1);
+  });
+
+  it("skips only the downstream subtree of a failed job", async () => {
+    const { scheduler } = createScheduler({ failing: ["syncMetricsLargeCap"] });
+    await scheduler.start();
+
+    const status = statusById(scheduler);
+    expect(status.syncMetricsLargeCap).toBe("failed");
+    expect(status.syncSectorPercentiles).toBe("skipped");
+    expect(status.syncIndustryPercentiles).toBe("skipped");
+    expect(status.evaluateAlerts).toBe("skipped");
+    // The sibling branch keeps running
+    expect(status.syncMetricsValuationLargeCap).toBe("completed");
+    expect(status.syncDividendsLargeCap).toBe("completed");
+  });
+
+  it("does not retry an EODHD-backed job once the daily limit is reached", async () => {
+    const { scheduler } = createScheduler({ failing: ["syncFundamentalsLargeCap"] });
+    scheduler.limitManager = {
+      isLimitReached: false,
+      async checkEODHDLimit() {
+        this.isLimitReached = true;
+        return true;
+      },
+    };
+    await scheduler.start();
+
+    const fundamentalsRuns = scheduler.jobHistory.filter(
+      (entry) => entry.id === "syncFundamentalsLargeCap"
+    );
+    expect(fundamentalsRuns).toEqual([expect.objectContaining({ status: "failed", attempts: 1 })]);
+    expect(statusById(scheduler).syncDividendsLargeCap).toBe("skipped");
+  });
+
+  it("retries a failed job as often as its retryPolicy allows", async () => {
+    const { scheduler } = createScheduler({ failing: ["syncMetricsLargeCap"] });
+    await scheduler.start();
+
+    const { maxAttempts } = getJobExecutionPolicy("syncMetricsLargeCap");
+    expect(scheduler.jobHistory.find((entry) => entry.id === "syncMetricsLargeCap")).toEqual(
+      expect.objectContaining({ status: "failed", attempts: maxAttempts })
+    );
+  });
+
+  it("waits with exponential backoff and links each attempt's record", async () => {
+    const startTimes = [];
+    const { scheduler } = createScheduler({
+      retryDelayMs: 20,
+      overrides: {
+        syncSectorPercentiles: async () => {
+          startTimes.push(Date.now());
+          if (startTimes.length < 3) {
+            throw new Error("flaky");
+          }
+          return { ok: true };
+        },
+      },
+    });
+    const retryRecords = [];
+    const handleJobCompletion = scheduler.handleJobCompletion.bind(scheduler);
+    scheduler.handleJobCompletion = async (...args) => {
+      const { job } = scheduler.currentJobs.get(args[0]);
+      await handleJobCompletion(...args);
+      if (job.retryRecord) retryRecords.push(job.retryRecord);
+    };
+    await scheduler.start();
+
+    expect(statusById(scheduler).syncSectorPercentiles).toBe("completed");
+    expect(startTimes).toHaveLength(3);
+    expect(startTimes[1] - startTimes[0]).toBeGreaterThanOrEqual(15);
+    expect(startTimes[2] - startTimes[1]).toBeGreaterThanOrEqual(35);
+    expect(retryRecords.map((record) => record.metadata.attempt)).toEqual([2, 3]);
+    expect(retryRecords.map((record) => record.metadata.retryDelayMs)).toEqual([20, 40]);
+    expect(retryRecords[0].status).toBe("failed");
+    expect(retryRecords[1].metadata.previousAttemptId).toBe(retryRecords[0]._id);
+  });
+
+  it("fails attempts that exceed the job timeout", async () => {
+    const { scheduler } = createScheduler({
+      jobTimeoutMs: 10,
+      overrides: {
+        evaluateAlerts: () => new Promise((resolve) => setTimeout(resolve, 1000)),
+      },
+    });
+    await scheduler.start();
+
+    const alerts = scheduler.jobHistory.find((entry) => entry.id === "evaluateAlerts");
+    expect(alerts.status).toBe("failed");
+    expect(alerts.error).toMatch(/timed out/);
+  });
+
+  it("keeps a timed-out job's slot until it stops and does not retry it", async () => {
+    const metrics = { calls: 0, endedAt: null, signal: null };
+    const { scheduler } = createScheduler({
+      maxConcurrentJobs: 1,
+      jobTimeoutMs: 20,
+      overrides: {
+        // Ignores its signal, like a job busy with database work
+        syncMetricsLargeCap: async ({ signal }) => {
+          metrics.calls++;
+          metrics.signal = signal;
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          metrics.endedAt = Date.now();
+        },
+      },
+    });
+    const starts = [];
+    const startJob = scheduler.startJob.bind(scheduler);
+    scheduler.startJob = (job) => {
+      starts.push({ id: job.id, at: Date.now() });
+      return startJob(job);
+    };
+    await scheduler.start();
+
+    expect(statusById(scheduler).syncMetricsLargeCap).toBe("failed");
+    expect(metrics.calls).toBe(1);
+    expect(metrics.signal.aborted).toBe(true);
+    const metricsIndex = starts.findIndex(({ id }) => id === "syncMetricsLargeCap");
+    const startedLater = starts.slice(metricsIndex + 1);
+    expect(startedLater.length).toBeGreaterThan(0);
+    expect(startedLater.every(({ at }) => at >= metrics.endedAt)).toBe(true);
+  });
+
+  it("derives job timeouts from jobTypes.json", () => {
+    const scheduler = new JobScheduler({ jobFunctionMap: { syncFundamentalsLargeCap: vi.fn() } });
+    scheduler.initialize();
+
+    const [fundamentals] = scheduler.jobQueue;
+    expect(fundamentals.timeoutMs).toBe(
+      getJobExecutionPolicy("syncFundamentalsLargeCap").timeoutMs
+    );
+    expect(fundamentals.maxAttempts).toBe(4);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import {
+  planPriceUpdate,
+  isPriceHistoryFresh,
+  MAX_BULK_GAP_DAYS,
+} from "../../jobs/large-cap/prices/syncPricesLargeCap.js";
+
+describe("syncPricesLargeCap update planning", () => {
+  it("seeds symbols without stored history", () => {
+    expect(planPriceUpdate(null, { code: "AAPL", date: "2025-03-14" })).toBe("seed");
+    expect(planPriceUpdate(null, undefined)).toBe("seed");
+  });
+
+  it("appends the bulk bar across a weekend", () => {
+    expect(planPriceUpdate("2025-03-14", { code: "AAPL", date: "2025-03-17" })).toBe("bulk");
+  });
+
+  it("backfills from /eod when runs were missed", () => {
+    const latest = "2025-03-03";
+    const bulkDate = new Date(Date.parse(latest) + (MAX_BULK_GAP_DAYS + 1) * 86400000)
+      .toISOString()
+      .split("T")[0];
+    expect(planPriceUpdate(latest, { code: "AAPL", date: bulkDate })).toBe("backfill");
+  });
+
+  it("leaves current symbols and symbols missing from the bulk file alone", () => {
+    expect(planPriceUpdate("2025-03-17", { code: "AAPL", date: "2025-03-17" })).toBe("current");
+    expect(planPriceUpdate("2025-03-14", undefined)).toBe("no_bulk_bar");
+  });
+
+  it("counts only seeds and backfills against the credit budget", () => {
+    expect(isPriceHistoryFresh("2025-03-14", "2025-03-17")).toBe(true);
+    expect(isPriceHistoryFresh("2025-03-03", "2025-03-17")).toBe(false);
+    expect(isPriceHistoryFresh(undefined, "2025-03-17")).toBe(false);
+  });
+});
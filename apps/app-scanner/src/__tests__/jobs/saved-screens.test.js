@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildSavedScreenPipeline,
+  diffScreenResults,
+} from "../../jobs/large-cap/screens/screenResults.js";
+
+describe("saved screens", () => {
+  it("diffs consecutive result sets", () => {
+    const { entered, exited } = diffScreenResults(
+      ["AAPL.US", "MSFT.US", "KO.US"],
+      ["MSFT.US", "PEP.US", "AAPL.US", "JNJ.US"]
+    );
+
+    expect(entered).toEqual(["PEP.US", "JNJ.US"]);
+    expect(exited).toEqual(["KO.US"]);
+    expect(diffScreenResults([], [])).toEqual({ entered: [], exited: [] });
+  });
+
+  it("compiles the stored query and sort into a symbols pipeline", () => {
+    const pipeline = buildSavedScreenPipeline({
+      query: {
+        or: [
+          {
+            and: [
+              { field: "DividendYieldCurrent", op: ">", value: 3 },
+              { field: "percentiles.sector.DebtToEquityCurrent", op: "lt", value: 0.4 },
+            ],
+          },
+          { not: { field: "sector", op: "in", value: ["Energy"] } },
+        ],
+      },
+      sortBy: "percentiles.industry.DividendYieldCurrent",
+      sortOrder: "asc",
+    });
+
+    const stages = pipeline.slice(-3);
+    expect(stages[0].$match).toEqual({
+      $or: [
+        {
+          $and: [
+            { "metricsDoc.DividendYieldCurrent": { $gt: 3 } },
+            { "metricsDoc.percentiles.sector.DebtToEquityCurrent": { $lt: 0.4 } },
+          ],
+        },
+        { $nor: [{ "fundamentals.General.Sector": { $in: ["Energy"] } }] },
+      ],
+    });
+    expect(stages[1].$sort).toEqual({
+      "metricsDoc.percentiles.industry.DividendYieldCurrent": 1,
+      symbol: 1,
+    });
+    expect(stages[2].$project).toEqual({ _id: 0, symbol: 1 });
+  });
+
+  it("rejects stored queries that no longer validate", () => {
+    expect(() =>
+      buildSavedScreenPipeline({ query: { field: "RemovedMetric", op: "gt", value: 1 } })
+    ).toThrow('unknown metric "RemovedMetric"');
+    expect(() =>
+      buildSavedScreenPipeline({
+        query: { field: "marketCap", op: "gt", value: 1e10 },
+        sortBy: "sector.Name",
+      })
+    ).toThrow("Invalid screen sortBy");
+  });
+});
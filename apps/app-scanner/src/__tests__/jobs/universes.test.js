@@ -0,0 +1,127 @@
+import { describe, it, expect } from "vitest";
+import {
+  getUniverseById,
+  getScheduledUniverses,
+  getUniverseCapFloor,
+} from "@buydy/iso-business-types";
+import { LARGE_CAP_THRESHOLD } from "@buydy/se-db/src/utils/largeCapFilter.js";
+import {
+  getUniverseMatch,
+  getUniverseFundamentalsMatch,
+  createUniverseSymbolFilter,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
+import { CycledListInitializer } from "../../init/CycledListInitializer.js";
+import { resolveJobUniverse } from "../../utils/universeUtils.js";
+
+const recent = new Date();
+
+const symbol = (Code, cap, Country = "USA") => ({ Code, cap, Country, capLastSync: recent });
+
+const EXCHANGE_DOCS = [
+  {
+    exchangeCode: "US",
+    symbols: [
+      symbol("AAPL", 3_000_000_000_000),
+      symbol("MIDC", 500_000_000),
+      symbol("TINY", 20_000_000),
+      { Code: "NOCAP", Country: "USA" },
+    ],
+  },
+  {
+    exchangeCode: "XETRA",
+    symbols: [symbol("SAP", 250_000_000_000, "Germany"), symbol("SMAL", 300_000_000, "Germany")],
+  },
+];
+
+const codes = (universe) =>
+  extractUniverseStocks(EXCHANGE_DOCS, universe).flatMap(({ exchangeCode, symbols }) =>
+    symbols.map((s) => `${s.Code}.${exchangeCode}`)
+  );
+
+describe("universe definitions", () => {
+  it("keeps the large cap universe on the stored $1B threshold", () => {
+    expect(getUniverseById("large-cap").minCap).toBe(LARGE_CAP_THRESHOLD);
+    expect(resolveJobUniverse().id).toBe("large-cap");
+  });
+
+  it("rejects unknown universes for jobs", () => {
+    expect(() => resolveJobUniverse("no-such-universe")).toThrow("Unknown universe");
+  });
+
+  it("records caps down to the smallest universe", () => {
+    expect(getUniverseCapFloor()).toBeLessThan(getUniverseById("mid-cap").minCap);
+  });
+
+  it("schedules only jobs the scanner can run", () => {
+    const jobFunctionMap = new CycledListInitializer({}).getJobFunctionMap();
+    const scheduled = getScheduledUniverses();
+
+    expect(scheduled.map((universe) => universe.id)).toContain("mid-cap");
+    for (const universe of scheduled) {
+      for (const jobName of universe.schedule.jobs) {
+        expect(typeof jobFunctionMap[jobName]).toBe("function");
+      }
+    }
+  });
+});
+
+describe("universe symbol selection", () => {
+  it("selects by market cap range with an exclusive upper bound", () => {
+    expect(codes(getUniverseById("large-cap"))).toEqual(["AAPL.US", "SAP.XETRA"]);
+    expect(codes(getUniverseById("mid-cap"))).toEqual(["MIDC.US", "SMAL.XETRA"]);
+    expect(codes({ id: "edge", minCap: 20_000_000, maxCap: 500_000_000 })).toEqual([
+      "TINY.US",
+      "SMAL.XETRA",
+    ]);
+  });
+
+  it("combines cap with country and exchange criteria", () => {
+    expect(codes(getUniverseById("us-large-cap"))).toEqual(["AAPL.US"]);
+    expect(codes(getUniverseById("xetra-large-cap"))).toEqual(["SAP.XETRA"]);
+  });
+
+  it("selects custom symbol lists without requiring a cap", () => {
+    expect(codes({ id: "custom", symbols: ["NOCAP", "sap.xetra", "MSFT.US"] })).toEqual([
+      "NOCAP.US",
+      "SAP.XETRA",
+    ]);
+  });
+
+  it("skips stale caps when a freshness window is given", () => {
+    const stale = { Code: "OLD", cap: 5_000_000_000, capLastSync: new Date(2000, 0, 1) };
+    const isLargeCap = createUniverseSymbolFilter(getUniverseById("large-cap"), 30);
+
+    expect(isLargeCap(stale, "US")).toBe(false);
+    expect(createUniverseSymbolFilter(getUniverseById("large-cap"), null)(stale, "US")).toBe(true);
+  });
+});
+
+describe("universe queries", () => {
+  it("builds exchange_symbols matches", () => {
+    expect(getUniverseMatch(getUniverseById("mid-cap"), { freshnessDays: null })).toEqual({
+      "symbols.cap": { $gte: 200_000_000, $lt: 1_000_000_000 },
+    });
+    expect(getUniverseMatch({ id: "custom", symbols: ["SAP.XETRA"] })).toEqual({
+      $or: [{ exchangeCode: "XETRA", "symbols.Code": "SAP" }],
+    });
+  });
+
+  it("builds fundamentals matches", () => {
+    expect(getUniverseFundamentalsMatch(getUniverseById("large-cap"))).toEqual({
+      "fundamentals.Highlights.MarketCapitalization": { $gte: LARGE_CAP_THRESHOLD },
+    });
+    expect(getUniverseFundamentalsMatch(getUniverseById("xetra-large-cap"))).toEqual({
+      $and: [
+        { "fundamentals.Highlights.MarketCapitalization": { $gte: LARGE_CAP_THRESHOLD } },
+        { symbol: { $regex: "\\.(XETRA)$" } },
+      ],
+    });
+  });
+
+  it("describes universes for job logs", () => {
+    expect(describeUniverse(getUniverseById("large-cap"))).toBe("Large Cap (>=$1B)");
+    expect(describeUniverse(getUniverseById("mid-cap"))).toBe("Mid Cap ($200M - $1B)");
+  });
+});
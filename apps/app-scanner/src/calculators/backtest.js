@@ -0,0 +1,202 @@
+/**
+ * Backtest Calculator
+ *
+ * Pure helpers for ranking strategy backtests (see runQueuedBacktests): rebalance
+ * schedules, top-N selection from snapshot percentiles, buy-and-hold simulation between
+ * rebalances, turnover and performance statistics of the resulting equity curves.
+ */
+
+import { calculateRankingScore } from "@buydy/iso-business-types";
+import { standardDeviation } from "@buydy/iso-js";
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REBALANCE_MONTHS = { monthly: 1, quarterly: 3 };
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Rebalance dates between two days
+ * @param {string} from - First rebalance 'YYYY-MM-DD'
+ * @param {string} to - End of the backtest 'YYYY-MM-DD' (exclusive)
+ * @param {string} frequency - 'monthly' | 'quarterly'
+ * @returns {string[]} 'YYYY-MM-DD' dates, oldest first
+ */
+export function getRebalanceDates(from, to, frequency = "monthly") {
+  const months = REBALANCE_MONTHS[frequency];
+  if (!months) {
+    throw new Error(`Unknown rebalance frequency "${frequency}"`);
+  }
+
+  const start = new Date(`${from}T00:00:00Z`);
+  const dates = [];
+  for (let step = 0; ; step++) {
+    const date = new Date(
+      Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * months, start.getUTCDate())
+    );
+    // Days that do not exist in a month (e.g. the 31st) roll over; clamp to the month end
+    if (date.getUTCDate() !== start.getUTCDate()) {
+      date.setUTCDate(0);
+    }
+    const key = toDateKey(date);
+    if (key >= to) {
+      break;
+    }
+    dates.push(key);
+  }
+  return dates;
+}
+
+/**
+ * Rank companies and pick the top N
+ * @param {Array} companies - [{ symbol, percentiles }] with the percentiles of the config's group
+ * @param {Object} config - { metrics, weights, method, topN }
+ * @returns {Array} [{ symbol, score }] best first; companies scoring 0 are never picked
+ */
+export function selectTopCompanies(companies, { metrics, weights, method, topN }) {
+  return companies
+    .map((company) => ({
+      symbol: company.symbol,
+      score: calculateRankingScore(company.percentiles || {}, metrics, { weights, method }),
+    }))
+    .filter((company) => company.score > 0)
+    .sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol))
+    .slice(0, topN);
+}
+
+/**
+ * Equal weights for a list of symbols
+ * @returns {Map<string, number>} symbol → weight
+ */
+export function equalWeights(symbols) {
+  return new Map(symbols.map((symbol) => [symbol, 1 / symbols.length]));
+}
+
+/**
+ * Simulate a buy-and-hold portfolio over one rebalance period
+ * A symbol enters at its first price in the period; until then (and if it has no price
+ * at all) its weight is held as cash, as is the whole portfolio when it holds nothing.
+ * Missing days carry the last price forward.
+ * @param {Map<string, number>} weights - Target weights at the start of the period
+ * @param {Map<string, Map<string, number>>} pricesBySymbol - symbol → (date → adjusted price)
+ * @param {string[]} tradingDates - Sorted trading days of the period (first = rebalance day)
+ * @returns {Object} { values: portfolio value per trading day (starts near 1), endWeights }
+ */
+export function simulateHolding(weights, pricesBySymbol, tradingDates) {
+  if (weights.size === 0) {
+    return { values: tradingDates.map(() => 1), endWeights: new Map() };
+  }
+
+  const entryPrices = new Map();
+  const lastPrices = new Map();
+  const values = [];
+  let relatives = new Map();
+
+  for (const date of tradingDates) {
+    let value = 0;
+    relatives = new Map();
+
+    for (const [symbol, weight] of weights) {
+      const price = pricesBySymbol.get(symbol)?.get(date);
+      if (Number.isFinite(price) && price > 0) {
+        if (!entryPrices.has(symbol)) {
+          entryPrices.set(symbol, price);
+        }
+        lastPrices.set(symbol, price);
+      }
+
+      const relative = entryPrices.has(symbol)
+        ? lastPrices.get(symbol) / entryPrices.get(symbol)
+        : 1;
+      relatives.set(symbol, relative);
+      value += weight * relative;
+    }
+
+    values.push(value);
+  }
+
+  const endValue = values.length > 0 ? values[values.length - 1] : 1;
+  const endWeights = new Map(
+    [...weights].map(([symbol, weight]) => [
+      symbol,
+      endValue > 0 ? (weight * (relatives.get(symbol) ?? 1)) / endValue : 0,
+    ])
+  );
+
+  return { values, endWeights };
+}
+
+/**
+ * One-way turnover of a rebalance: the larger of total weight bought and total weight sold
+ * @param {Map<string, number>} previousWeights - Drifted weights before rebalancing (empty at inception)
+ * @param {Map<string, number>} nextWeights - Target weights after rebalancing
+ * @returns {number} 0 (no trades) to 1 (everything replaced, or bought from cash)
+ */
+export function calculateTurnover(previousWeights, nextWeights) {
+  const symbols = new Set([...previousWeights.keys(), ...nextWeights.keys()]);
+  let bought = 0;
+  let sold = 0;
+  for (const symbol of symbols) {
+    const change = (nextWeights.get(symbol) || 0) - (previousWeights.get(symbol) || 0);
+    if (change > 0) {
+      bought += change;
+    } else {
+      sold -= change;
+    }
+  }
+  return Math.max(bought, sold);
+}
+
+/**
+ * Performance statistics of an equity curve
+ * @param {Array} curve - [{ date: 'YYYY-MM-DD', value }] oldest first, one point per trading day
+ * @param {Object} [options]
+ * @param {number} [options.riskFreeRate] - Annual risk-free rate (decimal) for the Sharpe ratio
+ * @param {number[]} [options.turnovers] - One-way turnover of each rebalance after inception
+ * @returns {Object} { totalReturn, cagr, volatility, maxDrawdown, sharpe, turnover, annualTurnover }
+ *   as decimals; null when the curve is too short
+ */
+export function summarizeEquityCurve(curve, { riskFreeRate = 0, turnovers = [] } = {}) {
+  if (!Array.isArray(curve) || curve.length < 2) {
+    return {
+      totalReturn: null,
+      cagr: null,
+      volatility: null,
+      maxDrawdown: null,
+      sharpe: null,
+      turnover: null,
+      annualTurnover: null,
+    };
+  }
+
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  const years =
+    (new Date(`${last.date}T00:00:00Z`) - new Date(`${first.date}T00:00:00Z`)) / DAY_MS / 365.25;
+
+  const returns = [];
+  let peak = first.value;
+  let maxDrawdown = 0;
+  for (let i = 1; i < curve.length; i++) {
+    returns.push(curve[i].value / curve[i - 1].value - 1);
+    peak = Math.max(peak, curve[i].value);
+    maxDrawdown = Math.max(maxDrawdown, 1 - curve[i].value / peak);
+  }
+
+  const totalReturn = last.value / first.value - 1;
+  const meanReturn = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const volatility = standardDeviation(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const turnoverSum = turnovers.reduce((sum, value) => sum + value, 0);
+
+  return {
+    totalReturn,
+    cagr: years > 0 ? Math.pow(last.value / first.value, 1 / years) - 1 : null,
+    volatility,
+    maxDrawdown,
+    sharpe:
+      volatility > 0 ? (meanReturn * TRADING_DAYS_PER_YEAR - riskFreeRate) / volatility : null,
+    turnover: turnovers.length > 0 ? turnoverSum / turnovers.length : 0,
+    annualTurnover: years > 0 ? turnoverSum / years : null,
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Earnings Calculator
+ *
+ * This module normalizes EODHD earnings calendar rows into reported quarters and
+ * upcoming reports, and calculates the earnings metrics stored by syncEarningsLargeCap.
+ */
+
+import { safeDiv, clamp } from "@buydy/iso-js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A year-ago quarter may end a few weeks off the exact date (52/53-week fiscal years)
+const YOY_MATCH_TOLERANCE_DAYS = 45;
+
+const toDateKey = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(+date) ? null : date.toISOString().slice(0, 10);
+};
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined || value === "" || !Number.isFinite(Number(value))
+    ? null
+    : Number(value);
+
+/**
+ * EPS surprise versus consensus
+ * @param {number} epsActual - Reported EPS
+ * @param {number|null} epsEstimate - Consensus EPS estimate
+ * @returns {number|null} (actual - estimate) / |estimate| as decimal, or null without an estimate
+ */
+export function calculateSurprisePct(epsActual, epsEstimate) {
+  if (!Number.isFinite(epsActual) || !Number.isFinite(epsEstimate) || epsEstimate === 0) {
+    return null;
+  }
+  return safeDiv(epsActual - epsEstimate, Math.abs(epsEstimate), null);
+}
+
+/**
+ * Split EODHD earnings calendar rows into reported quarters and upcoming reports
+ * @param {Array} rows - /calendar/earnings rows ({ report_date, date, before_after_market, currency, actual, estimate })
+ * @param {Date} asOf - Reference date (default: now)
+ * @returns {Object} { history: oldest first, upcoming: soonest first }
+ */
+export function normalizeEarningsCalendar(rows = [], asOf = new Date()) {
+  const today = toDateKey(asOf);
+  const history = new Map();
+  const upcoming = new Map();
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const reportDate = toDateKey(row?.report_date);
+    if (!reportDate) {
+      continue;
+    }
+
+    const periodEnd = toDateKey(row?.date);
+    const epsActual = toNumberOrNull(row?.actual);
+    const epsEstimate = toNumberOrNull(row?.estimate);
+    const base = {
+      periodEnd,
+      reportDate,
+      beforeAfterMarket: row?.before_after_market || null,
+      currency: row?.currency || null,
+    };
+
+    if (epsActual !== null && periodEnd && reportDate <= today) {
+      history.set(periodEnd, {
+        ...base,
+        epsActual,
+        epsEstimate,
+        surprisePct: calculateSurprisePct(epsActual, epsEstimate),
+      });
+    } else if (epsActual === null && reportDate >= today) {
+      upcoming.set(reportDate, { ...base, epsEstimate });
+    }
+  }
+
+  return {
+    history: [...history.values()].sort((a, b) => a.periodEnd.localeCompare(b.periodEnd)),
+    upcoming: [...upcoming.values()].sort((a, b) => a.reportDate.localeCompare(b.reportDate)),
+  };
+}
+
+/**
+ * EPS surprise of the most recently reported quarter
+ * @param {Array} history - Reported quarters, oldest first (see normalizeEarningsCalendar)
+ * @returns {number|null} Surprise as decimal (e.g., 0.05 for a 5% beat), capped to ±500%
+ */
+export function EPSSurprisePct(history = []) {
+  const latest = history[history.length - 1];
+  if (!latest || latest.surprisePct === null || latest.surprisePct === undefined) {
+    return null;
+  }
+  return clamp(latest.surprisePct, -5, 5);
+}
+
+/**
+ * EPS growth of the most recently reported quarter versus the same quarter a year earlier
+ * @param {Array} history - Reported quarters, oldest first (see normalizeEarningsCalendar)
+ * @returns {number|null} Growth as decimal measured against |year-ago EPS|, capped to -100%..+1000%
+ */
+export function EPSGrowthYoY(history = []) {
+  const latest = history[history.length - 1];
+  if (!latest) {
+    return null;
+  }
+
+  const target = Date.parse(latest.periodEnd) - 365 * DAY_MS;
+  const yearAgo = history.find(
+    (quarter) =>
+      Math.abs(Date.parse(quarter.periodEnd) - target) <= YOY_MATCH_TOLERANCE_DAYS * DAY_MS
+  );
+  if (!yearAgo || yearAgo.epsActual === 0) {
+    return null;
+  }
+
+  const growth = safeDiv(latest.epsActual - yearAgo.epsActual, Math.abs(yearAgo.epsActual), null);
+  return growth === null ? null : clamp(growth, -1, 10);
+}
+
+/**
+ * Calendar days until the next scheduled earnings report
+ * @param {Array} upcoming - Scheduled reports, soonest first (see normalizeEarningsCalendar)
+ * @param {Date} asOf - Reference date (default: now)
+ * @returns {number|null} 0 when reporting today, null when no report is scheduled
+ */
+export function DaysToNextEarnings(upcoming = [], asOf = new Date()) {
+  const today = toDateKey(asOf);
+  const next = upcoming.find((report) => report.reportDate >= today);
+  if (!next) {
+    return null;
+  }
+  return Math.round((Date.parse(next.reportDate) - Date.parse(today)) / DAY_MS);
+}
@@ -0,0 +1,191 @@
+/**
+ * Portfolio Valuation Calculations
+ *
+ * Position values, unrealized P/L and forward dividend income for the valuePortfolios job.
+ * Prices, dividends, splits and FX rates are passed in; nothing here reads the database.
+ */
+
+import { analyzeDividendFrequency } from "../utils/dividendUtils.js";
+import { getSplitFactor } from "../utils/splitUtils.js";
+
+export const INCOME_FORECAST_MONTHS = 12;
+
+const FREQUENCY_MONTHS = { quarterly: 3, "semi-annual": 6, annual: 12 };
+const AVERAGE_MONTH_DAYS = 365.25 / 12;
+
+/**
+ * Add calendar months (UTC), clamping to the last day of shorter months
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const toMonthKey = (date) => date.toISOString().slice(0, 7);
+
+const toDividendEntries = (entries = []) =>
+  entries
+    .map((entry) => ({ ...entry, date: new Date(entry.date), value: Number(entry.value) }))
+    .filter((entry) => !Number.isNaN(entry.date.getTime()) && entry.value > 0)
+    .sort((a, b) => a.date - b.date);
+
+const getPayDate = (entry) => {
+  const paymentDate = entry.paymentDate ? new Date(entry.paymentDate) : null;
+  return paymentDate && !Number.isNaN(paymentDate.getTime()) ? paymentDate : entry.date;
+};
+
+/**
+ * Restate lots on today's share basis (a 4-for-1 split turns 10 shares at 400 into 40 at 100)
+ * @param {Array} lots - [{ date, quantity, price, currency, fees }]
+ * @param {Array} splits - Normalized split events (see normalizeSplits)
+ * @returns {Array} Lots with restated quantity and price
+ */
+export function adjustLotsForSplits(lots = [], splits = []) {
+  return lots.map((lot) => {
+    const factor = getSplitFactor(lot.date, splits);
+    return factor === 1
+      ? lot
+      : { ...lot, quantity: lot.quantity * factor, price: lot.price / factor };
+  });
+}
+
+/**
+ * Months between dividend payments
+ * @param {Array} history - Dividend history ({ date, value })
+ * @returns {number|null} Interval, or null when payments are too irregular to project
+ */
+export function getPaymentIntervalMonths(history = []) {
+  const analysis = analyzeDividendFrequency(history);
+  if (FREQUENCY_MONTHS[analysis.frequency]) {
+    return FREQUENCY_MONTHS[analysis.frequency];
+  }
+  // Regular schedules the frequency buckets do not name (e.g. monthly payers)
+  if (analysis.isRegular && analysis.averageDaysBetween) {
+    return Math.max(1, Math.round(analysis.averageDaysBetween / AVERAGE_MONTH_DAYS));
+  }
+  return null;
+}
+
+/**
+ * Dividend payments per share expected in the forecast window
+ * Announced dividends are used as-is. The schedule is then extended from the latest dividend
+ * at the historical payment interval with the latest amount, unless two payments were missed.
+ * @param {Object} dividends - Dividends document ({ history, upcoming, currency })
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Start of the window (default: now)
+ * @param {number} [options.months] - Calendar months covered, from the start of asOf's month
+ * @returns {Array} [{ exDate, payDate, perShare, currency, estimated }] by pay date
+ */
+export function forecastDividendPayments(
+  dividends,
+  { asOf = new Date(), months = INCOME_FORECAST_MONTHS } = {}
+) {
+  const horizon = addMonths(startOfMonth(asOf), months);
+  const history = toDividendEntries(dividends?.history);
+  const upcoming = toDividendEntries(dividends?.upcoming);
+  const currencyOf = (entry) => entry.currency || dividends.currency;
+  const inWindow = (payDate) => payDate >= asOf && payDate < horizon;
+
+  const payments = upcoming
+    .filter((entry) => inWindow(getPayDate(entry)))
+    .map((entry) => ({
+      exDate: entry.date,
+      payDate: getPayDate(entry),
+      perShare: entry.value,
+      currency: currencyOf(entry),
+      estimated: false,
+    }));
+
+  const intervalMonths = getPaymentIntervalMonths(history);
+  const latest = [...history, ...upcoming].sort((a, b) => a.date - b.date).pop();
+
+  if (intervalMonths && latest && addMonths(latest.date, intervalMonths * 2) >= asOf) {
+    const payLagMs = Math.max(0, getPayDate(latest) - latest.date);
+    for (let step = 1; ; step++) {
+      const exDate = addMonths(latest.date, intervalMonths * step);
+      const payDate = new Date(exDate.getTime() + payLagMs);
+      if (payDate >= horizon) break;
+      if (inWindow(payDate)) {
+        payments.push({
+          exDate,
+          payDate,
+          perShare: latest.value,
+          currency: currencyOf(latest),
+          estimated: true,
+        });
+      }
+    }
+  }
+
+  return payments.sort((a, b) => a.payDate - b.payDate);
+}
+
+/**
+ * Forward income calendar with one bucket per month, starting with asOf's month
+ * @param {Array} payments - [{ symbol, payDate, amount, estimated }] with amounts in base currency
+ * @param {Object} [options] - { asOf, months }
+ * @returns {Array} [{ month: 'YYYY-MM', amount, payments }]
+ */
+export function buildIncomeCalendar(
+  payments = [],
+  { asOf = new Date(), months = INCOME_FORECAST_MONTHS } = {}
+) {
+  const first = startOfMonth(asOf);
+  const calendar = Array.from({ length: months }, (_, index) => ({
+    month: toMonthKey(addMonths(first, index)),
+    amount: 0,
+    payments: [],
+  }));
+  const byMonth = new Map(calendar.map((bucket) => [bucket.month, bucket]));
+
+  for (const payment of payments) {
+    const bucket = byMonth.get(toMonthKey(payment.payDate));
+    if (bucket) {
+      bucket.amount += payment.amount;
+      bucket.payments.push(payment);
+    }
+  }
+
+  return calendar;
+}
+
+/**
+ * Value one holding in the base currency
+ * Cost and market value are converted at the same current rate (purchase-date rates are not
+ * stored), so the P/L reflects price moves on the shares, not currency moves.
+ * @param {Object} params
+ * @param {Array} params.lots - Split-adjusted lots
+ * @param {number|null} params.price - Latest close, in priceCurrency
+ * @param {string} params.priceCurrency - Listing currency
+ * @param {Function} params.toBase - (amount, currency) => amount in base currency
+ * @returns {Object} { quantity, costBasis, averageCost, marketValue, unrealizedPnL, unrealizedPnLPct }
+ */
+export function valuePosition({ lots = [], price, priceCurrency, toBase }) {
+  const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const costBasis = lots.reduce(
+    (sum, lot) => sum + toBase(lot.quantity * lot.price + (lot.fees || 0), lot.currency),
+    0
+  );
+
+  const marketValue =
+    Number.isFinite(price) && price > 0 ? toBase(quantity * price, priceCurrency) : null;
+  const unrealizedPnL = marketValue === null ? null : marketValue - costBasis;
+
+  return {
+    quantity,
+    costBasis,
+    averageCost: quantity > 0 ? costBasis / quantity : null,
+    marketValue,
+    unrealizedPnL,
+    unrealizedPnLPct: unrealizedPnL !== null && costBasis > 0 ? unrealizedPnL / costBasis : null,
+  };
+}
@@ -2,14 +2,19 @@
  * Price Change Calculator
  *
  * This module contains functions for calculating price percentage changes
- * over various time periods using EODHD API historical price data.
+ * over various time periods. Price history is read from the local `prices`
+ * collection (kept current by syncPricesLargeCap); the EODHD API is only used
+ * for symbols that have no stored history yet. Bars dated before a stored split
+ * are restated on today's share basis (see splitUtils).
  *
  * NOTE: For efficiency, use calculateAllPriceChanges() which fetches data once
  * and calculates all periods. These individual functions are kept for backward compatibility.
  */
 
 import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
+import { getModel } from "@buydy/se-db";
 import { safeDiv, isPositiveNumber } from "@buydy/iso-js";
+import { adjustBarsForSplits } from "../utils/splitUtils.js";
 
 /**
  * Calculate price change percentage over a specified period
@@ -29,15 +34,9 @@ async function calcPriceChange(symbol, days, client) {
         cacheExpirationHours: 24,
       });
 
-    const today = new Date();
-    const fromDate = new Date(today.getTime() - days * 24 * 60 * 60 * 1000);
-
-    // Get historical data
-    const historicalData = await eodhdClient.stocks.getEODData(
-      symbol,
-      fromDate.toISOString().split("T")[0],
-      today.toISOString().split("T")[0]
-    );
+    const rawHistoricalData = await fetchHistoricalPriceData(symbol, eodhdClient, days);
+    const splits = await getModel("splits").getSplitsForSymbol(symbol);
+    const { bars: historicalData } = adjustBarsForSplits(rawHistoricalData || [], splits);
 
     if (!historicalData || historicalData.length < 2) {
       return null;
@@ -128,15 +127,38 @@ export async function PriceChange1Y(symbol, client) {
   return calcPriceChange(symbol, 365, client);
 }
 
+/**
+ * Read stored daily bars for a symbol from the local `prices` collection
+ * @param {string} symbol - Stock symbol
+ * @param {number} days - Number of days to read (default: 365)
+ * @returns {Promise<Array>} Bars in EODHD /eod shape, oldest first (empty when not stored)
+ */
+export async function loadLocalPriceHistory(symbol, days = 365) {
+  const today = new Date();
+  const fromDate = new Date(today.getTime() - days * 24 * 60 * 60 * 1000);
+
+  return getModel("prices").getBars(symbol, {
+    from: fromDate.toISOString().split("T")[0],
+    to: today.toISOString().split("T")[0],
+  });
+}
+
 /**
  * Fetch historical price data for a symbol (1 year recommended)
+ * Reads the local price history first and only calls the API for symbols that
+ * have not been seeded yet.
  * @param {string} symbol - Stock symbol
- * @param {Object} client - EODHD client instance
+ * @param {Object} client - EODHD client instance (optional; without it only local data is used)
  * @param {number} days - Number of days to fetch (default: 365)
  * @returns {Promise<Array|null>} Historical price data or null if error
  */
 export async function fetchHistoricalPriceData(symbol, client, days = 365) {
   try {
+    const localBars = await loadLocalPriceHistory(symbol, days);
+    if (localBars.length > 0 || !client) {
+      return localBars.length > 0 ? localBars : null;
+    }
+
     const today = new Date();
     const fromDate = new Date(today.getTime() - days * 24 * 60 * 60 * 1000);
 
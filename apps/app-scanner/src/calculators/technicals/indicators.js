@@ -0,0 +1,425 @@
+/**
+ * Technical Indicator Library
+ *
+ * Computes technical indicators from daily bars so syncTechnicalsLargeCap no longer needs one
+ * EODHD /technical request per indicator. Conventions follow TA-Lib, which the EODHD endpoint
+ * mirrors: EMAs are seeded with an SMA, RSI/ATR/ADX use Wilder smoothing and Bollinger Bands
+ * use the population standard deviation.
+ *
+ * Series functions take plain number arrays (oldest first) and return arrays of the same length
+ * with null during the warm-up period.
+ */
+
+const isNum = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Simple moving average
+ * @param {number[]} values - Input series
+ * @param {number} period - Window length
+ * @returns {Array<number|null>}
+ */
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values
+ * @param {Array<number|null>} values - Input series (leading nulls are skipped)
+ * @param {number} period - Window length
+ * @returns {Array<number|null>}
+ */
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex(isNum);
+  if (start === -1 || values.length - start < period) return out;
+
+  const k = 2 / (period + 1);
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+
+  for (let i = start + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Linearly weighted moving average (most recent value weighs `period`)
+ */
+export function wma(values, period) {
+  const out = new Array(values.length).fill(null);
+  const weightSum = (period * (period + 1)) / 2;
+  for (let i = period - 1; i < values.length; i++) {
+    let acc = 0;
+    for (let j = 0; j < period; j++) acc += values[i - period + 1 + j] * (j + 1);
+    out[i] = acc / weightSum;
+  }
+  return out;
+}
+
+/**
+ * Wilder smoothing of a series that starts at `start` (running average, then
+ * prev + (value - prev) / period)
+ */
+function wilderAverage(values, period, start) {
+  const out = new Array(values.length).fill(null);
+  if (values.length - start < period) return out;
+
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+
+  for (let i = start + period; i < values.length; i++) {
+    prev = (prev * (period - 1) + values[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Relative Strength Index (Wilder)
+ * @param {number[]} closes - Close prices
+ * @param {number} [period=14]
+ * @returns {Array<number|null>} 0-100, first value at index `period`
+ */
+export function rsi(closes, period = 14) {
+  const gains = closes.map((close, i) => (i === 0 ? 0 : Math.max(close - closes[i - 1], 0)));
+  const losses = closes.map((close, i) => (i === 0 ? 0 : Math.max(closes[i - 1] - close, 0)));
+  const avgGain = wilderAverage(gains, period, 1);
+  const avgLoss = wilderAverage(losses, period, 1);
+
+  return closes.map((_, i) => {
+    if (avgGain[i] === null) return null;
+    if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+/**
+ * Moving Average Convergence Divergence
+ * @returns {{ macd: Array, signal: Array, divergence: Array }} divergence = macd - signal
+ */
+export function macd(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = ema(closes, fastPeriod);
+  const slow = ema(closes, slowPeriod);
+  const line = closes.map((_, i) =>
+    fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null
+  );
+  const signal = ema(line, signalPeriod);
+  const divergence = line.map((value, i) =>
+    value !== null && signal[i] !== null ? value - signal[i] : null
+  );
+  return { macd: line, signal, divergence };
+}
+
+/**
+ * Fast stochastic %K of an arbitrary series over a rolling window
+ */
+function stochasticK(values, highs, lows, period) {
+  return values.map((value, i) => {
+    if (value === null || i < period - 1) return null;
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let j = i - period + 1; j <= i; j++) {
+      if (highs[j] === null || lows[j] === null) return null;
+      highest = Math.max(highest, highs[j]);
+      lowest = Math.min(lowest, lows[j]);
+    }
+    return highest === lowest ? 0 : ((value - lowest) / (highest - lowest)) * 100;
+  });
+}
+
+/**
+ * SMA that skips leading nulls
+ */
+function smaFrom(values, period) {
+  const start = values.findIndex((value) => value !== null);
+  if (start === -1) return new Array(values.length).fill(null);
+  return [...new Array(start).fill(null), ...sma(values.slice(start), period)];
+}
+
+/**
+ * Stochastic RSI: fast stochastic applied to RSI values
+ * @returns {{ fastK: Array, fastD: Array }}
+ */
+export function stochRsi(closes, { period = 14, fastKPeriod = 14, fastDPeriod = 3 } = {}) {
+  const rsiValues = rsi(closes, period);
+  const fastK = stochasticK(rsiValues, rsiValues, rsiValues, fastKPeriod);
+  return { fastK, fastD: smaFrom(fastK, fastDPeriod) };
+}
+
+/**
+ * Slow stochastic oscillator
+ * @returns {{ k: Array, d: Array }}
+ */
+export function stochastic(
+  highs,
+  lows,
+  closes,
+  { kPeriod = 14, slowKPeriod = 3, slowDPeriod = 3 } = {}
+) {
+  const fastK = stochasticK(closes, highs, lows, kPeriod);
+  const k = smaFrom(fastK, slowKPeriod);
+  return { k, d: smaFrom(k, slowDPeriod) };
+}
+
+/**
+ * Bollinger Bands (population standard deviation)
+ * @returns {{ upper: Array, middle: Array, lower: Array }}
+ */
+export function bollingerBands(closes, period = 20, stdDevs = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+
+  for (let i = period - 1; i < closes.length; i++) {
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) variance += (closes[j] - middle[i]) ** 2;
+    const deviation = Math.sqrt(variance / period) * stdDevs;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+  }
+  return { upper, middle, lower };
+}
+
+/**
+ * True range (null for the first bar, which has no previous close)
+ */
+export function trueRange(highs, lows, closes) {
+  return closes.map((_, i) =>
+    i === 0
+      ? null
+      : Math.max(
+          highs[i] - lows[i],
+          Math.abs(highs[i] - closes[i - 1]),
+          Math.abs(lows[i] - closes[i - 1])
+        )
+  );
+}
+
+/**
+ * Average True Range (Wilder)
+ */
+export function atr(highs, lows, closes, period = 14) {
+  return wilderAverage(trueRange(highs, lows, closes), period, 1);
+}
+
+/**
+ * Williams %R (-100..0)
+ */
+export function williamsR(highs, lows, closes, period = 14) {
+  return stochasticK(closes, highs, lows, period).map((k) => (k === null ? null : k - 100));
+}
+
+/**
+ * Commodity Channel Index
+ */
+export function cci(highs, lows, closes, period = 20) {
+  const typical = closes.map((close, i) => (highs[i] + lows[i] + close) / 3);
+  const average = sma(typical, period);
+  return typical.map((value, i) => {
+    if (average[i] === null) return null;
+    let meanDeviation = 0;
+    for (let j = i - period + 1; j <= i; j++) meanDeviation += Math.abs(typical[j] - average[i]);
+    meanDeviation /= period;
+    return meanDeviation === 0 ? 0 : (value - average[i]) / (0.015 * meanDeviation);
+  });
+}
+
+/**
+ * Average Directional Index (Wilder)
+ */
+export function adx(highs, lows, closes, period = 14) {
+  const plusDM = closes.map((_, i) => {
+    if (i === 0) return 0;
+    const up = highs[i] - highs[i - 1];
+    const down = lows[i - 1] - lows[i];
+    return up > down && up > 0 ? up : 0;
+  });
+  const minusDM = closes.map((_, i) => {
+    if (i === 0) return 0;
+    const up = highs[i] - highs[i - 1];
+    const down = lows[i - 1] - lows[i];
+    return down > up && down > 0 ? down : 0;
+  });
+  const tr = trueRange(highs, lows, closes);
+
+  // Wilder running sums (not averages) for the directional indicators
+  const smoothSum = (values) => {
+    const out = new Array(values.length).fill(null);
+    if (values.length <= period) return out;
+    let sum = 0;
+    for (let i = 1; i <= period; i++) sum += values[i];
+    out[period] = sum;
+    for (let i = period + 1; i < values.length; i++) {
+      sum = sum - sum / period + values[i];
+      out[i] = sum;
+    }
+    return out;
+  };
+  const smoothedTR = smoothSum(tr);
+  const smoothedPlus = smoothSum(plusDM);
+  const smoothedMinus = smoothSum(minusDM);
+
+  const dx = closes.map((_, i) => {
+    if (smoothedTR[i] === null || smoothedTR[i] === 0) return null;
+    const plusDI = (100 * smoothedPlus[i]) / smoothedTR[i];
+    const minusDI = (100 * smoothedMinus[i]) / smoothedTR[i];
+    const total = plusDI + minusDI;
+    return total === 0 ? 0 : (100 * Math.abs(plusDI - minusDI)) / total;
+  });
+
+  return wilderAverage(dx, period, period);
+}
+
+/**
+ * On-Balance Volume
+ */
+export function obv(closes, volumes) {
+  let total = 0;
+  return closes.map((close, i) => {
+    if (i > 0 && close > closes[i - 1]) total += volumes[i];
+    else if (i > 0 && close < closes[i - 1]) total -= volumes[i];
+    return total;
+  });
+}
+
+/**
+ * Chaikin Accumulation/Distribution line
+ */
+export function accumulationDistribution(highs, lows, closes, volumes) {
+  let total = 0;
+  return closes.map((close, i) => {
+    const range = highs[i] - lows[i];
+    if (range > 0) total += ((close - lows[i] - (highs[i] - close)) / range) * volumes[i];
+    return total;
+  });
+}
+
+/**
+ * 52-week high/low and the distance of the latest close from each
+ * @param {Array} bars - Daily bars ({ date, high, low, close }), oldest first
+ * @returns {Object|null} { date, high, low, distanceFromHigh, distanceFromLow } (distances as decimals)
+ */
+export function fiftyTwoWeekRange(bars) {
+  if (!bars?.length) return null;
+  const last = bars[bars.length - 1];
+  const cutoff = new Date(Date.parse(last.date) - 365 * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .split("T")[0];
+  const window = bars.filter((bar) => bar.date > cutoff);
+
+  const high = Math.max(...window.map((bar) => bar.high ?? bar.close));
+  const low = Math.min(...window.map((bar) => bar.low ?? bar.close));
+  if (!isNum(high) || !isNum(low) || high <= 0 || low <= 0) return null;
+
+  return {
+    date: last.date,
+    high,
+    low,
+    distanceFromHigh: last.close / high - 1,
+    distanceFromLow: last.close / low - 1,
+  };
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 1e4) / 1e4);
+
+/**
+ * Compute every stored indicator from daily bars, in the EODHD /technical response shape
+ * ({ sma20: [{ date, sma }], macd: [{ date, macd, signal, divergence }], ... }).
+ * Bars before `from` are only used as warm-up and are not emitted.
+ * @param {Array} bars - Daily bars ({ date, open, high, low, close, adjusted_close, volume }), oldest first
+ * @param {Object} [options]
+ * @param {string} [options.from] - First date to emit ('YYYY-MM-DD')
+ * @returns {Object} Indicator series keyed like the technicals.indicators document
+ */
+export function buildTechnicalIndicators(bars, { from } = {}) {
+  const valid = (bars || []).filter((bar) => isNum(bar?.close) && bar.date);
+  if (valid.length === 0) return {};
+
+  const dates = valid.map((bar) => String(bar.date).slice(0, 10));
+  const closes = valid.map((bar) => bar.close);
+  const highs = valid.map((bar) => (isNum(bar.high) ? bar.high : bar.close));
+  const lows = valid.map((bar) => (isNum(bar.low) ? bar.low : bar.close));
+  const volumes = valid.map((bar) => (isNum(bar.volume) ? bar.volume : 0));
+
+  const toRows = (fields) => {
+    const rows = [];
+    for (let i = 0; i < dates.length; i++) {
+      if (from && dates[i] < from) continue;
+      const entries = Object.entries(fields);
+      if (entries.some(([, series]) => series[i] === null)) continue;
+      rows.push({
+        date: dates[i],
+        ...Object.fromEntries(entries.map(([key, series]) => [key, round(series[i])])),
+      });
+    }
+    return rows;
+  };
+
+  const macdSeries = macd(closes);
+  const stochRsiSeries = stochRsi(closes);
+  const stochasticSeries = stochastic(highs, lows, closes);
+  const bands = bollingerBands(closes);
+  const range = fiftyTwoWeekRange(
+    valid.map((bar, i) => ({ ...bar, high: highs[i], low: lows[i] }))
+  );
+
+  const indicators = {
+    // Moving Averages
+    sma20: toRows({ sma: sma(closes, 20) }),
+    sma50: toRows({ sma: sma(closes, 50) }),
+    sma200: toRows({ sma: sma(closes, 200) }),
+    ema20: toRows({ ema: ema(closes, 20) }),
+    ema50: toRows({ ema: ema(closes, 50) }),
+    ema200: toRows({ ema: ema(closes, 200) }),
+    wma20: toRows({ wma: wma(closes, 20) }),
+
+    // Momentum Indicators
+    rsi: toRows({ rsi: rsi(closes, 14) }),
+    macd: toRows({
+      macd: macdSeries.macd,
+      signal: macdSeries.signal,
+      divergence: macdSeries.divergence,
+    }),
+    stochastic: toRows({ k_values: stochasticSeries.k, d_values: stochasticSeries.d }),
+    stochrsi: toRows({ fast_k_line: stochRsiSeries.fastK, fast_d_line: stochRsiSeries.fastD }),
+    williamsr: toRows({ williamsr: williamsR(highs, lows, closes, 14) }),
+    cci: toRows({ cci: cci(highs, lows, closes, 20) }),
+    adx: toRows({ adx: adx(highs, lows, closes, 14) }),
+
+    // Volume Indicators
+    ad: toRows({ ad: accumulationDistribution(highs, lows, closes, volumes) }),
+    obv: toRows({ obv: obv(closes, volumes) }),
+
+    // Volatility Indicators
+    atr: toRows({ atr: atr(highs, lows, closes, 14) }),
+    bbands: toRows({ uband: bands.upper, mband: bands.middle, lband: bands.lower }),
+  };
+
+  if (range) {
+    indicators.range52w = [
+      {
+        date: range.date,
+        high: round(range.high),
+        low: round(range.low),
+        distanceFromHigh: round(range.distanceFromHigh),
+        distanceFromLow: round(range.distanceFromLow),
+      },
+    ];
+  }
+
+  // Drop indicators without enough history (e.g. sma200 for recent listings)
+  return Object.fromEntries(Object.entries(indicators).filter(([, rows]) => rows.length > 0));
+}
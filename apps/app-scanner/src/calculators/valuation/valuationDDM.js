@@ -0,0 +1,259 @@
+import {
+  DEFAULT_DISCOUNT_RATE_CONFIG,
+  buildWacc,
+  resolveTerminalGrowth,
+} from "@buydy/iso-business-types";
+import {
+  clamp,
+  isPositiveNumber,
+  safeDiv,
+} from "@buydy/iso-business-types/src/valuation/utils/math.js";
+import { calculateTTMDividends } from "../../utils/dividendUtils.js";
+
+/**
+ * Dividend Discount Model (two-stage with fade).
+ *
+ *   D0          = trailing twelve months of dividends (syncDividendsLargeCap history)
+ *   years 1–5   = D0 grown at the haircut DividendGrowth5Y
+ *   years 6–10  = growth fades linearly to terminal growth
+ *   terminal    = Gordon growth D11 / (r − g)
+ *
+ * The required return r is the CAPM cost of equity from the discount rate config, without
+ * the cash-yield deduction the DCF applies (the dividend is what is being valued here).
+ */
+
+const HIGH_GROWTH_YEARS = 5;
+const FADE_YEARS = 5;
+const GROWTH_HAIRCUT = 0.8;
+const MIN_STAGE_GROWTH = -0.05;
+const MAX_STAGE_GROWTH = 0.12;
+const MIN_SPREAD = 0.02;
+const MAX_DIVIDEND_AGE_MONTHS = 18;
+const MIN_HISTORY_YEARS = 5;
+const HIGH_QUALITY_MAX_PAYOUT = 0.75;
+const RANGE_RATE_SHIFT = 0.01;
+
+function emptyResult(qualityReason, reasonCode, reasonInputs) {
+  return {
+    fairValue: null,
+    upside: null,
+    range: { low: null, high: null },
+    quality: "N/A",
+    qualityReason,
+    reasonCode,
+    reasonInputs,
+  };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function normalizeHistory(history = []) {
+  return history
+    .map((entry) => ({ date: new Date(entry?.date), value: Number(entry?.value) }))
+    .filter((entry) => !Number.isNaN(+entry.date) && isPositiveNumber(entry.value))
+    .sort((a, b) => a.date - b.date);
+}
+
+function monthsBetween(from, to) {
+  return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+}
+
+function normalizePayoutRatio(value) {
+  const payout = toNumber(value);
+  if (!Number.isFinite(payout) || payout < 0) {
+    return null;
+  }
+  // EODHD reports payout ratio either as a fraction or as a percentage
+  return payout > 3 ? payout / 100 : payout;
+}
+
+/**
+ * Present value of the dividend stream for a given required return
+ * @returns {{ value: number, dividends: Array<Object> }|null}
+ */
+export function discountDividends({
+  dividendTTM,
+  stageGrowth,
+  terminalGrowth,
+  requiredReturn,
+  highGrowthYears = HIGH_GROWTH_YEARS,
+  fadeYears = FADE_YEARS,
+}) {
+  if (!isPositiveNumber(dividendTTM) || requiredReturn - terminalGrowth < MIN_SPREAD) {
+    return null;
+  }
+
+  const dividends = [];
+  let dividend = dividendTTM;
+  let presentValue = 0;
+  const totalYears = highGrowthYears + fadeYears;
+
+  for (let year = 1; year <= totalYears; year += 1) {
+    const fadeStep = year - highGrowthYears;
+    const growth =
+      fadeStep <= 0
+        ? stageGrowth
+        : stageGrowth + ((terminalGrowth - stageGrowth) * fadeStep) / fadeYears;
+    dividend *= 1 + growth;
+    const discountFactor = Math.pow(1 + requiredReturn, -year);
+    presentValue += dividend * discountFactor;
+    dividends.push({ year, growth, dividend, presentValue: dividend * discountFactor });
+  }
+
+  const terminalValue = (dividend * (1 + terminalGrowth)) / (requiredReturn - terminalGrowth);
+  const pvTerminalValue = terminalValue * Math.pow(1 + requiredReturn, -totalYears);
+
+  return { value: presentValue + pvTerminalValue, dividends, terminalValue, pvTerminalValue };
+}
+
+/**
+ * Calculate the Dividend Discount Model fair value for a symbol
+ * @param {string} symbol - Symbol key (used for logging context only)
+ * @param {Object} params
+ * @param {Array} params.dividends - Dividend history ({ date, value }) from the dividends collection
+ * @param {number|null} params.dividendGrowth5Y - Stored DividendGrowth5Y metric (decimal)
+ * @param {number} params.price - Latest price in the dividend currency
+ * @param {Object} [params.highlights] - Fundamentals Highlights (dividend yield, beta fallbacks)
+ * @param {number|null} [params.payoutRatio] - SplitsDividends.PayoutRatio
+ * @param {string} [params.currency]
+ * @param {string} [params.country]
+ * @param {number} [params.marketCap]
+ * @param {number} [params.beta] - Company beta (Technicals.Beta)
+ * @param {number} [params.sectorBeta] - Sector median beta fallback
+ * @param {Object} [params.discountRates] - Active discount rate configuration
+ * @param {Date} [params.asOf] - Valuation date (defaults to now)
+ * @returns {Object} fairValue, upside, range, quality and reason metadata
+ */
+export function calculateValuationDDM(
+  symbol,
+  {
+    dividends = [],
+    dividendGrowth5Y = null,
+    price,
+    highlights = null,
+    payoutRatio = null,
+    currency,
+    country,
+    marketCap,
+    beta,
+    sectorBeta,
+    discountRates = DEFAULT_DISCOUNT_RATE_CONFIG,
+    asOf = new Date(),
+  } = {}
+) {
+  const history = normalizeHistory(dividends);
+  if (history.length === 0) {
+    return emptyResult("No dividend history", "NO_DIVIDEND", { dividendCount: 0 });
+  }
+
+  const lastDividendDate = history[history.length - 1].date;
+  const monthsSinceLastDividend = monthsBetween(lastDividendDate, asOf);
+  if (monthsSinceLastDividend > MAX_DIVIDEND_AGE_MONTHS) {
+    return emptyResult("Dividend suspended or stale", "NO_DIVIDEND", {
+      lastDividendDate: lastDividendDate.toISOString(),
+      monthsSinceLastDividend,
+    });
+  }
+
+  const dividendTTM = calculateTTMDividends(history);
+  if (!isPositiveNumber(dividendTTM)) {
+    return emptyResult("No trailing twelve month dividends", "NO_DIVIDEND", { dividendTTM });
+  }
+
+  if (!isPositiveNumber(price)) {
+    return emptyResult("Missing price", "MISSING_DATA", { price: price ?? null });
+  }
+
+  const waccComponents = buildWacc(
+    { currency, country, highlights, marketCap, beta, sectorBeta },
+    discountRates
+  );
+  const requiredReturn = waccComponents.costOfEquity + waccComponents.cashYield;
+  const terminalGrowth = resolveTerminalGrowth(currency, country, discountRates);
+
+  if (requiredReturn - terminalGrowth < MIN_SPREAD) {
+    return emptyResult("Required return too close to terminal growth", "MISSING_DATA", {
+      requiredReturn,
+      terminalGrowth,
+    });
+  }
+
+  const historyYears = new Set(history.map((entry) => entry.date.getFullYear())).size;
+  const rawGrowth = toNumber(dividendGrowth5Y);
+  const hasGrowth = Number.isFinite(rawGrowth);
+  const stageGrowth = hasGrowth
+    ? clamp(rawGrowth * GROWTH_HAIRCUT, MIN_STAGE_GROWTH, MAX_STAGE_GROWTH)
+    : terminalGrowth;
+  const payout = normalizePayoutRatio(payoutRatio);
+
+  const base = discountDividends({ dividendTTM, stageGrowth, terminalGrowth, requiredReturn });
+  const low = discountDividends({
+    dividendTTM,
+    stageGrowth,
+    terminalGrowth,
+    requiredReturn: requiredReturn + RANGE_RATE_SHIFT,
+  });
+  const high = discountDividends({
+    dividendTTM,
+    stageGrowth,
+    terminalGrowth,
+    requiredReturn: requiredReturn - RANGE_RATE_SHIFT,
+  });
+
+  const reasonInputs = {
+    dividendTTM,
+    dividendGrowth5Y: hasGrowth ? rawGrowth : null,
+    stageGrowth,
+    requiredReturn,
+    terminalGrowth,
+    payoutRatio: payout,
+    historyYears,
+    discountRate: { ...waccComponents, terminalGrowth },
+  };
+
+  let quality = "MEDIUM";
+  let qualityReason = null;
+  let reasonCode = null;
+
+  if (!hasGrowth || historyYears < MIN_HISTORY_YEARS) {
+    quality = "LOW";
+    qualityReason = "Less than 5 years of dividend history";
+    reasonCode = "MISSING_DATA";
+  } else if (rawGrowth < 0) {
+    quality = "LOW";
+    qualityReason = "Dividend cut over the last 5 years";
+    reasonCode = "DIVIDEND_CUT";
+  } else if (Number.isFinite(payout) && payout > 1) {
+    quality = "LOW";
+    qualityReason = "Payout ratio above 100%";
+    reasonCode = "HIGH_PAYOUT";
+  } else if (Number.isFinite(payout) && payout <= HIGH_QUALITY_MAX_PAYOUT) {
+    quality = "HIGH";
+  }
+
+  const fairValue = base?.value ?? null;
+  const upsideRatio = safeDiv(fairValue, price, null);
+
+  return {
+    fairValue: Number.isFinite(fairValue) ? fairValue : null,
+    upside: Number.isFinite(upsideRatio) ? clamp(upsideRatio - 1, -1, 5) : null,
+    range: {
+      low: Number.isFinite(low?.value) ? low.value : null,
+      high: Number.isFinite(high?.value) ? high.value : null,
+    },
+    dividendTTM,
+    dividendGrowth: stageGrowth,
+    requiredReturn,
+    terminalGrowth,
+    quality,
+    qualityReason,
+    reasonCode,
+    reasonInputs,
+  };
+}
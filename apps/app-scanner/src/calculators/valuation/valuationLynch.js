@@ -1,12 +1,11 @@
-import { deriveMetrics } from "./deriveMetrics.js";
-import { normalizeFundamentalsDocument } from "./valuationDCF.js";
+import { deriveMetrics, normalizeFundamentalsDocument } from "@buydy/iso-business-types";
 import {
   clamp,
   isPositiveNumber,
   standardDeviation,
   safeDiv,
   geometricMean,
-} from "./utils/math.js";
+} from "@buydy/iso-business-types/src/valuation/utils/math.js";
 
 const EPS_KEYS = [
   "eps",
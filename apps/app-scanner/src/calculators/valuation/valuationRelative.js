@@ -0,0 +1,209 @@
+import { median } from "@buydy/iso-business-types";
+import {
+  clamp,
+  isPositiveNumber,
+  safeDiv,
+} from "@buydy/iso-business-types/src/valuation/utils/math.js";
+
+/**
+ * Relative (comparables) valuation from sector-median multiples.
+ *
+ *   EV/EBITDA fair value = (sector median EV/EBITDA × EBITDA − net debt) / shares
+ *   P/E fair value       = sector median P/E × EPS TTM
+ *
+ * Net debt is taken as EV − market cap so the company and its peers use the same EODHD
+ * enterprise value definition. The fair value is the average of the methods available.
+ */
+
+export const MIN_PEER_SAMPLE = 10;
+export const MULTIPLE_BOUNDS = {
+  evToEbitda: { min: 0, max: 100 },
+  pe: { min: 0, max: 200 },
+};
+
+const SINGLE_METHOD_RANGE = 0.15;
+const HIGH_QUALITY_MAX_DIVERGENCE = 0.25;
+const LOW_QUALITY_MIN_DIVERGENCE = 0.5;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function withinBounds(value, { min, max }) {
+  return Number.isFinite(value) && value > min && value <= max;
+}
+
+function emptyResult(qualityReason, reasonCode, reasonInputs) {
+  return {
+    fairValue: null,
+    upside: null,
+    range: { low: null, high: null },
+    quality: "N/A",
+    qualityReason,
+    reasonCode,
+    reasonInputs,
+  };
+}
+
+/**
+ * Read the multiples a company contributes to its sector peer group
+ * @param {Object} fundamentals - Raw EODHD fundamentals payload
+ * @returns {{ evToEbitda: number|null, pe: number|null }}
+ */
+export function extractPeerMultiples(fundamentals = {}) {
+  const valuation = fundamentals?.Valuation || {};
+  const highlights = fundamentals?.Highlights || {};
+  return {
+    evToEbitda: toNumber(valuation.EnterpriseValueEbitda),
+    pe: toNumber(valuation.TrailingPE) ?? toNumber(highlights.PERatio),
+  };
+}
+
+/**
+ * Sector-median multiples, grouped the same way as sector percentiles
+ * @param {Array<{sector: string, evToEbitda: number|null, pe: number|null}>} items
+ * @param {Object} [options]
+ * @param {number} [options.minSample] - Minimum peers per multiple
+ * @returns {Map<string, Object>} Sector → { evToEbitda, pe, evToEbitdaCount, peCount }
+ */
+export function computeSectorMultiples(items = [], { minSample = MIN_PEER_SAMPLE } = {}) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!item?.sector) continue;
+    if (!groups.has(item.sector)) {
+      groups.set(item.sector, { evToEbitda: [], pe: [] });
+    }
+    const group = groups.get(item.sector);
+    if (withinBounds(item.evToEbitda, MULTIPLE_BOUNDS.evToEbitda)) {
+      group.evToEbitda.push(item.evToEbitda);
+    }
+    if (withinBounds(item.pe, MULTIPLE_BOUNDS.pe)) {
+      group.pe.push(item.pe);
+    }
+  }
+
+  const multiples = new Map();
+  for (const [sector, group] of groups) {
+    const evToEbitda = group.evToEbitda.length >= minSample ? median(group.evToEbitda) : null;
+    const pe = group.pe.length >= minSample ? median(group.pe) : null;
+    if (evToEbitda === null && pe === null) continue;
+    multiples.set(sector, {
+      evToEbitda,
+      pe,
+      evToEbitdaCount: group.evToEbitda.length,
+      peCount: group.pe.length,
+    });
+  }
+  return multiples;
+}
+
+/**
+ * Calculate the relative valuation fair value for a symbol
+ * @param {string} symbol - Symbol key (used for logging context only)
+ * @param {Object} params
+ * @param {Object} params.fundamentals - Raw EODHD fundamentals payload
+ * @param {number} params.price - Latest price
+ * @param {Object|null} params.sectorMultiples - Entry from computeSectorMultiples for the sector
+ * @returns {Object} fairValue, upside, range, quality and reason metadata
+ */
+export function calculateValuationRelative(symbol, { fundamentals, price, sectorMultiples } = {}) {
+  const sector = fundamentals?.General?.Sector || null;
+  if (!sectorMultiples) {
+    return emptyResult("Not enough sector peers", "MISSING_DATA", { sector });
+  }
+  if (!isPositiveNumber(price)) {
+    return emptyResult("Missing price", "MISSING_DATA", { price: price ?? null });
+  }
+
+  const highlights = fundamentals?.Highlights || {};
+  const valuation = fundamentals?.Valuation || {};
+  const ebitda = toNumber(highlights.EBITDA);
+  const eps = toNumber(highlights.DilutedEpsTTM) ?? toNumber(highlights.EarningsShare);
+  const marketCap = toNumber(highlights.MarketCapitalization);
+  const enterpriseValue = toNumber(valuation.EnterpriseValue);
+  const netDebt =
+    Number.isFinite(enterpriseValue) && Number.isFinite(marketCap)
+      ? enterpriseValue - marketCap
+      : 0;
+  const shares =
+    toNumber(fundamentals?.SharesStats?.SharesOutstanding) ??
+    (isPositiveNumber(marketCap) ? marketCap / price : null);
+
+  const reasonInputs = {
+    sector,
+    sectorEvToEbitda: sectorMultiples.evToEbitda,
+    sectorPE: sectorMultiples.pe,
+    evToEbitdaPeers: sectorMultiples.evToEbitdaCount,
+    pePeers: sectorMultiples.peCount,
+    ebitda,
+    eps,
+    netDebt,
+    shares,
+  };
+
+  const fairValueEvEbitda =
+    isPositiveNumber(sectorMultiples.evToEbitda) &&
+    isPositiveNumber(ebitda) &&
+    isPositiveNumber(shares)
+      ? safeDiv(sectorMultiples.evToEbitda * ebitda - netDebt, shares, null)
+      : null;
+  const fairValuePE =
+    isPositiveNumber(sectorMultiples.pe) && isPositiveNumber(eps) ? sectorMultiples.pe * eps : null;
+
+  const estimates = [fairValueEvEbitda, fairValuePE].filter(isPositiveNumber);
+  if (estimates.length === 0) {
+    const negativeEarnings = Number.isFinite(eps) && eps <= 0;
+    return emptyResult(
+      negativeEarnings ? "Non-positive EPS and EBITDA value" : "Missing EBITDA and EPS",
+      negativeEarnings ? "NEG_EPS" : "MISSING_DATA",
+      reasonInputs
+    );
+  }
+
+  const fairValue = estimates.reduce((acc, value) => acc + value, 0) / estimates.length;
+  const divergence =
+    estimates.length === 2 ? safeDiv(Math.abs(estimates[0] - estimates[1]), fairValue, null) : null;
+
+  let quality = "MEDIUM";
+  let qualityReason = null;
+  let reasonCode = null;
+
+  if (estimates.length === 1) {
+    quality = "LOW";
+    qualityReason = isPositiveNumber(fairValuePE)
+      ? "EV/EBITDA method unavailable"
+      : "P/E method unavailable";
+    reasonCode = "MISSING_DATA";
+  } else if (divergence > LOW_QUALITY_MIN_DIVERGENCE) {
+    quality = "LOW";
+    qualityReason = "EV/EBITDA and P/E fair values diverge by more than 50%";
+    reasonCode = "DIVERGENT_MULTIPLES";
+  } else if (divergence <= HIGH_QUALITY_MAX_DIVERGENCE) {
+    quality = "HIGH";
+  }
+
+  const range =
+    estimates.length === 2
+      ? { low: Math.min(...estimates), high: Math.max(...estimates) }
+      : { low: fairValue * (1 - SINGLE_METHOD_RANGE), high: fairValue * (1 + SINGLE_METHOD_RANGE) };
+
+  const upsideRatio = safeDiv(fairValue, price, null);
+
+  return {
+    fairValue,
+    upside: Number.isFinite(upsideRatio) ? clamp(upsideRatio - 1, -1, 5) : null,
+    range,
+    fairValueEvEbitda,
+    fairValuePE,
+    sectorEvToEbitda: sectorMultiples.evToEbitda,
+    sectorPE: sectorMultiples.pe,
+    quality,
+    qualityReason,
+    reasonCode,
+    reasonInputs: { ...reasonInputs, fairValueEvEbitda, fairValuePE, divergence },
+  };
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Run the local EODHD stand-in (see dev/eodhdStandIn/createStandInApp.js)
+ *
+ *   yarn eodhd:stand-in
+ *   EODHD_BASE_URL=http://localhost:4010/api yarn start
+ *
+ * Environment:
+ *   EODHD_STAND_IN_PORT (4010), EODHD_STAND_IN_EXCHANGES (US,LSE,XETRA,TO,T),
+ *   EODHD_STAND_IN_SYMBOLS_PER_EXCHANGE (25), EODHD_STAND_IN_SEED (1),
+ *   EODHD_STAND_IN_DAILY_LIMIT (100000), EODHD_STAND_IN_CALLS_PER_MIN (1000),
+ *   EODHD_STAND_IN_LATENCY_MS (0)
+ */
+
+import logger from "@buydy/se-logger";
+import { createStandInApp } from "./eodhdStandIn/createStandInApp.js";
+
+const numberFromEnv = (name, fallback) =>
+  process.env[name] !== undefined && process.env[name] !== ""
+    ? Number(process.env[name])
+    : fallback;
+
+const port = numberFromEnv("EODHD_STAND_IN_PORT", 4010);
+const app = createStandInApp({
+  universeOptions: {
+    exchanges: process.env.EODHD_STAND_IN_EXCHANGES?.split(",")
+      .map((code) => code.trim())
+      .filter(Boolean),
+    symbolsPerExchange: numberFromEnv("EODHD_STAND_IN_SYMBOLS_PER_EXCHANGE", 25),
+    seed: process.env.EODHD_STAND_IN_SEED || 1,
+  },
+  dailyLimit: numberFromEnv("EODHD_STAND_IN_DAILY_LIMIT", 100000),
+  callsPerMinute: numberFromEnv("EODHD_STAND_IN_CALLS_PER_MIN", 1000),
+  latencyMs: numberFromEnv("EODHD_STAND_IN_LATENCY_MS", 0),
+});
+
+app.listen(port, () => {
+  const { universe, dailyLimit, callsPerMinute } = app.standIn.getStats();
+  logger.business(`🧪 EODHD stand-in listening on http://localhost:${port}/api`, {
+    exchanges: universe.exchanges.join(","),
+    symbols: universe.symbols,
+    dailyLimit,
+    callsPerMinute,
+  });
+  logger.business(`   Point clients at it with EODHD_BASE_URL=http://localhost:${port}/api`);
+});
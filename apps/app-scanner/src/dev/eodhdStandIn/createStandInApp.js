@@ -0,0 +1,311 @@
+/**
+ * EODHD Stand-in Server
+ *
+ * Express app that answers the EODHD endpoints the scanner uses with deterministic synthetic
+ * data (see syntheticData.js) and enforces EODHD-style limits:
+ * - every request costs API calls (fundamentals 10, technical 5, bulk 100, others 1) against
+ *   a daily budget; over budget it answers 402 until the next UTC day
+ * - more than callsPerMinute requests in a minute are answered with 429
+ * - failures can be injected on demand through the admin routes
+ *
+ * Point a client at it with EODHD_BASE_URL=http://localhost:<port>/api. Admin routes live under
+ * /__stand-in and need no API token:
+ * - GET  /__stand-in/stats  usage, limits and calls per endpoint
+ * - POST /__stand-in/fail   { status: 402|429|500, count = 1, endpoint? } fail the next requests
+ * - POST /__stand-in/reset  clear usage, counters and injected failures
+ */
+
+import express from "express";
+import {
+  buildUniverse,
+  getEODBars,
+  getDividends,
+  getEarningsCalendar,
+  getFundamentals,
+  getTechnicalIndicator,
+  getRealTimeQuote,
+  getExchangeSymbols,
+  getBulkLastDay,
+  resolveInstrument,
+  toDateString,
+  SUPPORTED_TECHNICAL_FUNCTIONS,
+} from "./syntheticData.js";
+
+export const ENDPOINT_COSTS = {
+  eod: 1,
+  fundamentals: 10,
+  div: 1,
+  splits: 1,
+  "calendar/earnings": 1,
+  technical: 5,
+  "exchanges-list": 1,
+  "exchange-symbol-list": 1,
+  "eod-bulk-last-day": 100,
+  "real-time": 1,
+};
+
+export const DAILY_LIMIT_MESSAGE =
+  "You exceeded your daily API requests limit. Please contact support@eodhistoricaldata.com";
+
+const ERROR_BODIES = {
+  402: DAILY_LIMIT_MESSAGE,
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+};
+
+/**
+ * Create the stand-in express app
+ * @param {Object} [options]
+ * @param {Object} [options.universe] - From buildUniverse() (default: buildUniverse(universeOptions))
+ * @param {Object} [options.universeOptions] - { exchanges, symbolsPerExchange, seed }
+ * @param {number} [options.dailyLimit=100000] - API calls per UTC day before 402
+ * @param {number} [options.callsPerMinute=1000] - Requests per minute before 429 (0 = unlimited)
+ * @param {number} [options.latencyMs=0] - Delay before every EODHD response
+ * @param {string} [options.apiToken] - Only accept this token (default: any non-empty token)
+ * @param {Function} [options.now] - Clock, () => Date (tests)
+ * @returns {Object} express app with `standIn` state ({ universe, getStats, fail, reset })
+ */
+export function createStandInApp({
+  universe = null,
+  universeOptions = {},
+  dailyLimit = 100000,
+  callsPerMinute = 1000,
+  latencyMs = 0,
+  apiToken = null,
+  now = () => new Date(),
+} = {}) {
+  const data = universe || buildUniverse(universeOptions);
+  const state = {};
+
+  const reset = () => {
+    Object.assign(state, {
+      day: toDateString(now()),
+      usedCalls: 0,
+      minuteStartedAt: now().getTime(),
+      minuteRequests: 0,
+      requests: {},
+      rejected: { 402: 0, 429: 0, injected: 0 },
+      failures: [],
+    });
+  };
+  reset();
+
+  const fail = ({ status, count = 1, endpoint = null }) => {
+    if (!ERROR_BODIES[status]) {
+      throw new Error(`Unsupported failure status: ${status} (expected 402, 429 or 500)`);
+    }
+    state.failures.push({ status, remaining: count, endpoint });
+  };
+
+  const getStats = () => ({
+    day: state.day,
+    usedCalls: state.usedCalls,
+    dailyLimit,
+    callsPerMinute,
+    requests: { ...state.requests },
+    rejected: { ...state.rejected },
+    pendingFailures: state.failures.map(({ status, remaining, endpoint }) => ({
+      status,
+      remaining,
+      endpoint,
+    })),
+    universe: {
+      exchanges: data.exchanges.map((exchange) => exchange.Code),
+      symbols: data.companies.size,
+    },
+  });
+
+  const takeInjectedFailure = (endpoint) => {
+    const failure = state.failures.find((item) => !item.endpoint || item.endpoint === endpoint);
+    if (!failure) return null;
+    if (--failure.remaining <= 0) {
+      state.failures.splice(state.failures.indexOf(failure), 1);
+    }
+    return failure.status;
+  };
+
+  // Returns the rejection status for a request, or null when it may be served
+  const admit = (endpoint) => {
+    const current = now();
+    const day = toDateString(current);
+    if (day !== state.day) {
+      state.day = day;
+      state.usedCalls = 0;
+    }
+    if (current.getTime() - state.minuteStartedAt >= 60000) {
+      state.minuteStartedAt = current.getTime();
+      state.minuteRequests = 0;
+    }
+
+    state.requests[endpoint] = (state.requests[endpoint] || 0) + 1;
+
+    const injected = takeInjectedFailure(endpoint);
+    if (injected) {
+      state.rejected.injected++;
+      return injected;
+    }
+    if (state.usedCalls + ENDPOINT_COSTS[endpoint] > dailyLimit) {
+      state.rejected[402]++;
+      return 402;
+    }
+    if (callsPerMinute > 0 && state.minuteRequests >= callsPerMinute) {
+      state.rejected[429]++;
+      return 429;
+    }
+
+    state.minuteRequests++;
+    state.usedCalls += ENDPOINT_COSTS[endpoint];
+    return null;
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.get("/__stand-in/stats", (req, res) => {
+    res.json(getStats());
+  });
+
+  app.post("/__stand-in/fail", (req, res) => {
+    try {
+      fail({
+        status: Number(req.body?.status),
+        count: Number(req.body?.count) || 1,
+        endpoint: req.body?.endpoint || null,
+      });
+      res.json(getStats());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post("/__stand-in/reset", (req, res) => {
+    reset();
+    res.json(getStats());
+  });
+
+  const api = express.Router();
+
+  // Wrap a handler with token check, limits, latency and a 404 for unknown symbols
+  const endpoint = (name, handler) => async (req, res) => {
+    if (!req.query.api_token || (apiToken && req.query.api_token !== apiToken)) {
+      return res.status(401).json({ message: "Unauthenticated" });
+    }
+
+    const rejection = admit(name);
+    if (latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+    if (rejection) {
+      return res.status(rejection).type("text/plain").send(ERROR_BODIES[rejection]);
+    }
+
+    try {
+      const body = handler(req, toDateString(now()));
+      if (body === null || body === undefined) {
+        return res.status(404).type("text/plain").send("Ticker Not Found.");
+      }
+      res.json(body);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const instrumentFor = (req) =>
+    resolveInstrument(data, req.params.symbol || req.query.symbol || "");
+
+  const eod = endpoint("eod", (req, today) => {
+    const instrument = instrumentFor(req);
+    return instrument && getEODBars(data, instrument, { ...req.query, today });
+  });
+  api.get("/eod", eod);
+  api.get("/eod/:symbol", eod);
+
+  api.get(
+    "/fundamentals/:symbol",
+    endpoint("fundamentals", (req, today) => {
+      const company = data.companies.get(req.params.symbol);
+      return company && getFundamentals(data, company, { today });
+    })
+  );
+
+  api.get(
+    "/div/:symbol",
+    endpoint("div", (req, today) => {
+      const company = data.companies.get(req.params.symbol);
+      return company && getDividends(data, company, { ...req.query, today });
+    })
+  );
+
+  // Synthetic prices are never split
+  api.get(
+    "/splits/:symbol",
+    endpoint("splits", (req) => (data.companies.has(req.params.symbol) ? [] : null))
+  );
+
+  api.get(
+    "/calendar/earnings",
+    endpoint("calendar/earnings", (req, today) => {
+      const symbols = String(req.query.symbols || "").split(",");
+      const earnings = symbols
+        .map((symbol) => data.companies.get(symbol.trim()))
+        .filter(Boolean)
+        .flatMap((company) => getEarningsCalendar(data, company, { ...req.query, today }));
+      return { type: "Earnings", from: req.query.from, to: req.query.to, earnings };
+    })
+  );
+
+  api.get(
+    "/technical/:symbol",
+    endpoint("technical", (req, today) => {
+      const instrument = instrumentFor(req);
+      if (!instrument) return null;
+      const rows = getTechnicalIndicator(data, instrument, { ...req.query, today });
+      return (
+        rows || {
+          errors: {
+            function: [`Supported functions: ${SUPPORTED_TECHNICAL_FUNCTIONS.join(", ")}`],
+          },
+        }
+      );
+    })
+  );
+
+  api.get(
+    "/exchanges-list",
+    endpoint("exchanges-list", () => data.exchanges)
+  );
+
+  api.get(
+    "/exchange-symbol-list/:exchange",
+    endpoint("exchange-symbol-list", (req) =>
+      data.exchanges.some((exchange) => exchange.Code === req.params.exchange)
+        ? getExchangeSymbols(data, req.params.exchange)
+        : null
+    )
+  );
+
+  api.get(
+    "/eod-bulk-last-day/:exchange",
+    endpoint("eod-bulk-last-day", (req, today) =>
+      data.exchanges.some((exchange) => exchange.Code === req.params.exchange)
+        ? getBulkLastDay(data, req.params.exchange, { date: req.query.date, today })
+        : null
+    )
+  );
+
+  api.get(
+    "/real-time/:symbol",
+    endpoint("real-time", (req, today) => {
+      const instrument = instrumentFor(req);
+      return instrument && getRealTimeQuote(data, instrument, { today });
+    })
+  );
+
+  app.use("/api", api);
+  app.use((req, res) => {
+    res.status(404).json({ error: `Not served by the EODHD stand-in: ${req.method} ${req.path}` });
+  });
+
+  app.standIn = { universe: data, getStats, fail, reset };
+  return app;
+}
@@ -0,0 +1,598 @@
+/**
+ * Synthetic EODHD Data
+ *
+ * Deterministic stand-ins for the EODHD responses the scanner reads. Everything is derived from
+ * a seed and the symbol, so the same universe produces the same prices, fundamentals and
+ * dividends on every run and on every machine. Price series start on a fixed date and are
+ * extended up to the requested day, so older bars never change.
+ */
+
+import {
+  sma,
+  ema,
+  wma,
+  rsi,
+  macd,
+  stochRsi,
+  stochastic,
+  bollingerBands,
+  atr,
+  williamsR,
+  cci,
+  adx,
+} from "../../calculators/technicals/indicators.js";
+
+export const STAND_IN_EXCHANGES = [
+  {
+    Code: "US",
+    Name: "USA Stocks",
+    Country: "USA",
+    Currency: "USD",
+    CountryISO2: "US",
+    CountryISO3: "USA",
+    OperatingMIC: "XNAS, XNYS",
+  },
+  {
+    Code: "LSE",
+    Name: "London Exchange",
+    Country: "UK",
+    Currency: "GBP",
+    CountryISO2: "GB",
+    CountryISO3: "GBR",
+    OperatingMIC: "XLON",
+  },
+  {
+    Code: "XETRA",
+    Name: "XETRA Stock Exchange",
+    Country: "Germany",
+    Currency: "EUR",
+    CountryISO2: "DE",
+    CountryISO3: "DEU",
+    OperatingMIC: "XETR",
+  },
+  {
+    Code: "TO",
+    Name: "Toronto Exchange",
+    Country: "Canada",
+    Currency: "CAD",
+    CountryISO2: "CA",
+    CountryISO3: "CAN",
+    OperatingMIC: "XTSE",
+  },
+  {
+    Code: "T",
+    Name: "Tokyo Stock Exchange",
+    Country: "Japan",
+    Currency: "JPY",
+    CountryISO2: "JP",
+    CountryISO3: "JPN",
+    OperatingMIC: "XJPX",
+  },
+];
+
+const SECTORS = {
+  Technology: ["Software - Application", "Semiconductors", "Consumer Electronics"],
+  Healthcare: ["Drug Manufacturers - General", "Medical Devices", "Biotechnology"],
+  "Financial Services": ["Banks - Diversified", "Insurance - Life", "Asset Management"],
+  Industrials: ["Aerospace & Defense", "Specialty Industrial Machinery", "Railroads"],
+  "Consumer Cyclical": ["Auto Manufacturers", "Restaurants", "Internet Retail"],
+  "Consumer Defensive": ["Beverages - Non-Alcoholic", "Household & Personal Products"],
+  Energy: ["Oil & Gas Integrated", "Oil & Gas E&P"],
+  Utilities: ["Utilities - Regulated Electric"],
+};
+
+// Approximate units of currency per USD (FOREX pairs are quoted as USD<CCY>)
+const USD_RATES = { USD: 1, GBP: 0.79, EUR: 0.92, CAD: 1.36, JPY: 151.2, CHF: 0.88, AUD: 1.52 };
+
+const FIRST_BAR_DATE = "2015-01-02";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32 over an FNV-1a hash of the key)
+ * @param {string} key - Seed key, e.g. `${seed}:AAPL.US:prices`
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(key) {
+  let hash = 2166136261;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+// FX rates such as JPYUSD need more precision than share prices
+const roundPrice = (value) => round(value, value < 10 ? 6 : 4);
+const toDateString = (date) => date.toISOString().split("T")[0];
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+
+function tickerFor(random, taken) {
+  for (;;) {
+    const length = 3 + Math.floor(random() * 2);
+    let code = "";
+    for (let i = 0; i < length; i++) code += String.fromCharCode(65 + Math.floor(random() * 26));
+    if (!taken.has(code)) {
+      taken.add(code);
+      return code;
+    }
+  }
+}
+
+/**
+ * Build the synthetic universe
+ * @param {Object} [options]
+ * @param {string[]} [options.exchanges] - Exchange codes from STAND_IN_EXCHANGES (default: all)
+ * @param {number} [options.symbolsPerExchange=25]
+ * @param {string|number} [options.seed=1]
+ * @returns {Object} { seed, exchanges, companies: Map<symbol, company> }
+ */
+export function buildUniverse({ exchanges, symbolsPerExchange = 25, seed = 1 } = {}) {
+  const selected = exchanges?.length
+    ? STAND_IN_EXCHANGES.filter((exchange) => exchanges.includes(exchange.Code))
+    : STAND_IN_EXCHANGES;
+  const companies = new Map();
+
+  for (const exchange of selected) {
+    const random = createRandom(`${seed}:${exchange.Code}:universe`);
+    const taken = new Set();
+    for (let i = 0; i < symbolsPerExchange; i++) {
+      const code = tickerFor(random, taken);
+      const sector = pick(random, Object.keys(SECTORS));
+      // Log-uniform market cap in USD from $50M to $500B, so every universe bracket has members
+      const marketCapUsd = 10 ** (7.7 + random() * 3.999);
+      const usdRate = USD_RATES[exchange.Currency] ?? 1;
+      const startPrice = 5 + random() * 295;
+
+      companies.set(`${code}.${exchange.Code}`, {
+        symbol: `${code}.${exchange.Code}`,
+        code,
+        exchange,
+        name: `${code} ${pick(random, ["Holdings", "Group", "Industries", "Systems", "Corp"])}`,
+        type: random() < 0.9 ? "Common Stock" : "ETF",
+        sector,
+        industry: pick(random, SECTORS[sector]),
+        marketCap: marketCapUsd * usdRate,
+        startPrice: startPrice * usdRate ** 0.5,
+        drift: (random() - 0.4) * 0.0006,
+        volatility: 0.01 + random() * 0.02,
+        dividendYield: random() < 0.6 ? 0.005 + random() * 0.05 : 0,
+        beta: round(0.5 + random() * 1.2, 2),
+        isin: `${exchange.CountryISO2}${String(Math.floor(random() * 1e10)).padStart(10, "0")}`,
+      });
+    }
+  }
+
+  return { seed, exchanges: selected, companies };
+}
+
+/**
+ * Daily bars from FIRST_BAR_DATE up to `until` (every weekday, no exchange holidays)
+ * @param {Object} universe - From buildUniverse()
+ * @param {Object} company - Universe company
+ * @param {string} until - Last date (YYYY-MM-DD)
+ * @returns {Array} [{ date, open, high, low, close, adjusted_close, volume }], oldest first
+ */
+export function getPriceHistory(universe, company, until) {
+  universe.priceCache ??= new Map();
+  const cached = universe.priceCache.get(company.symbol);
+  if (cached && cached.until >= until) {
+    return cached.bars.filter((bar) => bar.date <= until);
+  }
+
+  const random = createRandom(`${universe.seed}:${company.symbol}:prices`);
+  const bars = [];
+  let close = company.startPrice;
+  for (let time = Date.parse(FIRST_BAR_DATE); ; time += DAY_MS) {
+    const date = toDateString(new Date(time));
+    if (date > until) break;
+    const weekday = new Date(time).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+
+    const open = close * (1 + (random() - 0.5) * company.volatility * 0.5);
+    close = Math.max(
+      company.startPrice * 0.05,
+      close * (1 + company.drift + (random() - 0.5) * 2 * company.volatility)
+    );
+    const high = Math.max(open, close) * (1 + random() * company.volatility * 0.5);
+    const low = Math.min(open, close) * (1 - random() * company.volatility * 0.5);
+    const volume = Math.round((company.marketCap / close) * (0.002 + random() * 0.006));
+    bars.push({
+      date,
+      open: roundPrice(open),
+      high: roundPrice(high),
+      low: roundPrice(low),
+      close: roundPrice(close),
+      adjusted_close: roundPrice(close),
+      volume,
+    });
+  }
+
+  universe.priceCache.set(company.symbol, { until, bars });
+  return bars;
+}
+
+function aggregateBars(bars, period) {
+  if (period !== "w" && period !== "m") return bars;
+  const groups = new Map();
+  for (const bar of bars) {
+    const date = new Date(`${bar.date}T00:00:00Z`);
+    const key =
+      period === "m"
+        ? bar.date.slice(0, 7)
+        : toDateString(new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS));
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...bar });
+    } else {
+      Object.assign(group, {
+        date: bar.date,
+        high: Math.max(group.high, bar.high),
+        low: Math.min(group.low, bar.low),
+        close: bar.close,
+        adjusted_close: bar.adjusted_close,
+        volume: group.volume + bar.volume,
+      });
+    }
+  }
+  return [...groups.values()];
+}
+
+const inRange = (date, from, to) => (!from || date >= from) && (!to || date <= to);
+const ordered = (rows, order) => (order === "d" ? [...rows].reverse() : rows);
+
+/**
+ * /eod/{symbol}
+ */
+export function getEODBars(universe, company, { from, to, period = "d", order = "a", today }) {
+  const bars = getPriceHistory(universe, company, to && to < today ? to : today);
+  return ordered(
+    aggregateBars(bars, period).filter((bar) => inRange(bar.date, from, to)),
+    order
+  );
+}
+
+/**
+ * /div/{symbol}: quarterly payments for dividend payers
+ */
+export function getDividends(universe, company, { from, to, today }) {
+  if (!company.dividendYield) return [];
+
+  const bars = getPriceHistory(universe, company, today);
+  const random = createRandom(`${universe.seed}:${company.symbol}:dividends`);
+  const payments = [];
+  let amount = null;
+  for (let i = 40; i < bars.length; i += 63) {
+    const { date, close } = bars[i];
+    amount = amount === null ? (close * company.dividendYield) / 4 : amount * (1 + random() * 0.03);
+    const value = round(amount);
+    const payDate = toDateString(new Date(Date.parse(date) + 21 * DAY_MS));
+    payments.push({
+      date,
+      declarationDate: toDateString(new Date(Date.parse(date) - 30 * DAY_MS)),
+      recordDate: toDateString(new Date(Date.parse(date) + DAY_MS)),
+      paymentDate: payDate,
+      period: "Quarterly",
+      value,
+      unadjustedValue: value,
+      currency: company.exchange.Currency,
+    });
+  }
+  return payments.filter((payment) => inRange(payment.date, from, to));
+}
+
+function quarterEnds(today, count) {
+  const date = new Date(`${today}T00:00:00Z`);
+  let year = date.getUTCFullYear();
+  let quarter = Math.floor(date.getUTCMonth() / 3) - 1;
+  const ends = [];
+  for (let i = 0; i < count; i++) {
+    if (quarter < 0) {
+      quarter = 3;
+      year--;
+    }
+    ends.push(toDateString(new Date(Date.UTC(year, quarter * 3 + 3, 0))));
+    quarter--;
+  }
+  return ends;
+}
+
+/**
+ * /calendar/earnings: one EPS report 30 days after each quarter end (actual vs estimate), with
+ * reports after today listed without an actual
+ */
+export function getEarningsCalendar(universe, company, { from, to, today }) {
+  const { Highlights } = getFundamentals(universe, company, { today });
+  const quarterlyEps = (Highlights.EarningsShare ?? 0) / 4;
+  const nextQuarter = toDateString(new Date(Date.parse(today) + 92 * DAY_MS));
+
+  return quarterEnds(nextQuarter, 13)
+    .reverse()
+    .map((date) => {
+      // Keyed by quarter so a report does not change as the calendar moves on
+      const random = createRandom(`${universe.seed}:${company.symbol}:earnings:${date}`);
+      const estimate = round(quarterlyEps * (0.95 + random() * 0.1), 2);
+      const reportDate = toDateString(new Date(Date.parse(date) + 30 * DAY_MS));
+      const actual = reportDate <= today ? round(quarterlyEps * (0.9 + random() * 0.2), 2) : null;
+      return {
+        code: company.symbol,
+        report_date: reportDate,
+        date,
+        before_after_market: "AfterMarket",
+        currency: company.exchange.Currency,
+        actual,
+        estimate,
+        difference: actual === null ? null : round(actual - estimate, 2),
+        percent:
+          actual === null || !estimate ? null : round(((actual - estimate) / estimate) * 100, 2),
+      };
+    })
+    .filter((row) => inRange(row.report_date, from, to));
+}
+
+/**
+ * /fundamentals/{symbol}: the sections and fields the scanner reads
+ */
+export function getFundamentals(universe, company, { today }) {
+  const random = createRandom(`${universe.seed}:${company.symbol}:fundamentals`);
+  const bars = getPriceHistory(universe, company, today);
+  const lastClose = bars[bars.length - 1]?.close ?? company.startPrice;
+  const previousClose = bars[bars.length - 2]?.close ?? lastClose;
+  const sharesOutstanding = Math.round(company.marketCap / lastClose);
+
+  const margin = 0.05 + random() * 0.25;
+  const annualRevenue = company.marketCap / (1 + random() * 5);
+  const quarterlyRows = (fields) =>
+    Object.fromEntries(
+      quarterEnds(today, 12).map((date, i) => {
+        const scale = (annualRevenue / 4) * (1 - i * 0.01);
+        return [
+          date,
+          { date, filing_date: date, currency_symbol: company.exchange.Currency, ...fields(scale) },
+        ];
+      })
+    );
+
+  const ttmNetIncome = annualRevenue * margin;
+  const earningsShare = ttmNetIncome / sharesOutstanding;
+  const dividendShare = company.dividendYield * lastClose;
+
+  return {
+    General: {
+      Code: company.code,
+      Type: company.type,
+      Name: company.name,
+      Exchange: company.exchange.Code,
+      CurrencyCode: company.exchange.Currency,
+      CurrencyName: company.exchange.Currency,
+      CurrencySymbol: company.exchange.Currency,
+      CountryName: company.exchange.Country,
+      CountryISO: company.exchange.CountryISO2,
+      ISIN: company.isin,
+      Sector: company.sector,
+      Industry: company.industry,
+      IPODate: FIRST_BAR_DATE,
+      IsDelisted: false,
+      UpdatedAt: today,
+    },
+    Highlights: {
+      MarketCapitalization: Math.round(company.marketCap),
+      MarketCapitalizationMln: round(company.marketCap / 1e6, 2),
+      EBITDA: Math.round(annualRevenue * (margin + 0.08)),
+      PERatio: earningsShare > 0 ? round(lastClose / earningsShare, 2) : null,
+      EarningsShare: round(earningsShare, 2),
+      DividendShare: round(dividendShare, 2),
+      DividendYield: round(company.dividendYield, 4),
+      ProfitMargin: round(margin, 4),
+      OperatingMarginTTM: round(margin + 0.05, 4),
+      ReturnOnEquityTTM: round(margin * 1.5, 4),
+      RevenueTTM: Math.round(annualRevenue),
+      PreviousClose: previousClose,
+    },
+    Valuation: {
+      TrailingPE: earningsShare > 0 ? round(lastClose / earningsShare, 2) : null,
+      PriceBookMRQ: round(1 + random() * 6, 2),
+      EnterpriseValueEbitda: round(6 + random() * 14, 2),
+    },
+    SharesStats: {
+      SharesOutstanding: sharesOutstanding,
+      SharesFloat: Math.round(sharesOutstanding * 0.85),
+    },
+    Technicals: { Beta: company.beta },
+    SplitsDividends: {
+      ForwardAnnualDividendRate: round(dividendShare, 2),
+      ForwardAnnualDividendYield: round(company.dividendYield, 4),
+      PayoutRatio: earningsShare > 0 ? round(dividendShare / earningsShare, 4) : 0,
+    },
+    Financials: {
+      Balance_Sheet: {
+        currency_symbol: company.exchange.Currency,
+        quarterly: quarterlyRows((scale) => ({
+          totalAssets: Math.round(scale * 8),
+          totalLiab: Math.round(scale * 4.5),
+          totalStockholderEquity: Math.round(scale * 3.5),
+          cash: Math.round(scale * 0.8),
+          shortLongTermDebtTotal: Math.round(scale * 2),
+          totalCurrentAssets: Math.round(scale * 2.5),
+          totalCurrentLiabilities: Math.round(scale * 1.6),
+          commonStockSharesOutstanding: sharesOutstanding,
+        })),
+      },
+      Income_Statement: {
+        currency_symbol: company.exchange.Currency,
+        quarterly: quarterlyRows((scale) => ({
+          totalRevenue: Math.round(scale),
+          grossProfit: Math.round(scale * (margin + 0.3)),
+          operatingIncome: Math.round(scale * (margin + 0.05)),
+          ebitda: Math.round(scale * (margin + 0.08)),
+          netIncome: Math.round(scale * margin),
+        })),
+      },
+      Cash_Flow: {
+        currency_symbol: company.exchange.Currency,
+        quarterly: quarterlyRows((scale) => ({
+          totalCashFromOperatingActivities: Math.round(scale * (margin + 0.1)),
+          capitalExpenditures: Math.round(scale * -0.05),
+          freeCashFlow: Math.round(scale * (margin + 0.05)),
+          dividendsPaid: Math.round(-dividendShare * sharesOutstanding * 0.25),
+        })),
+      },
+    },
+  };
+}
+
+const TECHNICAL_FUNCTIONS = {
+  sma: ({ closes }, { period = 50 }) => ({ sma: sma(closes, period) }),
+  ema: ({ closes }, { period = 50 }) => ({ ema: ema(closes, period) }),
+  wma: ({ closes }, { period = 50 }) => ({ wma: wma(closes, period) }),
+  rsi: ({ closes }, { period = 14 }) => ({ rsi: rsi(closes, period) }),
+  macd: ({ closes }, { fast_period = 12, slow_period = 26, signal_period = 9 }) =>
+    macd(closes, fast_period, slow_period, signal_period),
+  stochrsi: ({ closes }, { period = 14 }) => {
+    const { fastK, fastD } = stochRsi(closes, { period });
+    return { fast_k_line: fastK, fast_d_line: fastD };
+  },
+  stochastic: ({ highs, lows, closes }) => {
+    const { k, d } = stochastic(highs, lows, closes);
+    return { k_values: k, d_values: d };
+  },
+  bbands: ({ closes }, { period = 20 }) => {
+    const { upper, middle, lower } = bollingerBands(closes, period);
+    return { uband: upper, mband: middle, lband: lower };
+  },
+  atr: ({ highs, lows, closes }, { period = 14 }) => ({ atr: atr(highs, lows, closes, period) }),
+  williamsr: ({ highs, lows, closes }, { period = 14 }) => ({
+    williamsr: williamsR(highs, lows, closes, period),
+  }),
+  cci: ({ highs, lows, closes }, { period = 20 }) => ({ cci: cci(highs, lows, closes, period) }),
+  adx: ({ highs, lows, closes }, { period = 14 }) => ({ adx: adx(highs, lows, closes, period) }),
+};
+
+export const SUPPORTED_TECHNICAL_FUNCTIONS = Object.keys(TECHNICAL_FUNCTIONS);
+
+/**
+ * /technical/{symbol}: indicator rows computed from the synthetic bars
+ * @returns {Array|null} [{ date, <field>: value }], or null for unsupported functions
+ */
+export function getTechnicalIndicator(universe, company, params) {
+  const calculate = TECHNICAL_FUNCTIONS[params.function];
+  if (!calculate) return null;
+
+  const numeric = Object.fromEntries(
+    Object.entries(params)
+      .filter(([key, value]) => key.endsWith("period") && Number.isFinite(Number(value)))
+      .map(([key, value]) => [key, Number(value)])
+  );
+  const bars = getPriceHistory(universe, company, params.today);
+  const series = calculate(
+    {
+      closes: bars.map((bar) => bar.close),
+      highs: bars.map((bar) => bar.high),
+      lows: bars.map((bar) => bar.low),
+    },
+    numeric
+  );
+
+  const rows = [];
+  bars.forEach((bar, i) => {
+    if (!inRange(bar.date, params.from, params.to)) return;
+    if (Object.values(series).some((values) => values[i] === null)) return;
+    rows.push({
+      date: bar.date,
+      ...Object.fromEntries(
+        Object.entries(series).map(([key, values]) => [key, round(values[i], 6)])
+      ),
+    });
+  });
+  return ordered(rows, params.order);
+}
+
+/**
+ * Resolve a symbol to a universe company, or to a synthetic FOREX pair (e.g. EURUSD.FOREX)
+ * @returns {Object|null} Company-like instrument, or null when the symbol is unknown
+ */
+export function resolveInstrument(universe, symbol) {
+  const company = universe.companies.get(symbol);
+  if (company) return company;
+
+  const [code, exchangeCode] = symbol.split(".");
+  if (exchangeCode !== "FOREX" || code.length !== 6) return null;
+  const rate = USD_RATES[code.slice(3)] / USD_RATES[code.slice(0, 3)];
+  if (!Number.isFinite(rate)) return null;
+
+  universe.forexPairs ??= new Map();
+  if (!universe.forexPairs.has(symbol)) {
+    universe.forexPairs.set(symbol, {
+      symbol,
+      code,
+      exchange: { Code: "FOREX", Currency: code.slice(3) },
+      marketCap: 0,
+      startPrice: rate,
+      drift: 0,
+      volatility: 0.004,
+      dividendYield: 0,
+    });
+  }
+  return universe.forexPairs.get(symbol);
+}
+
+/**
+ * /real-time/{symbol}: the last bar as a delayed quote
+ */
+export function getRealTimeQuote(universe, instrument, { today }) {
+  const bars = getPriceHistory(universe, instrument, today);
+  const last = bars[bars.length - 1];
+  const previous = bars[bars.length - 2] ?? last;
+  return {
+    code: instrument.symbol,
+    timestamp: Math.floor(Date.parse(`${last.date}T21:00:00Z`) / 1000),
+    gmtoffset: 0,
+    open: last.open,
+    high: last.high,
+    low: last.low,
+    close: last.close,
+    volume: last.volume,
+    previousClose: previous.close,
+    change: round(last.close - previous.close),
+    change_p: round(((last.close - previous.close) / previous.close) * 100),
+  };
+}
+
+/**
+ * /exchange-symbol-list/{exchange}
+ */
+export function getExchangeSymbols(universe, exchangeCode) {
+  return [...universe.companies.values()]
+    .filter((company) => company.exchange.Code === exchangeCode)
+    .map((company) => ({
+      Code: company.code,
+      Name: company.name,
+      Country: company.exchange.Country,
+      Exchange: company.exchange.Code,
+      Currency: company.exchange.Currency,
+      Type: company.type,
+      Isin: company.isin,
+    }));
+}
+
+/**
+ * /eod-bulk-last-day/{exchange}: the last bar of every symbol on the exchange
+ */
+export function getBulkLastDay(universe, exchangeCode, { date, today }) {
+  return [...universe.companies.values()]
+    .filter((company) => company.exchange.Code === exchangeCode)
+    .map((company) => {
+      const bars = getPriceHistory(universe, company, date && date < today ? date : today);
+      const last = bars[bars.length - 1];
+      return { code: company.code, exchange_short_name: exchangeCode, ...last };
+    });
+}
+
+export { toDateString };
@@ -0,0 +1,98 @@
+/**
+ * Backtest Queue Initialization
+ * Polls the `backtests` collection and runs queued backtests (runQueuedBacktests) as a
+ * tracked job, independently of the cycled list
+ */
+
+import { getModel } from "@buydy/se-db";
+import logger from "@buydy/se-logger";
+import { runQueuedBacktests } from "../jobs/large-cap/backtests/runQueuedBacktests.js";
+import { getMachineDisplayName } from "../utils/machine-info.js";
+
+export const DEFAULT_BACKTEST_POLL_INTERVAL_MS = 60 * 1000;
+
+// A backtest still running after this long was interrupted by a scanner restart
+const STALE_BACKTEST_MS = 2 * 60 * 60 * 1000;
+
+export class BacktestQueueInitializer {
+  constructor(options = {}) {
+    this.pollIntervalMs =
+      options.pollIntervalMs ||
+      parseInt(process.env.BACKTEST_POLL_INTERVAL_MS) ||
+      DEFAULT_BACKTEST_POLL_INTERVAL_MS;
+    this.timer = null;
+    this.isPolling = false;
+    this.isShuttingDown = false;
+  }
+
+  /**
+   * Requeue interrupted backtests and start polling
+   */
+  async initialize() {
+    const Backtests = getModel("backtests");
+    const { modifiedCount } = await Backtests.requeueStale(STALE_BACKTEST_MS);
+    if (modifiedCount > 0) {
+      logger.business(`📈 Requeued ${modifiedCount} interrupted backtests`);
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    logger.debug(`📈 Backtest queue polling every ${this.pollIntervalMs / 1000}s`);
+    this.poll();
+  }
+
+  /**
+   * Run queued backtests, recording the run in `jobs` only when there is work
+   */
+  async poll() {
+    if (this.isPolling || this.isShuttingDown) return;
+    this.isPolling = true;
+
+    let jobRecord = null;
+    try {
+      const queued = await getModel("backtests").countDocuments({ status: "queued" });
+      if (queued === 0) return;
+
+      const Jobs = getModel("jobs");
+      jobRecord = await Jobs.create({
+        name: "runQueuedBacktests",
+        machineName: getMachineDisplayName(),
+        status: "scheduled",
+        scheduledAt: new Date(),
+        metadata: { queued },
+      });
+      await jobRecord.markAsRunning();
+
+      const result = await runQueuedBacktests({
+        progress: async (p) => {
+          await Jobs.findByIdAndUpdate(jobRecord._id, { progress: p });
+        },
+        appendLog: async (msg, level = "info") => {
+          logger.business(`[runQueuedBacktests] ${msg}`);
+          if (level === "error") {
+            await jobRecord.addLogAtomic(msg, level);
+          }
+        },
+      });
+
+      await jobRecord.markAsCompletedAtomic(result);
+    } catch (error) {
+      logger.business("❌ Backtest queue run failed", { error: error.message });
+      if (jobRecord) {
+        await jobRecord.markAsFailedAtomic(error.message).catch(() => {});
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Stop polling (an interrupted backtest is requeued once it is stale)
+   */
+  shutdown() {
+    this.isShuttingDown = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -6,6 +6,7 @@
 import { getCycledList } from "@buydy/se-list";
 import logger from "@buydy/se-logger";
 import { EODHDLimitManager } from "./EODHDLimitManager.js";
+import { runJobWithRetries } from "../utils/jobRetry.js";
 
 // Job function imports
 import { syncFundamentalsLargeCap } from "../jobs/large-cap/fundamentals/syncFundamentalsLargeCap.js";
@@ -16,8 +17,15 @@ import { syncSectorPercentiles } from "../jobs/large-cap/company-percentiles/syn
 import { syncIndustryPercentiles } from "../jobs/large-cap/company-percentiles/syncIndustryPercentiles.js";
 import { syncAllExchangesAndSymbols } from "../jobs/all/exchanges/syncExchangesAndSymbols.js";
 import { findAndMarkLargeCapStocks } from "../jobs/large-cap/findAndMarkLargeCapStocks.js";
+import { syncFxRates } from "../jobs/large-cap/fx/syncFxRates.js";
+import { syncSplitsLargeCap } from "../jobs/large-cap/splits/syncSplitsLargeCap.js";
+import { syncPricesLargeCap } from "../jobs/large-cap/prices/syncPricesLargeCap.js";
 import { syncPricePerformanceLargeCap } from "../jobs/large-cap/performance/syncPricePerformanceLargeCap.js";
+import { syncEarningsLargeCap } from "../jobs/large-cap/earnings/syncEarningsLargeCap.js";
 import { syncMetricsValuationLargeCap } from "../jobs/large-cap/valuation/syncMetricsValuationLargeCap.js";
+import { evaluateAlerts } from "../jobs/large-cap/alerts/evaluateAlerts.js";
+import { runSavedScreens } from "../jobs/large-cap/screens/runSavedScreens.js";
+import { valuePortfolios } from "../jobs/large-cap/portfolios/valuePortfolios.js";
 
 export class CycledListInitializer {
   // Throttle cycle list progress updates (max once per 2 seconds)
@@ -25,9 +33,15 @@ export class CycledListInitializer {
     return 2000;
   }
 
-  constructor(limitManager) {
+  /**
+   * @param {Object} limitManager - EODHDLimitManager
+   * @param {Object} [options]
+   * @param {number|null} [options.maxCycles=null] - Stop after this many cycles (null: run forever)
+   */
+  constructor(limitManager, { maxCycles = null } = {}) {
     this.cycledList = null;
     this.limitManager = limitManager;
+    this.maxCycles = maxCycles;
     this.isShuttingDown = false;
   }
 
@@ -38,14 +52,21 @@ export class CycledListInitializer {
     return {
       syncAllExchangesAndSymbols,
       syncFundamentalsLargeCap,
+      syncFxRates,
       findAndMarkLargeCapStocks,
+      syncSplitsLargeCap,
       syncDividendsLargeCap,
       syncTechnicalsLargeCap,
       syncMetricsLargeCap,
       syncMetricsValuationLargeCap,
+      syncPricesLargeCap,
       syncPricePerformanceLargeCap,
+      syncEarningsLargeCap,
       syncSectorPercentiles,
       syncIndustryPercentiles,
+      evaluateAlerts,
+      runSavedScreens,
+      valuePortfolios,
     };
   }
 
@@ -76,7 +97,7 @@ export class CycledListInitializer {
             "metadata.cycledListName": this.cycledList.name,
             "metadata.cycleNumber": this.cycledList.currentCycle,
             "metadata.nodeId": node.id,
-          }).sort({ startedAt: -1 });
+          }).sort({ scheduledAt: -1 });
 
           if (existingJob && existingJob.status !== "skipped") {
             // Mark existing job as skipped
@@ -145,7 +166,7 @@ export class CycledListInitializer {
           "metadata.cycledListName": this.cycledList.name,
           "metadata.cycleNumber": this.cycledList.currentCycle,
           "metadata.nodeId": node.id,
-        }).sort({ startedAt: -1 });
+        }).sort({ scheduledAt: -1 });
 
         if (existingJob) {
           // If job should be skipped but is running, mark it as skipped and return
@@ -231,6 +252,12 @@ export class CycledListInitializer {
                   preservedProgress * 100
                 ).toFixed(1)}%)`
               );
+            } else if (existingJob.status === "retrying") {
+              // A retry attempt that was waiting out its backoff when the scanner stopped
+              jobRecord = existingJob;
+              logger.business(
+                `🔄 Running pending retry: ${node.name} (attempt ${existingJob.metadata?.attempt})`
+              );
             } else if (existingJob.status === "completed") {
               // Job completed, skip it (cycle will move to next job)
               logger.business(`✅ Job already completed in this cycle: ${node.name}, skipping`);
@@ -315,7 +342,8 @@ export class CycledListInitializer {
       };
 
       // Store job record ID for progress callback to use
-      const jobRecordId = jobRecord?._id || null;
+      // (switches to the new record when a failed attempt is retried)
+      let jobRecordId = jobRecord?._id || null;
 
       const progress = async (p) => {
         if (typeof p !== "number" || p < 0 || p > 1) {
@@ -442,7 +470,14 @@ export class CycledListInitializer {
           }
         }
 
-        const result = await jobFunction({ progress, appendLog });
+        const result = await this.runJobAttempts(node, jobFunction, jobRecord, {
+          progress,
+          appendLog,
+          onRetry: (retryRecord) => {
+            jobRecord = retryRecord;
+            jobRecordId = retryRecord._id;
+          },
+        });
         const duration = Date.now() - startTime;
 
         // Mark job as completed
@@ -482,6 +517,43 @@ export class CycledListInitializer {
     };
   }
 
+  /**
+   * Run a job function with the retry and timeout policy of the job in jobTypes.json.
+   * A failed attempt is marked failed and retried on a new linked record after its backoff
+   * delay; the last failure, a timeout, an EODHD limit error or a failure while pausing/shutting
+   * down is thrown for the caller to record on the current attempt's record.
+   * @param {Object} node - Workflow node
+   * @param {Function} jobFunction - Job function
+   * @param {Object} jobRecord - Record of the current attempt
+   * @param {Object} ctx - { progress, appendLog, onRetry(retryRecord) }
+   * @returns {Promise<*>} The job result
+   */
+  async runJobAttempts(node, jobFunction, jobRecord, { progress, appendLog, onRetry }) {
+    const limitManager = new EODHDLimitManager();
+
+    return runJobWithRetries(
+      node.functionName,
+      jobRecord,
+      (signal) => jobFunction({ progress, appendLog, signal }),
+      {
+        shouldStopRetrying: (error) =>
+          this.isShuttingDown ||
+          Boolean(this.cycledList?.isPaused) ||
+          limitManager.shouldThrowOnEODHDError(error),
+        onRetry: async (retryRecord, error, delayMs) => {
+          onRetry(retryRecord);
+          const { attempt, maxAttempts } = retryRecord.metadata;
+          logger.business(
+            `🔄 Job failed: ${node.name} (${error.message}), retrying in ${Math.round(
+              delayMs / 1000
+            )}s (attempt ${attempt}/${maxAttempts})`
+          );
+          await this.updateCycledListProgress();
+        },
+      }
+    );
+  }
+
   /**
    * Create the cycled list workflow
    */
@@ -498,22 +570,38 @@ export class CycledListInitializer {
         name: "syncFundamentalsLargeCap",
         functionName: "syncFundamentalsLargeCap",
       },
+      // FX rates (read by market cap, dividend, valuation and portfolio conversions)
+      {
+        name: "syncFxRates",
+        functionName: "syncFxRates",
+      },
       {
         name: "findAndMarkLargeCapStocks",
         functionName: "findAndMarkLargeCapStocks",
       },
 
-      // Dividends and technicals
+      // Stock splits (read by dividends and price performance to adjust history)
+      {
+        name: "syncSplitsLargeCap",
+        functionName: "syncSplitsLargeCap",
+      },
+
+      // Dividends
       {
         name: "syncDividendsLargeCap",
         //parallelGroup: "large-cap-data",
         functionName: "syncDividendsLargeCap",
       },
+
+      // Local price history (read by price performance and technicals)
+      {
+        name: "syncPricesLargeCap",
+        functionName: "syncPricesLargeCap",
+      },
+      // Computed from the stored prices (no EODHD calls); served by the stocks API
       {
         name: "syncTechnicalsLargeCap",
-        //parallelGroup: "large-cap-data",
         functionName: "syncTechnicalsLargeCap",
-        skipped: true, // Skipped: not used in metric calculations
       },
 
       // Metrics and percentiles (parallel execution)
@@ -529,6 +617,10 @@ export class CycledListInitializer {
         name: "syncPricePerformanceLargeCap",
         functionName: "syncPricePerformanceLargeCap",
       },
+      {
+        name: "syncEarningsLargeCap",
+        functionName: "syncEarningsLargeCap",
+      },
       {
         name: "syncSectorPercentiles",
         parallelGroup: "percentiles",
@@ -539,6 +631,24 @@ export class CycledListInitializer {
         parallelGroup: "percentiles",
         functionName: "syncIndustryPercentiles",
       },
+
+      // Alerts (reads the metrics and percentiles written above)
+      {
+        name: "evaluateAlerts",
+        functionName: "evaluateAlerts",
+      },
+
+      // Saved screens (re-run against the metrics and percentiles written above)
+      {
+        name: "runSavedScreens",
+        functionName: "runSavedScreens",
+      },
+
+      // Portfolios (valued from the prices, dividends and metrics synced above)
+      {
+        name: "valuePortfolios",
+        functionName: "valuePortfolios",
+      },
     ];
   }
 
@@ -599,7 +709,7 @@ export class CycledListInitializer {
       // No previous state found, create new cycled list
       await this.cycledList.create("Stocks Scanner Daily Sync", workflow, {
         // cycleInterval removed - cycles run continuously now
-        maxCycles: null, // Run forever
+        maxCycles: this.maxCycles,
         cancelFunction: async () => {
           await this.limitManager.cancelExternalOperations();
         },
@@ -622,7 +732,9 @@ export class CycledListInitializer {
       const cycleJobs = await Jobs.find({
         "metadata.cycledListName": this.cycledList.name,
         "metadata.cycleNumber": this.cycledList.currentCycle,
-      }).lean();
+      })
+        .sort({ scheduledAt: 1 }) // Retried jobs: the latest attempt wins in the map below
+        .lean();
 
       // Check if all jobs in the cycle are completed or failed
       const allJobsFinished = workflow.every((wfJob) => {
@@ -720,7 +832,9 @@ export class CycledListInitializer {
       const cycleJobs = await Jobs.find({
         "metadata.cycledListName": this.cycledList.name,
         "metadata.cycleNumber": this.cycledList.currentCycle,
-      }).lean();
+      })
+        .sort({ scheduledAt: 1 }) // Retried jobs: the latest attempt wins in the map below
+        .lean();
 
       // Create a map of functionName -> job for easier lookup
       const jobMap = new Map();
@@ -149,6 +149,10 @@ export class EODHDLimitManager {
       if (apiQueue && apiQueue.cancelAll) {
         await apiQueue.cancelAll();
         logger.business("🛑 API queue operations cancelled");
+      } else if (apiQueue && apiQueue.cancel) {
+        // AsyncQueueManager: drops queued requests, running ones complete
+        apiQueue.cancel();
+        logger.business("🛑 API queue operations cancelled");
       }
 
       // Cancel any ongoing database operations
@@ -0,0 +1,351 @@
+/**
+ * Job Command Queue Initialization
+ * Polls the `job_commands` collection for commands enqueued by the API and executes them in
+ * this process: `run` calls a job function from CycledListInitializer.getJobFunctionMap() with
+ * the job's retry and timeout policy and reports to its `jobs` records, `cancel` stops a job
+ * started by a run command, `pause`/`resume` drive the cycled list. Claimed commands are leased and kept alive with heartbeats, so a command
+ * held by a stopped scanner is picked up again once its lease expires.
+ */
+
+import { getModel } from "@buydy/se-db";
+import logger from "@buydy/se-logger";
+import { getMachineDisplayName } from "../utils/machine-info.js";
+import { runJobWithRetries, JobTimeoutError } from "../utils/jobRetry.js";
+
+export const DEFAULT_JOB_COMMAND_POLL_INTERVAL_MS = 5 * 1000;
+export const DEFAULT_JOB_COMMAND_LEASE_MS = 60 * 1000;
+
+// Runs started by commands at the same time; control commands are always claimed
+const MAX_CONCURRENT_RUNS = 1;
+const CONTROL_COMMAND_TYPES = ["cancel", "pause", "resume"];
+
+/**
+ * Thrown from progress() once a run was cancelled or its lease was lost
+ */
+export class JobCancelledError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "JobCancelledError";
+    this.retryable = false;
+  }
+}
+
+export class JobCommandQueueInitializer {
+  /**
+   * @param {Object} cycledListInitializer - Provides the job functions and the cycled list
+   * @param {Object} [options] - { pollIntervalMs, leaseMs }
+   */
+  constructor(cycledListInitializer, options = {}) {
+    this.cycledListInitializer = cycledListInitializer;
+    this.jobFunctionMap = cycledListInitializer.getJobFunctionMap();
+    this.pollIntervalMs =
+      options.pollIntervalMs ||
+      parseInt(process.env.JOB_COMMAND_POLL_INTERVAL_MS) ||
+      DEFAULT_JOB_COMMAND_POLL_INTERVAL_MS;
+    this.leaseMs = options.leaseMs || DEFAULT_JOB_COMMAND_LEASE_MS;
+    this.machineName = getMachineDisplayName();
+    this.activeRuns = new Map(); // commandId -> { command, cancelReason, heartbeat }
+    this.timer = null;
+    this.isPolling = false;
+    this.isShuttingDown = false;
+  }
+
+  /**
+   * Start polling for commands
+   */
+  initialize() {
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    logger.debug(`📨 Job command queue polling every ${this.pollIntervalMs / 1000}s`);
+    this.poll();
+  }
+
+  /**
+   * Claim and start every command this scanner can take right now
+   */
+  async poll() {
+    if (this.isPolling || this.isShuttingDown) return;
+    this.isPolling = true;
+
+    try {
+      const JobCommands = getModel("job_commands");
+      await this.failAbandonedCommands();
+
+      for (;;) {
+        const types =
+          this.activeRuns.size < MAX_CONCURRENT_RUNS
+            ? ["run", ...CONTROL_COMMAND_TYPES]
+            : CONTROL_COMMAND_TYPES;
+        const command = await JobCommands.claimNext(this.machineName, this.leaseMs, types);
+        if (!command) break;
+
+        if (command.type === "run") {
+          // Runs can take hours: keep polling for control commands meanwhile
+          this.executeRun(command);
+        } else {
+          await this.executeControl(command);
+        }
+      }
+    } catch (error) {
+      logger.business("❌ Job command queue poll failed", { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Fail commands whose lease kept expiring, and their job records
+   */
+  async failAbandonedCommands() {
+    const abandoned = await getModel("job_commands").failAbandoned();
+    for (const command of abandoned) {
+      if (command.type === "run" && command.jobId) {
+        await getModel("jobs").findByIdAndUpdate(command.jobId, {
+          $set: {
+            status: "failed",
+            endedAt: new Date(),
+            error: "Scanner stopped while running the job",
+          },
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a job function for a `run` command, reporting to its jobs records. Failed attempts are
+   * retried on linked records per the job's policy, and the command follows the current attempt.
+   * @param {Object} command - Claimed run command
+   */
+  async executeRun(command) {
+    const JobCommands = getModel("job_commands");
+    const Jobs = getModel("jobs");
+    const name = command.jobName;
+    const runId = String(command._id);
+    const run = { command, cancelReason: null, heartbeat: null };
+    this.activeRuns.set(runId, run);
+
+    let jobRecord = null;
+    let abandonedAttempt = null;
+    try {
+      jobRecord = command.jobId ? await Jobs.findById(command.jobId) : null;
+      if (!jobRecord) {
+        throw new Error(`Job record ${command.jobId} not found`);
+      }
+
+      const jobFunction = this.jobFunctionMap[name];
+      if (!jobFunction) {
+        throw new Error(`Job function not found: ${name}`);
+      }
+
+      jobRecord.machineName = this.machineName;
+      await jobRecord.markAsRunning();
+      logger.business(`🚀 [${name}] Started by command ${command._id}`);
+
+      run.heartbeat = setInterval(() => this.renewLease(run), Math.floor(this.leaseMs / 3));
+
+      const throwIfCancelled = () => {
+        if (run.cancelReason) {
+          throw new JobCancelledError(run.cancelReason);
+        }
+      };
+
+      const result = await runJobWithRetries(
+        name,
+        jobRecord,
+        (signal) =>
+          jobFunction({
+            ...(command.params || {}),
+            signal,
+            appendLog: async (msg, level = "info") => {
+              logger.business(`[${name}] ${msg}`);
+              await jobRecord.addLogAtomic(msg, level).catch(() => {});
+            },
+            progress: async (p) => {
+              throwIfCancelled();
+              await Jobs.findByIdAndUpdate(jobRecord._id, { progress: p });
+            },
+          }),
+        {
+          shouldStopRetrying: () => Boolean(run.cancelReason) || this.isShuttingDown,
+          onRetry: async (retryRecord, error, delayMs) => {
+            jobRecord = retryRecord;
+            // Cancel commands address the attempt that is running now
+            await JobCommands.updateOne({ _id: command._id }, { $set: { jobId: retryRecord._id } });
+            const { attempt, maxAttempts } = retryRecord.metadata;
+            logger.business(
+              `🔄 [${name}] ${error.message}, retrying in ${Math.round(
+                delayMs / 1000
+              )}s (attempt ${attempt}/${maxAttempts})`
+            );
+          },
+        }
+      );
+      throwIfCancelled();
+
+      await jobRecord.markAsCompletedAtomic(result);
+      await JobCommands.finish(command._id, this.machineName, "completed", {
+        result: { jobId: jobRecord._id },
+      });
+      logger.business(`✅ [${name}] Command run completed`);
+    } catch (caught) {
+      // A cancel that arrived during a retry delay ends the run as cancelled
+      const error =
+        run.cancelReason && !(caught instanceof JobCancelledError)
+          ? new JobCancelledError(run.cancelReason)
+          : caught;
+      if (error instanceof JobTimeoutError) {
+        abandonedAttempt = error.running;
+      }
+
+      if (error instanceof JobCancelledError && this.isShuttingDown) {
+        // Released in shutdown(): the next scanner runs it again on the same record
+        logger.business(`⏸️  [${name}] Handed back to the queue`);
+      } else if (error instanceof JobCancelledError) {
+        logger.business(`🛑 [${name}] ${error.message}`);
+        if (jobRecord) {
+          await jobRecord.markAsCancelledAtomic(error.message).catch(() => {});
+        }
+        await JobCommands.finish(command._id, this.machineName, "cancelled", {
+          error: error.message,
+        }).catch(() => {});
+      } else {
+        logger.business(`❌ [${name}] Command run failed`, { error: error.message });
+        if (jobRecord) {
+          await jobRecord.markAsFailedAtomic(error.message).catch(() => {});
+        }
+        await JobCommands.finish(command._id, this.machineName, "failed", {
+          error: error.message,
+        }).catch(() => {});
+      }
+    } finally {
+      clearInterval(run.heartbeat);
+      if (abandonedAttempt) {
+        // A timed-out attempt cannot be stopped: hold its run slot until it ends
+        abandonedAttempt.then(() => this.activeRuns.delete(runId));
+      } else {
+        this.activeRuns.delete(runId);
+      }
+    }
+  }
+
+  /**
+   * Heartbeat: renew the lease and pick up cancel requests
+   * @param {Object} run - Active run
+   */
+  async renewLease(run) {
+    try {
+      const command = await getModel("job_commands").heartbeat(
+        run.command._id,
+        this.machineName,
+        this.leaseMs
+      );
+      if (!command) {
+        run.cancelReason = run.cancelReason || "Lease lost to another scanner";
+      } else if (command.cancelRequested) {
+        run.cancelReason = run.cancelReason || "Cancelled by command";
+      }
+    } catch (error) {
+      logger.debug("Failed to renew job command lease", { error: error.message });
+    }
+  }
+
+  /**
+   * Execute a cancel, pause or resume command
+   * @param {Object} command - Claimed control command
+   */
+  async executeControl(command) {
+    const JobCommands = getModel("job_commands");
+    try {
+      let result;
+      if (command.type === "cancel") {
+        result = await this.cancelJob(command.jobId);
+      } else {
+        result = await this.controlCycledList(command.type);
+      }
+      await JobCommands.finish(command._id, this.machineName, "completed", { result });
+      logger.business(`📨 ${command.type} command completed`, result);
+    } catch (error) {
+      logger.business(`❌ ${command.type} command failed`, { error: error.message });
+      await JobCommands.finish(command._id, this.machineName, "failed", {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cancel the run command of a job record: a queued run never starts, a claimed run stops at
+   * its owner's next heartbeat (jobs of the cycled list are paused with the list instead)
+   * @param {string} jobId - Jobs record id
+   * @returns {Promise<Object>} { jobId, state: 'cancelled' | 'cancelling' }
+   */
+  async cancelJob(jobId) {
+    const JobCommands = getModel("job_commands");
+
+    const queued = await JobCommands.findOneAndUpdate(
+      { jobId, type: "run", status: "queued" },
+      { $set: { status: "cancelled", error: "Cancelled by command", completedAt: new Date() } },
+      { new: true }
+    );
+    if (queued) {
+      await getModel("jobs").findByIdAndUpdate(jobId, {
+        $set: { status: "cancelled", endedAt: new Date(), error: "Cancelled by command" },
+      });
+      return { jobId, state: "cancelled" };
+    }
+
+    const claimed = await JobCommands.findOneAndUpdate(
+      { jobId, type: "run", status: "claimed" },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error(`Job ${jobId} was not started by a run command or has already finished`);
+    }
+
+    // Stop right away when this scanner runs it; other owners stop at their next heartbeat
+    const localRun = this.activeRuns.get(String(claimed._id));
+    if (localRun) {
+      localRun.cancelReason = "Cancelled by command";
+    }
+    return { jobId, state: "cancelling", claimedBy: claimed.claimedBy };
+  }
+
+  /**
+   * Pause or resume the cycled list of this scanner
+   * @param {string} type - 'pause' | 'resume'
+   * @returns {Promise<Object>} { overallStatus }
+   */
+  async controlCycledList(type) {
+    const cycledList = this.cycledListInitializer.cycledList;
+    if (!cycledList) {
+      throw new Error("Cycled list not initialized");
+    }
+
+    if (type === "pause") {
+      await cycledList.pauseManually();
+    } else {
+      // resumeManually() runs the rest of the cycle; only wait for it to start
+      cycledList.resumeManually().catch((error) => {
+        logger.business("❌ Cycled list resume failed", { error: error.message });
+      });
+    }
+    return { overallStatus: cycledList.getStatus().overallStatus };
+  }
+
+  /**
+   * Stop polling and hand running commands back to the queue for the next scanner
+   */
+  async shutdown() {
+    this.isShuttingDown = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const JobCommands = getModel("job_commands");
+    for (const run of this.activeRuns.values()) {
+      clearInterval(run.heartbeat);
+      run.cancelReason = "Scanner shutting down";
+      await JobCommands.release(run.command._id, this.machineName).catch(() => {});
+    }
+  }
+}
@@ -8,6 +8,9 @@ import { EODHDLimitManager } from "./EODHDLimitManager.js";
 import { APIQueueInitializer } from "./APIQueueInitializer.js";
 import { DatabaseInitializer } from "./DatabaseInitializer.js";
 import { CycledListInitializer } from "./CycledListInitializer.js";
+import { BacktestQueueInitializer } from "./BacktestQueueInitializer.js";
+import { UniversePipelineInitializer } from "./UniversePipelineInitializer.js";
+import { JobCommandQueueInitializer } from "./JobCommandQueueInitializer.js";
 
 export class StocksScannerApp {
   constructor() {
@@ -15,6 +18,11 @@ export class StocksScannerApp {
     this.apiQueueInitializer = new APIQueueInitializer();
     this.databaseInitializer = new DatabaseInitializer();
     this.cycledListInitializer = new CycledListInitializer(this.limitManager);
+    this.backtestQueueInitializer = new BacktestQueueInitializer();
+    this.universePipelineInitializer = new UniversePipelineInitializer(
+      this.cycledListInitializer.getJobFunctionMap()
+    );
+    this.jobCommandQueueInitializer = new JobCommandQueueInitializer(this.cycledListInitializer);
     this.isShuttingDown = false;
   }
 
@@ -40,6 +48,15 @@ export class StocksScannerApp {
       // Step 5: Start status logging
       this.cycledListInitializer.startStatusLogging();
 
+      // Step 6: Start running queued backtests
+      await this.backtestQueueInitializer.initialize();
+
+      // Step 7: Schedule pipelines of universes with their own schedule (e.g. mid cap)
+      this.universePipelineInitializer.initialize();
+
+      // Step 8: Execute run/cancel/pause commands enqueued by the API
+      this.jobCommandQueueInitializer.initialize();
+
       logger.business("✅ Application started successfully");
       logger.business("🔄 Stocks Scanner is now running with continuous cycling");
       logger.business("⚡ Cycles run continuously - starting immediately after each completion");
@@ -56,6 +73,15 @@ export class StocksScannerApp {
     logger.business("🛑 Shutting down application...");
     this.isShuttingDown = true;
 
+    // Stop picking up backtests
+    this.backtestQueueInitializer.shutdown();
+
+    // Stop scheduling universe pipelines
+    this.universePipelineInitializer.shutdown();
+
+    // Stop taking commands and hand running ones back to the queue
+    await this.jobCommandQueueInitializer.shutdown();
+
     // Shutdown cycled list
     await this.cycledListInitializer.shutdown();
 
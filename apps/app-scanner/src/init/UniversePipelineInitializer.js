@@ -0,0 +1,124 @@
+/**
+ * Universe Pipeline Initialization
+ * Schedules a cron pipeline for every universe with a `schedule` in universes.json (e.g. the
+ * nightly mid-cap run). Each pipeline runs its `schedule.jobs` in order for that universe only,
+ * independently of the large cap cycled list.
+ */
+
+import cron from "node-cron";
+import { getModel } from "@buydy/se-db";
+import { getScheduledUniverses } from "@buydy/iso-business-types";
+import logger from "@buydy/se-logger";
+import { getMachineDisplayName } from "../utils/machine-info.js";
+
+/**
+ * Job record name of a universe pipeline
+ * @param {string} universeId - Universe id
+ * @returns {string} e.g. 'runUniversePipeline:mid-cap'
+ */
+export const getUniversePipelineName = (universeId) => `runUniversePipeline:${universeId}`;
+
+export class UniversePipelineInitializer {
+  /**
+   * @param {Object} jobFunctionMap - Job functions by name (CycledListInitializer.getJobFunctionMap)
+   */
+  constructor(jobFunctionMap) {
+    this.jobFunctionMap = jobFunctionMap;
+    this.tasks = [];
+    this.running = new Set();
+    this.isShuttingDown = false;
+  }
+
+  /**
+   * Schedule one cron task per scheduled universe
+   */
+  initialize() {
+    for (const universe of getScheduledUniverses()) {
+      const { cronDefinition, timezone = "UTC", jobs } = universe.schedule;
+
+      const unknownJobs = jobs.filter((jobName) => !this.jobFunctionMap[jobName]);
+      if (unknownJobs.length > 0) {
+        throw new Error(
+          `Universe ${universe.id} schedules unknown jobs: ${unknownJobs.join(", ")}`
+        );
+      }
+
+      this.tasks.push(
+        cron.schedule(cronDefinition, () => this.runPipeline(universe), { timezone })
+      );
+      logger.business(
+        `🌐 Scheduled ${universe.displayName} pipeline (${cronDefinition} ${timezone}): ${jobs.join(
+          " → "
+        )}`
+      );
+    }
+  }
+
+  /**
+   * Run a universe's jobs in order, recorded as one entry in `jobs`
+   * @param {Object} universe - Universe definition with a schedule
+   */
+  async runPipeline(universe) {
+    if (this.isShuttingDown || this.running.has(universe.id)) return;
+    this.running.add(universe.id);
+
+    const name = getUniversePipelineName(universe.id);
+    const { jobs } = universe.schedule;
+    let jobRecord = null;
+    try {
+      const Jobs = getModel("jobs");
+      jobRecord = await Jobs.create({
+        name,
+        machineName: getMachineDisplayName(),
+        status: "scheduled",
+        scheduledAt: new Date(),
+        metadata: { universe: universe.id, jobs },
+        cronExpression: universe.schedule.cronDefinition,
+        timezone: universe.schedule.timezone || "UTC",
+      });
+      await jobRecord.markAsRunning();
+
+      const appendLog = async (msg, level = "info") => {
+        logger.business(`[${name}] ${msg}`);
+        if (level === "error") {
+          await jobRecord.addLogAtomic(msg, level);
+        }
+      };
+
+      const results = {};
+      for (let i = 0; i < jobs.length; i++) {
+        if (this.isShuttingDown) break;
+        const jobName = jobs[i];
+        await appendLog(`▶️  ${jobName} (${i + 1}/${jobs.length})`);
+
+        results[jobName] = await this.jobFunctionMap[jobName]({
+          universe: universe.id,
+          appendLog,
+          progress: async (p) => {
+            await Jobs.findByIdAndUpdate(jobRecord._id, { progress: (i + p) / jobs.length });
+          },
+        });
+      }
+
+      await jobRecord.markAsCompletedAtomic({ universe: universe.id, results });
+    } catch (error) {
+      logger.business(`❌ ${universe.displayName} pipeline failed`, { error: error.message });
+      if (jobRecord) {
+        await jobRecord.markAsFailedAtomic(error.message).catch(() => {});
+      }
+    } finally {
+      this.running.delete(universe.id);
+    }
+  }
+
+  /**
+   * Stop scheduling pipelines (a running pipeline stops after its current job)
+   */
+  shutdown() {
+    this.isShuttingDown = true;
+    for (const task of this.tasks) {
+      task.stop();
+    }
+    this.tasks = [];
+  }
+}
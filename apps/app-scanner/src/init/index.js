@@ -7,4 +7,7 @@ export { EODHDLimitManager } from "./EODHDLimitManager.js";
 export { APIQueueInitializer } from "./APIQueueInitializer.js";
 export { DatabaseInitializer } from "./DatabaseInitializer.js";
 export { CycledListInitializer } from "./CycledListInitializer.js";
+export { BacktestQueueInitializer } from "./BacktestQueueInitializer.js";
+export { UniversePipelineInitializer } from "./UniversePipelineInitializer.js";
+export { JobCommandQueueInitializer } from "./JobCommandQueueInitializer.js";
 export { StocksScannerApp } from "./StocksScannerApp.js";
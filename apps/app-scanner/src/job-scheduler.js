@@ -1,35 +1,66 @@
 import { getJobsInExecutionOrder } from "@buydy/iso-business-types";
 import logger from "@buydy/se-logger";
+import { APIQueueInitializer } from "./init/APIQueueInitializer.js";
+import { EODHDLimitManager } from "./init/EODHDLimitManager.js";
+import {
+  getJobExecutionPolicy,
+  getRetryDelayMs,
+  withJobTimeout,
+  isRetryableJobError,
+  createRetryAttemptRecord,
+} from "./utils/jobRetry.js";
+import { runWithJobCredits } from "./utils/creditBudget.js";
+
+export const DEFAULT_MAX_CONCURRENT_JOBS = 3;
+export const DEFAULT_MAX_CONCURRENT_EODHD_JOBS = 2;
 
 /**
- * Round-Robin Job Scheduler
+ * Dependency-aware (DAG) Job Scheduler
  *
- * Manages job execution in a controlled round-robin fashion with:
- * - Controlled concurrency (max 2 jobs running simultaneously)
- * - Proper dependency handling
- * - Clean error handling and recovery
- * - Memory management between jobs
+ * Runs the job graph from jobTypes.json:
+ * - A job starts as soon as all of its dependencies in this run have completed, so
+ *   independent branches (e.g. dividends and technicals after large-cap marking) run in parallel
+ * - EODHD budget: every job shares the global API queue (MAX_CONCURRENT_API_REQUESTS), at most
+ *   maxConcurrentEodhdJobs EODHD-backed jobs run at once, and once the daily limit is hit no
+ *   further EODHD-backed job is started
+ * - Failed jobs are retried per their jobTypes.json retryPolicy with exponential backoff, each
+ *   attempt recorded as its own linked `jobs` record, and each attempt is bounded by the timeout
+ *   derived from the job's estimatedDuration. A timed-out job is not retried and keeps its
+ *   concurrency slot until it has really stopped
+ * - A job that fails after its retries skips only its downstream subtree
+ * - Dependency cycles fail fast in getJobsInExecutionOrder()
  */
 export class JobScheduler {
   constructor(options = {}) {
-    this.maxConcurrentJobs = options.maxConcurrentJobs || 1;
-    this.jobDelayMs = options.jobDelayMs || 5000;
-    this.jobTimeoutMs = options.jobTimeoutMs || 30 * 60 * 1000; // 30 minutes
+    this.maxConcurrentJobs =
+      options.maxConcurrentJobs ||
+      parseInt(process.env.MAX_CONCURRENT_JOBS) ||
+      DEFAULT_MAX_CONCURRENT_JOBS;
+    this.maxConcurrentEodhdJobs =
+      options.maxConcurrentEodhdJobs ||
+      parseInt(process.env.MAX_CONCURRENT_EODHD_JOBS) ||
+      DEFAULT_MAX_CONCURRENT_EODHD_JOBS;
+    // Overrides of the per-job policy (jobTypes.json) for every job, e.g. in tests
+    this.jobTimeoutMs = options.jobTimeoutMs ?? null;
+    this.retryDelayMs = options.retryDelayMs ?? null;
     this.jobFunctionMap = options.jobFunctionMap || {};
+    this.limitManager = options.limitManager || new EODHDLimitManager();
     this.isRunning = false;
     this.currentJobs = new Map(); // Track running jobs
     this.jobQueue = []; // Jobs waiting to run
-    this.jobHistory = []; // Track completed jobs
+    this.jobHistory = []; // Track finished jobs (completed, failed, skipped)
   }
 
   /**
    * Initialize the scheduler with job types
+   * @throws {Error} When jobTypes.json contains a dependency cycle
    */
   initialize() {
     const orderedJobTypes = getJobsInExecutionOrder();
 
     this.jobQueue = orderedJobTypes
-      .map((jobType) => ({
+      .map((jobType, order) => ({
+        ...this.getExecutionPolicy(jobType),
         id: jobType.id,
         name: jobType.name,
         displayName: jobType.displayName,
@@ -37,19 +68,32 @@ export class JobScheduler {
         jobType,
         dependencies: jobType.dependencies || [],
         priority: this.getJobPriority(jobType),
-        attempts: 0,
-        maxAttempts: 3,
+        order,
+        usesEodhd: this.usesEodhd(jobType),
+        attempts: 0, // Failed attempts so far
+        retryAt: null,
+        retryRecord: null,
       }))
       .filter((job) => job.fn) // Only include jobs with functions
-      .filter((job) => job.jobType.runOnInitialSync !== false) // Skip jobs that shouldn't run on initial sync
-      .sort((a, b) => a.priority - b.priority); // Sort by priority
+      .filter((job) => job.jobType.runOnInitialSync !== false); // Skip jobs that shouldn't run on initial sync
+
+    // Dependencies outside this run (no function or not part of the initial sync) are
+    // satisfied by earlier runs, so only edges inside the run are enforced
+    const scheduledIds = new Set(this.jobQueue.map((job) => job.id));
+    this.jobQueue.forEach((job) => {
+      job.dependencies = job.dependencies.filter((depId) => scheduledIds.has(depId));
+    });
 
     logger.debug(`🎯 Job Scheduler initialized with ${this.jobQueue.length} jobs`);
-    logger.debug(`📋 Job order: ${this.jobQueue.map((j) => j.name).join(" → ")}`);
+    logger.debug(
+      `📋 Job graph: ${this.jobQueue
+        .map((j) => (j.dependencies.length ? `${j.name} ← ${j.dependencies.join(", ")}` : j.name))
+        .join(" | ")}`
+    );
   }
 
   /**
-   * Start the round-robin job execution
+   * Start executing the job graph
    */
   async start() {
     if (this.isRunning) {
@@ -58,10 +102,13 @@ export class JobScheduler {
     }
 
     this.isRunning = true;
-    logger.business("🚀 Starting round-robin job scheduler");
+    logger.business(
+      `🚀 Starting DAG job scheduler (max ${this.maxConcurrentJobs} jobs, ${this.maxConcurrentEodhdJobs} EODHD jobs)`
+    );
 
     try {
-      await this.executeRoundRobin();
+      await this.ensureApiQueue();
+      await this.executeGraph();
     } catch (error) {
       logger.business("❌ Scheduler error:", error);
       throw error;
@@ -72,55 +119,87 @@ export class JobScheduler {
   }
 
   /**
-   * Execute jobs in round-robin fashion with controlled concurrency
+   * Share one API queue between all concurrently running jobs so parallel branches
+   * stay within MAX_CONCURRENT_API_REQUESTS together
    */
-  async executeRoundRobin() {
-    let completedJobs = 0;
-    const totalJobs = this.jobQueue.length;
+  async ensureApiQueue() {
+    if (!globalThis.__BUYDY_API_PRIORITY_QUEUE__) {
+      await new APIQueueInitializer().initialize();
+    }
+  }
 
-    while (completedJobs < totalJobs) {
-      // Start new jobs up to max concurrency
-      while (this.currentJobs.size < this.maxConcurrentJobs && this.jobQueue.length > 0) {
-        const nextJob = this.getNextAvailableJob();
-        if (nextJob) {
-          this.startJob(nextJob);
-        } else {
-          break; // No available jobs
-        }
+  /**
+   * Execute jobs as their dependencies complete, with controlled concurrency
+   */
+  async executeGraph() {
+    const totalJobs = this.jobQueue.length;
+    let finishedJobs = 0;
+
+    while (this.isRunning && (this.jobQueue.length > 0 || this.currentJobs.size > 0)) {
+      // Start every ready job up to the concurrency limits
+      let nextJob = this.getNextAvailableJob();
+      while (nextJob) {
+        await this.startJob(nextJob);
+        nextJob = this.getNextAvailableJob();
       }
 
-      // Wait for at least one job to complete
-      if (this.currentJobs.size > 0) {
-        await this.waitForJobCompletion();
-        completedJobs++;
-      } else {
-        // No jobs running and none available - we're done
+      if (this.currentJobs.size === 0 && this.getNextRetryAt() === null) {
+        // Nothing running and nothing startable: the rest is blocked
+        this.jobQueue
+          .splice(0)
+          .forEach((job) =>
+            this.recordSkipped(
+              job,
+              job.usesEodhd && this.limitManager.isLimitReached
+                ? "EODHD daily limit reached"
+                : "dependencies not met"
+            )
+          );
         break;
       }
 
+      // Wait for at least one job to settle or a retry to become due
+      await this.waitForJobCompletion();
+      finishedJobs = this.jobHistory.length;
+
       // Memory cleanup between rounds
-      if (global.gc && completedJobs % 3 === 0) {
+      if (global.gc && finishedJobs % 3 === 0) {
         logger.debug("🧹 Running garbage collection");
         global.gc();
       }
     }
 
-    logger.business(`🎉 All ${totalJobs} jobs completed`);
+    const summary = this.summarizeHistory();
+    logger.business(
+      `🎉 Job graph finished: ${summary.completed}/${totalJobs} completed, ${summary.failed} failed, ${summary.skipped} skipped`
+    );
   }
 
   /**
-   * Get the next available job that can run (dependencies satisfied)
+   * Get the next job that can start now (dependencies completed, concurrency and
+   * EODHD budget available), preferring lower priority values then graph order
    */
   getNextAvailableJob() {
-    for (let i = 0; i < this.jobQueue.length; i++) {
-      const job = this.jobQueue[i];
+    if (this.currentJobs.size >= this.maxConcurrentJobs) {
+      return null;
+    }
 
-      // Check if dependencies are satisfied
-      if (this.areDependenciesSatisfied(job)) {
-        return this.jobQueue.splice(i, 1)[0]; // Remove from queue
-      }
+    const runningEodhdJobs = [...this.currentJobs.values()].filter(
+      (execution) => execution.job.usesEodhd
+    ).length;
+
+    const now = Date.now();
+    const candidates = this.jobQueue
+      .filter((job) => !job.retryAt || job.retryAt <= now)
+      .filter((job) => this.areDependenciesSatisfied(job))
+      .filter((job) => !job.usesEodhd || runningEodhdJobs < this.maxConcurrentEodhdJobs)
+      .filter((job) => !job.usesEodhd || !this.limitManager.isLimitReached)
+      .sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+    if (candidates.length === 0) {
+      return null;
     }
-    return null;
+    return this.jobQueue.splice(this.jobQueue.indexOf(candidates[0]), 1)[0]; // Remove from queue
   }
 
   /**
@@ -138,6 +217,33 @@ export class JobScheduler {
     );
   }
 
+  /**
+   * Retry and timeout policy of a job from jobTypes.json, with the scheduler's overrides
+   */
+  getExecutionPolicy(jobType) {
+    const policy = getJobExecutionPolicy(jobType);
+    return {
+      maxAttempts: policy.maxAttempts,
+      timeoutMs: this.jobTimeoutMs ?? policy.timeoutMs,
+      retryPolicy: { ...policy, retryDelayMs: this.retryDelayMs ?? policy.retryDelayMs },
+    };
+  }
+
+  /**
+   * Earliest time a queued retry becomes due, or null when no retry is waiting
+   */
+  getNextRetryAt() {
+    const retryTimes = this.jobQueue.filter((job) => job.retryAt).map((job) => job.retryAt);
+    return retryTimes.length > 0 ? Math.min(...retryTimes) : null;
+  }
+
+  /**
+   * Whether a job calls the EODHD API (and so counts against the EODHD budget)
+   */
+  usesEodhd(jobType) {
+    return /^EODHD API\b/.test(jobType.dataSource || "");
+  }
+
   /**
    * Start a job execution
    */
@@ -148,31 +254,42 @@ export class JobScheduler {
       `🚀 Starting job: ${job.displayName} [${this.currentJobs.size + 1}/${this.maxConcurrentJobs}]`
     );
 
-    // Create database record for job execution
-    let jobRecord = null;
+    // Create database record for job execution (a retry runs on the record created for it)
+    let jobRecord = job.retryRecord;
+    job.retryRecord = null;
     try {
       const { getModel } = await import("@buydy/se-db");
       const Jobs = getModel("jobs");
 
-      jobRecord = new Jobs({
-        name: job.name,
-        displayName: job.displayName,
-        status: "running",
-        scheduledAt: new Date(),
-        startedAt: new Date(),
-        endedAt: null,
-        progress: 0,
-        result: null,
-        error: null,
-        logs: [],
-        metadata: {
-          jobId,
-          scheduler: "initial-sync",
-        },
-      });
+      if (jobRecord) {
+        jobRecord.status = "running";
+        jobRecord.startedAt = new Date();
+        await jobRecord.save();
+        logger.debug(`📝 Started attempt ${job.attempts + 1} record for job: ${job.displayName}`);
+      } else {
+        jobRecord = new Jobs({
+          name: job.name,
+          displayName: job.displayName,
+          status: "running",
+          scheduledAt: new Date(),
+          startedAt: new Date(),
+          endedAt: null,
+          progress: 0,
+          result: null,
+          error: null,
+          logs: [],
+          metadata: {
+            jobId,
+            scheduler: "initial-sync",
+            dependencies: job.dependencies,
+            attempt: job.attempts + 1,
+            maxAttempts: job.maxAttempts,
+          },
+        });
 
-      await jobRecord.save();
-      logger.debug(`📝 Created database record for job: ${job.displayName}`);
+        await jobRecord.save();
+        logger.debug(`📝 Created database record for job: ${job.displayName}`);
+      }
     } catch (error) {
       logger.business(`⚠️ Failed to create database record for job: ${job.displayName}`, {
         error: error.message,
@@ -184,23 +301,19 @@ export class JobScheduler {
       job,
       jobRecord,
       startTime: Date.now(),
-      promise: this.executeJob(job, jobRecord),
     };
 
-    this.currentJobs.set(jobId, jobExecution);
+    // The settled promise resolves once the completion has been recorded
+    jobExecution.promise = this.executeJob(job, jobRecord).then(
+      (result) => this.handleJobCompletion(jobId, "completed", result),
+      (error) => this.handleJobCompletion(jobId, "failed", null, error)
+    );
 
-    // Handle job completion
-    jobExecution.promise
-      .then(async (result) => {
-        await this.handleJobCompletion(jobId, "completed", result);
-      })
-      .catch(async (error) => {
-        await this.handleJobCompletion(jobId, "failed", null, error);
-      });
+    this.currentJobs.set(jobId, jobExecution);
   }
 
   /**
-   * Execute a single job with timeout and retry logic
+   * Execute a single job with timeout
    */
   async executeJob(job, jobRecord) {
     const { fn, name } = job;
@@ -223,24 +336,12 @@ export class JobScheduler {
       appendLog: (msg) => logger.debug(`📝 [${name}] ${msg}`),
     };
 
-    // Execute with timeout
-    const result = await Promise.race([
-      fn(context),
-      this.createTimeoutPromise(this.jobTimeoutMs, name),
-    ]);
-
-    return result;
-  }
-
-  /**
-   * Create a timeout promise for job execution
-   */
-  createTimeoutPromise(timeoutMs, jobName) {
-    return new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`Job ${jobName} timed out after ${timeoutMs / 1000}s`));
-      }, timeoutMs);
-    });
+    // Execute with the job's timeout, charging its EODHD credits to the record
+    return withJobTimeout(
+      (signal) => runWithJobCredits(name, jobRecord, () => fn({ ...context, signal }), { signal }),
+      job.timeoutMs,
+      name
+    );
   }
 
   /**
@@ -271,57 +372,127 @@ export class JobScheduler {
       }
     }
 
-    // Add to history
-    this.jobHistory.push({
-      id: job.id,
-      name: job.name,
-      status,
-      duration: parseFloat(duration),
-      error: error?.message,
-      completedAt: new Date(),
-    });
+    if (error?.running) {
+      // A timed-out attempt may still be running: it holds its slot until it stops
+      execution.promise = error.running.then(() => this.currentJobs.delete(jobId));
+    } else {
+      this.currentJobs.delete(jobId);
+    }
 
-    // Log result
     if (status === "completed") {
+      this.recordHistory(job, status, { duration: parseFloat(duration) });
       logger.debug(`✅ [${job.displayName}] completed in ${duration}s`);
-    } else {
-      logger.business(`❌ [${job.displayName}] failed after ${duration}s:`, error?.message);
-
-      // Retry logic
-      if (job.attempts < job.maxAttempts) {
-        job.attempts++;
-        logger.debug(
-          `🔄 [${job.displayName}] retrying (attempt ${job.attempts}/${job.maxAttempts})`
-        );
-        this.jobQueue.unshift(job); // Add back to front of queue
+      return;
+    }
+
+    logger.business(`❌ [${job.displayName}] failed after ${duration}s:`, error?.message);
+
+    // An exhausted EODHD budget will not recover by retrying today
+    const limitReached = job.usesEodhd && (await this.limitManager.checkEODHDLimit(error));
+
+    // Retry with exponential backoff while the job's retryPolicy allows
+    if (!limitReached && isRetryableJobError(error) && job.attempts + 1 < job.maxAttempts) {
+      job.attempts++;
+      const delayMs = getRetryDelayMs(job.retryPolicy, job.attempts);
+      job.retryAt = Date.now() + delayMs;
+      if (jobRecord) {
+        try {
+          job.retryRecord = await createRetryAttemptRecord(jobRecord, {
+            attempt: job.attempts + 1,
+            maxAttempts: job.maxAttempts,
+            delayMs,
+          });
+        } catch (dbError) {
+          logger.business(`⚠️ Failed to create retry record for job: ${job.displayName}`, {
+            error: dbError.message,
+          });
+        }
       }
+      logger.business(
+        `🔄 [${job.displayName}] retrying in ${Math.round(delayMs / 1000)}s (attempt ${
+          job.attempts + 1
+        }/${job.maxAttempts})`
+      );
+      this.jobQueue.unshift(job); // Add back to front of queue
+      return;
     }
 
-    this.currentJobs.delete(jobId);
+    this.recordHistory(job, status, { duration: parseFloat(duration), error: error?.message });
+    this.skipDownstream(job);
   }
 
   /**
-   * Wait for at least one job to complete
+   * Skip every queued job that depends (directly or transitively) on a failed job.
+   * Independent branches keep running.
    */
-  async waitForJobCompletion() {
-    return new Promise((resolve) => {
-      const initialRunningJobs = this.currentJobs.size;
-
-      const checkCompletion = () => {
-        // Resolve when a job has completed (current jobs < initial running jobs)
-        if (this.currentJobs.size < initialRunningJobs) {
-          resolve();
-        } else if (this.currentJobs.size === 0 && this.jobQueue.length === 0) {
-          // All jobs are done
-          resolve();
-        } else {
-          setTimeout(checkCompletion, 500);
+  skipDownstream(failedJob) {
+    const blocked = new Set([failedJob.id]);
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      for (const job of [...this.jobQueue]) {
+        if (job.dependencies.some((depId) => blocked.has(depId))) {
+          blocked.add(job.id);
+          this.jobQueue.splice(this.jobQueue.indexOf(job), 1);
+          this.recordSkipped(job, `upstream job ${failedJob.name} failed`);
+          changed = true;
         }
-      };
-      checkCompletion();
+      }
+    }
+  }
+
+  recordSkipped(job, reason) {
+    this.recordHistory(job, "skipped", { error: reason });
+    logger.business(`⏭️  [${job.displayName}] skipped: ${reason}`);
+  }
+
+  recordHistory(job, status, { duration = 0, error } = {}) {
+    this.jobHistory.push({
+      id: job.id,
+      name: job.name,
+      status,
+      duration,
+      error,
+      attempts: job.attempts + (status === "skipped" ? 0 : 1),
+      completedAt: new Date(),
     });
   }
 
+  summarizeHistory() {
+    return this.jobHistory.reduce(
+      (summary, entry) => {
+        summary[entry.status] = (summary[entry.status] || 0) + 1;
+        return summary;
+      },
+      { completed: 0, failed: 0, skipped: 0 }
+    );
+  }
+
+  /**
+   * Wait for at least one running job to settle, or for the next retry to become due
+   */
+  async waitForJobCompletion() {
+    const waits = [...this.currentJobs.values()].map((execution) => execution.promise);
+    const nextRetryAt = this.getNextRetryAt();
+    let timer = null;
+    if (nextRetryAt !== null) {
+      waits.push(
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, Math.max(nextRetryAt - Date.now(), 0));
+        })
+      );
+    }
+    if (waits.length === 0) {
+      return;
+    }
+    try {
+      await Promise.race(waits);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Get job priority based on category and dependencies
    */
@@ -345,6 +516,7 @@ export class JobScheduler {
       currentJobs: Array.from(this.currentJobs.keys()),
       queuedJobs: this.jobQueue.length,
       completedJobs: this.jobHistory.length,
+      ...this.summarizeHistory(),
       totalJobs: this.jobQueue.length + this.currentJobs.size + this.jobHistory.length,
     };
   }
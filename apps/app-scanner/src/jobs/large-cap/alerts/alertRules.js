@@ -0,0 +1,110 @@
+/**
+ * Alert Rule Utilities
+ *
+ * Pure helpers used by evaluateAlerts to resolve which field of a `metrics` document a
+ * rule reads and whether a rule fires for a given value.
+ */
+
+const PERCENTILE_GROUP_BY_SOURCE = {
+  sectorPercentile: "sector",
+  industryPercentile: "industry",
+};
+
+/**
+ * Build the path (relative to `metrics` of a Metrics document) an alert reads
+ * @param {Object} metricDefinition - Metric definition from metrics.json
+ * @param {string} source - "value", "sectorPercentile" or "industryPercentile"
+ * @returns {string} Dot path, e.g. "valuationDCF.upsidePct" or "percentiles.sector.DividendYieldCurrent"
+ */
+export function getAlertValuePath(metricDefinition, source = "value") {
+  const group = PERCENTILE_GROUP_BY_SOURCE[source];
+  if (group) {
+    return `percentiles.${group}.${metricDefinition.dbField}`;
+  }
+  return metricDefinition.dbField;
+}
+
+/**
+ * Read a numeric value at a dot path
+ * @param {Object} source - Object to read from
+ * @param {string} path - Dot path
+ * @returns {number|null} Finite number or null
+ */
+export function getNumericValueAtPath(source, path) {
+  const value = path
+    .split(".")
+    .reduce((current, segment) => (current == null ? undefined : current[segment]), source);
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function compare(operator, value, threshold) {
+  switch (operator) {
+    case "gt":
+      return value > threshold;
+    case "gte":
+      return value >= threshold;
+    case "lt":
+      return value < threshold;
+    case "lte":
+      return value <= threshold;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Decide whether a rule fires
+ *
+ * Threshold operators fire when the condition is true now and was not already true on the
+ * previous evaluation, so a rule that stays true does not fire every cycle. Crossing
+ * operators need a previous value on the other side of the threshold.
+ *
+ * @param {Object} params
+ * @param {string} params.operator - One of ALERT_OPERATORS
+ * @param {number} params.threshold - Rule threshold
+ * @param {number|null} params.value - Current value
+ * @param {number|null} [params.previousValue] - Value seen on the previous evaluation
+ * @returns {boolean} True when an event should be recorded
+ */
+export function isAlertTriggered({ operator, threshold, value, previousValue = null }) {
+  if (value === null || value === undefined || !Number.isFinite(value)) {
+    return false;
+  }
+
+  const hasPrevious = previousValue !== null && Number.isFinite(previousValue);
+
+  if (operator === "crossesAbove") {
+    return hasPrevious && previousValue < threshold && value >= threshold;
+  }
+
+  if (operator === "crossesBelow") {
+    return hasPrevious && previousValue > threshold && value <= threshold;
+  }
+
+  if (!compare(operator, value, threshold)) {
+    return false;
+  }
+
+  return !hasPrevious || !compare(operator, previousValue, threshold);
+}
+
+/**
+ * Human readable rule description, e.g. "AAPL.US ValuationDCF_Upside > 0.3"
+ * @param {Object} alert - Alert rule
+ * @returns {string}
+ */
+export function describeAlert(alert) {
+  const labels = {
+    gt: ">",
+    gte: ">=",
+    lt: "<",
+    lte: "<=",
+    crossesAbove: "crosses above",
+    crossesBelow: "crosses below",
+  };
+  const subject =
+    alert.source && alert.source !== "value" ? `${alert.source} of ${alert.metric}` : alert.metric;
+  return `${alert.symbol || "Any symbol"} ${subject} ${labels[alert.operator] || alert.operator} ${
+    alert.threshold
+  }`;
+}
@@ -0,0 +1,170 @@
+/**
+ * Evaluate Alerts Job
+ *
+ * Runs after the percentile jobs at the end of each cycle. Evaluates every enabled rule
+ * in the `alerts` collection against the freshly calculated `metrics` documents, records
+ * triggered events in `alert_events` and hands them to the notifiers configured on the rule.
+ *
+ * Dependencies: syncIndustryPercentiles (rules may read sector/industry percentiles)
+ */
+
+import { getModel } from "@buydy/se-db";
+import { getMetricsMapByType } from "@buydy/iso-business-types";
+import logger from "@buydy/se-logger";
+import {
+  getAlertValuePath,
+  getNumericValueAtPath,
+  isAlertTriggered,
+  describeAlert,
+} from "./alertRules.js";
+import { dispatchAlertNotifications } from "../../../notifiers/index.js";
+
+/**
+ * Evaluate one rule against the metrics documents it covers
+ * @returns {Object} { symbolsEvaluated, events, lastValues }
+ */
+async function evaluateAlert(alert, metricDefinition, { Metrics, AlertEvents, log }) {
+  const valuePath = getAlertValuePath(metricDefinition, alert.source);
+  const previousValues = new Map(
+    (alert.lastValues || []).map((entry) => [entry.symbol, entry.value])
+  );
+  const lastValues = [];
+  const events = [];
+  let symbolsEvaluated = 0;
+
+  const query = alert.symbol ? { symbol: alert.symbol } : {};
+  const cursor = Metrics.find(query).select(`symbol metrics.${valuePath}`).lean().cursor();
+
+  for await (const doc of cursor) {
+    const value = getNumericValueAtPath(doc.metrics, valuePath);
+    if (value === null) {
+      continue;
+    }
+
+    symbolsEvaluated++;
+    const previousValue = previousValues.has(doc.symbol) ? previousValues.get(doc.symbol) : null;
+    lastValues.push({ symbol: doc.symbol, value });
+
+    if (
+      !isAlertTriggered({
+        operator: alert.operator,
+        threshold: alert.threshold,
+        value,
+        previousValue,
+      })
+    ) {
+      continue;
+    }
+
+    const event = {
+      alertId: alert._id,
+      userId: alert.userId ?? null,
+      alertName: alert.name,
+      symbol: doc.symbol,
+      metric: alert.metric,
+      source: alert.source,
+      operator: alert.operator,
+      threshold: alert.threshold,
+      value,
+      previousValue,
+      triggeredAt: new Date(),
+    };
+
+    const notifications = await dispatchAlertNotifications(
+      { ...event, description: describeAlert({ ...alert, symbol: doc.symbol }) },
+      alert.channels
+    );
+    for (const notification of notifications) {
+      if (notification.status === "failed") {
+        log(
+          `   ⚠️  ${notification.channel} notification failed for ${doc.symbol}: ${notification.error}`,
+          "warn"
+        );
+      }
+    }
+
+    events.push(await AlertEvents.create({ ...event, notifications }));
+    log(`   🔔 ${describeAlert({ ...alert, symbol: doc.symbol })} (value: ${value})`);
+  }
+
+  return { symbolsEvaluated, events, lastValues };
+}
+
+/**
+ * Evaluate all enabled alert rules
+ * @param {Object} ctx - Job context with progress and appendLog
+ * @returns {Object} Job results summary
+ */
+export async function evaluateAlerts({ progress, appendLog } = {}) {
+  const log = appendLog || ((msg) => logger.business(`[EvaluateAlerts] ${msg}`));
+
+  const Alerts = getModel("alerts");
+  const AlertEvents = getModel("alert_events");
+  const Metrics = getModel("metrics");
+  const metricsMap = getMetricsMapByType();
+
+  const alerts = await Alerts.findEnabled().lean();
+  log(`🔔 Evaluating ${alerts.length} enabled alert rules`);
+
+  let symbolsEvaluated = 0;
+  let eventsTriggered = 0;
+  let notificationsFailed = 0;
+  let failed = 0;
+
+  for (let i = 0; i < alerts.length; i++) {
+    const alert = alerts[i];
+    const metricDefinition = metricsMap[alert.metric];
+
+    try {
+      if (!metricDefinition) {
+        throw new Error(`Unknown metric "${alert.metric}"`);
+      }
+
+      const result = await evaluateAlert(alert, metricDefinition, { Metrics, AlertEvents, log });
+      const now = new Date();
+      const update = {
+        $set: { lastValues: result.lastValues, lastEvaluatedAt: now },
+      };
+      if (result.events.length > 0) {
+        update.$set.lastTriggeredAt = now;
+        update.$inc = { triggerCount: result.events.length };
+      }
+      await Alerts.updateOne({ _id: alert._id }, update);
+
+      symbolsEvaluated += result.symbolsEvaluated;
+      eventsTriggered += result.events.length;
+      notificationsFailed += result.events.reduce(
+        (count, event) =>
+          count +
+          event.notifications.filter((notification) => notification.status === "failed").length,
+        0
+      );
+    } catch (error) {
+      failed++;
+      log(`   ❌ Failed to evaluate alert "${alert.name}": ${error.message}`, "error");
+    }
+
+    if (progress) {
+      await progress((i + 1) / alerts.length);
+    }
+  }
+
+  log(
+    `✅ Alerts evaluated: ${alerts.length - failed}/${
+      alerts.length
+    } rules, ${symbolsEvaluated} values checked, ${eventsTriggered} events triggered`
+  );
+
+  return {
+    success: true,
+    alertsEvaluated: alerts.length - failed,
+    failed,
+    symbolsEvaluated,
+    eventsTriggered,
+    notificationsFailed,
+    runAt: new Date(),
+  };
+}
+
+// Default export for run-job.js compatibility
+export default evaluateAlerts;
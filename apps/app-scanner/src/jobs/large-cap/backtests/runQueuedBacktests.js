@@ -0,0 +1,254 @@
+/**
+ * Run Queued Backtests Job
+ *
+ * Runs the ranking strategy backtests queued through POST /api/v1/backtests, oldest first.
+ * Polled by BacktestQueueInitializer outside the cycled workflow, so a backtest does not
+ * wait for the end of a cycle.
+ *
+ * Each rebalance date ranks the universe with the percentiles of the latest metric snapshot
+ * taken before that day (no look-ahead), holds the top N equally weighted until the next
+ * rebalance, and compares the result with an equal-weight portfolio of the whole universe.
+ * Returns come from the local `prices` collection, restated for splits.
+ */
+
+import { getModel } from "@buydy/se-db";
+import logger from "@buydy/se-logger";
+import { adjustBarsForSplits } from "../../../utils/splitUtils.js";
+import {
+  getRebalanceDates,
+  selectTopCompanies,
+  equalWeights,
+  simulateHolding,
+  calculateTurnover,
+  summarizeEquityCurve,
+} from "../../../calculators/backtest.js";
+
+// Snapshots older than this at a rebalance date are too stale to rank on
+export const SNAPSHOT_LOOKBACK_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatPct = (value) => (value === null ? "n/a" : `${(value * 100).toFixed(2)}%`);
+
+/**
+ * Group percentiles of the latest snapshot before a day for every symbol in the universe
+ * @returns {Promise<Array>} [{ symbol, percentiles }]
+ */
+async function loadRankingPercentiles(date, { groupBy, symbols }) {
+  const MetricsSnapshots = getModel("metrics_snapshots");
+  const before = new Date(`${date}T00:00:00Z`);
+
+  const match = {
+    date: { $lt: before, $gte: new Date(before.getTime() - SNAPSHOT_LOOKBACK_DAYS * DAY_MS) },
+  };
+  if (symbols?.length > 0) {
+    match.symbol = { $in: symbols };
+  }
+
+  const rows = await MetricsSnapshots.aggregate([
+    { $match: match },
+    { $sort: { date: -1 } },
+    { $group: { _id: "$symbol", percentiles: { $first: `$percentiles.${groupBy}` } } },
+  ]).allowDiskUse(true);
+
+  return rows
+    .filter((row) => row.percentiles)
+    .map((row) => ({ symbol: row._id, percentiles: row.percentiles }));
+}
+
+/**
+ * Split-adjusted closes of a set of symbols between two days (inclusive)
+ * @returns {Promise<Object>} { pricesBySymbol: symbol → (date → price), tradingDates }
+ */
+async function loadPeriodPrices(symbols, from, to) {
+  const Prices = getModel("prices");
+  const Splits = getModel("splits");
+
+  const [rows, splitDocs] = await Promise.all([
+    Prices.find({ symbol: { $in: symbols }, date: { $gte: from, $lte: to } })
+      .select({ symbol: 1, date: 1, close: 1, adjustedClose: 1 })
+      .sort({ symbol: 1, date: 1 })
+      .lean(),
+    Splits.find({ symbol: { $in: symbols } })
+      .select({ symbol: 1, splits: 1 })
+      .lean(),
+  ]);
+
+  const splitsBySymbol = new Map(splitDocs.map((doc) => [doc.symbol, doc.splits || []]));
+  const barsBySymbol = new Map();
+  for (const row of rows) {
+    if (!barsBySymbol.has(row.symbol)) {
+      barsBySymbol.set(row.symbol, []);
+    }
+    barsBySymbol.get(row.symbol).push({
+      date: row.date,
+      close: row.close,
+      adjusted_close: row.adjustedClose ?? row.close,
+    });
+  }
+
+  const pricesBySymbol = new Map();
+  const tradingDates = new Set();
+  for (const [symbol, rawBars] of barsBySymbol) {
+    const { bars } = adjustBarsForSplits(rawBars, splitsBySymbol.get(symbol) || []);
+    pricesBySymbol.set(symbol, new Map(bars.map((bar) => [bar.date, bar.adjusted_close])));
+    bars.forEach((bar) => tradingDates.add(bar.date));
+  }
+
+  return { pricesBySymbol, tradingDates: [...tradingDates].sort() };
+}
+
+/**
+ * Run one backtest
+ * @param {Object} config - Backtest config (see the Backtests model)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - async (fraction) => void, called after each rebalance
+ * @returns {Promise<Object>} { portfolio, benchmark, periods, equityCurve }
+ * @throws {Error} When the period has no rebalance date or no price history
+ */
+export async function runBacktest(config, { onProgress } = {}) {
+  const rebalanceDates = getRebalanceDates(config.from, config.to, config.rebalance);
+  if (rebalanceDates.length === 0) {
+    throw new Error(
+      `No ${config.rebalance} rebalance date between ${config.from} and ${config.to}`
+    );
+  }
+
+  const equityCurve = [];
+  const periods = [];
+  const portfolioTurnovers = [];
+  const benchmarkTurnovers = [];
+  let portfolioValue = 1;
+  let benchmarkValue = 1;
+  let portfolioWeights = new Map();
+  let benchmarkWeights = new Map();
+
+  for (let i = 0; i < rebalanceDates.length; i++) {
+    const start = rebalanceDates[i];
+    const end = rebalanceDates[i + 1] || config.to;
+
+    const companies = await loadRankingPercentiles(start, config);
+    const holdings = selectTopCompanies(companies, config);
+    const universe = companies.map((company) => company.symbol);
+
+    const nextPortfolioWeights = equalWeights(holdings.map((holding) => holding.symbol));
+    const nextBenchmarkWeights = equalWeights(universe);
+    const turnover = calculateTurnover(portfolioWeights, nextPortfolioWeights);
+    if (i > 0) {
+      portfolioTurnovers.push(turnover);
+      benchmarkTurnovers.push(calculateTurnover(benchmarkWeights, nextBenchmarkWeights));
+    }
+
+    const { pricesBySymbol, tradingDates } = await loadPeriodPrices(universe, start, end);
+    const portfolio = simulateHolding(nextPortfolioWeights, pricesBySymbol, tradingDates);
+    const benchmark = simulateHolding(nextBenchmarkWeights, pricesBySymbol, tradingDates);
+
+    const periodStartValues = { portfolio: portfolioValue, benchmark: benchmarkValue };
+    tradingDates.forEach((date, index) => {
+      portfolioValue = periodStartValues.portfolio * portfolio.values[index];
+      benchmarkValue = periodStartValues.benchmark * benchmark.values[index];
+      // The rebalance day closes one period and opens the next
+      if (equityCurve[equityCurve.length - 1]?.date === date) {
+        equityCurve.pop();
+      }
+      equityCurve.push({ date, portfolio: portfolioValue, benchmark: benchmarkValue });
+    });
+
+    portfolioWeights = portfolio.endWeights;
+    benchmarkWeights = benchmark.endWeights;
+    periods.push({
+      date: start,
+      holdings,
+      universeSize: universe.length,
+      turnover,
+      portfolioReturn: portfolioValue / periodStartValues.portfolio - 1,
+      benchmarkReturn: benchmarkValue / periodStartValues.benchmark - 1,
+    });
+
+    if (onProgress) {
+      await onProgress((i + 1) / rebalanceDates.length);
+    }
+  }
+
+  if (equityCurve.length < 2) {
+    throw new Error(
+      `Not enough price history and metric snapshots between ${config.from} and ${config.to}`
+    );
+  }
+
+  const riskFreeRate = config.riskFreeRate || 0;
+  return {
+    portfolio: summarizeEquityCurve(
+      equityCurve.map((point) => ({ date: point.date, value: point.portfolio })),
+      { riskFreeRate, turnovers: portfolioTurnovers }
+    ),
+    benchmark: summarizeEquityCurve(
+      equityCurve.map((point) => ({ date: point.date, value: point.benchmark })),
+      { riskFreeRate, turnovers: benchmarkTurnovers }
+    ),
+    periods,
+    equityCurve,
+  };
+}
+
+/**
+ * Run queued backtests until the queue is empty
+ * @param {Object} ctx - Job context with progress and appendLog
+ * @returns {Object} Job results summary
+ */
+export async function runQueuedBacktests({ progress, appendLog } = {}) {
+  const log = appendLog || ((msg) => logger.business(`[RunQueuedBacktests] ${msg}`));
+  const Backtests = getModel("backtests");
+
+  let completed = 0;
+  let failed = 0;
+  let backtest;
+
+  while ((backtest = await Backtests.claimNext())) {
+    const label = backtest.name ? `"${backtest.name}"` : backtest._id;
+    log(
+      `📈 Running backtest ${label}: top ${backtest.config.topN}, ${backtest.config.rebalance}, ${backtest.config.from} → ${backtest.config.to}`
+    );
+
+    try {
+      const result = await runBacktest(backtest.config, {
+        onProgress: async (fraction) => {
+          await Backtests.updateOne({ _id: backtest._id }, { $set: { progress: fraction } });
+          if (progress) {
+            await progress(fraction);
+          }
+        },
+      });
+
+      await Backtests.updateOne(
+        { _id: backtest._id },
+        { $set: { status: "completed", progress: 1, result, completedAt: new Date() } }
+      );
+      completed++;
+      log(
+        `   ✅ ${label}: CAGR ${formatPct(result.portfolio.cagr)} vs benchmark ${formatPct(
+          result.benchmark.cagr
+        )}`
+      );
+    } catch (error) {
+      await Backtests.updateOne(
+        { _id: backtest._id },
+        { $set: { status: "failed", error: error.message, completedAt: new Date() } }
+      );
+      failed++;
+      log(`   ❌ Backtest ${label} failed: ${error.message}`, "error");
+    }
+  }
+
+  log(`✅ Backtests run: ${completed} completed, ${failed} failed`);
+
+  return {
+    success: true,
+    completed,
+    failed,
+    runAt: new Date(),
+  };
+}
+
+// Default export for run-job.js compatibility
+export default runQueuedBacktests;
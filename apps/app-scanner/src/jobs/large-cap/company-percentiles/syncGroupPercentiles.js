@@ -16,6 +16,7 @@ import {
   updateCompanyPercentilesBulk,
   processGroupsInBatches,
 } from "../metrics-base/percentileUtils.js";
+import { recordMetricsSnapshots } from "../metrics-base/snapshotUtils.js";
 import { parseDevModeCompany } from "../../../utils/devModeFilter.js";
 import logger from "@buydy/se-logger";
 
@@ -65,6 +66,7 @@ export async function syncGroupPercentiles({
   const Metrics = getModel("metrics");
 
   const results = [];
+  const updatedSymbols = new Set();
 
   // Get metrics from enum - single source of truth
   const metricsList = getDefaultMetricsForAPI();
@@ -212,6 +214,7 @@ export async function syncGroupPercentiles({
         );
 
         totalCompaniesUpdated += bulkResult.updated;
+        Object.keys(percentileResults).forEach((symbol) => updatedSymbols.add(symbol));
 
         log(
           `   ✅ ${groupBy.charAt(0).toUpperCase() + groupBy.slice(1)} ${groupKey}: ${
@@ -266,6 +269,11 @@ export async function syncGroupPercentiles({
     log(`   Failed: ${failedCount}`);
     log(`   Total companies updated: ${totalCompaniesUpdated}`);
 
+    await recordMetricsSnapshots([...updatedSymbols], {
+      source: `${groupBy}-percentiles`,
+      log,
+    });
+
     return {
       success: true,
       [`total${groupBy.charAt(0).toUpperCase() + groupBy.slice(1)}s`]: groupsToProcess.length,
@@ -1,14 +1,14 @@
 import { getModel } from "@buydy/se-db";
 import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
 import { getJobConfig, JOB_CONFIG } from "@buydy/iso-business-types";
-import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/metricsUtils.js";
+import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/currencyUtils.js";
 import logger from "@buydy/se-logger";
 import {
-  LARGE_CAP_THRESHOLD,
-  getLargeCapStocksFromDatabase,
-  countLargeCapStocks,
-  extractLargeCapStocks,
-} from "@buydy/se-db/src/utils/largeCapFilter.js";
+  getUniverseStocksFromDatabase,
+  countUniverseStocks,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
 import {
   getDevModeLimit,
   parseDevModeCompany,
@@ -24,11 +24,13 @@ import {
   detectDividendIssues,
   buildDividendQualityFlags,
 } from "../../../utils/dividendUtils.js";
+import { createFxRateResolver, FX_BASE_CURRENCY } from "../../../utils/fxUtils.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
+import { fitUniverseToCreditBudget, findFreshSymbols } from "../../../utils/creditBudget.js";
 
 const jobConfig = getJobConfig("dividends");
 const maxAgeDays = jobConfig.maxAgeDays;
 const DIVIDEND_HISTORY_YEARS = JOB_CONFIG.DIVIDEND_HISTORY_YEARS;
-const FX_BASE_CURRENCY = "USD";
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
 
@@ -42,84 +44,30 @@ const DEV_MODE_COMPANIES = parseDevModeCompany();
  * This job finds all stocks that have been CONFIRMED as large cap (≥$1B) by the
  * findAndMarkLargeCapStocks job and fetches their dividend data from EODHD API.
  *
- * Should run AFTER findAndMarkLargeCapStocks job.
+ * Should run AFTER findAndMarkLargeCapStocks and syncSplitsLargeCap jobs.
  * Skips API calls if data is less than 7 days old.
+ * Payments dated before a stored split are restated on today's share basis.
  * Fetches 10 years of dividend history for comprehensive analysis.
  */
-export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
+export async function syncDividendsLargeCap({ progress, appendLog, universe: universeId } = {}) {
   // Default appendLog to logger.business for visibility (logs both to logger and job record)
   const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
 
   // Get Mongoose models (database connection should be bootstrapped at app startup)
   const Dividends = getModel("dividends");
+  const Splits = getModel("splits");
 
   const client = new EODHDCacheClient({
     apiKey: process.env.API_EODHD_API_TOKEN,
     cacheExpirationHours: jobConfig.cacheExpirationHours,
   });
 
-  // FX rate cache for currency conversion
-  const fxRateCache = new Map();
+  // FX rates into USD (stored daily rates, live forex API for currencies never synced)
+  const fxResolver = createFxRateResolver(client, { log });
   const resolveFxRate = async (currencyCode) => {
-    const normalizedCurrency = normalizeCurrencyCode(currencyCode);
-    if (!normalizedCurrency) {
-      return {
-        rate: 1,
-        sourceCurrency: FX_BASE_CURRENCY,
-        targetCurrency: FX_BASE_CURRENCY,
-        timestamp: new Date().toISOString(),
-      };
-    }
-
-    if (normalizedCurrency === FX_BASE_CURRENCY) {
-      return {
-        rate: 1,
-        sourceCurrency: FX_BASE_CURRENCY,
-        targetCurrency: FX_BASE_CURRENCY,
-        timestamp: new Date().toISOString(),
-      };
-    }
-
-    const cacheKey = `${normalizedCurrency}->${FX_BASE_CURRENCY}`;
-    if (fxRateCache.has(cacheKey)) {
-      return fxRateCache.get(cacheKey);
-    }
-
-    if (!client?.eodhdClient?.forex) {
-      return null;
-    }
-
-    try {
-      const conversion = await client.eodhdClient.forex.convertCurrency(
-        1,
-        normalizedCurrency,
-        FX_BASE_CURRENCY
-      );
-      const exchangeRate = Number(conversion?.exchangeRate);
-      const convertedAmount = Number(conversion?.convertedAmount);
-      const rateCandidate =
-        Number.isFinite(exchangeRate) && exchangeRate > 0
-          ? exchangeRate
-          : Number.isFinite(convertedAmount) && convertedAmount > 0
-          ? convertedAmount
-          : null;
-
-      if (!Number.isFinite(rateCandidate) || rateCandidate <= 0) {
-        throw new Error("Invalid FX rate received");
-      }
-
-      const info = {
-        rate: rateCandidate,
-        sourceCurrency: normalizedCurrency,
-        targetCurrency: FX_BASE_CURRENCY,
-        timestamp: conversion?.timestamp || new Date().toISOString(),
-      };
-      fxRateCache.set(cacheKey, info);
-      return info;
-    } catch (error) {
-      log(`   ⚠️  Failed to resolve FX rate for ${normalizedCurrency}: ${error.message}`);
-      return null;
-    }
+    const fxInfo = await fxResolver(currencyCode);
+    return fxInfo.fallback ? null : fxInfo;
   };
 
   // Retry wrapper for API calls
@@ -167,20 +115,18 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
   }
 
   try {
-    log(
-      `🔍 Finding large cap stocks (>=$${LARGE_CAP_THRESHOLD.toLocaleString()}) from exchange_symbols...`
-    );
+    log(`🔍 Finding ${describeUniverse(universe)} stocks from exchange_symbols...`);
 
     // Use the centralized large cap function
-    const exchangeSymbolsDocs = await getLargeCapStocksFromDatabase(maxAgeDays);
+    const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, maxAgeDays);
 
     if (exchangeSymbolsDocs.length === 0) {
-      log("⚠️  No large cap stocks found in exchange_symbols collection");
+      log(`⚠️  No ${describeUniverse(universe)} stocks found in exchange_symbols collection`);
       return { success: true, message: "No large cap stocks to process" };
     }
 
     // Count total large cap stocks using centralized function
-    const totalLargeCapStocks = countLargeCapStocks(exchangeSymbolsDocs, maxAgeDays);
+    const totalLargeCapStocks = countUniverseStocks(exchangeSymbolsDocs, universe, maxAgeDays);
 
     log(
       `📊 Found ${exchangeSymbolsDocs.length} exchanges with ${totalLargeCapStocks} total large cap stocks`
@@ -194,11 +140,17 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
       await progress(0.01); // Report 1% immediately to show job is working
     }
 
-    // Process each exchange using centralized extraction
-    const largeCapExchanges = extractLargeCapStocks(exchangeSymbolsDocs, maxAgeDays);
+    // Process each exchange using centralized extraction; when today's credit quota cannot
+    // cover every stale symbol, the smallest ones wait for a later run
+    const { exchanges: universeExchanges, deferred } = await fitUniverseToCreditBudget(
+      "syncDividendsLargeCap",
+      extractUniverseStocks(exchangeSymbolsDocs, universe, maxAgeDays),
+      { findFresh: (keys) => findFreshSymbols(Dividends, keys, { maxAgeDays }), log }
+    );
+    const totalToProcess = Math.max(totalLargeCapStocks - deferred.length, 1);
 
     // 🚀 DEV MODE: Reorganize stocks if DEV_MODE_COMPANY is specified
-    const prioritizedStocks = prioritizeStocksAcrossExchanges(largeCapExchanges, log);
+    const prioritizedStocks = prioritizeStocksAcrossExchanges(universeExchanges, log);
 
     if (prioritizedStocks) {
       // Process prioritized stocks (grouped by exchange)
@@ -266,10 +218,12 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
               // Clean and validate dividend history
               const rawHistory =
                 dividendHistory.status === "fulfilled" ? dividendHistory.value : [];
+              const splits = await Splits.getSplitsForSymbol(symbolKey);
               const cleanedResult = cleanDividendHistory(rawHistory, {
                 removeSpecials: true,
                 removeOutliers: true,
                 useAdjustedValues: true,
+                splits,
               });
 
               // Convert dividend values to USD using FX rates
@@ -426,13 +380,13 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
           totalProcessedForDevMode += chunk.length;
 
           if (progress) {
-            await progress(processedStocks / totalLargeCapStocks);
+            await progress(processedStocks / totalToProcess);
           }
         }
       }
     } else {
       // Normal processing (no DEV_MODE_COMPANY)
-      for (const exchangeDoc of largeCapExchanges) {
+      for (const exchangeDoc of universeExchanges) {
         let largeCapStocks = exchangeDoc.symbols;
 
         // 🚀 DEV MODE: Limit the number of stocks to process
@@ -512,10 +466,12 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
               // Clean and validate dividend history
               const rawHistory =
                 dividendHistory.status === "fulfilled" ? dividendHistory.value : [];
+              const splits = await Splits.getSplitsForSymbol(symbolKey);
               const cleanedResult = cleanDividendHistory(rawHistory, {
                 removeSpecials: true,
                 removeOutliers: true,
                 useAdjustedValues: true,
+                splits,
               });
 
               // Convert dividend values to USD using FX rates
@@ -678,7 +634,7 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
           const currentExchangeProgress = exchangeProcessed / largeCapStocks.length;
           const exchangeProgressIncrease = currentExchangeProgress - lastExchangeProgress;
           if (exchangeProgressIncrease >= 0.1 || exchangeProcessed === largeCapStocks.length) {
-            const overallProgress = processedStocks / totalLargeCapStocks;
+            const overallProgress = processedStocks / totalToProcess;
             log(
               `   📊 ${exchangeDoc.exchangeCode} Progress: ${(
                 currentExchangeProgress * 100
@@ -690,7 +646,7 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
           }
 
           // Simple progress: processed / total
-          const overallProgress = processedStocks / totalLargeCapStocks;
+          const overallProgress = processedStocks / totalToProcess;
           if (progress) {
             await progress(overallProgress);
           }
@@ -712,6 +668,7 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
     log(`   Total large cap stocks: ${totalLargeCapStocks}`);
     log(`   Successfully processed: ${successCount}`);
     log(`   Skipped (fresh data): ${skippedCount}`);
+    log(`   Deferred (credit budget): ${deferred.length}`);
     log(`   Failed: ${failedCount}`);
     log(`   Exchanges processed: ${exchangeSymbolsDocs.length}`);
 
@@ -726,6 +683,7 @@ export async function syncDividendsLargeCap({ progress, appendLog } = {}) {
       totalStocks: totalLargeCapStocks,
       processed: successCount,
       skipped: skippedCount,
+      deferred: deferred.length,
       failed: failedCount,
       exchanges: exchangeSymbolsDocs.length,
     };
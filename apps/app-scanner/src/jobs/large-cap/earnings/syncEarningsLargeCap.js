@@ -0,0 +1,204 @@
+import { getModel } from "@buydy/se-db";
+import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
+import { getJobConfig } from "@buydy/iso-business-types";
+import logger from "@buydy/se-logger";
+import {
+  getUniverseStocksFromDatabase,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
+import { getDevModeLimit, buildSymbolKey } from "../../../utils/devModeFilter.js";
+import {
+  normalizeEarningsCalendar,
+  EPSSurprisePct,
+  EPSGrowthYoY,
+  DaysToNextEarnings,
+} from "../../../calculators/earnings.js";
+import { recordMetricsSnapshots } from "../metrics-base/snapshotUtils.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
+import { fitUniverseToCreditBudget, findFreshSymbols } from "../../../utils/creditBudget.js";
+
+const DEV_MODE_LIMIT = getDevModeLimit();
+
+const jobConfig = getJobConfig("earnings");
+
+// Two years of reported quarters covers the year-ago comparison; report dates are
+// usually announced within the next quarter
+export const EARNINGS_HISTORY_DAYS = 730;
+export const EARNINGS_LOOKAHEAD_DAYS = 120;
+
+const CHUNK_SIZE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Earnings metrics for one symbol from its stored earnings document
+ * @param {Object} earnings - { history, upcoming } (see normalizeEarningsCalendar)
+ * @param {Date} asOf - Reference date
+ * @returns {Object} Metric fields written to the metrics document
+ */
+export function buildEarningsMetrics({ history = [], upcoming = [] } = {}, asOf = new Date()) {
+  const next = upcoming.find((report) => report.reportDate >= toDateString(asOf));
+  return {
+    EPSSurprisePct: EPSSurprisePct(history),
+    EPSGrowthYoY: EPSGrowthYoY(history),
+    DaysToNextEarnings: DaysToNextEarnings(upcoming, asOf),
+    nextEarningsDate: next ? new Date(`${next.reportDate}T00:00:00Z`) : null,
+  };
+}
+
+/**
+ * Sync the earnings calendar (reported vs estimated EPS, upcoming report dates) for
+ * large cap stocks into the `earnings` collection, then write the earnings metrics.
+ * Metrics are recalculated for every symbol on each run so days-to-next-earnings
+ * stays current even when the stored calendar is still fresh.
+ *
+ * Should run AFTER findAndMarkLargeCapStocks and BEFORE the percentile jobs.
+ */
+export async function syncEarningsLargeCap({ progress, appendLog, universe: universeId } = {}) {
+  const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
+  const Earnings = getModel("earnings");
+  const Metrics = getModel("metrics");
+
+  const client = new EODHDCacheClient({
+    apiKey: process.env.API_EODHD_API_TOKEN,
+    cacheExpirationHours: jobConfig.cacheExpirationHours,
+  });
+
+  const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, jobConfig.maxAgeDays);
+  const universeExchanges = extractUniverseStocks(
+    exchangeSymbolsDocs,
+    universe,
+    jobConfig.maxAgeDays
+  );
+
+  if (universeExchanges.length === 0) {
+    log(`⚠️  No ${describeUniverse(universe)} stocks found in exchange_symbols collection`);
+    return { success: true, fetched: 0, fresh: 0, deferred: 0, metricsUpdated: 0, failed: 0 };
+  }
+
+  // Stale calendars today's credit quota cannot cover keep their stored data until a later
+  // run (smallest first); their metrics are still recalculated below
+  const { deferred } = await fitUniverseToCreditBudget("syncEarningsLargeCap", universeExchanges, {
+    findFresh: (keys) => findFreshSymbols(Earnings, keys, { maxAgeDays: jobConfig.maxAgeDays }),
+    log,
+  });
+  const deferredSymbols = new Set(deferred);
+
+  const totals = {
+    fetched: 0,
+    fresh: 0,
+    deferred: 0,
+    metricsUpdated: 0,
+    noEarnings: 0,
+    failed: 0,
+  };
+  const updatedSymbols = [];
+  const now = new Date();
+  const from = toDateString(new Date(now.getTime() - EARNINGS_HISTORY_DAYS * DAY_MS));
+  const to = toDateString(new Date(now.getTime() + EARNINGS_LOOKAHEAD_DAYS * DAY_MS));
+  let remaining = DEV_MODE_LIMIT || Infinity;
+  let processedStocks = 0;
+  const totalStocks = universeExchanges.reduce((sum, doc) => sum + doc.symbols.length, 0);
+
+  for (const { exchangeCode, symbols } of universeExchanges) {
+    if (remaining <= 0) {
+      log(`🔧 DEV MODE: Reached limit of ${DEV_MODE_LIMIT} companies, stopping`);
+      break;
+    }
+    const stocks = symbols.slice(0, remaining);
+    remaining -= stocks.length;
+
+    log(`🏢 ${exchangeCode}: ${stocks.length} large cap stocks`);
+
+    const processStock = async (stock) => {
+      const symbolKey = buildSymbolKey(stock, exchangeCode);
+
+      try {
+        let earningsDoc = await Earnings.findBySymbol(symbolKey);
+
+        if (earningsDoc && earningsDoc.isDataFresh(jobConfig.maxAgeDays)) {
+          totals.fresh++;
+        } else if (deferredSymbols.has(symbolKey)) {
+          totals.deferred++;
+          if (!earningsDoc) {
+            return;
+          }
+        } else {
+          const rows = await client.dividends.getEarningsCalendar(symbolKey, from, to);
+          const { history, upcoming } = normalizeEarningsCalendar(rows, now);
+
+          if (earningsDoc) {
+            await earningsDoc.updateEarnings({ history, upcoming });
+          } else {
+            earningsDoc = await Earnings.create({
+              symbol: symbolKey,
+              exchange: exchangeCode,
+              history,
+              upcoming,
+            });
+          }
+          totals.fetched++;
+        }
+
+        if (earningsDoc.history.length === 0 && earningsDoc.upcoming.length === 0) {
+          totals.noEarnings++;
+          return;
+        }
+
+        const metricsPayload = {
+          ...buildEarningsMetrics(earningsDoc, now),
+          _earningsLastCalculated: now,
+        };
+
+        const existingMetrics = await Metrics.findBySymbol(symbolKey);
+        if (existingMetrics) {
+          await existingMetrics.updateMetricsData(metricsPayload);
+        } else {
+          await new Metrics({
+            symbol: symbolKey,
+            exchange: exchangeCode,
+            currency: stock.Currency || "USD",
+            metrics: metricsPayload,
+            lastUpdated: now,
+            fetchedAt: now,
+          }).save();
+        }
+
+        totals.metricsUpdated++;
+        updatedSymbols.push(symbolKey);
+      } catch (error) {
+        totals.failed++;
+        log(`   ❌ Failed ${symbolKey}: ${error.message}`);
+      }
+    };
+
+    for (let i = 0; i < stocks.length; i += CHUNK_SIZE) {
+      await Promise.allSettled(stocks.slice(i, i + CHUNK_SIZE).map(processStock));
+      processedStocks += Math.min(CHUNK_SIZE, stocks.length - i);
+      if (progress) {
+        await progress(Math.min(processedStocks / totalStocks, 0.99));
+      }
+    }
+  }
+
+  if (progress) {
+    await progress(1);
+  }
+
+  log(`\n🎯 Earnings Summary:`);
+  log(
+    `   Calendar fetched: ${totals.fetched}, still fresh: ${totals.fresh}, deferred (credit budget): ${totals.deferred}`
+  );
+  log(`   Metrics updated: ${totals.metricsUpdated}, no earnings data: ${totals.noEarnings}`);
+  log(`   Failed: ${totals.failed}`);
+  client.logCacheSummary();
+
+  await recordMetricsSnapshots(updatedSymbols, { source: "earnings", log });
+
+  return { success: true, ...totals };
+}
+
+export default syncEarningsLargeCap;
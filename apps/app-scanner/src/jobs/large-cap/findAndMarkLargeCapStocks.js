@@ -6,8 +6,10 @@ import {
   CAP_DATA_FRESHNESS_DAYS,
   formatMarketCap,
 } from "@buydy/se-db/src/utils/largeCapFilter.js";
-import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/metricsUtils.js";
+import { getUniverseCapFloor } from "@buydy/iso-business-types";
+import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/currencyUtils.js";
 import { isPositiveNumber, clamp } from "@buydy/iso-js";
+import { createFxRateResolver, FX_BASE_CURRENCY } from "../../utils/fxUtils.js";
 
 // 🚀 DEV MODE: Set DEV_MODE_LIMIT env var to process only N exchanges (e.g., DEV_MODE_LIMIT=50)
 const DEV_MODE_LIMIT = process.env.DEV_MODE_LIMIT ? parseInt(process.env.DEV_MODE_LIMIT, 10) : null;
@@ -17,16 +19,18 @@ const MAX_CONCURRENT_EXCHANGES = 3; // Process 3 exchanges in parallel (increase
 const BULK_WRITE_BATCH_SIZE = 500; // Batch size for bulk operations
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
-const FX_BASE_CURRENCY = "USD";
 const FUNDAMENTALS_FRESHNESS_DAYS = 90; // Consider fundamentals fresh if less than 90 days old
 const MIN_MARKET_CAP = 1000000; // $1M minimum (sanity check)
 const MAX_MARKET_CAP = 10000000000000; // $10T maximum (sanity check)
+// Caps are recorded down to the smallest universe (mid/small cap), not only the $1B large cap cut
+const CAP_FLOOR = getUniverseCapFloor();
 
 /**
  * Find and Mark Large Cap Stocks Job
  *
  * This job analyzes fundamental data to find ALL stocks above $1B market cap
- * and marks them in the exchange_symbols collection.
+ * and marks them in the exchange_symbols collection. Caps are recorded down to the
+ * smallest universe floor (universes.json) so mid and small cap universes can select by them.
  *
  * Should run AFTER syncFundamentalsAll job.
  * Runs daily and on release.
@@ -45,7 +49,7 @@ export async function findAndMarkLargeCapStocks({ progress, appendLog } = {}) {
     const oneMonthAgo = new Date(Date.now() - CAP_DATA_FRESHNESS_DAYS * 24 * 60 * 60 * 1000);
 
     log(
-      `🔍 Finding ALL large cap stocks (>$${LARGE_CAP_THRESHOLD.toLocaleString()}) from fundamentals data...`
+      `🔍 Finding ALL stocks (>=$${CAP_FLOOR.toLocaleString()}) from fundamentals data (large cap >=$${LARGE_CAP_THRESHOLD.toLocaleString()})...`
     );
 
     // Get Mongoose models (database connection should be bootstrapped at app startup)
@@ -84,51 +88,8 @@ export async function findAndMarkLargeCapStocks({ progress, appendLog } = {}) {
       cacheExpirationHours: 24,
     });
 
-    // FX rate cache
-    const fxRateCache = new Map();
-    const resolveFxRate = async (currencyCode) => {
-      const normalizedCurrency = normalizeCurrencyCode(currencyCode);
-      if (!normalizedCurrency || normalizedCurrency === FX_BASE_CURRENCY) {
-        return { rate: 1, sourceCurrency: FX_BASE_CURRENCY, targetCurrency: FX_BASE_CURRENCY };
-      }
-
-      const cacheKey = `${normalizedCurrency}->${FX_BASE_CURRENCY}`;
-      if (fxRateCache.has(cacheKey)) {
-        return fxRateCache.get(cacheKey);
-      }
-
-      if (!eodhdClient?.eodhdClient?.forex) {
-        return { rate: 1, sourceCurrency: normalizedCurrency, targetCurrency: FX_BASE_CURRENCY };
-      }
-
-      try {
-        const conversion = await eodhdClient.eodhdClient.forex.convertCurrency(
-          1,
-          normalizedCurrency,
-          FX_BASE_CURRENCY
-        );
-        const exchangeRate = Number(conversion?.exchangeRate);
-        const convertedAmount = Number(conversion?.convertedAmount);
-        const rateCandidate =
-          Number.isFinite(exchangeRate) && exchangeRate > 0
-            ? exchangeRate
-            : Number.isFinite(convertedAmount) && convertedAmount > 0
-            ? convertedAmount
-            : 1;
-
-        const info = {
-          rate: rateCandidate,
-          sourceCurrency: normalizedCurrency,
-          targetCurrency: FX_BASE_CURRENCY,
-          timestamp: conversion?.timestamp || new Date().toISOString(),
-        };
-        fxRateCache.set(cacheKey, info);
-        return info;
-      } catch (error) {
-        log(`   ⚠️  Failed to resolve FX rate for ${normalizedCurrency}: ${error.message}`);
-        return { rate: 1, sourceCurrency: normalizedCurrency, targetCurrency: FX_BASE_CURRENCY };
-      }
-    };
+    // FX rate cache (currency -> USD)
+    const resolveFxRate = createFxRateResolver(eodhdClient, { log });
 
     // Retry wrapper for exchange processing
     const retryProcessExchange = async (exchange, retries = MAX_RETRIES) => {
@@ -192,7 +153,7 @@ export async function findAndMarkLargeCapStocks({ progress, appendLog } = {}) {
 
     // Print final summary
     log(`\n🎉 Final Summary:`);
-    log(`   Total large cap stocks found: ${results.total}`);
+    log(`   Total stocks marked: ${results.total}`);
     log(`   Updated: ${results.updated}`);
     log(`   Skipped (fresh data): ${results.skipped}`);
     log(`   Exchanges processed: ${Object.keys(results.exchanges).length}`);
@@ -319,8 +280,8 @@ async function processExchange(exchange, oneMonthAgo, log, ExchangeSymbols, reso
 
       const marketCapUSD = marketCapRaw * fundFxInfo.rate;
 
-      // Only include stocks with market cap >= threshold (in USD)
-      if (marketCapUSD >= LARGE_CAP_THRESHOLD) {
+      // Only include stocks with market cap >= universe floor (in USD)
+      if (marketCapUSD >= CAP_FLOOR) {
         fundamentalsMap.set(symbolCode, {
           marketCap: marketCapUSD, // Store USD-normalized value
           marketCapOriginal: marketCapRaw,
@@ -337,7 +298,7 @@ async function processExchange(exchange, oneMonthAgo, log, ExchangeSymbols, reso
       log(`   ⚠️  Skipped ${invalidMarketCaps} symbols with invalid market cap`);
     }
 
-    log(`   💰 Found ${fundamentalsMap.size} large cap stocks in fundamentals`);
+    log(`   💰 Found ${fundamentalsMap.size} stocks above the cap floor in fundamentals`);
 
     // OPTIMIZATION 4: Use bulk operations for updates with batching
     const bulkOps = [];
@@ -354,9 +315,9 @@ async function processExchange(exchange, oneMonthAgo, log, ExchangeSymbols, reso
       }
 
       // Check if cap data already exists and is fresh
-      const isLargeCap = symbol.cap && symbol.cap >= LARGE_CAP_THRESHOLD;
+      const hasCap = symbol.cap && symbol.cap >= CAP_FLOOR;
       const isFresh = symbol.capLastSync && symbol.capLastSync > oneMonthAgo;
-      if (isLargeCap && isFresh) {
+      if (hasCap && isFresh) {
         exchangeResults.skipped++;
         continue;
       }
@@ -414,14 +375,14 @@ async function processExchange(exchange, oneMonthAgo, log, ExchangeSymbols, reso
     log(`   📊 Search Summary:`);
     log(`      - Symbols checked: ${symbolsChecked}/${exchangeSymbols.symbols.length}`);
     log(`      - Symbols without fundamentals: ${symbolsWithoutFundamentals}`);
-    log(`      - Large cap stocks marked: ${exchangeResults.found}`);
+    log(`      - Stocks marked: ${exchangeResults.found}`);
 
-    // Log if we found any large cap stocks
+    // Log if we found any stocks above the cap floor
     if (exchangeResults.found > 0) {
       log(
-        `   ✅ Found ${exchangeResults.found} large cap stocks with market cap ≥ $${(
-          LARGE_CAP_THRESHOLD / 1000000000
-        ).toFixed(1)}B`
+        `   ✅ Found ${exchangeResults.found} stocks with market cap ≥ ${formatMarketCap(
+          CAP_FLOOR
+        )}`
       );
     } else if (exchangeSymbols.fundamentals?.length === 0) {
       log(`   ⚠️  No fundamental data available for ${exchange.code}`);
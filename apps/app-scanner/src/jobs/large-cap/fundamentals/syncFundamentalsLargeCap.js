@@ -4,6 +4,7 @@ import { getMaxConcurrentRequests } from "../../../config/concurrency.js";
 import { getJobConfig, getMaxAgeCutoff } from "@buydy/iso-business-types";
 import logger from "@buydy/se-logger";
 import { withEODHDErrorHandling } from "../../../utils/eodhdErrorHandler.js";
+import { fitUniverseToCreditBudget, findFreshSymbols } from "../../../utils/creditBudget.js";
 
 const jobConfig = getJobConfig("fundamentals");
 const maxAgeDays = jobConfig.maxAgeDays;
@@ -64,7 +65,7 @@ async function _syncFundamentalsLargeCap({ progress, appendLog } = {}) {
     }).select("exchangeCode symbols");
 
     let totalStocks = 0;
-    const exchangesToProcess = [];
+    const candidateExchanges = [];
 
     // For each exchange, get top symbols to check for fundamentals (limited to prevent DB explosion)
     for (const doc of allExchangeSymbolsDocs) {
@@ -79,13 +80,26 @@ async function _syncFundamentalsLargeCap({ progress, appendLog } = {}) {
         })
         .slice(0, TARGET_STOCKS_PER_EXCHANGE);
 
-      exchangesToProcess.push({
+      candidateExchanges.push({
         exchangeCode: doc.exchangeCode,
         symbols: topSymbols,
       });
       totalStocks += topSymbols.length;
     }
 
+    // Stale symbols today's credit quota cannot cover wait for a later run, keeping the top
+    // symbols of every exchange
+    const { exchanges: exchangesToProcess, deferred } = await fitUniverseToCreditBudget(
+      "syncFundamentalsLargeCap",
+      candidateExchanges,
+      {
+        findFresh: (keys) =>
+          findFreshSymbols(Fundamentals, keys, { maxAgeDays, field: "fetchedAt" }),
+        log,
+      }
+    );
+    totalStocks -= deferred.length;
+
     const MAX_CONCURRENT_REQUESTS = getMaxConcurrentRequests();
     log(
       `📊 Found ${exchangesToProcess.length} exchanges with ${totalStocks} total stocks to check`
@@ -193,6 +207,7 @@ async function _syncFundamentalsLargeCap({ progress, appendLog } = {}) {
     log(`   Total stocks processed: ${processedStocks}`);
     log(`   Successfully fetched: ${successCount}`);
     log(`   Skipped (fresh data): ${skippedCount}`);
+    log(`   Deferred (credit budget): ${deferred.length}`);
     log(`   Failed: ${failedCount}`);
     log(`   Exchanges processed: ${exchangesToProcess.length}`);
 
@@ -201,6 +216,7 @@ async function _syncFundamentalsLargeCap({ progress, appendLog } = {}) {
       totalStocks: processedStocks,
       successCount,
       skippedCount,
+      deferredCount: deferred.length,
       failedCount,
       exchanges: exchangesToProcess.length,
     };
@@ -0,0 +1,189 @@
+/**
+ * Sync FX Rates Job
+ *
+ * Keeps the `fx_rates` collection current with one daily USD close per currency from the EODHD
+ * forex /eod endpoint (ForexAPI.getHistoricalData). Currencies are collected from exchanges,
+ * fundamentals, dividends and portfolios. New currencies are seeded with FX_HISTORY_SEED_DAYS
+ * of history; afterwards each run only requests the days since the latest stored close.
+ * Currencies beyond today's credit quota wait for a later run, new ones after those already
+ * in use.
+ *
+ * Runs after syncFundamentalsLargeCap (so new reporting currencies are picked up) and before the
+ * jobs that convert amounts, so they read today's stored rates.
+ */
+
+import { getModel } from "@buydy/se-db";
+import { FX_PIVOT_CURRENCY } from "@buydy/se-db/src/utils/fxService.js";
+import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
+import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/currencyUtils.js";
+import logger from "@buydy/se-logger";
+import { planJobCreditBudget } from "../../../utils/creditBudget.js";
+
+// History downloaded once per currency; matches the stored price history
+export const FX_HISTORY_SEED_DAYS = 730;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Days to request for one currency
+ * @param {string|null} latestDate - Latest stored close ('YYYY-MM-DD') or null when never synced
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {Object|null} { from, to } or null when the currency is current
+ */
+export function planFxRatesRange(latestDate, today) {
+  if (!latestDate) {
+    return {
+      from: toDateString(new Date(Date.parse(today) - FX_HISTORY_SEED_DAYS * DAY_MS)),
+      to: today,
+    };
+  }
+  if (latestDate >= today) {
+    return null;
+  }
+  return { from: toDateString(new Date(Date.parse(latestDate) + DAY_MS)), to: today };
+}
+
+/**
+ * Every currency the other collections quote amounts in (except the USD pivot)
+ */
+async function collectCurrencies() {
+  const [exchangeCurrencies, reportingCurrencies, dividendCurrencies, lotCurrencies, cash, bases] =
+    await Promise.all([
+      getModel("exchanges").distinct("Currency"),
+      getModel("fundamentals").distinct("fundamentals.General.CurrencyCode"),
+      getModel("dividends").distinct("currency"),
+      getModel("portfolios").distinct("holdings.lots.currency"),
+      getModel("portfolios").distinct("cash.currency"),
+      getModel("portfolios").distinct("baseCurrency"),
+    ]);
+
+  const currencies = new Set(
+    [
+      ...exchangeCurrencies,
+      ...reportingCurrencies,
+      ...dividendCurrencies,
+      ...lotCurrencies,
+      ...cash,
+      ...bases,
+    ].map(normalizeCurrencyCode)
+  );
+  currencies.delete(null);
+  currencies.delete(FX_PIVOT_CURRENCY);
+
+  return [...currencies].sort();
+}
+
+/**
+ * Sync daily FX closes for every currency in use
+ * @param {Object} ctx - Job context with progress and appendLog
+ * @returns {Object} Job results summary
+ */
+export async function syncFxRates({ progress, appendLog } = {}) {
+  const log = appendLog || ((msg) => logger.business(`[SyncFxRates] ${msg}`));
+  const FxRates = getModel("fx_rates");
+
+  const client = new EODHDCacheClient({
+    apiKey: process.env.API_EODHD_API_TOKEN,
+    cacheExpirationHours: 24,
+  });
+  const forex = client.eodhdClient.forex;
+
+  const currencies = await collectCurrencies();
+  const today = toDateString(new Date());
+  log(`💱 Syncing FX rates for ${currencies.length} currencies against ${FX_PIVOT_CURRENCY}`);
+
+  const totals = {
+    currencies: currencies.length,
+    seeded: 0,
+    updated: 0,
+    current: 0,
+    deferred: 0,
+    failed: 0,
+  };
+  const missing = [];
+
+  const pending = [];
+  for (const currency of currencies) {
+    try {
+      const latest = await FxRates.findRate(currency);
+      pending.push({ currency, latest, range: planFxRatesRange(latest?.date || null, today) });
+    } catch (error) {
+      totals.failed++;
+      log(`   ❌ ${currency}: ${error.message}`, "error");
+    }
+  }
+
+  // Each stale currency costs one forex /eod call; updates go before new currencies
+  const stale = pending
+    .filter(({ range }) => range)
+    .sort((a, b) => Number(!a.latest) - Number(!b.latest));
+  const plan = await planJobCreditBudget("syncFxRates", stale.length, { unit: "currencies", log });
+  const deferred = new Set(
+    plan?.degraded ? stale.slice(plan.allowedSymbols).map(({ currency }) => currency) : []
+  );
+  if (deferred.size > 0) {
+    log(`💳 Over budget: deferring ${[...deferred].join(", ")} to a later run`);
+  }
+
+  for (let i = 0; i < pending.length; i++) {
+    const { currency, latest, range } = pending[i];
+
+    try {
+      if (!range) {
+        totals.current++;
+      } else if (deferred.has(currency)) {
+        totals.deferred++;
+      } else {
+        // Keep the pair direction that worked before; new currencies try XXXUSD, then USDXXX
+        const directions = latest ? [latest.source] : ["direct", "inverse"];
+        let stored = 0;
+
+        for (const direction of directions) {
+          const [from, to] =
+            direction === "inverse" ? [FX_PIVOT_CURRENCY, currency] : [currency, FX_PIVOT_CURRENCY];
+          const bars = await forex
+            .getHistoricalData(from, to, range.from, range.to)
+            .catch((error) => {
+              // Unknown pair: try the other direction (limit and network errors still fail the job)
+              if (error.response?.status === 404) return [];
+              throw error;
+            });
+          if (Array.isArray(bars) && bars.length > 0) {
+            stored = await FxRates.upsertRates(currency, bars, direction);
+            break;
+          }
+        }
+
+        if (latest) {
+          totals.updated++;
+        } else if (stored > 0) {
+          totals.seeded++;
+          log(`   💱 ${currency}: seeded ${stored} daily rates from ${range.from}`);
+        } else {
+          missing.push(currency);
+        }
+      }
+    } catch (error) {
+      totals.failed++;
+      log(`   ❌ ${currency}: ${error.message}`, "error");
+    }
+
+    if (progress) {
+      await progress((i + 1) / pending.length);
+    }
+  }
+
+  if (missing.length > 0) {
+    log(`   ⚠️  No forex history for ${missing.join(", ")} (conversions fall back to live rates)`);
+  }
+  log(
+    `✅ FX rates synced: ${totals.seeded} seeded, ${totals.updated} updated, ${totals.current} current, ${totals.deferred} deferred, ${totals.failed} failed`
+  );
+
+  return { success: true, ...totals, missing, runAt: new Date() };
+}
+
+// Default export for run-job.js compatibility
+export default syncFxRates;
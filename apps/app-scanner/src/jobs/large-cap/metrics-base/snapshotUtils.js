@@ -0,0 +1,36 @@
+/**
+ * Metrics Snapshot Utilities
+ *
+ * Shared helper used by the metrics, valuation, price performance, earnings and percentile jobs
+ * to copy the freshly written `metrics` documents into the dated `metrics_snapshots`
+ * collection, so historical values survive the next run.
+ */
+
+import { getModel } from "@buydy/se-db";
+
+/**
+ * Record today's snapshot for the given symbols
+ * Snapshot failures are logged but never fail the calling job.
+ * @param {string[]} symbols - Symbols whose metrics documents were updated
+ * @param {Object} options
+ * @param {string} options.source - Job identifier stored on the snapshot (e.g. "metrics")
+ * @param {Function} options.log - Logging function
+ * @returns {Object} Results with { upserted: number, modified: number, failed: boolean }
+ */
+export async function recordMetricsSnapshots(symbols, { source, log = () => {} } = {}) {
+  if (!Array.isArray(symbols) || symbols.length === 0) {
+    return { upserted: 0, modified: 0, failed: false };
+  }
+
+  try {
+    const MetricsSnapshots = getModel("metrics_snapshots");
+    const { upserted, modified } = await MetricsSnapshots.captureFromMetrics(symbols, {
+      source,
+    });
+    log(`📸 Metrics snapshots (${source}): ${upserted} created, ${modified} refreshed`);
+    return { upserted, modified, failed: false };
+  } catch (error) {
+    log(`⚠️  Failed to record metrics snapshots (${source}): ${error.message}`);
+    return { upserted: 0, modified: 0, failed: true };
+  }
+}
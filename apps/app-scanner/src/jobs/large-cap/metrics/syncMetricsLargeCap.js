@@ -7,17 +7,18 @@ import {
 import logger from "@buydy/se-logger";
 import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
 import {
-  LARGE_CAP_THRESHOLD,
-  getLargeCapStocksFromDatabase,
-  countLargeCapStocks,
-  extractLargeCapStocks,
-} from "@buydy/se-db/src/utils/largeCapFilter.js";
+  getUniverseStocksFromDatabase,
+  countUniverseStocks,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
 import {
   getDevModeLimit,
   parseDevModeCompany,
   buildSymbolKey,
   prioritizeStocksAcrossExchanges,
 } from "../../../utils/devModeFilter.js";
+import { recordMetricsSnapshots } from "../metrics-base/snapshotUtils.js";
 import {
   DividendGrowth3Y,
   DividendGrowth5Y,
@@ -46,6 +47,7 @@ import {
   NetDebtChange1Y,
   NetDebtChange2Y,
 } from "../../../calculators/debtAndProfitability.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
 const jobConfig = getJobConfig("metrics");
 const maxAgeDays = jobConfig.maxAgeDays;
 
@@ -98,9 +100,10 @@ const METRIC_CALCULATORS = {
  *
  * This is the OPTIMAL approach - single job, single iteration, enum-based naming.
  */
-export async function syncMetricsLargeCap({ progress, appendLog } = {}) {
+export async function syncMetricsLargeCap({ progress, appendLog, universe: universeId } = {}) {
   // Default appendLog to logger.business for visibility (logs both to logger and job record)
   const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
 
   // Get metrics configuration from shared utilities - single source of truth
   const metricsConfig = getMetricsConfigForJobs();
@@ -142,20 +145,16 @@ export async function syncMetricsLargeCap({ progress, appendLog } = {}) {
 
   const results = [];
 
-  log(
-    `🔄 Starting enhanced metrics calculation for large cap stocks (>=$${LARGE_CAP_THRESHOLD.toLocaleString()})`
-  );
+  log(`🔄 Starting enhanced metrics calculation for ${describeUniverse(universe)} stocks`);
 
   try {
-    log(
-      `🔍 Finding large cap stocks (>=$${LARGE_CAP_THRESHOLD.toLocaleString()}) from exchange_symbols...`
-    );
+    log(`🔍 Finding ${describeUniverse(universe)} stocks from exchange_symbols...`);
 
     // Use the centralized large cap function
-    const exchangeSymbolsDocs = await getLargeCapStocksFromDatabase(maxAgeDays);
+    const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, maxAgeDays);
 
     if (exchangeSymbolsDocs.length === 0) {
-      log("⚠️  No large cap stocks found in exchange_symbols collection");
+      log(`⚠️  No ${describeUniverse(universe)} stocks found in exchange_symbols collection`);
       return {
         success: true,
         message: "No large cap stocks to process",
@@ -167,7 +166,7 @@ export async function syncMetricsLargeCap({ progress, appendLog } = {}) {
     }
 
     // Count total large cap stocks using centralized function
-    const totalLargeCapStocks = countLargeCapStocks(exchangeSymbolsDocs, maxAgeDays);
+    const totalLargeCapStocks = countUniverseStocks(exchangeSymbolsDocs, universe, maxAgeDays);
 
     log(
       `📊 Found ${exchangeSymbolsDocs.length} exchanges with ${totalLargeCapStocks} total large cap stocks`
@@ -182,10 +181,10 @@ export async function syncMetricsLargeCap({ progress, appendLog } = {}) {
     }
 
     // Process each exchange using centralized extraction
-    const largeCapExchanges = extractLargeCapStocks(exchangeSymbolsDocs, maxAgeDays);
+    const universeExchanges = extractUniverseStocks(exchangeSymbolsDocs, universe, maxAgeDays);
 
     // 🚀 DEV MODE: Reorganize stocks if DEV_MODE_COMPANY is specified
-    const prioritizedStocks = prioritizeStocksAcrossExchanges(largeCapExchanges, log);
+    const prioritizedStocks = prioritizeStocksAcrossExchanges(universeExchanges, log);
 
     if (prioritizedStocks) {
       // Process prioritized stocks (grouped by exchange)
@@ -479,7 +478,7 @@ export async function syncMetricsLargeCap({ progress, appendLog } = {}) {
       }
     } else {
       // Normal processing (no DEV_MODE_COMPANY)
-      for (const exchangeDoc of largeCapExchanges) {
+      for (const exchangeDoc of universeExchanges) {
         let largeCapStocks = exchangeDoc.symbols;
 
         // 🚀 DEV MODE: Limit the number of stocks to process
@@ -864,6 +863,11 @@ export async function syncMetricsLargeCap({ progress, appendLog } = {}) {
     log(`   Failed: ${failedCount}`);
     log(`   Exchanges processed: ${exchangeSymbolsDocs.length}`);
 
+    await recordMetricsSnapshots(
+      results.filter((r) => r.status === "updated").map((r) => r.symbol),
+      { source: "metrics", log }
+    );
+
     // Print metrics statistics
     const totalMetricsCalculated = results
       .filter((r) => r.status === "updated")
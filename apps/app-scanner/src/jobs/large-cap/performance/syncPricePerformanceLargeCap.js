@@ -3,11 +3,11 @@ import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
 import { getJobConfig, getMetricsConfigForJobs } from "@buydy/iso-business-types";
 import logger from "@buydy/se-logger";
 import {
-  LARGE_CAP_THRESHOLD,
-  getLargeCapStocksFromDatabase,
-  countLargeCapStocks,
-  extractLargeCapStocks,
-} from "@buydy/se-db/src/utils/largeCapFilter.js";
+  getUniverseStocksFromDatabase,
+  countUniverseStocks,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
 import {
   getDevModeLimit,
   parseDevModeCompany,
@@ -23,7 +23,10 @@ import {
   fetchHistoricalPriceData,
 } from "../../../calculators/priceChange.js";
 import { calculateAllPriceChanges } from "../../../utils/priceChangeUtils.js";
-import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/metricsUtils.js";
+import { recordMetricsSnapshots } from "../metrics-base/snapshotUtils.js";
+import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/currencyUtils.js";
+import { createFxRateResolver } from "../../../utils/fxUtils.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
 
 const DEV_MODE_LIMIT = getDevModeLimit();
 const DEV_MODE_COMPANIES = parseDevModeCompany();
@@ -49,15 +52,19 @@ const PRICE_DATA_FRESHNESS_HOURS = 24;
 const CHUNK_SIZE = 16; // Increased for better efficiency
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
-const FX_BASE_CURRENCY = "USD";
 
 /**
  * Sync price performance metrics (price change percentages) for large cap stocks.
  * Runs independently from the main metrics job so that price changes can refresh daily
  * without reprocessing all fundamentals-based metrics.
  */
-export async function syncPricePerformanceLargeCap({ progress, appendLog } = {}) {
+export async function syncPricePerformanceLargeCap({
+  progress,
+  appendLog,
+  universe: universeId,
+} = {}) {
   const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
 
   const metricsConfig = getMetricsConfigForJobs();
   const performanceMetrics = metricsConfig.metrics.filter((metric) =>
@@ -83,21 +90,16 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
   }
 
   const Metrics = getModel("metrics");
+  const Splits = getModel("splits");
 
   const eodhdClient = new EODHDCacheClient({
     apiKey: process.env.API_EODHD_API_TOKEN,
     cacheExpirationHours: jobConfig.cacheExpirationHours || 12,
   });
 
-  const resolveFxRate = async (currencyCode) => {
-    const normalizedCurrency = normalizeCurrencyCode(currencyCode);
-    if (!normalizedCurrency || normalizedCurrency === FX_BASE_CURRENCY) {
-      return { rate: 1, sourceCurrency: FX_BASE_CURRENCY, targetCurrency: FX_BASE_CURRENCY };
-    }
-    // For now, price changes are percentages so don't need conversion
-    // But we can add FX conversion if needed for cross-currency comparisons
-    return { rate: 1, sourceCurrency: normalizedCurrency, targetCurrency: FX_BASE_CURRENCY };
-  };
+  // Price changes are percentages and need no conversion; the stored USD rate is recorded
+  // alongside them for reference
+  const resolveFxRate = createFxRateResolver(null);
 
   // Retry wrapper for API calls
   const retryApiCall = async (apiCall, symbolKey, retries = MAX_RETRIES) => {
@@ -119,18 +121,16 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
     }
   };
 
-  log(
-    `🔄 Starting price performance sync for large cap stocks (>=$${LARGE_CAP_THRESHOLD.toLocaleString()})`
-  );
+  log(`🔄 Starting price performance sync for ${describeUniverse(universe)} stocks`);
 
   const priceFreshnessCutoff = new Date(Date.now() - PRICE_DATA_FRESHNESS_HOURS * 60 * 60 * 1000);
   const results = [];
 
   try {
-    const exchangeSymbolsDocs = await getLargeCapStocksFromDatabase(jobConfig.maxAgeDays);
+    const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, jobConfig.maxAgeDays);
 
     if (exchangeSymbolsDocs.length === 0) {
-      log("⚠️  No large cap stocks found in exchange_symbols collection");
+      log(`⚠️  No ${describeUniverse(universe)} stocks found in exchange_symbols collection`);
       return {
         success: true,
         message: "No large cap stocks to process",
@@ -141,7 +141,11 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
       };
     }
 
-    const totalLargeCapStocks = countLargeCapStocks(exchangeSymbolsDocs, jobConfig.maxAgeDays);
+    const totalLargeCapStocks = countUniverseStocks(
+      exchangeSymbolsDocs,
+      universe,
+      jobConfig.maxAgeDays
+    );
     log(
       `📊 Found ${exchangeSymbolsDocs.length} exchanges with ${totalLargeCapStocks} total large cap stocks`
     );
@@ -154,8 +158,12 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
       await progress(0.01);
     }
 
-    const largeCapExchanges = extractLargeCapStocks(exchangeSymbolsDocs, jobConfig.maxAgeDays);
-    const prioritizedStocks = prioritizeStocksAcrossExchanges(largeCapExchanges, log);
+    const universeExchanges = extractUniverseStocks(
+      exchangeSymbolsDocs,
+      universe,
+      jobConfig.maxAgeDays
+    );
+    const prioritizedStocks = prioritizeStocksAcrossExchanges(universeExchanges, log);
 
     const processSymbol = async (symbol, exchangeCode) => {
       const symbolKey = buildSymbolKey(symbol, exchangeCode);
@@ -171,7 +179,7 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
           return;
         }
 
-        // Fetch historical data once (1 year) and calculate all periods
+        // Read 1 year of history once (local prices collection, API only for unseeded symbols)
         const historicalData = await retryApiCall(
           () => fetchHistoricalPriceData(symbolKey, eodhdClient, 365),
           symbolKey
@@ -184,8 +192,10 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
         }
 
         // Calculate all price changes from single dataset
+        const splits = await Splits.getSplitsForSymbol(symbolKey);
         const priceChangesResult = calculateAllPriceChanges(historicalData, {
           useAdjustedPrices: true,
+          splits,
         });
 
         // Extract price change values
@@ -277,7 +287,7 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
         }
       }
     } else {
-      for (const exchangeDoc of largeCapExchanges) {
+      for (const exchangeDoc of universeExchanges) {
         let stocks = exchangeDoc.symbols;
 
         if (DEV_MODE_LIMIT && processedStocks >= DEV_MODE_LIMIT) {
@@ -312,6 +322,11 @@ export async function syncPricePerformanceLargeCap({ progress, appendLog } = {})
     log(`   Skipped (fresh/no data): ${skippedCount}`);
     log(`   Failed: ${results.filter((r) => r.status === "failed").length}`);
 
+    await recordMetricsSnapshots(
+      results.filter((r) => r.status === "updated").map((r) => r.symbol),
+      { source: "price-performance", log }
+    );
+
     return {
       success: true,
       totalStocks: totalLargeCapStocks,
@@ -0,0 +1,297 @@
+/**
+ * Value Portfolios Job
+ *
+ * Runs at the end of each cycle. Values every portfolio in the `portfolios` collection from the
+ * latest stored close of each holding (lots restated for splits), converts market values, cost
+ * basis and cash to the portfolio's base currency, and forecasts the next 12 months of dividend
+ * income from the `dividends` collection. Holdings whose dividends do not follow a regular
+ * schedule fall back to DividendYieldCurrent and are reported as unscheduled income.
+ *
+ * Dependencies: syncPricesLargeCap, syncDividendsLargeCap, syncMetricsLargeCap
+ */
+
+import { getModel } from "@buydy/se-db";
+import logger from "@buydy/se-logger";
+import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
+import { createFxRateResolver } from "../../../utils/fxUtils.js";
+import { normalizeSplits } from "../../../utils/splitUtils.js";
+import {
+  INCOME_FORECAST_MONTHS,
+  adjustLotsForSplits,
+  forecastDividendPayments,
+  buildIncomeCalendar,
+  valuePosition,
+} from "../../../calculators/portfolioValuation.js";
+
+/**
+ * Latest close, dividends, yield and splits of every held symbol
+ * @returns {Promise<Object>} Maps keyed by symbol
+ */
+async function loadMarketData(symbols) {
+  const Prices = getModel("prices");
+  const Exchange = getModel("exchanges");
+  const Dividends = getModel("dividends");
+  const Metrics = getModel("metrics");
+  const Splits = getModel("splits");
+
+  const [latestPrices, dividendDocs, metricsDocs, splitDocs] = await Promise.all([
+    Prices.aggregate([
+      { $match: { symbol: { $in: symbols } } },
+      { $sort: { symbol: 1, date: -1 } },
+      {
+        $group: {
+          _id: "$symbol",
+          date: { $first: "$date" },
+          close: { $first: "$close" },
+          exchange: { $first: "$exchange" },
+        },
+      },
+    ]),
+    Dividends.find({ symbol: { $in: symbols } })
+      .select({ symbol: 1, currency: 1, history: 1, upcoming: 1 })
+      .lean(),
+    Metrics.find({ symbol: { $in: symbols } })
+      .select({ symbol: 1, "metrics.DividendYieldCurrent": 1 })
+      .lean(),
+    Splits.find({ symbol: { $in: symbols } })
+      .select({ symbol: 1, splits: 1 })
+      .lean(),
+  ]);
+
+  // Prices are quoted in the listing exchange's currency
+  const exchangeCodes = [...new Set(latestPrices.map((price) => price.exchange))];
+  const exchanges = await Exchange.find({ code: { $in: exchangeCodes } })
+    .select("code Currency")
+    .lean();
+  const exchangeCurrencies = new Map(
+    exchanges.map((exchange) => [exchange.code, exchange.Currency])
+  );
+
+  return {
+    prices: new Map(
+      latestPrices.map((price) => [
+        price._id,
+        {
+          date: price.date,
+          close: price.close,
+          currency: exchangeCurrencies.get(price.exchange) || null,
+        },
+      ])
+    ),
+    dividends: new Map(dividendDocs.map((doc) => [doc.symbol, doc])),
+    yields: new Map(
+      metricsDocs.map((doc) => [doc.symbol, doc.metrics?.DividendYieldCurrent ?? null])
+    ),
+    splits: new Map(splitDocs.map((doc) => [doc.symbol, normalizeSplits(doc.splits)])),
+  };
+}
+
+/**
+ * Value one portfolio
+ * @param {Object} portfolio - Portfolio document (lean)
+ * @param {Object} marketData - See loadMarketData
+ * @param {Function} resolveFxRate - Resolver into the portfolio's base currency
+ * @param {Date} asOf - Valuation time
+ * @returns {Promise<Object>} Valuation stored on the portfolio
+ */
+async function valuePortfolio(portfolio, marketData, resolveFxRate, asOf) {
+  // Resolve every currency up front so positions convert synchronously
+  const currencies = new Set([
+    ...portfolio.holdings.flatMap((holding) => holding.lots.map((lot) => lot.currency)),
+    ...portfolio.holdings.map((holding) => marketData.prices.get(holding.symbol)?.currency),
+    ...portfolio.holdings.map((holding) => marketData.dividends.get(holding.symbol)?.currency),
+    ...portfolio.cash.map((balance) => balance.currency),
+  ]);
+  const fxRates = {};
+  const fxFallbacks = [];
+  for (const currency of currencies) {
+    if (!currency) continue;
+    const fxInfo = await resolveFxRate(currency);
+    fxRates[currency] = fxInfo.rate;
+    if (fxInfo.fallback) {
+      fxFallbacks.push(currency);
+    }
+  }
+  const toBase = (amount, currency) => amount * (fxRates[currency] ?? 1);
+
+  const positions = [];
+  const incomePayments = [];
+  const missingPrices = [];
+  let unscheduledIncome = 0;
+
+  for (const holding of portfolio.holdings) {
+    const { symbol } = holding;
+    const lots = adjustLotsForSplits(holding.lots, marketData.splits.get(symbol) || []);
+    const price = marketData.prices.get(symbol) || null;
+    // Without a listing currency the price is assumed to be quoted like the first lot
+    const priceCurrency = price?.currency || lots[0]?.currency || portfolio.baseCurrency;
+
+    const position = {
+      symbol,
+      ...valuePosition({ lots, price: price?.close, priceCurrency, toBase }),
+      price: price?.close ?? null,
+      priceDate: price?.date ?? null,
+      priceCurrency,
+      dividendYield: marketData.yields.get(symbol) ?? null,
+      forwardIncome: 0,
+      incomeSource: null,
+    };
+    if (!price) {
+      missingPrices.push(symbol);
+    }
+
+    const dividends = marketData.dividends.get(symbol);
+    const payments = dividends
+      ? forecastDividendPayments(dividends, { asOf, months: INCOME_FORECAST_MONTHS })
+      : [];
+
+    if (payments.length > 0) {
+      for (const payment of payments) {
+        const amount = toBase(payment.perShare * position.quantity, payment.currency);
+        incomePayments.push({
+          symbol,
+          payDate: payment.payDate,
+          exDate: payment.exDate,
+          perShare: payment.perShare,
+          currency: payment.currency,
+          amount,
+          estimated: payment.estimated,
+        });
+        position.forwardIncome += amount;
+      }
+      position.incomeSource = "schedule";
+    } else if (position.dividendYield > 0 && position.marketValue !== null) {
+      position.forwardIncome = position.marketValue * position.dividendYield;
+      position.incomeSource = "yield";
+      unscheduledIncome += position.forwardIncome;
+    }
+
+    positions.push(position);
+  }
+
+  const sum = (key) => positions.reduce((total, position) => total + (position[key] ?? 0), 0);
+  const pricedPositions = positions.filter((position) => position.marketValue !== null);
+  const marketValue = sum("marketValue");
+  const pricedCostBasis = pricedPositions.reduce(
+    (total, position) => total + position.costBasis,
+    0
+  );
+  const cash = portfolio.cash.reduce(
+    (total, balance) => total + toBase(balance.amount, balance.currency),
+    0
+  );
+  const totalValue = marketValue + cash;
+  const unrealizedPnL = sum("unrealizedPnL");
+  const forwardIncome = sum("forwardIncome");
+
+  positions.forEach((position) => {
+    position.weight =
+      position.marketValue !== null && totalValue > 0 ? position.marketValue / totalValue : null;
+  });
+
+  return {
+    baseCurrency: portfolio.baseCurrency,
+    totals: {
+      marketValue,
+      costBasis: sum("costBasis"),
+      cash,
+      totalValue,
+      unrealizedPnL,
+      // Positions without a price are left out of the P/L and its base
+      unrealizedPnLPct: pricedCostBasis > 0 ? unrealizedPnL / pricedCostBasis : null,
+      forwardIncome,
+      scheduledIncome: forwardIncome - unscheduledIncome,
+      unscheduledIncome,
+      forwardYield: marketValue > 0 ? forwardIncome / marketValue : null,
+    },
+    positions,
+    incomeCalendar: buildIncomeCalendar(incomePayments, {
+      asOf,
+      months: INCOME_FORECAST_MONTHS,
+    }),
+    fxRates,
+    fxFallbacks,
+    missingPrices,
+  };
+}
+
+/**
+ * Value all portfolios
+ * @param {Object} ctx - Job context with progress and appendLog
+ * @returns {Object} Job results summary
+ */
+export async function valuePortfolios({ progress, appendLog } = {}) {
+  const log = appendLog || ((msg) => logger.business(`[ValuePortfolios] ${msg}`));
+
+  const Portfolios = getModel("portfolios");
+  const portfolios = await Portfolios.find({}).lean();
+  log(`💼 Valuing ${portfolios.length} portfolios`);
+
+  const symbols = [
+    ...new Set(
+      portfolios.flatMap((portfolio) => portfolio.holdings.map((holding) => holding.symbol))
+    ),
+  ];
+  const marketData = await loadMarketData(symbols);
+
+  const eodhdClient = new EODHDCacheClient({
+    apiKey: process.env.API_EODHD_API_TOKEN,
+    cacheExpirationHours: 24,
+  });
+  const resolvers = new Map();
+  const getResolver = (baseCurrency) => {
+    if (!resolvers.has(baseCurrency)) {
+      resolvers.set(baseCurrency, createFxRateResolver(eodhdClient, { baseCurrency, log }));
+    }
+    return resolvers.get(baseCurrency);
+  };
+
+  let failed = 0;
+
+  for (let i = 0; i < portfolios.length; i++) {
+    const portfolio = portfolios[i];
+
+    try {
+      const valuedAt = new Date();
+      const valuation = await valuePortfolio(
+        portfolio,
+        marketData,
+        getResolver(portfolio.baseCurrency),
+        valuedAt
+      );
+
+      await Portfolios.updateOne({ _id: portfolio._id }, { $set: { valuation, valuedAt } });
+
+      const { totals } = valuation;
+      log(
+        `   💼 "${portfolio.name}": ${totals.totalValue.toFixed(2)} ${
+          portfolio.baseCurrency
+        }, P/L ${totals.unrealizedPnL.toFixed(2)}, 12M income ${totals.forwardIncome.toFixed(2)}${
+          valuation.missingPrices.length > 0
+            ? ` (no price for ${valuation.missingPrices.join(", ")})`
+            : ""
+        }`
+      );
+    } catch (error) {
+      failed++;
+      log(`   ❌ Failed to value portfolio "${portfolio.name}": ${error.message}`, "error");
+    }
+
+    if (progress) {
+      await progress((i + 1) / portfolios.length);
+    }
+  }
+
+  log(`✅ Portfolios valued: ${portfolios.length - failed}/${portfolios.length}`);
+
+  return {
+    success: true,
+    portfoliosValued: portfolios.length - failed,
+    failed,
+    symbols: symbols.length,
+    runAt: new Date(),
+  };
+}
+
+// Default export for run-job.js compatibility
+export default valuePortfolios;
@@ -0,0 +1,222 @@
+import { getModel } from "@buydy/se-db";
+import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
+import { getJobConfig, getEndpointCost } from "@buydy/iso-business-types";
+import logger from "@buydy/se-logger";
+import {
+  getUniverseStocksFromDatabase,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
+import { getDevModeLimit, buildSymbolKey } from "../../../utils/devModeFilter.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
+import { fitUniverseToCreditBudget } from "../../../utils/creditBudget.js";
+
+const DEV_MODE_LIMIT = getDevModeLimit();
+
+const jobConfig = getJobConfig("prices");
+
+// History downloaded once per symbol; long enough for 1Y price changes and 200-day indicators
+export const PRICE_HISTORY_SEED_DAYS = 730;
+
+// Calendar days between stored and bulk bars that still count as consecutive
+// (weekends plus a holiday); larger gaps are backfilled from /eod
+export const MAX_BULK_GAP_DAYS = 4;
+
+const CHUNK_SIZE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Decide how to bring one symbol's stored history up to date
+ * @param {string|null} latestDate - Latest stored bar ('YYYY-MM-DD') or null when never seeded
+ * @param {Object|undefined} bulkBar - Symbol's bar from /eod-bulk-last-day
+ * @returns {string} 'seed' | 'bulk' | 'backfill' | 'current' | 'no_bulk_bar'
+ */
+export function planPriceUpdate(latestDate, bulkBar) {
+  if (!latestDate) {
+    return "seed";
+  }
+  if (!bulkBar?.date) {
+    return "no_bulk_bar";
+  }
+  if (latestDate >= bulkBar.date) {
+    return "current";
+  }
+  return daysBetween(latestDate, bulkBar.date) > MAX_BULK_GAP_DAYS ? "backfill" : "bulk";
+}
+
+/**
+ * Whether the bulk bar alone will bring a symbol's history up to date (no /eod call)
+ * @param {string|undefined} latestDate - Latest stored bar ('YYYY-MM-DD')
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+export function isPriceHistoryFresh(latestDate, today) {
+  return Boolean(latestDate) && daysBetween(latestDate, today) <= MAX_BULK_GAP_DAYS;
+}
+
+/**
+ * Keep the local `prices` collection current for large cap stocks.
+ * New symbols are seeded once from /eod; afterwards each exchange costs a single
+ * /eod-bulk-last-day call, with /eod only used to fill gaps (missed runs). Seeds and
+ * backfills beyond today's credit quota wait for a later run, smallest market cap first.
+ */
+export async function syncPricesLargeCap({ progress, appendLog, universe: universeId } = {}) {
+  const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
+  const Prices = getModel("prices");
+
+  const client = new EODHDCacheClient({
+    apiKey: process.env.API_EODHD_API_TOKEN,
+    cacheExpirationHours: jobConfig.cacheExpirationHours,
+  });
+
+  const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, jobConfig.maxAgeDays);
+  const universeStocks = extractUniverseStocks(exchangeSymbolsDocs, universe, jobConfig.maxAgeDays);
+
+  if (universeStocks.length === 0) {
+    log(`⚠️  No ${describeUniverse(universe)} stocks found in exchange_symbols collection`);
+    return {
+      success: true,
+      exchanges: 0,
+      seeded: 0,
+      updated: 0,
+      backfilled: 0,
+      deferred: 0,
+      failed: 0,
+    };
+  }
+
+  const today = toDateString(new Date());
+  const latestDatesByExchange = new Map();
+  for (const { exchangeCode } of universeStocks) {
+    latestDatesByExchange.set(exchangeCode, await Prices.getLatestDatesByExchange(exchangeCode));
+  }
+
+  // Bulk downloads are reserved first; seeds and backfills cost one /eod call per symbol
+  const bulkExchanges = [...latestDatesByExchange.values()].filter((dates) => dates.size > 0);
+  const { exchanges: universeExchanges, deferred } = await fitUniverseToCreditBudget(
+    "syncPricesLargeCap",
+    universeStocks,
+    {
+      findFresh: async (keys) => {
+        const latestDates = new Map(
+          [...latestDatesByExchange.values()].flatMap((dates) => [...dates])
+        );
+        return new Set(keys.filter((key) => isPriceHistoryFresh(latestDates.get(key), today)));
+      },
+      fixedCredits: bulkExchanges.length * getEndpointCost("eod-bulk-last-day"),
+      log,
+    }
+  );
+
+  const totals = {
+    exchanges: 0,
+    seeded: 0,
+    updated: 0,
+    backfilled: 0,
+    current: 0,
+    noBulkBar: 0,
+    deferred: deferred.length,
+    failed: 0,
+    bulkCalls: 0,
+    eodCalls: 0,
+  };
+  const seedFrom = toDateString(new Date(Date.now() - PRICE_HISTORY_SEED_DAYS * DAY_MS));
+  let remaining = DEV_MODE_LIMIT || Infinity;
+  let processedStocks = 0;
+  const totalStocks = universeExchanges.reduce((sum, doc) => sum + doc.symbols.length, 0);
+
+  const fetchEodHistory = async (symbolKey, exchangeCode, from, to, source) => {
+    totals.eodCalls++;
+    const bars = await client.stocks.getEODData(symbolKey, from, to);
+    await Prices.upsertBars(symbolKey, exchangeCode, Array.isArray(bars) ? bars : [], source);
+  };
+
+  for (const { exchangeCode, symbols } of universeExchanges) {
+    if (remaining <= 0) {
+      log(`🔧 DEV MODE: Reached limit of ${DEV_MODE_LIMIT} companies, stopping`);
+      break;
+    }
+    const stocks = symbols.slice(0, remaining);
+    remaining -= stocks.length;
+    totals.exchanges++;
+
+    const latestDates = latestDatesByExchange.get(exchangeCode);
+    const needsBulk = stocks.some((stock) => latestDates.has(buildSymbolKey(stock, exchangeCode)));
+
+    // One bulk call covers every already-seeded symbol of the exchange
+    const bulkByCode = new Map();
+    if (needsBulk) {
+      try {
+        totals.bulkCalls++;
+        const bulkBars = await client.stocks.getEndOfDayBulkLastDay(exchangeCode);
+        (Array.isArray(bulkBars) ? bulkBars : []).forEach((bar) => bulkByCode.set(bar.code, bar));
+      } catch (error) {
+        log(`   ⚠️  ${exchangeCode}: bulk last-day download failed: ${error.message}`);
+      }
+    }
+
+    log(
+      `🏢 ${exchangeCode}: ${stocks.length} large cap stocks, ${latestDates.size} with stored history, ${bulkByCode.size} bulk bars`
+    );
+
+    const processStock = async (stock) => {
+      const symbolKey = buildSymbolKey(stock, exchangeCode);
+      const latestDate = latestDates.get(symbolKey) || null;
+      const bulkBar = bulkByCode.get(stock.Code);
+
+      try {
+        switch (planPriceUpdate(latestDate, bulkBar)) {
+          case "seed":
+            await fetchEodHistory(symbolKey, exchangeCode, seedFrom, today, "eod");
+            totals.seeded++;
+            break;
+          case "backfill":
+            await fetchEodHistory(symbolKey, exchangeCode, latestDate, bulkBar.date, "eod");
+            totals.backfilled++;
+            break;
+          case "bulk":
+            await Prices.upsertBars(symbolKey, exchangeCode, [bulkBar], "bulk");
+            totals.updated++;
+            break;
+          case "current":
+            totals.current++;
+            break;
+          default:
+            totals.noBulkBar++;
+        }
+      } catch (error) {
+        totals.failed++;
+        log(`   ❌ Failed ${symbolKey}: ${error.message}`);
+      }
+    };
+
+    for (let i = 0; i < stocks.length; i += CHUNK_SIZE) {
+      await Promise.allSettled(stocks.slice(i, i + CHUNK_SIZE).map(processStock));
+      processedStocks += Math.min(CHUNK_SIZE, stocks.length - i);
+      if (progress) {
+        await progress(Math.min(processedStocks / totalStocks, 0.99));
+      }
+    }
+  }
+
+  if (progress) {
+    await progress(1);
+  }
+
+  log(`\n🎯 Price History Summary:`);
+  log(`   Seeded: ${totals.seeded}, updated from bulk: ${totals.updated}`);
+  log(`   Backfilled gaps: ${totals.backfilled}, already current: ${totals.current}`);
+  log(
+    `   Missing from bulk: ${totals.noBulkBar}, deferred (credit budget): ${totals.deferred}, failed: ${totals.failed}`
+  );
+  log(`   EODHD calls: ${totals.bulkCalls} bulk + ${totals.eodCalls} eod`);
+  client.logCacheSummary();
+
+  return { success: true, ...totals };
+}
+
+export default syncPricesLargeCap;
@@ -0,0 +1,117 @@
+/**
+ * Run Saved Screens Job
+ *
+ * Runs after the percentile jobs at the end of each cycle. Re-runs every enabled screen in
+ * the `screens` collection, stores the result set in `screen_runs` together with the symbols
+ * that entered or exited the screen since its previous run, and keeps the latest result set
+ * on the screen for listing.
+ *
+ * Dependencies: syncIndustryPercentiles (screens may filter on sector/industry percentiles)
+ */
+
+import { getModel } from "@buydy/se-db";
+import logger from "@buydy/se-logger";
+import { buildSavedScreenPipeline, diffScreenResults } from "./screenResults.js";
+
+// Runs kept per screen; older runs are removed after each run
+export const SCREEN_RUNS_RETENTION = 90;
+
+/**
+ * Run all enabled saved screens
+ * @param {Object} ctx - Job context with progress and appendLog
+ * @returns {Object} Job results summary
+ */
+export async function runSavedScreens({ progress, appendLog } = {}) {
+  const log = appendLog || ((msg) => logger.business(`[RunSavedScreens] ${msg}`));
+
+  const Screens = getModel("screens");
+  const ScreenRuns = getModel("screen_runs");
+  const Fundamentals = getModel("fundamentals");
+
+  const screens = await Screens.findEnabled().lean();
+  log(`🔎 Running ${screens.length} saved screens`);
+
+  let entered = 0;
+  let exited = 0;
+  let failed = 0;
+
+  for (let i = 0; i < screens.length; i++) {
+    const screen = screens[i];
+
+    try {
+      const rows = await Fundamentals.aggregate(buildSavedScreenPipeline(screen));
+      const symbols = rows.map((row) => row.symbol);
+
+      // Screens that never ran have nothing to diff against
+      const baseline = !screen.lastRunId;
+      const diff = baseline
+        ? { entered: [], exited: [] }
+        : diffScreenResults(screen.latestSymbols, symbols);
+
+      const run = await ScreenRuns.create({
+        screenId: screen._id,
+        screenName: screen.name,
+        ranAt: new Date(),
+        symbols,
+        total: symbols.length,
+        entered: diff.entered,
+        exited: diff.exited,
+        baseline,
+      });
+
+      await Screens.updateOne(
+        { _id: screen._id },
+        {
+          $set: {
+            lastRunAt: run.ranAt,
+            lastRunId: run._id,
+            latestSymbols: symbols,
+            latestCount: symbols.length,
+          },
+        }
+      );
+
+      const expiredRuns = await ScreenRuns.find({ screenId: screen._id })
+        .sort({ ranAt: -1 })
+        .skip(SCREEN_RUNS_RETENTION)
+        .select("_id")
+        .lean();
+      if (expiredRuns.length > 0) {
+        await ScreenRuns.deleteMany({ _id: { $in: expiredRuns.map((expired) => expired._id) } });
+      }
+
+      entered += diff.entered.length;
+      exited += diff.exited.length;
+      log(
+        `   📋 "${screen.name}": ${symbols.length} matches${
+          baseline ? " (first run)" : `, +${diff.entered.length} / -${diff.exited.length}`
+        }`
+      );
+    } catch (error) {
+      failed++;
+      log(`   ❌ Failed to run screen "${screen.name}": ${error.message}`, "error");
+    }
+
+    if (progress) {
+      await progress((i + 1) / screens.length);
+    }
+  }
+
+  log(
+    `✅ Screens run: ${screens.length - failed}/${
+      screens.length
+    }, ${entered} symbols entered, ${exited} exited`
+  );
+
+  return {
+    success: true,
+    screensRun: screens.length - failed,
+    failed,
+    entered,
+    exited,
+    runAt: new Date(),
+  };
+}
+
+// Default export for run-job.js compatibility
+export default runSavedScreens;
@@ -0,0 +1,56 @@
+/**
+ * Saved Screen Utilities
+ *
+ * Helpers used by runSavedScreens to turn a saved screen into its aggregation pipeline
+ * and to diff the result set of consecutive runs.
+ */
+
+import { validateScreenerQuery, normalizeScreenerQuery } from "@buydy/iso-business-types";
+import {
+  getScreenerFieldPath,
+  compileScreenerMatch,
+  buildScreenerMatchStages,
+} from "@buydy/se-db/src/utils/screenerPipeline.js";
+
+/**
+ * Build the pipeline returning every symbol matching a saved screen, in its sort order
+ * @param {Object} screen - Screens document ({ query, sortBy, sortOrder })
+ * @returns {Array} Aggregation stages for the fundamentals collection
+ * @throws {Error} When the stored query no longer validates (e.g. a metric was removed)
+ */
+export function buildSavedScreenPipeline({ query, sortBy = "marketCap", sortOrder = "desc" }) {
+  const validation = validateScreenerQuery(query);
+  if (!validation.isValid) {
+    throw new Error(`Invalid screen query: ${validation.errors.join("; ")}`);
+  }
+
+  const sortValidation = validateScreenerQuery({ field: sortBy, op: "ne", value: null });
+  if (!sortValidation.isValid) {
+    throw new Error(`Invalid screen sortBy: ${sortBy}`);
+  }
+
+  const filter = compileScreenerMatch(normalizeScreenerQuery(query), validation.fields);
+  const sortPath = getScreenerFieldPath(sortValidation.fields[sortBy]);
+
+  return [
+    ...buildScreenerMatchStages(filter),
+    { $sort: { [sortPath]: sortOrder === "asc" ? 1 : -1, symbol: 1 } },
+    { $project: { _id: 0, symbol: 1 } },
+  ];
+}
+
+/**
+ * Symbols that entered or exited a screen between two runs
+ * @param {Array<string>} previousSymbols - Result set of the previous run
+ * @param {Array<string>} currentSymbols - Result set of this run
+ * @returns {Object} { entered, exited } (entered in current order, exited in previous order)
+ */
+export function diffScreenResults(previousSymbols = [], currentSymbols = []) {
+  const previous = new Set(previousSymbols);
+  const current = new Set(currentSymbols);
+
+  return {
+    entered: currentSymbols.filter((symbol) => !previous.has(symbol)),
+    exited: previousSymbols.filter((symbol) => !current.has(symbol)),
+  };
+}
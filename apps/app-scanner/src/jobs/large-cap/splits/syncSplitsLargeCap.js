@@ -0,0 +1,125 @@
+import { getModel } from "@buydy/se-db";
+import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
+import { getJobConfig } from "@buydy/iso-business-types";
+import logger from "@buydy/se-logger";
+import {
+  getUniverseStocksFromDatabase,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
+import { getDevModeLimit, buildSymbolKey } from "../../../utils/devModeFilter.js";
+import { normalizeSplits } from "../../../utils/splitUtils.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
+import { fitUniverseToCreditBudget, findFreshSymbols } from "../../../utils/creditBudget.js";
+
+const DEV_MODE_LIMIT = getDevModeLimit();
+
+const jobConfig = getJobConfig("splits");
+
+const CHUNK_SIZE = 10;
+
+/**
+ * Sync stock split history for large cap stocks into the `splits` collection.
+ * Dividend growth and price change calculators read these events to restate
+ * history dated before a split on today's share basis.
+ *
+ * Should run AFTER findAndMarkLargeCapStocks and BEFORE syncDividendsLargeCap.
+ * Skips API calls while stored data is fresher than the job's maxAgeDays.
+ */
+export async function syncSplitsLargeCap({ progress, appendLog, universe: universeId } = {}) {
+  const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
+  const Splits = getModel("splits");
+
+  const client = new EODHDCacheClient({
+    apiKey: process.env.API_EODHD_API_TOKEN,
+    cacheExpirationHours: jobConfig.cacheExpirationHours,
+  });
+
+  const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, jobConfig.maxAgeDays);
+  const universeStocks = extractUniverseStocks(exchangeSymbolsDocs, universe, jobConfig.maxAgeDays);
+
+  if (universeStocks.length === 0) {
+    log(`⚠️  No ${describeUniverse(universe)} stocks found in exchange_symbols collection`);
+    return { success: true, updated: 0, skipped: 0, withSplits: 0, deferred: 0, failed: 0 };
+  }
+
+  // Stale symbols today's credit quota cannot cover wait for a later run, smallest first
+  const { exchanges: universeExchanges, deferred } = await fitUniverseToCreditBudget(
+    "syncSplitsLargeCap",
+    universeStocks,
+    {
+      findFresh: (keys) => findFreshSymbols(Splits, keys, { maxAgeDays: jobConfig.maxAgeDays }),
+      log,
+    }
+  );
+
+  const totals = { updated: 0, skipped: 0, withSplits: 0, deferred: deferred.length, failed: 0 };
+  let remaining = DEV_MODE_LIMIT || Infinity;
+  let processedStocks = 0;
+  const totalStocks = universeExchanges.reduce((sum, doc) => sum + doc.symbols.length, 0);
+
+  for (const { exchangeCode, symbols } of universeExchanges) {
+    if (remaining <= 0) {
+      log(`🔧 DEV MODE: Reached limit of ${DEV_MODE_LIMIT} companies, stopping`);
+      break;
+    }
+    const stocks = symbols.slice(0, remaining);
+    remaining -= stocks.length;
+
+    log(`🏢 ${exchangeCode}: ${stocks.length} large cap stocks`);
+
+    const processStock = async (stock) => {
+      const symbolKey = buildSymbolKey(stock, exchangeCode);
+
+      try {
+        const existing = await Splits.findBySymbol(symbolKey);
+        if (existing && existing.isDataFresh(jobConfig.maxAgeDays)) {
+          totals.skipped++;
+          return;
+        }
+
+        // Full history: a split from any year changes every earlier dividend and price
+        const rawSplits = await client.dividends.getStockSplits(symbolKey);
+        const splits = normalizeSplits(rawSplits);
+
+        if (existing) {
+          await existing.updateSplits(splits);
+        } else {
+          await Splits.create({ symbol: symbolKey, exchange: exchangeCode, splits });
+        }
+
+        totals.updated++;
+        if (splits.length > 0) {
+          totals.withSplits++;
+        }
+      } catch (error) {
+        totals.failed++;
+        log(`   ❌ Failed ${symbolKey}: ${error.message}`);
+      }
+    };
+
+    for (let i = 0; i < stocks.length; i += CHUNK_SIZE) {
+      await Promise.allSettled(stocks.slice(i, i + CHUNK_SIZE).map(processStock));
+      processedStocks += Math.min(CHUNK_SIZE, stocks.length - i);
+      if (progress) {
+        await progress(Math.min(processedStocks / totalStocks, 0.99));
+      }
+    }
+  }
+
+  if (progress) {
+    await progress(1);
+  }
+
+  log(`\n🎯 Stock Splits Summary:`);
+  log(`   Updated: ${totals.updated} (${totals.withSplits} with at least one split)`);
+  log(
+    `   Skipped (fresh): ${totals.skipped}, deferred (credit budget): ${totals.deferred}, failed: ${totals.failed}`
+  );
+  client.logCacheSummary();
+
+  return { success: true, ...totals };
+}
+
+export default syncSplitsLargeCap;
@@ -1,22 +1,25 @@
 import { getModel } from "@buydy/se-db";
-import { EODHDCacheClient } from "@buydy/se-eodhd-cache";
 import { getMaxConcurrentRequests } from "../../../config/concurrency.js";
 import { getJobConfig } from "@buydy/iso-business-types";
 import logger from "@buydy/se-logger";
 import {
-  LARGE_CAP_THRESHOLD,
-  getLargeCapStocksFromDatabase,
-  countLargeCapStocks,
-  extractLargeCapStocks,
-} from "@buydy/se-db/src/utils/largeCapFilter.js";
+  getUniverseStocksFromDatabase,
+  countUniverseStocks,
+  extractUniverseStocks,
+  describeUniverse,
+} from "@buydy/se-db/src/utils/universeFilter.js";
 import {
   getDevModeLimit,
   parseDevModeCompany,
   prioritizeStocksAcrossExchanges,
 } from "../../../utils/devModeFilter.js";
+import { buildTechnicalIndicators } from "../../../calculators/technicals/indicators.js";
+import { PRICE_HISTORY_SEED_DAYS } from "../prices/syncPricesLargeCap.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
 
 const jobConfig = getJobConfig("technicals");
 const maxAgeDays = jobConfig.maxAgeDays;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // 🚀 DEV MODE: Set DEV_MODE_LIMIT env var to process only N companies (e.g., DEV_MODE_LIMIT=50)
 const DEV_MODE_LIMIT = getDevModeLimit();
@@ -26,22 +29,20 @@ const DEV_MODE_COMPANIES = parseDevModeCompany();
  * Sync technical indicators for CONFIRMED large cap stocks from exchange_symbols collection
  *
  * This job finds all stocks that have been CONFIRMED as large cap (≥$1B) by the
- * findAndMarkLargeCapStocks job and fetches their technical indicator data from EODHD API.
+ * findAndMarkLargeCapStocks job and computes their technical indicators locally from the
+ * daily bars in the prices collection (no EODHD calls).
  *
- * Should run AFTER findAndMarkLargeCapStocks job.
- * Skips API calls if data is less than 7 days old.
+ * Should run AFTER syncPricesLargeCap job.
+ * Skips symbols whose technical data is fresh or that have no stored price history.
  */
-export async function syncTechnicalsLargeCap({ progress, appendLog } = {}) {
+export async function syncTechnicalsLargeCap({ progress, appendLog, universe: universeId } = {}) {
   // Default appendLog to logger.business for visibility (logs both to logger and job record)
   const log = appendLog || ((msg) => logger.business(msg));
+  const universe = resolveJobUniverse(universeId);
 
   // Get Mongoose models (database connection should be bootstrapped at app startup)
   const Technicals = getModel("technicals");
-
-  const client = new EODHDCacheClient({
-    apiKey: process.env.API_EODHD_API_TOKEN,
-    cacheExpirationHours: jobConfig.cacheExpirationHours,
-  });
+  const Prices = getModel("prices");
 
   const results = [];
 
@@ -53,18 +54,14 @@ export async function syncTechnicalsLargeCap({ progress, appendLog } = {}) {
     log(`🔧 DEV MODE: Prioritizing companies: ${DEV_MODE_COMPANIES.join(", ")}`);
   }
 
-  // Global queue is automatically used via EODHD client singleton
-
   try {
-    log(
-      `🔍 Finding large cap stocks (>=$${LARGE_CAP_THRESHOLD.toLocaleString()}) from exchange_symbols collection...`
-    );
+    log(`🔍 Finding ${describeUniverse(universe)} stocks from exchange_symbols collection...`);
 
     // Use centralized function to get large cap stocks
-    const exchangeSymbolsDocs = await getLargeCapStocksFromDatabase(maxAgeDays);
+    const exchangeSymbolsDocs = await getUniverseStocksFromDatabase(universe, maxAgeDays);
 
     // Count total large cap stocks using centralized function
-    const totalLargeCapStocks = countLargeCapStocks(exchangeSymbolsDocs, maxAgeDays);
+    const totalLargeCapStocks = countUniverseStocks(exchangeSymbolsDocs, universe, maxAgeDays);
     let processedStocks = 0;
     let totalProcessedForDevMode = 0; // Track total processed in dev mode
 
@@ -98,147 +95,22 @@ export async function syncTechnicalsLargeCap({ progress, appendLog } = {}) {
           return;
         }
 
-        // Fetch technical indicators from EODHD API
+        // Compute indicators from the local price history (one year emitted, the rest is warm-up)
         const now = new Date();
         const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
         const fromDate = oneYearAgo.toISOString().split("T")[0];
+        const historyFrom = new Date(now.getTime() - PRICE_HISTORY_SEED_DAYS * DAY_MS)
+          .toISOString()
+          .split("T")[0];
+
+        const bars = await Prices.getBars(symbolKey, { from: historyFrom });
+        if (bars.length === 0) {
+          results.push({ symbol: symbolKey, ok: true, skipped: true, reason: "no_price_history" });
+          log(`   ⚠️  SKIP ${symbolKey} (no stored price history)`);
+          return;
+        }
 
-        // Get comprehensive technical indicators in parallel (using correct function names)
-        const technicalPromises = [
-          // Moving Averages
-          {
-            name: "sma20",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "sma", {
-              period: 20,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "sma50",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "sma", {
-              period: 50,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "sma200",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "sma", {
-              period: 200,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "ema20",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "ema", {
-              period: 20,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "ema50",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "ema", {
-              period: 50,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "ema200",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "ema", {
-              period: 200,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "wma20",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "wma", {
-              period: 20,
-              from: fromDate,
-            }),
-          },
-
-          // Momentum Indicators
-          {
-            name: "rsi",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "rsi", {
-              period: 14,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "macd",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "macd", { from: fromDate }),
-          },
-          {
-            name: "stochastic",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "stochastic", {
-              from: fromDate,
-            }),
-          },
-          {
-            name: "stochrsi",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "stochrsi", {
-              from: fromDate,
-            }),
-          },
-          {
-            name: "williamsr",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "williamsr", {
-              period: 14,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "cci",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "cci", {
-              period: 20,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "adx",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "adx", {
-              period: 14,
-              from: fromDate,
-            }),
-          },
-
-          // Volume Indicators
-          {
-            name: "ad",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "ad", { from: fromDate }),
-          },
-          {
-            name: "obv",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "obv", { from: fromDate }),
-          },
-
-          // Volatility Indicators
-          {
-            name: "atr",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "atr", {
-              period: 14,
-              from: fromDate,
-            }),
-          },
-          {
-            name: "bbands",
-            promise: client.stocks.getTechnicalIndicator(symbolKey, "bbands", {
-              period: 20,
-              from: fromDate,
-            }),
-          },
-        ];
-
-        // Execute all technical indicator requests in parallel
-        const technicalResults = await Promise.allSettled(technicalPromises.map((p) => p.promise));
-
-        // Build indicators object from results
-        const indicators = {};
-        technicalResults.forEach((result, index) => {
-          if (result.status === "fulfilled" && result.value) {
-            indicators[technicalPromises[index].name] = result.value;
-          }
-        });
+        const indicators = buildTechnicalIndicators(bars, { from: fromDate });
 
         // Get currency from symbol
         const currency = symbol.Currency || "USD";
@@ -274,10 +146,10 @@ export async function syncTechnicalsLargeCap({ progress, appendLog } = {}) {
     };
 
     // Process each exchange using centralized extraction
-    const largeCapExchanges = extractLargeCapStocks(exchangeSymbolsDocs, maxAgeDays);
+    const universeExchanges = extractUniverseStocks(exchangeSymbolsDocs, universe, maxAgeDays);
 
     // 🚀 DEV MODE: Reorganize stocks if DEV_MODE_COMPANY is specified
-    const prioritizedStocks = prioritizeStocksAcrossExchanges(largeCapExchanges, log);
+    const prioritizedStocks = prioritizeStocksAcrossExchanges(universeExchanges, log);
 
     if (prioritizedStocks) {
       // Process prioritized stocks (grouped by exchange)
@@ -309,7 +181,7 @@ export async function syncTechnicalsLargeCap({ progress, appendLog } = {}) {
       }
     } else {
       // Normal processing (no DEV_MODE_COMPANY)
-      for (const exchangeDoc of largeCapExchanges) {
+      for (const exchangeDoc of universeExchanges) {
         let largeCapStocks = exchangeDoc.symbols;
 
         // 🚀 DEV MODE: Limit the number of stocks to process
@@ -355,7 +227,7 @@ export async function syncTechnicalsLargeCap({ progress, appendLog } = {}) {
     log(`\n🎉 Final Summary:`);
     log(`   Total large cap stocks: ${totalLargeCapStocks}`);
     log(`   Successfully processed: ${successCount}`);
-    log(`   Skipped (fresh data): ${skippedCount}`);
+    log(`   Skipped (fresh data or no price history): ${skippedCount}`);
     log(`   Failed: ${failedCount}`);
     log(`   Exchanges processed: ${exchangeSymbolsDocs.length}`);
 
@@ -0,0 +1,38 @@
+/**
+ * Sector Peer Multiples Loader
+ *
+ * Database side of the relative valuation: EV/EBITDA and P/E of every company with
+ * fundamentals, grouped by sector like the sector percentiles job.
+ */
+
+import { getModel } from "@buydy/se-db";
+import {
+  computeSectorMultiples,
+  extractPeerMultiples,
+} from "../../../calculators/valuation/valuationRelative.js";
+
+/**
+ * Median EV/EBITDA and P/E per sector
+ * @param {Object} [options]
+ * @param {number} [options.minSample] - Minimum peers per multiple
+ * @returns {Promise<Map<string, Object>>} Sector → multiples, for sectors with enough peers
+ */
+export async function loadSectorMultiples({ minSample } = {}) {
+  const Fundamentals = getModel("fundamentals");
+  const docs = await Fundamentals.find(
+    { "fundamentals.General.Sector": { $nin: [null, ""] } },
+    {
+      "fundamentals.General.Sector": 1,
+      "fundamentals.Valuation.EnterpriseValueEbitda": 1,
+      "fundamentals.Valuation.TrailingPE": 1,
+      "fundamentals.Highlights.PERatio": 1,
+    }
+  ).lean();
+
+  const items = docs.map((doc) => ({
+    sector: doc.fundamentals.General.Sector,
+    ...extractPeerMultiples(doc.fundamentals),
+  }));
+
+  return computeSectorMultiples(items, minSample ? { minSample } : undefined);
+}
@@ -1,14 +1,21 @@
 import {
+  DEFAULT_DISCOUNT_RATE_CONFIG,
   calculateValuationDCF,
   normalizeFundamentalsDocument,
-} from "../../../calculators/valuation/valuationDCF.js";
+} from "@buydy/iso-business-types";
 import { calculateValuationLynch } from "../../../calculators/valuation/valuationLynch.js";
+import { calculateValuationDDM } from "../../../calculators/valuation/valuationDDM.js";
+import { calculateValuationRelative } from "../../../calculators/valuation/valuationRelative.js";
 import { getModel } from "@buydy/se-db";
 import {
-  getLargeCapStocksFromDatabase,
-  countLargeCapStocks,
-  extractLargeCapStocks,
-} from "@buydy/se-db/src/utils/largeCapFilter.js";
+  getUniverseStocksFromDatabase,
+  countUniverseStocks,
+  extractUniverseStocks,
+} from "@buydy/se-db/src/utils/universeFilter.js";
+import {
+  loadDiscountRateConfig,
+  loadSectorMedianBetas,
+} from "@buydy/se-db/src/utils/discountRateConfig.js";
 import logger from "@buydy/se-logger";
 import EODHDCacheClient from "@buydy/se-eodhd-cache";
 import {
@@ -16,10 +23,19 @@ import {
   getDevModeLimit,
   parseDevModeCompany,
 } from "../../../utils/devModeFilter.js";
-import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/metricsUtils.js";
+import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/currencyUtils.js";
+import { recordMetricsSnapshots } from "../metrics-base/snapshotUtils.js";
+import { loadSectorMultiples } from "./peerMultiples.js";
+import { createFxRateResolver, FX_BASE_CURRENCY } from "../../../utils/fxUtils.js";
+import { resolveJobUniverse } from "../../../utils/universeUtils.js";
 
 const PRICE_CACHE_TTL_HOURS = 24;
-const FX_BASE_CURRENCY = "USD";
+const VALUATION_NAMESPACES = [
+  "valuationDCF",
+  "valuationLynch",
+  "valuationDDM",
+  "valuationRelative",
+];
 
 function formatUpside(upside) {
   if (!Number.isFinite(upside)) {
@@ -85,6 +101,20 @@ function buildValuationPayload(
   };
 }
 
+function buildNotApplicablePayloads(reason) {
+  return VALUATION_NAMESPACES.reduce(
+    (acc, namespace) => ({
+      ...acc,
+      ...buildValuationPayload(namespace, {
+        quality: "N/A",
+        reason,
+        reasonCode: "MISSING_DATA",
+      }),
+    }),
+    {}
+  );
+}
+
 function toNumericValue(value) {
   if (value === null || value === undefined) {
     return null;
@@ -175,10 +205,13 @@ export async function syncMetricsValuationLargeCap(context = {}) {
     limit = envLimit || null,
     devMode = Boolean(envLimit),
     symbols: overrideSymbols,
+    universe: universeId,
   } = context;
+  const universe = resolveJobUniverse(universeId);
 
   const Metrics = getModel("metrics");
   const Fundamentals = getModel("fundamentals");
+  const Dividends = getModel("dividends");
 
   let priceClient = null;
   if (process.env.API_EODHD_API_TOKEN) {
@@ -197,75 +230,18 @@ export async function syncMetricsValuationLargeCap(context = {}) {
     );
   }
 
-  const fxRateCache = new Map();
+  // Stored daily rates first, live forex API for currencies never synced
+  const fxResolver = createFxRateResolver(priceClient, {
+    log: (message) => logDecision("FX", message.trim(), "debug"),
+  });
+  // Unresolved rates leave values in the local currency instead of mislabelling them as USD
   const resolveFxRate = async (currencyCode) => {
-    const normalizedCurrency = normalizeCurrencyCode(currencyCode);
-    if (!normalizedCurrency) {
-      return {
-        rate: 1,
-        sourceCurrency: FX_BASE_CURRENCY,
-        targetCurrency: FX_BASE_CURRENCY,
-        timestamp: new Date().toISOString(),
-      };
-    }
-
-    if (normalizedCurrency === FX_BASE_CURRENCY) {
-      return {
-        rate: 1,
-        sourceCurrency: FX_BASE_CURRENCY,
-        targetCurrency: FX_BASE_CURRENCY,
-        timestamp: new Date().toISOString(),
-      };
-    }
-
-    const cacheKey = `${normalizedCurrency}->${FX_BASE_CURRENCY}`;
-    if (fxRateCache.has(cacheKey)) {
-      return fxRateCache.get(cacheKey);
-    }
-
-    if (!priceClient?.eodhdClient?.forex) {
-      return null;
-    }
-
-    try {
-      const conversion = await priceClient.eodhdClient.forex.convertCurrency(
-        1,
-        normalizedCurrency,
-        FX_BASE_CURRENCY
-      );
-      const exchangeRate = Number(conversion?.exchangeRate);
-      const convertedAmount = Number(conversion?.convertedAmount);
-      const rateCandidate =
-        Number.isFinite(exchangeRate) && exchangeRate > 0
-          ? exchangeRate
-          : Number.isFinite(convertedAmount) && convertedAmount > 0
-          ? convertedAmount
-          : null;
-
-      if (!Number.isFinite(rateCandidate) || rateCandidate <= 0) {
-        throw new Error("Invalid FX rate received");
-      }
-
-      const info = {
-        rate: rateCandidate,
-        sourceCurrency: normalizedCurrency,
-        targetCurrency: FX_BASE_CURRENCY,
-        timestamp: conversion?.timestamp || new Date().toISOString(),
-      };
-      fxRateCache.set(cacheKey, info);
-      return info;
-    } catch (error) {
-      logDecision(
-        "FX",
-        `failed to resolve FX rate for ${normalizedCurrency}: ${error.message}`,
-        "debug"
-      );
-      return null;
-    }
+    const fxInfo = await fxResolver(currencyCode);
+    return fxInfo.fallback ? null : fxInfo;
   };
 
-  const largeCapDocs = await getLargeCapStocksFromDatabase();
-  const extracted = extractLargeCapStocks(largeCapDocs);
+  const universeDocs = await getUniverseStocksFromDatabase(universe);
+  const extracted = extractUniverseStocks(universeDocs, universe);
   const symbolEntries = deriveSymbolEntries(extracted);
 
   let workingList;
@@ -289,6 +265,16 @@ export async function syncMetricsValuationLargeCap(context = {}) {
     }`
   );
 
+  const discountRates = await loadDiscountRateConfig(DEFAULT_DISCOUNT_RATE_CONFIG);
+  const sectorBetas = await loadSectorMedianBetas(discountRates);
+  logger.business(
+    `[Valuation] Using discount rate config ${
+      discountRates.version ? `v${discountRates.version}` : "defaults"
+    } (${sectorBetas.size} sector median betas)`
+  );
+  const sectorMultiples = await loadSectorMultiples();
+  logger.business(`[Valuation] Loaded peer multiples for ${sectorMultiples.size} sectors`);
+
   let processed = 0;
   let persisted = 0;
   let skipped = 0;
@@ -326,16 +312,7 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         await metricsDoc.updateMetricsData({
           _calculationStatus: "not_applicable",
           _lastAttempt: new Date(),
-          ...buildValuationPayload("valuationDCF", {
-            quality: "N/A",
-            reason: "Fundamentals missing",
-            reasonCode: "MISSING_DATA",
-          }),
-          ...buildValuationPayload("valuationLynch", {
-            quality: "N/A",
-            reason: "Fundamentals missing",
-            reasonCode: "MISSING_DATA",
-          }),
+          ...buildNotApplicablePayloads("Fundamentals missing"),
         });
         continue;
       }
@@ -348,16 +325,7 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         await metricsDoc.updateMetricsData({
           _calculationStatus: "not_applicable",
           _lastAttempt: new Date(),
-          ...buildValuationPayload("valuationDCF", {
-            quality: "N/A",
-            reason: "Unable to normalize fundamentals data",
-            reasonCode: "MISSING_DATA",
-          }),
-          ...buildValuationPayload("valuationLynch", {
-            quality: "N/A",
-            reason: "Unable to normalize fundamentals data",
-            reasonCode: "MISSING_DATA",
-          }),
+          ...buildNotApplicablePayloads("Unable to normalize fundamentals data"),
         });
         continue;
       }
@@ -433,16 +401,9 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         await metricsDoc.updateMetricsData({
           _calculationStatus: "not_applicable",
           _lastAttempt: new Date(),
-          ...buildValuationPayload("valuationDCF", {
-            quality: "N/A",
-            reason: "Missing price data (real-time and fallback sources unavailable)",
-            reasonCode: "MISSING_DATA",
-          }),
-          ...buildValuationPayload("valuationLynch", {
-            quality: "N/A",
-            reason: "Missing price data (real-time and fallback sources unavailable)",
-            reasonCode: "MISSING_DATA",
-          }),
+          ...buildNotApplicablePayloads(
+            "Missing price data (real-time and fallback sources unavailable)"
+          ),
         });
         if (pricePayload) {
           logger.business(
@@ -473,6 +434,9 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         currency: valuationCurrency,
         country,
         marketCap,
+        beta: fundamentalsDoc.fundamentals?.Technicals?.Beta,
+        sectorBeta: sectorBetas.get(generalInfo?.Sector) ?? null,
+        discountRates,
       });
 
       const lynchValuation = await calculateValuationLynch(symbol, {
@@ -481,6 +445,27 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         highlights,
       });
 
+      const dividendDoc = await Dividends.findOne({ symbol: symbol.toUpperCase() }).lean();
+      const ddmValuation = calculateValuationDDM(symbol, {
+        dividends: dividendDoc?.history || [],
+        dividendGrowth5Y: metricsDoc.metrics?.DividendGrowth5Y ?? null,
+        price: latestPrice,
+        highlights,
+        payoutRatio: fundamentalsDoc.fundamentals?.SplitsDividends?.PayoutRatio,
+        currency: valuationCurrency,
+        country,
+        marketCap,
+        beta: fundamentalsDoc.fundamentals?.Technicals?.Beta,
+        sectorBeta: sectorBetas.get(generalInfo?.Sector) ?? null,
+        discountRates,
+      });
+
+      const relativeValuation = calculateValuationRelative(symbol, {
+        fundamentals: fundamentalsDoc.fundamentals,
+        price: latestPrice,
+        sectorMultiples: sectorMultiples.get(generalInfo?.Sector) ?? null,
+      });
+
       const fxInfo = await resolveFxRate(valuationCurrency);
 
       const baseMetadataExtra = {
@@ -693,6 +678,20 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         peFair: lynchValuation?.peFair ?? null,
       };
 
+      const ddmValueExtra = {
+        dividendTTM: ddmValuation?.dividendTTM ?? null,
+        dividendGrowth: ddmValuation?.dividendGrowth ?? null,
+        requiredReturn: ddmValuation?.requiredReturn ?? null,
+        terminalGrowth: ddmValuation?.terminalGrowth ?? null,
+      };
+
+      const relativeValueExtra = {
+        sectorEvToEbitda: relativeValuation?.sectorEvToEbitda ?? null,
+        sectorPE: relativeValuation?.sectorPE ?? null,
+        fairValueEvEbitda: relativeValuation?.fairValueEvEbitda ?? null,
+        fairValuePE: relativeValuation?.fairValuePE ?? null,
+      };
+
       applyValuation("DCF", "valuationDCF", dcfInfo, "Insufficient data for valuation", {
         defaultReasonCode: "MISSING_DATA",
         metadataExtra: dcfMetadataExtra,
@@ -715,6 +714,26 @@ export async function syncMetricsValuationLargeCap(context = {}) {
           sharesSource: lynchInfo?.sharesSource ?? null,
         }
       );
+      applyValuation("DDM", "valuationDDM", ddmValuation, "Insufficient data for DDM valuation", {
+        defaultReasonCode: "MISSING_DATA",
+        metadataExtra: { ...baseMetadataExtra },
+        valueExtra: ddmValueExtra,
+        conversionInfo: fxInfo,
+        localCurrency: valuationCurrency,
+      });
+      applyValuation(
+        "Relative",
+        "valuationRelative",
+        relativeValuation,
+        "Insufficient data for relative valuation",
+        {
+          defaultReasonCode: "MISSING_DATA",
+          metadataExtra: { ...baseMetadataExtra },
+          valueExtra: relativeValueExtra,
+          conversionInfo: fxInfo,
+          localCurrency: valuationCurrency,
+        }
+      );
 
       const hasHighQuality = highQuality > 0;
       const hasAnyQuality = highQuality > 0 || lowQuality > 0;
@@ -789,16 +808,7 @@ export async function syncMetricsValuationLargeCap(context = {}) {
         await metricsDoc.updateMetricsData({
           _calculationStatus: "calculation_error",
           _lastAttempt: new Date(),
-          ...buildValuationPayload("valuationDCF", {
-            quality: "N/A",
-            reason: error.message,
-            reasonCode: "MISSING_DATA",
-          }),
-          ...buildValuationPayload("valuationLynch", {
-            quality: "N/A",
-            reason: error.message,
-            reasonCode: "MISSING_DATA",
-          }),
+          ...buildNotApplicablePayloads(error.message),
         });
       } catch (persistError) {
         logDecision(
@@ -810,6 +820,11 @@ export async function syncMetricsValuationLargeCap(context = {}) {
     }
   }
 
+  await recordMetricsSnapshots(
+    workingList.map((entry) => entry.symbolKey),
+    { source: "valuation", log: (msg) => logger.business(`[Valuation] ${msg}`) }
+  );
+
   logger.business(
     `[Valuation] Finished valuation job – total: ${processed}, persisted: ${persisted}, skipped: ${skipped}, failed: ${failed}`
   );
@@ -819,7 +834,8 @@ export async function syncMetricsValuationLargeCap(context = {}) {
     persisted,
     skipped,
     failed,
-    totalLargeCaps: countLargeCapStocks(largeCapDocs),
+    universe: universe.id,
+    totalLargeCaps: countUniverseStocks(universeDocs, universe),
   };
 }
 
@@ -2,6 +2,15 @@ import cron from "node-cron";
 import { getModel } from "@buydy/se-db";
 import logger from "@buydy/se-logger";
 import { getMachineDisplayName } from "../utils/machine-info.js";
+import { EODHDLimitManager } from "../init/EODHDLimitManager.js";
+import {
+  getJobExecutionPolicy,
+  getRetryDelayMs,
+  withJobTimeout,
+  isRetryableJobError,
+  createRetryAttemptRecord,
+} from "../utils/jobRetry.js";
+import { runWithJobCredits } from "../utils/creditBudget.js";
 
 /**
  * Global Job Manager
@@ -108,6 +117,10 @@ const globalJobManager = new GlobalJobManager();
  * GLOBAL ERROR HANDLING: This function ensures that job status is ALWAYS
  * properly updated in the database, regardless of how the job fails or completes.
  *
+ * RETRIES AND TIMEOUT: Each run is bounded by the timeout of the job in jobTypes.json and a
+ * failed run is retried per its retryPolicy, each retry on a new `jobs` record linked to the
+ * failed one (see utils/jobRetry.js).
+ *
  * @param {Function} fn   async function(ctx) => result
  * @param {Object} opts   { cron: string, name?: string, runNow?: boolean }
  */
@@ -118,7 +131,12 @@ export function makeJob(fn, opts) {
 
   if (!cronExpr) throw new Error(`Job "${name}" requires a cron expression`);
 
-  const runOnce = async () => {
+  const policy = getJobExecutionPolicy(name);
+
+  /**
+   * @param {Object} [attemptInfo] - { attempt, retryRecord } when running a retry
+   */
+  const runOnce = async ({ attempt = 1, retryRecord = null } = {}) => {
     let jobRecord = null;
     let jobStarted = false;
 
@@ -156,37 +174,51 @@ export function makeJob(fn, opts) {
           logger.debug(
             `[${name}] Job already running, skipping execution. Started at: ${existingRunningJob.startedAt}`
           );
+          if (retryRecord) {
+            await Jobs.findByIdAndUpdate(retryRecord._id, {
+              $set: {
+                status: "skipped",
+                endedAt: new Date(),
+                result: { reason: "Job already running" },
+              },
+            });
+          }
           return;
         }
       }
 
-      // Create scheduled job record
-      const scheduledAt = new Date();
-      const machineName = getMachineDisplayName();
-      jobRecord = new Jobs({
-        name,
-        machineName,
-        status: "scheduled",
-        scheduledAt,
-        startedAt: null,
-        endedAt: null,
-        progress: 0,
-        result: null,
-        error: null,
-        logs: [],
-        metadata: {},
-        cronExpression: cronExpr,
-        timezone: timezone,
-        nextRun: null, // Will be calculated after save
-      });
-
-      await jobRecord.save();
+      if (retryRecord) {
+        // Retries run on the record created when the previous attempt failed
+        jobRecord = retryRecord;
+      } else {
+        // Create scheduled job record
+        const scheduledAt = new Date();
+        const machineName = getMachineDisplayName();
+        jobRecord = new Jobs({
+          name,
+          machineName,
+          status: "scheduled",
+          scheduledAt,
+          startedAt: null,
+          endedAt: null,
+          progress: 0,
+          result: null,
+          error: null,
+          logs: [],
+          metadata: { attempt: 1, maxAttempts: policy.maxAttempts },
+          cronExpression: cronExpr,
+          timezone: timezone,
+          nextRun: null, // Will be calculated after save
+        });
 
-      // Calculate and update next run time
-      const nextRun = jobRecord.calculateNextRun();
-      if (nextRun) {
-        jobRecord.nextRun = nextRun;
         await jobRecord.save();
+
+        // Calculate and update next run time
+        const nextRun = jobRecord.calculateNextRun();
+        if (nextRun) {
+          jobRecord.nextRun = nextRun;
+          await jobRecord.save();
+        }
       }
 
       const appendLog = async (msg, level = "info") => {
@@ -249,14 +281,15 @@ export function makeJob(fn, opts) {
         throw new Error(`Failed to start job: ${error.message}`);
       }
 
-      // Execute the job function with timeout protection
-      const jobTimeout = 6 * 60 * 60 * 1000; // 6 hours timeout
-      const jobPromise = fn({ progress, appendLog });
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error("Job timeout after 6 hours")), jobTimeout);
-      });
-
-      const result = await Promise.race([jobPromise, timeoutPromise]);
+      // Execute the job function with the job's timeout, charging its EODHD credits to the record
+      const result = await withJobTimeout(
+        (signal) =>
+          runWithJobCredits(name, jobRecord, () => fn({ progress, appendLog, signal }), {
+            signal,
+          }),
+        policy.timeoutMs,
+        name
+      );
 
       // Mark job as completed with robust error handling
       try {
@@ -383,11 +416,47 @@ export function makeJob(fn, opts) {
           });
         }
       }
+
+      // Retry a run that failed while executing, unless it timed out (and may still be running)
+      // or the EODHD daily limit is exhausted
+      if (
+        jobRecord &&
+        jobStarted &&
+        attempt < policy.maxAttempts &&
+        isRetryableJobError(err) &&
+        !new EODHDLimitManager().shouldThrowOnEODHDError(err)
+      ) {
+        await scheduleRetry(jobRecord, attempt);
+      }
+    }
+  };
+
+  /**
+   * Create the next attempt's record and run it after the backoff delay
+   * @param {Object} failedRecord - Record of the failed attempt
+   * @param {number} attempt - Number of the failed attempt
+   */
+  const scheduleRetry = async (failedRecord, attempt) => {
+    const delayMs = getRetryDelayMs(policy, attempt);
+    try {
+      const retryRecord = await createRetryAttemptRecord(failedRecord, {
+        attempt: attempt + 1,
+        maxAttempts: policy.maxAttempts,
+        delayMs,
+      });
+      logger.business(
+        `🔄 [${name}] Retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 1}/${
+          policy.maxAttempts
+        })`
+      );
+      setTimeout(() => runOnce({ attempt: attempt + 1, retryRecord }), delayMs);
+    } catch (error) {
+      logger.business(`[${name}] Failed to schedule retry`, { error: error.message });
     }
   };
 
   // schedule via cron
-  cron.schedule(cronExpr, runOnce, {
+  cron.schedule(cronExpr, () => runOnce(), {
     timezone,
   });
 
@@ -0,0 +1,23 @@
+/**
+ * Base Notifier
+ *
+ * Notifiers deliver triggered alert events to a channel (webhook, file, e-mail, ...).
+ * Implementations extend this class, set `type` to the channel type stored on the alert
+ * rule and implement `send()`. Register new implementations with `registerNotifier()`.
+ */
+export class BaseNotifier {
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * Deliver one alert event
+   * @param {Object} event - Alert event (see AlertEvents model) plus `description`
+   * @param {Object} channel - Channel config from the alert rule ({ type, target })
+   * @returns {Promise<void>} Resolves when delivered, rejects on failure
+   */
+  // eslint-disable-next-line no-unused-vars -- documents the interface
+  async send(event, channel) {
+    throw new Error(`Notifier "${this.type}" does not implement send()`);
+  }
+}
@@ -0,0 +1,23 @@
+import { appendFile, mkdir } from "fs/promises";
+import path from "path";
+import { BaseNotifier } from "./BaseNotifier.js";
+
+const DEFAULT_FILE_PATH = process.env.ALERTS_FILE_PATH || "./logs/alerts.jsonl";
+
+/**
+ * File Notifier
+ * Appends each alert event as one JSON line to the channel target file
+ * (default: ALERTS_FILE_PATH or ./logs/alerts.jsonl).
+ */
+export class FileNotifier extends BaseNotifier {
+  constructor({ defaultPath = DEFAULT_FILE_PATH } = {}) {
+    super("file");
+    this.defaultPath = defaultPath;
+  }
+
+  async send(event, channel) {
+    const filePath = channel.target || this.defaultPath;
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await appendFile(filePath, `${JSON.stringify(event)}\n`, "utf8");
+  }
+}
@@ -0,0 +1,62 @@
+import { writeFile, mkdir } from "fs/promises";
+import path from "path";
+import { BaseNotifier } from "./BaseNotifier.js";
+
+const DEFAULT_OUTBOX_DIR = process.env.ALERTS_SMTP_OUTBOX_DIR || "./logs/alerts-outbox";
+const DEFAULT_FROM = process.env.ALERTS_SMTP_FROM || "alerts@buydy.local";
+
+/**
+ * SMTP Stub Notifier
+ * Formats the e-mail an SMTP notifier would send and writes it as an .eml file to an
+ * outbox directory instead of talking to a mail server. Swap in a real SMTP notifier
+ * with registerNotifier("smtp", ...) once one is configured.
+ */
+export class SmtpStubNotifier extends BaseNotifier {
+  constructor({ outboxDir = DEFAULT_OUTBOX_DIR, from = DEFAULT_FROM } = {}) {
+    super("smtp");
+    this.outboxDir = outboxDir;
+    this.from = from;
+  }
+
+  /**
+   * Build the raw message
+   * @param {Object} event - Alert event
+   * @param {string} to - Recipient address
+   * @returns {string} RFC 5322 style message
+   */
+  formatMessage(event, to) {
+    const triggeredAt = new Date(event.triggeredAt || Date.now());
+    return [
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Date: ${triggeredAt.toUTCString()}`,
+      `Subject: [Buydy alert] ${event.alertName}: ${event.symbol}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      event.description || event.alertName,
+      "",
+      `Symbol: ${event.symbol}`,
+      `Metric: ${event.metric} (${event.source})`,
+      `Value: ${event.value}`,
+      `Previous value: ${event.previousValue ?? "n/a"}`,
+      `Threshold: ${event.threshold}`,
+      `Triggered at: ${triggeredAt.toISOString()}`,
+      "",
+    ].join("\r\n");
+  }
+
+  async send(event, channel) {
+    if (!channel.target) {
+      throw new Error("SMTP channel requires a target e-mail address");
+    }
+
+    await mkdir(this.outboxDir, { recursive: true });
+    const safeSymbol = String(event.symbol).replace(/[^A-Za-z0-9.-]/g, "_");
+    const fileName = `${Date.now()}-${safeSymbol}-${Math.random().toString(36).slice(2, 8)}.eml`;
+    await writeFile(
+      path.join(this.outboxDir, fileName),
+      this.formatMessage(event, channel.target),
+      "utf8"
+    );
+  }
+}
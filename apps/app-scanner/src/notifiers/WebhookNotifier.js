@@ -0,0 +1,31 @@
+import { BaseNotifier } from "./BaseNotifier.js";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Webhook Notifier
+ * POSTs the alert event as JSON to the channel target URL.
+ */
+export class WebhookNotifier extends BaseNotifier {
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super("webhook");
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(event, channel) {
+    if (!channel.target) {
+      throw new Error("Webhook channel requires a target URL");
+    }
+
+    const response = await fetch(channel.target, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: "alert.triggered", event }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
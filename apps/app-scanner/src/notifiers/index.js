@@ -0,0 +1,74 @@
+/**
+ * Alert Notifiers
+ *
+ * Registry of notifiers keyed by channel type. Ships with webhook, file and SMTP-stub
+ * notifiers; additional channels can be plugged in with registerNotifier().
+ */
+
+import { BaseNotifier } from "./BaseNotifier.js";
+import { WebhookNotifier } from "./WebhookNotifier.js";
+import { FileNotifier } from "./FileNotifier.js";
+import { SmtpStubNotifier } from "./SmtpStubNotifier.js";
+
+export { BaseNotifier, WebhookNotifier, FileNotifier, SmtpStubNotifier };
+
+const notifiers = new Map([
+  ["webhook", new WebhookNotifier()],
+  ["file", new FileNotifier()],
+  ["smtp", new SmtpStubNotifier()],
+]);
+
+/**
+ * Register (or replace) the notifier for a channel type
+ * @param {string} type - Channel type stored on alert rules
+ * @param {BaseNotifier} notifier - Notifier implementation
+ */
+export function registerNotifier(type, notifier) {
+  if (!(notifier instanceof BaseNotifier)) {
+    throw new Error(`Notifier for "${type}" must extend BaseNotifier`);
+  }
+  notifiers.set(type, notifier);
+}
+
+/**
+ * Get the notifier for a channel type
+ * @param {string} type - Channel type
+ * @returns {BaseNotifier|null}
+ */
+export function getNotifier(type) {
+  return notifiers.get(type) || null;
+}
+
+/**
+ * Send an alert event to every channel of its rule
+ * Delivery failures are captured per channel and never thrown.
+ * @param {Object} event - Alert event
+ * @param {Array<{type: string, target: string}>} channels - Alert rule channels
+ * @returns {Promise<Array<Object>>} Notification results ({ channel, target, status, error, sentAt })
+ */
+export async function dispatchAlertNotifications(event, channels = []) {
+  return Promise.all(
+    channels.map(async (channel) => {
+      const result = {
+        channel: channel.type,
+        target: channel.target || "",
+        status: "sent",
+        error: null,
+        sentAt: new Date(),
+      };
+
+      try {
+        const notifier = getNotifier(channel.type);
+        if (!notifier) {
+          throw new Error(`No notifier registered for channel "${channel.type}"`);
+        }
+        await notifier.send(event, channel);
+      } catch (error) {
+        result.status = "failed";
+        result.error = error.message;
+      }
+
+      return result;
+    })
+  );
+}
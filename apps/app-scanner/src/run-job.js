@@ -43,12 +43,14 @@ process.on("unhandledRejection", (reason, promise) => {
 /**
  * Run a job module
  * @param {string} jobPath - Path to the job file (relative to src/)
+ * @param {Object} [options]
+ * @param {string} [options.universe] - Universe id passed to jobs that select stocks (e.g. 'mid-cap')
  */
-async function runJob(jobPath) {
+async function runJob(jobPath, { universe } = {}) {
   const startTime = Date.now();
 
   try {
-    logger.business("🚀 Running job", { jobPath });
+    logger.business("🚀 Running job", { jobPath, universe });
     logger.debug("📋 Environment variables", {
       mongoHost: process.env.MONGO_HOST ? "Set" : "Missing",
       eodhdApiToken: process.env.API_EODHD_API_TOKEN ? "Set" : "Missing",
@@ -119,7 +121,7 @@ async function runJob(jobPath) {
       result: null,
       error: null,
       logs: [],
-      metadata: {},
+      metadata: universe ? { universe } : {},
       cronExpression: "0 0 0 1 1 *", // Dummy cron
       timezone: "UTC",
       nextRun: null,
@@ -177,7 +179,7 @@ async function runJob(jobPath) {
 
     try {
       // Execute the job function with proper tracking
-      const result = await jobFunction({ progress, appendLog });
+      const result = await jobFunction({ progress, appendLog, universe });
 
       // Mark as completed
       await jobRecord.markAsCompletedAtomic(result);
@@ -231,12 +233,16 @@ async function runJob(jobPath) {
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const jobPath = args[0];
+const jobPath = args.find((arg) => !arg.startsWith("--"));
+const universe = args.find((arg) => arg.startsWith("--universe="))?.split("=")[1];
 
 if (!jobPath) {
-  logger.business("❌ Usage: node run-job.js <job-path>");
+  logger.business("❌ Usage: node run-job.js <job-path> [--universe=<id>]");
   logger.debug("Example: node run-job.js jobs/large-cap/fundamentals/syncFundamentalsLargeCap.js");
+  logger.debug(
+    "Example: node run-job.js jobs/large-cap/prices/syncPricesLargeCap.js --universe=mid-cap"
+  );
   process.exit(1);
 }
 
-runJob(jobPath);
+runJob(jobPath, { universe });
@@ -0,0 +1,249 @@
+/**
+ * EODHD Credit Budget Utilities
+ *
+ * Proactive side of EODHD budgeting (EODHDLimitManager only reacts to a 402). Executors run
+ * every job in a credit account (runWithJobCredits) and store what it was allowed, projected
+ * and actually spent on its `jobs` record as `metadata.credits`. Jobs that loop over symbols
+ * call fitUniverseToCreditBudget before the loop: stale symbols beyond the job's remaining quota
+ * are deferred to a later run, smallest market cap first, instead of the job running into the
+ * daily limit mid-cycle. Jobs with other units of work (e.g. currencies) call
+ * planJobCreditBudget and defer what the plan does not allow themselves.
+ *
+ * Configured with EODHD_DAILY_CREDIT_BUDGET (0 turns planning off) and
+ * EODHD_CREDIT_RESERVE_RATIO; quotas come from `credits.share` in jobTypes.json.
+ */
+
+import { getModel } from "@buydy/se-db";
+import { resolveCreditBudget, getMaxAgeCutoff, planJobCredits } from "@buydy/iso-business-types";
+import {
+  createCreditAccount,
+  runWithCreditAccount,
+  getCurrentCreditAccount,
+  getOpenCreditAccounts,
+} from "@buydy/se-eodhd";
+import logger from "@buydy/se-logger";
+import { buildSymbolKey } from "./devModeFilter.js";
+
+/**
+ * Daily credit budget of this process
+ * @returns {Object} { dailyCredits, reserveRatio, allocatable, enabled }
+ */
+export function getCreditBudgetConfig() {
+  return resolveCreditBudget({
+    dailyCredits: process.env.EODHD_DAILY_CREDIT_BUDGET,
+    reserveRatio: process.env.EODHD_CREDIT_RESERVE_RATIO,
+  });
+}
+
+/**
+ * Start of the current EODHD billing day (EODHD resets its counters at midnight UTC)
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getCreditDayStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Credits spent today: finished attempts from their `jobs` records, running jobs from their
+ * open credit accounts
+ * @param {string} jobName - Job whose own spend is reported as jobSpentToday
+ * @returns {Promise<Object>} { spentToday, jobSpentToday }
+ */
+export async function getCreditsSpentToday(jobName) {
+  let spentToday = 0;
+  let jobSpentToday = 0;
+
+  try {
+    const Jobs = getModel("jobs");
+    const spentByJob = await Jobs.aggregate([
+      {
+        $match: {
+          startedAt: { $gte: getCreditDayStart() },
+          "metadata.credits.actual": { $gt: 0 },
+        },
+      },
+      { $group: { _id: "$name", credits: { $sum: "$metadata.credits.actual" } } },
+    ]);
+    for (const { _id, credits } of spentByJob) {
+      spentToday += credits;
+      if (_id === jobName) jobSpentToday += credits;
+    }
+  } catch (error) {
+    logger.debug(`[${jobName}] Failed to read today's credit spend`, { error: error.message });
+  }
+
+  for (const account of getOpenCreditAccounts()) {
+    spentToday += account.credits;
+    if (account.name === jobName) jobSpentToday += account.credits;
+  }
+
+  return { spentToday, jobSpentToday };
+}
+
+/**
+ * Run a job attempt in a credit account and store its spend on the attempt's record
+ * @param {string} jobName - Job name (jobTypes.json id)
+ * @param {Object|null} jobRecord - Jobs document of the attempt
+ * @param {Function} fn - Starts the job, () => Promise
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the attempt's EODHD requests once aborted
+ * @returns {Promise<*>} The job result
+ */
+export async function runWithJobCredits(jobName, jobRecord, fn, { signal } = {}) {
+  const account = createCreditAccount(jobName, { signal });
+  try {
+    return await runWithCreditAccount(account, fn);
+  } finally {
+    // Jobs that never called EODHD keep their records free of credit metadata
+    if (jobRecord?._id && (account.requests > 0 || account.plan)) {
+      const credits = {
+        quota: account.plan?.quota ?? null,
+        projected: account.plan?.projected ?? null,
+        deferred: account.plan?.deferredSymbols ?? 0,
+        actual: account.credits,
+        requests: account.requests,
+        byEndpoint: account.byEndpoint,
+      };
+      try {
+        await getModel("jobs").updateOne(
+          { _id: jobRecord._id },
+          { $set: { "metadata.credits": credits } }
+        );
+      } catch (error) {
+        logger.debug(`[${jobName}] Failed to store credit usage`, { error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Symbols of the universe, most important first: by market cap when known, otherwise by their
+ * position in the exchange's list (interleaving exchanges)
+ * @param {Array<Object>} exchanges - [{ exchangeCode, symbols }]
+ * @returns {Array<Object>} [{ symbol, exchangeCode }]
+ */
+export function rankSymbolsByPriority(exchanges) {
+  const capOf = (symbol) => (Number.isFinite(symbol.cap) ? symbol.cap : -1);
+  return exchanges
+    .flatMap(({ exchangeCode, symbols }) =>
+      symbols.map((symbol, position) => ({ symbol, exchangeCode, position }))
+    )
+    .sort((a, b) => capOf(b.symbol) - capOf(a.symbol) || a.position - b.position)
+    .map(({ symbol, exchangeCode }) => ({ symbol, exchangeCode }));
+}
+
+/**
+ * Symbols of a collection whose data is fresh (and so cost no credits to skip)
+ * @param {Object} Model - Mongoose model keyed by `symbol`
+ * @param {Array<string>} symbolKeys - e.g. ["AAPL.US"]
+ * @param {Object} options
+ * @param {number} options.maxAgeDays - Freshness window of the job
+ * @param {string} [options.field="lastUpdated"] - Date field of the last sync
+ * @returns {Promise<Set<string>>}
+ */
+export async function findFreshSymbols(Model, symbolKeys, { maxAgeDays, field = "lastUpdated" }) {
+  if (symbolKeys.length === 0) return new Set();
+  const fresh = await Model.distinct("symbol", {
+    symbol: { $in: symbolKeys },
+    [field]: { $gte: getMaxAgeCutoff(maxAgeDays) },
+  });
+  return new Set(fresh);
+}
+
+/**
+ * Plan a job's spend on its stale items and attach the plan to the job's credit account
+ * @param {string} jobName - Job name (jobTypes.json id)
+ * @param {number} staleCount - Items the job would call EODHD for
+ * @param {Object} [options]
+ * @param {number} [options.fixedCredits=0] - Spend that does not depend on the stale items
+ * @param {string} [options.unit="symbols"] - Name of the items in the log
+ * @param {Function} [options.log] - Job log
+ * @returns {Promise<Object|null>} The plan from planJobCredits, null when planning is off
+ */
+export async function planJobCreditBudget(
+  jobName,
+  staleCount,
+  { fixedCredits = 0, unit = "symbols", log = (msg) => logger.business(msg) } = {}
+) {
+  const budget = getCreditBudgetConfig();
+  if (!budget.enabled) {
+    return null;
+  }
+
+  const plan = planJobCredits({
+    job: jobName,
+    staleSymbols: staleCount,
+    fixedCredits,
+    dailyCredits: budget.dailyCredits,
+    reserveRatio: budget.reserveRatio,
+    ...(await getCreditsSpentToday(jobName)),
+  });
+
+  const account = getCurrentCreditAccount();
+  if (account && account.name === jobName) {
+    account.plan = plan;
+  }
+
+  log(
+    `💳 Credit budget: ${staleCount} stale ${unit} × ${plan.perSymbol}${
+      fixedCredits > 0 ? ` + ${fixedCredits} fixed` : ""
+    } = ${plan.estimated} credits estimated, ${plan.available} available${
+      plan.quota !== null ? ` (quota ${plan.quota})` : ""
+    }`
+  );
+  return plan;
+}
+
+/**
+ * Drop the stale symbols a job cannot afford today, least important first
+ * @param {string} jobName - Job name (jobTypes.json id)
+ * @param {Array<Object>} exchanges - [{ exchangeCode, symbols }] the job is about to process
+ * @param {Object} options
+ * @param {Function} options.findFresh - async (symbolKeys) => Set of the keys the job will skip,
+ *   e.g. keys => findFreshSymbols(Dividends, keys, { maxAgeDays })
+ * @param {Function} [options.symbolKey] - (symbol, exchangeCode) => key (default: buildSymbolKey)
+ * @param {number} [options.fixedCredits=0] - Spend that does not depend on the stale symbols
+ * @param {Function} [options.log] - Job log
+ * @returns {Promise<Object>} { exchanges, plan, deferred }: exchanges without the deferred
+ *   symbols, the plan from planJobCredits (null when planning is off) and the deferred keys
+ */
+export async function fitUniverseToCreditBudget(
+  jobName,
+  exchanges,
+  { findFresh, symbolKey = buildSymbolKey, fixedCredits = 0, log = (msg) => logger.business(msg) }
+) {
+  if (!getCreditBudgetConfig().enabled) {
+    return { exchanges, plan: null, deferred: [] };
+  }
+
+  const ranked = rankSymbolsByPriority(exchanges).map((entry) => ({
+    ...entry,
+    key: symbolKey(entry.symbol, entry.exchangeCode),
+  }));
+  const freshSymbols = await findFresh(ranked.map(({ key }) => key));
+  const stale = ranked.filter(({ key }) => !freshSymbols.has(key));
+  const plan = await planJobCreditBudget(jobName, stale.length, { fixedCredits, log });
+  if (!plan.degraded) {
+    return { exchanges, plan, deferred: [] };
+  }
+
+  const deferred = stale.slice(plan.allowedSymbols).map(({ key }) => key);
+  const deferredSet = new Set(deferred);
+  log(
+    `💳 Over budget: refreshing the ${plan.allowedSymbols} largest stale symbols, deferring ${
+      deferred.length
+    } to a later run (${deferred.slice(0, 5).join(", ")}${deferred.length > 5 ? ", ..." : ""})`
+  );
+
+  return {
+    exchanges: exchanges.map((exchange) => ({
+      ...exchange,
+      symbols: exchange.symbols.filter(
+        (symbol) => !deferredSet.has(symbolKey(symbol, exchange.exchangeCode))
+      ),
+    })),
+    plan,
+    deferred,
+  };
+}
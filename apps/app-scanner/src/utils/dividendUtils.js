@@ -15,6 +15,7 @@ import {
   sortByDate,
   parseDate,
 } from "@buydy/iso-js";
+import { normalizeSplits, getSplitFactor } from "./splitUtils.js";
 
 /**
  * Enhanced dividend history cleaning with better special dividend detection and outlier handling
@@ -23,10 +24,18 @@ import {
  * @param {boolean} options.removeSpecials - Remove special dividends (default: true)
  * @param {boolean} options.removeOutliers - Remove outliers using IQR (default: true)
  * @param {boolean} options.useAdjustedValues - Prefer adjusted values when available (default: true)
+ * @param {Array} options.splits - Split events for the symbol (splits collection); payments dated
+ *   before a split are restated from unadjustedValue on today's share basis (default: [])
  * @returns {Object} Object with {cleaned: array, stats: object, flags: object}
  */
 export function cleanDividendHistory(history = [], options = {}) {
-  const { removeSpecials = true, removeOutliers = true, useAdjustedValues = true } = options;
+  const {
+    removeSpecials = true,
+    removeOutliers = true,
+    useAdjustedValues = true,
+    splits = [],
+  } = options;
+  const splitEvents = normalizeSplits(splits);
 
   if (!Array.isArray(history) || history.length === 0) {
     return {
@@ -36,12 +45,14 @@ export function cleanDividendHistory(history = [], options = {}) {
         removedSpecials: 0,
         removedOutliers: 0,
         removedInvalid: 0,
+        splitAdjusted: 0,
         finalCount: 0,
       },
       flags: {
         hasSpecials: false,
         hasOutliers: false,
         hasCurrencyMismatch: false,
+        splitAdjusted: false,
       },
     };
   }
@@ -50,6 +61,7 @@ export function cleanDividendHistory(history = [], options = {}) {
   const cleaned = [];
   let removedSpecials = 0;
   let removedInvalid = 0;
+  let splitAdjusted = 0;
   const values = [];
 
   // First pass: clean and collect values
@@ -67,7 +79,15 @@ export function cleanDividendHistory(history = [], options = {}) {
     const val = Number(d?.value ?? d?.Value ?? 0);
     const adjustedVal =
       useAdjustedValues && Number.isFinite(d?.adjustedValue) ? Number(d.adjustedValue) : val;
-    const finalValue = useAdjustedValues && Number.isFinite(adjustedVal) ? adjustedVal : val;
+    let finalValue = useAdjustedValues && Number.isFinite(adjustedVal) ? adjustedVal : val;
+
+    // Restate payments made before a split from the raw amount, so the series does not
+    // depend on whether the provider already adjusted it
+    const splitFactor = getSplitFactor(date, splitEvents);
+    const unadjustedVal = Number(d?.unadjustedValue);
+    if (splitFactor !== 1 && unadjustedVal > 0) {
+      finalValue = unadjustedVal / splitFactor;
+    }
 
     const duplicateKey = `${dateKey}_${finalValue}`;
     if (seen.has(duplicateKey)) {
@@ -100,9 +120,13 @@ export function cleanDividendHistory(history = [], options = {}) {
       continue;
     }
 
-    // Verify stock split adjustment consistency
+    // Verify stock split adjustment consistency (known splits explain large ratios)
     let splitAdjustmentFlagged = false;
-    if (Number.isFinite(d?.unadjustedValue) && Number.isFinite(d?.adjustedValue)) {
+    if (
+      splitFactor === 1 &&
+      Number.isFinite(d?.unadjustedValue) &&
+      Number.isFinite(d?.adjustedValue)
+    ) {
       const unadj = Number(d.unadjustedValue);
       const adj = Number(d.adjustedValue);
       if (unadj > 0 && adj > 0) {
@@ -121,10 +145,16 @@ export function cleanDividendHistory(history = [], options = {}) {
       period: d?.period || d?.Period || null,
       currency: d?.currency || d?.Currency || null,
       unadjustedValue: Number.isFinite(d?.unadjustedValue) ? d.unadjustedValue : null,
-      adjustedValue: Number.isFinite(d?.adjustedValue) ? d.adjustedValue : null,
+      adjustedValue:
+        splitFactor !== 1 ? finalValue : Number.isFinite(d?.adjustedValue) ? d.adjustedValue : null,
+      splitFactor,
       splitAdjustmentFlagged: splitAdjustmentFlagged,
     });
 
+    if (splitFactor !== 1) {
+      splitAdjusted++;
+    }
+
     values.push(finalValue);
   }
 
@@ -158,12 +188,14 @@ export function cleanDividendHistory(history = [], options = {}) {
       removedSpecials,
       removedOutliers,
       removedInvalid,
+      splitAdjusted,
       finalCount: cleaned.length,
     },
     flags: {
       hasSpecials: removedSpecials > 0,
       hasOutliers: hasOutliers,
       hasCurrencyMismatch: false, // Will be checked separately
+      splitAdjusted: splitAdjusted > 0,
     },
   };
 }
@@ -395,6 +427,9 @@ export function buildDividendQualityFlags(
 
   return {
     ...flags,
+    // Informational, not an issue: values before a split were restated on today's share basis
+    isSplitAdjusted: cleanedResult?.flags?.splitAdjusted || false,
+    splitAdjustedCount: cleanedResult?.stats?.splitAdjusted || 0,
     qualityScore: clamp(qualityScore, 0, 1),
     issueCount: issues,
   };
@@ -0,0 +1,90 @@
+/**
+ * FX Utilities
+ *
+ * Cached currency → base currency rates for scanner jobs. Rates come from the stored daily
+ * closes (fx_rates, see syncFxRates); the live EODHD forex API is only asked for currencies
+ * that were never synced.
+ */
+
+import { normalizeCurrencyCode } from "@buydy/iso-business-types/src/currencyUtils.js";
+import { createFxConverter } from "@buydy/se-db/src/utils/fxService.js";
+
+export const FX_BASE_CURRENCY = "USD";
+
+/**
+ * Create a resolver of conversion rates into a base currency
+ * Rates are cached for the lifetime of the resolver. When a rate cannot be resolved the
+ * resolver falls back to 1 and flags the result with `fallback: true`.
+ * @param {Object|null} client - EODHDCacheClient (or any object exposing eodhdClient.forex) for
+ *   currencies without stored rates; null to use stored rates only
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency] - Target currency (default: USD)
+ * @param {Date|string} [options.date] - Day of the rates (default: latest stored)
+ * @param {Function} [options.log] - Logger for failed lookups
+ * @returns {Function} async (currencyCode) => { rate, sourceCurrency, targetCurrency, source?, timestamp?, fallback? }
+ */
+export function createFxRateResolver(client, { baseCurrency = FX_BASE_CURRENCY, date, log } = {}) {
+  const targetCurrency = normalizeCurrencyCode(baseCurrency) || FX_BASE_CURRENCY;
+  const fx = createFxConverter();
+  const cache = new Map();
+
+  return async (currencyCode) => {
+    const sourceCurrency = normalizeCurrencyCode(currencyCode);
+    if (!sourceCurrency || sourceCurrency === targetCurrency) {
+      return { rate: 1, sourceCurrency: targetCurrency, targetCurrency };
+    }
+
+    if (cache.has(sourceCurrency)) {
+      return cache.get(sourceCurrency);
+    }
+
+    try {
+      const stored = await fx.getRate(sourceCurrency, targetCurrency, date);
+      if (stored) {
+        const info = {
+          rate: stored.rate,
+          sourceCurrency,
+          targetCurrency,
+          source: "stored",
+          timestamp: stored.date,
+        };
+        cache.set(sourceCurrency, info);
+        return info;
+      }
+
+      // Historical lookups must not fall back to today's live rate
+      if (date || !client?.eodhdClient?.forex) {
+        throw new Error("no stored rate");
+      }
+
+      const conversion = await client.eodhdClient.forex.convertCurrency(
+        1,
+        sourceCurrency,
+        targetCurrency
+      );
+      const exchangeRate = Number(conversion?.exchangeRate);
+      const convertedAmount = Number(conversion?.convertedAmount);
+      const rateCandidate =
+        Number.isFinite(exchangeRate) && exchangeRate > 0
+          ? exchangeRate
+          : Number.isFinite(convertedAmount) && convertedAmount > 0
+          ? convertedAmount
+          : 1;
+
+      const info = {
+        rate: rateCandidate,
+        sourceCurrency,
+        targetCurrency,
+        source: "live",
+        timestamp: conversion?.timestamp || new Date().toISOString(),
+      };
+      cache.set(sourceCurrency, info);
+      return info;
+    } catch (error) {
+      if (log) {
+        log(`   ⚠️  Failed to resolve FX rate for ${sourceCurrency}: ${error.message}`);
+      }
+      return { rate: 1, sourceCurrency, targetCurrency, fallback: true };
+    }
+  };
+}
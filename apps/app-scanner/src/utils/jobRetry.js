@@ -0,0 +1,174 @@
+/**
+ * Job Retry Utilities
+ *
+ * Shared by JobScheduler, makeJob, the cycled list and "Run now" commands to apply the retry and timeout policy of
+ * a job (see getJobExecutionPolicy in iso-business-types). Every attempt gets its own `jobs`
+ * record: a failed attempt links to the next one through `metadata.nextAttemptId`, and the next
+ * one waits in `retrying` status until its backoff delay has passed.
+ *
+ * A timeout aborts the attempt's AbortSignal (its EODHD requests fail from then on) but cannot
+ * stop code that is already running, so timeouts are never retried: a retry would run the job
+ * twice at once.
+ */
+
+import { getModel } from "@buydy/se-db";
+import { getJobExecutionPolicy, getRetryDelayMs } from "@buydy/iso-business-types";
+import { runWithJobCredits } from "./creditBudget.js";
+
+export { getJobExecutionPolicy, getRetryDelayMs };
+
+export class JobTimeoutError extends Error {
+  /**
+   * @param {string} jobName
+   * @param {number} timeoutMs
+   * @param {Promise} [running] - Settles once the abandoned attempt has really stopped
+   */
+  constructor(jobName, timeoutMs, running = Promise.resolve()) {
+    super(`Job ${jobName} timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = "JobTimeoutError";
+    this.retryable = false;
+    this.running = running;
+  }
+}
+
+/**
+ * Whether a failed attempt may be retried (timeouts may not, see JobTimeoutError)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableJobError = (error) => error?.retryable !== false;
+
+/**
+ * Run a job attempt, failing with JobTimeoutError once the timeout passes
+ * @param {Function} run - Starts the attempt, (signal) => Promise; the AbortSignal is aborted
+ *   with the JobTimeoutError on timeout
+ * @param {number} timeoutMs - Timeout of the job
+ * @param {string} jobName - For the error message
+ * @returns {Promise<*>} The job result
+ */
+export async function withJobTimeout(run, timeoutMs, jobName) {
+  const controller = new AbortController();
+  const attempt = (async () => run(controller.signal))();
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const running = attempt.then(
+        () => {},
+        () => {}
+      );
+      const error = new JobTimeoutError(jobName, timeoutMs, running);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([attempt, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export const waitForRetry = (delayMs) => new Promise((resolve) => setTimeout(resolve, delayMs));
+
+/**
+ * Create the `jobs` record of the next attempt and link the failed attempt to it
+ * @param {Object} failedRecord - Jobs document of the attempt that failed
+ * @param {Object} retry - { attempt, maxAttempts, delayMs }: attempt is the 1-based number of the
+ *   new attempt
+ * @returns {Promise<Object>} The new record, status 'retrying' and scheduled after the delay
+ */
+export async function createRetryAttemptRecord(failedRecord, { attempt, maxAttempts, delayMs }) {
+  const Jobs = getModel("jobs");
+  const metadata = failedRecord.metadata || {};
+
+  const retryRecord = new Jobs({
+    name: failedRecord.name,
+    displayName: failedRecord.displayName,
+    machineName: failedRecord.machineName,
+    status: "retrying",
+    scheduledAt: new Date(Date.now() + delayMs),
+    startedAt: null,
+    endedAt: null,
+    progress: 0,
+    result: null,
+    error: null,
+    logs: [],
+    metadata: {
+      ...metadata,
+      attempt,
+      maxAttempts,
+      retryDelayMs: delayMs,
+      previousAttemptId: failedRecord._id,
+      firstAttemptId: metadata.firstAttemptId || failedRecord._id,
+    },
+    cronExpression: failedRecord.cronExpression,
+    timezone: failedRecord.timezone,
+  });
+  await retryRecord.save();
+
+  await Jobs.updateOne(
+    { _id: failedRecord._id },
+    { $set: { "metadata.nextAttemptId": retryRecord._id } }
+  );
+  return retryRecord;
+}
+
+/**
+ * Run a job with the retry and timeout policy of the job in jobTypes.json (the attempt loop of
+ * the cycled list and of "Run now" commands). Each attempt runs in a credit account with an
+ * AbortSignal that its timeout aborts. A failed attempt is marked failed and retried on a new
+ * linked record after its backoff delay; the last failure, a timeout, or a failure for which
+ * `shouldStopRetrying` returns true (checked before and after the delay) is thrown for the
+ * caller to record on the current attempt's record.
+ * @param {string} jobName - Job name (jobTypes.json id)
+ * @param {Object} jobRecord - Record of the current attempt
+ * @param {Function} start - Starts an attempt, (signal) => Promise
+ * @param {Object} [options]
+ * @param {Function} [options.shouldStopRetrying] - (error) => boolean
+ * @param {Function} [options.onRetry] - (retryRecord, error, delayMs) => void|Promise, called
+ *   once the next attempt's record exists
+ * @returns {Promise<*>} The job result
+ */
+export async function runJobWithRetries(
+  jobName,
+  jobRecord,
+  start,
+  { shouldStopRetrying = () => false, onRetry = () => {} } = {}
+) {
+  const policy = getJobExecutionPolicy(jobName);
+  let attempt = jobRecord.metadata?.attempt || 1;
+
+  for (;;) {
+    try {
+      return await withJobTimeout(
+        (signal) => runWithJobCredits(jobName, jobRecord, () => start(signal), { signal }),
+        policy.timeoutMs,
+        jobName
+      );
+    } catch (error) {
+      if (
+        attempt >= policy.maxAttempts ||
+        !isRetryableJobError(error) ||
+        shouldStopRetrying(error)
+      ) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelayMs(policy, attempt);
+      await jobRecord.markAsFailedAtomic(error);
+      attempt++;
+      jobRecord = await createRetryAttemptRecord(jobRecord, {
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        delayMs,
+      });
+      await onRetry(jobRecord, error, delayMs);
+
+      await waitForRetry(delayMs);
+      if (shouldStopRetrying(error)) {
+        throw error;
+      }
+      await jobRecord.markAsRunning();
+    }
+  }
+}
@@ -13,7 +13,9 @@ import {
   sortByDate,
   findMostRecentValidPoint,
   findValidPointNPointsAgo,
+  parseDate,
 } from "@buydy/iso-js";
+import { adjustBarsForSplits } from "./splitUtils.js";
 
 /**
  * Find the most recent trading day in historical data
@@ -118,10 +120,13 @@ export function validatePriceDataQuality(historicalData = []) {
  * @param {string} symbol - Stock symbol
  * @param {Array} historicalData - Historical price data (1 year recommended)
  * @param {Object} options - Calculation options
+ * @param {Array} options.splits - Split events for the symbol (splits collection); bars before a
+ *   split inside the series are restated from close on today's share basis (default: [])
  * @returns {Object} Price changes for all periods with metadata
  */
 export function calculateAllPriceChanges(historicalData = [], options = {}) {
   const {
+    splits = [],
     useAdjustedPrices = true,
     minTradingDays = {
       "1W": 4, // At least 4 trading days for 1 week
@@ -147,19 +152,23 @@ export function calculateAllPriceChanges(historicalData = [], options = {}) {
     },
   };
 
+  // Restate pre-split bars first so the split itself is not seen as a price move
+  const { bars, splitAdjusted } = adjustBarsForSplits(historicalData, splits);
+
   // Validate data quality
-  const qualityCheck = validatePriceDataQuality(historicalData);
+  const qualityCheck = validatePriceDataQuality(bars);
   result.metadata.dataQuality = qualityCheck;
-  result.metadata.flags = qualityCheck.flags;
+  result.metadata.flags = { ...qualityCheck.flags, splitAdjusted };
 
   if (!qualityCheck.isValid) {
     return result;
   }
 
   // Normalize and prepare data
-  const normalized = historicalData.map((day) => ({
+  const normalized = bars.map((day) => ({
     ...day,
-    date: day?.date ?? day?.Date ?? day.date,
+    // EODHD and stored bars carry 'YYYY-MM-DD' strings
+    date: parseDate(day?.date ?? day?.Date),
     close: Number(day?.close ?? 0),
     adjusted_close:
       useAdjustedPrices && Number.isFinite(day?.adjusted_close)
@@ -168,8 +177,8 @@ export function calculateAllPriceChanges(historicalData = [], options = {}) {
   }));
 
   // Use shared sortByDate function
-  const sorted = sortByDate(normalized, "date", true).filter((day) =>
-    isPositiveNumber(day.adjusted_close)
+  const sorted = sortByDate(normalized, "date", true).filter(
+    (day) => day.date && isPositiveNumber(day.adjusted_close)
   );
 
   if (sorted.length < 2) {
@@ -210,24 +219,3 @@ export function calculateAllPriceChanges(historicalData = [], options = {}) {
 
   return result;
 }
-
-/**
- * Convert price changes to USD if needed
- * @param {Object} priceChanges - Price changes object
- * @param {string} currency - Original currency code
- * @param {number} fxRate - FX conversion rate (1 if same currency)
- * @returns {Object} Price changes with USD conversion info
- */
-export function normalizePriceChangesCurrency(priceChanges, currency, fxRate = 1) {
-  // Price changes are percentages, so they don't need conversion
-  // But we store FX info for reference
-  return {
-    ...priceChanges,
-    metadata: {
-      ...priceChanges.metadata,
-      currency: currency,
-      fxRate: fxRate,
-      baseCurrency: "USD",
-    },
-  };
-}
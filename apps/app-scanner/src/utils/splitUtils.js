@@ -0,0 +1,103 @@
+/**
+ * Stock Split Utilities
+ *
+ * Parses EODHD split events and computes the factor that puts a value dated before
+ * one or more splits on today's share basis (value / factor).
+ */
+
+import { parseDate } from "@buydy/iso-js";
+
+/**
+ * Parse an EODHD split ratio string
+ * @param {string} split - Ratio as 'new/old' (e.g., '4.000000/1.000000' for a 4-for-1 split)
+ * @returns {number|null} New shares per old share, or null if unparseable
+ */
+export function parseSplitRatio(split) {
+  const [numerator, denominator] = String(split ?? "")
+    .split("/")
+    .map(Number);
+  if (!(numerator > 0) || !(denominator > 0)) {
+    return null;
+  }
+  return numerator / denominator;
+}
+
+/**
+ * Normalize raw or stored split events
+ * @param {Array} splits - EODHD /splits rows ({ date, split }) or stored events ({ date, split, ratio })
+ * @returns {Array} [{ date: 'YYYY-MM-DD', split, ratio }] oldest first, without no-op or invalid rows
+ */
+export function normalizeSplits(splits = []) {
+  if (!Array.isArray(splits)) {
+    return [];
+  }
+
+  const byDate = new Map();
+  for (const event of splits) {
+    const date = parseDate(event?.date ?? event?.Date);
+    const ratio = Number.isFinite(event?.ratio) ? event.ratio : parseSplitRatio(event?.split);
+    if (!date || !(ratio > 0) || ratio === 1) {
+      continue;
+    }
+    const dateKey = date.toISOString().slice(0, 10);
+    byDate.set(dateKey, { date: dateKey, split: String(event.split ?? ratio), ratio });
+  }
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Cumulative ratio of every split that took effect after a date
+ * @param {string|Date} date - Date of the value being adjusted
+ * @param {Array} splits - Normalized split events (see normalizeSplits)
+ * @returns {number} Factor to divide the value by (1 when no later split)
+ */
+export function getSplitFactor(date, splits = []) {
+  const parsed = parseDate(date);
+  if (!parsed) {
+    return 1;
+  }
+  const dateKey = parsed.toISOString().slice(0, 10);
+  return splits.reduce(
+    (factor, event) => (event.date > dateKey ? factor * event.ratio : factor),
+    1
+  );
+}
+
+/**
+ * Restate daily bars on today's share basis when a split falls inside the series.
+ * Stored bars keep the adjusted_close they were downloaded with, so bars saved before
+ * a split are not restated by the provider; closes are divided by the split factor instead.
+ * @param {Array} bars - Daily bars ({ date, close, adjusted_close, ... })
+ * @param {Array} splits - Split events (raw, stored or normalized)
+ * @returns {Object} { bars, splitAdjusted } - bars unchanged when no split is inside the range
+ */
+export function adjustBarsForSplits(bars = [], splits = []) {
+  const splitEvents = normalizeSplits(splits);
+  if (!Array.isArray(bars) || bars.length === 0 || splitEvents.length === 0) {
+    return { bars, splitAdjusted: false };
+  }
+
+  const dateKeys = bars
+    .map((bar) => parseDate(bar?.date ?? bar?.Date))
+    .filter(Boolean)
+    .map((date) => date.toISOString().slice(0, 10))
+    .sort();
+  const first = dateKeys[0];
+  const last = dateKeys[dateKeys.length - 1];
+  const inRange = splitEvents.some((event) => event.date > first && event.date <= last);
+  if (!inRange) {
+    return { bars, splitAdjusted: false };
+  }
+
+  const adjusted = bars.map((bar) => {
+    const factor = getSplitFactor(bar?.date ?? bar?.Date, splitEvents);
+    const close = Number(bar?.close);
+    if (!(close > 0)) {
+      return bar;
+    }
+    return { ...bar, adjusted_close: close / factor, split_factor: factor };
+  });
+
+  return { bars: adjusted, splitAdjusted: true };
+}
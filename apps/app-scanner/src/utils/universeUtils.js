@@ -0,0 +1,23 @@
+/**
+ * Universe Utilities
+ *
+ * Jobs that select stocks take an optional `universe` id in their context (run-job.js
+ * --universe=mid-cap, or a universe's scheduled pipeline). Without one they run against
+ * the default large cap universe.
+ */
+
+import { getUniverseById, DEFAULT_UNIVERSE_ID } from "@buydy/iso-business-types";
+
+/**
+ * Resolve the universe a job runs against
+ * @param {string} [universeId] - Universe id from the job context (default: large-cap)
+ * @returns {Object} Universe definition
+ * @throws {Error} When the universe is unknown or disabled
+ */
+export function resolveJobUniverse(universeId) {
+  const universe = getUniverseById(universeId || DEFAULT_UNIVERSE_ID);
+  if (!universe) {
+    throw new Error(`Unknown universe: ${universeId}`);
+  }
+  return universe;
+}
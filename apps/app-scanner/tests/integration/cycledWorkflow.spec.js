@@ -0,0 +1,166 @@
+/**
+ * End-to-end run of the cycled list workflow against recorded EODHD responses.
+ *
+ * Runs one full cycle of CycledListInitializer (every job in createWorkflow order) against
+ * an in-memory MongoDB (mongodb-memory-server). EODHD is served from
+ * tests/fixtures/eodhd-workflow (see README.md):
+ *
+ *   yarn test                            # replays the committed recording
+ *   yarn test:workflow:record:stand-in   # records from the local EODHD stand-in
+ *   yarn test:workflow:record            # live EODHD (uses API credits)
+ *
+ * Replay needs no API token and no Mongo server, and fails on any request that was not
+ * recorded, and fails when no recording is committed.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, vi } from "vitest";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { once } from "events";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "../fixtures/eodhd-workflow");
+const MANIFEST_PATH = join(FIXTURE_DIR, "manifest.json");
+const TEST_DATABASE = "buydy_workflow_e2e";
+
+// Job limits that make up the recorded universe: the top symbol of 20 exchanges
+const DEFAULT_UNIVERSE_ENV = {
+  DEV_MODE_LIMIT: "20",
+  FUNDAMENTALS_STOCKS_PER_EXCHANGE: "1",
+};
+
+const mode = process.env.EODHD_FIXTURE_MODE || "replay";
+const isRecording = mode === "record";
+const recordFromStandIn = isRecording && process.env.EODHD_WORKFLOW_SOURCE === "stand-in";
+const manifest =
+  mode === "replay" && existsSync(MANIFEST_PATH)
+    ? JSON.parse(readFileSync(MANIFEST_PATH, "utf8"))
+    : null;
+
+if (!isRecording && !manifest) {
+  throw new Error(
+    `No recorded workflow in ${FIXTURE_DIR} - run yarn test:workflow:record:stand-in first`
+  );
+}
+
+const limitManagerStub = {
+  checkEODHDLimit: async () => false,
+  checkDailyReset: async () => true,
+  cancelExternalOperations: async () => {},
+  isLimitReached: false,
+};
+
+let db = null;
+let mongoServer = null;
+let standInServer = null;
+let recordedAt = null;
+
+describe("cycled workflow with recorded EODHD", () => {
+  beforeAll(async () => {
+    const universeEnv = manifest?.env ?? {
+      ...DEFAULT_UNIVERSE_ENV,
+      ...Object.fromEntries(
+        Object.keys(DEFAULT_UNIVERSE_ENV)
+          .filter((key) => process.env[key])
+          .map((key) => [key, process.env[key]])
+      ),
+    };
+
+    if (recordFromStandIn) {
+      const { createStandInApp } = await import("../../src/dev/eodhdStandIn/createStandInApp.js");
+      standInServer = createStandInApp({ callsPerMinute: 0 }).listen(0, "127.0.0.1");
+      await once(standInServer, "listening");
+      process.env.EODHD_BASE_URL = `http://127.0.0.1:${standInServer.address().port}/api`;
+      process.env.API_EODHD_API_TOKEN ||= "stand-in";
+      recordedAt = new Date().toISOString();
+    } else if (isRecording) {
+      const { loadEnvironmentVariables } = await import("../../src/config/envLoader.js");
+      loadEnvironmentVariables();
+      recordedAt = new Date().toISOString();
+    } else {
+      // Jobs build date ranges from "today": replay on the day of the recording
+      process.env.API_EODHD_API_TOKEN ||= "replay";
+      vi.useFakeTimers({ toFake: ["Date"], shouldAdvanceTime: true });
+      vi.setSystemTime(new Date(manifest.recordedAt));
+    }
+
+    // A fresh database per run; credentials from .env files do not apply to it
+    mongoServer = await MongoMemoryServer.create();
+    delete process.env.MONGO_USERNAME;
+    delete process.env.MONGO_PASSWORD;
+
+    // Jobs read their limits when first imported
+    Object.assign(process.env, universeEnv, {
+      EODHD_FIXTURE_MODE: mode,
+      EODHD_FIXTURE_DIR: FIXTURE_DIR,
+      MONGO_URL: mongoServer.getUri(),
+      MONGO_DATABASE: TEST_DATABASE,
+    });
+
+    const { ensureConnected, getDatabase } = await import("@buydy/se-db");
+    await ensureConnected();
+    db = await getDatabase();
+
+    const { CycledListInitializer } = await import("../../src/init/CycledListInitializer.js");
+    const initializer = new CycledListInitializer(limitManagerStub, {
+      maxCycles: 1,
+    });
+    // Resolves once the cycle has run every job and stopped
+    await initializer.initialize();
+
+    if (isRecording) {
+      const symbols = await db.collection("fundamentals").distinct("symbol");
+      writeFileSync(
+        MANIFEST_PATH,
+        `${JSON.stringify(
+          {
+            recordedAt,
+            source: recordFromStandIn ? "EODHD stand-in" : "EODHD",
+            env: universeEnv,
+            symbols: symbols.sort(),
+          },
+          null,
+          2
+        )}\n`,
+        "utf8"
+      );
+    }
+  }, 30 * 60 * 1000);
+
+  afterAll(async () => {
+    vi.useRealTimers();
+    if (db) {
+      const { closeDatabase } = await import("@buydy/se-db");
+      await closeDatabase();
+    }
+    await mongoServer?.stop();
+    if (standInServer) {
+      await new Promise((resolve) => standInServer.close(resolve));
+    }
+  }, 60000);
+
+  test("completes every workflow job", async () => {
+    const { CycledListInitializer } = await import("../../src/init/CycledListInitializer.js");
+    const workflow = new CycledListInitializer(limitManagerStub).createWorkflow();
+    const jobs = await db
+      .collection("jobs")
+      .find({ "metadata.cycleNumber": 1 })
+      .sort({ scheduledAt: 1 })
+      .toArray();
+    // Retried jobs: the latest attempt wins
+    const statusByJob = new Map(jobs.map((job) => [job.name, job.status]));
+
+    for (const { functionName, skipped } of workflow) {
+      expect(statusByJob.get(functionName), functionName).toBe(skipped ? "skipped" : "completed");
+    }
+  });
+
+  test("syncs fundamentals for the recorded universe", async () => {
+    const symbols = await db.collection("fundamentals").distinct("symbol");
+    expect(symbols.length).toBeGreaterThan(0);
+    if (manifest) {
+      expect(symbols.sort()).toEqual(manifest.symbols);
+    }
+  });
+});
@@ -1,5 +1,6 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { AuthProvider } from './contexts/AuthContext';
 import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Jobs from './pages/Jobs';
@@ -7,22 +8,34 @@ import JobHistory from './pages/JobHistory';
 import LargeCap from './pages/LargeCap';
 import EodhdUsage from './pages/EodhdUsage';
 import HeatMap from './pages/HeatMap';
+import StockDetail from './pages/StockDetail';
+import Screens from './pages/Screens';
+import Backtests from './pages/Backtests';
+import Portfolios from './pages/Portfolios';
+import SignIn from './pages/SignIn';
 
 function App() {
   return (
     <ThemeProvider>
-      <Router>
-        <Layout>
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/jobs" element={<Jobs />} />
-            <Route path="/jobs/history/:jobName" element={<JobHistory />} />
-            <Route path="/large-cap" element={<LargeCap />} />
-            <Route path="/eodhd-usage" element={<EodhdUsage />} />
-            <Route path="/heatmap" element={<HeatMap />} />
-          </Routes>
-        </Layout>
-      </Router>
+      <AuthProvider>
+        <Router>
+          <Layout>
+            <Routes>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/jobs" element={<Jobs />} />
+              <Route path="/jobs/history/:jobName" element={<JobHistory />} />
+              <Route path="/large-cap" element={<LargeCap />} />
+              <Route path="/eodhd-usage" element={<EodhdUsage />} />
+              <Route path="/heatmap" element={<HeatMap />} />
+              <Route path="/screens" element={<Screens />} />
+              <Route path="/backtests" element={<Backtests />} />
+              <Route path="/portfolios" element={<Portfolios />} />
+              <Route path="/stock/:symbol" element={<StockDetail />} />
+              <Route path="/sign-in" element={<SignIn />} />
+            </Routes>
+          </Layout>
+        </Router>
+      </AuthProvider>
     </ThemeProvider>
   );
 }
@@ -0,0 +1,266 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Play, RotateCcw, RefreshCw } from 'lucide-react';
+import { valuationApi } from '../services/api';
+
+// Inputs are edited as percentages and sent to the API as ratios
+const FIELDS = [
+  { key: 'wacc', label: 'WACC (%)', percent: true, step: '0.1' },
+  {
+    key: 'terminalGrowth',
+    label: 'Terminal growth (%)',
+    percent: true,
+    step: '0.1',
+  },
+  { key: 'horizonYears', label: 'Horizon (years)', percent: false, step: '1' },
+  {
+    key: 'revenueGrowthStart',
+    label: 'Starting growth (%)',
+    percent: true,
+    step: '0.5',
+  },
+];
+
+const formatNumber = (value, digits = 2) =>
+  value === null || value === undefined || isNaN(value)
+    ? 'N/A'
+    : Number(value).toLocaleString(undefined, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      });
+
+const formatPercent = (value) =>
+  value === null || value === undefined || isNaN(value)
+    ? 'N/A'
+    : `${(value * 100).toFixed(2)}%`;
+
+const formatMillions = (value) =>
+  value === null || value === undefined || isNaN(value)
+    ? 'N/A'
+    : formatNumber(value / 1e6, 1);
+
+const toFormValues = (assumptions = {}) =>
+  Object.fromEntries(
+    FIELDS.map((field) => {
+      const value = assumptions[field.key];
+      if (value === null || value === undefined) return [field.key, ''];
+      return [
+        field.key,
+        field.percent ? String(+(value * 100).toFixed(2)) : String(value),
+      ];
+    }),
+  );
+
+const toOverrides = (form) =>
+  Object.fromEntries(
+    FIELDS.filter((field) => form[field.key] !== '').map((field) => {
+      const value = Number(form[field.key]);
+      return [field.key, field.percent ? value / 100 : value];
+    }),
+  );
+
+const ResultColumn = ({ label, valuation }) => (
+  <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+    <div className="flex items-center justify-between">
+      <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+        {label}
+      </p>
+      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200">
+        {valuation?.quality || 'N/A'}
+      </span>
+    </div>
+    <p className="mt-2 text-2xl font-bold text-gray-900 dark:text-white">
+      {formatNumber(valuation?.fairValuePerShare)}
+    </p>
+    <p
+      className={`text-sm font-medium ${
+        valuation?.upside >= 0
+          ? 'text-green-600 dark:text-green-400'
+          : 'text-red-600 dark:text-red-400'
+      }`}
+    >
+      Upside: {formatPercent(valuation?.upside)}
+    </p>
+    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+      WACC {formatPercent(valuation?.wacc)} • Terminal{' '}
+      {formatPercent(valuation?.terminalGrowth)} •{' '}
+      {valuation?.horizonYears ?? 'N/A'}y
+    </p>
+  </div>
+);
+
+/**
+ * What-if DCF calculator for the stock detail page. Reruns the scanner's DCF model
+ * through POST /api/v1/valuation/dcf/:symbol with the entered assumptions.
+ */
+const DcfCalculator = ({ symbol, currency }) => {
+  const [form, setForm] = useState(toFormValues());
+  const [result, setResult] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runValuation = useCallback(
+    async (overrides = {}) => {
+      try {
+        setIsRunning(true);
+        setError(null);
+        const response = await valuationApi.runDcf(symbol, overrides);
+        setResult(response);
+        return response;
+      } catch (err) {
+        console.error('Error running DCF valuation:', err);
+        setError(err.message || 'Failed to run DCF valuation');
+        return null;
+      } finally {
+        setIsRunning(false);
+      }
+    },
+    [symbol],
+  );
+
+  // Start from the model's own assumptions
+  const reset = useCallback(async () => {
+    const response = await runValuation();
+    if (response?.baseline) {
+      setForm(toFormValues(response.baseline));
+    }
+  }, [runValuation]);
+
+  useEffect(() => {
+    reset();
+  }, [reset]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    runValuation(toOverrides(form));
+  };
+
+  const projection = result?.scenario?.projection || [];
+
+  return (
+    <div className="space-y-4">
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end"
+      >
+        {FIELDS.map((field) => (
+          <label key={field.key} className="block">
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {field.label}
+            </span>
+            <input
+              type="number"
+              step={field.step}
+              value={form[field.key]}
+              onChange={(event) =>
+                setForm((current) => ({
+                  ...current,
+                  [field.key]: event.target.value,
+                }))
+              }
+              className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        ))}
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={isRunning}
+            className="flex items-center space-x-1 px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isRunning ? (
+              <RefreshCw className="h-4 w-4 animate-spin" />
+            ) : (
+              <Play className="h-4 w-4" />
+            )}
+            <span>Run</span>
+          </button>
+          <button
+            type="button"
+            onClick={reset}
+            disabled={isRunning}
+            title="Reset to model assumptions"
+            className="flex items-center px-3 py-2 text-sm text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <RotateCcw className="h-4 w-4" />
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-400">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <ResultColumn label="Model" valuation={result.baseline} />
+            <ResultColumn label="What-if" valuation={result.scenario} />
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Price {formatNumber(result.price)} {result.currency || currency} (
+            {result.priceSource}) • amounts in millions
+          </p>
+
+          {projection.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead>
+                  <tr className="text-right text-xs uppercase text-gray-500 dark:text-gray-400">
+                    <th className="py-2 pr-4 text-left">Year</th>
+                    <th className="py-2 pr-4">Growth</th>
+                    <th className="py-2 pr-4">Revenue</th>
+                    <th className="py-2 pr-4">EBIT</th>
+                    <th className="py-2 pr-4">NOPAT</th>
+                    <th className="py-2 pr-4">Reinvestment</th>
+                    <th className="py-2 pr-4">FCF</th>
+                    <th className="py-2">PV of FCF</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700 text-right text-gray-900 dark:text-gray-100">
+                  {projection.map((row) => (
+                    <tr key={row.year}>
+                      <td className="py-1 pr-4 text-left">{row.year}</td>
+                      <td className="py-1 pr-4">{formatPercent(row.growth)}</td>
+                      <td className="py-1 pr-4">
+                        {formatMillions(row.revenue)}
+                      </td>
+                      <td className="py-1 pr-4">{formatMillions(row.ebit)}</td>
+                      <td className="py-1 pr-4">{formatMillions(row.nopat)}</td>
+                      <td className="py-1 pr-4">
+                        {formatMillions(row.reinvestment)}
+                      </td>
+                      <td className="py-1 pr-4">{formatMillions(row.fcf)}</td>
+                      <td className="py-1">
+                        {formatMillions(row.presentValue)}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr className="font-medium">
+                    <td colSpan={7} className="py-1 pr-4 text-left">
+                      Terminal value (PV)
+                    </td>
+                    <td className="py-1">
+                      {formatMillions(result.scenario.pvTerminalValue)}
+                    </td>
+                  </tr>
+                  <tr className="font-medium">
+                    <td colSpan={7} className="py-1 pr-4 text-left">
+                      Enterprise value
+                    </td>
+                    <td className="py-1">
+                      {formatMillions(result.scenario.enterpriseValue)}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DcfCalculator;
@@ -1,7 +1,12 @@
-import { Menu, Bell, Search, User } from 'lucide-react';
+import { Link, useLocation } from 'react-router-dom';
+import { Menu, Bell, Search, User, LogIn, LogOut } from 'lucide-react';
 import ThemeSwitcher from './ThemeSwitcher';
+import { useAuth } from '../contexts/AuthContext';
 
 const Header = ({ onMenuClick }) => {
+  const location = useLocation();
+  const { user, signOut } = useAuth();
+
   return (
     <header className="bg-white dark:bg-surface-dark shadow-sm border-b border-gray-200 dark:border-gray-700">
       <div className="flex items-center justify-between h-16 px-6">
@@ -39,14 +44,35 @@ const Header = ({ onMenuClick }) => {
           </button>
 
           {/* User menu */}
-          <div className="flex items-center space-x-3">
-            <div className="w-8 h-8 bg-primary-600 dark:bg-accent-dark rounded-full flex items-center justify-center">
-              <User size={16} className="text-white" />
+          {user ? (
+            <div className="flex items-center space-x-3">
+              <div className="w-8 h-8 bg-primary-600 dark:bg-accent-dark rounded-full flex items-center justify-center">
+                <User size={16} className="text-white" />
+              </div>
+              <span className="hidden md:block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {user.name || user.email || user.phone}
+                <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                  ({user.role})
+                </span>
+              </span>
+              <button
+                onClick={signOut}
+                title="Sign out"
+                className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:text-gray-300 dark:hover:bg-gray-800 rounded-lg transition-colors duration-200"
+              >
+                <LogOut size={20} />
+              </button>
             </div>
-            <span className="hidden md:block text-sm font-medium text-gray-700 dark:text-gray-300">
-              Admin
-            </span>
-          </div>
+          ) : (
+            <Link
+              to="/sign-in"
+              state={{ from: location.pathname }}
+              className="btn-secondary"
+            >
+              <LogIn size={16} className="mr-2" />
+              Sign In
+            </Link>
+          )}
         </div>
       </div>
     </header>
@@ -5,6 +5,9 @@ import { PriceRangeFilters } from '@buydy/cl-slider';
 import SectorFilter from './SectorFilter';
 import IndustryFilter from './IndustryFilter';
 
+// Options for hiding companies with an upcoming earnings report
+const EARNINGS_WINDOW_DAYS = [3, 7, 14, 30];
+
 // Component for category checkbox with indeterminate state support
 const CategoryCheckbox = ({
   checked,
@@ -47,12 +50,17 @@ const HeatMapSidebar = ({
   selectedSectors,
   selectedIndustries,
   selectedGroupBy,
+  watchlists = [],
+  selectedWatchlistId,
+  universes = [],
+  selectedUniverse,
 
   // States
   loading,
   initialDataLoading,
   isFiltering,
   onlyCompleteMetrics,
+  excludeEarningsWithinDays,
   showDimensions,
   showFilters,
   showOptimum,
@@ -68,10 +76,13 @@ const HeatMapSidebar = ({
 
   // Callbacks
   onGroupByChange,
+  onWatchlistChange,
+  onUniverseChange,
   onMetricsChange,
   onSectorsChange,
   onIndustriesChange,
   onOnlyCompleteMetricsChange,
+  onExcludeEarningsWithinDaysChange,
   onShowDimensionsChange,
   onShowFiltersChange,
   onShowOptimumChange,
@@ -138,6 +149,43 @@ const HeatMapSidebar = ({
                 />
               </div>
 
+              {/* Universe */}
+              {universes.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Universe
+                  </label>
+                  <Select
+                    value={selectedUniverse}
+                    onChange={onUniverseChange}
+                    options={universes.map((universe) => ({
+                      value: universe.id,
+                      label: universe.displayName,
+                    }))}
+                    disabled={isDisabled}
+                  />
+                </div>
+              )}
+
+              {/* Watchlist */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Watchlist
+                </label>
+                <Select
+                  value={selectedWatchlistId}
+                  onChange={onWatchlistChange}
+                  options={[
+                    { value: '', label: 'All companies' },
+                    ...watchlists.map((watchlist) => ({
+                      value: watchlist._id,
+                      label: `${watchlist.name} (${watchlist.symbolsCount})`,
+                    })),
+                  ]}
+                  disabled={isDisabled}
+                />
+              </div>
+
               {/* Metrics */}
               <div>
                 <div className="flex items-center justify-between mb-2">
@@ -292,6 +340,31 @@ const HeatMapSidebar = ({
                   All metrics only
                 </span>
               </label>
+
+              {/* Hide companies with an upcoming earnings report */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Hide Earnings Within
+                </label>
+                <Select
+                  value={
+                    excludeEarningsWithinDays === null
+                      ? ''
+                      : String(excludeEarningsWithinDays)
+                  }
+                  onChange={(e) =>
+                    onExcludeEarningsWithinDaysChange(
+                      e.target.value === '' ? null : Number(e.target.value),
+                    )
+                  }
+                  placeholder="Off"
+                  options={EARNINGS_WINDOW_DAYS.map((days) => ({
+                    value: String(days),
+                    label: `${days} days`,
+                  }))}
+                  disabled={isDisabled}
+                />
+              </div>
             </div>
           )}
         </div>
@@ -6,6 +6,9 @@ import {
   TrendingUp,
   Zap,
   BarChart3,
+  ListFilter,
+  FlaskConical,
+  Briefcase,
   ChevronLeft,
   ChevronRight,
 } from 'lucide-react';
@@ -34,6 +37,21 @@ const Sidebar = ({
       href: '/heatmap',
       icon: BarChart3,
     },
+    {
+      name: 'Screens',
+      href: '/screens',
+      icon: ListFilter,
+    },
+    {
+      name: 'Backtests',
+      href: '/backtests',
+      icon: FlaskConical,
+    },
+    {
+      name: 'Portfolios',
+      href: '/portfolios',
+      icon: Briefcase,
+    },
     {
       name: 'Jobs',
       href: '/jobs',
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
-import { Search, X } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Search, X, ExternalLink } from 'lucide-react';
 import stocksService from '../services/stocksService';
 
 const StockAutocomplete = ({
@@ -178,6 +179,16 @@ const StockAutocomplete = ({
                   <div className="text-sm font-medium text-gray-900">
                     {formatMarketCap(stock.marketCap)}
                   </div>
+                  <Link
+                    to={`/stock/${encodeURIComponent(
+                      `${stock.code}.${stock.exchange}`,
+                    )}`}
+                    onClick={(e) => e.stopPropagation()}
+                    className="inline-flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-800 mt-1"
+                  >
+                    <span>Details</span>
+                    <ExternalLink className="h-3 w-3" />
+                  </Link>
                 </div>
               </div>
             </div>
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { ChevronUp, ChevronDown } from 'lucide-react';
 
 const StocksTable = ({ stocks, isLoading, onSort, sortBy, sortOrder }) => {
@@ -117,9 +118,16 @@ const StocksTable = ({ stocks, isLoading, onSort, sortBy, sortOrder }) => {
                       </div>
                     </div>
                     <div className="ml-3">
-                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                      <Link
+                        to={`/stock/${encodeURIComponent(
+                          stock.exchange && stock.exchange !== 'N/A'
+                            ? `${stock.code || stock.symbol}.${stock.exchange}`
+                            : stock.code || stock.symbol,
+                        )}`}
+                        className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                      >
                         {stock.code || stock.symbol}
-                      </div>
+                      </Link>
                     </div>
                   </div>
                 </td>
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { Table } from '@buydy/cl-table';
 
 const TopCompaniesTable = ({ topCompanies, optimizationMethodName }) => {
@@ -52,6 +53,14 @@ const TopCompaniesTable = ({ topCompanies, optimizationMethodName }) => {
                 key: 'symbol',
                 label: 'Company',
                 align: 'left',
+                render: (value) => (
+                  <Link
+                    to={`/stock/${encodeURIComponent(value)}`}
+                    className="text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    {value}
+                  </Link>
+                ),
               },
               {
                 key: 'score',
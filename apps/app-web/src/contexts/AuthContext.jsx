@@ -0,0 +1,74 @@
+/* eslint-disable react-refresh/only-export-components */
+import { createContext, useContext, useEffect, useState } from 'react';
+import { authApi } from '../services/api';
+import {
+  getAuthSession,
+  saveAuthSession,
+  updateAuthUser,
+  clearAuthSession,
+  onAuthSessionChange,
+} from '../services/authSession';
+
+const AuthContext = createContext();
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(getAuthSession);
+
+  // Follow sign-in/sign-out, including sessions ended by a rejected token
+  useEffect(() => onAuthSessionChange(setSession), []);
+
+  // Re-read the stored user on load so role changes and revoked sessions apply
+  useEffect(() => {
+    if (!getAuthSession()) return;
+    authApi
+      .me()
+      .then(({ user }) => updateAuthUser(user))
+      .catch((err) => console.error('Failed to load the signed-in user:', err));
+  }, []);
+
+  const signInWithGoogle = async (idToken) => {
+    const { token, user } = await authApi.googleSignIn(idToken);
+    saveAuthSession({ token, user });
+    return user;
+  };
+
+  const sendVerificationCode = (phone) => authApi.sendVerificationCode(phone);
+
+  const signInWithPhone = async (phone, code) => {
+    const { token, user } = await authApi.verifyPhone(phone, code);
+    saveAuthSession({ token, user });
+    return user;
+  };
+
+  const signOut = async () => {
+    try {
+      await authApi.logout();
+    } catch (err) {
+      console.error('Failed to revoke the session:', err);
+    } finally {
+      clearAuthSession();
+    }
+  };
+
+  const user = session?.user || null;
+
+  const value = {
+    user,
+    isSignedIn: Boolean(user),
+    isAdmin: user?.role === 'admin',
+    signInWithGoogle,
+    sendVerificationCode,
+    signInWithPhone,
+    signOut,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
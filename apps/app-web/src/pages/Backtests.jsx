@@ -0,0 +1,505 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FlaskConical,
+  RefreshCw,
+  AlertCircle,
+  Plus,
+  Trash2,
+  ChevronDown,
+  ChevronRight,
+} from 'lucide-react';
+import { backtestsApi } from '../services/api';
+
+// Queued and running backtests are refreshed until the scanner finishes them
+const POLL_INTERVAL_MS = 10000;
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-400',
+  running: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400',
+  completed:
+    'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
+  failed: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400',
+};
+
+const STATISTICS = [
+  { key: 'cagr', label: 'CAGR', format: 'pct' },
+  { key: 'totalReturn', label: 'Total Return', format: 'pct' },
+  { key: 'volatility', label: 'Volatility', format: 'pct' },
+  { key: 'maxDrawdown', label: 'Max Drawdown', format: 'pct' },
+  { key: 'sharpe', label: 'Sharpe', format: 'ratio' },
+  { key: 'turnover', label: 'Turnover / Rebalance', format: 'pct' },
+];
+
+const inputClassName =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white';
+
+const formatPct = (value) =>
+  value === null || value === undefined ? '—' : `${(value * 100).toFixed(2)}%`;
+
+const formatStatistic = (value, format) => {
+  if (format === 'pct') return formatPct(value);
+  return value === null || value === undefined ? '—' : value.toFixed(2);
+};
+
+const returnClassName = (value) =>
+  value >= 0
+    ? 'text-green-600 dark:text-green-400'
+    : 'text-red-600 dark:text-red-400';
+
+const EquityCurveChart = ({ points }) => {
+  if (!points || points.length < 2) {
+    return null;
+  }
+
+  const width = 600;
+  const height = 200;
+  const values = points.flatMap((point) => [point.portfolio, point.benchmark]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+
+  const toPolyline = (key) =>
+    points
+      .map((point, index) => {
+        const x = (index / (points.length - 1)) * width;
+        const y = height - ((point[key] - min) / range) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(' ');
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        className="w-full h-48"
+      >
+        <polyline
+          points={toPolyline('benchmark')}
+          fill="none"
+          stroke="#9CA3AF"
+          strokeWidth="1.5"
+          vectorEffect="non-scaling-stroke"
+        />
+        <polyline
+          points={toPolyline('portfolio')}
+          fill="none"
+          stroke="#3B82F6"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1">
+        <span>{points[0].date}</span>
+        <span className="flex items-center space-x-3">
+          <span className="text-blue-600 dark:text-blue-400">Portfolio</span>
+          <span>Equal-weight universe</span>
+        </span>
+        <span>{points[points.length - 1].date}</span>
+      </div>
+    </div>
+  );
+};
+
+const BacktestResult = ({ backtest }) => {
+  const { result } = backtest;
+
+  return (
+    <div className="space-y-4">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 dark:text-gray-400">
+            <th className="py-1 font-medium"></th>
+            <th className="py-1 font-medium">Portfolio</th>
+            <th className="py-1 font-medium">Benchmark</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-900 dark:text-white">
+          {STATISTICS.map(({ key, label, format }) => (
+            <tr key={key}>
+              <td className="py-1 text-gray-600 dark:text-gray-400">{label}</td>
+              <td className="py-1 font-medium">
+                {formatStatistic(result.portfolio[key], format)}
+              </td>
+              <td className="py-1">
+                {formatStatistic(result.benchmark[key], format)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <EquityCurveChart points={result.equityCurve} />
+
+      {result.periods?.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Rebalances
+          </h4>
+          <div className="space-y-2">
+            {result.periods.map((period) => (
+              <div key={period.date} className="text-sm">
+                <div className="text-gray-600 dark:text-gray-400">
+                  {period.date} · {period.holdings.length}/{period.universeSize}{' '}
+                  held · turnover {formatPct(period.turnover)} ·{' '}
+                  <span className={returnClassName(period.portfolioReturn)}>
+                    {formatPct(period.portfolioReturn)}
+                  </span>{' '}
+                  vs {formatPct(period.benchmarkReturn)}
+                </div>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {period.holdings.map((holding) => (
+                    <Link
+                      key={holding.symbol}
+                      to={`/stock/${encodeURIComponent(holding.symbol)}`}
+                      className="px-2 py-0.5 rounded text-xs font-medium hover:underline bg-gray-100 dark:bg-gray-800 text-blue-600 dark:text-blue-400"
+                    >
+                      {holding.symbol}
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Backtests = () => {
+  const [backtests, setBacktests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Create form
+  const [name, setName] = useState('');
+  const [metricsText, setMetricsText] = useState('');
+  const [method, setMethod] = useState('weighted');
+  const [topN, setTopN] = useState(20);
+  const [rebalance, setRebalance] = useState('monthly');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Full result of the expanded backtest
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [loadingDetails, setLoadingDetails] = useState(false);
+
+  const loadBacktests = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await backtestsApi.getAll({ limit: 50 });
+      setBacktests(data.backtests || []);
+    } catch (err) {
+      console.error('Failed to load backtests:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBacktests();
+  }, [loadBacktests]);
+
+  const hasPending = backtests.some((backtest) =>
+    ['queued', 'running'].includes(backtest.status),
+  );
+
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const interval = setInterval(loadBacktests, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasPending, loadBacktests]);
+
+  const loadDetails = useCallback(async (backtestId) => {
+    setLoadingDetails(true);
+    try {
+      const data = await backtestsApi.getById(backtestId);
+      setDetails(data.backtest);
+    } catch (err) {
+      console.error('Failed to load backtest:', err);
+      setDetails(null);
+    } finally {
+      setLoadingDetails(false);
+    }
+  }, []);
+
+  const expandedStatus = backtests.find(
+    (backtest) => backtest._id === expandedId,
+  )?.status;
+
+  // Load the full result once the expanded backtest has completed
+  useEffect(() => {
+    if (expandedId && expandedStatus === 'completed') {
+      loadDetails(expandedId);
+    }
+  }, [expandedId, expandedStatus, loadDetails]);
+
+  const handleToggleExpand = (backtestId) => {
+    setDetails(null);
+    setExpandedId(expandedId === backtestId ? null : backtestId);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormErrors([]);
+
+    try {
+      await backtestsApi.create({
+        name: name.trim() || undefined,
+        metrics: metricsText
+          .split(',')
+          .map((metric) => metric.trim())
+          .filter(Boolean),
+        method,
+        topN: Number(topN),
+        rebalance,
+        from,
+        ...(to && { to }),
+      });
+      setName('');
+      loadBacktests();
+    } catch (err) {
+      setFormErrors([err.message, ...(err.data?.details || [])]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (backtest) => {
+    const label = backtest.name || backtest._id;
+    if (!window.confirm(`Delete backtest "${label}"?`)) {
+      return;
+    }
+
+    try {
+      await backtestsApi.delete(backtest._id);
+      if (expandedId === backtest._id) {
+        setExpandedId(null);
+      }
+      loadBacktests();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Backtests
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Ranking strategies replayed on historical metric snapshots
+          </p>
+        </div>
+        <button
+          onClick={loadBacktests}
+          disabled={loading}
+          className="btn-secondary"
+        >
+          <RefreshCw
+            size={16}
+            className={`mr-2 ${loading ? 'animate-spin' : ''}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertCircle
+              className="text-red-600 dark:text-red-400 mr-2"
+              size={20}
+            />
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Create */}
+      <form onSubmit={handleCreate} className="card p-4 space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          New Backtest
+        </h2>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name (optional)"
+          className={inputClassName}
+        />
+        <input
+          type="text"
+          value={metricsText}
+          onChange={(e) => setMetricsText(e.target.value)}
+          placeholder="DividendYieldCurrent, DebtToEquityCurrent"
+          className={`${inputClassName} font-mono text-sm`}
+        />
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="weighted">Weighted</option>
+            <option value="geometric">Geometric</option>
+          </select>
+          <input
+            type="number"
+            min={1}
+            max={200}
+            value={topN}
+            onChange={(e) => setTopN(e.target.value)}
+            title="Companies held"
+            className={inputClassName}
+          />
+          <select
+            value={rebalance}
+            onChange={(e) => setRebalance(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="monthly">Monthly</option>
+            <option value="quarterly">Quarterly</option>
+          </select>
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            title="From"
+            className={inputClassName}
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            title="To (default: today)"
+            className={inputClassName}
+          />
+        </div>
+        {formErrors.length > 0 && (
+          <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-5">
+            {formErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !metricsText.trim() || !from}
+          className="btn-primary flex items-center disabled:opacity-50"
+        >
+          <Plus size={16} className="mr-2" />
+          Queue Backtest
+        </button>
+      </form>
+
+      {/* Backtests */}
+      {backtests.length === 0 && !loading ? (
+        <div className="card p-8 text-center text-gray-500 dark:text-gray-400">
+          <FlaskConical size={32} className="mx-auto mb-2" />
+          No backtests yet
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {backtests.map((backtest) => {
+            const isExpanded = expandedId === backtest._id;
+            const { config, result } = backtest;
+
+            return (
+              <div key={backtest._id} className="card p-4">
+                <div className="flex items-start justify-between">
+                  <button
+                    onClick={() => handleToggleExpand(backtest._id)}
+                    className="flex items-start text-left"
+                  >
+                    {isExpanded ? (
+                      <ChevronDown size={20} className="mt-0.5 mr-2" />
+                    ) : (
+                      <ChevronRight size={20} className="mt-0.5 mr-2" />
+                    )}
+                    <div>
+                      <h3 className="font-semibold text-gray-900 dark:text-white">
+                        {backtest.name ||
+                          `Top ${config.topN} by ${config.metrics.join(', ')}`}
+                      </h3>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {config.method} · {config.rebalance} · {config.from} →{' '}
+                        {config.to}
+                      </p>
+                    </div>
+                  </button>
+                  <div className="flex items-center space-x-3 text-sm">
+                    {result && (
+                      <span className="text-gray-900 dark:text-white">
+                        CAGR{' '}
+                        <span
+                          className={`font-medium ${returnClassName(
+                            result.portfolio.cagr,
+                          )}`}
+                        >
+                          {formatPct(result.portfolio.cagr)}
+                        </span>{' '}
+                        vs {formatPct(result.benchmark.cagr)}
+                      </span>
+                    )}
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        STATUS_STYLES[backtest.status]
+                      }`}
+                    >
+                      {backtest.status === 'running'
+                        ? `running ${Math.round(backtest.progress * 100)}%`
+                        : backtest.status}
+                    </span>
+                    <button
+                      onClick={() => handleDelete(backtest)}
+                      className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      title="Delete backtest"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+                    {backtest.status === 'failed' ? (
+                      <p className="text-sm text-red-600 dark:text-red-400">
+                        {backtest.error}
+                      </p>
+                    ) : backtest.status !== 'completed' ? (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Waiting for the scanner to finish this backtest
+                      </p>
+                    ) : loadingDetails || !details ? (
+                      <RefreshCw
+                        size={16}
+                        className="animate-spin text-gray-400"
+                      />
+                    ) : (
+                      <BacktestResult backtest={details} />
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Backtests;
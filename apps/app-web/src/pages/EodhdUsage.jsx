@@ -7,6 +7,7 @@ import {
   Database,
   RefreshCw,
   AlertCircle,
+  Wallet,
 } from 'lucide-react';
 import { eodhdUsageApi } from '../services/eodhdUsageApi';
 
@@ -16,6 +17,7 @@ const EodhdUsage = () => {
   const [availableEndpoints, setAvailableEndpoints] = useState([]);
   const [availableJobs, setAvailableJobs] = useState([]);
   const [endpointTypes, setEndpointTypes] = useState([]);
+  const [creditBudget, setCreditBudget] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -52,12 +54,14 @@ const EodhdUsage = () => {
         endpointsData,
         jobsData,
         endpointTypesData,
+        creditBudgetData,
       ] = await Promise.all([
         eodhdUsageApi.getStats(filters),
         eodhdUsageApi.getEndpointStats(filters),
         eodhdUsageApi.getAvailableEndpoints(),
         eodhdUsageApi.getAvailableJobs(),
         eodhdUsageApi.getEndpointTypes(),
+        eodhdUsageApi.getCreditBudget(),
       ]);
 
       console.log('📊 API Response Data:', {
@@ -73,6 +77,7 @@ const EodhdUsage = () => {
       setAvailableEndpoints(endpointsData.endpoints);
       setAvailableJobs(jobsData.jobs);
       setEndpointTypes(endpointTypesData.endpointTypes);
+      setCreditBudget(creditBudgetData);
     } catch (err) {
       console.error('Failed to load EODHD usage data:', err);
 
@@ -99,6 +104,7 @@ const EodhdUsage = () => {
       setAvailableEndpoints([]);
       setAvailableJobs([]);
       setEndpointTypes([]);
+      setCreditBudget(null);
     } finally {
       setLoading(false);
     }
@@ -191,6 +197,10 @@ const EodhdUsage = () => {
     return `${(ms / 1000).toFixed(1)}s`;
   };
 
+  // Share of a job's quota, capped at 100% for the bar width
+  const getQuotaPercent = (credits, quota) =>
+    quota ? Math.min((credits / quota) * 100, 100) : 0;
+
   const getStatusColor = (isSuccess) => {
     return isSuccess
       ? 'text-green-600 dark:text-green-400 bg-green-100 dark:bg-green-900/30'
@@ -424,6 +434,152 @@ const EodhdUsage = () => {
         </div>
       ) : null}
 
+      {/* Daily Credit Budget */}
+      {creditBudget && (
+        <div className="card">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                  Daily Credit Budget
+                </h3>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                  {creditBudget.budget.enabled
+                    ? `Projected vs actual credits per job on ${
+                        creditBudget.budget.date
+                      } (UTC), ${creditBudget.budget.allocatable.toLocaleString()} of ${creditBudget.budget.dailyCredits.toLocaleString()} credits allocatable`
+                    : `Budget planning is off (EODHD_DAILY_CREDIT_BUDGET=0), actual credits on ${creditBudget.budget.date} (UTC)`}
+                </p>
+              </div>
+              <Wallet className="text-gray-400 dark:text-gray-500" size={20} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 px-6 py-4">
+            {[
+              [
+                'Quota',
+                creditBudget.totals.quota,
+                'text-gray-900 dark:text-white',
+              ],
+              [
+                'Projected',
+                creditBudget.totals.projected,
+                'text-blue-600 dark:text-blue-400',
+              ],
+              [
+                'Actual',
+                creditBudget.totals.actual,
+                'text-green-600 dark:text-green-400',
+              ],
+              [
+                'Deferred Symbols',
+                creditBudget.totals.deferred,
+                'text-orange-600 dark:text-orange-400',
+              ],
+            ].map(([label, value, color]) => (
+              <div key={label}>
+                <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                  {label}
+                </p>
+                <p className={`text-xl font-bold ${color}`}>
+                  {value.toLocaleString()}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-800/50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Job
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Quota
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Projected
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actual
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Deferred
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Runs
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-surface-dark divide-y divide-gray-200 dark:divide-gray-700">
+                {creditBudget.jobs.length === 0 ? (
+                  <tr>
+                    <td
+                      colSpan="6"
+                      className="px-6 py-8 text-center text-sm text-gray-500 dark:text-gray-400"
+                    >
+                      No job has spent credits on this day yet.
+                    </td>
+                  </tr>
+                ) : (
+                  creditBudget.jobs.map((job) => (
+                    <tr key={job.name}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                        {job.displayName}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                        {job.quota !== null ? job.quota.toLocaleString() : '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-blue-600 dark:text-blue-400">
+                        {job.projected.toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex items-center space-x-3">
+                          <span
+                            className={
+                              job.quota !== null && job.actual > job.quota
+                                ? 'text-red-600 dark:text-red-400'
+                                : 'text-green-600 dark:text-green-400'
+                            }
+                          >
+                            {job.actual.toLocaleString()}
+                          </span>
+                          {job.quota !== null && (
+                            <div className="w-32 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                              <div
+                                className={`h-2 rounded-full transition-all duration-300 ${
+                                  job.actual > job.quota
+                                    ? 'bg-red-600 dark:bg-red-500'
+                                    : 'bg-green-600 dark:bg-green-500'
+                                }`}
+                                style={{
+                                  width: `${getQuotaPercent(
+                                    job.actual,
+                                    job.quota,
+                                  )}%`,
+                                }}
+                              ></div>
+                            </div>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-orange-600 dark:text-orange-400">
+                        {job.deferred.toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 dark:text-gray-400">
+                        {job.runs}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Main Endpoint Performance Table */}
       <div className="card">
         <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
@@ -5,8 +5,10 @@ import {
   fetchSectors,
   fetchIndustries,
   fetchAvailableMetrics,
+  fetchUniverses,
   exportToCSV,
 } from '../services/heatmapService';
+import { watchlistsApi } from '../services/api';
 import { applyPriceRangeFilters } from '../services/priceDataService';
 import HeatMapSidebar from '../components/HeatMapSidebar';
 import HeatMapContent from './HeatMapContent';
@@ -62,6 +64,10 @@ function HeatMap() {
   const [availableMetrics, setAvailableMetrics] = useState([]);
 
   const [selectedGroupBy, setSelectedGroupBy] = useState('sector');
+  const [watchlists, setWatchlists] = useState([]);
+  const [selectedWatchlistId, setSelectedWatchlistId] = useState('');
+  const [universes, setUniverses] = useState([]);
+  const [selectedUniverse, setSelectedUniverse] = useState('large-cap');
   const [selectedSectors, setSelectedSectors] = useState([]);
   const [selectedIndustries, setSelectedIndustries] = useState([]);
   const [selectedMetrics, setSelectedMetrics] = useState([
@@ -113,6 +119,10 @@ function HeatMap() {
   // When true: only show companies with valid percentiles for all selected metrics
   const [onlyCompleteMetrics, setOnlyCompleteMetrics] = useState(false);
 
+  // Hide companies reporting earnings within N days (null: show all)
+  const [excludeEarningsWithinDays, setExcludeEarningsWithinDays] =
+    useState(null);
+
   // Section visibility toggles
   const [showDimensions, setShowDimensions] = useState(true); // Default open
   const [showFilters, setShowFilters] = useState(false);
@@ -120,7 +130,15 @@ function HeatMap() {
 
   // Helper function to fetch all companies with pagination
   const fetchAllCompaniesWithPagination = useCallback(
-    async ({ groupBy, groupName, metrics, onlyComplete }) => {
+    async ({
+      groupBy,
+      groupName,
+      metrics,
+      onlyComplete,
+      watchlistId,
+      excludeEarningsWithinDays,
+      universe,
+    }) => {
       let allCompanies = [];
       let offset = 0;
       const limit = 1000; // Fetch in larger batches for efficiency
@@ -141,6 +159,9 @@ function HeatMap() {
           limit,
           offset,
           onlyComplete,
+          watchlistId,
+          excludeEarningsWithinDays,
+          universe,
         });
 
         if (!data || !data.companies) {
@@ -290,6 +311,9 @@ function HeatMap() {
             groupBy: 'sector',
             metrics: selectedMetrics,
             onlyComplete: onlyCompleteMetrics,
+            watchlistId: selectedWatchlistId,
+            excludeEarningsWithinDays,
+            universe: selectedUniverse,
           });
           console.log(
             `✅ Fetched ${allCompanies.length} companies from all sectors`,
@@ -303,6 +327,9 @@ function HeatMap() {
               groupName: sector,
               metrics: selectedMetrics,
               onlyComplete: onlyCompleteMetrics,
+              watchlistId: selectedWatchlistId,
+              excludeEarningsWithinDays,
+              universe: selectedUniverse,
             });
             allCompanies = allCompanies.concat(sectorCompanies);
             console.log(
@@ -320,6 +347,9 @@ function HeatMap() {
             groupBy: 'industry',
             metrics: selectedMetrics,
             onlyComplete: onlyCompleteMetrics,
+            watchlistId: selectedWatchlistId,
+            excludeEarningsWithinDays,
+            universe: selectedUniverse,
           });
           console.log(
             `✅ Fetched ${allCompanies.length} companies from all industries`,
@@ -333,6 +363,9 @@ function HeatMap() {
               groupName: industry,
               metrics: selectedMetrics,
               onlyComplete: onlyCompleteMetrics,
+              watchlistId: selectedWatchlistId,
+              excludeEarningsWithinDays,
+              universe: selectedUniverse,
             });
             allCompanies = allCompanies.concat(industryCompanies);
             console.log(
@@ -420,6 +453,9 @@ function HeatMap() {
     selectedIndustries,
     selectedMetrics,
     onlyCompleteMetrics,
+    excludeEarningsWithinDays,
+    selectedWatchlistId,
+    selectedUniverse,
     filterCompaniesForPricing,
     fetchAllCompaniesWithPagination,
   ]);
@@ -430,14 +466,14 @@ function HeatMap() {
     loadInitialData();
   }, []);
 
-  // Re-filter when onlyCompleteMetrics changes (after heatmap is loaded)
+  // Re-filter when onlyCompleteMetrics or the earnings window changes (after heatmap is loaded)
   useEffect(() => {
     if (heatmapData) {
-      console.log('🔄 Only complete metrics toggle changed, re-filtering...');
+      console.log('🔄 Completeness/earnings filter changed, re-filtering...');
       loadHeatmap();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps -- heatmapData/loadHeatmap omitted to avoid loops
-  }, [onlyCompleteMetrics]);
+  }, [onlyCompleteMetrics, excludeEarningsWithinDays]);
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -542,6 +578,23 @@ function HeatMap() {
         defaultWeights[metric.key] = 1;
       });
       setWeights(defaultWeights);
+
+      // Watchlists are optional - the heatmap works without them
+      try {
+        const watchlistsData = await watchlistsApi.getAll();
+        setWatchlists(watchlistsData.watchlists || []);
+      } catch (err) {
+        console.warn('Failed to load watchlists:', err.message);
+      }
+
+      // Universes are optional too - without them the heatmap stays on large caps
+      try {
+        const universesData = await fetchUniverses();
+        setUniverses(universesData.universes || []);
+        setSelectedUniverse(universesData.defaultUniverse || 'large-cap');
+      } catch (err) {
+        console.warn('Failed to load universes:', err.message);
+      }
     } catch (err) {
       setError('Failed to load initial data: ' + err.message);
     } finally {
@@ -680,11 +733,16 @@ function HeatMap() {
         selectedSectors={selectedSectors}
         selectedIndustries={selectedIndustries}
         selectedGroupBy={selectedGroupBy}
+        watchlists={watchlists}
+        selectedWatchlistId={selectedWatchlistId}
+        universes={universes}
+        selectedUniverse={selectedUniverse}
         // States
         loading={loading}
         initialDataLoading={initialDataLoading}
         isFiltering={isFiltering}
         onlyCompleteMetrics={onlyCompleteMetrics}
+        excludeEarningsWithinDays={excludeEarningsWithinDays}
         showDimensions={showDimensions}
         showFilters={showFilters}
         showOptimum={showOptimum}
@@ -696,10 +754,13 @@ function HeatMap() {
         priceRangeFiltersEnabled={priceRangeFiltersEnabled}
         // Callbacks
         onGroupByChange={setSelectedGroupBy}
+        onWatchlistChange={setSelectedWatchlistId}
+        onUniverseChange={setSelectedUniverse}
         onMetricsChange={setSelectedMetrics}
         onSectorsChange={setSelectedSectors}
         onIndustriesChange={setSelectedIndustries}
         onOnlyCompleteMetricsChange={setOnlyCompleteMetrics}
+        onExcludeEarningsWithinDaysChange={setExcludeEarningsWithinDays}
         onShowDimensionsChange={setShowDimensions}
         onShowFiltersChange={setShowFilters}
         onShowOptimumChange={setShowOptimum}
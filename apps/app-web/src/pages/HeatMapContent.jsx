@@ -1,3 +1,4 @@
+import { Link } from 'react-router-dom';
 import { Table } from '@buydy/cl-table';
 import { Button } from '@buydy/cl-button';
 import TopCompaniesTable from '../components/TopCompaniesTable';
@@ -263,6 +264,14 @@ const HeatMapContent = ({
               key: 'symbol',
               label: 'Symbol',
               align: 'left',
+              render: (value) => (
+                <Link
+                  to={`/stock/${encodeURIComponent(value)}`}
+                  className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {value}
+                </Link>
+              ),
             },
             {
               key: 'group',
@@ -97,7 +97,7 @@ const Jobs = () => {
     try {
       // Use the latest job ID to run the job
       const response = await jobsApi.runJob(jobToRun.latestJob._id);
-      console.log('Job execution triggered:', response);
+      console.log('Job queued for the scanner:', response);
 
       // Mark this job as recently started for visual feedback
       setRecentlyStartedJobs((prev) => new Set([...prev, jobToRun.name]));
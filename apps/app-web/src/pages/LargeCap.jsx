@@ -1,9 +1,18 @@
 import { useState, useEffect, useCallback } from 'react';
-import { TrendingUp, BarChart3, Users, DollarSign, Search } from 'lucide-react';
+import {
+  TrendingUp,
+  BarChart3,
+  Users,
+  DollarSign,
+  Search,
+  Star,
+} from 'lucide-react';
+import { Select } from '@buydy/cl-select';
 import StockAutocomplete from '../components/StockAutocomplete';
 import StockFilters from '../components/StockFilters';
 import StocksTable from '../components/StocksTable';
 import stocksService from '../services/stocksService';
+import { watchlistsApi } from '../services/api';
 
 const LargeCap = () => {
   const [stocks, setStocks] = useState([]);
@@ -43,6 +52,12 @@ const LargeCap = () => {
   // UI state
   const [isSearchExpanded, setIsSearchExpanded] = useState(false);
 
+  // Watchlists state
+  const [watchlists, setWatchlists] = useState([]);
+  const [selectedWatchlistId, setSelectedWatchlistId] = useState('');
+  const [newWatchlistName, setNewWatchlistName] = useState('');
+  const [isSavingWatchlist, setIsSavingWatchlist] = useState(false);
+
   // Load stock statistics
   const loadStats = useCallback(async () => {
     try {
@@ -56,6 +71,16 @@ const LargeCap = () => {
     }
   }, []);
 
+  // Load saved watchlists
+  const loadWatchlists = useCallback(async () => {
+    try {
+      const response = await watchlistsApi.getAll();
+      setWatchlists(response.watchlists || []);
+    } catch (error) {
+      console.error('Error loading watchlists:', error);
+    }
+  }, []);
+
   // Load stocks with current filters and pagination
   const loadStocks = useCallback(async () => {
     try {
@@ -64,6 +89,7 @@ const LargeCap = () => {
 
       const params = {
         ...filters,
+        watchlistId: selectedWatchlistId,
         sortBy: sorting.sortBy,
         sortOrder: sorting.sortOrder,
         limit: pagination.limit,
@@ -95,7 +121,13 @@ const LargeCap = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [filters, sorting, pagination.currentPage, pagination.limit]);
+  }, [
+    filters,
+    selectedWatchlistId,
+    sorting,
+    pagination.currentPage,
+    pagination.limit,
+  ]);
 
   // Load data on component mount
   useEffect(() => {
@@ -103,6 +135,10 @@ const LargeCap = () => {
     loadStocks();
   }, [loadStats, loadStocks]);
 
+  useEffect(() => {
+    loadWatchlists();
+  }, [loadWatchlists]);
+
   // Handle filter changes
   const handleFiltersChange = useCallback((newFilters) => {
     setFilters(newFilters);
@@ -139,6 +175,41 @@ const LargeCap = () => {
     setPagination((prev) => ({ ...prev, currentPage: 1 }));
   }, []);
 
+  // Handle watchlist selection
+  const handleWatchlistChange = useCallback((watchlistId) => {
+    setSelectedWatchlistId(watchlistId);
+    setPagination((prev) => ({ ...prev, currentPage: 1 }));
+  }, []);
+
+  // Save the stocks currently shown as a new watchlist
+  const handleSaveWatchlist = useCallback(async () => {
+    const name = newWatchlistName.trim();
+    if (!name || stocks.length === 0) {
+      return;
+    }
+
+    try {
+      setIsSavingWatchlist(true);
+      setError(null);
+      const response = await watchlistsApi.create({
+        name,
+        symbols: stocks.map((stock) =>
+          stock.exchangeCode
+            ? `${stock.code}.${stock.exchangeCode}`
+            : stock.code,
+        ),
+      });
+      setNewWatchlistName('');
+      await loadWatchlists();
+      setSelectedWatchlistId(response.watchlist._id);
+    } catch (error) {
+      console.error('Error saving watchlist:', error);
+      setError(`Failed to save watchlist: ${error.message}`);
+    } finally {
+      setIsSavingWatchlist(false);
+    }
+  }, [newWatchlistName, stocks, loadWatchlists]);
+
   // Handle sorting
   const handleSort = useCallback((sortBy, sortOrder) => {
     setSorting({ sortBy, sortOrder });
@@ -252,6 +323,48 @@ const LargeCap = () => {
         )}
       </div>
 
+      {/* Watchlist */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-4">
+        <div className="flex items-center space-x-2 mb-4">
+          <Star className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Watchlist
+          </h3>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select
+            value={selectedWatchlistId}
+            onChange={handleWatchlistChange}
+            options={[
+              { value: '', label: 'All large cap stocks' },
+              ...watchlists.map((watchlist) => ({
+                value: watchlist._id,
+                label: `${watchlist.name} (${watchlist.symbolsCount})`,
+              })),
+            ]}
+          />
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={newWatchlistName}
+              onChange={(e) => setNewWatchlistName(e.target.value)}
+              placeholder="New watchlist name"
+              className="flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={handleSaveWatchlist}
+              disabled={
+                isSavingWatchlist || !newWatchlistName.trim() || !stocks.length
+              }
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Save the stocks on this page as a watchlist"
+            >
+              {isSavingWatchlist ? 'Saving...' : 'Save page'}
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Filters */}
       <StockFilters
         filters={filters}
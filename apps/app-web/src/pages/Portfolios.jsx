@@ -0,0 +1,658 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Briefcase,
+  RefreshCw,
+  AlertCircle,
+  Plus,
+  Trash2,
+  ChevronDown,
+  ChevronRight,
+  Upload,
+  Clock,
+} from 'lucide-react';
+import { portfoliosApi } from '../services/api';
+
+const CSV_PLACEHOLDER = `date,type,symbol,quantity,price,amount,currency,fees
+2024-01-02,DEPOSIT,,,,10000,USD,
+2024-01-03,BUY,KO.US,100,58.50,,USD,1
+2024-02-01,DIVIDEND,KO.US,,,48.50,USD,`;
+
+const inputClassName =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white';
+
+const formatMoney = (value, currency) =>
+  value === null || value === undefined
+    ? '—'
+    : `${value.toLocaleString(undefined, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })}${currency ? ` ${currency}` : ''}`;
+
+const formatPct = (value) =>
+  value === null || value === undefined ? '—' : `${(value * 100).toFixed(2)}%`;
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : '—';
+
+const returnClassName = (value) =>
+  value >= 0
+    ? 'text-green-600 dark:text-green-400'
+    : 'text-red-600 dark:text-red-400';
+
+const IncomeCalendarChart = ({ calendar, currency }) => {
+  if (!calendar || calendar.length === 0) {
+    return null;
+  }
+
+  const max = Math.max(...calendar.map((bucket) => bucket.amount)) || 1;
+
+  return (
+    <div className="grid grid-cols-12 gap-1 items-end h-40">
+      {calendar.map((bucket) => (
+        <div
+          key={bucket.month}
+          className="flex flex-col items-center justify-end h-full"
+          title={`${bucket.month}: ${formatMoney(bucket.amount, currency)}${
+            bucket.payments.length > 0
+              ? ` (${bucket.payments
+                  .map((payment) => payment.symbol)
+                  .join(', ')})`
+              : ''
+          }`}
+        >
+          <div
+            className="w-full rounded-t bg-blue-500 dark:bg-blue-400"
+            style={{ height: `${(bucket.amount / max) * 100}%` }}
+          />
+          <span className="text-[10px] text-gray-500 dark:text-gray-400 mt-1">
+            {bucket.month.slice(2)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const PortfolioDetail = ({ portfolioId, onChanged }) => {
+  const [portfolio, setPortfolio] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Add lot form
+  const [lot, setLot] = useState({
+    symbol: '',
+    date: '',
+    quantity: '',
+    price: '',
+    currency: '',
+  });
+
+  // Transactions import
+  const [csv, setCsv] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+
+  const loadPortfolio = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await portfoliosApi.getById(portfolioId);
+      setPortfolio(data.portfolio);
+    } catch (err) {
+      console.error('Failed to load portfolio:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [portfolioId]);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [loadPortfolio]);
+
+  const applyChange = async (request) => {
+    setError(null);
+    try {
+      const data = await request();
+      setPortfolio({ ...data.portfolio, valuationStale: true });
+      onChanged();
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleAddLot = async (e) => {
+    e.preventDefault();
+    const data = await applyChange(() =>
+      portfoliosApi.addLot(portfolioId, {
+        symbol: lot.symbol.trim(),
+        date: lot.date,
+        quantity: Number(lot.quantity),
+        price: Number(lot.price),
+        ...(lot.currency.trim() && {
+          currency: lot.currency.trim().toUpperCase(),
+        }),
+      }),
+    );
+    if (data) {
+      setLot({ symbol: '', date: '', quantity: '', price: '', currency: '' });
+    }
+  };
+
+  const handleRemoveLot = (lotId) =>
+    applyChange(() => portfoliosApi.removeLot(portfolioId, lotId));
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setImporting(true);
+    setImportResult(null);
+    const data = await applyChange(() =>
+      portfoliosApi.importTransactions(portfolioId, { csv }),
+    );
+    if (data) {
+      setImportResult({ applied: data.applied, rejected: data.rejected });
+      if (data.rejected.length === 0) {
+        setCsv('');
+      }
+    }
+    setImporting(false);
+  };
+
+  if (!portfolio) {
+    return loading ? (
+      <RefreshCw size={16} className="animate-spin text-gray-400" />
+    ) : (
+      <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+    );
+  }
+
+  const { valuation, baseCurrency } = portfolio;
+  const positions = new Map(
+    (valuation?.positions || []).map((position) => [position.symbol, position]),
+  );
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      {portfolio.valuationStale && (
+        <div className="flex items-center text-sm text-amber-700 dark:text-amber-400">
+          <Clock size={14} className="mr-1" />
+          Holdings changed since the last valuation; values refresh after the
+          next scanner cycle
+        </div>
+      )}
+
+      {/* Positions */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-1 font-medium">Symbol</th>
+              <th className="py-1 font-medium text-right">Shares</th>
+              <th className="py-1 font-medium text-right">Avg Cost</th>
+              <th className="py-1 font-medium text-right">Price</th>
+              <th className="py-1 font-medium text-right">Value</th>
+              <th className="py-1 font-medium text-right">P/L</th>
+              <th className="py-1 font-medium text-right">Weight</th>
+              <th className="py-1 font-medium text-right">12M Income</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-900 dark:text-white">
+            {portfolio.holdings.map((holding) => {
+              const position = positions.get(holding.symbol);
+
+              return (
+                <tr
+                  key={holding.symbol}
+                  className="border-t border-gray-100 dark:border-gray-800"
+                >
+                  <td className="py-1">
+                    <Link
+                      to={`/stock/${encodeURIComponent(holding.symbol)}`}
+                      className="text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      {holding.symbol}
+                    </Link>
+                  </td>
+                  <td className="py-1 text-right">
+                    {position?.quantity ??
+                      holding.lots.reduce(
+                        (sum, item) => sum + item.quantity,
+                        0,
+                      )}
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatMoney(position?.averageCost)}
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatMoney(position?.price, position?.priceCurrency)}
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatMoney(position?.marketValue)}
+                  </td>
+                  <td
+                    className={`py-1 text-right ${returnClassName(
+                      position?.unrealizedPnL,
+                    )}`}
+                  >
+                    {formatMoney(position?.unrealizedPnL)}{' '}
+                    <span className="text-xs">
+                      ({formatPct(position?.unrealizedPnLPct)})
+                    </span>
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatPct(position?.weight)}
+                  </td>
+                  <td
+                    className="py-1 text-right"
+                    title={
+                      position?.incomeSource === 'yield'
+                        ? 'Estimated from the current dividend yield'
+                        : undefined
+                    }
+                  >
+                    {formatMoney(position?.forwardIncome)}
+                    {position?.incomeSource === 'yield' && '*'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {valuation?.missingPrices?.length > 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            No stored price for {valuation.missingPrices.join(', ')}
+          </p>
+        )}
+      </div>
+
+      {/* Income calendar */}
+      {valuation?.incomeCalendar && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Dividend Income (next 12 months, {baseCurrency})
+          </h4>
+          <IncomeCalendarChart
+            calendar={valuation.incomeCalendar}
+            currency={baseCurrency}
+          />
+          {valuation.totals.unscheduledIncome > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              * {formatMoney(valuation.totals.unscheduledIncome, baseCurrency)}{' '}
+              from holdings without a regular dividend schedule is estimated
+              from their yield and not shown by month
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Lots */}
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+          Lots
+        </h4>
+        <div className="space-y-1 text-sm">
+          {portfolio.holdings.flatMap((holding) =>
+            holding.lots.map((item) => (
+              <div
+                key={item._id}
+                className="flex items-center justify-between text-gray-700 dark:text-gray-300"
+              >
+                <span>
+                  {formatDate(item.date)} · {holding.symbol} · {item.quantity} @{' '}
+                  {formatMoney(item.price, item.currency)}
+                  {item.fees > 0 && ` + ${formatMoney(item.fees)} fees`}
+                </span>
+                <button
+                  onClick={() => handleRemoveLot(item._id)}
+                  className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove lot"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            )),
+          )}
+        </div>
+        <form
+          onSubmit={handleAddLot}
+          className="grid grid-cols-2 md:grid-cols-6 gap-2 mt-3"
+        >
+          <input
+            type="text"
+            value={lot.symbol}
+            onChange={(e) => setLot({ ...lot, symbol: e.target.value })}
+            placeholder="KO.US"
+            className={inputClassName}
+          />
+          <input
+            type="date"
+            value={lot.date}
+            onChange={(e) => setLot({ ...lot, date: e.target.value })}
+            className={inputClassName}
+          />
+          <input
+            type="number"
+            min={0}
+            step="any"
+            value={lot.quantity}
+            onChange={(e) => setLot({ ...lot, quantity: e.target.value })}
+            placeholder="Shares"
+            className={inputClassName}
+          />
+          <input
+            type="number"
+            min={0}
+            step="any"
+            value={lot.price}
+            onChange={(e) => setLot({ ...lot, price: e.target.value })}
+            placeholder="Price"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={lot.currency}
+            onChange={(e) => setLot({ ...lot, currency: e.target.value })}
+            placeholder={baseCurrency}
+            maxLength={3}
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={!lot.symbol.trim() || !lot.date || !lot.quantity}
+            className="btn-primary flex items-center justify-center disabled:opacity-50"
+          >
+            <Plus size={16} className="mr-2" />
+            Add Lot
+          </button>
+        </form>
+      </div>
+
+      {/* Cash */}
+      <div className="text-sm text-gray-700 dark:text-gray-300">
+        <span className="font-semibold">Cash:</span>{' '}
+        {portfolio.cash.length === 0
+          ? 'none'
+          : portfolio.cash
+              .map((balance) => formatMoney(balance.amount, balance.currency))
+              .join(' · ')}
+      </div>
+
+      {/* Import */}
+      <form onSubmit={handleImport} className="space-y-2">
+        <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+          Import Transactions
+        </h4>
+        <textarea
+          value={csv}
+          onChange={(e) => setCsv(e.target.value)}
+          placeholder={CSV_PLACEHOLDER}
+          rows={5}
+          className={`${inputClassName} font-mono text-xs`}
+        />
+        {importResult && (
+          <div className="text-sm">
+            <p className="text-gray-700 dark:text-gray-300">
+              {importResult.applied} transactions applied
+            </p>
+            {importResult.rejected.length > 0 && (
+              <ul className="text-red-600 dark:text-red-400 list-disc pl-5">
+                {importResult.rejected.map((reject) => (
+                  <li key={reject.row}>
+                    Row {reject.row}: {reject.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={importing || !csv.trim()}
+          className="btn-secondary flex items-center disabled:opacity-50"
+        >
+          <Upload size={16} className="mr-2" />
+          Import CSV
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const Portfolios = () => {
+  const [portfolios, setPortfolios] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Create form
+  const [name, setName] = useState('');
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const [expandedId, setExpandedId] = useState(null);
+
+  const loadPortfolios = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await portfoliosApi.getAll();
+      setPortfolios(data.portfolios || []);
+    } catch (err) {
+      console.error('Failed to load portfolios:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPortfolios();
+  }, [loadPortfolios]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormErrors([]);
+
+    try {
+      const data = await portfoliosApi.create({
+        name: name.trim(),
+        baseCurrency: baseCurrency.trim().toUpperCase(),
+      });
+      setName('');
+      setExpandedId(data.portfolio._id);
+      loadPortfolios();
+    } catch (err) {
+      setFormErrors([err.message, ...(err.data?.details || [])]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (portfolio) => {
+    if (!window.confirm(`Delete portfolio "${portfolio.name}"?`)) {
+      return;
+    }
+
+    try {
+      await portfoliosApi.delete(portfolio._id);
+      if (expandedId === portfolio._id) {
+        setExpandedId(null);
+      }
+      loadPortfolios();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Portfolios
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Holdings valued after every scanner cycle, with forward dividend
+            income
+          </p>
+        </div>
+        <button
+          onClick={loadPortfolios}
+          disabled={loading}
+          className="btn-secondary"
+        >
+          <RefreshCw
+            size={16}
+            className={`mr-2 ${loading ? 'animate-spin' : ''}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertCircle
+              className="text-red-600 dark:text-red-400 mr-2"
+              size={20}
+            />
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Create */}
+      <form onSubmit={handleCreate} className="card p-4 space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          New Portfolio
+        </h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name"
+            className={`${inputClassName} md:col-span-3`}
+          />
+          <input
+            type="text"
+            value={baseCurrency}
+            onChange={(e) => setBaseCurrency(e.target.value)}
+            placeholder="Base currency"
+            title="Base currency"
+            maxLength={3}
+            className={inputClassName}
+          />
+        </div>
+        {formErrors.length > 0 && (
+          <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-5">
+            {formErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !name.trim()}
+          className="btn-primary flex items-center disabled:opacity-50"
+        >
+          <Plus size={16} className="mr-2" />
+          Create Portfolio
+        </button>
+      </form>
+
+      {/* Portfolios */}
+      {portfolios.length === 0 && !loading ? (
+        <div className="card p-8 text-center text-gray-500 dark:text-gray-400">
+          <Briefcase size={32} className="mx-auto mb-2" />
+          No portfolios yet
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {portfolios.map((portfolio) => {
+            const isExpanded = expandedId === portfolio._id;
+            const totals = portfolio.valuation?.totals;
+
+            return (
+              <div key={portfolio._id} className="card p-4">
+                <div className="flex items-start justify-between">
+                  <button
+                    onClick={() =>
+                      setExpandedId(isExpanded ? null : portfolio._id)
+                    }
+                    className="flex items-start text-left"
+                  >
+                    {isExpanded ? (
+                      <ChevronDown size={20} className="mt-0.5 mr-2" />
+                    ) : (
+                      <ChevronRight size={20} className="mt-0.5 mr-2" />
+                    )}
+                    <div>
+                      <h3 className="font-semibold text-gray-900 dark:text-white">
+                        {portfolio.name}
+                      </h3>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {portfolio.holdingsCount} holdings ·{' '}
+                        {portfolio.baseCurrency} · valued{' '}
+                        {portfolio.valuedAt
+                          ? new Date(portfolio.valuedAt).toLocaleString()
+                          : 'never'}
+                      </p>
+                    </div>
+                  </button>
+                  <div className="flex items-center space-x-4 text-sm">
+                    {totals && (
+                      <>
+                        <span className="text-gray-900 dark:text-white font-medium">
+                          {formatMoney(
+                            totals.totalValue,
+                            portfolio.baseCurrency,
+                          )}
+                        </span>
+                        <span className={returnClassName(totals.unrealizedPnL)}>
+                          {formatMoney(totals.unrealizedPnL)} (
+                          {formatPct(totals.unrealizedPnLPct)})
+                        </span>
+                        <span className="text-gray-600 dark:text-gray-400">
+                          12M income {formatMoney(totals.forwardIncome)} (
+                          {formatPct(totals.forwardYield)})
+                        </span>
+                      </>
+                    )}
+                    <button
+                      onClick={() => handleDelete(portfolio)}
+                      className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      title="Delete portfolio"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+                    <PortfolioDetail
+                      portfolioId={portfolio._id}
+                      onChanged={loadPortfolios}
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Portfolios;
@@ -0,0 +1,359 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ListFilter,
+  RefreshCw,
+  AlertCircle,
+  Plus,
+  Trash2,
+  ChevronDown,
+  ChevronRight,
+  ArrowUpRight,
+  ArrowDownRight,
+  Clock,
+} from 'lucide-react';
+import { screensApi } from '../services/api';
+
+const RUNS_LIMIT = 20;
+
+const formatTimeAgo = (dateString) => {
+  if (!dateString) return 'Never';
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  return `${diffDays}d ago`;
+};
+
+const SymbolLinks = ({ symbols, className }) => (
+  <div className="flex flex-wrap gap-1">
+    {symbols.map((symbol) => (
+      <Link
+        key={symbol}
+        to={`/stock/${encodeURIComponent(symbol)}`}
+        className={`px-2 py-0.5 rounded text-xs font-medium hover:underline ${className}`}
+      >
+        {symbol}
+      </Link>
+    ))}
+  </div>
+);
+
+const Screens = () => {
+  const [screens, setScreens] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Create form
+  const [name, setName] = useState('');
+  const [queryText, setQueryText] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Changelog of the expanded screen
+  const [expandedId, setExpandedId] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loadingRuns, setLoadingRuns] = useState(false);
+
+  const loadScreens = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await screensApi.getAll();
+      setScreens(data.screens || []);
+    } catch (err) {
+      console.error('Failed to load screens:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadScreens();
+  }, [loadScreens]);
+
+  const loadRuns = async (screenId) => {
+    setLoadingRuns(true);
+    try {
+      const data = await screensApi.getRuns(screenId, { limit: RUNS_LIMIT });
+      setRuns(data.runs || []);
+    } catch (err) {
+      console.error('Failed to load screen runs:', err);
+      setRuns([]);
+    } finally {
+      setLoadingRuns(false);
+    }
+  };
+
+  const handleToggleExpand = (screenId) => {
+    if (expandedId === screenId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(screenId);
+    setRuns([]);
+    loadRuns(screenId);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormErrors([]);
+
+    try {
+      await screensApi.create({ name: name.trim(), query: queryText });
+      setName('');
+      setQueryText('');
+      loadScreens();
+    } catch (err) {
+      setFormErrors([err.message, ...(err.data?.details || [])]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (screen) => {
+    try {
+      await screensApi.update(screen._id, { enabled: !screen.enabled });
+      loadScreens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (screen) => {
+    if (!window.confirm(`Delete screen "${screen.name}" and its history?`)) {
+      return;
+    }
+
+    try {
+      await screensApi.delete(screen._id);
+      if (expandedId === screen._id) {
+        setExpandedId(null);
+      }
+      loadScreens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Saved Screens
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Screener queries re-run after every scanner cycle
+          </p>
+        </div>
+        <button
+          onClick={loadScreens}
+          disabled={loading}
+          className="btn-secondary"
+        >
+          <RefreshCw
+            size={16}
+            className={`mr-2 ${loading ? 'animate-spin' : ''}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertCircle
+              className="text-red-600 dark:text-red-400 mr-2"
+              size={20}
+            />
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Create */}
+      <form onSubmit={handleCreate} className="card p-4 space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          New Screen
+        </h2>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name"
+          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+        />
+        <textarea
+          value={queryText}
+          onChange={(e) => setQueryText(e.target.value)}
+          placeholder="DividendYieldCurrent > 3 AND percentiles.sector.DebtToEquityCurrent < 0.4"
+          rows={3}
+          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white font-mono text-sm"
+        />
+        {formErrors.length > 0 && (
+          <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-5">
+            {formErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !name.trim() || !queryText.trim()}
+          className="btn-primary flex items-center disabled:opacity-50"
+        >
+          <Plus size={16} className="mr-2" />
+          Save Screen
+        </button>
+      </form>
+
+      {/* Screens */}
+      {screens.length === 0 && !loading ? (
+        <div className="card p-8 text-center text-gray-500 dark:text-gray-400">
+          <ListFilter size={32} className="mx-auto mb-2" />
+          No saved screens yet
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {screens.map((screen) => {
+            const isExpanded = expandedId === screen._id;
+
+            return (
+              <div key={screen._id} className="card p-4">
+                <div className="flex items-start justify-between">
+                  <button
+                    onClick={() => handleToggleExpand(screen._id)}
+                    className="flex items-start text-left"
+                  >
+                    {isExpanded ? (
+                      <ChevronDown size={20} className="mt-0.5 mr-2" />
+                    ) : (
+                      <ChevronRight size={20} className="mt-0.5 mr-2" />
+                    )}
+                    <div>
+                      <h3 className="font-semibold text-gray-900 dark:text-white">
+                        {screen.name}
+                      </h3>
+                      <p className="text-xs font-mono text-gray-500 dark:text-gray-400 mt-1">
+                        {screen.queryText || JSON.stringify(screen.query)}
+                      </p>
+                    </div>
+                  </button>
+                  <div className="flex items-center space-x-3 text-sm">
+                    <span className="text-gray-600 dark:text-gray-400 flex items-center">
+                      <Clock size={14} className="mr-1" />
+                      {formatTimeAgo(screen.lastRunAt)}
+                    </span>
+                    <span className="font-medium text-gray-900 dark:text-white">
+                      {screen.latestCount ?? 0} matches
+                    </span>
+                    <button
+                      onClick={() => handleToggleEnabled(screen)}
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        screen.enabled
+                          ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400'
+                          : 'bg-gray-100 dark:bg-gray-800 text-gray-500 dark:text-gray-400'
+                      }`}
+                    >
+                      {screen.enabled ? 'Enabled' : 'Paused'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(screen)}
+                      className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      title="Delete screen"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+
+                {screen.latestSymbols?.length > 0 && (
+                  <div className="mt-3">
+                    <SymbolLinks
+                      symbols={screen.latestSymbols}
+                      className="bg-gray-100 dark:bg-gray-800 text-blue-600 dark:text-blue-400"
+                    />
+                  </div>
+                )}
+
+                {isExpanded && (
+                  <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+                    <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                      Changelog
+                    </h4>
+                    {loadingRuns ? (
+                      <RefreshCw
+                        size={16}
+                        className="animate-spin text-gray-400"
+                      />
+                    ) : runs.length === 0 ? (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Not run yet
+                      </p>
+                    ) : (
+                      <div className="space-y-3">
+                        {runs.map((run) => (
+                          <div key={run._id} className="text-sm">
+                            <div className="text-gray-600 dark:text-gray-400">
+                              {new Date(run.ranAt).toLocaleString()} ·{' '}
+                              {run.total} matches
+                              {run.baseline && ' · baseline'}
+                            </div>
+                            {run.entered.length > 0 && (
+                              <div className="flex items-start mt-1">
+                                <ArrowUpRight
+                                  size={16}
+                                  className="text-green-600 dark:text-green-400 mr-1 shrink-0"
+                                />
+                                <SymbolLinks
+                                  symbols={run.entered}
+                                  className="bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400"
+                                />
+                              </div>
+                            )}
+                            {run.exited.length > 0 && (
+                              <div className="flex items-start mt-1">
+                                <ArrowDownRight
+                                  size={16}
+                                  className="text-red-600 dark:text-red-400 mr-1 shrink-0"
+                                />
+                                <SymbolLinks
+                                  symbols={run.exited}
+                                  className="bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400"
+                                />
+                              </div>
+                            )}
+                            {!run.baseline &&
+                              run.entered.length === 0 &&
+                              run.exited.length === 0 && (
+                                <div className="text-gray-500 dark:text-gray-400 mt-1">
+                                  No changes
+                                </div>
+                              )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Screens;
@@ -0,0 +1,207 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { LogIn, AlertCircle, CheckCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const GOOGLE_CLIENT_ID =
+  (typeof import.meta !== 'undefined' &&
+    import.meta.env &&
+    import.meta.env.VITE_GOOGLE_CLIENT_ID) ||
+  null;
+
+const GOOGLE_SCRIPT_URL = 'https://accounts.google.com/gsi/client';
+
+// Load Google Identity Services once
+const loadGoogleScript = () =>
+  new Promise((resolve, reject) => {
+    if (window.google?.accounts?.id) {
+      resolve(window.google);
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = GOOGLE_SCRIPT_URL;
+    script.async = true;
+    script.onload = () => resolve(window.google);
+    script.onerror = () => reject(new Error('Failed to load Google sign-in'));
+    document.head.appendChild(script);
+  });
+
+const SignIn = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, signInWithGoogle, sendVerificationCode, signInWithPhone } =
+    useAuth();
+  const googleButtonRef = useRef(null);
+
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const redirectTo = location.state?.from || '/';
+
+  const handleSignedIn = () => navigate(redirectTo, { replace: true });
+
+  // Render the Google button when a client id is configured
+  useEffect(() => {
+    if (!GOOGLE_CLIENT_ID) return;
+    let cancelled = false;
+
+    loadGoogleScript()
+      .then((google) => {
+        if (cancelled || !googleButtonRef.current) return;
+        google.accounts.id.initialize({
+          client_id: GOOGLE_CLIENT_ID,
+          callback: async ({ credential }) => {
+            setError(null);
+            try {
+              await signInWithGoogle(credential);
+              handleSignedIn();
+            } catch (err) {
+              setError(err.details?.message || err.message);
+            }
+          },
+        });
+        google.accounts.id.renderButton(googleButtonRef.current, {
+          theme: 'outline',
+          size: 'large',
+        });
+      })
+      .catch((err) => setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- Google initializes once per page load
+  }, []);
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await sendVerificationCode(phone.trim());
+      setCodeSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await signInWithPhone(phone.trim(), code.trim());
+      handleSignedIn();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="p-6 flex justify-center">
+      <div className="w-full max-w-md space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Sign In
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Sign in to manage your own data. Job and usage actions require the
+            admin role.
+          </p>
+        </div>
+
+        {user && (
+          <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4 flex items-center">
+            <CheckCircle
+              className="text-green-600 dark:text-green-400 mr-2"
+              size={20}
+            />
+            <p className="text-sm text-green-700 dark:text-green-300">
+              Signed in as {user.name || user.email || user.phone} ({user.role})
+            </p>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+            <div className="flex items-center">
+              <AlertCircle
+                className="text-red-600 dark:text-red-400 mr-2"
+                size={20}
+              />
+              <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {GOOGLE_CLIENT_ID && (
+          <div className="card p-4 space-y-3">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Google
+            </h2>
+            <div ref={googleButtonRef} />
+          </div>
+        )}
+
+        <form
+          onSubmit={codeSent ? handleVerifyCode : handleSendCode}
+          className="card p-4 space-y-3"
+        >
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Phone
+          </h2>
+          <input
+            type="tel"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            placeholder="+14155550123"
+            disabled={codeSent}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white disabled:opacity-50"
+          />
+          {codeSent && (
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Verification code"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+            />
+          )}
+          <div className="flex items-center space-x-3">
+            <button
+              type="submit"
+              disabled={submitting || !phone.trim() || (codeSent && !code)}
+              className="btn-primary flex items-center disabled:opacity-50"
+            >
+              <LogIn size={16} className="mr-2" />
+              {codeSent ? 'Sign In' : 'Send Code'}
+            </button>
+            {codeSent && (
+              <button
+                type="button"
+                onClick={() => {
+                  setCodeSent(false);
+                  setCode('');
+                }}
+                className="btn-secondary"
+              >
+                Change Number
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SignIn;
@@ -0,0 +1,429 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Building2,
+  DollarSign,
+  BarChart3,
+  TrendingUp,
+  Activity,
+  RefreshCw,
+  Calculator,
+} from 'lucide-react';
+import { stocksApi } from '../services/api';
+import DcfCalculator from '../components/DcfCalculator';
+
+const HIGHLIGHT_FIELDS = [
+  { key: 'MarketCapitalization', label: 'Market Cap', format: 'compact' },
+  { key: 'EBITDA', label: 'EBITDA', format: 'compact' },
+  { key: 'PERatio', label: 'P/E', format: 'ratio' },
+  { key: 'PEGRatio', label: 'PEG', format: 'ratio' },
+  { key: 'EarningsShare', label: 'EPS', format: 'ratio' },
+  { key: 'BookValue', label: 'Book Value', format: 'ratio' },
+  { key: 'DividendShare', label: 'Dividend / Share', format: 'ratio' },
+  { key: 'DividendYield', label: 'Dividend Yield', format: 'percentage' },
+  { key: 'ProfitMargin', label: 'Profit Margin', format: 'percentage' },
+  {
+    key: 'OperatingMarginTTM',
+    label: 'Operating Margin',
+    format: 'percentage',
+  },
+  { key: 'ReturnOnEquityTTM', label: 'ROE', format: 'percentage' },
+  { key: 'RevenueTTM', label: 'Revenue (TTM)', format: 'compact' },
+];
+
+const formatCompact = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  const abs = Math.abs(value);
+  if (abs >= 1e12) return `${(value / 1e12).toFixed(2)}T`;
+  if (abs >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  return value.toLocaleString();
+};
+
+const formatValue = (value, format) => {
+  if (value === null || value === undefined || isNaN(value)) {
+    return 'N/A';
+  }
+
+  switch (format) {
+    case 'percentage':
+      return `${(value * 100).toFixed(2)}%`;
+    case 'compact':
+      return formatCompact(value);
+    case 'ratio':
+      return Number(value).toFixed(2);
+    default:
+      return value.toLocaleString();
+  }
+};
+
+const formatPercentile = (percentile) =>
+  percentile === null || percentile === undefined
+    ? '-'
+    : `${(percentile * 100).toFixed(0)}%`;
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString();
+};
+
+const getPercentileColor = (percentile) => {
+  if (percentile === null || percentile === undefined) {
+    return 'text-gray-400 dark:text-gray-500';
+  }
+  if (percentile >= 0.6) return 'text-green-600 dark:text-green-400';
+  if (percentile >= 0.4) return 'text-yellow-600 dark:text-yellow-400';
+  return 'text-red-600 dark:text-red-400';
+};
+
+const Card = ({ title, icon: Icon, children }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+    <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2 mb-4">
+      {Icon && <Icon className="h-5 w-5 text-blue-600 dark:text-blue-400" />}
+      <span>{title}</span>
+    </h2>
+    {children}
+  </div>
+);
+
+const ValuationBlock = ({ label, valuation }) => {
+  if (!valuation) {
+    return (
+      <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+        <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+          {label}
+        </p>
+        <p className="mt-2 text-sm text-gray-500">Not calculated yet</p>
+      </div>
+    );
+  }
+
+  const reason =
+    valuation.metadata?.reasonText || valuation.metadata?.reason || null;
+
+  return (
+    <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+          {label}
+        </p>
+        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200">
+          {valuation.quality || 'N/A'}
+        </span>
+      </div>
+      <p className="mt-2 text-2xl font-bold text-gray-900 dark:text-white">
+        {formatValue(valuation.fairValue, 'ratio')}
+      </p>
+      <p
+        className={`text-sm font-medium ${
+          valuation.upsidePct >= 0
+            ? 'text-green-600 dark:text-green-400'
+            : 'text-red-600 dark:text-red-400'
+        }`}
+      >
+        Upside: {formatValue(valuation.upsidePct, 'percentage')}
+      </p>
+      {valuation.range && (
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          Range: {formatValue(valuation.range.low, 'ratio')} –{' '}
+          {formatValue(valuation.range.high, 'ratio')}
+        </p>
+      )}
+      {valuation.peFair !== undefined && (
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          Fair P/E: {formatValue(valuation.peFair, 'ratio')}
+        </p>
+      )}
+      {reason && (
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {reason}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const StockDetail = () => {
+  const { symbol } = useParams();
+  const navigate = useNavigate();
+
+  const [details, setDetails] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadDetails = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await stocksApi.getDetails(symbol);
+      setDetails(response.data);
+    } catch (err) {
+      console.error('Error loading stock details:', err);
+      setError(
+        err.status === 404
+          ? `No data found for ${symbol}`
+          : 'Failed to load stock details. Please try again.',
+      );
+      setDetails(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [symbol]);
+
+  useEffect(() => {
+    loadDetails();
+  }, [loadDetails]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center p-12">
+        <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  const metricsByCategory = (details?.metrics || []).reduce(
+    (groups, metric) => {
+      const category = metric.category || 'other';
+      groups[category] = groups[category] || [];
+      groups[category].push(metric);
+      return groups;
+    },
+    {},
+  );
+
+  const dividendHistory = details?.dividends?.history?.slice(0, 12) || [];
+  const indicators = Object.entries(details?.technicals?.indicators || {});
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center space-x-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 mb-4"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back</span>
+        </button>
+
+        {error ? (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-700 dark:text-red-400">
+            {error}
+          </div>
+        ) : (
+          <div className="flex items-start justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center space-x-2">
+                <Building2 className="h-7 w-7 text-blue-600 dark:text-blue-400" />
+                <span>{details.name}</span>
+              </h1>
+              <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                {details.symbol} • {details.exchange || 'N/A'} •{' '}
+                {details.sector || 'N/A'} / {details.industry || 'N/A'}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Market Cap
+              </p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatCompact(details.marketCap)}{' '}
+                <span className="text-sm font-normal text-gray-500">
+                  {details.currency}
+                </span>
+              </p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {details && (
+        <>
+          {/* Highlights */}
+          {details.highlights && (
+            <Card title="Highlights" icon={DollarSign}>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {HIGHLIGHT_FIELDS.map((field) => (
+                  <div key={field.key}>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {field.label}
+                    </p>
+                    <p className="text-sm font-semibold text-gray-900 dark:text-white">
+                      {formatValue(details.highlights[field.key], field.format)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
+          {/* Valuation */}
+          <Card title="Valuation" icon={TrendingUp}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <ValuationBlock
+                label="Discounted Cash Flow"
+                valuation={details.valuation?.dcf}
+              />
+              <ValuationBlock
+                label="Peter Lynch"
+                valuation={details.valuation?.lynch}
+              />
+              <ValuationBlock
+                label="Dividend Discount Model"
+                valuation={details.valuation?.ddm}
+              />
+              <ValuationBlock
+                label="Relative (Sector Multiples)"
+                valuation={details.valuation?.relative}
+              />
+            </div>
+          </Card>
+
+          {/* What-if DCF */}
+          <Card title="DCF Calculator" icon={Calculator}>
+            <DcfCalculator
+              symbol={details.symbol}
+              currency={details.currency}
+            />
+          </Card>
+
+          {/* Metrics & percentiles */}
+          <Card title="Metrics & Percentiles" icon={BarChart3}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead>
+                  <tr className="text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+                    <th className="py-2 pr-4">Metric</th>
+                    <th className="py-2 pr-4 text-right">Value</th>
+                    <th className="py-2 pr-4 text-right">Sector %ile</th>
+                    <th className="py-2 text-right">Industry %ile</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {Object.entries(metricsByCategory).map(
+                    ([category, metrics]) => [
+                      <tr key={category}>
+                        <td
+                          colSpan={4}
+                          className="pt-4 pb-1 text-xs font-semibold uppercase text-gray-400"
+                        >
+                          {category}
+                        </td>
+                      </tr>,
+                      ...metrics.map((metric) => (
+                        <tr key={metric.id}>
+                          <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">
+                            {metric.displayName}
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900 dark:text-gray-100">
+                            {formatValue(metric.value, metric.type)}
+                          </td>
+                          <td
+                            className={`py-2 pr-4 text-right font-medium ${getPercentileColor(
+                              metric.sectorPercentile,
+                            )}`}
+                          >
+                            {formatPercentile(metric.sectorPercentile)}
+                          </td>
+                          <td
+                            className={`py-2 text-right font-medium ${getPercentileColor(
+                              metric.industryPercentile,
+                            )}`}
+                          >
+                            {formatPercentile(metric.industryPercentile)}
+                          </td>
+                        </tr>
+                      )),
+                    ],
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+              Metrics updated {formatDate(details.lastUpdated?.metrics)}
+            </p>
+          </Card>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Dividends */}
+            <Card title="Dividends" icon={DollarSign}>
+              {details.dividends ? (
+                <>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                    Yield:{' '}
+                    <span className="font-semibold text-gray-900 dark:text-white">
+                      {formatValue(
+                        details.dividends.dividendYield,
+                        'percentage',
+                      )}
+                    </span>
+                  </p>
+                  {details.dividends.upcoming?.length > 0 && (
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                      Next: {formatDate(details.dividends.upcoming[0].date)} (
+                      {details.dividends.upcoming[0].value}{' '}
+                      {details.dividends.upcoming[0].currency})
+                    </p>
+                  )}
+                  <table className="min-w-full text-sm">
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                      {dividendHistory.map((dividend) => (
+                        <tr key={dividend.date}>
+                          <td className="py-1 text-gray-600 dark:text-gray-400">
+                            {formatDate(dividend.date)}
+                          </td>
+                          <td className="py-1 text-right text-gray-900 dark:text-gray-100">
+                            {dividend.value} {dividend.currency}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              ) : (
+                <p className="text-sm text-gray-500">No dividend data</p>
+              )}
+            </Card>
+
+            {/* Technicals */}
+            <Card title="Technicals" icon={Activity}>
+              {indicators.length > 0 ? (
+                <table className="min-w-full text-sm">
+                  <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                    {indicators.map(([name, row]) => (
+                      <tr key={name}>
+                        <td className="py-1 font-medium uppercase text-gray-600 dark:text-gray-400">
+                          {name}
+                        </td>
+                        <td className="py-1 text-right text-gray-900 dark:text-gray-100">
+                          {row
+                            ? Object.entries(row)
+                                .filter(([key]) => key !== 'date')
+                                .map(
+                                  ([key, value]) =>
+                                    `${key}: ${formatValue(value, 'ratio')}`,
+                                )
+                                .join(' • ')
+                            : 'N/A'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No technical data</p>
+              )}
+              <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+                Technicals updated {formatDate(details.technicals?.lastUpdated)}
+              </p>
+            </Card>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StockDetail;
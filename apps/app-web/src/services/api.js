@@ -1,4 +1,5 @@
 import { QueuedHttpClient } from '@buydy/cl-http-priority-queue-client';
+import { getAuthToken, clearAuthSession } from './authSession';
 
 // API Base URL
 // Priority: Vite env var -> dev proxy relative path -> production relative path -> localhost fallback
@@ -56,6 +57,29 @@ const apiClient = new QueuedHttpClient({
   },
 });
 
+// Send the session token of the signed-in user with every request
+apiClient.axios.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// A rejected token (expired, or revoked by a sign-out elsewhere) ends the session
+apiClient.axios.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (
+      error.response?.status === 401 &&
+      error.config?.headers?.Authorization
+    ) {
+      clearAuthSession();
+    }
+    return Promise.reject(error);
+  },
+);
+
 // Export the client for direct access if needed
 export { apiClient };
 
@@ -69,11 +93,13 @@ async function handleApiRequest(requestPromise) {
     // Handle axios errors
     if (error.response) {
       // Server responded with error status
-      throw new ApiError(
-        error.response.data?.error || `HTTP ${error.response.status}`,
-        error.response.status,
-        error.response.data,
-      );
+      const { status, data } = error.response;
+      // Auth failures name what is missing (sign-in or the admin role)
+      const message =
+        (status === 401 || status === 403) && data?.message
+          ? `${data.error}: ${data.message}`
+          : data?.error || `HTTP ${status}`;
+      throw new ApiError(message, status, data);
     } else if (error.request) {
       // Request was made but no response received
       throw new ApiError('Network error or server unavailable', 0, {
@@ -134,7 +160,7 @@ export const jobsApi = {
     );
   },
 
-  // Run job (create new job with same name and trigger execution)
+  // Run job (create new job with same name and queue it for the scanner)
   runJob: async (id) => {
     return handleApiRequest(
       apiClient.post(`/jobs/${id}/run`, null, {
@@ -145,6 +171,25 @@ export const jobsApi = {
     );
   },
 
+  // Cancel a job started by runJob
+  cancelJob: async (id) => {
+    return handleApiRequest(
+      apiClient.post(`/jobs/${id}/cancel`, null, {
+        priority: 1, // Critical priority for job execution
+      }),
+    );
+  },
+
+  // Get commands queued for the scanner (run/cancel/pause/resume)
+  getCommands: async (params = {}) => {
+    return handleApiRequest(
+      apiClient.get('/jobs/commands', {
+        params,
+        priority: 30,
+      }),
+    );
+  },
+
   // Get job statistics
   getStats: async () => {
     return handleApiRequest(
@@ -254,7 +299,7 @@ export const stocksApi = {
   // Get stock details
   getDetails: async (symbol) => {
     return handleApiRequest(
-      apiClient.get(`/stocks/${symbol}`, {
+      apiClient.get(`/stocks/${encodeURIComponent(symbol)}`, {
         priority: 10,
       }),
     );
@@ -271,6 +316,326 @@ export const stocksApi = {
   },
 };
 
+// Watchlists API
+export const watchlistsApi = {
+  // Get all watchlists (never cached so edits show up immediately)
+  getAll: async () => {
+    return handleApiRequest(
+      apiClient.get('/watchlists', {
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Create watchlist
+  create: async (watchlistData) => {
+    return handleApiRequest(
+      apiClient.post('/watchlists', watchlistData, {
+        priority: 5, // High priority for user actions
+      }),
+    );
+  },
+
+  // Update watchlist (name, description or full symbol list)
+  update: async (id, updateData) => {
+    return handleApiRequest(
+      apiClient.put(`/watchlists/${id}`, updateData, {
+        priority: 5,
+      }),
+    );
+  },
+
+  // Add symbols to watchlist
+  addSymbols: async (id, symbols) => {
+    return handleApiRequest(
+      apiClient.post(
+        `/watchlists/${id}/symbols`,
+        { symbols },
+        {
+          priority: 5,
+        },
+      ),
+    );
+  },
+
+  // Remove symbols from watchlist
+  removeSymbols: async (id, symbols) => {
+    return handleApiRequest(
+      apiClient.delete(`/watchlists/${id}/symbols`, {
+        data: { symbols },
+        priority: 5,
+      }),
+    );
+  },
+
+  // Delete watchlist
+  delete: async (id) => {
+    return handleApiRequest(
+      apiClient.delete(`/watchlists/${id}`, {
+        priority: 5,
+      }),
+    );
+  },
+};
+
+// Saved Screens API
+export const screensApi = {
+  // Get all screens with their latest matches (never cached, re-run every cycle)
+  getAll: async () => {
+    return handleApiRequest(
+      apiClient.get('/screens', {
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Get run changelog of a screen (entered/exited symbols per run)
+  getRuns: async (id, params = {}) => {
+    return handleApiRequest(
+      apiClient.get(`/screens/${id}/runs`, {
+        params,
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Create screen
+  create: async (screenData) => {
+    return handleApiRequest(
+      apiClient.post('/screens', screenData, {
+        priority: 5, // High priority for user actions
+      }),
+    );
+  },
+
+  // Update screen (query, sort, ranking or enabled flag)
+  update: async (id, updateData) => {
+    return handleApiRequest(
+      apiClient.put(`/screens/${id}`, updateData, {
+        priority: 5,
+      }),
+    );
+  },
+
+  // Delete screen and its runs
+  delete: async (id) => {
+    return handleApiRequest(
+      apiClient.delete(`/screens/${id}`, {
+        priority: 5,
+      }),
+    );
+  },
+};
+
+// Backtests API
+export const backtestsApi = {
+  // Get backtests with their statistics (never cached, status changes while running)
+  getAll: async (params = {}) => {
+    return handleApiRequest(
+      apiClient.get('/backtests', {
+        params,
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Get backtest with rebalances and equity curve
+  getById: async (id) => {
+    return handleApiRequest(
+      apiClient.get(`/backtests/${id}`, {
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Queue backtest (run asynchronously by the scanner)
+  create: async (backtestData) => {
+    return handleApiRequest(
+      apiClient.post('/backtests', backtestData, {
+        priority: 5, // High priority for user actions
+      }),
+    );
+  },
+
+  // Delete backtest
+  delete: async (id) => {
+    return handleApiRequest(
+      apiClient.delete(`/backtests/${id}`, {
+        priority: 5,
+      }),
+    );
+  },
+};
+
+// Portfolios API
+export const portfoliosApi = {
+  // Get portfolios with valuation totals (never cached, edited from this UI)
+  getAll: async () => {
+    return handleApiRequest(
+      apiClient.get('/portfolios', {
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Get portfolio with lots, cash, positions and income calendar
+  getById: async (id) => {
+    return handleApiRequest(
+      apiClient.get(`/portfolios/${id}`, {
+        priority: 10,
+        memoryCache: false,
+        localStorageCache: false,
+      }),
+    );
+  },
+
+  // Create portfolio
+  create: async (portfolioData) => {
+    return handleApiRequest(
+      apiClient.post('/portfolios', portfolioData, {
+        priority: 5, // High priority for user actions
+      }),
+    );
+  },
+
+  // Update portfolio (name, description, base currency, cash)
+  update: async (id, updates) => {
+    return handleApiRequest(
+      apiClient.put(`/portfolios/${id}`, updates, {
+        priority: 5,
+      }),
+    );
+  },
+
+  // Add purchase lot
+  addLot: async (id, lot) => {
+    return handleApiRequest(
+      apiClient.post(`/portfolios/${id}/lots`, lot, {
+        priority: 5,
+      }),
+    );
+  },
+
+  // Remove lot
+  removeLot: async (id, lotId) => {
+    return handleApiRequest(
+      apiClient.delete(`/portfolios/${id}/lots/${lotId}`, {
+        priority: 5,
+      }),
+    );
+  },
+
+  // Import transactions CSV ({ csv }) or array ({ transactions })
+  importTransactions: async (id, payload) => {
+    return handleApiRequest(
+      apiClient.post(`/portfolios/${id}/transactions`, payload, {
+        priority: 5,
+      }),
+    );
+  },
+
+  // Delete portfolio
+  delete: async (id) => {
+    return handleApiRequest(
+      apiClient.delete(`/portfolios/${id}`, {
+        priority: 5,
+      }),
+    );
+  },
+};
+
+// Valuation API
+export const valuationApi = {
+  // Run a what-if DCF valuation with assumption overrides
+  runDcf: async (symbol, overrides = {}) => {
+    return handleApiRequest(
+      apiClient.post(
+        `/valuation/dcf/${encodeURIComponent(symbol)}`,
+        overrides,
+        {
+          priority: 5, // High priority for user actions
+        },
+      ),
+    );
+  },
+};
+
+// Auth API (session tokens are stored by authSession)
+export const authApi = {
+  // Sign in with a Google ID token (credential from Google Identity Services)
+  googleSignIn: async (idToken) => {
+    return handleApiRequest(
+      apiClient.post(
+        '/auth/google',
+        { token: idToken },
+        {
+          priority: 1, // Critical priority for sign-in
+          retry: false,
+        },
+      ),
+    );
+  },
+
+  // Send a one-time sign-in code by SMS
+  sendVerificationCode: async (phone) => {
+    return handleApiRequest(
+      apiClient.post(
+        '/auth/send-verification-code',
+        { phone },
+        {
+          priority: 1, // Critical priority for sign-in
+          retry: false,
+        },
+      ),
+    );
+  },
+
+  // Sign in with the SMS code
+  verifyPhone: async (phone, code) => {
+    return handleApiRequest(
+      apiClient.post(
+        '/auth/verify-phone',
+        { phone, code },
+        {
+          priority: 1, // Critical priority for sign-in
+          retry: false,
+        },
+      ),
+    );
+  },
+
+  // Get the signed-in user
+  me: async () => {
+    return handleApiRequest(
+      apiClient.get('/auth/me', {
+        priority: 10, // High priority, the layout waits for it
+      }),
+    );
+  },
+
+  // Revoke every session token of the signed-in user
+  logout: async () => {
+    return handleApiRequest(
+      apiClient.post('/auth/logout', null, {
+        priority: 5, // High priority for user actions
+        retry: false,
+      }),
+    );
+  },
+};
+
 // Health check
 export const healthApi = {
   check: async () => {
@@ -0,0 +1,66 @@
+// Session token of the signed-in user, shared by every API client
+const STORAGE_KEY = 'auth-session';
+
+const listeners = new Set();
+
+function readSession() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (e) {
+    console.error('localStorage read error:', e);
+    return null;
+  }
+}
+
+let session = readSession();
+
+function notify() {
+  listeners.forEach((listener) => listener(session));
+}
+
+// Current session ({ token, user }) or null when signed out
+export const getAuthSession = () => session;
+
+export const getAuthToken = () => session?.token || null;
+
+// Authorization header for fetch-based services (empty when signed out)
+export const getAuthHeaders = () => {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Store the token and user returned by a sign-in endpoint
+export const saveAuthSession = ({ token, user }) => {
+  session = { token, user };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } catch (e) {
+    console.error('localStorage write error:', e);
+  }
+  notify();
+};
+
+// Replace the stored user (e.g. after re-reading /auth/me), keeping the token
+export const updateAuthUser = (user) => {
+  if (session) {
+    saveAuthSession({ ...session, user });
+  }
+};
+
+export const clearAuthSession = () => {
+  if (!session) return;
+  session = null;
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error('localStorage write error:', e);
+  }
+  notify();
+};
+
+// Subscribe to sign-in/sign-out; returns the unsubscribe function
+export const onAuthSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -1,4 +1,6 @@
 // API service for EODHD Usage tracking
+import { getAuthHeaders } from './authSession';
+
 const API_BASE_URL = 'http://localhost:3001/api/v1';
 
 class ApiError extends Error {
@@ -18,6 +20,7 @@ async function apiRequest(endpoint, options = {}) {
   const config = {
     headers: {
       'Content-Type': 'application/json',
+      ...getAuthHeaders(),
       ...options.headers,
     },
     ...options,
@@ -135,6 +138,22 @@ export const eodhdUsageApi = {
     return apiRequest(endpoint);
   },
 
+  // Get the daily credit budget with projected vs actual spend per job
+  getCreditBudget: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value.toString());
+      }
+    });
+
+    const endpoint = `/eodhd-usage/budget${
+      queryParams.toString() ? `?${queryParams.toString()}` : ''
+    }`;
+    return apiRequest(endpoint);
+  },
+
   // Delete old usage records
   deleteOldRecords: async (olderThan = 30) => {
     return apiRequest(`/eodhd-usage/cleanup?olderThan=${olderThan}`, {
@@ -1,6 +1,8 @@
 // Heatmap Service
 // API calls for metrics heatmap visualization
 
+import { getAuthHeaders } from './authSession';
+
 const API_BASE_URL = 'http://localhost:3001/api/v1';
 
 async function apiRequest(endpoint, options = {}) {
@@ -9,6 +11,7 @@ async function apiRequest(endpoint, options = {}) {
   const config = {
     headers: {
       'Content-Type': 'application/json',
+      ...getAuthHeaders(),
       ...options.headers,
     },
     ...options,
@@ -44,6 +47,9 @@ export async function fetchHeatmapData({
   limit = 50,
   offset = 0,
   onlyComplete = false,
+  watchlistId,
+  excludeEarningsWithinDays = null,
+  universe,
 }) {
   try {
     const params = new URLSearchParams({
@@ -58,6 +64,21 @@ export async function fetchHeatmapData({
       params.append('groupName', groupName);
     }
 
+    if (watchlistId) {
+      params.append('watchlistId', watchlistId);
+    }
+
+    if (universe) {
+      params.append('universe', universe);
+    }
+
+    if (excludeEarningsWithinDays !== null) {
+      params.append(
+        'excludeEarningsWithinDays',
+        excludeEarningsWithinDays.toString(),
+      );
+    }
+
     const endpoint = `/metrics/heatmap?${params.toString()}`;
     return await apiRequest(endpoint);
   } catch (error) {
@@ -110,6 +131,19 @@ export async function fetchSectors() {
   }
 }
 
+/**
+ * Fetch the universes the heatmap can be limited to (large cap, mid cap, ...)
+ */
+export async function fetchUniverses() {
+  try {
+    const response = await apiRequest('/stocks/universes');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching universes:', error);
+    throw error;
+  }
+}
+
 /**
  * Fetch industries (optionally filtered by sector)
  */
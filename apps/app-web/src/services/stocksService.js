@@ -1,4 +1,5 @@
 import mockStocksService from './mockStocksService';
+import { getAuthHeaders } from './authSession';
 
 const API_BASE_URL = 'http://localhost:3001/api/v1';
 
@@ -14,8 +15,10 @@ class StocksService {
         }
       });
 
+      // The session token lets the API resolve the user's watchlistId
       const response = await fetch(
         `${API_BASE_URL}/stocks/large-cap?${queryParams}`,
+        { headers: getAuthHeaders() },
       );
 
       if (!response.ok) {
@@ -1,13 +1,31 @@
+const ALPHANUMERIC_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
 /**
  * Generate a secure random alphanumeric string of specified length
+ * Uses the Web Crypto API (Node 19+, browsers, React Native with a getRandomValues polyfill)
+ * and throws where it is missing rather than produce guessable values.
  * @param {number} length - String length (default: 32)
+ * @param {string} chars - Alphabet to draw from (default: A-Z, a-z, 0-9; e.g. "0123456789" for numeric codes)
  * @returns {string} Random alphanumeric string
+ * @throws {Error} When crypto.getRandomValues is unavailable
  */
-export function generateRandomAlphanumericString(length = 32) {
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+export function generateRandomAlphanumericString(length = 32, chars = ALPHANUMERIC_CHARS) {
+  const cryptoApi = globalThis.crypto;
+  if (!cryptoApi?.getRandomValues) {
+    throw new Error("crypto.getRandomValues is required to generate random strings");
+  }
+
+  // Rejection sampling keeps every character equally likely
+  const limit = Math.floor(256 / chars.length) * chars.length;
+  const bytes = new Uint8Array(Math.max(length * 2, 16));
   let result = "";
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  while (result.length < length) {
+    cryptoApi.getRandomValues(bytes);
+    for (let i = 0; i < bytes.length && result.length < length; i++) {
+      if (bytes[i] < limit) {
+        result += chars.charAt(bytes[i] % chars.length);
+      }
+    }
   }
   return result;
 }
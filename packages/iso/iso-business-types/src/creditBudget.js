@@ -0,0 +1,191 @@
+/**
+ * EODHD Credit Budget
+ *
+ * EODHD bills every request in API credits: `cost` in endpointTypes.json (fundamentals 10,
+ * technical 5, eod 1, ...). A daily credit budget, minus a reserve kept for ad-hoc calls, is
+ * split into per-job quotas by the `credits.share` of each job in jobTypes.json.
+ *
+ * Before a job starts it estimates its spend from the symbols it still has to refresh
+ * (`credits.perSymbol` lists the endpoints one stale symbol costs) plus any fixed spend of the
+ * run (e.g. one bulk download per exchange) and gets as many of them as its remaining quota
+ * and the remaining daily budget allow; the rest is deferred to a later run instead of the job
+ * running into the EODHD daily limit mid-cycle.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const jobTypes = JSON.parse(
+  readFileSync(join(__dirname, 'jobTypes.json'), 'utf8'),
+);
+const endpointTypes = JSON.parse(
+  readFileSync(join(__dirname, 'endpointTypes.json'), 'utf8'),
+);
+
+export const CREDIT_BUDGET_DEFAULTS = {
+  // EODHD's standard daily API limit
+  DAILY_CREDITS: 100000,
+  // Share of the daily budget no job quota may use (manual runs, the web app, retries)
+  RESERVE_RATIO: 0.1,
+  // Endpoints missing from endpointTypes.json
+  ENDPOINT_COST: 1,
+};
+
+const findJobType = (job) =>
+  typeof job === 'string'
+    ? jobTypes.find(({ id, name }) => id === job || name === job)
+    : job;
+
+/**
+ * Credits one request to an endpoint costs
+ * @param {string} identifier - Endpoint id, name or path (e.g. "fundamentals")
+ * @returns {number} Credits per request
+ */
+export function getEndpointCost(identifier) {
+  const endpoint = endpointTypes.find(
+    ({ id, name, path }) =>
+      id === identifier || name === identifier || path === identifier,
+  );
+  return endpoint?.cost ?? CREDIT_BUDGET_DEFAULTS.ENDPOINT_COST;
+}
+
+/**
+ * Normalize a configured budget, e.g. from EODHD_DAILY_CREDIT_BUDGET and
+ * EODHD_CREDIT_RESERVE_RATIO. Empty or invalid values fall back to the defaults; a daily
+ * budget of 0 turns budget planning off.
+ * @param {Object} [config] - { dailyCredits, reserveRatio } as numbers or strings
+ * @returns {Object} { dailyCredits, reserveRatio, allocatable, enabled }
+ */
+export function resolveCreditBudget({ dailyCredits, reserveRatio } = {}) {
+  const toNumber = (value, fallback) =>
+    value !== undefined &&
+    value !== null &&
+    value !== '' &&
+    Number.isFinite(Number(value))
+      ? Number(value)
+      : fallback;
+
+  const budget = {
+    dailyCredits: Math.max(
+      toNumber(dailyCredits, CREDIT_BUDGET_DEFAULTS.DAILY_CREDITS),
+      0,
+    ),
+    reserveRatio: Math.min(
+      Math.max(toNumber(reserveRatio, CREDIT_BUDGET_DEFAULTS.RESERVE_RATIO), 0),
+      1,
+    ),
+  };
+  return {
+    ...budget,
+    allocatable: getAllocatableCredits(budget),
+    enabled: budget.dailyCredits > 0,
+  };
+}
+
+/**
+ * Daily credits the job quotas are split from
+ * @param {Object} [budget] - { dailyCredits, reserveRatio }
+ * @returns {number} Daily credits minus the reserve
+ */
+export function getAllocatableCredits({
+  dailyCredits = CREDIT_BUDGET_DEFAULTS.DAILY_CREDITS,
+  reserveRatio = CREDIT_BUDGET_DEFAULTS.RESERVE_RATIO,
+} = {}) {
+  return Math.floor(dailyCredits * (1 - reserveRatio));
+}
+
+/**
+ * Daily credit quota of every job that declares a `credits.share`
+ * @param {Object} [budget] - { dailyCredits, reserveRatio }
+ * @returns {Object} Credits by job id
+ */
+export function getJobCreditQuotas(budget = {}) {
+  const allocatable = getAllocatableCredits(budget);
+  return jobTypes.reduce((quotas, jobType) => {
+    if (jobType.credits?.share) {
+      quotas[jobType.id] = Math.floor(allocatable * jobType.credits.share);
+    }
+    return quotas;
+  }, {});
+}
+
+/**
+ * Credits a job spends on one stale symbol
+ * @param {Object|string} job - Job type definition, or its id/name
+ * @returns {number} Sum of the `credits.perSymbol` endpoint costs (0 when none are declared)
+ */
+export function getJobCreditsPerSymbol(job) {
+  const endpoints = findJobType(job)?.credits?.perSymbol || [];
+  return endpoints.reduce(
+    (credits, endpoint) => credits + getEndpointCost(endpoint),
+    0,
+  );
+}
+
+/**
+ * Estimate the credits of a job run
+ * @param {Object|string} job - Job type definition, or its id/name
+ * @param {number} staleSymbols - Symbols without fresh data (fresh ones are skipped for free)
+ * @returns {number} Estimated credits
+ */
+export function estimateJobCredits(job, staleSymbols) {
+  return getJobCreditsPerSymbol(job) * Math.max(staleSymbols, 0);
+}
+
+/**
+ * Decide how many stale symbols a job may refresh today
+ * @param {Object} options
+ * @param {Object|string} options.job - Job type definition, or its id/name
+ * @param {number} options.staleSymbols - Symbols the job would call EODHD for
+ * @param {number} [options.dailyCredits] - Daily credit budget
+ * @param {number} [options.reserveRatio] - Share of the budget kept out of the quotas
+ * @param {number} [options.spentToday=0] - Credits spent today by all jobs
+ * @param {number} [options.jobSpentToday=0] - Credits spent today by this job
+ * @param {number} [options.fixedCredits=0] - Credits the run spends whatever the number of
+ *   stale symbols (e.g. bulk downloads); they come out of the quota before any symbol
+ * @returns {Object} { estimated, quota, available, perSymbol, fixedCredits, allowedSymbols,
+ *   deferredSymbols, projected, degraded }
+ */
+export function planJobCredits({
+  job,
+  staleSymbols,
+  dailyCredits = CREDIT_BUDGET_DEFAULTS.DAILY_CREDITS,
+  reserveRatio = CREDIT_BUDGET_DEFAULTS.RESERVE_RATIO,
+  spentToday = 0,
+  jobSpentToday = 0,
+  fixedCredits = 0,
+}) {
+  const jobType = findJobType(job);
+  const perSymbol = getJobCreditsPerSymbol(jobType);
+  const estimated = fixedCredits + estimateJobCredits(jobType, staleSymbols);
+  const quota = getJobCreditQuotas({ dailyCredits, reserveRatio })[jobType?.id];
+
+  const remainingBudget =
+    getAllocatableCredits({ dailyCredits, reserveRatio }) - spentToday;
+  const remainingQuota = quota === undefined ? Infinity : quota - jobSpentToday;
+  const available = Math.max(Math.min(remainingBudget, remainingQuota), 0);
+
+  const allowedSymbols =
+    perSymbol > 0
+      ? Math.min(
+          staleSymbols,
+          Math.floor(Math.max(available - fixedCredits, 0) / perSymbol),
+        )
+      : staleSymbols;
+
+  return {
+    estimated,
+    quota: quota ?? null,
+    available,
+    perSymbol,
+    fixedCredits,
+    allowedSymbols,
+    deferredSymbols: staleSymbols - allowedSymbols,
+    projected: fixedCredits + allowedSymbols * perSymbol,
+    degraded: allowedSymbols < staleSymbols,
+  };
+}
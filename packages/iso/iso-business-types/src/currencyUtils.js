@@ -0,0 +1,93 @@
+/**
+ * Currency Utilities
+ *
+ * Currency code normalization shared by the scanner, the FX rates store and the API.
+ */
+
+/**
+ * Currency code alias map for normalization
+ */
+const CURRENCY_ALIAS_MAP = {
+  USD: 'USD',
+  US: 'USD',
+  'US DOLLAR': 'USD',
+  'U.S. DOLLAR': 'USD',
+  'UNITED STATES DOLLAR': 'USD',
+  'AMERICAN DOLLAR': 'USD',
+  EUR: 'EUR',
+  EURO: 'EUR',
+  GBP: 'GBP',
+  'BRITISH POUND': 'GBP',
+  'POUND STERLING': 'GBP',
+  CAD: 'CAD',
+  'CANADIAN DOLLAR': 'CAD',
+  AUD: 'AUD',
+  'AUSTRALIAN DOLLAR': 'AUD',
+  NZD: 'NZD',
+  'NEW ZEALAND DOLLAR': 'NZD',
+  CHF: 'CHF',
+  'SWISS FRANC': 'CHF',
+  SEK: 'SEK',
+  NOK: 'NOK',
+  DKK: 'DKK',
+  JPY: 'JPY',
+  'JAPANESE YEN': 'JPY',
+  HKD: 'HKD',
+  SGD: 'SGD',
+  INR: 'INR',
+  'INDIAN RUPEE': 'INR',
+  CNY: 'CNY',
+  'CHINESE YUAN': 'CNY',
+  KRW: 'KRW',
+  'SOUTH KOREAN WON': 'KRW',
+  BRL: 'BRL',
+  'BRAZILIAN REAL': 'BRL',
+  MXN: 'MXN',
+  'MEXICAN PESO': 'MXN',
+  ZAR: 'ZAR',
+  ZAC: 'ZAR', // Common typo/variant for ZAR (South African Rand)
+  'SOUTH AFRICAN RAND': 'ZAR',
+  PLN: 'PLN',
+  'POLISH ZLOTY': 'PLN',
+};
+
+/**
+ * Normalize currency code to standard 3-letter ISO format
+ * Handles various input formats and aliases
+ * @param {string|null|undefined} input - Currency code input
+ * @returns {string|null} Normalized 3-letter currency code or null if invalid
+ */
+export function normalizeCurrencyCode(input) {
+  if (input === null || input === undefined) {
+    return null;
+  }
+  const raw = String(input).trim();
+  if (!raw) {
+    return null;
+  }
+
+  const upper = raw.toUpperCase();
+  if (CURRENCY_ALIAS_MAP[upper]) {
+    return CURRENCY_ALIAS_MAP[upper];
+  }
+
+  const letterOnly = upper.replace(/[^A-Z]/g, '');
+  if (!letterOnly) {
+    return null;
+  }
+
+  if (CURRENCY_ALIAS_MAP[letterOnly]) {
+    return CURRENCY_ALIAS_MAP[letterOnly];
+  }
+
+  if (letterOnly.length === 3) {
+    return letterOnly;
+  }
+
+  const firstThree = letterOnly.slice(0, 3);
+  if (firstThree.length === 3) {
+    return firstThree;
+  }
+
+  return null;
+}
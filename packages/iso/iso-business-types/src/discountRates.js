@@ -0,0 +1,231 @@
+/**
+ * Discount Rate Configuration
+ *
+ * Inputs used to build each symbol's WACC for DCF valuations. The active configuration
+ * is stored (and versioned) in the `discount_rate_configs` collection; these defaults
+ * are used until a version has been saved.
+ *
+ * Country keys are uppercase with spaces replaced by underscores (e.g. UNITED_STATES).
+ */
+
+export const DEFAULT_DISCOUNT_RATE_CONFIG = {
+  // Risk-free rate (10Y government bond yield) per currency
+  riskFreeRates: {
+    USD: 0.043,
+    EUR: 0.025,
+    GBP: 0.035,
+    CAD: 0.036,
+    AUD: 0.042,
+    NZD: 0.045,
+    CHF: 0.012,
+    SEK: 0.028,
+    NOK: 0.03,
+    PLN: 0.055,
+    DKK: 0.025,
+    JPY: 0.01,
+    HKD: 0.035,
+    SGD: 0.03,
+    INR: 0.07,
+    CNY: 0.029,
+    KRW: 0.038,
+    BRL: 0.09,
+    MXN: 0.085,
+    ZAR: 0.095,
+  },
+  defaultRiskFreeRate: 0.045,
+
+  // Mature market equity risk premium
+  equityRiskPremium: 0.055,
+
+  // Added to the equity risk premium for the company's country
+  countryRiskPremiums: {
+    USA: 0,
+    CANADA: 0.005,
+    UNITED_STATES: 0,
+    UNITED_KINGDOM: 0.01,
+    GERMANY: 0.005,
+    FRANCE: 0.01,
+    ITALY: 0.02,
+    SPAIN: 0.015,
+    SWITZERLAND: 0,
+    AUSTRALIA: 0.005,
+    NEW_ZEALAND: 0.01,
+    JAPAN: 0.005,
+    HONG_KONG: 0.01,
+    SINGAPORE: 0.005,
+    INDIA: 0.03,
+    CHINA: 0.025,
+    BRAZIL: 0.04,
+    MEXICO: 0.03,
+    SOUTH_AFRICA: 0.045,
+    SOUTH_KOREA: 0.02,
+    INDONESIA: 0.04,
+    MALAYSIA: 0.025,
+    THAILAND: 0.025,
+    PHILIPPINES: 0.035,
+  },
+  defaultCountryRiskPremium: 0,
+
+  // Terminal growth per currency, emerging market fallback, then default
+  terminalGrowthByCurrency: {
+    USD: 0.02,
+    EUR: 0.01,
+    GBP: 0.015,
+    CAD: 0.02,
+    AUD: 0.02,
+    NZD: 0.02,
+    CHF: 0.012,
+    SEK: 0.015,
+    NOK: 0.018,
+    PLN: 0.02,
+    DKK: 0.012,
+    JPY: 0.01,
+    HKD: 0.02,
+    SGD: 0.02,
+    INR: 0.025,
+    CNY: 0.02,
+    KRW: 0.02,
+    BRL: 0.025,
+    MXN: 0.025,
+    ZAR: 0.025,
+  },
+  emergingMarkets: [
+    'INDIA',
+    'CHINA',
+    'BRAZIL',
+    'MEXICO',
+    'SOUTH_AFRICA',
+    'THAILAND',
+    'PHILIPPINES',
+    'INDONESIA',
+    'MALAYSIA',
+    'POLAND',
+    'CZECH_REPUBLIC',
+    'HUNGARY',
+    'TURKEY',
+  ],
+  emergingMarketTerminalGrowth: 0.025,
+  defaultTerminalGrowth: 0.02,
+
+  // Levered beta: company beta from fundamentals, else sector median, else default
+  defaultBeta: 1,
+  betaMin: 0.2,
+  betaMax: 3,
+  minSectorBetaSample: 5,
+
+  // Cost of debt: interest expense / total debt, bounded by risk-free + spread
+  creditSpread: 0.02,
+  maxCreditSpread: 0.08,
+
+  // Size premium added to the cost of equity below these market caps
+  smallCapThreshold: 1_000_000_000,
+  smallCapPremium: 0.02,
+  midCapThreshold: 5_000_000_000,
+  midCapPremium: 0.01,
+
+  // Dividend yield credited against the cost of equity (capped)
+  maxCashYield: 0.02,
+
+  waccMin: 0.05,
+  waccMax: 0.18,
+};
+
+const RATE_MAP_FIELDS = [
+  'riskFreeRates',
+  'countryRiskPremiums',
+  'terminalGrowthByCurrency',
+];
+
+const RATE_FIELDS = [
+  'defaultRiskFreeRate',
+  'equityRiskPremium',
+  'defaultCountryRiskPremium',
+  'emergingMarketTerminalGrowth',
+  'defaultTerminalGrowth',
+  'creditSpread',
+  'maxCreditSpread',
+  'smallCapPremium',
+  'midCapPremium',
+  'maxCashYield',
+  'waccMin',
+  'waccMax',
+];
+
+const POSITIVE_FIELDS = [
+  'defaultBeta',
+  'betaMin',
+  'betaMax',
+  'minSectorBetaSample',
+  'smallCapThreshold',
+  'midCapThreshold',
+];
+
+const isRate = (value) =>
+  typeof value === 'number' &&
+  Number.isFinite(value) &&
+  value > -1 &&
+  value < 1;
+
+/**
+ * Validate a discount rate configuration (a full config, not a partial update)
+ * @param {Object} config - Discount rate configuration
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateDiscountRateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return { isValid: false, errors: ['Configuration must be an object'] };
+  }
+
+  RATE_MAP_FIELDS.forEach((field) => {
+    const map = config[field];
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      errors.push(`${field} must be an object of rates`);
+      return;
+    }
+    Object.entries(map).forEach(([key, value]) => {
+      if (!isRate(value)) {
+        errors.push(`${field}.${key} must be a rate between -1 and 1`);
+      }
+    });
+  });
+
+  RATE_FIELDS.forEach((field) => {
+    if (!isRate(config[field])) {
+      errors.push(`${field} must be a rate between -1 and 1`);
+    }
+  });
+
+  POSITIVE_FIELDS.forEach((field) => {
+    if (
+      typeof config[field] !== 'number' ||
+      !Number.isFinite(config[field]) ||
+      config[field] <= 0
+    ) {
+      errors.push(`${field} must be a positive number`);
+    }
+  });
+
+  if (
+    !Array.isArray(config.emergingMarkets) ||
+    config.emergingMarkets.some((country) => typeof country !== 'string')
+  ) {
+    errors.push('emergingMarkets must be an array of country names');
+  }
+
+  if (config.waccMin >= config.waccMax) {
+    errors.push('waccMin must be lower than waccMax');
+  }
+  if (config.betaMin >= config.betaMax) {
+    errors.push('betaMin must be lower than betaMax');
+  }
+  if (config.smallCapThreshold >= config.midCapThreshold) {
+    errors.push('smallCapThreshold must be lower than midCapThreshold');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
@@ -1,6 +1,7 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseDuration } from './jobPolicy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -158,24 +159,36 @@ export function getAllStocksJobs() {
 }
 
 /**
- * Get job execution order based on dependencies
+ * Get job execution order based on dependencies (topological order)
+ * Dependencies that are not in the list are ignored (treated as already satisfied).
+ * @param {Array} [jobs] - Job type definitions (default: all job types)
  * @returns {Array} Array of job type definitions in execution order
+ * @throws {Error} When the dependencies contain a cycle (the message lists the cycle path)
  */
-export function getJobsInExecutionOrder() {
-  const jobs = [...jobTypes];
+export function getJobsInExecutionOrder(jobs = jobTypes) {
+  const jobsById = new Map(jobs.map((job) => [job.id, job]));
   const ordered = [];
   const processed = new Set();
+  const visiting = [];
 
   function processJob(job) {
     if (processed.has(job.id)) return;
 
+    const cycleStart = visiting.indexOf(job.id);
+    if (cycleStart !== -1) {
+      const cycle = [...visiting.slice(cycleStart), job.id];
+      throw new Error(`Job dependency cycle detected: ${cycle.join(' → ')}`);
+    }
+
     // Process dependencies first
-    job.dependencies.forEach((depId) => {
-      const depJob = jobs.find((j) => j.id === depId);
+    visiting.push(job.id);
+    (job.dependencies || []).forEach((depId) => {
+      const depJob = jobsById.get(depId);
       if (depJob) {
         processJob(depJob);
       }
     });
+    visiting.pop();
 
     ordered.push(job);
     processed.add(job.id);
@@ -233,6 +246,30 @@ export function validateJobType(job) {
     errors.push('Tags must be an array');
   }
 
+  if (
+    job.retryPolicy?.retryDelay !== undefined &&
+    parseDuration(job.retryPolicy.retryDelay) === null
+  ) {
+    errors.push(`Invalid retryDelay: ${job.retryPolicy.retryDelay}`);
+  }
+
+  if (job.timeout !== undefined && parseDuration(job.timeout) === null) {
+    errors.push(`Invalid timeout: ${job.timeout}`);
+  }
+
+  if (
+    job.credits?.share !== undefined &&
+    !(job.credits.share >= 0 && job.credits.share <= 1)
+  ) {
+    errors.push(`Invalid credits share: ${job.credits.share}`);
+  }
+
+  (job.credits?.perSymbol || [])
+    .filter((endpoint) => !getEndpointTypeById(endpoint))
+    .forEach((endpoint) =>
+      errors.push(`Unknown credits endpoint: ${endpoint}`),
+    );
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -623,6 +660,78 @@ export {
   validateCacheConsistency,
 } from './jobConfig.js';
 
+// Import and re-export discount rate (WACC) configuration
+export {
+  DEFAULT_DISCOUNT_RATE_CONFIG,
+  validateDiscountRateConfig,
+} from './discountRates.js';
+
+// Import and re-export the screener query language
+export {
+  SCREENER_OPERATORS,
+  SCREENER_LIMITS,
+  resolveScreenerField,
+  validateScreenerQuery,
+  normalizeScreenerQuery,
+  parseScreenerQuery,
+} from './screenerQuery.js';
+
+// Import and re-export ranking scores
+export {
+  RANKING_METHODS,
+  RANKING_GROUP_BY,
+  PRICE_PERFORMANCE_METRICS,
+  getRankingPercentile,
+  calculateRankingScore,
+} from './rankingScore.js';
+
+// Import and re-export universe definitions
+export {
+  DEFAULT_UNIVERSE_ID,
+  getUniverses,
+  getUniverseById,
+  getDefaultUniverse,
+  getScheduledUniverses,
+  getUniverseCapFloor,
+  validateUniverse,
+} from './universes.js';
+
+// Import and re-export job retry/timeout policies
+export {
+  JOB_POLICY_DEFAULTS,
+  parseDuration,
+  getJobExecutionPolicy,
+  getRetryDelayMs,
+} from './jobPolicy.js';
+
+// Import and re-export EODHD credit costs, quotas and budget planning
+export {
+  CREDIT_BUDGET_DEFAULTS,
+  getEndpointCost,
+  resolveCreditBudget,
+  getAllocatableCredits,
+  getJobCreditQuotas,
+  getJobCreditsPerSymbol,
+  estimateJobCredits,
+  planJobCredits,
+} from './creditBudget.js';
+
+// Import and re-export the DCF valuation engine (WACC, derived metrics, TTM, DCF)
+export { DCF_DEFAULTS, runDCF } from './valuation/valuationDCFEngine.js';
+export {
+  calculateValuationDCF,
+  normalizeFundamentalsDocument,
+} from './valuation/valuationDCF.js';
+export { deriveMetrics } from './valuation/deriveMetrics.js';
+export { computeTTM } from './valuation/utils/ttmBuilder.js';
+export {
+  normalizeCountryKey,
+  median,
+  resolveTerminalGrowth,
+  resolveBeta,
+  buildWacc,
+} from './valuation/discountRates.js';
+
 // Export the raw types for direct access
 export { jobTypes, endpointTypes, metrics };
 
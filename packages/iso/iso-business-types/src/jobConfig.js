@@ -1,3 +1,5 @@
+import { getDefaultUniverse } from './universes.js';
+
 /**
  * Job Configuration Constants
  *
@@ -29,8 +31,8 @@ export const JOB_CONFIG = {
   // Dividend history settings
   DIVIDEND_HISTORY_YEARS: 10,
 
-  // Large cap threshold
-  LARGE_CAP_THRESHOLD: 1000000000, // $1B in dollars
+  // Large cap threshold in dollars (minCap of the default universe in universes.json)
+  LARGE_CAP_THRESHOLD: getDefaultUniverse().minCap,
 };
 
 /**
@@ -53,7 +55,7 @@ export function getMaxAgeCutoff(maxAgeDays = JOB_CONFIG.MAX_AGE_DAYS) {
 
 /**
  * Get job-specific configuration
- * @param {string} jobType - Type of job ('fundamentals', 'exchanges', 'technicals', 'dividends')
+ * @param {string} jobType - Type of job ('fundamentals', 'exchanges', 'technicals', 'dividends', 'splits', 'prices', 'earnings', ...)
  * @returns {Object} Job-specific configuration
  */
 export function getJobConfig(jobType) {
@@ -72,11 +74,27 @@ export function getJobConfig(jobType) {
     case 'fundamentals':
     case 'technicals':
     case 'dividends':
+    case 'splits':
     case 'metrics':
       return {
         ...baseConfig,
         maxCallsPerMin: JOB_CONFIG.RATE_LIMITS.CONSERVATIVE,
       };
+    case 'prices':
+      return {
+        ...baseConfig,
+        // Bulk last-day bars change daily; keep cached downloads for half a day
+        cacheExpirationHours: 12,
+        maxCallsPerMin: JOB_CONFIG.RATE_LIMITS.CONSERVATIVE,
+      };
+    case 'earnings':
+      return {
+        ...baseConfig,
+        // Report dates move and actuals land daily; refresh each symbol's calendar once a day
+        maxAgeDays: 1,
+        cacheExpirationHours: getCacheExpirationHours(1),
+        maxCallsPerMin: JOB_CONFIG.RATE_LIMITS.CONSERVATIVE,
+      };
     case 'price-performance':
       return {
         ...baseConfig,
@@ -0,0 +1,133 @@
+/**
+ * Job Execution Policy
+ *
+ * Turns the `retryPolicy` and `estimatedDuration` declared for each job in jobTypes.json
+ * into what the scanner's executors (JobScheduler, makeJob, the cycled list) apply:
+ * - retries: `maxRetries` extra attempts after the first, waiting `retryDelay` before the
+ *   first retry and doubling it for every further one (capped at MAX_RETRY_DELAY)
+ * - timeout: `timeout` when a job declares one, otherwise the upper bound of
+ *   `estimatedDuration` times TIMEOUT_MULTIPLIER (never below MIN_JOB_TIMEOUT)
+ *
+ * Durations are written as in jobTypes.json: "10 minutes", "1-2 minutes", "1 hour".
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const jobTypes = JSON.parse(
+  readFileSync(join(__dirname, 'jobTypes.json'), 'utf8'),
+);
+
+const UNIT_MS = {
+  ms: 1,
+  millisecond: 1,
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  minute: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+export const JOB_POLICY_DEFAULTS = {
+  // Jobs without a retryPolicy (e.g. universe pipelines) run once
+  MAX_RETRIES: 0,
+  RETRY_DELAY_MS: 5 * 60 * 1000,
+  BACKOFF_FACTOR: 2,
+  MAX_RETRY_DELAY_MS: 60 * 60 * 1000,
+
+  // Jobs without an estimatedDuration keep the old makeJob limit
+  TIMEOUT_MS: 6 * 60 * 60 * 1000,
+  TIMEOUT_MULTIPLIER: 3,
+  MIN_TIMEOUT_MS: 15 * 60 * 1000,
+};
+
+/**
+ * Parse a duration into milliseconds. Ranges ("5-15 minutes") resolve to their upper bound.
+ * @param {string|number} value - e.g. "10 minutes", "1-2 hours", "30s" or milliseconds
+ * @returns {number|null} Milliseconds, or null when the value is not a duration
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*([a-z]+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, from, to, unit] = match;
+  const unitMs = UNIT_MS[unit] ?? UNIT_MS[unit.replace(/s$/, '')];
+  if (!unitMs) {
+    return null;
+  }
+  return Math.round(parseFloat(to ?? from) * unitMs);
+}
+
+/**
+ * Resolve the retry and timeout policy of a job
+ * @param {Object|string} job - Job type definition, or its id/name
+ * @returns {Object} { maxRetries, maxAttempts, retryDelayMs, backoffFactor, maxRetryDelayMs, timeoutMs }
+ */
+export function getJobExecutionPolicy(job) {
+  const jobType =
+    typeof job === 'string'
+      ? jobTypes.find(({ id, name }) => id === job || name === job)
+      : job;
+
+  const retryPolicy = jobType?.retryPolicy || {};
+  const maxRetries = Number.isInteger(retryPolicy.maxRetries)
+    ? Math.max(retryPolicy.maxRetries, 0)
+    : JOB_POLICY_DEFAULTS.MAX_RETRIES;
+
+  const estimatedMs = parseDuration(jobType?.estimatedDuration);
+  const timeoutMs =
+    parseDuration(jobType?.timeout) ??
+    (estimatedMs
+      ? Math.max(
+          estimatedMs * JOB_POLICY_DEFAULTS.TIMEOUT_MULTIPLIER,
+          JOB_POLICY_DEFAULTS.MIN_TIMEOUT_MS,
+        )
+      : JOB_POLICY_DEFAULTS.TIMEOUT_MS);
+
+  return {
+    maxRetries,
+    maxAttempts: maxRetries + 1,
+    retryDelayMs:
+      parseDuration(retryPolicy.retryDelay) ??
+      JOB_POLICY_DEFAULTS.RETRY_DELAY_MS,
+    backoffFactor:
+      retryPolicy.backoffFactor ?? JOB_POLICY_DEFAULTS.BACKOFF_FACTOR,
+    maxRetryDelayMs:
+      parseDuration(retryPolicy.maxRetryDelay) ??
+      JOB_POLICY_DEFAULTS.MAX_RETRY_DELAY_MS,
+    timeoutMs,
+  };
+}
+
+/**
+ * Delay before a retry, growing exponentially with every failed attempt
+ * @param {Object} policy - From getJobExecutionPolicy()
+ * @param {number} retryNumber - 1 for the first retry, 2 for the second, ...
+ * @returns {number} Milliseconds to wait
+ */
+export function getRetryDelayMs(policy, retryNumber) {
+  const delay =
+    policy.retryDelayMs * policy.backoffFactor ** Math.max(retryNumber - 1, 0);
+  return Math.min(delay, policy.maxRetryDelayMs);
+}
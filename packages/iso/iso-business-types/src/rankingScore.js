@@ -0,0 +1,128 @@
+/**
+ * Ranking Scores
+ *
+ * Scores a company from its sector/industry percentiles for a set of metrics.
+ * Shared by POST /api/v1/ranking/calculate (current percentiles) and the scanner's
+ * backtests (percentiles from dated metric snapshots).
+ */
+
+import { getMetricsMapByType } from './index.js';
+
+export const RANKING_METHODS = ['weighted', 'geometric'];
+export const RANKING_GROUP_BY = ['sector', 'industry'];
+
+// Price performance is an outcome, not a ranking input
+export const PRICE_PERFORMANCE_METRICS = new Set([
+  'PriceChange1W',
+  'PriceChange1M',
+  'PriceChange3M',
+  'PriceChange6M',
+  'PriceChange1Y',
+]);
+
+// Lower is better for these categories, so their percentiles are inverted
+const INVERTED_CATEGORIES = new Set(['debt', 'leverage']);
+
+const getNestedValue = (source, pathSegments) =>
+  pathSegments.reduce((acc, key) => {
+    if (acc === null || acc === undefined) {
+      return undefined;
+    }
+    return acc[key];
+  }, source);
+
+const isValidNumber = (value) =>
+  value !== null &&
+  value !== undefined &&
+  !Number.isNaN(value) &&
+  Number.isFinite(value);
+
+/**
+ * Percentile of a metric oriented so that higher is better
+ * @param {string} metricKey - Metric id
+ * @param {Object} percentiles - Percentiles of one group (sector or industry), keyed by dbField path
+ * @returns {number|null} Percentile in [0, 1] or null when missing
+ */
+export function getRankingPercentile(metricKey, percentiles) {
+  // Map metric key to dbField path (e.g., "ValuationDCF_Upside" -> "valuationDCF.upsidePct")
+  const metricConfig = getMetricsMapByType()[metricKey];
+  const dbField = metricConfig?.dbField || metricKey;
+  const percentile = getNestedValue(percentiles || {}, dbField.split('.'));
+
+  if (!isValidNumber(percentile)) {
+    return null;
+  }
+
+  if (metricConfig && INVERTED_CATEGORIES.has(metricConfig.category)) {
+    return Math.max(0, Math.min(1, 1 - percentile));
+  }
+
+  return percentile;
+}
+
+/**
+ * Weighted average of percentiles
+ * Uses equal weighting when weights are not provided; missing metrics are skipped
+ */
+function calculateWeightedScore(percentiles, metrics, weights) {
+  let totalWeight = 0;
+  let weightedSum = 0;
+
+  metrics.forEach((metricKey) => {
+    const percentile = getRankingPercentile(metricKey, percentiles);
+    const weight = weights[metricKey] || 1;
+
+    if (percentile !== null) {
+      weightedSum += percentile * weight;
+      totalWeight += weight;
+    }
+  });
+
+  return totalWeight > 0 ? weightedSum / totalWeight : 0;
+}
+
+/**
+ * Geometric mean of percentiles
+ * A missing or zero percentile zeroes the score, so one weak metric cannot be
+ * compensated by strong ones. Weights are not used.
+ */
+function calculateGeometricScore(percentiles, metrics) {
+  if (metrics.length === 0) {
+    return 0;
+  }
+
+  let logSum = 0;
+  for (const metricKey of metrics) {
+    const percentile = getRankingPercentile(metricKey, percentiles);
+    const value =
+      percentile === null ? 0 : Math.max(0, Math.min(1, percentile));
+    if (value === 0) {
+      return 0;
+    }
+    logSum += Math.log(value);
+  }
+
+  return Math.max(0, Math.min(1, Math.exp(logSum / metrics.length)));
+}
+
+/**
+ * Ranking score of a company
+ * @param {Object} percentiles - Percentiles of the company's group (sector or industry)
+ * @param {string[]} metrics - Metric ids to score on
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - Metric id -> weight (weighted method only)
+ * @param {string} [options.method] - 'weighted' | 'geometric' (default: weighted)
+ * @returns {number} Score in [0, 1]; 0 when the company has no usable percentiles
+ */
+export function calculateRankingScore(
+  percentiles,
+  metrics,
+  { weights = {}, method = 'weighted' } = {},
+) {
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    return 0;
+  }
+  return method === 'geometric'
+    ? calculateGeometricScore(percentiles, metrics)
+    : calculateWeightedScore(percentiles, metrics, weights || {});
+}
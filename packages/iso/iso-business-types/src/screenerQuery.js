@@ -0,0 +1,387 @@
+/**
+ * Screener Query Language
+ *
+ * Boolean expression trees over metrics, sector/industry percentiles, fundamentals
+ * highlights and company attributes, used by POST /api/v1/screener.
+ *
+ * Tree nodes:
+ *   { and: [node, ...] } | { or: [node, ...] } | { not: node }
+ *   { field: 'DividendYieldCurrent', op: 'gt', value: 3 }
+ *
+ * Text form (parsed into the same tree):
+ *   (DividendYieldCurrent > 3 AND percentiles.sector.DebtToEquityCurrent < 0.4)
+ *     OR sector IN ('Utilities', 'Energy')
+ *
+ * Fields:
+ *   <metric>                        metric id/key/dbField from metrics.json
+ *   percentiles.<sector|industry>.<metric>
+ *   highlights.<Key>                fundamentals.Highlights.<Key> (e.g. highlights.PERatio)
+ *   marketCap | sector | industry | exchange | symbol
+ */
+
+import { getMetricsMapByType } from './index.js';
+import { validateMetrics } from './metricsUtils.js';
+
+export const SCREENER_OPERATORS = [
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'eq',
+  'ne',
+  'in',
+  'nin',
+];
+
+const OPERATOR_ALIASES = {
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  '=': 'eq',
+  '==': 'eq',
+  '!=': 'ne',
+  '<>': 'ne',
+};
+
+const ATTRIBUTE_FIELDS = {
+  marketCap: 'number',
+  sector: 'string',
+  industry: 'string',
+  exchange: 'string',
+  symbol: 'string',
+};
+
+const PERCENTILE_GROUPS = ['sector', 'industry'];
+const STRING_OPERATORS = new Set(['eq', 'ne', 'in', 'nin']);
+const LIST_OPERATORS = new Set(['in', 'nin']);
+const HIGHLIGHT_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+export const SCREENER_LIMITS = {
+  maxDepth: 10,
+  maxConditions: 50,
+  maxListSize: 200,
+};
+
+const normalizeOperator = (op) =>
+  typeof op === 'string' ? OPERATOR_ALIASES[op] || op : op;
+
+/**
+ * Resolve a screener field name
+ * @param {string} field - Field as written in the query
+ * @returns {Object|null} { kind: 'metric'|'percentile'|'highlight'|'attribute', valueType, ... }
+ *   or null when the field has an unknown shape (metric ids are checked by validateScreenerQuery)
+ */
+export function resolveScreenerField(field) {
+  if (typeof field !== 'string' || field.trim() === '') {
+    return null;
+  }
+
+  if (Object.hasOwn(ATTRIBUTE_FIELDS, field)) {
+    return { kind: 'attribute', field, valueType: ATTRIBUTE_FIELDS[field] };
+  }
+
+  const [root, ...rest] = field.split('.');
+
+  if (root === 'percentiles') {
+    const [group, ...metricPath] = rest;
+    if (!PERCENTILE_GROUPS.includes(group) || metricPath.length === 0) {
+      return null;
+    }
+    const metricId = metricPath.join('.');
+    return {
+      kind: 'percentile',
+      field,
+      group,
+      metricId,
+      metric: getMetricsMapByType()[metricId] || null,
+      valueType: 'number',
+    };
+  }
+
+  if (root === 'highlights' || root === 'Highlights') {
+    const key = rest.join('.');
+    if (!HIGHLIGHT_KEY_PATTERN.test(key)) {
+      return null;
+    }
+    return { kind: 'highlight', field, key, valueType: 'number' };
+  }
+
+  return {
+    kind: 'metric',
+    field,
+    metricId: field,
+    metric: getMetricsMapByType()[field] || null,
+    valueType: 'number',
+  };
+}
+
+/**
+ * Validate a screener expression tree
+ * @param {Object} tree - Expression tree (see module docs)
+ * @param {Object} [limits] - Overrides for SCREENER_LIMITS
+ * @returns {Object} { isValid, errors, fields } where fields maps each referenced field
+ *   to its resolveScreenerField result
+ */
+export function validateScreenerQuery(tree, limits = {}) {
+  const { maxDepth, maxConditions, maxListSize } = {
+    ...SCREENER_LIMITS,
+    ...limits,
+  };
+  const errors = [];
+  const fields = {};
+  const metricIds = new Set();
+  let conditionCount = 0;
+
+  const visit = (node, path, depth) => {
+    if (depth > maxDepth) {
+      errors.push(
+        `${path}: expression is nested deeper than ${maxDepth} levels`,
+      );
+      return;
+    }
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push(`${path}: expected an expression object`);
+      return;
+    }
+
+    for (const group of ['and', 'or']) {
+      if (node[group] !== undefined) {
+        if (!Array.isArray(node[group]) || node[group].length === 0) {
+          errors.push(`${path}.${group}: expected a non-empty array`);
+          return;
+        }
+        node[group].forEach((child, index) =>
+          visit(child, `${path}.${group}[${index}]`, depth + 1),
+        );
+        return;
+      }
+    }
+
+    if (node.not !== undefined) {
+      visit(node.not, `${path}.not`, depth + 1);
+      return;
+    }
+
+    conditionCount++;
+    const resolved = resolveScreenerField(node.field);
+    if (!resolved) {
+      errors.push(`${path}: unknown field "${node.field}"`);
+      return;
+    }
+    if (resolved.metricId) {
+      metricIds.add(resolved.metricId);
+    }
+    fields[node.field] = resolved;
+
+    const op = normalizeOperator(node.op);
+    if (!SCREENER_OPERATORS.includes(op)) {
+      errors.push(
+        `${path}: invalid operator "${
+          node.op
+        }" (expected one of ${SCREENER_OPERATORS.join(', ')})`,
+      );
+      return;
+    }
+    if (resolved.valueType === 'string' && !STRING_OPERATORS.has(op)) {
+      errors.push(`${path}: "${node.field}" only supports eq, ne, in and nin`);
+      return;
+    }
+
+    const values = LIST_OPERATORS.has(op) ? node.value : [node.value];
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${path}: "${op}" expects a non-empty array value`);
+      return;
+    }
+    if (values.length > maxListSize) {
+      errors.push(`${path}: "${op}" accepts at most ${maxListSize} values`);
+      return;
+    }
+    const isValidValue = (value) =>
+      value === null ||
+      (resolved.valueType === 'number'
+        ? typeof value === 'number' && Number.isFinite(value)
+        : typeof value === 'string');
+    if (!values.every(isValidValue)) {
+      errors.push(
+        `${path}: "${node.field}" expects ${resolved.valueType} values`,
+      );
+    }
+  };
+
+  visit(tree, 'query', 0);
+
+  if (conditionCount > maxConditions) {
+    errors.push(`query: more than ${maxConditions} conditions`);
+  }
+
+  const metricValidation = validateMetrics([...metricIds]);
+  metricValidation.invalid.forEach((metricId) =>
+    errors.push(`query: unknown metric "${metricId}"`),
+  );
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    fields,
+  };
+}
+
+/**
+ * Normalize operator aliases ('>', '!=' ...) to SCREENER_OPERATORS throughout a tree
+ * @param {Object} tree - Validated expression tree
+ * @returns {Object} New tree using canonical operators
+ */
+export function normalizeScreenerQuery(tree) {
+  if (tree.and) return { and: tree.and.map(normalizeScreenerQuery) };
+  if (tree.or) return { or: tree.or.map(normalizeScreenerQuery) };
+  if (tree.not) return { not: normalizeScreenerQuery(tree.not) };
+  return {
+    field: tree.field,
+    op: normalizeOperator(tree.op),
+    value: tree.value,
+  };
+}
+
+// ============================================================================
+// TEXT PARSER
+// ============================================================================
+
+const TOKEN_PATTERN =
+  /\s*(?:(\()|(\))|(,)|(>=|<=|!=|<>|==|[<>=])|(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][A-Za-z0-9_.]*))/iy;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const rest = text.slice(TOKEN_PATTERN.lastIndex);
+    if (rest.trim() === '') break;
+
+    const position = text.length - rest.trimStart().length;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(
+        `Unexpected character "${text[position]}" at position ${position}`,
+      );
+    }
+
+    const [, open, close, comma, operator, number, single, double, word] =
+      match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (comma) tokens.push({ type: ',' });
+    else if (operator) tokens.push({ type: 'op', value: operator });
+    else if (number !== undefined) {
+      tokens.push({ type: 'value', value: Number(number) });
+    } else if (single !== undefined || double !== undefined) {
+      tokens.push({ type: 'value', value: single ?? double });
+    } else {
+      const upper = word.toUpperCase();
+      if (['AND', 'OR', 'NOT', 'IN'].includes(upper)) {
+        tokens.push({ type: upper });
+      } else if (['TRUE', 'FALSE', 'NULL'].includes(upper)) {
+        tokens.push({ type: 'value', value: JSON.parse(word.toLowerCase()) });
+      } else {
+        tokens.push({ type: 'word', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse the text form of a screener query into an expression tree
+ * NOT binds tighter than AND, which binds tighter than OR.
+ * @param {string} text - e.g. "DividendYieldCurrent > 3 AND NOT sector = 'Energy'"
+ * @returns {Object} Expression tree (fields are not validated; use validateScreenerQuery)
+ * @throws {Error} On syntax errors
+ */
+export function parseScreenerQuery(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Screener query is empty');
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const expect = (type) => {
+    const token = tokens[index++];
+    if (!token || token.type !== type) {
+      throw new Error(
+        `Expected ${type} but found ${
+          token ? token.value ?? token.type : 'end of query'
+        }`,
+      );
+    }
+    return token;
+  };
+
+  const parseList = () => {
+    expect('(');
+    const values = [expect('value').value];
+    while (peek()?.type === ',') {
+      index++;
+      values.push(expect('value').value);
+    }
+    expect(')');
+    return values;
+  };
+
+  const parseComparison = () => {
+    const field = expect('word').value;
+    const next = peek();
+
+    if (next?.type === 'IN') {
+      index++;
+      return { field, op: 'in', value: parseList() };
+    }
+    if (next?.type === 'NOT' && tokens[index + 1]?.type === 'IN') {
+      index += 2;
+      return { field, op: 'nin', value: parseList() };
+    }
+
+    const op = expect('op').value;
+    return { field, op: normalizeOperator(op), value: expect('value').value };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'NOT') {
+      index++;
+      return { not: parseUnary() };
+    }
+    if (peek()?.type === '(') {
+      index++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseBinary = (type, parseOperand) => () => {
+    const operands = [parseOperand()];
+    while (peek()?.type === type) {
+      index++;
+      operands.push(parseOperand());
+    }
+    return operands.length === 1
+      ? operands[0]
+      : { [type.toLowerCase()]: operands };
+  };
+
+  const parseAnd = parseBinary('AND', parseUnary);
+  const parseOr = parseBinary('OR', parseAnd);
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new Error(
+      `Unexpected ${token.value ?? token.type} after end of expression`,
+    );
+  }
+
+  return tree;
+}
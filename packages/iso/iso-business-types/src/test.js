@@ -5,6 +5,23 @@ import {
   getJobsInExecutionOrder,
   getJobStatistics,
   validateJobType,
+  parseScreenerQuery,
+  validateScreenerQuery,
+  calculateRankingScore,
+  JOB_CONFIG,
+  getUniverses,
+  getUniverseById,
+  getUniverseCapFloor,
+  validateUniverse,
+  parseDuration,
+  getJobExecutionPolicy,
+  getRetryDelayMs,
+  getEndpointCost,
+  resolveCreditBudget,
+  getJobCreditQuotas,
+  getJobCreditsPerSymbol,
+  estimateJobCredits,
+  planJobCredits,
 } from './index.js';
 
 console.log('🧪 Testing @buydy/iso-business-job-types package...\n');
@@ -66,6 +83,284 @@ if (!validation.isValid) {
   console.log(`   ❌ Errors: ${validation.errors.join(', ')}`);
 }
 
+// Test 7: Dependency cycles are reported instead of recursing
+console.log('\n7. Testing getJobsInExecutionOrder() cycle detection:');
+const cyclicJobs = [
+  { id: 'a', dependencies: ['c'] },
+  { id: 'b', dependencies: ['a'] },
+  { id: 'c', dependencies: ['b'] },
+];
+try {
+  getJobsInExecutionOrder(cyclicJobs);
+  throw new Error('Expected a dependency cycle error');
+} catch (error) {
+  if (!error.message.includes('a → c → b → a')) {
+    throw error;
+  }
+  console.log(`   ✅ ${error.message}`);
+}
+
+// Test 8: Screener query language
+console.log('\n8. Testing parseScreenerQuery() / validateScreenerQuery():');
+const screenerTree = parseScreenerQuery(
+  "(DividendYieldCurrent > 3 AND percentiles.sector.DebtToEquityCurrent < 0.4) OR sector IN ('Utilities', 'Energy')",
+);
+const expectedTree = {
+  or: [
+    {
+      and: [
+        { field: 'DividendYieldCurrent', op: 'gt', value: 3 },
+        {
+          field: 'percentiles.sector.DebtToEquityCurrent',
+          op: 'lt',
+          value: 0.4,
+        },
+      ],
+    },
+    { field: 'sector', op: 'in', value: ['Utilities', 'Energy'] },
+  ],
+};
+if (JSON.stringify(screenerTree) !== JSON.stringify(expectedTree)) {
+  throw new Error(`Unexpected screener tree: ${JSON.stringify(screenerTree)}`);
+}
+if (!validateScreenerQuery(screenerTree).isValid) {
+  throw new Error('Expected the screener query to be valid');
+}
+const invalidScreener = validateScreenerQuery(
+  parseScreenerQuery("NotAMetric > 1 AND sector > 'A'"),
+);
+if (invalidScreener.isValid || invalidScreener.errors.length !== 2) {
+  throw new Error(
+    `Expected two screener errors, got: ${invalidScreener.errors.join('; ')}`,
+  );
+}
+console.log(`   ✅ Parsed and validated: ${JSON.stringify(screenerTree)}`);
+
+// Test 9: Ranking scores
+console.log('\n9. Testing calculateRankingScore():');
+const rankingPercentiles = {
+  DividendYieldCurrent: 0.9,
+  DebtToEquityCurrent: 0.2, // debt is inverted: 0.8
+};
+const rankingMetrics = ['DividendYieldCurrent', 'DebtToEquityCurrent'];
+const weightedScore = calculateRankingScore(
+  rankingPercentiles,
+  rankingMetrics,
+  {
+    weights: { DividendYieldCurrent: 3 },
+  },
+);
+const geometricScore = calculateRankingScore(
+  rankingPercentiles,
+  rankingMetrics,
+  {
+    method: 'geometric',
+  },
+);
+if (Math.abs(weightedScore - 0.875) > 1e-9) {
+  throw new Error(`Unexpected weighted score: ${weightedScore}`);
+}
+if (Math.abs(geometricScore - Math.sqrt(0.9 * 0.8)) > 1e-9) {
+  throw new Error(`Unexpected geometric score: ${geometricScore}`);
+}
+if (
+  calculateRankingScore({ DividendYieldCurrent: 0.9 }, rankingMetrics, {
+    method: 'geometric',
+  }) !== 0
+) {
+  throw new Error('Expected a missing metric to zero the geometric score');
+}
+const scores = [weightedScore, geometricScore].map((s) => s.toFixed(3));
+console.log(`   ✅ Weighted ${scores[0]}, geometric ${scores[1]}`);
+
+// Test 10: Universes
+console.log('\n10. Testing universes:');
+const universes = getUniverses();
+universes.forEach((universe) => {
+  const universeValidation = validateUniverse(universe);
+  if (!universeValidation.isValid) {
+    throw new Error(
+      `Invalid universe ${universe.id}: ${universeValidation.errors.join(
+        '; ',
+      )}`,
+    );
+  }
+  (universe.schedule?.jobs || []).forEach((jobId) => {
+    if (!getJobById(jobId)) {
+      throw new Error(`Universe ${universe.id} schedules unknown job ${jobId}`);
+    }
+  });
+});
+if (getUniverseById('large-cap').minCap !== JOB_CONFIG.LARGE_CAP_THRESHOLD) {
+  throw new Error(
+    'Expected JOB_CONFIG.LARGE_CAP_THRESHOLD to follow large-cap',
+  );
+}
+if (getUniverseCapFloor() !== 50000000) {
+  throw new Error(`Unexpected universe cap floor: ${getUniverseCapFloor()}`);
+}
+const invalidUniverse = validateUniverse({
+  id: 'broken',
+  displayName: 'Broken',
+  description: 'Inverted range',
+  minCap: 10,
+  maxCap: 5,
+});
+if (invalidUniverse.isValid || invalidUniverse.errors.length !== 1) {
+  throw new Error(
+    `Expected one universe error, got: ${invalidUniverse.errors.join('; ')}`,
+  );
+}
+console.log(`   ✅ ${universes.map((universe) => universe.id).join(', ')}`);
+
+// Test 11: Retry and timeout policies
+console.log('\n11. Testing job execution policies:');
+const durations = [
+  ['10 minutes', 10 * 60 * 1000],
+  ['1-2 minutes', 2 * 60 * 1000],
+  ['1 hour', 60 * 60 * 1000],
+  ['30s', 30 * 1000],
+];
+durations.forEach(([text, expected]) => {
+  if (parseDuration(text) !== expected) {
+    throw new Error(`parseDuration(${text}) returned ${parseDuration(text)}`);
+  }
+});
+if (parseDuration('soon') !== null) {
+  throw new Error('Expected parseDuration to reject non-durations');
+}
+allJobs.forEach((job) => {
+  const jobValidation = validateJobType(job);
+  if (!jobValidation.isValid) {
+    throw new Error(
+      `Invalid job ${job.id}: ${jobValidation.errors.join('; ')}`,
+    );
+  }
+});
+const fundamentalsPolicy = getJobExecutionPolicy('syncFundamentalsLargeCap');
+if (
+  fundamentalsPolicy.maxAttempts !== 4 ||
+  fundamentalsPolicy.retryDelayMs !== 10 * 60 * 1000 ||
+  fundamentalsPolicy.timeoutMs !== 3 * 60 * 60 * 1000
+) {
+  throw new Error(
+    `Unexpected fundamentals policy: ${JSON.stringify(fundamentalsPolicy)}`,
+  );
+}
+const retryDelays = [1, 2, 3].map((retry) =>
+  getRetryDelayMs(fundamentalsPolicy, retry),
+);
+if (retryDelays.join() !== [10, 20, 40].map((m) => m * 60 * 1000).join()) {
+  throw new Error(`Unexpected backoff: ${retryDelays.join(', ')}`);
+}
+if (getJobExecutionPolicy('runUniversePipeline:mid-cap').maxAttempts !== 1) {
+  throw new Error('Expected jobs without a retryPolicy to run once');
+}
+console.log(
+  `   ✅ syncFundamentalsLargeCap: ${
+    fundamentalsPolicy.maxAttempts
+  } attempts, timeout ${fundamentalsPolicy.timeoutMs / 60000}m`,
+);
+
+// Test 12: EODHD credit budget
+console.log('\n12. Testing EODHD credit budget:');
+const endpointCosts = [
+  ['fundamentals', 10],
+  ['technical', 5],
+  ['eod', 1],
+  ['eod-bulk-last-day', 100],
+  ['not-an-endpoint', 1],
+];
+endpointCosts.forEach(([endpoint, expected]) => {
+  if (getEndpointCost(endpoint) !== expected) {
+    throw new Error(
+      `getEndpointCost(${endpoint}) returned ${getEndpointCost(endpoint)}`,
+    );
+  }
+});
+const configuredBudget = resolveCreditBudget({
+  dailyCredits: '20000',
+  reserveRatio: '',
+});
+if (
+  configuredBudget.allocatable !== 18000 ||
+  !configuredBudget.enabled ||
+  resolveCreditBudget({ dailyCredits: '0' }).enabled
+) {
+  throw new Error(`Unexpected budget: ${JSON.stringify(configuredBudget)}`);
+}
+const quotas = getJobCreditQuotas({ dailyCredits: 100000, reserveRatio: 0.1 });
+const quotaTotal = Object.values(quotas).reduce((sum, q) => sum + q, 0);
+if (quotas.syncFundamentalsLargeCap !== 40500 || quotaTotal > 90000) {
+  throw new Error(`Unexpected credit quotas: ${JSON.stringify(quotas)}`);
+}
+if (estimateJobCredits('syncDividendsLargeCap', 10) !== 130) {
+  throw new Error('Expected dividends to cost 13 credits per symbol');
+}
+const fullPlan = planJobCredits({
+  job: 'syncSplitsLargeCap',
+  staleSymbols: 50,
+});
+if (fullPlan.degraded || fullPlan.allowedSymbols !== 50) {
+  throw new Error(`Unexpected splits plan: ${JSON.stringify(fullPlan)}`);
+}
+const degradedPlan = planJobCredits({
+  job: 'syncFundamentalsLargeCap',
+  staleSymbols: 5000,
+  dailyCredits: 100000,
+  spentToday: 30000,
+  jobSpentToday: 10000,
+});
+if (
+  !degradedPlan.degraded ||
+  degradedPlan.allowedSymbols !== 3050 ||
+  degradedPlan.deferredSymbols !== 1950 ||
+  degradedPlan.projected !== 30500
+) {
+  throw new Error(`Unexpected degraded plan: ${JSON.stringify(degradedPlan)}`);
+}
+const exhaustedPlan = planJobCredits({
+  job: 'syncFundamentalsLargeCap',
+  staleSymbols: 10,
+  spentToday: 95000,
+});
+if (exhaustedPlan.allowedSymbols !== 0 || exhaustedPlan.available !== 0) {
+  throw new Error(
+    `Unexpected exhausted plan: ${JSON.stringify(exhaustedPlan)}`,
+  );
+}
+// Prices: 7% of 90000 = 6300, two bulk downloads (200) come first, then 1 credit per seed
+const pricesPlan = planJobCredits({
+  job: 'syncPricesLargeCap',
+  staleSymbols: 7000,
+  fixedCredits: 200,
+});
+if (
+  pricesPlan.allowedSymbols !== 6100 ||
+  pricesPlan.estimated !== 7200 ||
+  pricesPlan.projected !== 6300
+) {
+  throw new Error(`Unexpected prices plan: ${JSON.stringify(pricesPlan)}`);
+}
+const missingPerSymbol = allJobs.filter(
+  (job) =>
+    /^EODHD API\b/.test(job.dataSource || '') &&
+    job.id !== 'syncAllExchangesAndSymbols' &&
+    getJobCreditsPerSymbol(job) === 0,
+);
+if (missingPerSymbol.length > 0) {
+  throw new Error(
+    `EODHD jobs without credits.perSymbol: ${missingPerSymbol.map(
+      ({ id }) => id,
+    )}`,
+  );
+}
+console.log(
+  `   ✅ ${Object.keys(quotas).length} job quotas, fundamentals ${
+    quotas.syncFundamentalsLargeCap
+  } credits/day`,
+);
+
 console.log('\n🎉 All tests completed successfully!');
 console.log('\n📋 Available job types:');
 allJobs.forEach((job) => {
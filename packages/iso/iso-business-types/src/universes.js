@@ -0,0 +1,142 @@
+/**
+ * Universe Definitions
+ *
+ * Named sets of companies that scanner jobs, the API and the heatmap run against
+ * (defined in universes.json). Criteria of a universe combine with AND:
+ * - minCap / maxCap: USD market cap range (maxCap is exclusive)
+ * - countries: listing countries as stored on exchange symbols (e.g. 'USA')
+ * - exchanges: EODHD exchange codes (e.g. 'US', 'LSE', 'XETRA')
+ * - symbols: custom list as CODE.EXCHANGE (no market cap needed)
+ *
+ * A universe with a `schedule` gets its own cron pipeline in the scanner that runs
+ * `schedule.jobs` for that universe only.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const universes = JSON.parse(
+  readFileSync(join(__dirname, 'universes.json'), 'utf8'),
+);
+
+export const DEFAULT_UNIVERSE_ID = 'large-cap';
+
+const hasCapRange = (universe) =>
+  Number.isFinite(universe.minCap) || Number.isFinite(universe.maxCap);
+
+/**
+ * Get all enabled universes
+ * @returns {Array} Universe definitions
+ */
+export function getUniverses() {
+  return universes.filter((universe) => universe.enabled !== false);
+}
+
+/**
+ * Get an enabled universe by id
+ * @param {string} id - Universe id (e.g. 'mid-cap')
+ * @returns {Object|null} Universe definition or null if not found
+ */
+export function getUniverseById(id) {
+  return getUniverses().find((universe) => universe.id === id) || null;
+}
+
+/**
+ * Get the default universe (large cap)
+ * @returns {Object} Universe definition
+ */
+export function getDefaultUniverse() {
+  return getUniverseById(DEFAULT_UNIVERSE_ID);
+}
+
+/**
+ * Get universes that run their own scheduled pipeline
+ * @returns {Array} Universe definitions with a schedule
+ */
+export function getScheduledUniverses() {
+  return getUniverses().filter((universe) => universe.schedule);
+}
+
+/**
+ * Smallest market cap any universe selects by; caps are recorded down to this floor
+ * @returns {number} USD market cap
+ */
+export function getUniverseCapFloor() {
+  const floors = getUniverses()
+    .filter(hasCapRange)
+    .map((universe) => universe.minCap || 0);
+  return floors.length > 0 ? Math.min(...floors) : getDefaultUniverse().minCap;
+}
+
+/**
+ * Validate a universe definition
+ * @param {Object} universe - Universe definition to validate
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateUniverse(universe) {
+  const errors = [];
+
+  ['id', 'displayName', 'description'].forEach((field) => {
+    if (!universe?.[field]) {
+      errors.push(`Missing required field: ${field}`);
+    }
+  });
+
+  ['minCap', 'maxCap'].forEach((field) => {
+    if (
+      universe?.[field] !== undefined &&
+      !(Number.isFinite(universe[field]) && universe[field] >= 0)
+    ) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+  if (
+    Number.isFinite(universe?.minCap) &&
+    Number.isFinite(universe?.maxCap) &&
+    universe.minCap >= universe.maxCap
+  ) {
+    errors.push('minCap must be below maxCap');
+  }
+
+  ['countries', 'exchanges', 'symbols'].forEach((field) => {
+    if (
+      universe?.[field] !== undefined &&
+      (!Array.isArray(universe[field]) || universe[field].length === 0)
+    ) {
+      errors.push(`${field} must be a non-empty array`);
+    }
+  });
+
+  if (
+    universe &&
+    !hasCapRange(universe) &&
+    !universe.countries &&
+    !universe.exchanges &&
+    !universe.symbols
+  ) {
+    errors.push(
+      'Universe needs a market cap range, countries, exchanges or symbols',
+    );
+  }
+
+  if (universe?.schedule) {
+    if (!universe.schedule.cronDefinition) {
+      errors.push('Missing required field: schedule.cronDefinition');
+    }
+    if (
+      !Array.isArray(universe.schedule.jobs) ||
+      universe.schedule.jobs.length === 0
+    ) {
+      errors.push('schedule.jobs must be a non-empty array');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
@@ -6,57 +6,65 @@ import {
   standardDeviation,
   safeDiv,
   geometricMean,
-} from "./utils/math.js";
+} from './utils/math.js';
 
 const CAPITAL_EXPENDITURE_KEYS = [
-  "capitalExpenditures",
-  "capitalExpenditure",
-  "investmentInFixedAssets",
-  "purchaseOfPropertyPlantEquipment",
-  "capex",
+  'capitalExpenditures',
+  'capitalExpenditure',
+  'investmentInFixedAssets',
+  'purchaseOfPropertyPlantEquipment',
+  'capex',
 ];
 
-const DEPRECIATION_KEYS = ["depreciationAndAmortization", "depreciation", "reconciledDepreciation"];
+const DEPRECIATION_KEYS = [
+  'depreciationAndAmortization',
+  'depreciation',
+  'reconciledDepreciation',
+];
 
-const CURRENT_ASSET_KEYS = ["totalCurrentAssets", "currentAssets", "CurrentAssets"];
+const CURRENT_ASSET_KEYS = [
+  'totalCurrentAssets',
+  'currentAssets',
+  'CurrentAssets',
+];
 
 const CURRENT_LIABILITY_KEYS = [
-  "totalCurrentLiabilities",
-  "currentLiabilities",
-  "CurrentLiabilities",
+  'totalCurrentLiabilities',
+  'currentLiabilities',
+  'CurrentLiabilities',
 ];
 
 const PPE_KEYS = [
-  "propertyPlantAndEquipmentNet",
-  "propertyPlantEquipment",
-  "propertyPlantEquipmentNet",
-  "netPPE",
-  "PPENet",
-  "ppAndENet",
+  'propertyPlantAndEquipmentNet',
+  'propertyPlantEquipment',
+  'propertyPlantEquipmentNet',
+  'netPPE',
+  'PPENet',
+  'ppAndENet',
 ];
 
 const MINORITY_INTEREST_KEYS = [
-  "minorityInterest",
-  "minorityInterestLiabilities",
-  "minorityInterestTotal",
-  "noncontrollingInterest",
-  "noncontrollingInterests",
+  'minorityInterest',
+  'minorityInterestLiabilities',
+  'minorityInterestTotal',
+  'noncontrollingInterest',
+  'noncontrollingInterests',
 ];
 
 const PREFERRED_EQUITY_KEYS = [
-  "preferredStock",
-  "preferredStockEquity",
-  "preferredStockValue",
-  "preferredStockRedeemable",
-  "preferredStockTotalEquity",
+  'preferredStock',
+  'preferredStockEquity',
+  'preferredStockValue',
+  'preferredStockRedeemable',
+  'preferredStockTotalEquity',
 ];
 
 const INVESTMENTS_ASSOCIATES_KEYS = [
-  "investmentsInAssociates",
-  "investmentInAssociates",
-  "investmentsAssociates",
-  "equityMethodInvestments",
-  "investmentsInSubsidiariesAssociatesJointVentures",
+  'investmentsInAssociates',
+  'investmentInAssociates',
+  'investmentsAssociates',
+  'equityMethodInvestments',
+  'investmentsInSubsidiariesAssociatesJointVentures',
 ];
 
 function toNumber(value, fallback = 0) {
@@ -86,7 +94,12 @@ function pickFirstFinite(source = {}, keys = [], fallback = null) {
 
 function collectCapexValues(fundamentals) {
   return fundamentals
-    .map((item) => toNumber(pickFirstNumber(item?.cashFlow, CAPITAL_EXPENDITURE_KEYS, null), null))
+    .map((item) =>
+      toNumber(
+        pickFirstNumber(item?.cashFlow, CAPITAL_EXPENDITURE_KEYS, null),
+        null,
+      ),
+    )
     .filter((value) => Number.isFinite(value) && value !== 0);
 }
 
@@ -111,7 +124,11 @@ function normalizeCapex(value, capexSign) {
 function computeRevenueCAGR(fundamentals) {
   const revenues = fundamentals
     .map((item) =>
-      pickFirstNumber(item?.incomeStatement, ["revenue", "totalRevenue", "Revenue"], null)
+      pickFirstNumber(
+        item?.incomeStatement,
+        ['revenue', 'totalRevenue', 'Revenue'],
+        null,
+      ),
     )
     .filter(isPositiveNumber);
 
@@ -143,7 +160,11 @@ function computeRevenueCAGR(fundamentals) {
 function computeRevenueGrowthRates(fundamentals) {
   const revenues = fundamentals
     .map((item) =>
-      pickFirstNumber(item?.incomeStatement, ["revenue", "totalRevenue", "Revenue"], null)
+      pickFirstNumber(
+        item?.incomeStatement,
+        ['revenue', 'totalRevenue', 'Revenue'],
+        null,
+      ),
     )
     .filter(Number.isFinite);
 
@@ -168,15 +189,15 @@ function computeOperatingMarginInsights(fundamentals) {
   const series = fundamentals
     .map((item) => {
       const revenue = pickFirstNumber(item?.incomeStatement, [
-        "revenue",
-        "totalRevenue",
-        "Revenue",
+        'revenue',
+        'totalRevenue',
+        'Revenue',
       ]);
       const operatingIncome = pickFirstNumber(item?.incomeStatement, [
-        "operatingIncome",
-        "operatingIncomeLoss",
-        "ebit",
-        "ebitda",
+        'operatingIncome',
+        'operatingIncomeLoss',
+        'ebit',
+        'ebitda',
       ]);
       if (!isPositiveNumber(revenue)) {
         return null;
@@ -207,14 +228,14 @@ function computeEbitdaMarginInsights(fundamentals) {
   const series = fundamentals
     .map((item) => {
       const revenue = pickFirstNumber(item?.incomeStatement, [
-        "revenue",
-        "totalRevenue",
-        "Revenue",
+        'revenue',
+        'totalRevenue',
+        'Revenue',
       ]);
       const operatingIncome = pickFirstNumber(item?.incomeStatement, [
-        "operatingIncome",
-        "operatingIncomeLoss",
-        "ebit",
+        'operatingIncome',
+        'operatingIncomeLoss',
+        'ebit',
       ]);
       const depreciation =
         pickFirstNumber(item?.cashFlow, DEPRECIATION_KEYS, null) ||
@@ -257,7 +278,11 @@ function computeEbitdaMarginInsights(fundamentals) {
 function computeWorkingCapitalAndPpe(entry) {
   const balance = entry?.balanceSheet || {};
   const currentAssets = pickFirstFinite(balance, CURRENT_ASSET_KEYS, null);
-  const currentLiabilities = pickFirstFinite(balance, CURRENT_LIABILITY_KEYS, null);
+  const currentLiabilities = pickFirstFinite(
+    balance,
+    CURRENT_LIABILITY_KEYS,
+    null,
+  );
   const ppe = pickFirstFinite(balance, PPE_KEYS, null);
 
   const workingCapital =
@@ -281,7 +306,8 @@ function computeInvestedCapital(entry) {
   }
 
   const investedCapital =
-    (Number.isFinite(workingCapital) ? workingCapital : 0) + (Number.isFinite(ppe) ? ppe : 0);
+    (Number.isFinite(workingCapital) ? workingCapital : 0) +
+    (Number.isFinite(ppe) ? ppe : 0);
 
   return {
     workingCapital: Number.isFinite(workingCapital) ? workingCapital : null,
@@ -316,27 +342,31 @@ function computeSalesToCapitalInsights(fundamentals) {
     const previous = fundamentals[i - 1];
 
     const revenueNow = pickFirstNumber(current?.incomeStatement, [
-      "revenue",
-      "totalRevenue",
-      "Revenue",
+      'revenue',
+      'totalRevenue',
+      'Revenue',
     ]);
     const revenuePrev = pickFirstNumber(previous?.incomeStatement, [
-      "revenue",
-      "totalRevenue",
-      "Revenue",
+      'revenue',
+      'totalRevenue',
+      'Revenue',
     ]);
     const deltaRevenue = revenueNow - revenuePrev;
     if (!(deltaRevenue > 0)) {
       continue;
     }
 
-    const rawCapex = pickFirstNumber(current?.cashFlow, CAPITAL_EXPENDITURE_KEYS, 0);
+    const rawCapex = pickFirstNumber(
+      current?.cashFlow,
+      CAPITAL_EXPENDITURE_KEYS,
+      0,
+    );
     const capex = normalizeCapex(rawCapex, capexSign);
 
     const depreciation = Math.abs(
       pickFirstNumber(current?.cashFlow, DEPRECIATION_KEYS, null) ||
         pickFirstNumber(current?.incomeStatement, DEPRECIATION_KEYS, null) ||
-        0
+        0,
     );
 
     // Include working capital changes in reinvestment calculation
@@ -346,7 +376,10 @@ function computeSalesToCapitalInsights(fundamentals) {
 
     // Reinvestment = capex - depreciation + increase in working capital
     // (increase in WC consumes cash, decrease releases cash)
-    const reinvestment = Math.max(0, capex - depreciation + Math.max(0, deltaWorkingCapital));
+    const reinvestment = Math.max(
+      0,
+      capex - depreciation + Math.max(0, deltaWorkingCapital),
+    );
 
     if (reinvestment > 0) {
       ratios.push(safeDiv(deltaRevenue, reinvestment, null));
@@ -357,8 +390,14 @@ function computeSalesToCapitalInsights(fundamentals) {
 
     if (Number.isFinite(currentInvested) && Number.isFinite(previousInvested)) {
       const deltaInvested = currentInvested - previousInvested;
-      const baseline = Math.max(Math.abs(reinvestment), Math.abs(deltaInvested), 1);
-      reinvestmentDeviations.push(safeDiv(Math.abs(reinvestment - deltaInvested), baseline, null));
+      const baseline = Math.max(
+        Math.abs(reinvestment),
+        Math.abs(deltaInvested),
+        1,
+      );
+      reinvestmentDeviations.push(
+        safeDiv(Math.abs(reinvestment - deltaInvested), baseline, null),
+      );
     }
   }
 
@@ -375,7 +414,9 @@ function computeSalesToCapitalInsights(fundamentals) {
   }
 
   // Use trimmed mean to reduce impact of outliers, then clamp more conservatively
-  const trimmedRatios = ratios.filter((r) => Number.isFinite(r) && r > 0 && r < 20);
+  const trimmedRatios = ratios.filter(
+    (r) => Number.isFinite(r) && r > 0 && r < 20,
+  );
   if (trimmedRatios.length === 0) {
     return {
       salesToCapital: 2.5,
@@ -387,7 +428,8 @@ function computeSalesToCapitalInsights(fundamentals) {
   }
 
   const salesToCapital = clamp(average(trimmedRatios), 1, 8); // Reduced max from 10 to 8
-  const avgDeviation = reinvestmentDeviations.length > 0 ? average(reinvestmentDeviations) : null;
+  const avgDeviation =
+    reinvestmentDeviations.length > 0 ? average(reinvestmentDeviations) : null;
 
   return {
     salesToCapital,
@@ -403,15 +445,15 @@ function computeEffectiveTaxRate(fundamentals) {
     .map((item) => {
       const tax = Math.abs(
         pickFirstNumber(item?.incomeStatement, [
-          "incomeTaxExpense",
-          "taxProvision",
-          "incomeTaxProvision",
-        ])
+          'incomeTaxExpense',
+          'taxProvision',
+          'incomeTaxProvision',
+        ]),
       );
       const ebt = pickFirstNumber(item?.incomeStatement, [
-        "incomeBeforeTax",
-        "earningsBeforeTax",
-        "preTaxIncome",
+        'incomeBeforeTax',
+        'earningsBeforeTax',
+        'preTaxIncome',
       ]);
       if (!isPositiveNumber(ebt)) {
         return null;
@@ -434,28 +476,47 @@ function computeEffectiveTaxRate(fundamentals) {
 function computeNetDebt(latest) {
   const balance = latest?.balanceSheet || {};
   const totalDebt =
-    pickFirstNumber(balance, ["totalDebt", "totalLiab", "totalLiabilities"]) ||
-    pickFirstNumber(balance, ["shortLongTermDebtTotal"]) ||
-    pickFirstNumber(balance, ["shortTermDebt"]) + pickFirstNumber(balance, ["longTermDebt"]);
+    pickFirstNumber(balance, ['totalDebt', 'totalLiab', 'totalLiabilities']) ||
+    pickFirstNumber(balance, ['shortLongTermDebtTotal']) ||
+    pickFirstNumber(balance, ['shortTermDebt']) +
+      pickFirstNumber(balance, ['longTermDebt']);
 
-  const leaseLiabilities = pickFirstNumber(balance, ["leaseLiabilities"], 0);
+  const leaseLiabilities = pickFirstNumber(balance, ['leaseLiabilities'], 0);
 
   const cash =
-    pickFirstNumber(balance, ["cashAndEquivalents", "cashAndCashEquivalents"]) ||
-    pickFirstNumber(balance, ["cash"]);
+    pickFirstNumber(balance, [
+      'cashAndEquivalents',
+      'cashAndCashEquivalents',
+    ]) || pickFirstNumber(balance, ['cash']);
 
   return totalDebt + leaseLiabilities - cash;
 }
 
+// Interest-bearing debt only (no total liabilities fallback), used to weight the cost of debt
+function computeTotalDebt(latest) {
+  const balance = latest?.balanceSheet || {};
+  return (
+    pickFirstNumber(balance, ['shortLongTermDebtTotal', 'totalDebt']) ||
+    pickFirstNumber(balance, ['shortTermDebt']) +
+      pickFirstNumber(balance, ['longTermDebt'])
+  );
+}
+
 function computeSharesDiluted(latest) {
   const income = latest?.incomeStatement || {};
   const dilutedCandidates = [
-    { key: "sharesWeightedAvgDiluted", source: "incomeStatement.sharesWeightedAvgDiluted" },
-    { key: "sharesDiluted", source: "incomeStatement.sharesDiluted" },
-    { key: "weightedAverageShsOutDil", source: "incomeStatement.weightedAverageShsOutDil" },
     {
-      key: "weightedAverageDilutedSharesOutstanding",
-      source: "incomeStatement.weightedAverageDilutedSharesOutstanding",
+      key: 'sharesWeightedAvgDiluted',
+      source: 'incomeStatement.sharesWeightedAvgDiluted',
+    },
+    { key: 'sharesDiluted', source: 'incomeStatement.sharesDiluted' },
+    {
+      key: 'weightedAverageShsOutDil',
+      source: 'incomeStatement.weightedAverageShsOutDil',
+    },
+    {
+      key: 'weightedAverageDilutedSharesOutstanding',
+      source: 'incomeStatement.weightedAverageDilutedSharesOutstanding',
     },
   ];
 
@@ -469,7 +530,7 @@ function computeSharesDiluted(latest) {
             income.weightedAverageShsOut ??
             income.basicAverageShares ??
             income.basicSharesOutstanding ??
-            latest?.balanceSheet?.commonStockSharesOutstanding
+            latest?.balanceSheet?.commonStockSharesOutstanding,
         ),
         source: candidate.source,
       };
@@ -481,13 +542,13 @@ function computeSharesDiluted(latest) {
       income.sharesWeightedAvgBasic ??
         income.weightedAverageShsOut ??
         income.basicAverageShares ??
-        income.basicSharesOutstanding
+        income.basicSharesOutstanding,
     ) || toNumber(latest?.balanceSheet?.commonStockSharesOutstanding);
 
   return {
     diluted: fallbackBasic,
     basic: fallbackBasic,
-    source: "fallback.basicShares",
+    source: 'fallback.basicShares',
   };
 }
 
@@ -508,7 +569,11 @@ export function deriveMetrics(fundamentals = []) {
     // Need revenue data in at least 2 periods
     const revenues = fundamentals
       .map((item) =>
-        pickFirstNumber(item?.incomeStatement, ["revenue", "totalRevenue", "Revenue"], null)
+        pickFirstNumber(
+          item?.incomeStatement,
+          ['revenue', 'totalRevenue', 'Revenue'],
+          null,
+        ),
       )
       .filter(isPositiveNumber);
     if (revenues.length < 2) {
@@ -517,9 +582,9 @@ export function deriveMetrics(fundamentals = []) {
 
     // Need latest revenue to be positive
     const latestRevenue = pickFirstNumber(latest?.incomeStatement, [
-      "revenue",
-      "totalRevenue",
-      "Revenue",
+      'revenue',
+      'totalRevenue',
+      'Revenue',
     ]);
     if (!isPositiveNumber(latestRevenue)) {
       return false;
@@ -539,25 +604,30 @@ export function deriveMetrics(fundamentals = []) {
   const salesToCapitalInsights = computeSalesToCapitalInsights(fundamentals);
   const effectiveTaxRate = computeEffectiveTaxRate(fundamentals);
   const netDebt = computeNetDebt(latest);
+  const totalDebt = computeTotalDebt(latest);
   const sharesInfo = computeSharesDiluted(latest);
   const investedSnapshotLatest = computeInvestedCapital(latest);
   const minorityInterest = computeMinorityInterest(latest?.balanceSheet || {});
   const preferredEquity = computePreferredEquity(latest?.balanceSheet || {});
-  const investmentsAssociates = computeInvestmentsAssociates(latest?.balanceSheet || {});
+  const investmentsAssociates = computeInvestmentsAssociates(
+    latest?.balanceSheet || {},
+  );
 
   const latestRevenue = pickFirstNumber(latest?.incomeStatement, [
-    "revenue",
-    "totalRevenue",
-    "Revenue",
+    'revenue',
+    'totalRevenue',
+    'Revenue',
   ]);
 
   const nopat =
-    Number.isFinite(latestRevenue) && Number.isFinite(operatingMarginInsights.margin)
+    Number.isFinite(latestRevenue) &&
+    Number.isFinite(operatingMarginInsights.margin)
       ? latestRevenue * operatingMarginInsights.margin * (1 - effectiveTaxRate)
       : null;
 
   const roic =
-    Number.isFinite(nopat) && Number.isFinite(investedSnapshotLatest.investedCapital)
+    Number.isFinite(nopat) &&
+    Number.isFinite(investedSnapshotLatest.investedCapital)
       ? safeDiv(nopat, investedSnapshotLatest.investedCapital, null)
       : null;
 
@@ -573,13 +643,13 @@ export function deriveMetrics(fundamentals = []) {
       effectiveTaxRate === 0.25 &&
       fundamentals.filter((item) => {
         const ebt = pickFirstNumber(item?.incomeStatement, [
-          "incomeBeforeTax",
-          "earningsBeforeTax",
-          "preTaxIncome",
+          'incomeBeforeTax',
+          'earningsBeforeTax',
+          'preTaxIncome',
         ]);
         return isPositiveNumber(ebt);
       }).length === 0,
-    usingFallbackShares: sharesInfo.source === "fallback.basicShares",
+    usingFallbackShares: sharesInfo.source === 'fallback.basicShares',
     insufficientHistory: fundamentals.length < 3, // Less than 3 periods
   };
 
@@ -587,7 +657,8 @@ export function deriveMetrics(fundamentals = []) {
   const defaultCount = Object.values(dataQualityFlags).filter(Boolean).length;
   // STRICT scoring: each default significantly reduces certainty
   // Score of 0.7 means max 2 defaults out of 6 (33% defaults allowed)
-  const dataQualityScore = 1 - defaultCount / Object.keys(dataQualityFlags).length; // 0 = all defaults, 1 = no defaults
+  const dataQualityScore =
+    1 - defaultCount / Object.keys(dataQualityFlags).length; // 0 = all defaults, 1 = no defaults
 
   return {
     growth: {
@@ -605,7 +676,8 @@ export function deriveMetrics(fundamentals = []) {
     },
     reinvestment: {
       salesToCapital: salesToCapitalInsights.salesToCapital,
-      reinvestmentDeviation: salesToCapitalInsights.reinvestmentStats.averageDeviation,
+      reinvestmentDeviation:
+        salesToCapitalInsights.reinvestmentStats.averageDeviation,
       reinvestmentFlagged: salesToCapitalInsights.reinvestmentStats.flagged,
     },
     taxes: {
@@ -613,6 +685,7 @@ export function deriveMetrics(fundamentals = []) {
     },
     structure: {
       netDebt,
+      totalDebt,
       sharesDiluted: sharesInfo.diluted,
       sharesBasic: sharesInfo.basic,
       sharesSource: sharesInfo.source,
@@ -633,7 +706,8 @@ export function deriveMetrics(fundamentals = []) {
       ebitdaMarginStdDev: ebitdaMarginInsights.volatility,
     },
     controls: {
-      reinvestmentDeviation: salesToCapitalInsights.reinvestmentStats.averageDeviation,
+      reinvestmentDeviation:
+        salesToCapitalInsights.reinvestmentStats.averageDeviation,
       reinvestmentFlagged: salesToCapitalInsights.reinvestmentStats.flagged,
       dataQualityFlags,
       dataQualityScore,
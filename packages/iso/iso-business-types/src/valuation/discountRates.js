@@ -0,0 +1,227 @@
+import { DEFAULT_DISCOUNT_RATE_CONFIG } from '../discountRates.js';
+import { clamp, safeDiv } from './utils/math.js';
+
+/**
+ * WACC construction from a discount rate configuration (see DEFAULT_DISCOUNT_RATE_CONFIG).
+ *
+ *   cost of equity = risk-free + beta × (ERP + country premium) + size premium − cash yield
+ *   cost of debt   = interest expense / total debt, bounded to risk-free + [0, maxCreditSpread]
+ *   WACC           = E/(D+E) × cost of equity + D/(D+E) × cost of debt × (1 − tax)
+ */
+
+function toNumber(value, fallback = null) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+// Stored configs come back from Mongo as plain objects; Maps are accepted for hydrated docs
+function lookupRate(map, key) {
+  if (!map || !key) {
+    return undefined;
+  }
+  const value = map instanceof Map ? map.get(key) : map[key];
+  return Number.isFinite(value) ? value : undefined;
+}
+
+export function normalizeCountryKey(country) {
+  return (country || '').toUpperCase().trim().replace(/\s+/g, '_');
+}
+
+export function median(values = []) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+export function resolveTerminalGrowth(
+  currency,
+  country,
+  config = DEFAULT_DISCOUNT_RATE_CONFIG,
+) {
+  const byCurrency = lookupRate(
+    config.terminalGrowthByCurrency,
+    (currency || '').toUpperCase(),
+  );
+  if (byCurrency !== undefined) {
+    return byCurrency;
+  }
+  const countryKey = normalizeCountryKey(country);
+  if (countryKey && (config.emergingMarkets || []).includes(countryKey)) {
+    return config.emergingMarketTerminalGrowth;
+  }
+  return config.defaultTerminalGrowth;
+}
+
+/**
+ * Levered beta: the company's own beta, else its sector median, else the configured default
+ * @returns {{ beta: number, betaSource: string, rawBeta: number|null }}
+ */
+export function resolveBeta(
+  { beta, highlights, sectorBeta } = {},
+  config = DEFAULT_DISCOUNT_RATE_CONFIG,
+) {
+  const companyBeta =
+    toNumber(beta) ??
+    toNumber(highlights?.Beta) ??
+    toNumber(highlights?.beta) ??
+    toNumber(highlights?.Beta5Years);
+
+  if (Number.isFinite(companyBeta) && companyBeta > 0) {
+    return {
+      beta: clamp(companyBeta, config.betaMin, config.betaMax),
+      betaSource: 'fundamentals',
+      rawBeta: companyBeta,
+    };
+  }
+
+  if (Number.isFinite(sectorBeta) && sectorBeta > 0) {
+    return {
+      beta: clamp(sectorBeta, config.betaMin, config.betaMax),
+      betaSource: 'sector-median',
+      rawBeta: sectorBeta,
+    };
+  }
+
+  return { beta: config.defaultBeta, betaSource: 'default', rawBeta: null };
+}
+
+function computeSizePremium(marketCap, config) {
+  if (!Number.isFinite(marketCap)) {
+    return 0;
+  }
+  if (marketCap < config.smallCapThreshold) {
+    return config.smallCapPremium;
+  }
+  if (marketCap < config.midCapThreshold) {
+    return config.midCapPremium;
+  }
+  return 0;
+}
+
+function computeCashYield(highlights, config) {
+  const yieldValue =
+    toNumber(highlights?.DividendYield) ??
+    toNumber(highlights?.DividendYield5Years);
+  if (!Number.isFinite(yieldValue)) {
+    return 0;
+  }
+  // EODHD returns dividend yield as percentage (e.g. 2.5)
+  const normalized = yieldValue > 1 ? yieldValue / 100 : yieldValue;
+  return clamp(normalized, 0, config.maxCashYield);
+}
+
+function computeCostOfDebt(
+  { interestExpense, totalDebt },
+  riskFreeRate,
+  config,
+) {
+  const implied =
+    Number.isFinite(interestExpense) && interestExpense > 0 && totalDebt > 0
+      ? safeDiv(interestExpense, totalDebt, null)
+      : null;
+
+  if (Number.isFinite(implied)) {
+    return {
+      costOfDebt: clamp(
+        implied,
+        riskFreeRate,
+        riskFreeRate + config.maxCreditSpread,
+      ),
+      costOfDebtSource: 'interest-expense',
+    };
+  }
+
+  return {
+    costOfDebt: riskFreeRate + config.creditSpread,
+    costOfDebtSource: 'credit-spread',
+  };
+}
+
+/**
+ * Build a symbol's WACC and its breakdown
+ * @param {Object} params - currency, country, highlights, marketCap, beta, sectorBeta,
+ *   totalDebt, interestExpense, taxRate
+ * @param {Object} [config] - Discount rate configuration (active DB version or defaults)
+ * @returns {Object} WACC breakdown
+ */
+export function buildWacc(
+  {
+    currency,
+    country,
+    highlights,
+    marketCap,
+    beta,
+    sectorBeta,
+    totalDebt,
+    interestExpense,
+    taxRate,
+  } = {},
+  config = DEFAULT_DISCOUNT_RATE_CONFIG,
+) {
+  const normalizedCurrency = (currency || '').toUpperCase();
+  const countryKey = normalizeCountryKey(country);
+
+  const riskFreeRate =
+    lookupRate(config.riskFreeRates, normalizedCurrency) ??
+    config.defaultRiskFreeRate;
+  const countryRiskPremium =
+    lookupRate(config.countryRiskPremiums, countryKey) ??
+    config.defaultCountryRiskPremium;
+  const equityRiskPremium = config.equityRiskPremium + countryRiskPremium;
+
+  const betaInfo = resolveBeta({ beta, highlights, sectorBeta }, config);
+  const sizePremium = computeSizePremium(marketCap, config);
+  const cashYield = computeCashYield(highlights, config);
+  const costOfEquity =
+    riskFreeRate + betaInfo.beta * equityRiskPremium + sizePremium - cashYield;
+
+  const { costOfDebt, costOfDebtSource } = computeCostOfDebt(
+    { interestExpense, totalDebt },
+    riskFreeRate,
+    config,
+  );
+  const effectiveTaxRate = Number.isFinite(taxRate)
+    ? clamp(taxRate, 0, 0.5)
+    : 0;
+  const afterTaxCostOfDebt = costOfDebt * (1 - effectiveTaxRate);
+
+  const equityValue =
+    Number.isFinite(marketCap) && marketCap > 0 ? marketCap : null;
+  const debtValue = Number.isFinite(totalDebt) && totalDebt > 0 ? totalDebt : 0;
+  const debtWeight = equityValue ? debtValue / (equityValue + debtValue) : 0;
+  const equityWeight = 1 - debtWeight;
+
+  const wacc = clamp(
+    equityWeight * costOfEquity + debtWeight * afterTaxCostOfDebt,
+    config.waccMin,
+    config.waccMax,
+  );
+
+  return {
+    wacc,
+    configVersion: config.version ?? null,
+    riskFreeRate,
+    beta: betaInfo.beta,
+    betaSource: betaInfo.betaSource,
+    rawBeta: betaInfo.rawBeta,
+    equityRiskPremium,
+    countryRiskPremium,
+    sizePremium,
+    cashYield,
+    costOfEquity,
+    costOfDebt,
+    costOfDebtSource,
+    afterTaxCostOfDebt,
+    taxRate: effectiveTaxRate,
+    equityWeight,
+    debtWeight,
+  };
+}
@@ -22,7 +22,11 @@ export function average(values = []) {
 export function safeDiv(numerator, denominator, defaultValue = 0) {
   const num = Number(numerator);
   const den = Number(denominator);
-  if (!Number.isFinite(num) || !Number.isFinite(den) || Math.abs(den) < Number.EPSILON) {
+  if (
+    !Number.isFinite(num) ||
+    !Number.isFinite(den) ||
+    Math.abs(den) < Number.EPSILON
+  ) {
     return defaultValue;
   }
   return num / den;
@@ -74,6 +78,7 @@ export function standardDeviation(values = []) {
     return 0;
   }
   const mean = average(filtered);
-  const variance = filtered.reduce((acc, val) => acc + (val - mean) ** 2, 0) / filtered.length;
+  const variance =
+    filtered.reduce((acc, val) => acc + (val - mean) ** 2, 0) / filtered.length;
   return Math.sqrt(variance);
 }
@@ -1,21 +1,23 @@
-import { sum } from "./math.js";
+import { sum } from './math.js';
 
 const CASH_FROM_OPERATIONS_KEYS = [
-  "cashFromOperations",
-  "totalCashFromOperatingActivities",
-  "operatingCashFlow",
-  "netCashProvidedByOperatingActivities",
-  "netCashProvidedByUsedInOperatingActivities",
+  'cashFromOperations',
+  'totalCashFromOperatingActivities',
+  'operatingCashFlow',
+  'netCashProvidedByOperatingActivities',
+  'netCashProvidedByUsedInOperatingActivities',
 ];
 
 const CAPITAL_EXPENDITURE_KEYS = [
-  "capitalExpenditures",
-  "capitalExpenditure",
-  "investmentInFixedAssets",
-  "purchaseOfPropertyPlantEquipment",
-  "capex",
+  'capitalExpenditures',
+  'capitalExpenditure',
+  'investmentInFixedAssets',
+  'purchaseOfPropertyPlantEquipment',
+  'capex',
 ];
 
+const INTEREST_EXPENSE_KEYS = ['interestExpense'];
+
 function pickValue(object = {}, keys = []) {
   for (const key of keys) {
     const value = Number(object?.[key]);
@@ -62,7 +64,9 @@ function findContiguousQuarterRun(entries, required = 4, maxGapDays = 125) {
     return null;
   }
 
-  const sorted = entries.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+  const sorted = entries
+    .slice()
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
 
   for (let end = sorted.length - 1; end >= required - 1; end -= 1) {
     const candidate = sorted.slice(end - required + 1, end + 1);
@@ -94,11 +98,12 @@ export function computeTTM(fundamentals = []) {
       cfoTTM: 0,
       capexTTM: 0,
       fcfTTM: 0,
+      interestExpenseTTM: 0,
     };
   }
 
   const quarterly = fundamentals.filter(
-    (entry) => entry?.frequency === "Q" || entry?.period === "Q"
+    (entry) => entry?.frequency === 'Q' || entry?.period === 'Q',
   );
 
   if (quarterly.length >= 4) {
@@ -107,26 +112,42 @@ export function computeTTM(fundamentals = []) {
 
     const revenueTTM = sum(
       last4.map((item) =>
-        pickIncomeValue(item?.incomeStatement, ["revenue", "totalRevenue", "Revenue"], 0)
-      )
+        pickIncomeValue(
+          item?.incomeStatement,
+          ['revenue', 'totalRevenue', 'Revenue'],
+          0,
+        ),
+      ),
     );
     const ebitTTM = sum(
       last4.map((item) =>
         pickIncomeValue(
           item?.incomeStatement,
-          ["operatingIncome", "operatingIncomeLoss", "ebit"],
-          0
-        )
-      )
+          ['operatingIncome', 'operatingIncomeLoss', 'ebit'],
+          0,
+        ),
+      ),
     );
 
-    const rawCfoValues = last4.map((item) => pickValue(item?.cashFlow, CASH_FROM_OPERATIONS_KEYS));
-    const rawCapexValues = last4.map((item) => pickValue(item?.cashFlow, CAPITAL_EXPENDITURE_KEYS));
+    const rawCfoValues = last4.map((item) =>
+      pickValue(item?.cashFlow, CASH_FROM_OPERATIONS_KEYS),
+    );
+    const rawCapexValues = last4.map((item) =>
+      pickValue(item?.cashFlow, CAPITAL_EXPENDITURE_KEYS),
+    );
 
     const normalizedCapexValues = normalizeCapexSeries(rawCapexValues);
 
     const cfoTTM = sum(rawCfoValues);
     const capexTTM = sum(normalizedCapexValues);
+    // Reported with either sign depending on the filer
+    const interestExpenseTTM = Math.abs(
+      sum(
+        last4.map((item) =>
+          pickValue(item?.incomeStatement, INTEREST_EXPENSE_KEYS),
+        ),
+      ),
+    );
 
     return {
       revenueTTM,
@@ -134,22 +155,28 @@ export function computeTTM(fundamentals = []) {
       cfoTTM,
       capexTTM,
       fcfTTM: cfoTTM - capexTTM,
+      interestExpenseTTM,
     };
   }
 
   const latest = fundamentals[fundamentals.length - 1];
   const revenueTTM = pickIncomeValue(latest?.incomeStatement, [
-    "revenue",
-    "totalRevenue",
-    "Revenue",
+    'revenue',
+    'totalRevenue',
+    'Revenue',
   ]);
   const ebitTTM = pickIncomeValue(latest?.incomeStatement, [
-    "operatingIncome",
-    "operatingIncomeLoss",
-    "ebit",
+    'operatingIncome',
+    'operatingIncomeLoss',
+    'ebit',
   ]);
   const cfoTTM = pickValue(latest?.cashFlow, CASH_FROM_OPERATIONS_KEYS);
-  const capexTTM = normalizeCapexSeries([pickValue(latest?.cashFlow, CAPITAL_EXPENDITURE_KEYS)])[0];
+  const capexTTM = normalizeCapexSeries([
+    pickValue(latest?.cashFlow, CAPITAL_EXPENDITURE_KEYS),
+  ])[0];
+  const interestExpenseTTM = Math.abs(
+    pickValue(latest?.incomeStatement, INTEREST_EXPENSE_KEYS),
+  );
 
   return {
     revenueTTM,
@@ -157,5 +184,6 @@ export function computeTTM(fundamentals = []) {
     cfoTTM,
     capexTTM,
     fcfTTM: cfoTTM - capexTTM,
+    interestExpenseTTM,
   };
 }
@@ -1,87 +1,8 @@
-import { DCF_DEFAULTS, runDCF } from "./valuationDCFEngine.js";
-import { deriveMetrics } from "./deriveMetrics.js";
-import { computeTTM } from "./utils/ttmBuilder.js";
-import { clamp, isPositiveNumber } from "./utils/math.js";
-
-const ERP_DEFAULT = 0.055;
-const MAX_WACC = 0.18;
-const MIN_WACC = 0.05;
-const SIZE_PREMIUM_SMALL = 0.02;
-const SIZE_PREMIUM_MID = 0.01;
-const CASH_YIELD_MAX = 0.02;
-
-const RISK_FREE_BY_CURRENCY = {
-  USD: 0.043,
-  EUR: 0.025,
-  GBP: 0.035,
-  CAD: 0.036,
-  AUD: 0.042,
-  NZD: 0.045,
-  CHF: 0.012,
-  SEK: 0.028,
-  NOK: 0.03,
-  PLN: 0.055,
-  DKK: 0.025,
-  JPY: 0.01,
-  HKD: 0.035,
-  SGD: 0.03,
-  INR: 0.07,
-  CNY: 0.029,
-  KRW: 0.038,
-  BRL: 0.09,
-  MXN: 0.085,
-  ZAR: 0.095,
-};
-
-const COUNTRY_RISK_PREMIUM = {
-  USA: 0,
-  CANADA: 0.005,
-  UNITED_STATES: 0,
-  UNITED_KINGDOM: 0.01,
-  GERMANY: 0.005,
-  FRANCE: 0.01,
-  ITALY: 0.02,
-  SPAIN: 0.015,
-  SWITZERLAND: 0,
-  AUSTRALIA: 0.005,
-  NEW_ZEALAND: 0.01,
-  JAPAN: 0.005,
-  HONG_KONG: 0.01,
-  SINGAPORE: 0.005,
-  INDIA: 0.03,
-  CHINA: 0.025,
-  BRAZIL: 0.04,
-  MEXICO: 0.03,
-  SOUTH_AFRICA: 0.045,
-  SOUTH_KOREA: 0.02,
-  INDONESIA: 0.04,
-  MALAYSIA: 0.025,
-  THAILAND: 0.025,
-  PHILIPPINES: 0.035,
-};
-
-const TERMINAL_GROWTH_BY_CURRENCY = {
-  USD: 0.02,
-  EUR: 0.01,
-  GBP: 0.015,
-  CAD: 0.02,
-  AUD: 0.02, // Reduced from 0.025
-  NZD: 0.02, // Reduced from 0.025
-  CHF: 0.012,
-  SEK: 0.015,
-  NOK: 0.018,
-  PLN: 0.02,
-  DKK: 0.012,
-  JPY: 0.01,
-  HKD: 0.02, // Reduced from 0.025
-  SGD: 0.02, // Reduced from 0.025
-  INR: 0.025, // Reduced from 0.03 - more conservative for emerging markets
-  CNY: 0.02, // Reduced from 0.025
-  KRW: 0.02, // Reduced from 0.025
-  BRL: 0.025, // Reduced from 0.03
-  MXN: 0.025, // Reduced from 0.03
-  ZAR: 0.025, // Reduced from 0.03
-};
+import { DCF_DEFAULTS, runDCF } from './valuationDCFEngine.js';
+import { deriveMetrics } from './deriveMetrics.js';
+import { computeTTM } from './utils/ttmBuilder.js';
+import { clamp, isPositiveNumber } from './utils/math.js';
+import { buildWacc, resolveTerminalGrowth } from './discountRates.js';
 
 const TAX_FLOOR_BY_COUNTRY = {
   USA: 0.21,
@@ -126,22 +47,6 @@ const TAX_FLOOR_BY_CURRENCY = {
   HKD: 0.165,
 };
 
-const EMERGING_MARKETS = new Set([
-  "INDIA",
-  "CHINA",
-  "BRAZIL",
-  "MEXICO",
-  "SOUTH_AFRICA",
-  "THAILAND",
-  "PHILIPPINES",
-  "INDONESIA",
-  "MALAYSIA",
-  "POLAND",
-  "CZECH_REPUBLIC",
-  "HUNGARY",
-  "TURKEY",
-]);
-
 function cleanNumericRecord(record = {}) {
   return Object.entries(record || {}).reduce((acc, [key, value]) => {
     const num = Number(value);
@@ -170,7 +75,7 @@ export function normalizeFundamentalsDocument(fundamentalsDoc) {
 
   const quarterlyEntries = sortedQuarterDates.map((date) => ({
     date,
-    frequency: "Q",
+    frequency: 'Q',
     incomeStatement: cleanNumericRecord(incomeQuarterly[date]),
     cashFlow: cleanNumericRecord(cashQuarterly[date]),
     balanceSheet: cleanNumericRecord(balanceQuarterly[date]),
@@ -194,7 +99,7 @@ export function normalizeFundamentalsDocument(fundamentalsDoc) {
 
   return sortedYearDates.map((date) => ({
     date,
-    frequency: "Y",
+    frequency: 'Y',
     incomeStatement: cleanNumericRecord(incomeYearly[date]),
     cashFlow: cleanNumericRecord(cashYearly[date]),
     balanceSheet: cleanNumericRecord(balanceYearly[date]),
@@ -214,15 +119,27 @@ function createLazyLoader(importer, resolver) {
 }
 
 const loadFundamentalsFetcher = createLazyLoader(
-  () => import("@buydy/se-db/utils/getFundamentals.js"),
-  (module) => module?.getFundamentals || module?.default
+  () => import('@buydy/se-db/utils/getFundamentals.js'),
+  (module) => module?.getFundamentals || module?.default,
 );
 
 const loadPriceFetcher = createLazyLoader(
-  () => import("@buydy/se-eodhd-cache"),
-  (module) => module?.getLatestPrice || module?.default?.getLatestPrice
+  () => import('@buydy/se-eodhd-cache'),
+  (module) => module?.getLatestPrice || module?.default?.getLatestPrice,
 );
 
+/**
+ * Calculate the DCF valuation for a symbol
+ *
+ * WACC and terminal growth come from `discountRates` (the active discount rate config,
+ * defaults when omitted). `beta` is the company's levered beta from fundamentals and
+ * `sectorBeta` the sector median used when it is missing.
+ *
+ * `overrides` replaces the model-derived assumptions for what-if runs:
+ * { wacc, terminalGrowth, horizonYears, revenueGrowthStart }. The engine still applies its
+ * own clamps and conservative growth haircut, so the effective values are returned with
+ * the year-by-year projection.
+ */
 export async function calculateValuationDCF(
   symbol,
   {
@@ -234,7 +151,11 @@ export async function calculateValuationDCF(
     currency: providedCurrency,
     country: providedCountry,
     marketCap: providedMarketCap,
-  } = {}
+    beta,
+    sectorBeta,
+    discountRates,
+    overrides = {},
+  } = {},
 ) {
   let fundamentals = providedFundamentals;
   if (!fundamentals) {
@@ -273,9 +194,9 @@ export async function calculateValuationDCF(
       fairValuePerShare: null,
       upside: null,
       range: { low: null, high: null },
-      quality: "N/A",
-      qualityReason: "Insufficient data quality for reliable valuation",
-      reasonCode: "MISSING_DATA",
+      quality: 'N/A',
+      qualityReason: 'Insufficient data quality for reliable valuation',
+      reasonCode: 'MISSING_DATA',
       reasonInputs: {
         dataQualityScore,
         dataQualityFlags: metrics.controls?.dataQualityFlags ?? {},
@@ -295,9 +216,9 @@ export async function calculateValuationDCF(
       fairValuePerShare: null,
       upside: null,
       range: { low: null, high: null },
-      quality: "N/A",
-      qualityReason: "Missing revenue TTM data",
-      reasonCode: "MISSING_DATA",
+      quality: 'N/A',
+      qualityReason: 'Missing revenue TTM data',
+      reasonCode: 'MISSING_DATA',
       reasonInputs: { revenueTTM: ttm.revenueTTM },
       sharesSource: metrics?.structure?.sharesSource || null,
       wacc: null,
@@ -307,20 +228,39 @@ export async function calculateValuationDCF(
     };
   }
 
-  const country = (providedCountry || "").toUpperCase();
-  const currency = (providedCurrency || "").toUpperCase();
+  const country = (providedCountry || '').toUpperCase();
+  const currency = (providedCurrency || '').toUpperCase();
   const highlights = providedHighlights || {};
-  const marketCap = Number.isFinite(providedMarketCap) ? providedMarketCap : null;
+  const marketCap = Number.isFinite(providedMarketCap)
+    ? providedMarketCap
+    : null;
 
-  const waccComponents = buildWacc({
-    currency,
+  const taxRate = applyTaxFloor(
+    metrics.taxes.effectiveTaxRate,
     country,
-    highlights,
-    marketCap,
-  });
+    currency,
+  );
 
-  const terminalGrowth = resolveTerminalGrowth(currency, country);
-  const taxRate = applyTaxFloor(metrics.taxes.effectiveTaxRate, country, currency);
+  const waccComponents = buildWacc(
+    {
+      currency,
+      country,
+      highlights,
+      marketCap,
+      beta,
+      sectorBeta,
+      totalDebt: metrics.structure.totalDebt,
+      interestExpense: ttm.interestExpenseTTM,
+      taxRate,
+    },
+    discountRates,
+  );
+
+  const terminalGrowth = resolveTerminalGrowth(
+    currency,
+    country,
+    discountRates,
+  );
 
   const sharesSource = metrics?.structure?.sharesSource || null;
 
@@ -341,7 +281,8 @@ export async function calculateValuationDCF(
       const growthStdDev = metrics.growth.revenueGrowthStdDev ?? 0;
       // Penalize high volatility: reduce growth assumption by volatility factor
       // If std dev > 20%, reduce growth by up to 30%
-      const volatilityPenalty = growthStdDev > 0.2 ? Math.min(0.3, (growthStdDev - 0.2) * 0.5) : 0;
+      const volatilityPenalty =
+        growthStdDev > 0.2 ? Math.min(0.3, (growthStdDev - 0.2) * 0.5) : 0;
       return Number.isFinite(baseGrowth)
         ? clamp(baseGrowth * (1 - volatilityPenalty), -0.2, 0.25)
         : 0.05;
@@ -352,7 +293,9 @@ export async function calculateValuationDCF(
     preferredEquity: Number.isFinite(metrics.structure.preferredEquity)
       ? metrics.structure.preferredEquity
       : 0,
-    investmentsAssociates: Number.isFinite(metrics.structure.investmentsAssociates)
+    investmentsAssociates: Number.isFinite(
+      metrics.structure.investmentsAssociates,
+    )
       ? metrics.structure.investmentsAssociates
       : 0,
   };
@@ -364,6 +307,19 @@ export async function calculateValuationDCF(
     waccComponents,
   };
 
+  if (Number.isFinite(overrides.wacc)) {
+    assumptions.wacc = overrides.wacc;
+  }
+  if (Number.isFinite(overrides.terminalGrowth)) {
+    assumptions.terminalGrowth = overrides.terminalGrowth;
+  }
+  if (Number.isFinite(overrides.horizonYears)) {
+    assumptions.horizonYears = overrides.horizonYears;
+  }
+  if (Number.isFinite(overrides.revenueGrowthStart)) {
+    inputs.revenueGrowthStart = overrides.revenueGrowthStart;
+  }
+
   const valuation = runDCF(inputs, assumptions);
 
   if (!valuation || !Number.isFinite(valuation.fairValuePerShare)) {
@@ -384,15 +340,24 @@ export async function calculateValuationDCF(
     terminalGrowth: valuation.terminalGrowth,
     waccComponents: valuation.waccComponents,
     sensitivityMatrix: valuation.sensitivityMatrix,
+    horizonYears: valuation.horizonYears,
+    revenueGrowthStart: inputs.revenueGrowthStart,
+    growthStart: valuation.growthStart,
+    projection: valuation.projection,
+    terminalValue: valuation.terminalValue,
+    pvTerminalValue: valuation.pvTerminalValue,
+    enterpriseValue: valuation.enterpriseValue,
+    equityValue: valuation.equityValue,
   };
 
   if (metrics.controls?.reinvestmentFlagged) {
-    result.quality = "N/A";
-    result.qualityReason = "Reinvestment consistency check failed";
-    result.reasonCode = result.reasonCode ?? "NEG_FCF";
+    result.quality = 'N/A';
+    result.qualityReason = 'Reinvestment consistency check failed';
+    result.reasonCode = result.reasonCode ?? 'NEG_FCF';
     result.reasonInputs = {
       ...(result.reasonInputs || {}),
-      reinvestmentDeviation: metrics.controls?.reinvestmentStats?.averageDeviation ?? null,
+      reinvestmentDeviation:
+        metrics.controls?.reinvestmentStats?.averageDeviation ?? null,
     };
     result.upside = null;
     result.range = { low: null, high: null };
@@ -408,94 +373,22 @@ export async function calculateValuationDCF(
     };
   }
 
-  return result;
-}
-
-function toNumber(value, fallback = null) {
-  const num = Number(value);
-  return Number.isFinite(num) ? num : fallback;
-}
-
-function resolveRiskFreeRate(currency) {
-  return RISK_FREE_BY_CURRENCY[currency] ?? 0.045;
-}
-
-function resolveCountryRiskPremium(country) {
-  return COUNTRY_RISK_PREMIUM[country] ?? 0;
-}
-
-function resolveTerminalGrowth(currency, country) {
-  if (TERMINAL_GROWTH_BY_CURRENCY[currency]) {
-    return TERMINAL_GROWTH_BY_CURRENCY[currency];
-  }
-  if (country && EMERGING_MARKETS.has(country)) {
-    return 0.025; // Reduced from 0.03 - more conservative
-  }
-  return 0.02;
-}
-
-function computeSizePremium(marketCap) {
-  if (!Number.isFinite(marketCap)) {
-    return 0;
-  }
-  if (marketCap < 1_000_000_000) {
-    return SIZE_PREMIUM_SMALL;
-  }
-  if (marketCap < 5_000_000_000) {
-    return SIZE_PREMIUM_MID;
-  }
-  return 0;
-}
+  // Record how the discount rate was built (stored as valuationDCF.metadata.inputs)
+  result.reasonInputs = {
+    ...(result.reasonInputs || {}),
+    discountRate: { ...waccComponents, terminalGrowth },
+  };
 
-function computeCashYield(highlights) {
-  const yieldValue =
-    toNumber(highlights?.DividendYield, null) ?? toNumber(highlights?.DividendYield5Years, null);
-  if (!Number.isFinite(yieldValue)) {
-    return 0;
-  }
-  // EODHD returns dividend yield as percentage (e.g. 2.5)
-  const normalized = yieldValue > 1 ? yieldValue / 100 : yieldValue;
-  return clamp(normalized, 0, CASH_YIELD_MAX);
+  return result;
 }
 
 function applyTaxFloor(currentTaxRate, country, currency) {
   const normalized = Number.isFinite(currentTaxRate) ? currentTaxRate : 0.2;
-  const normalizedCountry = (country || "").toUpperCase().replace(/\s+/g, "_");
-  const normalizedCurrency = (currency || "").toUpperCase();
+  const normalizedCountry = (country || '').toUpperCase().replace(/\s+/g, '_');
+  const normalizedCurrency = (currency || '').toUpperCase();
   const floor =
-    TAX_FLOOR_BY_COUNTRY[normalizedCountry] ?? TAX_FLOOR_BY_CURRENCY[normalizedCurrency] ?? 0.2;
+    TAX_FLOOR_BY_COUNTRY[normalizedCountry] ??
+    TAX_FLOOR_BY_CURRENCY[normalizedCurrency] ??
+    0.2;
   return clamp(Math.max(normalized, floor), 0.05, 0.4);
 }
-
-function buildWacc({ currency, country, highlights, marketCap }) {
-  const normalizedCurrency = (currency || "").toUpperCase();
-  const normalizedCountry = (country || "").toUpperCase().replace(/\s+/g, "_");
-  const riskFreeRate = resolveRiskFreeRate(normalizedCurrency);
-  const countryRiskPremium = resolveCountryRiskPremium(normalizedCountry);
-  const equityRiskPremium = ERP_DEFAULT + countryRiskPremium;
-
-  const rawBeta =
-    toNumber(highlights?.Beta, null) ??
-    toNumber(highlights?.beta, null) ??
-    toNumber(highlights?.Beta5Years, null);
-  const beta = clamp(Number.isFinite(rawBeta) ? rawBeta : 1, 0.2, 3);
-
-  const sizePremium = computeSizePremium(marketCap);
-  const cashYield = computeCashYield(highlights);
-
-  const wacc = clamp(
-    riskFreeRate + beta * equityRiskPremium + sizePremium - cashYield,
-    MIN_WACC,
-    MAX_WACC
-  );
-
-  return {
-    wacc,
-    riskFreeRate,
-    beta,
-    equityRiskPremium,
-    countryRiskPremium,
-    sizePremium,
-    cashYield,
-  };
-}
@@ -1,4 +1,4 @@
-import { clamp, isPositiveNumber, safeDiv } from "./utils/math.js";
+import { clamp, isPositiveNumber, safeDiv } from './utils/math.js';
 
 export const DCF_DEFAULTS = {
   horizonYears: 5,
@@ -17,8 +17,12 @@ function sanitizeAssumptions(assumptions = {}) {
   config.terminalGrowth = clamp(config.terminalGrowth, -0.01, 0.05);
   config.wacc = clamp(config.wacc, 0.03, 0.25);
   config.gStartCap = clamp(config.gStartCap, -0.2, 0.3);
-  config.upsideMin = Number.isFinite(config.upsideMin) ? config.upsideMin : DCF_DEFAULTS.upsideMin;
-  config.upsideMax = Number.isFinite(config.upsideMax) ? config.upsideMax : DCF_DEFAULTS.upsideMax;
+  config.upsideMin = Number.isFinite(config.upsideMin)
+    ? config.upsideMin
+    : DCF_DEFAULTS.upsideMin;
+  config.upsideMax = Number.isFinite(config.upsideMax)
+    ? config.upsideMax
+    : DCF_DEFAULTS.upsideMax;
   config.fairValueMin = Number.isFinite(config.fairValueMin)
     ? config.fairValueMin
     : DCF_DEFAULTS.fairValueMin;
@@ -51,14 +55,16 @@ function prepareInputs(inputs = {}) {
     netDebt: Number(netDebt) || 0,
     sharesDiluted: Number(sharesDiluted) || 0,
     currentPrice: Number(currentPrice) || 0,
-    revenueGrowthStart: Number.isFinite(revenueGrowthStart) ? revenueGrowthStart : 0.1,
+    revenueGrowthStart: Number.isFinite(revenueGrowthStart)
+      ? revenueGrowthStart
+      : 0.1,
     minorityInterest: Number(minorityInterest) || 0,
     preferredEquity: Number(preferredEquity) || 0,
     investmentsAssociates: Number(investmentsAssociates) || 0,
   };
 }
 
-const HAS_FMA = typeof Math.fma === "function";
+const HAS_FMA = typeof Math.fma === 'function';
 
 function buildDiscountFactors(discountRate, length) {
   const factors = new Array(length);
@@ -90,11 +96,13 @@ function computeDCFProjection(inputs, assumptions) {
 
   let revenuePrev = revenueTTM;
   const fcfSeries = [];
+  const years = [];
   let reinvestmentClampCount = 0;
 
   for (let t = 1; t <= config.horizonYears; t += 1) {
     const progress = t / config.horizonYears;
-    const gCurrent = growthStart - (growthStart - config.terminalGrowth) * progress;
+    const gCurrent =
+      growthStart - (growthStart - config.terminalGrowth) * progress;
 
     const revenueCurrent = revenuePrev * (1 + gCurrent);
     const ebitCurrent = revenueCurrent * ebitMargin;
@@ -102,7 +110,7 @@ function computeDCFProjection(inputs, assumptions) {
     const revenueDelta = revenueCurrent - revenuePrev;
     let reinvestmentCurrent = Math.max(
       0,
-      salesToCapital > 0 ? safeDiv(revenueDelta, salesToCapital, 0) : 0
+      salesToCapital > 0 ? safeDiv(revenueDelta, salesToCapital, 0) : 0,
     );
     let fcfCurrent = nopatCurrent - reinvestmentCurrent;
 
@@ -113,6 +121,15 @@ function computeDCFProjection(inputs, assumptions) {
     }
 
     fcfSeries.push(fcfCurrent);
+    years.push({
+      year: t,
+      growth: gCurrent,
+      revenue: revenueCurrent,
+      ebit: ebitCurrent,
+      nopat: nopatCurrent,
+      reinvestment: reinvestmentCurrent,
+      fcf: fcfCurrent,
+    });
     revenuePrev = revenueCurrent;
   }
 
@@ -136,6 +153,8 @@ function computeDCFProjection(inputs, assumptions) {
 
   return {
     fcfSeries,
+    years,
+    growthStart,
     inputs: sanitized,
     assumptions: config,
     adjustments: {
@@ -155,7 +174,9 @@ function presentValue(series, discountRate) {
     if (!Number.isFinite(discount)) {
       continue;
     }
-    total = HAS_FMA ? Math.fma(cashFlow, discount, total) : total + cashFlow * discount;
+    total = HAS_FMA
+      ? Math.fma(cashFlow, discount, total)
+      : total + cashFlow * discount;
   }
 
   return { value: total, factors };
@@ -163,16 +184,31 @@ function presentValue(series, discountRate) {
 
 export function runDCF(inputs, assumptions = DCF_DEFAULTS) {
   const projection = computeDCFProjection(inputs, assumptions);
-  const { fcfSeries, inputs: normalized, assumptions: config, adjustments } = projection;
+  const {
+    fcfSeries,
+    years,
+    growthStart,
+    inputs: normalized,
+    assumptions: config,
+    adjustments,
+  } = projection;
 
-  const { value: pvFcf, factors: discountFactors } = presentValue(fcfSeries, config.wacc);
+  const { value: pvFcf, factors: discountFactors } = presentValue(
+    fcfSeries,
+    config.wacc,
+  );
   const lastFcf = Number.isFinite(fcfSeries.at(-1)) ? fcfSeries.at(-1) : 0;
   const fcfTerminal = HAS_FMA
     ? Math.fma(lastFcf, config.terminalGrowth, lastFcf)
     : lastFcf * (1 + config.terminalGrowth);
-  const terminalValue = safeDiv(fcfTerminal, config.wacc - config.terminalGrowth, 0);
+  const terminalValue = safeDiv(
+    fcfTerminal,
+    config.wacc - config.terminalGrowth,
+    0,
+  );
   const terminalDiscountFactor =
-    discountFactors.at(-1) ?? Math.pow(1 + config.wacc, -Math.max(1, config.horizonYears));
+    discountFactors.at(-1) ??
+    Math.pow(1 + config.wacc, -Math.max(1, config.horizonYears));
   const pvTerminalValue = terminalValue * terminalDiscountFactor;
 
   const enterpriseValue = pvFcf + pvTerminalValue;
@@ -193,12 +229,12 @@ export function runDCF(inputs, assumptions = DCF_DEFAULTS) {
   const clampedFairValue = clamp(
     Number.isFinite(fairValuePerShare) ? fairValuePerShare : 0,
     config.fairValueMin,
-    config.fairValueMax
+    config.fairValueMax,
   );
   const clampedUpside = clamp(
     Number.isFinite(upside) ? upside : 0,
     config.upsideMin,
-    config.upsideMax
+    config.upsideMax,
   );
 
   const sensitivity = generateSensitivityMatrix(normalized, config);
@@ -216,6 +252,17 @@ export function runDCF(inputs, assumptions = DCF_DEFAULTS) {
     wacc: config.wacc,
     terminalGrowth: config.terminalGrowth,
     waccComponents: assumptions.waccComponents || null,
+    horizonYears: config.horizonYears,
+    growthStart,
+    projection: years.map((row, index) => ({
+      ...row,
+      discountFactor: discountFactors[index],
+      presentValue: row.fcf * discountFactors[index],
+    })),
+    terminalValue,
+    pvTerminalValue,
+    enterpriseValue,
+    equityValue,
   };
 }
 
@@ -223,14 +270,22 @@ function runSingleScenario(inputs, assumptions) {
   const projection = computeDCFProjection(inputs, assumptions);
   const { fcfSeries, inputs: normalized, assumptions: config } = projection;
 
-  const { value: pvFcf, factors: discountFactors } = presentValue(fcfSeries, config.wacc);
+  const { value: pvFcf, factors: discountFactors } = presentValue(
+    fcfSeries,
+    config.wacc,
+  );
   const lastFcf = Number.isFinite(fcfSeries.at(-1)) ? fcfSeries.at(-1) : 0;
   const fcfTerminal = HAS_FMA
     ? Math.fma(lastFcf, config.terminalGrowth, lastFcf)
     : lastFcf * (1 + config.terminalGrowth);
-  const terminalValue = safeDiv(fcfTerminal, config.wacc - config.terminalGrowth, 0);
+  const terminalValue = safeDiv(
+    fcfTerminal,
+    config.wacc - config.terminalGrowth,
+    0,
+  );
   const terminalDiscountFactor =
-    discountFactors.at(-1) ?? Math.pow(1 + config.wacc, -Math.max(1, config.horizonYears));
+    discountFactors.at(-1) ??
+    Math.pow(1 + config.wacc, -Math.max(1, config.horizonYears));
   const pvTerminalValue = terminalValue * terminalDiscountFactor;
   const enterpriseValue = pvFcf + pvTerminalValue;
   const equityValue =
@@ -276,7 +331,11 @@ function generateSensitivityMatrix(inputs, assumptions) {
       const fairValue = runSingleScenario(inputs, scenarioAssumptions);
       const clamped =
         Number.isFinite(fairValue) && fairValue > 0
-          ? clamp(fairValue, scenarioAssumptions.fairValueMin, scenarioAssumptions.fairValueMax)
+          ? clamp(
+              fairValue,
+              scenarioAssumptions.fairValueMin,
+              scenarioAssumptions.fairValueMax,
+            )
           : null;
 
       if (Number.isFinite(clamped)) {
@@ -296,8 +355,16 @@ function generateSensitivityMatrix(inputs, assumptions) {
     values.length === 0
       ? { low: null, high: null }
       : {
-          low: clamp(Math.min(...values), assumptions.fairValueMin, assumptions.fairValueMax),
-          high: clamp(Math.max(...values), assumptions.fairValueMin, assumptions.fairValueMax),
+          low: clamp(
+            Math.min(...values),
+            assumptions.fairValueMin,
+            assumptions.fairValueMax,
+          ),
+          high: clamp(
+            Math.max(...values),
+            assumptions.fairValueMin,
+            assumptions.fairValueMax,
+          ),
         };
 
   return { matrix, range };
@@ -306,9 +373,9 @@ function generateSensitivityMatrix(inputs, assumptions) {
 function qualityCheck(inputs, fcfSeries, adjustments = {}) {
   if (!isPositiveNumber(inputs.revenueTTM)) {
     return {
-      quality: "N/A",
-      reason: "Missing or invalid revenue data",
-      reasonCode: "MISSING_DATA",
+      quality: 'N/A',
+      reason: 'Missing or invalid revenue data',
+      reasonCode: 'MISSING_DATA',
       reasonInputs: { revenueTTM: inputs.revenueTTM },
     };
   }
@@ -316,9 +383,9 @@ function qualityCheck(inputs, fcfSeries, adjustments = {}) {
   const negativeCount = fcfSeries.filter((value) => value <= 0).length;
   if (negativeCount >= Math.ceil(fcfSeries.length / 2)) {
     return {
-      quality: "LOW",
-      reason: "Negative or unstable free cash flow history",
-      reasonCode: "NEG_FCF",
+      quality: 'LOW',
+      reason: 'Negative or unstable free cash flow history',
+      reasonCode: 'NEG_FCF',
       reasonInputs: { negativePeriods: negativeCount },
     };
   }
@@ -326,9 +393,9 @@ function qualityCheck(inputs, fcfSeries, adjustments = {}) {
   // Stricter margin threshold: require at least 7% operating margin
   if (inputs.ebitMargin < 0.07 || inputs.salesToCapital < 0.5) {
     return {
-      quality: "LOW",
-      reason: "Margins or reinvestment metrics below thresholds",
-      reasonCode: "NEG_FCF",
+      quality: 'LOW',
+      reason: 'Margins or reinvestment metrics below thresholds',
+      reasonCode: 'NEG_FCF',
       reasonInputs: {
         margin: inputs.ebitMargin,
         salesToCapital: inputs.salesToCapital,
@@ -338,27 +405,32 @@ function qualityCheck(inputs, fcfSeries, adjustments = {}) {
 
   if (adjustments.reinvestmentClampCount > 0) {
     return {
-      quality: "LOW",
-      reason: "Reinvestment requirement exceeds NOPAT in projection",
-      reasonCode: "NEG_FCF",
-      reasonInputs: { reinvestmentClampCount: adjustments.reinvestmentClampCount },
+      quality: 'LOW',
+      reason: 'Reinvestment requirement exceeds NOPAT in projection',
+      reasonCode: 'NEG_FCF',
+      reasonInputs: {
+        reinvestmentClampCount: adjustments.reinvestmentClampCount,
+      },
     };
   }
 
   if (adjustments.continuityViolation) {
     return {
-      quality: "LOW",
-      reason: "Projected FCF growth falls outside 0.5x–2x band",
-      reasonCode: "VOLATILE_GROWTH",
+      quality: 'LOW',
+      reason: 'Projected FCF growth falls outside 0.5x–2x band',
+      reasonCode: 'VOLATILE_GROWTH',
       reasonInputs: { continuityViolation: true },
     };
   }
 
-  if (!isPositiveNumber(inputs.sharesDiluted) || !isPositiveNumber(inputs.currentPrice)) {
+  if (
+    !isPositiveNumber(inputs.sharesDiluted) ||
+    !isPositiveNumber(inputs.currentPrice)
+  ) {
     return {
-      quality: "N/A",
-      reason: "Missing share count or price",
-      reasonCode: "MISSING_DATA",
+      quality: 'N/A',
+      reason: 'Missing share count or price',
+      reasonCode: 'MISSING_DATA',
       reasonInputs: {
         sharesDiluted: inputs.sharesDiluted,
         currentPrice: inputs.currentPrice,
@@ -366,5 +438,10 @@ function qualityCheck(inputs, fcfSeries, adjustments = {}) {
     };
   }
 
-  return { quality: "HIGH", reason: null, reasonCode: null, reasonInputs: null };
+  return {
+    quality: 'HIGH',
+    reason: null,
+    reasonCode: null,
+    reasonInputs: null,
+  };
 }
@@ -1,15 +1,21 @@
 import jwt from "jsonwebtoken";
 import jwkToPem from "jwk-to-pem";
-import { generateRandomAlphanumericString } from "@buydy/iso-auth-utils";
+import { BaseAuthService } from "@buydy/se-auth-core";
 
-class AppleAuthService {
-  constructor(clientId, teamId, keyId, privateKey, dbClient) {
-    this.provider = "apple";
+class AppleAuthService extends BaseAuthService {
+  /**
+   * @param {string} clientId - Apple services id (ID token audience)
+   * @param {string} teamId - Apple developer team id
+   * @param {string} keyId - Sign in with Apple key id
+   * @param {string} privateKey - Sign in with Apple private key (PEM)
+   * @param {Object} [options] - BaseAuthService options (userModel, tokenSecret, ...)
+   */
+  constructor(clientId, teamId, keyId, privateKey, options = {}) {
+    super("apple", options);
     this.clientId = clientId;
     this.teamId = teamId;
     this.keyId = keyId;
     this.privateKey = privateKey;
-    this.db = dbClient;
     this.applePublicKeys = null;
     this.publicKeysLastFetched = null;
     this.publicKeysCacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
@@ -180,77 +186,6 @@ class AppleAuthService {
     };
   }
 
-  /**
-   * Create or update user in database
-   * @param {Object} userInfo - User information from Apple
-   * @returns {Promise<Object>} User record with JWT token
-   */
-  async createOrUpdateUser(userInfo) {
-    if (!this.db) {
-      throw new Error("Database client not provided");
-    }
-
-    // Transform Apple user info to standard format
-    const standardUserInfo = {
-      id: userInfo.id,
-      email: userInfo.email,
-      name: userInfo.name,
-      emailVerified: userInfo.emailVerified,
-      isPrivateEmail: userInfo.isPrivateEmail,
-    };
-
-    // Check if user exists
-    const existingUser = await this.db.findOne("users", {
-      provider: this.provider,
-      providerId: standardUserInfo.id,
-    });
-
-    if (existingUser) {
-      // Update existing user
-      await this.db.update(
-        "users",
-        { _id: existingUser._id },
-        {
-          $set: {
-            ...standardUserInfo,
-            updatedAt: new Date().toISOString(),
-          },
-        }
-      );
-
-      const updatedUser = await this.db.findOne("users", {
-        _id: existingUser._id,
-      });
-
-      // Generate JWT token
-      const mockToken = `${this.provider}-jwt-${Date.now()}-${generateRandomAlphanumericString(9)}`;
-
-      return {
-        token: mockToken,
-        user: updatedUser,
-      };
-    } else {
-      // Create new user
-      const newUser = {
-        ...standardUserInfo,
-        provider: this.provider,
-        providerId: standardUserInfo.id,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-
-      const createdUser = await this.db.create("users", newUser);
-
-      // Generate JWT token
-      const mockToken = `${this.provider}-jwt-${Date.now()}-${generateRandomAlphanumericString(9)}`;
-
-      return {
-        token: mockToken,
-        user: createdUser,
-      };
-    }
-  }
-
   /**
    * Complete Apple authentication flow
    * @param {string} idToken - Apple ID token from client
@@ -0,0 +1,129 @@
+/**
+ * Session tokens and the provider-agnostic user store shared by every sign-in method
+ */
+
+import jwt from "jsonwebtoken";
+import { formatUserDisplayName, removeSensitiveUserFields } from "@buydy/iso-auth-utils";
+
+const DEFAULT_TOKEN_EXPIRES_IN = "7d";
+const TOKEN_ISSUER = "buydy-api";
+
+/**
+ * Verify a session token issued by BaseAuthService.issueToken
+ * @param {string} token - Signed JWT
+ * @param {string} tokenSecret - Secret the token was signed with
+ * @returns {Object} Decoded payload ({ sub, role, provider, ver })
+ * @throws {Error} When the token is missing, malformed, expired or badly signed
+ */
+function verifySessionToken(token, tokenSecret) {
+  if (!tokenSecret) {
+    throw new Error("Token secret not configured");
+  }
+  return jwt.verify(token, tokenSecret, { issuer: TOKEN_ISSUER, algorithms: ["HS256"] });
+}
+
+/**
+ * Base authentication service class with common functionality
+ */
+class BaseAuthService {
+  /**
+   * @param {string} provider - Provider name ("google", "apple", "phone", ...)
+   * @param {Object} [options]
+   * @param {Object} [options.userModel] - se-db Users model
+   * @param {string} [options.tokenSecret] - Secret used to sign session tokens
+   * @param {string|number} [options.tokenExpiresIn] - jsonwebtoken expiresIn (default: 7d)
+   * @param {Function} [options.resolveRole] - (userInfo) => role for newly created users
+   */
+  constructor(provider, { userModel, tokenSecret, tokenExpiresIn, resolveRole } = {}) {
+    this.provider = provider;
+    this.userModel = userModel;
+    this.tokenSecret = tokenSecret;
+    this.tokenExpiresIn = tokenExpiresIn || DEFAULT_TOKEN_EXPIRES_IN;
+    this.resolveRole = resolveRole;
+  }
+
+  /**
+   * Sign a session token for a stored user
+   * @param {Object} user - Users document
+   * @returns {string} Signed JWT
+   */
+  issueToken(user) {
+    if (!this.tokenSecret) {
+      throw new Error("Token secret not configured");
+    }
+    return jwt.sign(
+      {
+        role: user.role,
+        provider: user.provider,
+        ver: user.tokenVersion ?? 0,
+      },
+      this.tokenSecret,
+      {
+        subject: String(user._id),
+        issuer: TOKEN_ISSUER,
+        expiresIn: this.tokenExpiresIn,
+        algorithm: "HS256",
+      }
+    );
+  }
+
+  /**
+   * Create or update the user for a verified provider identity and issue a session token
+   * @param {Object} userInfo - Standardized user information ({ id, email, phone, name, avatar, ... })
+   * @returns {Promise<Object>} { token, user }
+   */
+  async createOrUpdateUser(userInfo) {
+    if (!this.userModel) {
+      throw new Error("User model not provided");
+    }
+    if (!userInfo?.id) {
+      throw new Error(`Missing ${this.provider} user id`);
+    }
+
+    // Providers only send some fields on the first sign-in (Apple sends the name once),
+    // so absent fields never overwrite what is already stored
+    const profile = {
+      emailVerified: userInfo.emailVerified || false,
+      lastLoginAt: new Date(),
+    };
+    if (userInfo.email) {
+      profile.email = userInfo.email;
+    }
+    if (userInfo.name) {
+      profile.name = formatUserDisplayName(userInfo, this.provider);
+    }
+    if (userInfo.avatar !== undefined) {
+      profile.avatar = userInfo.avatar || null;
+    }
+    if (userInfo.locale !== undefined) {
+      profile.locale = userInfo.locale;
+    }
+    if (userInfo.isPrivateEmail !== undefined) {
+      profile.isPrivateEmail = userInfo.isPrivateEmail;
+    }
+    if (userInfo.phone) {
+      profile.phone = userInfo.phone;
+    }
+
+    let user = await this.userModel.findByProvider(this.provider, String(userInfo.id));
+    if (user) {
+      user.set(profile);
+      await user.save();
+    } else {
+      user = await this.userModel.create({
+        name: formatUserDisplayName(userInfo, this.provider),
+        ...profile,
+        provider: this.provider,
+        providerId: String(userInfo.id),
+        role: this.resolveRole ? this.resolveRole(userInfo) : undefined,
+      });
+    }
+
+    return {
+      token: this.issueToken(user),
+      user: removeSensitiveUserFields(user.toJSON()),
+    };
+  }
+}
+
+export { BaseAuthService, verifySessionToken };
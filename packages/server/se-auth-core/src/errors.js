@@ -0,0 +1,16 @@
+/**
+ * Authentication error carrying the HTTP status the API should answer with
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code (400, 401, 429, ...)
+   * @param {Object} [details] - Extra fields for the response (retryAfter, attemptsRemaining)
+   */
+  constructor(message, statusCode = 401, details = {}) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
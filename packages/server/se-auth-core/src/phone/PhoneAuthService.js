@@ -0,0 +1,215 @@
+/**
+ * Phone sign-in with one-time SMS codes
+ *
+ * Codes are numeric (what the mobile VerifyCodeScreen expects), stored only as an
+ * HMAC keyed by the phone number, and expire after codeTtlSeconds. Verification
+ * attempts are counted atomically so parallel guesses cannot exceed maxAttempts,
+ * and resends are throttled per number.
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+import {
+  generateRandomAlphanumericString,
+  getFutureTimestampFromSeconds,
+  isTimestampExpired,
+} from "@buydy/iso-auth-utils";
+import { BaseAuthService } from "../BaseAuthService.js";
+import { AuthError } from "../errors.js";
+
+const DIGITS = "0123456789";
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const DEFAULTS = {
+  codeLength: 6,
+  codeTtlSeconds: 5 * 60,
+  maxAttempts: 5,
+  resendIntervalSeconds: 60,
+  maxSendsPerWindow: 5,
+  sendWindowSeconds: 60 * 60,
+};
+
+/**
+ * Normalize a phone number to E.164 ("+14155550123")
+ * @param {string} phone - Phone number with country code; spaces, dashes, dots and brackets are ignored
+ * @returns {string} E.164 phone number
+ * @throws {AuthError} 400 when the number is not a valid international number
+ */
+export function normalizePhoneNumber(phone) {
+  const normalized = String(phone ?? "")
+    .trim()
+    .replace(/^00/, "+")
+    .replace(/[\s\-().]/g, "");
+  if (!E164_PATTERN.test(normalized)) {
+    throw new AuthError(
+      "Invalid phone number: expected international format like +14155550123",
+      400
+    );
+  }
+  return normalized;
+}
+
+export class PhoneAuthService extends BaseAuthService {
+  /**
+   * @param {Object} options - BaseAuthService options plus:
+   * @param {Object} options.verificationModel - se-db PhoneVerifications model
+   * @param {Object} options.smsProvider - { send({ to, message }) } (see smsProviders.js)
+   * @param {string} [options.hashSecret] - HMAC key for stored codes (default: tokenSecret)
+   * @param {number} [options.codeLength] - Digits per code (default: 6)
+   * @param {number} [options.codeTtlSeconds] - Code lifetime (default: 300)
+   * @param {number} [options.maxAttempts] - Wrong guesses allowed per code (default: 5)
+   * @param {number} [options.resendIntervalSeconds] - Minimum gap between sends (default: 60)
+   * @param {number} [options.maxSendsPerWindow] - Sends allowed per window (default: 5)
+   * @param {number} [options.sendWindowSeconds] - Send window length (default: 3600)
+   */
+  constructor(options = {}) {
+    super("phone", options);
+    this.verificationModel = options.verificationModel;
+    this.smsProvider = options.smsProvider;
+    this.hashSecret = options.hashSecret || options.tokenSecret;
+
+    for (const [key, fallback] of Object.entries(DEFAULTS)) {
+      this[key] = options[key] ?? fallback;
+    }
+  }
+
+  hashCode(phone, code) {
+    if (!this.hashSecret) {
+      throw new Error("Verification code secret not configured");
+    }
+    return createHmac("sha256", this.hashSecret).update(`${phone}:${code}`).digest("hex");
+  }
+
+  /**
+   * Generate a code, store its hash and send it by SMS
+   * @param {string} phone - Phone number (normalized to E.164)
+   * @returns {Promise<Object>} { phone, expiresAt }
+   * @throws {AuthError} 400 for an invalid number, 429 when throttled, 502 when the SMS fails
+   */
+  async sendVerificationCode(phone) {
+    if (!this.verificationModel || !this.smsProvider) {
+      throw new Error("Phone verification model or SMS provider not provided");
+    }
+    const to = normalizePhoneNumber(phone);
+    const now = Date.now();
+
+    const verification =
+      (await this.verificationModel.findByPhone(to)) || new this.verificationModel({ phone: to });
+
+    if (verification.lastSentAt) {
+      const nextSendAt = verification.lastSentAt.getTime() + this.resendIntervalSeconds * 1000;
+      if (!isTimestampExpired(nextSendAt)) {
+        throw new AuthError("Please wait before requesting another code", 429, {
+          retryAfter: Math.ceil((nextSendAt - now) / 1000),
+        });
+      }
+    }
+
+    const windowEndsAt = verification.sendWindowStartedAt
+      ? verification.sendWindowStartedAt.getTime() + this.sendWindowSeconds * 1000
+      : 0;
+    if (isTimestampExpired(windowEndsAt)) {
+      verification.sendWindowStartedAt = new Date(now);
+      verification.sendCount = 0;
+    } else if (verification.sendCount >= this.maxSendsPerWindow) {
+      throw new AuthError("Too many codes requested for this number", 429, {
+        retryAfter: Math.ceil((windowEndsAt - now) / 1000),
+      });
+    }
+
+    const code = generateRandomAlphanumericString(this.codeLength, DIGITS);
+    const expiresAt = new Date(getFutureTimestampFromSeconds(this.codeTtlSeconds));
+
+    verification.set({
+      codeHash: this.hashCode(to, code),
+      expiresAt,
+      attempts: 0,
+      lastSentAt: new Date(now),
+      sendCount: verification.sendCount + 1,
+      verifiedAt: null,
+    });
+    try {
+      await verification.save();
+    } catch (error) {
+      // A concurrent first request for this number created the record and sent its code
+      if (error.code === 11000) {
+        throw new AuthError("Please wait before requesting another code", 429, {
+          retryAfter: this.resendIntervalSeconds,
+        });
+      }
+      throw error;
+    }
+
+    const minutes = Math.max(1, Math.round(this.codeTtlSeconds / 60));
+    try {
+      await this.smsProvider.send({
+        to,
+        message: `Your Buydy verification code is ${code}. It expires in ${minutes} minutes.`,
+      });
+    } catch (error) {
+      // The user never received this code, so it must not stay valid
+      await this.verificationModel.updateOne(
+        { _id: verification._id },
+        { $set: { codeHash: null, expiresAt: null } }
+      );
+      throw new AuthError(`Failed to send verification code: ${error.message}`, 502);
+    }
+
+    return { phone: to, expiresAt };
+  }
+
+  /**
+   * Check a code and sign the user in
+   * @param {string} phone - Phone number the code was sent to
+   * @param {string} code - Code entered by the user
+   * @param {Object} [profile] - Extra user fields for createOrUpdateUser ({ name, locale })
+   * @returns {Promise<Object>} { token, user }
+   * @throws {AuthError} 400 for a wrong, expired or missing code, 429 after too many attempts
+   */
+  async verifyCode(phone, code, profile = {}) {
+    if (!this.verificationModel) {
+      throw new Error("Phone verification model not provided");
+    }
+    const to = normalizePhoneNumber(phone);
+    const submitted = String(code ?? "").trim();
+    if (!new RegExp(`^\\d{${this.codeLength}}$`).test(submitted)) {
+      throw new AuthError(`Invalid input: code must be ${this.codeLength} digits`, 400);
+    }
+
+    // Count the attempt before comparing so concurrent guesses share the same budget
+    const verification = await this.verificationModel.findOneAndUpdate(
+      { phone: to, codeHash: { $ne: null }, attempts: { $lt: this.maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!verification) {
+      const existing = await this.verificationModel.findByPhone(to);
+      if (existing?.codeHash) {
+        throw new AuthError("Too many incorrect attempts, request a new code", 429);
+      }
+      throw new AuthError("No pending verification code for this number", 400);
+    }
+
+    if (isTimestampExpired(verification.expiresAt.getTime())) {
+      throw new AuthError("Verification code expired, request a new code", 400);
+    }
+
+    const expected = Buffer.from(verification.codeHash, "hex");
+    const actual = Buffer.from(this.hashCode(to, submitted), "hex");
+    if (!timingSafeEqual(expected, actual)) {
+      const attemptsRemaining = Math.max(0, this.maxAttempts - verification.attempts);
+      throw new AuthError("Incorrect verification code", 400, { attemptsRemaining });
+    }
+
+    // Single use: a second request with the same code finds no pending hash
+    const consumed = await this.verificationModel.updateOne(
+      { _id: verification._id, codeHash: verification.codeHash },
+      { $set: { codeHash: null, expiresAt: null, attempts: 0, verifiedAt: new Date() } }
+    );
+    if (consumed.modifiedCount === 0) {
+      throw new AuthError("No pending verification code for this number", 400);
+    }
+
+    return this.createOrUpdateUser({ ...profile, id: to, phone: to });
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * SMS providers for phone verification codes
+ *
+ * A provider is any object with `name` and `async send({ to, message })`.
+ * Only development providers live here; a production gateway (Twilio, SNS, ...)
+ * implements the same interface and is passed to PhoneAuthService directly.
+ */
+
+import { appendFile, mkdir } from "fs/promises";
+import path from "path";
+
+/**
+ * Writes messages to a log function (console by default)
+ */
+export class ConsoleSmsProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.log] - (line) => void (default: stdout)
+   */
+  constructor({ log } = {}) {
+    this.name = "console";
+    this.log = log || ((line) => process.stdout.write(`${line}\n`));
+  }
+
+  async send({ to, message }) {
+    this.log(`📱 [SMS → ${to}] ${message}`);
+    return { provider: this.name, to };
+  }
+}
+
+/**
+ * Appends messages as JSON lines to an outbox file
+ */
+export class FileSmsProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Outbox file (created with its directory when missing)
+   */
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error("FileSmsProvider requires a filePath");
+    }
+    this.name = "file";
+    this.filePath = filePath;
+  }
+
+  async send({ to, message }) {
+    await mkdir(path.dirname(this.filePath), { recursive: true });
+    const entry = { to, message, sentAt: new Date().toISOString() };
+    await appendFile(this.filePath, `${JSON.stringify(entry)}\n`, "utf8");
+    return { provider: this.name, to };
+  }
+}
+
+/**
+ * Build a development SMS provider by type
+ * @param {string} type - "console" or "file"
+ * @param {Object} [options] - Provider options ({ log } or { filePath })
+ * @returns {Object} SMS provider
+ */
+export function createSmsProvider(type = "console", options = {}) {
+  switch (type) {
+    case "console":
+      return new ConsoleSmsProvider(options);
+    case "file":
+      return new FileSmsProvider(options);
+    default:
+      throw new Error(`Unknown SMS provider: ${type}`);
+  }
+}
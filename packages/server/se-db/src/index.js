@@ -6,8 +6,24 @@ import {
   Jobs,
   Technicals,
   Metrics,
+  MetricsSnapshots,
   CachedResponseEodhd,
   CycledListStatus,
+  Watchlists,
+  Alerts,
+  AlertEvents,
+  DiscountRateConfigs,
+  Users,
+  PhoneVerifications,
+  Prices,
+  Splits,
+  Earnings,
+  Screens,
+  ScreenRuns,
+  Backtests,
+  Portfolios,
+  FxRates,
+  JobCommands,
 } from "./models/index.js";
 
 export { getDatabase, closeDatabase, ensureConnected } from "./db.js";
@@ -37,8 +53,24 @@ export function getModel(collectionName) {
     jobs: Jobs,
     technicals: Technicals,
     metrics: Metrics,
+    metrics_snapshots: MetricsSnapshots,
     cached_response_eodhistoricaldata: CachedResponseEodhd,
     cycled_list_status: CycledListStatus,
+    watchlists: Watchlists,
+    alerts: Alerts,
+    alert_events: AlertEvents,
+    discount_rate_configs: DiscountRateConfigs,
+    users: Users,
+    phone_verifications: PhoneVerifications,
+    prices: Prices,
+    splits: Splits,
+    earnings: Earnings,
+    screens: Screens,
+    screen_runs: ScreenRuns,
+    backtests: Backtests,
+    portfolios: Portfolios,
+    fx_rates: FxRates,
+    job_commands: JobCommands,
   };
 
   const model = models[collectionName];
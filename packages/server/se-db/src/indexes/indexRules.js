@@ -168,6 +168,24 @@ export const indexRules = {
     },
   ],
 
+  // MetricsSnapshots collection - daily metric history used by the metrics history API
+  metrics_snapshots: [
+    // CRITICAL: One snapshot per symbol per day (unique) - used for upserts and history ranges
+    // Query pattern: { symbol: 'X', date: { $gte, $lte } }, sort({ date: 1 })
+    // Used in: MetricsSnapshots.captureFromMetrics(), stocksController.getMetricHistory()
+    {
+      fields: { symbol: 1, date: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // LOW: Date-only queries (retention cleanup)
+    {
+      fields: { date: -1 },
+      priority: 4,
+    },
+  ],
+
   // ExchangeSymbols collection - critical for stocks API with $unwind operations
   // NOTE: After $unwind, queries filter on unwound fields, but indexes on array fields
   // can still help MongoDB optimize the unwind operation
@@ -481,6 +499,328 @@ export const indexRules = {
     },
   ],
 
+  // Watchlists collection - saved symbol lists
+  watchlists: [
+    // CRITICAL: Lookup by owner and name (unique per user)
+    {
+      fields: { userId: 1, name: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // MEDIUM: Listing of a user sorted by last change
+    // Query pattern: find({ userId: X }).sort({ updatedAt: -1 })
+    // Used in: watchlistsController.getWatchlists()
+    {
+      fields: { userId: 1, updatedAt: -1 },
+      priority: 3,
+    },
+  ],
+
+  // Alerts collection - alert rules evaluated by the scanner
+  alerts: [
+    // HIGH: Enabled rules lookup
+    // Query pattern: { enabled: true }
+    // Used in: evaluateAlerts job
+    {
+      fields: { enabled: 1 },
+      priority: 2,
+    },
+
+    // MEDIUM: Rules for a symbol
+    // Query pattern: { symbol: 'X' }
+    // Used in: alertsController.getAlerts()
+    {
+      fields: { symbol: 1 },
+      priority: 3,
+    },
+
+    // HIGH: Rules of a user, newest first
+    // Query pattern: { userId: X }, sort({ createdAt: -1 })
+    // Used in: alertsController.getAlerts()
+    {
+      fields: { userId: 1, createdAt: -1 },
+      priority: 2,
+    },
+  ],
+
+  // AlertEvents collection - triggered alerts feed
+  alert_events: [
+    // CRITICAL: Feed sorted by time
+    // Query pattern: find().sort({ triggeredAt: -1 })
+    // Used in: alertsController.getAlertEvents()
+    {
+      fields: { triggeredAt: -1 },
+      priority: 1,
+    },
+
+    // HIGH: Events of one rule
+    // Query pattern: { alertId: X }, sort({ triggeredAt: -1 })
+    {
+      fields: { alertId: 1, triggeredAt: -1 },
+      priority: 2,
+    },
+
+    // HIGH: Events of one symbol
+    // Query pattern: { symbol: 'X' }, sort({ triggeredAt: -1 })
+    {
+      fields: { symbol: 1, triggeredAt: -1 },
+      priority: 2,
+    },
+
+    // HIGH: Feed of a user
+    // Query pattern: { userId: X }, sort({ triggeredAt: -1 })
+    // Used in: alertsController.getAlertEvents()
+    {
+      fields: { userId: 1, triggeredAt: -1 },
+      priority: 2,
+    },
+  ],
+
+  // Screens collection - saved screener queries
+  screens: [
+    // CRITICAL: Lookup by owner and name (unique per user)
+    {
+      fields: { userId: 1, name: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // HIGH: Enabled screens lookup
+    // Query pattern: { enabled: true }
+    // Used in: runSavedScreens job
+    {
+      fields: { enabled: 1 },
+      priority: 2,
+    },
+
+    // MEDIUM: Listing of a user sorted by last change
+    // Query pattern: find({ userId: X }).sort({ updatedAt: -1 })
+    // Used in: screensController.getScreens()
+    {
+      fields: { userId: 1, updatedAt: -1 },
+      priority: 3,
+    },
+  ],
+
+  // ScreenRuns collection - saved screen results and changelog
+  screen_runs: [
+    // CRITICAL: Runs of one screen, newest first
+    // Query pattern: { screenId: X }, sort({ ranAt: -1 })
+    // Used in: screensController.getScreenRuns(), runSavedScreens job (retention)
+    {
+      fields: { screenId: 1, ranAt: -1 },
+      priority: 1,
+    },
+
+    // MEDIUM: Changelog across all screens
+    // Query pattern: find().sort({ ranAt: -1 })
+    {
+      fields: { ranAt: -1 },
+      priority: 3,
+    },
+  ],
+
+  // Backtests collection - ranking strategy backtests
+  backtests: [
+    // CRITICAL: Oldest queued backtest
+    // Query pattern: { status: 'queued' }, sort({ queuedAt: 1 })
+    // Used in: Backtests.claimNext() (runQueuedBacktests job)
+    {
+      fields: { status: 1, queuedAt: 1 },
+      priority: 1,
+    },
+
+    // MEDIUM: Listing of a user newest first
+    // Query pattern: find({ userId: X }).sort({ queuedAt: -1 })
+    // Used in: backtestsController.getBacktests()
+    {
+      fields: { userId: 1, queuedAt: -1 },
+      priority: 3,
+    },
+  ],
+
+  // JobCommands collection - API to scanner command queue
+  job_commands: [
+    // CRITICAL: Oldest claimable command
+    // Query pattern: { status: 'queued' | 'claimed' (expired lease) }, sort({ queuedAt: 1 })
+    // Used in: JobCommands.claimNext() (JobCommandQueueInitializer)
+    {
+      fields: { status: 1, queuedAt: 1 },
+      priority: 1,
+    },
+
+    // HIGH: Command of a job record (cancel targets its run command)
+    // Query pattern: { jobId: X, type: 'run' }
+    // Used in: JobCommandQueueInitializer.cancelJob(), jobsController.getJobCommands() (?jobId=)
+    {
+      fields: { jobId: 1, type: 1 },
+      priority: 2,
+    },
+
+    // MEDIUM: Listing newest first
+    // Query pattern: find().sort({ queuedAt: -1 })
+    // Used in: jobsController.getJobCommands()
+    {
+      fields: { queuedAt: -1 },
+      priority: 3,
+    },
+  ],
+
+  // Portfolios collection - holdings and cash
+  portfolios: [
+    // CRITICAL: Lookup by owner and name (unique per user)
+    {
+      fields: { userId: 1, name: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // MEDIUM: Listing of a user sorted by last change
+    // Query pattern: find({ userId: X }).sort({ updatedAt: -1 })
+    // Used in: portfoliosController.getPortfolios()
+    {
+      fields: { userId: 1, updatedAt: -1 },
+      priority: 3,
+    },
+  ],
+
+  // DiscountRateConfigs collection - versioned WACC inputs
+  discount_rate_configs: [
+    // CRITICAL: Version lookup (unique)
+    {
+      fields: { version: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // HIGH: Active version lookup
+    // Query pattern: { active: true }, sort({ version: -1 })
+    // Used in: syncMetricsValuationLargeCap job, valuationController
+    {
+      fields: { active: 1, version: -1 },
+      priority: 2,
+    },
+  ],
+
+  // Users collection - API accounts
+  users: [
+    // CRITICAL: Provider identity lookup (unique)
+    // Query pattern: { provider: 'google', providerId: 'X' }
+    // Used in: BaseAuthService.createOrUpdateUser()
+    {
+      fields: { provider: 1, providerId: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // MEDIUM: Lookup by email (admin bootstrap, support)
+    {
+      fields: { email: 1 },
+      priority: 3,
+    },
+
+    // MEDIUM: Lookup by phone (phone sign-in accounts)
+    {
+      fields: { phone: 1 },
+      options: { sparse: true },
+      priority: 3,
+    },
+  ],
+
+  // PhoneVerifications collection - pending phone sign-in codes
+  phone_verifications: [
+    // CRITICAL: Phone lookup (unique)
+    // Query pattern: { phone: '+X' }
+    // Used in: PhoneAuthService.sendVerificationCode(), verifyCode()
+    {
+      fields: { phone: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // LOW: Expire abandoned verifications
+    {
+      fields: { updatedAt: 1 },
+      options: { expireAfterSeconds: 24 * 60 * 60 },
+      priority: 4,
+    },
+  ],
+
+  // Prices collection - daily OHLCV bars
+  prices: [
+    // CRITICAL: Bar lookup and history range reads (unique)
+    // Query pattern: { symbol: 'X', date: { $gte, $lte } } sorted by date
+    // Used in: Prices.getBars(), Prices.upsertBars(), fetchHistoricalPriceData()
+    {
+      fields: { symbol: 1, date: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // HIGH: Latest bar per symbol for an exchange
+    // Query pattern: { exchange: 'US' } grouped by symbol
+    // Used in: Prices.getLatestDatesByExchange(), syncPricesLargeCap
+    {
+      fields: { exchange: 1, date: -1 },
+      priority: 2,
+    },
+  ],
+
+  // FxRates collection - daily USD rate per currency
+  fx_rates: [
+    // CRITICAL: Rate lookup on or before a day (unique)
+    // Query pattern: { currency: 'EUR', date: { $lte: 'YYYY-MM-DD' } } sorted by date desc
+    // Used in: FxRates.findRate(), FxRates.upsertRates(), syncFxRates
+    {
+      fields: { currency: 1, date: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+  ],
+
+  // Splits collection - stock split history
+  splits: [
+    // CRITICAL: Symbol lookup (unique)
+    // Query pattern: { symbol: 'X' }
+    // Used in: Splits.findBySymbol(), Splits.getSplitsForSymbol(), syncSplitsLargeCap
+    {
+      fields: { symbol: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // MEDIUM: Exchange filtering
+    {
+      fields: { exchange: 1 },
+      priority: 3,
+    },
+  ],
+
+  // Earnings collection - reported EPS and upcoming report dates
+  earnings: [
+    // CRITICAL: Symbol lookup (unique)
+    // Query pattern: { symbol: 'X' }
+    // Used in: Earnings.findBySymbol(), syncEarningsLargeCap
+    {
+      fields: { symbol: 1 },
+      options: { unique: true },
+      priority: 1,
+    },
+
+    // MEDIUM: Exchange filtering
+    {
+      fields: { exchange: 1 },
+      priority: 3,
+    },
+
+    // LOW: Next report date lookups
+    {
+      fields: { "upcoming.0.reportDate": 1 },
+      priority: 4,
+    },
+  ],
+
   // CachedResponseEodhd collection - API response caching
   cached_response_eodhistoricaldata: [
     // CRITICAL: Cache key lookup (unique) - most common query
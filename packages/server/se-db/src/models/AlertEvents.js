@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+
+const alertNotificationSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["sent", "failed"],
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * AlertEvents Schema
+ * One document per triggered alert rule and symbol. The rule fields are copied so the
+ * feed stays readable after the rule is edited or deleted.
+ */
+const alertEventsSchema = new mongoose.Schema(
+  {
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Alerts",
+      required: true,
+    },
+    // Owner of the rule, so the feed can be scoped without the (possibly deleted) rule
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      default: null,
+    },
+    alertName: {
+      type: String,
+      required: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+    },
+    metric: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+    },
+    operator: {
+      type: String,
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+    previousValue: {
+      type: Number,
+      default: null,
+    },
+    triggeredAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    notifications: {
+      type: [alertNotificationSchema],
+      default: [],
+    },
+  },
+  {
+    collection: "alert_events",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+// Indexes for efficient querying
+alertEventsSchema.index({ triggeredAt: -1 });
+alertEventsSchema.index({ alertId: 1, triggeredAt: -1 });
+alertEventsSchema.index({ symbol: 1, triggeredAt: -1 });
+alertEventsSchema.index({ userId: 1, triggeredAt: -1 });
+
+// Static methods
+alertEventsSchema.statics.findRecent = function ({ alertId, symbol, since, limit = 50 } = {}) {
+  const query = {};
+  if (alertId) query.alertId = alertId;
+  if (symbol) query.symbol = symbol;
+  if (since) query.triggeredAt = { $gte: since };
+  return this.find(query).sort({ triggeredAt: -1 }).limit(limit);
+};
+
+export const AlertEvents = mongoose.model("AlertEvents", alertEventsSchema);
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+
+// Comparison operators. Threshold operators (gt/gte/lt/lte) fire when the condition becomes
+// true; crossing operators only fire when a previously seen value moves across the threshold.
+export const ALERT_OPERATORS = ["gt", "gte", "lt", "lte", "crossesAbove", "crossesBelow"];
+
+// Which number the rule compares: the raw metric value or its sector/industry percentile rank
+export const ALERT_SOURCES = ["value", "sectorPercentile", "industryPercentile"];
+
+// Notification channels understood by the scanner notifiers
+export const ALERT_CHANNEL_TYPES = ["webhook", "file", "smtp"];
+
+const alertChannelSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ALERT_CHANNEL_TYPES,
+    },
+    // Webhook URL, file path or e-mail address depending on the channel type
+    target: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const alertLastValueSchema = new mongoose.Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Alerts Schema
+ * Threshold and percentile rules evaluated by the scanner after each cycle, e.g.
+ * "AAPL.US ValuationDCF_Upside > 0.3" or "sector percentile of DividendYieldCurrent
+ * crosses above 0.9". Triggered rules are recorded in the `alert_events` collection.
+ * Each rule belongs to one user.
+ */
+const alertsSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Symbol key (e.g. 'AAPL.US'); null evaluates the rule for every company with metrics
+    symbol: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+
+    // Metric id from metrics.json (e.g. 'ValuationDCF_Upside')
+    metric: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    source: {
+      type: String,
+      enum: ALERT_SOURCES,
+      default: "value",
+    },
+
+    operator: {
+      type: String,
+      required: true,
+      enum: ALERT_OPERATORS,
+    },
+
+    threshold: {
+      type: Number,
+      required: true,
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    channels: {
+      type: [alertChannelSchema],
+      default: [],
+    },
+
+    // Values seen on the previous evaluation, used to detect crossings and to avoid
+    // re-firing threshold rules that are still true
+    lastValues: {
+      type: [alertLastValueSchema],
+      default: [],
+    },
+
+    lastEvaluatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastTriggeredAt: {
+      type: Date,
+      default: null,
+    },
+
+    triggerCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "alerts",
+  }
+);
+
+alertsSchema.index({ enabled: 1 });
+alertsSchema.index({ symbol: 1 });
+alertsSchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+alertsSchema.statics.findEnabled = function () {
+  return this.find({ enabled: true });
+};
+
+export const Alerts = mongoose.model("Alerts", alertsSchema);
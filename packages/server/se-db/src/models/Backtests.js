@@ -0,0 +1,152 @@
+import mongoose from "mongoose";
+
+export const BACKTEST_STATUSES = ["queued", "running", "completed", "failed"];
+export const BACKTEST_REBALANCE_FREQUENCIES = ["monthly", "quarterly"];
+
+/**
+ * Backtests Schema
+ * A ranking strategy backtest requested through the API and run by the scanner: the
+ * ranking config, the run status and, once completed, the portfolio and benchmark results.
+ * Each backtest belongs to the user who queued it.
+ */
+const backtestsSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // Strategy: rank by `metrics` like POST /ranking/calculate, hold the top N equally weighted
+    config: {
+      metrics: {
+        type: [String],
+        required: true,
+      },
+      weights: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+      method: {
+        type: String,
+        enum: ["weighted", "geometric"],
+        default: "weighted",
+      },
+      groupBy: {
+        type: String,
+        enum: ["sector", "industry"],
+        default: "sector",
+      },
+      topN: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+      rebalance: {
+        type: String,
+        enum: BACKTEST_REBALANCE_FREQUENCIES,
+        default: "monthly",
+      },
+      // Period as 'YYYY-MM-DD' (same format as prices.date)
+      from: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+      },
+      to: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+      },
+      // Optional universe restriction (default: every symbol with a metrics snapshot)
+      symbols: {
+        type: [String],
+        default: [],
+      },
+      // Annual risk-free rate used for the Sharpe ratio (decimal)
+      riskFreeRate: {
+        type: Number,
+        default: 0,
+      },
+    },
+
+    status: {
+      type: String,
+      enum: BACKTEST_STATUSES,
+      default: "queued",
+    },
+
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    queuedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // { portfolio, benchmark, periods, equityCurve } - see the scanner's backtest calculator
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    collection: "backtests",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+// Indexes for efficient querying
+backtestsSchema.index({ status: 1, queuedAt: 1 });
+backtestsSchema.index({ userId: 1, queuedAt: -1 });
+
+// Static methods
+/**
+ * Atomically take the oldest queued backtest and mark it running
+ * @returns {Promise<Object|null>} The claimed backtest or null when the queue is empty
+ */
+backtestsSchema.statics.claimNext = function () {
+  return this.findOneAndUpdate(
+    { status: "queued" },
+    { $set: { status: "running", startedAt: new Date(), progress: 0, error: null } },
+    { sort: { queuedAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Put backtests left running by a stopped scanner back in the queue
+ * @param {number} maxRunningMs - Backtests running longer than this are considered interrupted
+ */
+backtestsSchema.statics.requeueStale = function (maxRunningMs) {
+  return this.updateMany(
+    { status: "running", startedAt: { $lt: new Date(Date.now() - maxRunningMs) } },
+    { $set: { status: "queued", startedAt: null, progress: 0 } }
+  );
+};
+
+export const Backtests = mongoose.model("Backtests", backtestsSchema);
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+const rateMap = {
+  type: Map,
+  of: Number,
+  default: {},
+};
+
+/**
+ * DiscountRateConfigs Schema
+ * Versioned WACC inputs for DCF valuations (risk-free rates, equity and country risk
+ * premiums, beta bounds, cost of debt spreads). Every edit is saved as a new version;
+ * exactly one version is active and used by the valuation job.
+ */
+const discountRateConfigsSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: 1,
+    },
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    riskFreeRates: rateMap,
+    defaultRiskFreeRate: { type: Number, required: true },
+    equityRiskPremium: { type: Number, required: true },
+    countryRiskPremiums: rateMap,
+    defaultCountryRiskPremium: { type: Number, default: 0 },
+
+    terminalGrowthByCurrency: rateMap,
+    emergingMarkets: { type: [String], default: [] },
+    emergingMarketTerminalGrowth: { type: Number, required: true },
+    defaultTerminalGrowth: { type: Number, required: true },
+
+    defaultBeta: { type: Number, required: true },
+    betaMin: { type: Number, required: true },
+    betaMax: { type: Number, required: true },
+    minSectorBetaSample: { type: Number, required: true },
+
+    creditSpread: { type: Number, required: true },
+    maxCreditSpread: { type: Number, required: true },
+
+    smallCapThreshold: { type: Number, required: true },
+    smallCapPremium: { type: Number, required: true },
+    midCapThreshold: { type: Number, required: true },
+    midCapPremium: { type: Number, required: true },
+
+    maxCashYield: { type: Number, required: true },
+    waccMin: { type: Number, required: true },
+    waccMax: { type: Number, required: true },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "discount_rate_configs",
+  }
+);
+
+discountRateConfigsSchema.index({ active: 1, version: -1 });
+
+// Static methods
+discountRateConfigsSchema.statics.findActive = function () {
+  return this.findOne({ active: true }).sort({ version: -1 });
+};
+
+/**
+ * Save a configuration as the next version and make it the active one
+ * @param {Object} config - Full configuration (see DEFAULT_DISCOUNT_RATE_CONFIG)
+ * @returns {Promise<Object>} Created version
+ */
+discountRateConfigsSchema.statics.createVersion = async function (config) {
+  const latest = await this.findOne().sort({ version: -1 }).select("version").lean();
+  const created = await this.create({
+    ...config,
+    version: (latest?.version || 0) + 1,
+    active: true,
+  });
+  await this.updateMany({ _id: { $ne: created._id }, active: true }, { active: false });
+  return created;
+};
+
+/**
+ * Make an existing version the active one
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} Activated version, or null when it does not exist
+ */
+discountRateConfigsSchema.statics.activateVersion = async function (version) {
+  const activated = await this.findOneAndUpdate({ version }, { active: true }, { new: true });
+  if (activated) {
+    await this.updateMany({ _id: { $ne: activated._id }, active: true }, { active: false });
+  }
+  return activated;
+};
+
+export const DiscountRateConfigs = mongoose.model("DiscountRateConfigs", discountRateConfigsSchema);
@@ -34,6 +34,8 @@ const dividendSchema = new mongoose.Schema(
         period: { type: String },
         unadjustedValue: { type: Number },
         adjustedValue: { type: Number },
+        // Cumulative ratio of later splits (value = unadjustedValue / splitFactor); 1 when none
+        splitFactor: { type: Number },
       },
     ],
     upcoming: [
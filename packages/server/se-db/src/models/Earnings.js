@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+/**
+ * Earnings Schema
+ * Reported vs estimated EPS per fiscal quarter and upcoming report dates for a symbol,
+ * from the EODHD earnings calendar. Feeds the EPS surprise, EPS growth and
+ * days-to-next-earnings metrics.
+ */
+const reportedQuarterSchema = new mongoose.Schema(
+  {
+    // Fiscal quarter end as 'YYYY-MM-DD'
+    periodEnd: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    // Day the quarter was reported as 'YYYY-MM-DD'
+    reportDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    // 'BeforeMarket' | 'AfterMarket' | null
+    beforeAfterMarket: { type: String, default: null },
+    currency: { type: String, default: null },
+
+    epsActual: { type: Number, required: true },
+    epsEstimate: { type: Number, default: null },
+
+    // (actual - estimate) / |estimate|, as a decimal; null without a usable estimate
+    surprisePct: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const upcomingReportSchema = new mongoose.Schema(
+  {
+    periodEnd: {
+      type: String,
+      default: null,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    reportDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    beforeAfterMarket: { type: String, default: null },
+    currency: { type: String, default: null },
+    epsEstimate: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const earningsSchema = new mongoose.Schema(
+  {
+    // Symbol identifier (e.g., 'AAPL.US')
+    symbol: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+      index: true,
+    },
+
+    // Exchange information
+    exchange: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Reported quarters, oldest first
+    history: {
+      type: [reportedQuarterSchema],
+      default: [],
+    },
+
+    // Scheduled reports, soonest first
+    upcoming: {
+      type: [upcomingReportSchema],
+      default: [],
+    },
+
+    // When this data was last updated
+    lastUpdated: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  {
+    collection: "earnings",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+earningsSchema.index({ exchange: 1 });
+earningsSchema.index({ lastUpdated: 1 });
+earningsSchema.index({ "upcoming.0.reportDate": 1 });
+
+// Instance methods
+earningsSchema.methods.isDataFresh = function (maxAgeDays = 1) {
+  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+  return this.lastUpdated > cutoff;
+};
+
+earningsSchema.methods.updateEarnings = async function ({ history, upcoming }) {
+  this.history = history || [];
+  this.upcoming = upcoming || [];
+  this.lastUpdated = new Date();
+  return this.save();
+};
+
+// Static methods
+earningsSchema.statics.findBySymbol = function (symbol) {
+  return this.findOne({ symbol });
+};
+
+export const Earnings = mongoose.model("Earnings", earningsSchema);
+export default Earnings;
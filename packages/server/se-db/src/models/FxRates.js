@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+// Every rate is stored against this currency; other pairs are crossed through it
+export const FX_PIVOT_CURRENCY = "USD";
+
+/**
+ * FX Rates Schema
+ * One daily close per currency, quoted as pivot currency (USD) per unit, synced from the EODHD
+ * forex /eod endpoint. Conversions between any two currencies on any stored day read from here
+ * (see utils/fxService.js) instead of calling the live forex API.
+ */
+const fxRatesSchema = new mongoose.Schema(
+  {
+    // ISO 4217 code (e.g., 'EUR')
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+
+    // Trading day as 'YYYY-MM-DD' (EODHD format, sorts chronologically)
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    // USD per one unit of `currency`
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Pair the close came from: 'direct' (EURUSD) or 'inverse' (USDEUR, stored as 1 / close)
+    source: {
+      type: String,
+      enum: ["direct", "inverse"],
+      default: "direct",
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "fx_rates",
+  }
+);
+
+fxRatesSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+// Static methods
+/**
+ * Upsert daily closes for one currency
+ * @param {string} currency - ISO code
+ * @param {Array} bars - EODHD forex bars ({ date, close })
+ * @param {string} [source] - 'direct' or 'inverse' (closes are inverted before storing)
+ * @returns {Promise<number>} Number of rates inserted or changed
+ */
+fxRatesSchema.statics.upsertRates = async function (currency, bars, source = "direct") {
+  const operations = (bars || [])
+    .filter((bar) => bar?.date && Number.isFinite(bar.close) && bar.close > 0)
+    .map((bar) => {
+      const date = String(bar.date).slice(0, 10);
+      const rate = source === "inverse" ? 1 / bar.close : bar.close;
+      return {
+        updateOne: {
+          filter: { currency, date },
+          update: { $set: { currency, date, rate, source } },
+          upsert: true,
+        },
+      };
+    });
+
+  if (operations.length === 0) {
+    return 0;
+  }
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return (result.upsertedCount || 0) + (result.modifiedCount || 0);
+};
+
+/**
+ * Latest stored rate on or before a day (weekends and holidays use the previous close)
+ * @param {string} currency - ISO code
+ * @param {string} [date] - 'YYYY-MM-DD' (default: latest stored)
+ * @returns {Promise<Object|null>} { currency, date, rate, source } or null
+ */
+fxRatesSchema.statics.findRate = async function (currency, date) {
+  const query = date ? { currency, date: { $lte: date } } : { currency };
+  return this.findOne(query)
+    .sort({ date: -1 })
+    .select({ _id: 0, currency: 1, date: 1, rate: 1, source: 1 })
+    .lean();
+};
+
+export const FxRates = mongoose.model("FxRates", fxRatesSchema);
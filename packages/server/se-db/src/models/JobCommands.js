@@ -0,0 +1,218 @@
+import mongoose from "mongoose";
+
+export const JOB_COMMAND_TYPES = ["run", "cancel", "pause", "resume"];
+export const JOB_COMMAND_STATUSES = ["queued", "claimed", "completed", "failed", "cancelled"];
+
+// A claimed command whose lease ran out this many times is given up on
+export const JOB_COMMAND_MAX_ATTEMPTS = 3;
+
+/**
+ * JobCommands Schema
+ * Commands the API enqueues for the scanner process: run a job now, cancel a job started by a
+ * run command, pause or resume the cycled list. A scanner claims a command with a lease and keeps
+ * renewing it with heartbeats while it works; a command whose lease expires (scanner stopped) is
+ * claimed again by the next poll.
+ */
+const jobCommandsSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: JOB_COMMAND_TYPES,
+      required: true,
+    },
+
+    // run: job function name (CycledListInitializer.getJobFunctionMap key)
+    jobName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // run: the `jobs` record the run reports to; cancel: the `jobs` record to cancel
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Jobs",
+      default: null,
+    },
+
+    // run: extra job context (e.g. { universe: 'mid-cap' })
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: JOB_COMMAND_STATUSES,
+      default: "queued",
+    },
+
+    // Set on a claimed run command by a cancel command; the owner stops at its next heartbeat
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+
+    requestedBy: {
+      type: String,
+      default: null,
+    },
+
+    // Lease: machine that owns the command and until when
+    claimedBy: {
+      type: String,
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+
+    queuedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: "job_commands",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+// Indexes for efficient querying
+jobCommandsSchema.index({ status: 1, queuedAt: 1 });
+jobCommandsSchema.index({ jobId: 1, type: 1 });
+jobCommandsSchema.index({ queuedAt: -1 });
+
+// Static methods
+/**
+ * Atomically claim the oldest queued command (or one whose lease expired)
+ * @param {string} machineName - Scanner claiming the command
+ * @param {number} leaseMs - Lease duration
+ * @param {Array<string>} [types] - Only claim these command types (default: all)
+ * @returns {Promise<Object|null>} The claimed command or null when there is nothing to do
+ */
+jobCommandsSchema.statics.claimNext = function (machineName, leaseMs, types = JOB_COMMAND_TYPES) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: "queued" },
+        {
+          status: "claimed",
+          leaseExpiresAt: { $lt: now },
+          attempts: { $lt: JOB_COMMAND_MAX_ATTEMPTS },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "claimed",
+        claimedBy: machineName,
+        claimedAt: now,
+        heartbeatAt: now,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { queuedAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Renew the lease of a command this machine still owns
+ * @returns {Promise<Object|null>} The command (check `cancelRequested`) or null when the lease was lost
+ */
+jobCommandsSchema.statics.heartbeat = function (commandId, machineName, leaseMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: commandId, status: "claimed", claimedBy: machineName },
+    { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + leaseMs) } },
+    { new: true }
+  );
+};
+
+/**
+ * Record the outcome of a command this machine owns
+ * @param {string} status - 'completed' | 'failed' | 'cancelled'
+ */
+jobCommandsSchema.statics.finish = function (
+  commandId,
+  machineName,
+  status,
+  { result = null, error = null } = {}
+) {
+  return this.findOneAndUpdate(
+    { _id: commandId, status: "claimed", claimedBy: machineName },
+    {
+      $set: { status, result, error, completedAt: new Date(), leaseExpiresAt: null },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Put a command back in the queue (scanner shutting down mid-run)
+ */
+jobCommandsSchema.statics.release = function (commandId, machineName) {
+  return this.updateOne(
+    { _id: commandId, status: "claimed", claimedBy: machineName },
+    { $set: { status: "queued", claimedBy: null, leaseExpiresAt: null, heartbeatAt: null } }
+  );
+};
+
+/**
+ * Fail commands whose lease expired JOB_COMMAND_MAX_ATTEMPTS times
+ * @returns {Promise<Array>} The abandoned commands (their `jobs` records still need updating)
+ */
+jobCommandsSchema.statics.failAbandoned = async function () {
+  const abandoned = await this.find({
+    status: "claimed",
+    leaseExpiresAt: { $lt: new Date() },
+    attempts: { $gte: JOB_COMMAND_MAX_ATTEMPTS },
+  }).lean();
+  if (abandoned.length > 0) {
+    await this.updateMany(
+      { _id: { $in: abandoned.map((command) => command._id) }, status: "claimed" },
+      {
+        $set: {
+          status: "failed",
+          error: `Lease expired ${JOB_COMMAND_MAX_ATTEMPTS} times`,
+          completedAt: new Date(),
+          leaseExpiresAt: null,
+        },
+      }
+    );
+  }
+  return abandoned;
+};
+
+export const JobCommands = mongoose.model("JobCommands", jobCommandsSchema);
@@ -105,6 +105,51 @@ const valuationLynchSchema = new mongoose.Schema(
   valuationSchemaOptions
 );
 
+const valuationDDMSchema = new mongoose.Schema(
+  {
+    ...valuationBaseFields,
+    dividendTTM: {
+      type: Number,
+      min: 0,
+    },
+    dividendGrowth: {
+      type: Number,
+      min: -1,
+      max: 1,
+    },
+    requiredReturn: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    terminalGrowth: {
+      type: Number,
+      min: -1,
+      max: 1,
+    },
+  },
+  valuationSchemaOptions
+);
+
+const valuationRelativeSchema = new mongoose.Schema(
+  {
+    ...valuationBaseFields,
+    sectorEvToEbitda: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    sectorPE: {
+      type: Number,
+      min: 0,
+      max: 200,
+    },
+    fairValueEvEbitda: Number,
+    fairValuePE: Number,
+  },
+  valuationSchemaOptions
+);
+
 const metricsSchema = new mongoose.Schema(
   {
     symbol: {
@@ -277,8 +322,26 @@ const metricsSchema = new mongoose.Schema(
           min: -100,
           max: 10000,
         },
+        // Earnings Metrics (written by syncEarningsLargeCap)
+        EPSSurprisePct: {
+          type: Number,
+          min: -5,
+          max: 5,
+        },
+        EPSGrowthYoY: {
+          type: Number,
+          min: -1,
+          max: 10,
+        },
+        DaysToNextEarnings: {
+          type: Number,
+          min: 0,
+        },
+        nextEarningsDate: Date,
         valuationDCF: valuationDCFSchema,
         valuationLynch: valuationLynchSchema,
+        valuationDDM: valuationDDMSchema,
+        valuationRelative: valuationRelativeSchema,
         // Percentile ranks relative to industry and sector peers
         // Using Mixed type to allow flexible nested structure
         percentiles: mongoose.Schema.Types.Mixed,
@@ -315,8 +378,11 @@ metricsSchema.index({ exchange: 1, lastUpdated: -1 });
 metricsSchema.index({ symbol: 1, lastUpdated: -1 });
 metricsSchema.index({ "metrics.lastCalculated": -1 });
 metricsSchema.index({ exchange: 1, "metrics.lastCalculated": -1 });
+metricsSchema.index({ "metrics.nextEarningsDate": 1 });
 metricsSchema.index({ "metrics.valuationDCF.quality": 1 });
 metricsSchema.index({ "metrics.valuationLynch.quality": 1 });
+metricsSchema.index({ "metrics.valuationDDM.quality": 1 });
+metricsSchema.index({ "metrics.valuationRelative.quality": 1 });
 
 // Instance methods
 metricsSchema.methods.updateMetricsData = async function (metricsData) {
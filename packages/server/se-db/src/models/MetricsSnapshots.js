@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import { Metrics } from "./Metrics.js";
+
+/**
+ * MetricsSnapshots Schema
+ * One document per symbol per day holding a copy of the symbol's `metrics` document
+ * as it looked after the latest metrics/percentile run of that day. The live `metrics`
+ * collection is overwritten on every run, so this is the only place history is kept.
+ */
+const metricsSnapshotsSchema = new mongoose.Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    exchange: {
+      type: String,
+      trim: true,
+    },
+    currency: {
+      type: String,
+      trim: true,
+    },
+    // Snapshot day (UTC midnight) - a symbol has at most one snapshot per day
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Metric values keyed by dbField (e.g. DebtToEquityCurrent, valuationDCF.upsidePct)
+    metrics: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Percentile ranks keyed by group type: { sector: {...}, industry: {...} }
+    percentiles: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Jobs that refreshed this snapshot during the day (e.g. "metrics", "sector-percentiles")
+    sources: {
+      type: [String],
+      default: [],
+    },
+    capturedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  {
+    collection: "metrics_snapshots",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+// Indexes for efficient querying
+metricsSnapshotsSchema.index({ symbol: 1, date: 1 }, { unique: true });
+metricsSnapshotsSchema.index({ date: -1 });
+
+/**
+ * Normalize any date input to the UTC day it falls on
+ * @param {Date|string|number} [value] - Date to normalize (default: now)
+ * @returns {Date|null} UTC midnight of that day, or null if the input is invalid
+ */
+function toSnapshotDate(value = new Date()) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Strip job bookkeeping fields (`_calculationStatus`, `_lastAttempt`, ...) and split
+ * percentiles out of a live metrics object
+ */
+function splitMetricsForSnapshot(metrics = {}) {
+  const values = {};
+  for (const [key, value] of Object.entries(metrics)) {
+    if (key === "percentiles" || key.startsWith("_")) {
+      continue;
+    }
+    values[key] = value;
+  }
+  return { values, percentiles: metrics.percentiles || {} };
+}
+
+// Static methods
+metricsSnapshotsSchema.statics.toSnapshotDate = toSnapshotDate;
+
+/**
+ * Copy the current `metrics` documents of the given symbols into today's snapshots
+ * @param {string[]} symbols - Symbols to snapshot
+ * @param {Object} [options]
+ * @param {string} [options.source] - Job that triggered the snapshot
+ * @param {Date} [options.date] - Snapshot day (default: today, UTC)
+ * @param {number} [options.batchSize] - Bulk write batch size (default: 500)
+ * @returns {Promise<{ upserted: number, modified: number }>}
+ */
+metricsSnapshotsSchema.statics.captureFromMetrics = async function (
+  symbols,
+  { source, date = new Date(), batchSize = 500 } = {}
+) {
+  const uniqueSymbols = [...new Set((symbols || []).filter(Boolean))];
+  const snapshotDate = toSnapshotDate(date);
+  let upserted = 0;
+  let modified = 0;
+
+  if (uniqueSymbols.length === 0 || !snapshotDate) {
+    return { upserted, modified };
+  }
+
+  for (let i = 0; i < uniqueSymbols.length; i += batchSize) {
+    const batchSymbols = uniqueSymbols.slice(i, i + batchSize);
+    const metricsDocs = await Metrics.find({ symbol: { $in: batchSymbols } })
+      .select("symbol exchange currency metrics")
+      .lean();
+
+    const bulkOps = metricsDocs.map((doc) => {
+      const { values, percentiles } = splitMetricsForSnapshot(doc.metrics);
+      const update = {
+        $set: {
+          exchange: doc.exchange,
+          currency: doc.currency,
+          metrics: values,
+          percentiles,
+          capturedAt: new Date(),
+        },
+      };
+      if (source) {
+        update.$addToSet = { sources: source };
+      }
+      return {
+        updateOne: {
+          filter: { symbol: doc.symbol, date: snapshotDate },
+          update,
+          upsert: true,
+        },
+      };
+    });
+
+    if (bulkOps.length === 0) {
+      continue;
+    }
+
+    const result = await this.bulkWrite(bulkOps, { ordered: false });
+    upserted += result.upsertedCount || 0;
+    modified += result.modifiedCount || 0;
+  }
+
+  return { upserted, modified };
+};
+
+metricsSnapshotsSchema.statics.findHistory = function (symbol, { from, to } = {}) {
+  const query = { symbol };
+  const fromDate = from ? toSnapshotDate(from) : null;
+  const toDate = to ? toSnapshotDate(to) : null;
+  if (fromDate || toDate) {
+    query.date = {};
+    if (fromDate) query.date.$gte = fromDate;
+    if (toDate) query.date.$lte = toDate;
+  }
+  return this.find(query).sort({ date: 1 });
+};
+
+metricsSnapshotsSchema.statics.deleteOlderThan = function (maxAgeDays) {
+  const cutoff = toSnapshotDate(new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000));
+  return this.deleteMany({ date: { $lt: cutoff } });
+};
+
+export const MetricsSnapshots = mongoose.model("MetricsSnapshots", metricsSnapshotsSchema);
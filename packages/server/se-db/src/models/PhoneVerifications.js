@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+/**
+ * PhoneVerifications Schema
+ * One pending one-time code per phone number for the phone sign-in flow. Only an HMAC of
+ * the code is stored; attempt and send counters enforce the verification and resend limits.
+ */
+const phoneVerificationsSchema = new mongoose.Schema(
+  {
+    // E.164 phone number, e.g. '+14155550123'
+    phone: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    // HMAC-SHA256 of the current code; cleared once the code is used
+    codeHash: {
+      type: String,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Failed verification attempts against the current code
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Codes sent since sendWindowStartedAt (resend throttling)
+    sendCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    sendWindowStartedAt: {
+      type: Date,
+      default: null,
+    },
+
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "phone_verifications",
+  }
+);
+
+// Drop abandoned verifications a day after their last update
+phoneVerificationsSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static methods
+phoneVerificationsSchema.statics.findByPhone = function (phone) {
+  return this.findOne({ phone });
+};
+
+export const PhoneVerifications = mongoose.model("PhoneVerifications", phoneVerificationsSchema);
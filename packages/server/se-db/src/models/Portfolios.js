@@ -0,0 +1,341 @@
+import mongoose from "mongoose";
+
+export const PORTFOLIO_TRANSACTION_TYPES = ["BUY", "SELL", "DEPOSIT", "WITHDRAWAL", "DIVIDEND"];
+
+// Quantities and amounts below this are rounding leftovers
+const EPSILON = 1e-9;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const lotSchema = new mongoose.Schema(
+  {
+    // Purchase date
+    date: {
+      type: Date,
+      required: true,
+    },
+
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Price paid per share, in the lot's currency
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: CURRENCY_PATTERN,
+    },
+
+    // Commissions paid on the purchase (part of the cost basis)
+    fees: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: true }
+);
+
+const holdingSchema = new mongoose.Schema(
+  {
+    // Symbol key in the same format as the prices/dividends collections (e.g. 'AAPL.US')
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    // Open lots, oldest first (sells consume them first in, first out)
+    lots: {
+      type: [lotSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const cashBalanceSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: CURRENCY_PATTERN,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Portfolios Schema
+ * Holdings (as purchase lots) and cash balances per currency. Lots and cash are edited
+ * through the API, directly or by importing transactions; the scanner values every
+ * portfolio after each cycle (valuePortfolios job) and stores the result in `valuation`.
+ * Each portfolio belongs to one user; names are unique per user.
+ */
+const portfoliosSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    // Currency market values, P/L and income are reported in
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: CURRENCY_PATTERN,
+      default: "USD",
+    },
+
+    holdings: {
+      type: [holdingSchema],
+      default: [],
+    },
+
+    cash: {
+      type: [cashBalanceSchema],
+      default: [],
+    },
+
+    // Last change to holdings or cash (a valuation older than this is out of date)
+    holdingsUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    valuedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Written by the valuePortfolios job: totals, positions and income calendar
+    valuation: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "portfolios",
+  }
+);
+
+portfoliosSchema.index({ userId: 1, name: 1 }, { unique: true });
+portfoliosSchema.index({ userId: 1, updatedAt: -1 });
+
+const isPositiveNumber = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Normalize one transaction and check the fields its type requires
+ * @throws {Error} When the transaction is invalid
+ */
+function normalizeTransaction(transaction, baseCurrency) {
+  const type = String(transaction.type || "")
+    .trim()
+    .toUpperCase();
+  if (!PORTFOLIO_TRANSACTION_TYPES.includes(type)) {
+    throw new Error(`Unknown transaction type "${transaction.type}"`);
+  }
+
+  const date = new Date(transaction.date);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${transaction.date}"`);
+  }
+
+  const currency = String(transaction.currency || baseCurrency)
+    .trim()
+    .toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency)) {
+    throw new Error(`Invalid currency "${transaction.currency}"`);
+  }
+
+  const fees = transaction.fees === undefined || transaction.fees === null ? 0 : transaction.fees;
+  if (!Number.isFinite(fees) || fees < 0) {
+    throw new Error("fees must be a non-negative number");
+  }
+
+  const normalized = { type, date, currency, fees };
+
+  if (type === "BUY" || type === "SELL") {
+    normalized.symbol = String(transaction.symbol || "")
+      .trim()
+      .toUpperCase();
+    if (!normalized.symbol) {
+      throw new Error(`${type} requires a symbol`);
+    }
+    if (!isPositiveNumber(transaction.quantity)) {
+      throw new Error(`${type} requires a positive quantity`);
+    }
+    if (!Number.isFinite(transaction.price) || transaction.price < 0) {
+      throw new Error(`${type} requires a non-negative price`);
+    }
+    normalized.quantity = transaction.quantity;
+    normalized.price = transaction.price;
+  } else {
+    if (!isPositiveNumber(transaction.amount)) {
+      throw new Error(`${type} requires a positive amount`);
+    }
+    normalized.amount = transaction.amount;
+  }
+
+  return normalized;
+}
+
+// Instance methods
+portfoliosSchema.methods.getHolding = function (symbol) {
+  return this.holdings.find((holding) => holding.symbol === symbol) || null;
+};
+
+portfoliosSchema.methods.adjustCash = function (currency, delta) {
+  const balance = this.cash.find((entry) => entry.currency === currency);
+  if (balance) {
+    balance.amount += delta;
+  } else {
+    this.cash.push({ currency, amount: delta });
+  }
+};
+
+/**
+ * Add a purchase lot without touching cash (recording a position held elsewhere)
+ */
+portfoliosSchema.methods.addLot = function (symbol, lot) {
+  const key = symbol.trim().toUpperCase();
+  let holding = this.getHolding(key);
+  if (!holding) {
+    this.holdings.push({ symbol: key, lots: [] });
+    holding = this.holdings[this.holdings.length - 1];
+  }
+
+  holding.lots.push(lot);
+  holding.lots.sort((a, b) => a.date - b.date);
+  this.holdingsUpdatedAt = new Date();
+  return holding;
+};
+
+portfoliosSchema.methods.removeLot = function (lotId) {
+  for (const holding of this.holdings) {
+    const lot = holding.lots.id(lotId);
+    if (lot) {
+      lot.deleteOne();
+      this.holdings = this.holdings.filter((entry) => entry.lots.length > 0);
+      this.holdingsUpdatedAt = new Date();
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Sell shares from the oldest lots first
+ * @throws {Error} When the holding has fewer shares than sold
+ */
+portfoliosSchema.methods.sellShares = function (symbol, quantity) {
+  const holding = this.getHolding(symbol);
+  const held = holding ? holding.lots.reduce((sum, lot) => sum + lot.quantity, 0) : 0;
+  if (held + EPSILON < quantity) {
+    throw new Error(`Cannot sell ${quantity} ${symbol}: only ${held} held`);
+  }
+
+  let remaining = quantity;
+  for (const lot of holding.lots) {
+    if (remaining <= EPSILON) break;
+    const sold = Math.min(lot.quantity, remaining);
+    // Fees stay with the shares still held
+    lot.fees = lot.fees * (1 - sold / lot.quantity);
+    lot.quantity -= sold;
+    remaining -= sold;
+  }
+
+  holding.lots = holding.lots.filter((lot) => lot.quantity > EPSILON);
+  this.holdings = this.holdings.filter((entry) => entry.lots.length > 0);
+};
+
+/**
+ * Apply transactions to lots and cash, oldest first, then save
+ * BUY adds a lot and spends cash, SELL closes lots (FIFO) and credits the proceeds,
+ * DEPOSIT/DIVIDEND credit cash and WITHDRAWAL debits it. Amounts are in the
+ * transaction's currency (default: the portfolio base currency).
+ * @param {Array<Object>} transactions - { date, type, symbol, quantity, price, amount, currency, fees, row? }
+ * @returns {Promise<Object>} { applied, rejected: [{ row, error }] }
+ */
+portfoliosSchema.methods.applyTransactions = async function (transactions = []) {
+  const rejected = [];
+  const valid = [];
+
+  transactions.forEach((transaction, index) => {
+    const row = transaction.row ?? index + 1;
+    try {
+      valid.push({ row, ...normalizeTransaction(transaction, this.baseCurrency) });
+    } catch (error) {
+      rejected.push({ row, error: error.message });
+    }
+  });
+
+  // Stable sort keeps same-day rows in file order
+  valid.sort((a, b) => a.date - b.date);
+
+  let applied = 0;
+  for (const transaction of valid) {
+    const { type, date, symbol, quantity, price, amount, currency, fees } = transaction;
+    try {
+      if (type === "BUY") {
+        this.addLot(symbol, { date, quantity, price, currency, fees });
+        this.adjustCash(currency, -(quantity * price + fees));
+      } else if (type === "SELL") {
+        this.sellShares(symbol, quantity);
+        this.adjustCash(currency, quantity * price - fees);
+      } else if (type === "WITHDRAWAL") {
+        this.adjustCash(currency, -(amount + fees));
+      } else {
+        this.adjustCash(currency, amount - fees);
+      }
+      applied++;
+    } catch (error) {
+      rejected.push({ row: transaction.row, error: error.message });
+    }
+  }
+
+  if (applied > 0) {
+    this.cash = this.cash.filter((entry) => Math.abs(entry.amount) > EPSILON);
+    this.holdingsUpdatedAt = new Date();
+    await this.save();
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+  return { applied, rejected };
+};
+
+export const Portfolios = mongoose.model("Portfolios", portfoliosSchema);
@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+
+/**
+ * Prices Schema
+ * One daily OHLCV bar per symbol and trading day. Seeded from the EODHD /eod endpoint and
+ * kept current with one /eod-bulk-last-day call per exchange, so calculators can read
+ * price history locally instead of re-downloading it.
+ */
+const pricesSchema = new mongoose.Schema(
+  {
+    // Symbol identifier (e.g., 'AAPL.US')
+    symbol: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Exchange code (e.g., 'US')
+    exchange: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Trading day as 'YYYY-MM-DD' (EODHD format, sorts chronologically)
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    open: { type: Number, default: null },
+    high: { type: Number, default: null },
+    low: { type: Number, default: null },
+    close: { type: Number, required: true },
+    adjustedClose: { type: Number, default: null },
+    volume: { type: Number, default: null },
+
+    // Where the bar came from: 'eod' (per-symbol history) or 'bulk' (exchange last day)
+    source: {
+      type: String,
+      enum: ["eod", "bulk"],
+      default: "eod",
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "prices",
+  }
+);
+
+pricesSchema.index({ symbol: 1, date: 1 }, { unique: true });
+pricesSchema.index({ exchange: 1, date: -1 });
+
+/**
+ * Map an EODHD bar ({ date, open, high, low, close, adjusted_close, volume }) to a document
+ */
+function toPriceDocument(symbol, exchange, bar, source) {
+  return {
+    symbol,
+    exchange,
+    date: String(bar.date).slice(0, 10),
+    open: bar.open ?? null,
+    high: bar.high ?? null,
+    low: bar.low ?? null,
+    close: bar.close,
+    adjustedClose: bar.adjusted_close ?? null,
+    volume: bar.volume ?? null,
+    source,
+  };
+}
+
+// Static methods
+/**
+ * Upsert daily bars for one symbol
+ * @param {string} symbol - Symbol key (e.g., 'AAPL.US')
+ * @param {string} exchange - Exchange code
+ * @param {Array} bars - EODHD bars
+ * @param {string} source - 'eod' or 'bulk'
+ * @returns {Promise<number>} Number of bars inserted or changed
+ */
+pricesSchema.statics.upsertBars = async function (symbol, exchange, bars, source = "eod") {
+  const operations = (bars || [])
+    .filter((bar) => bar?.date && Number.isFinite(bar.close))
+    .map((bar) => {
+      const doc = toPriceDocument(symbol, exchange, bar, source);
+      return {
+        updateOne: {
+          filter: { symbol, date: doc.date },
+          update: { $set: doc },
+          upsert: true,
+        },
+      };
+    });
+
+  if (operations.length === 0) {
+    return 0;
+  }
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return (result.upsertedCount || 0) + (result.modifiedCount || 0);
+};
+
+/**
+ * Daily bars for a symbol in ascending date order, in the EODHD /eod response shape
+ * @param {string} symbol - Symbol key
+ * @param {Object} [range] - { from, to } as 'YYYY-MM-DD' (inclusive)
+ * @returns {Promise<Array>} [{ date, open, high, low, close, adjusted_close, volume }]
+ */
+pricesSchema.statics.getBars = async function (symbol, { from, to } = {}) {
+  const query = { symbol };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+
+  const docs = await this.find(query).sort({ date: 1 }).lean();
+  return docs.map((doc) => ({
+    date: doc.date,
+    open: doc.open,
+    high: doc.high,
+    low: doc.low,
+    close: doc.close,
+    adjusted_close: doc.adjustedClose ?? doc.close,
+    volume: doc.volume,
+  }));
+};
+
+/**
+ * Most recent stored trading day for a symbol
+ * @returns {Promise<string|null>} 'YYYY-MM-DD' or null when the symbol was never seeded
+ */
+pricesSchema.statics.getLatestDate = async function (symbol) {
+  const latest = await this.findOne({ symbol }).sort({ date: -1 }).select({ date: 1 }).lean();
+  return latest?.date || null;
+};
+
+/**
+ * Latest stored trading day per symbol for an exchange
+ * @returns {Promise<Map<string, string>>} symbol → 'YYYY-MM-DD'
+ */
+pricesSchema.statics.getLatestDatesByExchange = async function (exchange) {
+  const rows = await this.aggregate([
+    { $match: { exchange } },
+    { $group: { _id: "$symbol", latestDate: { $max: "$date" } } },
+  ]);
+  return new Map(rows.map((row) => [row._id, row.latestDate]));
+};
+
+export const Prices = mongoose.model("Prices", pricesSchema);
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+/**
+ * ScreenRuns Schema
+ * One document per scheduled run of a saved screen: the full result set and the symbols
+ * that entered or exited it versus the previous run of the same screen.
+ */
+const screenRunsSchema = new mongoose.Schema(
+  {
+    screenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Screens",
+      required: true,
+    },
+
+    // Copied so the changelog stays readable after the screen is renamed or deleted
+    screenName: {
+      type: String,
+      required: true,
+    },
+
+    ranAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+
+    // Matching symbols in the screen's sort order
+    symbols: {
+      type: [String],
+      default: [],
+    },
+
+    total: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+
+    entered: {
+      type: [String],
+      default: [],
+    },
+
+    exited: {
+      type: [String],
+      default: [],
+    },
+
+    // First run of the screen (nothing to diff against)
+    baseline: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    collection: "screen_runs",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+// Indexes for efficient querying
+screenRunsSchema.index({ screenId: 1, ranAt: -1 });
+screenRunsSchema.index({ ranAt: -1 });
+
+// Static methods
+screenRunsSchema.statics.findRecent = function ({ screenId, limit = 20 } = {}) {
+  const query = screenId ? { screenId } : {};
+  return this.find(query).sort({ ranAt: -1 }).limit(limit);
+};
+
+export const ScreenRuns = mongoose.model("ScreenRuns", screenRunsSchema);
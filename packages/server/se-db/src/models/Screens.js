@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+
+export const SCREEN_SORT_ORDERS = ["asc", "desc"];
+export const SCREEN_FORMULA_METHODS = ["weighted", "geometric"];
+export const SCREEN_GROUP_BY = ["sector", "industry"];
+
+// HeatMap/ranking configuration saved with the screen so the UI can reopen it as-is
+const screenRankingSchema = new mongoose.Schema(
+  {
+    metrics: {
+      type: [String],
+      default: [],
+    },
+    // Metric id -> weight (weighted formula only)
+    weights: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    formulaMethod: {
+      type: String,
+      enum: SCREEN_FORMULA_METHODS,
+      default: "weighted",
+    },
+    groupBy: {
+      type: String,
+      enum: SCREEN_GROUP_BY,
+      default: "sector",
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Screens Schema
+ * Named screener queries re-run by the scanner after each full cycle. Every run is stored
+ * in `screen_runs` with the symbols that entered or exited the screen since the previous
+ * run; the latest result set is copied here for listing. Each screen belongs to one user;
+ * names are unique per user.
+ */
+const screensSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    // Normalized screener expression tree (see iso-business-types screenerQuery.js)
+    query: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // Text form the screen was created from, if any (kept for display/editing)
+    queryText: {
+      type: String,
+      default: null,
+    },
+
+    sortBy: {
+      type: String,
+      default: "marketCap",
+    },
+
+    sortOrder: {
+      type: String,
+      enum: SCREEN_SORT_ORDERS,
+      default: "desc",
+    },
+
+    ranking: {
+      type: screenRankingSchema,
+      default: () => ({}),
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScreenRuns",
+      default: null,
+    },
+
+    // Result set of the latest run, in the screen's sort order
+    latestSymbols: {
+      type: [String],
+      default: [],
+    },
+
+    latestCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "screens",
+  }
+);
+
+screensSchema.index({ userId: 1, name: 1 }, { unique: true });
+screensSchema.index({ enabled: 1 });
+screensSchema.index({ userId: 1, updatedAt: -1 });
+
+// Static methods
+screensSchema.statics.findEnabled = function () {
+  return this.find({ enabled: true });
+};
+
+export const Screens = mongoose.model("Screens", screensSchema);
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+/**
+ * Splits Schema
+ * Stock split history for a symbol from the EODHD /splits endpoint. Dividend and price
+ * calculators divide values dated before each split by its ratio so history stays comparable.
+ */
+const splitEventSchema = new mongoose.Schema(
+  {
+    // First trading day at the post-split price as 'YYYY-MM-DD'
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    // Raw EODHD ratio string (e.g., '4.000000/1.000000')
+    split: {
+      type: String,
+      required: true,
+    },
+
+    // New shares per old share (4 for a 4-for-1 split, 0.1 for a 1-for-10 reverse split)
+    ratio: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const splitsSchema = new mongoose.Schema(
+  {
+    // Symbol identifier (e.g., 'AAPL.US')
+    symbol: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+      index: true,
+    },
+
+    // Exchange information
+    exchange: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Split events, oldest first
+    splits: {
+      type: [splitEventSchema],
+      default: [],
+    },
+
+    // When this data was last updated
+    lastUpdated: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  {
+    collection: "splits",
+    timestamps: false,
+    autoIndex: true,
+  }
+);
+
+splitsSchema.index({ exchange: 1 });
+splitsSchema.index({ lastUpdated: 1 });
+
+// Instance methods
+splitsSchema.methods.isDataFresh = function (maxAgeDays = 7) {
+  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+  return this.lastUpdated > cutoff;
+};
+
+splitsSchema.methods.updateSplits = async function (splits) {
+  this.splits = splits || [];
+  this.lastUpdated = new Date();
+  return this.save();
+};
+
+// Static methods
+splitsSchema.statics.findBySymbol = function (symbol) {
+  return this.findOne({ symbol });
+};
+
+/**
+ * Split events for a symbol, oldest first (empty when none are stored)
+ * @param {string} symbol - Symbol (e.g., 'AAPL.US')
+ * @returns {Promise<Array>} [{ date, split, ratio }]
+ */
+splitsSchema.statics.getSplitsForSymbol = async function (symbol) {
+  const doc = await this.findOne({ symbol }, { splits: 1 }).lean();
+  return doc?.splits || [];
+};
+
+export const Splits = mongoose.model("Splits", splitsSchema);
+export default Splits;
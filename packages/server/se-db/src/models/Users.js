@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+export const USER_ROLES = ["admin", "read-only"];
+
+/**
+ * Users Schema
+ * Accounts created through the app-api sign-in routes (Google, Apple). One document per
+ * provider identity; `role` gates the mutating API routes and `tokenVersion` revokes
+ * previously issued session tokens on logout.
+ */
+const usersSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Subject identifier assigned by the provider
+    providerId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+
+    // E.164 phone number (phone sign-in)
+    phone: {
+      type: String,
+      trim: true,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+    },
+
+    avatar: {
+      type: String,
+      default: null,
+    },
+
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    isPrivateEmail: {
+      type: Boolean,
+    },
+
+    locale: {
+      type: String,
+    },
+
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "read-only",
+    },
+
+    // Embedded in session tokens; incrementing it invalidates every token issued before
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "users",
+  }
+);
+
+usersSchema.index({ provider: 1, providerId: 1 }, { unique: true });
+usersSchema.index({ email: 1 });
+usersSchema.index({ phone: 1 }, { sparse: true });
+
+// Static methods
+usersSchema.statics.findByProvider = function (provider, providerId) {
+  return this.findOne({ provider, providerId });
+};
+
+// Instance methods
+usersSchema.methods.revokeSessions = function () {
+  this.tokenVersion += 1;
+  return this.save();
+};
+
+usersSchema.methods.isAdmin = function () {
+  return this.role === "admin";
+};
+
+export const Users = mongoose.model("Users", usersSchema);
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+export const WATCHLIST_MAX_SYMBOLS = 500;
+
+/**
+ * Normalize a list of symbols: trim, uppercase, drop empties and duplicates (order preserved)
+ * @param {Array<string>} symbols
+ * @returns {Array<string>}
+ */
+export function normalizeWatchlistSymbols(symbols = []) {
+  const seen = new Set();
+  return symbols
+    .filter((symbol) => typeof symbol === "string")
+    .map((symbol) => symbol.trim().toUpperCase())
+    .filter((symbol) => {
+      if (!symbol || seen.has(symbol)) return false;
+      seen.add(symbol);
+      return true;
+    });
+}
+
+/**
+ * Watchlists Schema
+ * Named, server-side lists of symbols (e.g. 'AAPL.US') used to scope the heatmap,
+ * ranking and price range endpoints instead of sending symbol lists from the UI.
+ * Each watchlist belongs to one user; names are unique per user.
+ */
+const watchlistsSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    // Symbol keys in the same format as the metrics/fundamentals collections
+    symbols: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (symbols) => symbols.length <= WATCHLIST_MAX_SYMBOLS,
+        message: `A watchlist can hold at most ${WATCHLIST_MAX_SYMBOLS} symbols`,
+      },
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: "watchlists",
+  }
+);
+
+watchlistsSchema.index({ userId: 1, name: 1 }, { unique: true });
+watchlistsSchema.index({ userId: 1, updatedAt: -1 });
+
+watchlistsSchema.pre("validate", function (next) {
+  if (this.isModified("symbols")) {
+    this.symbols = normalizeWatchlistSymbols(this.symbols);
+  }
+  next();
+});
+
+// Instance methods
+watchlistsSchema.methods.addSymbols = function (symbols) {
+  this.symbols = normalizeWatchlistSymbols([...this.symbols, ...symbols]);
+  return this.save();
+};
+
+watchlistsSchema.methods.removeSymbols = function (symbols) {
+  const toRemove = new Set(normalizeWatchlistSymbols(symbols));
+  this.symbols = this.symbols.filter((symbol) => !toRemove.has(symbol));
+  return this.save();
+};
+
+// Static methods
+watchlistsSchema.statics.findByName = function (name, userId) {
+  return this.findOne({ userId, name });
+};
+
+/**
+ * Resolve a watchlist id to its symbols
+ * @param {string} id - Watchlist ObjectId
+ * @param {string} userId - Owner; other users' watchlists resolve to null
+ * @returns {Promise<Array<string>|null>} Symbols, or null if the user has no such watchlist
+ */
+watchlistsSchema.statics.getSymbolsById = async function (id, userId) {
+  if (!mongoose.Types.ObjectId.isValid(id) || !userId) {
+    return null;
+  }
+  const watchlist = await this.findOne({ _id: id, userId }).select("symbols").lean();
+  return watchlist ? watchlist.symbols : null;
+};
+
+export const Watchlists = mongoose.model("Watchlists", watchlistsSchema);
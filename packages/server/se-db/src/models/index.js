@@ -13,9 +13,25 @@ import { Jobs } from "./Jobs.js";
 import { Dividends } from "./Dividends.js";
 import { Technicals } from "./Technicals.js";
 import { Metrics } from "./Metrics.js";
+import { MetricsSnapshots } from "./MetricsSnapshots.js";
 import { symbolSchema } from "./Symbol.js";
 import { CachedResponseEodhd } from "./CachedResponseEodhd.js";
 import { CycledListStatus } from "./CycledListStatus.js";
+import { Watchlists } from "./Watchlists.js";
+import { Alerts } from "./Alerts.js";
+import { AlertEvents } from "./AlertEvents.js";
+import { DiscountRateConfigs } from "./DiscountRateConfigs.js";
+import { Users } from "./Users.js";
+import { PhoneVerifications } from "./PhoneVerifications.js";
+import { Prices } from "./Prices.js";
+import { Splits } from "./Splits.js";
+import { Earnings } from "./Earnings.js";
+import { Screens } from "./Screens.js";
+import { ScreenRuns } from "./ScreenRuns.js";
+import { Backtests } from "./Backtests.js";
+import { Portfolios } from "./Portfolios.js";
+import { FxRates } from "./FxRates.js";
+import { JobCommands } from "./JobCommands.js";
 
 // Export all models
 export {
@@ -26,9 +42,25 @@ export {
   Dividends,
   Technicals,
   Metrics,
+  MetricsSnapshots,
   symbolSchema,
   CachedResponseEodhd,
   CycledListStatus,
+  Watchlists,
+  Alerts,
+  AlertEvents,
+  DiscountRateConfigs,
+  Users,
+  PhoneVerifications,
+  Prices,
+  Splits,
+  Earnings,
+  Screens,
+  ScreenRuns,
+  Backtests,
+  Portfolios,
+  FxRates,
+  JobCommands,
 };
 
 // Export as default object for convenience
@@ -40,9 +72,25 @@ export default {
   Dividends,
   Technicals,
   Metrics,
+  MetricsSnapshots,
   symbolSchema,
   CachedResponseEodhd,
   CycledListStatus,
+  Watchlists,
+  Alerts,
+  AlertEvents,
+  DiscountRateConfigs,
+  Users,
+  PhoneVerifications,
+  Prices,
+  Splits,
+  Earnings,
+  Screens,
+  ScreenRuns,
+  Backtests,
+  Portfolios,
+  FxRates,
+  JobCommands,
 };
 
 /**
@@ -128,6 +176,240 @@ export const ModelRegistry = {
       description: "Calculated financial metrics for symbols",
       fields: ["symbol", "exchange", "currency", "metrics", "lastUpdated", "fetchedAt"],
     },
+    metrics_snapshots: {
+      model: MetricsSnapshots,
+      description: "Daily snapshots of calculated metrics and percentiles for history charts",
+      fields: [
+        "symbol",
+        "exchange",
+        "currency",
+        "date",
+        "metrics",
+        "percentiles",
+        "sources",
+        "capturedAt",
+      ],
+    },
+    watchlists: {
+      model: Watchlists,
+      description: "User-defined named lists of symbols",
+      fields: ["userId", "name", "description", "symbols", "createdAt", "updatedAt"],
+    },
+    alerts: {
+      model: Alerts,
+      description: "Threshold and percentile alert rules evaluated after each scanner cycle",
+      fields: [
+        "userId",
+        "name",
+        "symbol",
+        "metric",
+        "source",
+        "operator",
+        "threshold",
+        "enabled",
+        "channels",
+        "lastValues",
+        "lastEvaluatedAt",
+        "lastTriggeredAt",
+        "triggerCount",
+        "createdAt",
+        "updatedAt",
+      ],
+    },
+    alert_events: {
+      model: AlertEvents,
+      description: "Triggered alert events with their notification results",
+      fields: [
+        "alertId",
+        "userId",
+        "alertName",
+        "symbol",
+        "metric",
+        "source",
+        "operator",
+        "threshold",
+        "value",
+        "previousValue",
+        "triggeredAt",
+        "notifications",
+      ],
+    },
+    screens: {
+      model: Screens,
+      description: "Saved screener queries re-run after each scanner cycle",
+      fields: [
+        "userId",
+        "name",
+        "description",
+        "query",
+        "queryText",
+        "sortBy",
+        "sortOrder",
+        "ranking",
+        "enabled",
+        "lastRunAt",
+        "lastRunId",
+        "latestSymbols",
+        "latestCount",
+        "createdAt",
+        "updatedAt",
+      ],
+    },
+    screen_runs: {
+      model: ScreenRuns,
+      description: "Result set of each saved screen run with entered/exited symbols",
+      fields: [
+        "screenId",
+        "screenName",
+        "ranAt",
+        "symbols",
+        "total",
+        "entered",
+        "exited",
+        "baseline",
+      ],
+    },
+    backtests: {
+      model: Backtests,
+      description: "Ranking strategy backtests queued by the API and run by the scanner",
+      fields: [
+        "userId",
+        "name",
+        "config",
+        "status",
+        "progress",
+        "error",
+        "queuedAt",
+        "startedAt",
+        "completedAt",
+        "result",
+      ],
+    },
+    portfolios: {
+      model: Portfolios,
+      description: "Holdings (purchase lots) and cash valued by the scanner after each cycle",
+      fields: [
+        "userId",
+        "name",
+        "description",
+        "baseCurrency",
+        "holdings",
+        "cash",
+        "holdingsUpdatedAt",
+        "valuedAt",
+        "valuation",
+      ],
+    },
+    discount_rate_configs: {
+      model: DiscountRateConfigs,
+      description: "Versioned WACC inputs (risk-free rates, risk premiums, beta, cost of debt)",
+      fields: [
+        "version",
+        "active",
+        "description",
+        "riskFreeRates",
+        "equityRiskPremium",
+        "countryRiskPremiums",
+        "terminalGrowthByCurrency",
+        "defaultBeta",
+        "creditSpread",
+        "waccMin",
+        "waccMax",
+        "createdAt",
+        "updatedAt",
+      ],
+    },
+    users: {
+      model: Users,
+      description:
+        "Accounts signed in through Google, Apple or phone verification, with their API role",
+      fields: [
+        "provider",
+        "providerId",
+        "email",
+        "phone",
+        "name",
+        "avatar",
+        "emailVerified",
+        "role",
+        "tokenVersion",
+        "lastLoginAt",
+        "createdAt",
+        "updatedAt",
+      ],
+    },
+    phone_verifications: {
+      model: PhoneVerifications,
+      description: "Pending phone sign-in codes (hashed) with attempt and resend counters",
+      fields: [
+        "phone",
+        "codeHash",
+        "expiresAt",
+        "attempts",
+        "lastSentAt",
+        "sendCount",
+        "sendWindowStartedAt",
+        "verifiedAt",
+        "createdAt",
+        "updatedAt",
+      ],
+    },
+    prices: {
+      model: Prices,
+      description: "Daily OHLCV bars per symbol, seeded from /eod and updated from bulk last-day",
+      fields: [
+        "symbol",
+        "exchange",
+        "date",
+        "open",
+        "high",
+        "low",
+        "close",
+        "adjustedClose",
+        "volume",
+        "source",
+        "createdAt",
+        "updatedAt",
+      ],
+    },
+    fx_rates: {
+      model: FxRates,
+      description:
+        "Daily USD rate per currency from the EODHD forex /eod endpoint, used for conversions",
+      fields: ["currency", "date", "rate", "source", "createdAt", "updatedAt"],
+    },
+    job_commands: {
+      model: JobCommands,
+      description: "Run/cancel/pause commands enqueued by the API and claimed by the scanner",
+      fields: [
+        "type",
+        "jobName",
+        "jobId",
+        "params",
+        "status",
+        "cancelRequested",
+        "requestedBy",
+        "claimedBy",
+        "leaseExpiresAt",
+        "heartbeatAt",
+        "attempts",
+        "result",
+        "error",
+        "queuedAt",
+        "claimedAt",
+        "completedAt",
+      ],
+    },
+    splits: {
+      model: Splits,
+      description: "Stock split history per symbol, used to split-adjust dividends and prices",
+      fields: ["symbol", "exchange", "splits", "lastUpdated"],
+    },
+    earnings: {
+      model: Earnings,
+      description: "Reported vs estimated EPS and upcoming earnings report dates per symbol",
+      fields: ["symbol", "exchange", "history", "upcoming", "lastUpdated"],
+    },
     cached_response_eodhistoricaldata: {
       model: CachedResponseEodhd,
       description: "Cached EODHD API responses for usage tracking and analytics",
@@ -173,6 +455,24 @@ export const ModelRegistry = {
       foreignField: "Code",
       description: "Each metrics document corresponds to one symbol",
     },
+    "Metrics -> MetricsSnapshots": {
+      type: "one-to-many",
+      localField: "symbol",
+      foreignField: "symbol",
+      description: "Each metrics document has one snapshot per day it was recalculated",
+    },
+    "Alerts -> AlertEvents": {
+      type: "one-to-many",
+      localField: "_id",
+      foreignField: "alertId",
+      description: "Each alert rule records one event per trigger and symbol",
+    },
+    "Screens -> ScreenRuns": {
+      type: "one-to-many",
+      localField: "_id",
+      foreignField: "screenId",
+      description: "Each saved screen records one run per scanner cycle",
+    },
   },
 
   // Business Rules
@@ -212,6 +512,89 @@ export const ModelRegistry = {
       unique: ["symbol"],
       indexes: ["symbol", "exchange", "lastUpdated", "exchange+lastUpdated", "symbol+lastUpdated"],
     },
+    metrics_snapshots: {
+      required: ["symbol", "date", "capturedAt"],
+      unique: ["symbol+date"],
+      indexes: ["symbol", "date", "symbol+date"],
+    },
+    watchlists: {
+      required: ["userId", "name"],
+      unique: ["userId+name"],
+      indexes: ["userId+name", "userId+updatedAt"],
+    },
+    alerts: {
+      required: ["userId", "name", "metric", "operator", "threshold"],
+      indexes: ["enabled", "symbol", "userId+createdAt"],
+    },
+    alert_events: {
+      required: ["alertId", "symbol", "metric", "value", "triggeredAt"],
+      indexes: ["triggeredAt", "alertId+triggeredAt", "symbol+triggeredAt", "userId+triggeredAt"],
+    },
+    screens: {
+      required: ["userId", "name", "query"],
+      unique: ["userId+name"],
+      indexes: ["userId+name", "enabled", "userId+updatedAt"],
+    },
+    screen_runs: {
+      required: ["screenId", "screenName", "ranAt", "total"],
+      indexes: ["screenId+ranAt", "ranAt"],
+    },
+    backtests: {
+      required: [
+        "userId",
+        "config.metrics",
+        "config.topN",
+        "config.from",
+        "config.to",
+        "status",
+        "queuedAt",
+      ],
+      indexes: ["status+queuedAt", "userId+queuedAt"],
+    },
+    portfolios: {
+      required: ["userId", "name"],
+      unique: ["userId+name"],
+      indexes: ["userId+name", "userId+updatedAt"],
+    },
+    discount_rate_configs: {
+      required: ["version", "defaultRiskFreeRate", "equityRiskPremium"],
+      unique: ["version"],
+      indexes: ["version", "active+version"],
+    },
+    users: {
+      required: ["provider", "providerId"],
+      unique: ["provider+providerId"],
+      indexes: ["provider+providerId", "email", "phone"],
+    },
+    phone_verifications: {
+      required: ["phone"],
+      unique: ["phone"],
+      indexes: ["phone", "updatedAt"],
+    },
+    prices: {
+      required: ["symbol", "exchange", "date", "close"],
+      unique: ["symbol+date"],
+      indexes: ["symbol+date", "exchange+date"],
+    },
+    fx_rates: {
+      required: ["currency", "date", "rate"],
+      unique: ["currency+date"],
+      indexes: ["currency+date"],
+    },
+    job_commands: {
+      required: ["type", "status", "queuedAt"],
+      indexes: ["status+queuedAt", "jobId+type", "queuedAt"],
+    },
+    splits: {
+      required: ["symbol", "exchange"],
+      unique: ["symbol"],
+      indexes: ["symbol", "exchange"],
+    },
+    earnings: {
+      required: ["symbol", "exchange"],
+      unique: ["symbol"],
+      indexes: ["symbol", "exchange", "upcoming.0.reportDate"],
+    },
   },
 
   // Data Flow
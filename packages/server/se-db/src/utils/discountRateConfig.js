@@ -0,0 +1,58 @@
+/**
+ * Discount Rate Config Loaders
+ *
+ * Database side of the DCF discount rate: the active `discount_rate_configs` version and
+ * the sector median betas used for companies without a beta of their own. The built-in
+ * defaults (DEFAULT_DISCOUNT_RATE_CONFIG in iso-business-types) are passed in by the caller.
+ */
+
+import { DiscountRateConfigs } from "../models/DiscountRateConfigs.js";
+import { Fundamentals } from "../models/Fundamentals.js";
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Load the active discount rate configuration, falling back to the built-in defaults
+ * @param {Object} defaults - Configuration used until a version has been saved
+ * @returns {Promise<Object>} Configuration (`version` is null for the defaults)
+ */
+export async function loadDiscountRateConfig(defaults) {
+  const active = await DiscountRateConfigs.findActive().lean();
+  return active || { ...defaults, version: null };
+}
+
+/**
+ * Median levered beta (fundamentals Technicals.Beta) per sector
+ * @param {Object} config - Discount rate configuration (minSectorBetaSample, betaMin, betaMax)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sectors] - Only compute these sectors
+ * @returns {Promise<Map<string, number>>} Sector → median beta, for sectors with enough peers
+ */
+export async function loadSectorMedianBetas(config, { sectors } = {}) {
+  const groups = await Fundamentals.aggregate([
+    {
+      $match: {
+        "fundamentals.General.Sector": sectors ? { $in: sectors } : { $nin: [null, ""] },
+        "fundamentals.Technicals.Beta": { $gte: config.betaMin, $lte: config.betaMax },
+      },
+    },
+    {
+      $group: {
+        _id: "$fundamentals.General.Sector",
+        betas: { $push: "$fundamentals.Technicals.Beta" },
+      },
+    },
+  ]);
+
+  const sectorBetas = new Map();
+  for (const group of groups) {
+    if (group.betas.length >= config.minSectorBetaSample) {
+      sectorBetas.set(group._id, median(group.betas));
+    }
+  }
+  return sectorBetas;
+}
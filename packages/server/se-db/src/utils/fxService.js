@@ -0,0 +1,120 @@
+/**
+ * FX Service
+ *
+ * Currency conversion from the stored daily rates (`fx_rates`, kept current by the scanner's
+ * syncFxRates job). Scanner jobs and the API both convert through here so they agree on rates.
+ * Every currency is stored against USD; other pairs are crossed through it.
+ */
+
+import { FxRates, FX_PIVOT_CURRENCY } from "../models/FxRates.js";
+
+export { FX_PIVOT_CURRENCY };
+
+const toCurrencyCode = (currency) => {
+  const code = String(currency ?? "")
+    .trim()
+    .toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+const toDay = (date) => {
+  if (date === undefined || date === null) return null;
+  return (date instanceof Date ? date.toISOString() : String(date)).slice(0, 10);
+};
+
+/**
+ * Create a converter that memoizes stored rates (one lookup per currency and day)
+ * Use one converter per request or job run: rates synced after the first lookup are not seen.
+ * Currencies are ISO codes; normalize free-form input with normalizeCurrencyCode first.
+ * @returns {Object} { getRate, convert }
+ */
+export function createFxConverter() {
+  const cache = new Map();
+
+  const getPivotRate = (currency, day) => {
+    if (currency === FX_PIVOT_CURRENCY) {
+      return Promise.resolve({ currency, date: null, rate: 1 });
+    }
+    const key = `${currency}|${day || "latest"}`;
+    if (!cache.has(key)) {
+      const lookup = FxRates.findRate(currency, day || undefined).catch((error) => {
+        cache.delete(key);
+        throw error;
+      });
+      cache.set(key, lookup);
+    }
+    return cache.get(key);
+  };
+
+  /**
+   * Rate converting one unit of `from` into `to`
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Date|string} [date] - Day of the rate; the latest stored close on or before it is
+   *   used (default: latest stored)
+   * @returns {Promise<Object|null>} { rate, from, to, date } with the older of the stored days
+   *   used, or null when either currency has no stored rate
+   */
+  const getRate = async (from, to, date) => {
+    const source = toCurrencyCode(from);
+    const target = toCurrencyCode(to);
+    if (!source || !target) {
+      return null;
+    }
+
+    const day = toDay(date);
+    if (source === target) {
+      return { rate: 1, from: source, to: target, date: day };
+    }
+
+    const [sourceRate, targetRate] = await Promise.all([
+      getPivotRate(source, day),
+      getPivotRate(target, day),
+    ]);
+    if (!sourceRate || !targetRate) {
+      return null;
+    }
+
+    const rateDates = [sourceRate.date, targetRate.date].filter(Boolean).sort();
+    return {
+      rate: sourceRate.rate / targetRate.rate,
+      from: source,
+      to: target,
+      date: rateDates[0] || day,
+    };
+  };
+
+  /**
+   * Convert an amount between currencies
+   * @returns {Promise<number|null>} Converted amount, or null when the amount is not a number
+   *   or no rate is stored
+   */
+  const convert = async (amount, from, to, date) => {
+    if (!Number.isFinite(amount)) {
+      return null;
+    }
+    const fx = await getRate(from, to, date);
+    return fx ? amount * fx.rate : null;
+  };
+
+  return { getRate, convert };
+}
+
+/**
+ * Rate converting one unit of `from` into `to` on `date` (see createFxConverter)
+ */
+export function getFxRate(from, to, date) {
+  return createFxConverter().getRate(from, to, date);
+}
+
+/**
+ * Convert `amount` from one currency to another at the stored rate for `date`
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Date|string} [date] - Day of the rate (default: latest stored)
+ * @returns {Promise<number|null>} Converted amount, or null when no rate is stored
+ */
+export function convert(amount, from, to, date) {
+  return createFxConverter().convert(amount, from, to, date);
+}
@@ -0,0 +1,108 @@
+/**
+ * Screener Pipeline Utilities
+ *
+ * Compiles validated screener expression trees (see iso-business-types screenerQuery.js)
+ * into aggregation stages over the fundamentals collection joined with metrics.
+ * Shared by the screener endpoint and the scanner's saved screens job.
+ */
+
+import { LARGE_CAP_THRESHOLD } from "./largeCapFilter.js";
+import { getUniverseFundamentalsMatch } from "./universeFilter.js";
+
+const MONGO_OPERATORS = {
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+  eq: "$eq",
+  ne: "$ne",
+  in: "$in",
+  nin: "$nin",
+};
+
+const ATTRIBUTE_PATHS = {
+  marketCap: "fundamentals.Highlights.MarketCapitalization",
+  sector: "fundamentals.General.Sector",
+  industry: "fundamentals.General.Industry",
+  exchange: "fundamentals.General.Exchange",
+  symbol: "symbol",
+};
+
+/**
+ * Document path of a resolved screener field inside the screener pipeline
+ * (fundamentals document with the joined metrics as `metricsDoc`)
+ * @param {Object} resolved - resolveScreenerField() result
+ * @returns {string} Dot path
+ */
+export function getScreenerFieldPath(resolved) {
+  switch (resolved.kind) {
+    case "attribute":
+      return ATTRIBUTE_PATHS[resolved.field];
+    case "highlight":
+      return `fundamentals.Highlights.${resolved.key}`;
+    case "percentile":
+      return `metricsDoc.percentiles.${resolved.group}.${resolved.metric.dbField}`;
+    default:
+      return `metricsDoc.${resolved.metric.dbField}`;
+  }
+}
+
+/**
+ * Compile a validated, normalized expression tree into a $match filter
+ * @param {Object} node - Expression tree using canonical operators
+ * @param {Object} fields - Field name -> resolveScreenerField() result (from validateScreenerQuery)
+ * @returns {Object} Match filter
+ */
+export function compileScreenerMatch(node, fields) {
+  if (node.and) {
+    return { $and: node.and.map((child) => compileScreenerMatch(child, fields)) };
+  }
+  if (node.or) {
+    return { $or: node.or.map((child) => compileScreenerMatch(child, fields)) };
+  }
+  if (node.not) {
+    return { $nor: [compileScreenerMatch(node.not, fields)] };
+  }
+  return {
+    [getScreenerFieldPath(fields[node.field])]: {
+      [MONGO_OPERATORS[node.op]]: node.value,
+    },
+  };
+}
+
+/**
+ * Stages selecting the companies of a universe that match a screener filter
+ * Append $sort/$skip/$limit/$project stages as needed.
+ * @param {Object} filter - compileScreenerMatch() result
+ * @param {Object} [universe] - Universe definition (default: large cap companies)
+ * @returns {Array} Aggregation stages for the fundamentals collection
+ */
+export function buildScreenerMatchStages(filter, universe = null) {
+  return [
+    {
+      $match: universe
+        ? getUniverseFundamentalsMatch(universe)
+        : {
+            "fundamentals.Highlights.MarketCapitalization": {
+              $gte: LARGE_CAP_THRESHOLD,
+            },
+          },
+    },
+    {
+      $lookup: {
+        from: "metrics",
+        localField: "symbol",
+        foreignField: "symbol",
+        as: "metricsData",
+      },
+    },
+    {
+      $addFields: {
+        metricsDoc: {
+          $ifNull: [{ $arrayElemAt: ["$metricsData.metrics", 0] }, {}],
+        },
+      },
+    },
+    { $match: filter },
+  ];
+}
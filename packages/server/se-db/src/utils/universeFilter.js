@@ -0,0 +1,231 @@
+/**
+ * Universe Filter Utilities
+ *
+ * Query builders for named universes (definitions live in iso-business-types universes.json
+ * and are passed in by the caller). Criteria combine with AND:
+ * - minCap / maxCap: USD market cap range on symbols.cap (written by findAndMarkLargeCapStocks);
+ *   maxCap is exclusive
+ * - countries: symbols.Country values (e.g. 'USA')
+ * - exchanges: EODHD exchange codes (e.g. 'US', 'LSE')
+ * - symbols: custom list as CODE.EXCHANGE (bare codes are US listings); caps are not required
+ *
+ * The large cap helpers in largeCapFilter.js are the `large-cap` universe.
+ */
+
+import { CAP_DATA_FRESHNESS_DAYS, isCapDataFresh } from "./largeCapFilter.js";
+
+const hasCapRange = (universe) =>
+  Number.isFinite(universe?.minCap) || Number.isFinite(universe?.maxCap);
+
+const toListedSymbol = (symbol) => {
+  const value = String(symbol).trim().toUpperCase();
+  const separatorIndex = value.lastIndexOf(".");
+  return separatorIndex > 0
+    ? { code: value.slice(0, separatorIndex), exchangeCode: value.slice(separatorIndex + 1) }
+    : { code: value, exchangeCode: "US" };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Cap range condition for a numeric field
+ * @param {Object} universe - Universe definition
+ * @returns {Object} { $gte?, $lt? }
+ */
+function getCapRangeCondition(universe) {
+  return {
+    ...(Number.isFinite(universe.minCap) && { $gte: universe.minCap }),
+    ...(Number.isFinite(universe.maxCap) && { $lt: universe.maxCap }),
+  };
+}
+
+/**
+ * Creates a MongoDB match on exchange_symbols for a universe
+ * Works on unwound documents ({ $unwind: "$symbols" }) and as a find() prefilter on whole
+ * exchange documents (refine those with extractUniverseStocks).
+ * @param {Object} universe - Universe definition
+ * @param {Object} [options]
+ * @param {number|null} [options.freshnessDays=CAP_DATA_FRESHNESS_DAYS] - Only caps synced within this many days (null: any)
+ * @returns {Object} MongoDB query object
+ */
+export function getUniverseMatch(universe, { freshnessDays = CAP_DATA_FRESHNESS_DAYS } = {}) {
+  const match = {};
+
+  if (hasCapRange(universe)) {
+    match["symbols.cap"] = getCapRangeCondition(universe);
+    if (freshnessDays) {
+      match["symbols.capLastSync"] = {
+        $gte: new Date(Date.now() - freshnessDays * 24 * 60 * 60 * 1000),
+      };
+    }
+  }
+  if (universe.countries?.length) {
+    match["symbols.Country"] = { $in: universe.countries };
+  }
+  if (universe.exchanges?.length) {
+    match.exchangeCode = { $in: universe.exchanges };
+  }
+  if (universe.symbols?.length) {
+    match.$or = universe.symbols.map(toListedSymbol).map(({ code, exchangeCode }) => ({
+      exchangeCode,
+      "symbols.Code": code,
+    }));
+  }
+
+  return match;
+}
+
+/**
+ * Creates a MongoDB match on the fundamentals collection for a universe
+ * Market caps are compared with fundamentals.Highlights.MarketCapitalization, as the
+ * screener and heatmap pipelines always have.
+ * @param {Object} universe - Universe definition
+ * @returns {Object} MongoDB query object
+ */
+export function getUniverseFundamentalsMatch(universe) {
+  const conditions = [];
+
+  if (hasCapRange(universe)) {
+    conditions.push({
+      "fundamentals.Highlights.MarketCapitalization": getCapRangeCondition(universe),
+    });
+  }
+  if (universe.countries?.length) {
+    conditions.push({ "fundamentals.General.CountryName": { $in: universe.countries } });
+  }
+  if (universe.exchanges?.length) {
+    conditions.push({
+      symbol: { $regex: `\\.(${universe.exchanges.map(escapeRegex).join("|")})$` },
+    });
+  }
+  if (universe.symbols?.length) {
+    conditions.push({
+      symbol: {
+        $in: universe.symbols
+          .map(toListedSymbol)
+          .map(({ code, exchangeCode }) => `${code}.${exchangeCode}`),
+      },
+    });
+  }
+
+  if (conditions.length <= 1) {
+    return conditions[0] || {};
+  }
+  return { $and: conditions };
+}
+
+/**
+ * Creates a predicate selecting the symbols of a universe
+ * @param {Object} universe - Universe definition
+ * @param {number|null} [freshnessDays=CAP_DATA_FRESHNESS_DAYS] - Only caps synced within this many days (null: any)
+ * @returns {Function} (symbol, exchangeCode) => boolean
+ */
+export function createUniverseSymbolFilter(universe, freshnessDays = CAP_DATA_FRESHNESS_DAYS) {
+  const countries = universe.countries?.length ? new Set(universe.countries) : null;
+  const exchanges = universe.exchanges?.length ? new Set(universe.exchanges) : null;
+  const listedSymbols = universe.symbols?.length
+    ? new Set(
+        universe.symbols
+          .map(toListedSymbol)
+          .map(({ code, exchangeCode }) => `${code}.${exchangeCode}`)
+      )
+    : null;
+  const capRange = hasCapRange(universe);
+
+  return (symbol, exchangeCode) => {
+    if (!symbol) return false;
+    if (capRange) {
+      if (!(symbol.cap > 0)) return false;
+      if (Number.isFinite(universe.minCap) && symbol.cap < universe.minCap) return false;
+      if (Number.isFinite(universe.maxCap) && symbol.cap >= universe.maxCap) return false;
+      if (freshnessDays && !isCapDataFresh(symbol, freshnessDays)) return false;
+    }
+    if (countries && !countries.has(symbol.Country)) return false;
+    if (exchanges && !exchanges.has(exchangeCode)) return false;
+    if (listedSymbols && !listedSymbols.has(`${symbol.Code}.${exchangeCode}`)) return false;
+    return true;
+  };
+}
+
+/**
+ * Gets the exchange documents holding a universe's stocks
+ * @param {Object} universe - Universe definition
+ * @param {number|null} [freshnessDays=CAP_DATA_FRESHNESS_DAYS] - Only caps synced within this many days (null: any)
+ * @returns {Promise<Array>} Exchange documents (refine with extractUniverseStocks)
+ */
+export async function getUniverseStocksFromDatabase(
+  universe,
+  freshnessDays = CAP_DATA_FRESHNESS_DAYS
+) {
+  const { getModel } = await import("../index.js");
+  const ExchangeSymbols = getModel("exchange_symbols");
+
+  return ExchangeSymbols.find(getUniverseMatch(universe, { freshnessDays })).select(
+    "exchangeCode symbols"
+  );
+}
+
+/**
+ * Gets a universe's stocks from exchange documents
+ * @param {Array} exchangeSymbolsDocs - Array of exchange documents
+ * @param {Object} universe - Universe definition
+ * @param {number|null} [freshnessDays=CAP_DATA_FRESHNESS_DAYS] - Only caps synced within this many days (null: any)
+ * @returns {Array} Array of { exchangeCode, symbols } (same shape as extractLargeCapStocks)
+ */
+export function extractUniverseStocks(
+  exchangeSymbolsDocs,
+  universe,
+  freshnessDays = CAP_DATA_FRESHNESS_DAYS
+) {
+  const isInUniverse = createUniverseSymbolFilter(universe, freshnessDays);
+  const result = [];
+  for (const doc of exchangeSymbolsDocs) {
+    const symbols = (doc.symbols || []).filter((symbol) => isInUniverse(symbol, doc.exchangeCode));
+    if (symbols.length > 0) {
+      result.push({ exchangeCode: doc.exchangeCode, symbols });
+    }
+  }
+  return result;
+}
+
+/**
+ * Counts a universe's stocks in exchange documents
+ * @param {Array} exchangeSymbolsDocs - Array of exchange documents
+ * @param {Object} universe - Universe definition
+ * @param {number|null} [freshnessDays=CAP_DATA_FRESHNESS_DAYS] - Only caps synced within this many days (null: any)
+ * @returns {number} Total count
+ */
+export function countUniverseStocks(
+  exchangeSymbolsDocs,
+  universe,
+  freshnessDays = CAP_DATA_FRESHNESS_DAYS
+) {
+  return extractUniverseStocks(exchangeSymbolsDocs, universe, freshnessDays).reduce(
+    (total, exchange) => total + exchange.symbols.length,
+    0
+  );
+}
+
+/**
+ * Describes a universe for job logs
+ * @param {Object} universe - Universe definition
+ * @returns {string} e.g. "Mid Cap ($200M - $1B)"
+ */
+export function describeUniverse(universe) {
+  const formatCap = (cap) =>
+    cap >= 1e9 ? `$${Number((cap / 1e9).toFixed(1))}B` : `$${Number((cap / 1e6).toFixed(1))}M`;
+  const criteria = [];
+  if (hasCapRange(universe)) {
+    criteria.push(
+      Number.isFinite(universe.maxCap)
+        ? `${formatCap(universe.minCap || 0)} - ${formatCap(universe.maxCap)}`
+        : `>=${formatCap(universe.minCap)}`
+    );
+  }
+  if (universe.countries?.length) criteria.push(universe.countries.join("/"));
+  if (universe.exchanges?.length) criteria.push(universe.exchanges.join("/"));
+  if (universe.symbols?.length) criteria.push(`${universe.symbols.length} symbols`);
+
+  const name = universe.displayName || universe.id;
+  return criteria.length > 0 ? `${name} (${criteria.join(", ")})` : name;
+}
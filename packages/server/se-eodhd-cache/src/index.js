@@ -1,6 +1,5 @@
-import { EODHDClient } from "@buydy/se-eodhd";
+import { EODHDClient, generateRequestKey } from "@buydy/se-eodhd";
 import { getDatabase } from "@buydy/se-db";
-import crypto from "crypto";
 import logger from "@buydy/se-logger";
 
 class EODHDCacheClient {
@@ -54,15 +53,7 @@ class EODHDCacheClient {
   }
 
   generateCacheKey(apiEndpoint, params = {}) {
-    const sortedParams = Object.keys(params)
-      .sort()
-      .reduce((result, key) => {
-        result[key] = params[key];
-        return result;
-      }, {});
-
-    const keyString = `${apiEndpoint}:${JSON.stringify(sortedParams)}`;
-    return crypto.createHash("md5").update(keyString).digest("hex");
+    return generateRequestKey(apiEndpoint, params);
   }
 
   async getCachedResponse(cacheKey) {
@@ -121,8 +112,9 @@ class EODHDCacheClient {
   async makeCachedRequest(apiEndpoint, params, apiCall) {
     const cacheKey = this.generateCacheKey(apiEndpoint, params);
 
-    // Try to get from cache first
-    let data = await this.getCachedResponse(cacheKey);
+    // Try to get from cache first (unless recording EODHD fixtures, which needs the real calls)
+    const isRecording = this.eodhdClient.axios.eodhdFixtures?.mode === "record";
+    let data = isRecording ? null : await this.getCachedResponse(cacheKey);
 
     if (data === null) {
       // Cache miss - make API call
@@ -146,6 +138,13 @@ class EODHDCacheClient {
     );
   }
 
+  async getEndOfDayBulkLastDay(exchangeCode) {
+    const params = { exchangeCode };
+    return this.makeCachedRequest("eod-bulk-last-day", params, () =>
+      this.eodhdClient.stocks.getEndOfDayBulkLastDay(exchangeCode)
+    );
+  }
+
   async getRealTimeData(symbol) {
     const params = { symbol };
     return this.makeCachedRequest("real-time", params, () =>
@@ -216,6 +215,20 @@ class EODHDCacheClient {
     );
   }
 
+  async getStockSplits(symbol, from, to) {
+    const params = { symbol, from, to };
+    return this.makeCachedRequest("splits", params, () =>
+      this.eodhdClient.dividends.getStockSplits(symbol, from, to)
+    );
+  }
+
+  async getEarningsCalendar(symbol, from, to) {
+    const params = { symbol, from, to };
+    return this.makeCachedRequest("earnings-calendar", params, () =>
+      this.eodhdClient.dividends.getEarningsCalendar(symbol, from, to)
+    );
+  }
+
   async getTechnicalIndicator(symbol, function_name, params = {}) {
     const cacheParams = { symbol, function: function_name, ...params };
     return this.makeCachedRequest("technical", cacheParams, () =>
@@ -242,6 +255,7 @@ class EODHDCacheClient {
     return {
       getFundamentalData: this.getFundamentalData.bind(this),
       getEODData: this.getEODData.bind(this),
+      getEndOfDayBulkLastDay: this.getEndOfDayBulkLastDay.bind(this),
       getRealTimeData: this.getRealTimeData.bind(this),
       getTechnicalIndicator: this.getTechnicalIndicator.bind(this),
     };
@@ -264,6 +278,8 @@ class EODHDCacheClient {
       getDividends: this.getDividends.bind(this),
       getUpcomingDividends: this.getUpcomingDividends.bind(this),
       getDividendYield: this.getDividendYield.bind(this),
+      getStockSplits: this.getStockSplits.bind(this),
+      getEarningsCalendar: this.getEarningsCalendar.bind(this),
     };
   }
 
@@ -136,11 +136,12 @@ export class StocksAPI {
    * @param {string} from - Start date (YYYY-MM-DD)
    * @param {string} to - End date (YYYY-MM-DD)
    * @returns {Promise<Array>} Array of earnings data
+   *   ({ code, report_date, date, before_after_market, currency, actual, estimate, difference, percent })
    */
   async getEarnings(symbol, from, to) {
-    const params = { symbol, from, to };
-    const response = await this.axios.get("/earnings/" + symbol, { params });
-    return response.data;
+    const params = { symbols: symbol, from, to };
+    const response = await this.axios.get("/calendar/earnings", { params });
+    return response.data?.earnings ?? [];
   }
 
   /**
@@ -0,0 +1,105 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { getEndpointCost } from "@buydy/iso-business-types";
+
+/**
+ * EODHD Credit Meter
+ *
+ * Counts the API credits (see `cost` in endpointTypes.json) of every request EODHD answered.
+ * Executors run a job inside a credit account so that each request is also charged to the job
+ * that made it, through async context rather than by passing the account into every client.
+ * An account can carry the AbortSignal of its job: once aborted, the job's requests fail.
+ *
+ * @example
+ * ```javascript
+ * const account = createCreditAccount("syncDividendsLargeCap");
+ * await runWithCreditAccount(account, () => syncDividendsLargeCap(context));
+ * account.credits; // credits the job spent
+ * ```
+ */
+
+const accountStorage = new AsyncLocalStorage();
+const openAccounts = new Set();
+const totals = { credits: 0, requests: 0, byEndpoint: {} };
+
+/**
+ * First path segment of a request URL, the endpoint id in endpointTypes.json
+ * @param {string} url - e.g. "/fundamentals/AAPL.US" or "https://host/api/div/KO.US?from=..."
+ * @returns {string} e.g. "fundamentals"
+ */
+export function getEndpointFromUrl(url = "") {
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, "").split("?")[0];
+  const segments = path.split("/").filter(Boolean);
+  return (segments[0] === "api" ? segments[1] : segments[0]) || "unknown";
+}
+
+/**
+ * Create an empty credit account
+ * @param {string} name - Job (or caller) the credits are charged to
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the requests made in the account
+ * @returns {Object} { name, credits, requests, byEndpoint, plan, signal }
+ */
+export function createCreditAccount(name, { signal = null } = {}) {
+  return { name, credits: 0, requests: 0, byEndpoint: {}, plan: null, signal };
+}
+
+/**
+ * Run a function with every EODHD request it makes charged to an account
+ * @param {Object} account - From createCreditAccount()
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+export async function runWithCreditAccount(account, fn) {
+  openAccounts.add(account);
+  try {
+    return await accountStorage.run(account, fn);
+  } finally {
+    openAccounts.delete(account);
+  }
+}
+
+/**
+ * Account of the job running in the current async context
+ * @returns {Object|null}
+ */
+export function getCurrentCreditAccount() {
+  return accountStorage.getStore() || null;
+}
+
+/**
+ * Accounts of the jobs running right now
+ * @returns {Array<Object>}
+ */
+export function getOpenCreditAccounts() {
+  return [...openAccounts];
+}
+
+const charge = (target, endpoint, cost) => {
+  target.credits += cost;
+  target.requests++;
+  target.byEndpoint[endpoint] = (target.byEndpoint[endpoint] || 0) + cost;
+};
+
+/**
+ * Charge an answered request to the process totals and the current account
+ * @param {string} url - Request URL
+ * @returns {number} Credits charged
+ */
+export function chargeEodhdRequest(url) {
+  const endpoint = getEndpointFromUrl(url);
+  const cost = getEndpointCost(endpoint);
+  charge(totals, endpoint, cost);
+  const account = getCurrentCreditAccount();
+  if (account) {
+    charge(account, endpoint, cost);
+  }
+  return cost;
+}
+
+/**
+ * Credits charged by this process since it started
+ * @returns {Object} { credits, requests, byEndpoint }
+ */
+export function getCreditTotals() {
+  return { ...totals, byEndpoint: { ...totals.byEndpoint } };
+}
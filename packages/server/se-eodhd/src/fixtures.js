@@ -0,0 +1,190 @@
+import axios, { AxiosError } from "axios";
+import crypto from "crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join, resolve } from "path";
+import logger from "@buydy/se-logger";
+
+/**
+ * EODHD Record/Replay Fixtures
+ *
+ * Swaps the adapter of an EODHD axios instance so requests are either recorded to or
+ * served from a fixture directory:
+ * - record: requests go to EODHD as usual, and every response (including HTTP errors) is
+ *   written to `<dir>/<key>.json`
+ * - replay: responses are read from `<dir>/<key>.json` and nothing goes to the network;
+ *   a request without a fixture fails with ERR_EODHD_FIXTURE_MISSING
+ *
+ * The key is generateRequestKey(url, params) - the same hash EODHDCacheClient uses for its
+ * cache - with the API token left out, so recordings replay with any key.
+ *
+ * Enabled per client (`fixtures` option) or for the whole process through
+ * EODHD_FIXTURE_MODE=record|replay and EODHD_FIXTURE_DIR.
+ */
+
+export const FIXTURE_MODES = ["record", "replay"];
+
+// Params that are not part of a fixture key (and never written to a fixture)
+const UNKEYED_PARAMS = ["api_token"];
+
+/**
+ * Hash an API endpoint and its params, independent of param order
+ * @param {string} apiEndpoint - e.g. 'eod' (cache) or 'GET /eod/AAPL.US' (fixtures)
+ * @param {Object} [params] - Query params
+ * @returns {string} md5 hex key
+ */
+export function generateRequestKey(apiEndpoint, params = {}) {
+  const sortedParams = Object.keys(params)
+    .sort()
+    .reduce((result, key) => {
+      result[key] = params[key];
+      return result;
+    }, {});
+
+  const keyString = `${apiEndpoint}:${JSON.stringify(sortedParams)}`;
+  return crypto.createHash("md5").update(keyString).digest("hex");
+}
+
+/**
+ * Read the fixture options from EODHD_FIXTURE_MODE and EODHD_FIXTURE_DIR
+ * @param {Object} [env=process.env]
+ * @returns {Object|null} { mode, dir }, or null when fixtures are off
+ * @throws {Error} When the mode is unknown or the directory is missing
+ */
+export function getFixtureOptionsFromEnv(env = process.env) {
+  const mode = env.EODHD_FIXTURE_MODE;
+  if (!mode || mode === "off") {
+    return null;
+  }
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid EODHD_FIXTURE_MODE: ${mode} (expected ${FIXTURE_MODES.join(", ")} or off)`
+    );
+  }
+  if (!env.EODHD_FIXTURE_DIR) {
+    throw new Error("EODHD_FIXTURE_DIR is required when EODHD_FIXTURE_MODE is set");
+  }
+  return { mode, dir: env.EODHD_FIXTURE_DIR };
+}
+
+function describeRequest(config) {
+  const url = config.url || "";
+  const params = Object.fromEntries(
+    Object.entries(config.params || {}).filter(([key]) => !UNKEYED_PARAMS.includes(key))
+  );
+  const method = (config.method || "get").toUpperCase();
+  return { method, url, params, key: generateRequestKey(`${method} ${url}`, params) };
+}
+
+function parseData(data) {
+  if (typeof data !== "string") {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+function writeFixture(filePath, request, response) {
+  const fixture = {
+    request: { method: request.method, url: request.url, params: request.params },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      data: parseData(response.data),
+    },
+  };
+  writeFileSync(filePath, `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Create an axios adapter that records to or replays from a fixture directory
+ * @param {Object} options
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.dir - Fixture directory (created when recording)
+ * @param {Function} [options.adapter] - Adapter that performs real requests in record mode
+ * @returns {Function} axios adapter
+ */
+export function createFixtureAdapter({ mode, dir, adapter }) {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Invalid EODHD fixture mode: ${mode}`);
+  }
+  const fixtureDir = resolve(dir);
+  if (mode === "record") {
+    mkdirSync(fixtureDir, { recursive: true });
+  }
+
+  return async (config) => {
+    const request = describeRequest(config);
+    const filePath = join(fixtureDir, `${request.key}.json`);
+
+    if (mode === "record") {
+      try {
+        const response = await adapter(config);
+        writeFixture(filePath, request, response);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          writeFixture(filePath, request, error.response);
+        }
+        throw error;
+      }
+    }
+
+    if (!existsSync(filePath)) {
+      throw new AxiosError(
+        `No EODHD fixture for ${request.method} ${request.url} ${JSON.stringify(request.params)} (${
+          request.key
+        }.json in ${fixtureDir})`,
+        "ERR_EODHD_FIXTURE_MISSING",
+        config
+      );
+    }
+
+    const { response: recorded } = JSON.parse(readFileSync(filePath, "utf8"));
+    const response = {
+      data: recorded.data,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: {},
+      config,
+      request: { fixture: filePath },
+    };
+
+    // Settle like the http adapter: statuses rejected by validateStatus become errors
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+}
+
+/**
+ * Record or replay all requests of an axios instance. Safe to call again for the same
+ * (e.g. singleton) instance: the first options win.
+ * @param {Object} axiosInstance - Instance created by iso-http-client
+ * @param {Object} options - { mode, dir }
+ * @returns {Object} The axios instance
+ */
+export function useEODHDFixtures(axiosInstance, { mode, dir }) {
+  if (axiosInstance.eodhdFixtures) {
+    return axiosInstance;
+  }
+
+  axiosInstance.defaults.adapter = createFixtureAdapter({
+    mode,
+    dir,
+    adapter: mode === "record" ? axios.getAdapter(axiosInstance.defaults.adapter) : null,
+  });
+  axiosInstance.eodhdFixtures = { mode, dir: resolve(dir) };
+  logger.business(`📼 EODHD fixtures: ${mode} (${resolve(dir)})`);
+  return axiosInstance;
+}
@@ -8,6 +8,21 @@ import { ForexAPI } from "./apis/forex.js";
 import { IndicesAPI } from "./apis/indices.js";
 import { TrackedEODHDClient, createTrackedEODHDClient } from "./trackedClient.js";
 import { eodhdApiUsageTracker } from "./apiUsageTracker.js";
+import {
+  generateRequestKey,
+  getFixtureOptionsFromEnv,
+  createFixtureAdapter,
+  useEODHDFixtures,
+} from "./fixtures.js";
+import {
+  getEndpointFromUrl,
+  createCreditAccount,
+  runWithCreditAccount,
+  getCurrentCreditAccount,
+  getOpenCreditAccounts,
+  chargeEodhdRequest,
+  getCreditTotals,
+} from "./creditMeter.js";
 import logger from "@buydy/se-logger";
 
 /**
@@ -35,18 +50,22 @@ export class EODHDClient {
    * @param {Object} config
    * @param {string} config.apiKey - EODHD API key
    * @param {string} [config.baseURL='https://eodhistoricaldata.com/api'] - Base API URL
+   *   (default overridable with EODHD_BASE_URL, e.g. the scanner's local EODHD stand-in)
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {Object} [config.axiosConfig] - Additional axios configuration
    * @param {number} [config.maxCallsPerMin=1000] - Maximum number of requests per minute; requests are spaced evenly
+   * @param {Object|null} [config.fixtures] - Record/replay responses: { mode: 'record'|'replay', dir }
+   *   (default: EODHD_FIXTURE_MODE / EODHD_FIXTURE_DIR, see fixtures.js)
    */
   constructor({
     apiKey,
-    baseURL = "https://eodhistoricaldata.com/api",
+    baseURL = process.env.EODHD_BASE_URL || "https://eodhistoricaldata.com/api",
     timeout = 30000,
     axiosConfig = {},
     maxCallsPerMin = 1000,
     httpClient,
     useSingletonClient = true,
+    fixtures = getFixtureOptionsFromEnv(),
   }) {
     if (!apiKey) {
       throw new Error("EODHDClient requires an API key");
@@ -74,6 +93,13 @@ export class EODHDClient {
       });
     }
 
+    // Record or replay responses instead of only calling EODHD
+    if (fixtures) {
+      useEODHDFixtures(this.axios, fixtures);
+    }
+    // Replayed responses cost no API calls, so they skip the rate limiter
+    this._isReplaying = this.axios.eodhdFixtures?.mode === "replay";
+
     // Global concurrency control via AsyncPriorityQueue singleton (if available in host app)
     let globalQueue = null;
     try {
@@ -110,6 +136,13 @@ export class EODHDClient {
     // Add request interceptor for queueing and rate limiting
     this.axios.interceptors.request.use(
       async (config) => {
+        // A cancelled job (e.g. timed out) stops at its next request instead of spending credits
+        const signal = getCurrentCreditAccount()?.signal;
+        if (signal) {
+          signal.throwIfAborted();
+          config.signal ??= signal;
+        }
+
         // If global queue is available, queue the request
         if (globalQueue) {
           return globalQueue.addTask(async () => {
@@ -133,7 +166,17 @@ export class EODHDClient {
 
     // Add response interceptor for comprehensive error handling
     this.axios.interceptors.response.use(
-      (response) => response,
+      (response) => {
+        // Charge each answered request once (singleton clients share their interceptors);
+        // replayed fixtures cost nothing
+        if (!response.config?._creditsCharged && !response.request?.fixture) {
+          if (response.config) {
+            response.config._creditsCharged = true;
+          }
+          chargeEodhdRequest(response.config?.url);
+        }
+        return response;
+      },
       async (error) => {
         // Extract request details
         const requestUrl = error.config?.url || "unknown";
@@ -237,6 +280,9 @@ export class EODHDClient {
    * @private
    */
   async _applyRateLimit() {
+    if (this._isReplaying) {
+      return;
+    }
     const now = Date.now();
 
     // Check if we're in a rate limit backoff period
@@ -308,6 +354,20 @@ export class EODHDClient {
 // Export individual API classes for direct usage
 export { StocksAPI, DividendsAPI, SearchAPI, OptionsAPI, NewsAPI, ForexAPI, IndicesAPI };
 
+// Export record/replay fixtures
+export { generateRequestKey, getFixtureOptionsFromEnv, createFixtureAdapter, useEODHDFixtures };
+
+// Export credit metering
+export {
+  getEndpointFromUrl,
+  createCreditAccount,
+  runWithCreditAccount,
+  getCurrentCreditAccount,
+  getOpenCreditAccounts,
+  chargeEodhdRequest,
+  getCreditTotals,
+};
+
 // Export tracked client and usage tracker
 export { TrackedEODHDClient, createTrackedEODHDClient, eodhdApiUsageTracker };
 
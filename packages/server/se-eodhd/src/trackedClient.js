@@ -7,6 +7,7 @@ import { NewsAPI } from "./apis/news.js";
 import { ForexAPI } from "./apis/forex.js";
 import { IndicesAPI } from "./apis/indices.js";
 import { eodhdApiUsageTracker } from "./apiUsageTracker.js";
+import { getFixtureOptionsFromEnv, useEODHDFixtures } from "./fixtures.js";
 import logger from "@buydy/se-logger";
 
 /**
@@ -15,12 +16,13 @@ import logger from "@buydy/se-logger";
 class EODHDClient {
   constructor({
     apiKey,
-    baseURL = "https://eodhistoricaldata.com/api",
+    baseURL = process.env.EODHD_BASE_URL || "https://eodhistoricaldata.com/api",
     timeout = 30000,
     axiosConfig = {},
     maxCallsPerMin = 1000,
     httpClient,
     useSingletonClient = true,
+    fixtures = getFixtureOptionsFromEnv(),
   }) {
     if (!apiKey) {
       throw new Error("EODHDClient requires an API key");
@@ -48,6 +50,11 @@ class EODHDClient {
       });
     }
 
+    if (fixtures) {
+      useEODHDFixtures(this.axios, fixtures);
+    }
+    this._isReplaying = this.axios.eodhdFixtures?.mode === "replay";
+
     // Global concurrency control via AsyncPriorityQueue singleton (if available in host app)
     let globalQueue = null;
     try {
@@ -151,6 +158,9 @@ class EODHDClient {
    * @private
    */
   async _applyRateLimit() {
+    if (this._isReplaying) {
+      return;
+    }
     const now = Date.now();
 
     // Check if we're in a rate limit backoff period
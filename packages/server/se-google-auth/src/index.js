@@ -1,13 +1,17 @@
 import { OAuth2Client } from "google-auth-library";
-import { generateRandomAlphanumericString } from "@buydy/iso-auth-utils";
+import { BaseAuthService } from "@buydy/se-auth-core";
 
-class GoogleAuthService {
-  constructor(clientId, clientSecret, dbClient) {
-    this.provider = "google";
+class GoogleAuthService extends BaseAuthService {
+  /**
+   * @param {string} clientId - Google OAuth client id (ID token audience)
+   * @param {string} clientSecret - Google OAuth client secret (code exchange)
+   * @param {Object} [options] - BaseAuthService options (userModel, tokenSecret, ...)
+   */
+  constructor(clientId, clientSecret, options = {}) {
+    super("google", options);
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.client = new OAuth2Client(clientId);
-    this.db = dbClient;
   }
 
   /**
@@ -101,79 +105,6 @@ class GoogleAuthService {
     }
   }
 
-  /**
-   * Create or update user in database
-   * @param {Object} userInfo - User information from Google
-   * @returns {Promise<Object>} User record with JWT token
-   */
-  async createOrUpdateUser(userInfo) {
-    if (!this.db) {
-      throw new Error("Database client not provided");
-    }
-
-    // Transform Google user info to standard format
-    const standardUserInfo = {
-      id: userInfo.sub,
-      email: userInfo.email,
-      name: userInfo.name,
-      avatar: userInfo.picture,
-      emailVerified: userInfo.email_verified,
-      locale: userInfo.locale,
-      hd: userInfo.hd, // Hosted domain (for G Suite users)
-    };
-
-    // Check if user exists
-    const existingUser = await this.db.findOne("users", {
-      provider: this.provider,
-      providerId: standardUserInfo.id,
-    });
-
-    if (existingUser) {
-      // Update existing user
-      await this.db.update(
-        "users",
-        { _id: existingUser._id },
-        {
-          $set: {
-            ...standardUserInfo,
-            updatedAt: new Date().toISOString(),
-          },
-        }
-      );
-
-      const updatedUser = await this.db.findOne("users", {
-        _id: existingUser._id,
-      });
-
-      // Generate JWT token
-      const mockToken = `${this.provider}-jwt-${Date.now()}-${generateRandomAlphanumericString(9)}`;
-
-      return {
-        token: mockToken,
-        user: updatedUser,
-      };
-    } else {
-      // Create new user
-      const newUser = {
-        ...standardUserInfo,
-        provider: this.provider,
-        providerId: standardUserInfo.id,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-
-      const createdUser = await this.db.create("users", newUser);
-
-      // Generate JWT token
-      const mockToken = `${this.provider}-jwt-${Date.now()}-${generateRandomAlphanumericString(9)}`;
-
-      return {
-        token: mockToken,
-        user: createdUser,
-      };
-    }
-  }
-
   /**
    * Complete Google authentication flow
    * @param {string} idToken - Google ID token from client